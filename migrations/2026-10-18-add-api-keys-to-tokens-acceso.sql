@@ -0,0 +1,49 @@
+-- ===================================================
+-- MIGRACIÓN: API keys en tokens_acceso
+-- ===================================================
+-- Fecha: 2026-10-18
+-- Descripción: Permite guardar API keys de clientes de máquina
+-- (integraciones CAD, mcp-server) en tokens_acceso: agrega el tipo
+-- API_KEY, un nombre descriptivo, el usuario que la creó y el último
+-- uso (fecha e IP).
+-- ===================================================
+
+SET @dbname = DATABASE();
+SET @tablename = 'tokens_acceso';
+
+-- 1. Tipo API_KEY en el ENUM token_type
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = 'token_type')
+      AND (COLUMN_TYPE LIKE '%API_KEY%')
+  ) > 0,
+  "SELECT 'token_type ya incluye API_KEY' AS message;",
+  "ALTER TABLE tokens_acceso MODIFY COLUMN token_type ENUM('ACCESS','REFRESH','API_KEY') NULL DEFAULT 'ACCESS';"
+));
+
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- 2. Columnas de la API key
+SET @preparedStatement2 = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = 'nombre')
+  ) > 0,
+  "SELECT 'Las columnas de API key ya existen en tokens_acceso' AS message;",
+  "ALTER TABLE tokens_acceso ADD COLUMN nombre VARCHAR(100) NULL AFTER token_type, ADD COLUMN last_used_at DATETIME NULL AFTER scopes, ADD COLUMN last_used_ip VARCHAR(45) NULL AFTER last_used_at, ADD COLUMN created_by INT NULL AFTER revocation_reason, ADD INDEX idx_tokens_acceso_hash (token_hash);"
+));
+
+PREPARE alterColumnsIfNotExists FROM @preparedStatement2;
+EXECUTE alterColumnsIfNotExists;
+DEALLOCATE PREPARE alterColumnsIfNotExists;
+
+SELECT 'Migración completada exitosamente' AS resultado;
@@ -0,0 +1,56 @@
+-- ===================================================
+-- MIGRACIÓN: Asignación territorial automática de novedades
+-- ===================================================
+-- Fecha: 2026-10-18
+-- Descripción: Registra cómo se obtuvieron cuadrante_id y sector_id de
+-- cada novedad: elegidos por el operador (MANUAL), tomados de la
+-- dirección (DIRECCION) o resueltos por sus coordenadas con los
+-- polígonos/radios de cuadrantes y sectores (AUTOMATICA). FUERA_DE_ZONA
+-- marca las coordenadas que no caen en ningún cuadrante ni sector.
+-- NULL = sin evaluar (históricas, pendientes del back-fill
+-- scripts/backfillCuadrantesNovedades.js).
+-- ===================================================
+
+SET @dbname = DATABASE();
+
+-- 1. Columna asignacion_territorial
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = 'novedades_incidentes')
+      AND (COLUMN_NAME = 'asignacion_territorial')
+  ) > 0,
+  "SELECT 'La columna asignacion_territorial ya existe en novedades_incidentes' AS message;",
+  "ALTER TABLE novedades_incidentes ADD COLUMN asignacion_territorial ENUM('MANUAL','DIRECCION','AUTOMATICA','FUERA_DE_ZONA') NULL DEFAULT NULL COMMENT 'Origen de cuadrante_id/sector_id; FUERA_DE_ZONA = coordenadas fuera de todo cuadrante y sector' AFTER direccion_id;"
+));
+
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- 2. Índice para listar las novedades fuera de zona
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.STATISTICS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = 'novedades_incidentes')
+      AND (INDEX_NAME = 'idx_novedades_asignacion_territorial')
+  ) > 0,
+  "SELECT 'El índice idx_novedades_asignacion_territorial ya existe' AS message;",
+  "ALTER TABLE novedades_incidentes ADD INDEX idx_novedades_asignacion_territorial (asignacion_territorial);"
+));
+
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- 3. Las novedades que ya tienen cuadrante quedan como MANUAL
+UPDATE novedades_incidentes
+SET asignacion_territorial = 'MANUAL'
+WHERE asignacion_territorial IS NULL
+  AND cuadrante_id IS NOT NULL;
+
+SELECT 'Migración completada exitosamente' AS resultado;
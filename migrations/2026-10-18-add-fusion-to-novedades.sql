@@ -0,0 +1,82 @@
+-- ===================================================
+-- MIGRACIÓN: Fusión de novedades duplicadas
+-- ===================================================
+-- Fecha: 2026-10-18
+-- Descripción: Columnas para fusionar una novedad duplicada (otra llamada
+-- por el mismo hecho) en una novedad principal. La novedad fusionada se
+-- conserva con su llamada y su historial, enlazada a la principal por
+-- novedad_padre_id.
+-- ===================================================
+
+SET @dbname = DATABASE();
+SET @tablename = 'novedades_incidentes';
+
+-- novedad_padre_id
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = 'novedad_padre_id')
+  ) > 0,
+  "SELECT 'La columna novedad_padre_id ya existe en novedades_incidentes' AS message;",
+  "ALTER TABLE novedades_incidentes ADD COLUMN novedad_padre_id INT NULL DEFAULT NULL COMMENT 'Novedad principal en la que se fusionó' AFTER id, ADD INDEX idx_novedad_padre (novedad_padre_id), ADD CONSTRAINT fk_novedad_padre FOREIGN KEY (novedad_padre_id) REFERENCES novedades_incidentes (id) ON DELETE SET NULL ON UPDATE CASCADE;"
+));
+
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- fecha_fusion
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = 'fecha_fusion')
+  ) > 0,
+  "SELECT 'La columna fecha_fusion ya existe en novedades_incidentes' AS message;",
+  "ALTER TABLE novedades_incidentes ADD COLUMN fecha_fusion DATETIME NULL DEFAULT NULL AFTER novedad_padre_id;"
+));
+
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- fusionado_por
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = 'fusionado_por')
+  ) > 0,
+  "SELECT 'La columna fusionado_por ya existe en novedades_incidentes' AS message;",
+  "ALTER TABLE novedades_incidentes ADD COLUMN fusionado_por INT NULL DEFAULT NULL AFTER fecha_fusion, ADD CONSTRAINT fk_novedad_fusionado_por FOREIGN KEY (fusionado_por) REFERENCES usuarios (id) ON DELETE SET NULL ON UPDATE CASCADE;"
+));
+
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- Índice para buscar llamadas repetidas del mismo teléfono
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.STATISTICS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (INDEX_NAME = 'idx_reportante_telefono')
+  ) > 0,
+  "SELECT 'El índice idx_reportante_telefono ya existe' AS message;",
+  "ALTER TABLE novedades_incidentes ADD INDEX idx_reportante_telefono (reportante_telefono);"
+));
+
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SELECT 'Migración completada exitosamente' AS resultado;
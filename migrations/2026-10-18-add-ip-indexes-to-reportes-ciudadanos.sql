@@ -0,0 +1,47 @@
+-- ===================================================
+-- MIGRACIÓN: Índices por IP del reporte ciudadano
+-- ===================================================
+-- Fecha: 2026-10-18
+-- Descripción: Los límites por IP de POST /publico/reportes y
+-- POST /publico/reportes/otp se cuentan en reportes_ciudadanos y
+-- reportes_ciudadanos_otp (ip_origen + created_at), para que valgan
+-- entre réplicas del backend y sobrevivan a los reinicios.
+-- ===================================================
+
+SET @dbname = DATABASE();
+
+-- 1. Reportes por IP
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.STATISTICS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = 'reportes_ciudadanos')
+      AND (INDEX_NAME = 'idx_reportes_ciudadanos_ip')
+  ) > 0,
+  "SELECT 'El índice idx_reportes_ciudadanos_ip ya existe' AS message;",
+  "ALTER TABLE reportes_ciudadanos ADD INDEX idx_reportes_ciudadanos_ip (ip_origen, created_at);"
+));
+
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- 2. Códigos OTP por IP
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.STATISTICS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = 'reportes_ciudadanos_otp')
+      AND (INDEX_NAME = 'idx_reportes_ciudadanos_otp_ip')
+  ) > 0,
+  "SELECT 'El índice idx_reportes_ciudadanos_otp_ip ya existe' AS message;",
+  "ALTER TABLE reportes_ciudadanos_otp ADD INDEX idx_reportes_ciudadanos_otp_ip (ip_origen, created_at);"
+));
+
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SELECT 'Migración completada exitosamente' AS resultado;
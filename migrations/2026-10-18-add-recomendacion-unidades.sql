@@ -0,0 +1,81 @@
+-- ===================================================
+-- MIGRACIÓN: Datos para recomendar unidades en el despacho
+-- ===================================================
+-- Fecha: 2026-10-18
+-- Descripción: Última ubicación conocida de cada vehículo (la reporta la
+-- patrulla por el WebSocket con el mensaje ubicacion_unidad) y tipos de
+-- vehículo adecuados para cada subtipo de novedad. Los usa
+-- GET /novedades/:id/recomendaciones.
+-- ===================================================
+
+SET @dbname = DATABASE();
+
+-- vehiculos.ultima_latitud
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = 'vehiculos')
+      AND (COLUMN_NAME = 'ultima_latitud')
+  ) > 0,
+  "SELECT 'La columna ultima_latitud ya existe en vehiculos' AS message;",
+  "ALTER TABLE vehiculos ADD COLUMN ultima_latitud DECIMAL(10,8) NULL DEFAULT NULL COMMENT 'Última latitud reportada por la unidad' AFTER estado_operativo;"
+));
+
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- vehiculos.ultima_longitud
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = 'vehiculos')
+      AND (COLUMN_NAME = 'ultima_longitud')
+  ) > 0,
+  "SELECT 'La columna ultima_longitud ya existe en vehiculos' AS message;",
+  "ALTER TABLE vehiculos ADD COLUMN ultima_longitud DECIMAL(11,8) NULL DEFAULT NULL COMMENT 'Última longitud reportada por la unidad' AFTER ultima_latitud;"
+));
+
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- vehiculos.fecha_ultima_ubicacion
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = 'vehiculos')
+      AND (COLUMN_NAME = 'fecha_ultima_ubicacion')
+  ) > 0,
+  "SELECT 'La columna fecha_ultima_ubicacion ya existe en vehiculos' AS message;",
+  "ALTER TABLE vehiculos ADD COLUMN fecha_ultima_ubicacion DATETIME NULL DEFAULT NULL AFTER ultima_longitud;"
+));
+
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- subtipos_novedad.tipos_vehiculo_ids
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = 'subtipos_novedad')
+      AND (COLUMN_NAME = 'tipos_vehiculo_ids')
+  ) > 0,
+  "SELECT 'La columna tipos_vehiculo_ids ya existe en subtipos_novedad' AS message;",
+  "ALTER TABLE subtipos_novedad ADD COLUMN tipos_vehiculo_ids JSON NULL DEFAULT NULL COMMENT 'IDs de tipos_vehiculo adecuados (NULL = cualquiera)' AFTER requiere_pnp;"
+));
+
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SELECT 'Migración completada exitosamente' AS resultado;
@@ -0,0 +1,46 @@
+-- ===================================================
+-- MIGRACIÓN: Agregar columna sesion_id a tokens_acceso
+-- ===================================================
+-- Fecha: 2026-10-18
+-- Descripción: Relaciona cada token emitido con la sesión (dispositivo)
+-- que lo originó, para poder cerrar una sesión concreta y revocar
+-- solo sus tokens.
+-- ===================================================
+
+SET @dbname = DATABASE();
+SET @tablename = 'tokens_acceso';
+SET @columnname = 'sesion_id';
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La columna sesion_id ya existe en tokens_acceso' AS message;",
+  "ALTER TABLE tokens_acceso ADD COLUMN sesion_id INT NULL AFTER usuario_id, ADD INDEX idx_tokens_acceso_sesion (sesion_id);"
+));
+
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SET @preparedStatement2 = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+      AND (CONSTRAINT_NAME LIKE 'fk_%')
+  ) > 0,
+  "SELECT 'La foreign key para sesion_id ya existe' AS message;",
+  "ALTER TABLE tokens_acceso ADD CONSTRAINT fk_tokens_acceso_sesion FOREIGN KEY (sesion_id) REFERENCES sesiones(id) ON DELETE SET NULL ON UPDATE CASCADE;"
+));
+
+PREPARE alterFKIfNotExists FROM @preparedStatement2;
+EXECUTE alterFKIfNotExists;
+DEALLOCATE PREPARE alterFKIfNotExists;
+
+SELECT 'Migración completada exitosamente' AS resultado;
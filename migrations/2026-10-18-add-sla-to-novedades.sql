@@ -0,0 +1,58 @@
+-- ===================================================
+-- MIGRACIÓN: Seguimiento de SLA de novedades
+-- ===================================================
+-- Fecha: 2026-10-18
+-- Descripción: Columna sla_estado en novedades_incidentes y tabla
+-- novedad_sla_eventos. El scheduler de SLA (slaNovedadesService) marca
+-- las novedades sin llegada que se acercan o superan el
+-- tiempo_respuesta_min de su subtipo, y registra cada alerta para el
+-- reporte de cumplimiento (GET /reportes-operativos/sla).
+-- ===================================================
+
+SET @dbname = DATABASE();
+SET @tablename = 'novedades_incidentes';
+SET @columnname = 'sla_estado';
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La columna sla_estado ya existe en novedades_incidentes' AS message;",
+  "ALTER TABLE novedades_incidentes ADD COLUMN sla_estado ENUM('EN_RIESGO','VENCIDO') NULL DEFAULT NULL COMMENT 'Alerta de SLA (NULL = dentro del tiempo)' AFTER tiempo_respuesta_min_operativo;"
+));
+
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+CREATE TABLE IF NOT EXISTS `novedad_sla_eventos` (
+  `id`                 INT NOT NULL AUTO_INCREMENT,
+  `novedad_id`         INT NOT NULL COMMENT 'FK a novedades_incidentes',
+  `tipo`               ENUM('EN_RIESGO','VENCIDO') NOT NULL,
+  `objetivo_min`       INT NOT NULL COMMENT 'tiempo_respuesta_min del subtipo',
+  `transcurrido_min`   INT NOT NULL COMMENT 'Minutos desde la ocurrencia al detectarse',
+  `prioridad_anterior` ENUM('ALTA','MEDIA','BAJA') NULL,
+  `prioridad_nueva`    ENUM('ALTA','MEDIA','BAJA') NULL COMMENT 'Distinta de la anterior si hubo escalamiento',
+  `subtipo_novedad_id` INT NULL,
+  `sector_id`          INT NULL,
+  `cuadrante_id`       INT NULL,
+  `turno`              ENUM('MAÑANA','TARDE','NOCHE') NULL,
+  `created_at`         DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (`id`),
+
+  UNIQUE KEY `uq_novedad_sla_eventos_novedad_tipo` (`novedad_id`, `tipo`),
+
+  INDEX `idx_novedad_sla_eventos_created_at` (`created_at`),
+  INDEX `idx_novedad_sla_eventos_sector_turno` (`sector_id`, `turno`),
+
+  CONSTRAINT `fk_nse_novedad_id`
+    FOREIGN KEY (`novedad_id`) REFERENCES `novedades_incidentes` (`id`) ON DELETE CASCADE ON UPDATE CASCADE
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  COMMENT='Alertas de SLA (en riesgo / vencido) de las novedades';
+
+SELECT 'Migración completada exitosamente' AS resultado;
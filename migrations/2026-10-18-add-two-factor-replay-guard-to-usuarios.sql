@@ -0,0 +1,47 @@
+-- ===================================================
+-- MIGRACIÓN: Protección de reuso y fuerza bruta del 2FA
+-- ===================================================
+-- Fecha: 2026-10-18
+-- Descripción: two_factor_ultimo_paso guarda el último paso TOTP
+-- aceptado (un código no puede usarse dos veces ni uno anterior);
+-- two_factor_intentos_fallidos cuenta los códigos inválidos en
+-- POST /auth/2fa/verify desde el último acierto.
+-- ===================================================
+
+SET @dbname = DATABASE();
+
+-- 1. Columna two_factor_ultimo_paso
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = 'usuarios')
+      AND (COLUMN_NAME = 'two_factor_ultimo_paso')
+  ) > 0,
+  "SELECT 'La columna two_factor_ultimo_paso ya existe en usuarios' AS message;",
+  "ALTER TABLE usuarios ADD COLUMN two_factor_ultimo_paso BIGINT NULL DEFAULT NULL COMMENT 'Último paso TOTP aceptado (anti-reuso)' AFTER two_factor_recovery_codes;"
+));
+
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- 2. Columna two_factor_intentos_fallidos
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = 'usuarios')
+      AND (COLUMN_NAME = 'two_factor_intentos_fallidos')
+  ) > 0,
+  "SELECT 'La columna two_factor_intentos_fallidos ya existe en usuarios' AS message;",
+  "ALTER TABLE usuarios ADD COLUMN two_factor_intentos_fallidos INT NOT NULL DEFAULT 0 COMMENT 'Códigos 2FA inválidos desde el último acierto' AFTER two_factor_ultimo_paso;"
+));
+
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SELECT 'Migración completada exitosamente' AS resultado;
@@ -0,0 +1,48 @@
+-- ===================================================
+-- MIGRACIÓN: Columna espacial de novedades_incidentes
+-- ===================================================
+-- Fecha: 2026-10-18
+-- Descripción: Columna generada ubicacion_geo (POINT, x = longitud,
+-- y = latitud) con índice SPATIAL para los filtros geográficos de
+-- GET /novedades (bbox, radio, polígono, cuadrante). Las novedades sin
+-- coordenadas quedan en POINT(0 0) porque el índice SPATIAL exige
+-- NOT NULL; las consultas las excluyen con latitud IS NOT NULL.
+-- ===================================================
+
+SET @dbname = DATABASE();
+
+-- 1. Columna generada ubicacion_geo
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = 'novedades_incidentes')
+      AND (COLUMN_NAME = 'ubicacion_geo')
+  ) > 0,
+  "SELECT 'La columna ubicacion_geo ya existe en novedades_incidentes' AS message;",
+  "ALTER TABLE novedades_incidentes ADD COLUMN ubicacion_geo POINT GENERATED ALWAYS AS (POINT(COALESCE(longitud, 0), COALESCE(latitud, 0))) STORED NOT NULL SRID 0 COMMENT 'Punto (longitud, latitud) para el índice espacial' AFTER longitud;"
+));
+
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- 2. Índice espacial
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.STATISTICS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = 'novedades_incidentes')
+      AND (INDEX_NAME = 'idx_novedades_ubicacion_geo')
+  ) > 0,
+  "SELECT 'El índice idx_novedades_ubicacion_geo ya existe' AS message;",
+  "ALTER TABLE novedades_incidentes ADD SPATIAL INDEX idx_novedades_ubicacion_geo (ubicacion_geo);"
+));
+
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SELECT 'Migración completada exitosamente' AS resultado;
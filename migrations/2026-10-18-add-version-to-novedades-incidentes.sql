@@ -0,0 +1,29 @@
+-- ===================================================
+-- MIGRACIÓN: Agregar columna version a novedades_incidentes
+-- ===================================================
+-- Fecha: 2026-10-18
+-- Descripción: Contador de versión para la concurrencia optimista de
+-- novedades. Sequelize lo incrementa en cada guardado y la API lo expone
+-- como ETag; una edición con una versión anterior se rechaza (409).
+-- ===================================================
+
+SET @dbname = DATABASE();
+SET @tablename = 'novedades_incidentes';
+SET @columnname = 'version';
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = @tablename)
+      AND (COLUMN_NAME = @columnname)
+  ) > 0,
+  "SELECT 'La columna version ya existe en novedades_incidentes' AS message;",
+  "ALTER TABLE novedades_incidentes ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 0 AFTER estado;"
+));
+
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+SELECT 'Migración completada exitosamente' AS resultado;
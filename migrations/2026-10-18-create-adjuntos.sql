@@ -0,0 +1,48 @@
+-- ============================================================
+-- Migración: Crear tabla adjuntos
+-- Fecha: 2026-10-18
+-- Descripción: Archivos adjuntos (partes, fotos de evidencia, audios,
+--              comprobantes) de novedades, mantenimientos y
+--              abastecimientos. El archivo se guarda en el
+--              almacenamiento configurado (ADJUNTOS_STORAGE); aquí
+--              queda su clave, tipo, tamaño y hash SHA-256.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS `adjuntos` (
+  `id`               INT NOT NULL AUTO_INCREMENT,
+  `entidad`          ENUM('NOVEDAD','MANTENIMIENTO','ABASTECIMIENTO') NOT NULL COMMENT 'Tipo del registro padre',
+  `entidad_id`       INT NOT NULL COMMENT 'ID del registro padre',
+  `categoria`        ENUM('PARTE','FOTO','AUDIO','DOCUMENTO','COMPROBANTE') NOT NULL,
+  `nombre_original`  VARCHAR(255) NOT NULL,
+  `mime_type`        VARCHAR(100) NOT NULL COMMENT 'Detectado del contenido del archivo',
+  `tamano_bytes`     INT UNSIGNED NOT NULL,
+  `sha256`           CHAR(64) NOT NULL COMMENT 'Hash del contenido (integridad)',
+  `almacenamiento`   VARCHAR(20) NOT NULL COMMENT 'Driver donde está el archivo (local, ...)',
+  `clave`            VARCHAR(255) NOT NULL COMMENT 'Ruta del archivo dentro del almacenamiento',
+  `clave_miniatura`  VARCHAR(255) NULL COMMENT 'Miniatura (solo imágenes)',
+  `ancho`            INT NULL,
+  `alto`             INT NULL,
+  `descripcion`      VARCHAR(500) NULL,
+  `estado`           TINYINT NOT NULL DEFAULT 1,
+  `created_by`       INT NOT NULL,
+  `deleted_by`       INT NULL,
+  `created_at`       DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`       DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  `deleted_at`       DATETIME NULL,
+
+  PRIMARY KEY (`id`),
+
+  INDEX `idx_adjuntos_entidad` (`entidad`, `entidad_id`),
+  INDEX `idx_adjuntos_sha256` (`sha256`),
+  INDEX `idx_adjuntos_created_by` (`created_by`),
+
+  CONSTRAINT `fk_adjuntos_created_by`
+    FOREIGN KEY (`created_by`) REFERENCES `usuarios` (`id`) ON DELETE RESTRICT ON UPDATE CASCADE,
+
+  CONSTRAINT `fk_adjuntos_deleted_by`
+    FOREIGN KEY (`deleted_by`) REFERENCES `usuarios` (`id`) ON DELETE SET NULL ON UPDATE CASCADE
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  COMMENT='Archivos adjuntos de novedades, mantenimientos y abastecimientos';
+
+SELECT 'Migración completada exitosamente' AS resultado;
@@ -0,0 +1,31 @@
+-- ===================================================
+-- MIGRACIÓN: Reclamos de novedades
+-- ===================================================
+-- Fecha: 2026-10-18
+-- Descripción: Tabla con el reclamo vigente de cada novedad ("la estoy
+-- atendiendo"). La clave primaria en novedad_id garantiza un único
+-- reclamo por novedad entre todas las réplicas del backend; el reclamo
+-- se toma con un UPDATE / INSERT condicional y vence en expira_en.
+-- ===================================================
+
+CREATE TABLE IF NOT EXISTS `novedad_reclamos` (
+  `novedad_id` INT NOT NULL COMMENT 'FK a novedades_incidentes (un reclamo por novedad)',
+  `usuario_id` INT NOT NULL COMMENT 'Usuario que atiende la novedad',
+  `username`   VARCHAR(50) NOT NULL,
+  `conexion`   VARCHAR(150) NULL COMMENT 'Conexión WebSocket de origen (host:pid/conexión)',
+  `expira_en`  DATETIME(3) NOT NULL COMMENT 'Vencimiento del reclamo sin renovar',
+  `created_at` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (`novedad_id`),
+
+  INDEX `idx_novedad_reclamos_conexion` (`conexion`),
+  INDEX `idx_novedad_reclamos_expira_en` (`expira_en`),
+
+  CONSTRAINT `fk_nr_novedad_id`
+    FOREIGN KEY (`novedad_id`) REFERENCES `novedades_incidentes` (`id`) ON DELETE CASCADE ON UPDATE CASCADE
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  COMMENT='Reclamo vigente de cada novedad (concurrencia entre operadores)';
+
+SELECT 'Migración completada exitosamente' AS resultado;
@@ -0,0 +1,99 @@
+-- ===================================================
+-- MIGRACIÓN: Reportes ciudadanos (API pública)
+-- ===================================================
+-- Fecha: 2026-10-18
+-- Descripción: Los vecinos registran novedades desde la app/web
+-- ciudadana (POST /publico/reportes) sin cuenta. Cada reporte crea una
+-- novedad con origen_llamada = 'APP_CIUDADANA' y queda en la cola de
+-- triaje hasta que un operador lo acepta o rechaza. El ciudadano
+-- consulta su estado con el código de seguimiento.
+-- ===================================================
+
+SET @dbname = DATABASE();
+
+-- 1. Origen APP_CIUDADANA en novedades_incidentes.origen_llamada
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = 'novedades_incidentes')
+      AND (COLUMN_NAME = 'origen_llamada')
+      AND (COLUMN_TYPE LIKE '%APP_CIUDADANA%')
+  ) > 0,
+  "SELECT 'origen_llamada ya incluye APP_CIUDADANA' AS message;",
+  "ALTER TABLE novedades_incidentes MODIFY COLUMN origen_llamada ENUM('TELEFONO_107','RADIO_TETRA','REDES_SOCIALES','BOTON_EMERGENCIA_ALERTA','BOTON_DENUNCIA_VECINO_ALERTA','INTERVENCION_DIRECTA','VIDEO_CCO','ANALITICA','APP_PODER_JUDICIAL','BOT','APP_CIUDADANA') NULL DEFAULT 'TELEFONO_107' COMMENT 'Medio que origina la Novedad/Incidente e inicia el flujo de atención de Seguridad Ciudadana';"
+));
+
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- 2. subtipos_novedad.visible_ciudadano (catálogo público)
+SET @preparedStatement = (SELECT IF(
+  (
+    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE
+      (TABLE_SCHEMA = @dbname)
+      AND (TABLE_NAME = 'subtipos_novedad')
+      AND (COLUMN_NAME = 'visible_ciudadano')
+  ) > 0,
+  "SELECT 'La columna visible_ciudadano ya existe en subtipos_novedad' AS message;",
+  "ALTER TABLE subtipos_novedad ADD COLUMN visible_ciudadano TINYINT(1) NOT NULL DEFAULT 0 COMMENT '1=Se ofrece en el reporte ciudadano' AFTER tipos_vehiculo_ids;"
+));
+
+PREPARE alterIfNotExists FROM @preparedStatement;
+EXECUTE alterIfNotExists;
+DEALLOCATE PREPARE alterIfNotExists;
+
+-- 3. Reportes ciudadanos (uno por novedad de origen APP_CIUDADANA)
+CREATE TABLE IF NOT EXISTS `reportes_ciudadanos` (
+  `id`                   INT NOT NULL AUTO_INCREMENT,
+  `novedad_id`           INT NOT NULL,
+  `codigo_seguimiento`   VARCHAR(20) NOT NULL COMMENT 'Código que recibe el ciudadano (RC-XXXX-XXXX)',
+  `telefono`             VARCHAR(20) NULL,
+  `telefono_verificado`  TINYINT(1) NOT NULL DEFAULT 0 COMMENT '1=Verificado con código OTP',
+  `estado_triaje`        ENUM('PENDIENTE','ACEPTADO','RECHAZADO') NOT NULL DEFAULT 'PENDIENTE',
+  `motivo_rechazo`       VARCHAR(500) NULL COMMENT 'Se muestra al ciudadano',
+  `triado_por`           INT NULL,
+  `fecha_triaje`         DATETIME NULL,
+  `ip_origen`            VARCHAR(45) NULL,
+  `user_agent`           VARCHAR(255) NULL,
+  `created_at`           DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`           DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (`id`),
+
+  UNIQUE KEY `uq_reportes_ciudadanos_codigo` (`codigo_seguimiento`),
+  UNIQUE KEY `uq_reportes_ciudadanos_novedad` (`novedad_id`),
+  INDEX `idx_reportes_ciudadanos_triaje` (`estado_triaje`, `created_at`),
+  INDEX `idx_reportes_ciudadanos_telefono` (`telefono`),
+
+  CONSTRAINT `fk_reportes_ciudadanos_novedad`
+    FOREIGN KEY (`novedad_id`) REFERENCES `novedades_incidentes` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+
+  CONSTRAINT `fk_reportes_ciudadanos_triado_por`
+    FOREIGN KEY (`triado_por`) REFERENCES `usuarios` (`id`) ON DELETE SET NULL ON UPDATE CASCADE
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  COMMENT='Novedades registradas por ciudadanos y su triaje';
+
+-- 4. Códigos OTP para verificar el teléfono del ciudadano (solo el hash)
+CREATE TABLE IF NOT EXISTS `reportes_ciudadanos_otp` (
+  `id`           INT NOT NULL AUTO_INCREMENT,
+  `telefono`     VARCHAR(20) NOT NULL,
+  `codigo_hash`  CHAR(64) NOT NULL COMMENT 'SHA-256 del código enviado por SMS',
+  `intentos`     TINYINT UNSIGNED NOT NULL DEFAULT 0,
+  `expira_en`    DATETIME NOT NULL,
+  `usado_en`     DATETIME NULL,
+  `ip_origen`    VARCHAR(45) NULL,
+  `created_at`   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (`id`),
+
+  INDEX `idx_reportes_ciudadanos_otp_telefono` (`telefono`, `created_at`)
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  COMMENT='Códigos OTP de verificación de teléfono del reporte ciudadano';
+
+SELECT 'Migración completada exitosamente' AS resultado;
@@ -0,0 +1,25 @@
+-- ===================================================
+-- MIGRACIÓN: Outbox de eventos SSE
+-- ===================================================
+-- Fecha: 2026-10-18
+-- Descripción: Tabla que comparte los eventos en tiempo real entre
+-- las instancias del backend cuando SSE_EVENT_BUS=mysql. Cada
+-- instancia inserta sus eventos y consulta los nuevos; el id es el
+-- id SSE (Last-Event-ID). El backend elimina los registros vencidos.
+-- ===================================================
+
+CREATE TABLE IF NOT EXISTS `sse_eventos_outbox` (
+  `id`         BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `instancia`  VARCHAR(100) NOT NULL COMMENT 'Instancia que publicó el evento (host:pid)',
+  `evento`     VARCHAR(64) NOT NULL COMMENT 'Nombre del evento SSE',
+  `canales`    JSON NULL COMMENT 'Canales destino; NULL para eventos a todos los clientes',
+  `datos`      JSON NOT NULL COMMENT 'Payload del evento',
+  `created_at` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (`id`),
+
+  INDEX `idx_sse_eventos_outbox_created_at` (`created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  COMMENT='Outbox de eventos SSE compartido entre instancias';
+
+SELECT 'Migración completada exitosamente' AS resultado;
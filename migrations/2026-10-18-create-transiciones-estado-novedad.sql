@@ -0,0 +1,49 @@
+-- ============================================================
+-- Migración: Crear tabla transiciones_estado_novedad
+-- Fecha: 2026-10-18
+-- Descripción: Grafo de transiciones permitidas entre estados de
+--              novedad (máquina de estados). Cada fila habilita
+--              estado_origen → estado_destino y define qué exige.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS `transiciones_estado_novedad` (
+  `id`                   INT NOT NULL AUTO_INCREMENT,
+  `estado_origen_id`     INT NOT NULL COMMENT 'FK a estados_novedad',
+  `estado_destino_id`    INT NOT NULL COMMENT 'FK a estados_novedad',
+  `requiere_observacion` TINYINT NOT NULL DEFAULT 0 COMMENT '1=La transición exige observaciones',
+  `campos_requeridos`    JSON NULL COMMENT 'Campos de la novedad que deben tener valor',
+  `descripcion`          TEXT NULL,
+  `estado`               TINYINT NOT NULL DEFAULT 1,
+  `created_by`           INT NOT NULL,
+  `updated_by`           INT NULL,
+  `deleted_by`           INT NULL,
+  `created_at`           DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`           DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  `deleted_at`           DATETIME NULL,
+
+  PRIMARY KEY (`id`),
+
+  UNIQUE KEY `uq_transiciones_estado_novedad_origen_destino` (`estado_origen_id`, `estado_destino_id`),
+
+  INDEX `idx_transiciones_estado_novedad_destino`    (`estado_destino_id`),
+  INDEX `idx_transiciones_estado_novedad_created_by` (`created_by`),
+  INDEX `idx_transiciones_estado_novedad_updated_by` (`updated_by`),
+  INDEX `idx_transiciones_estado_novedad_deleted_by` (`deleted_by`),
+
+  CONSTRAINT `fk_ten_estado_origen_id`
+    FOREIGN KEY (`estado_origen_id`) REFERENCES `estados_novedad` (`id`) ON DELETE RESTRICT ON UPDATE CASCADE,
+
+  CONSTRAINT `fk_ten_estado_destino_id`
+    FOREIGN KEY (`estado_destino_id`) REFERENCES `estados_novedad` (`id`) ON DELETE RESTRICT ON UPDATE CASCADE,
+
+  CONSTRAINT `fk_ten_created_by`
+    FOREIGN KEY (`created_by`) REFERENCES `usuarios` (`id`) ON DELETE RESTRICT ON UPDATE CASCADE,
+
+  CONSTRAINT `fk_ten_updated_by`
+    FOREIGN KEY (`updated_by`) REFERENCES `usuarios` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+
+  CONSTRAINT `fk_ten_deleted_by`
+    FOREIGN KEY (`deleted_by`) REFERENCES `usuarios` (`id`) ON DELETE SET NULL ON UPDATE CASCADE
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  COMMENT='Transiciones permitidas entre estados de novedades';
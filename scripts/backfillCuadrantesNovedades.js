@@ -0,0 +1,49 @@
+/**
+ * Script para completar cuadrante_id/sector_id de las novedades históricas
+ * a partir de su dirección o de sus coordenadas
+ * Ejecutar: node scripts/backfillCuadrantesNovedades.js [--simular] [--reevaluar] [--lote=500]
+ *
+ * --simular   Solo calcula y muestra el resumen, sin escribir
+ * --reevaluar Incluye las ya marcadas AUTOMATICA o FUERA_DE_ZONA sin cuadrante
+ *             (útil después de cargar o corregir polígonos)
+ */
+
+import sequelize from "../src/config/database.js";
+import {
+  backfillAsignacionTerritorial,
+  LOTE_BACKFILL,
+} from "../src/services/asignacionTerritorialService.js";
+
+const argumentos = process.argv.slice(2);
+const opcionLote = argumentos.find((arg) => arg.startsWith("--lote="));
+
+async function backfillCuadrantes() {
+  try {
+    const lote = opcionLote ? parseInt(opcionLote.split("=")[1], 10) : LOTE_BACKFILL;
+    if (!Number.isInteger(lote) || lote < 1) {
+      throw new Error("--lote debe ser un número entero positivo");
+    }
+
+    console.log("Conectando a la base de datos...");
+    await sequelize.authenticate();
+    console.log("Conexión establecida.");
+
+    const simular = argumentos.includes("--simular");
+    const resumen = await backfillAsignacionTerritorial({
+      lote,
+      reevaluar: argumentos.includes("--reevaluar"),
+      simular,
+    });
+
+    console.log(`✅ Back-fill ${simular ? "simulado" : "completado"}:`);
+    console.table(resumen);
+
+    await sequelize.close();
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error en back-fill:", error);
+    process.exit(1);
+  }
+}
+
+backfillCuadrantes();
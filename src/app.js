@@ -34,9 +34,14 @@ import cors from "cors";
 import dotenv from "dotenv";
 import morgan from "morgan";
 import compression from "compression";
+import passport from "passport";
 
 // Configuración de la base de datos
 import sequelize from "./config/database.js";
+import { setEventBus, closeEventBus } from "./utils/sse-manager.js";
+import { crearEventBusDesdeEntorno } from "./services/eventBusService.js";
+import { attachWebSocketGateway } from "./utils/ws-gateway.js";
+import { iniciarSchedulerSla, detenerSchedulerSla } from "./services/slaNovedadesService.js";
 
 // ============================================
 // IMPORTACIÓN DE RUTAS CENTRALIZADO ✨ NUEVO
@@ -57,6 +62,22 @@ const MAX_BODY_SIZE = process.env.MAX_BODY_SIZE || "10mb";
 
 const app = express();
 
+/**
+ * Proxies de confianza (TRUST_PROXY): req.ip toma la IP del cliente de
+ * X-Forwarded-For solo a través de ellos. Acepta un número de saltos,
+ * true / false, o IPs, subredes y presets de Express ("loopback",
+ * "uniquelocal") separados por comas. Sin valor, req.ip es la IP del
+ * socket. El bloqueo de login y los límites por IP dependen de req.ip.
+ */
+const parseTrustProxy = (valor) => {
+  if (valor === undefined || valor.trim() === "") return false;
+  if (/^\d+$/.test(valor.trim())) return parseInt(valor);
+  if (["true", "false"].includes(valor.trim())) return valor.trim() === "true";
+  return valor.split(",").map((v) => v.trim()).filter(Boolean);
+};
+
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+
 import swaggerUI from "swagger-ui-express";
 import fs from "fs";
 import YAML from "yamljs";
@@ -177,8 +198,9 @@ const corsOptions = {
     "X-Requested-With",
     "Accept",
     "Origin",
+    "If-Match",
   ],
-  exposedHeaders: ["Content-Range", "X-Content-Range"],
+  exposedHeaders: ["Content-Range", "X-Content-Range", "ETag"],
   maxAge: 86400,
   optionsSuccessStatus: 204,
 };
@@ -258,6 +280,12 @@ app.use((req, res, next) => {
   next();
 });
 
+// ============================================
+// MIDDLEWARE 9: PASSPORT (OAUTH2, SIN SESIONES)
+// ============================================
+
+app.use(passport.initialize());
+
 // ============================================================================
 // REGISTRO DE RUTAS CENTRALIZADO ✨ NUEVO v2.4.0
 // ============================================================================
@@ -424,7 +452,12 @@ const startServer = async () => {
       console.log("✅ Modelos sincronizados\n");
     }
 
-    app.listen(PORT, () => {
+    await setEventBus(crearEventBusDesdeEntorno(), {
+      respaldoEnMemoria: process.env.SSE_EVENT_BUS_FALLBACK === "memoria",
+    });
+    iniciarSchedulerSla();
+
+    const server = app.listen(PORT, () => {
       console.log("┌─────────────────────────────────────────────────┐");
       console.log("│                                                 │");
       console.log("│  🚀 Servidor iniciado exitosamente              │");
@@ -453,6 +486,7 @@ const startServer = async () => {
       console.log(`  • GET    /api/${API_VERSION}/subtipos-novedad`);
       console.log(`  • GET    /api/${API_VERSION}/vehiculos`);
       console.log(`  • GET    /api/${API_VERSION}/novedades`);
+      console.log(`  • WS     /api/${API_VERSION}/novedades/ws`);
       console.log("");
       console.log("📍 Módulo Calles y Direcciones:");
       console.log(`  • GET    /api/${API_VERSION}/tipos-via/activos`);
@@ -473,6 +507,8 @@ const startServer = async () => {
         console.log("  - Stack traces en errores\n");
       }
     });
+
+    attachWebSocketGateway(server, `/api/${API_VERSION}/novedades/ws`);
   } catch (error) {
     console.error("\n❌ Error al iniciar el servidor:");
     console.error("═══════════════════════════════════");
@@ -490,6 +526,8 @@ const gracefulShutdown = async (signal) => {
   console.log(`\n🛑 ${signal} recibido. Cerrando servidor gracefully...\n`);
 
   try {
+    detenerSchedulerSla();
+    await closeEventBus();
     await sequelize.close();
     console.log("✅ Conexión a la base de datos cerrada\n");
     process.exit(0);
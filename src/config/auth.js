@@ -10,7 +10,9 @@
  * - Seguridad general
  */
 
-require("dotenv").config();
+import dotenv from "dotenv";
+
+dotenv.config();
 
 /**
  * Función auxiliar para convertir tiempo legible a milisegundos
@@ -33,7 +35,29 @@ const parseTime = (timeString) => {
   return parseInt(value) * units[unit];
 };
 
-module.exports = {
+/**
+ * Función auxiliar para leer booleanos de variables de entorno
+ * Ejemplo: 'true' | '1' → true, 'false' | '0' → false
+ */
+const parseBool = (value, defaultValue) => {
+  if (value === undefined || value === "") return defaultValue;
+  return ["true", "1"].includes(String(value).toLowerCase());
+};
+
+/**
+ * Clave propia de una función (cifrado, firmas). En producción es
+ * obligatoria y el backend no arranca sin ella; fuera de producción se
+ * usa la de respaldo
+ */
+const claveDedicada = (variable, respaldo) => {
+  if (process.env[variable]) return process.env[variable];
+  if (process.env.NODE_ENV === "production") {
+    throw new Error(`${variable} es obligatoria en producción (no se reutiliza JWT_SECRET)`);
+  }
+  return respaldo;
+};
+
+const authConfig = {
   // ========================================
   // CONFIGURACIÓN DE JWT
   // ========================================
@@ -59,6 +83,24 @@ module.exports = {
      */
     refreshExpiresIn: process.env.JWT_REFRESH_EXPIRATION || "7d",
 
+    /**
+     * Convertir refreshExpiresIn a milisegundos (vigencia de la sesión)
+     */
+    get refreshExpiresInMs() {
+      return parseTime(this.refreshExpiresIn);
+    },
+
+    /**
+     * Tiempo que se guarda en memoria el resultado "no revocado" de un
+     * access token (ver services/tokenRevocacionService.js)
+     * Formato: '30s', '1m'
+     */
+    revocationCacheTtl: process.env.TOKEN_REVOCATION_CACHE_TTL || "30s",
+
+    get revocationCacheTtlMs() {
+      return parseTime(this.revocationCacheTtl);
+    },
+
     /**
      * Algoritmo de firma
      * HS256 es el más común (HMAC con SHA-256)
@@ -94,11 +136,14 @@ module.exports = {
   // ========================================
   // SEGURIDAD DE CONTRASEÑAS
   // ========================================
+  // Política central aplicada por services/passwordPolicyService.js
+  // (registro, cambio, recuperación y reset administrativo) y publicada
+  // en GET /auth/password-policy
   password: {
     /**
      * Longitud mínima de contraseña
      */
-    minLength: 8,
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
 
     /**
      * Longitud máxima de contraseña
@@ -108,37 +153,70 @@ module.exports = {
     /**
      * Requerir al menos una mayúscula
      */
-    requireUppercase: true,
+    requireUppercase: parseBool(process.env.PASSWORD_REQUIRE_UPPERCASE, true),
 
     /**
      * Requerir al menos una minúscula
      */
-    requireLowercase: true,
+    requireLowercase: parseBool(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
 
     /**
      * Requerir al menos un número
      */
-    requireNumber: true,
+    requireNumber: parseBool(process.env.PASSWORD_REQUIRE_NUMBER, true),
 
     /**
      * Requerir al menos un carácter especial
      */
-    requireSpecialChar: true,
+    requireSpecialChar: parseBool(process.env.PASSWORD_REQUIRE_SPECIAL, true),
 
     /**
      * Caracteres especiales permitidos
      */
     specialChars: "!@#$%^&*()_+-=[]{}|;:,.<>?",
 
+    /**
+     * Rechazar contraseñas que contengan datos del usuario
+     * (username, email, nombres, apellidos, DNI del personal asociado)
+     */
+    rejectPersonalData: parseBool(process.env.PASSWORD_REJECT_PERSONAL_DATA, true),
+
+    /**
+     * Contraseñas prohibidas (comparación sin mayúsculas/minúsculas).
+     * PASSWORD_BANNED_LIST agrega valores separados por coma.
+     */
+    bannedList: [
+      "password",
+      "password1",
+      "password123",
+      "contraseña",
+      "contrasena123",
+      "123456789",
+      "12345678",
+      "qwerty123",
+      "admin123",
+      "admin1234",
+      "administrador",
+      "seguridad",
+      "serenazgo",
+      "bienvenido",
+      "bienvenido1",
+      ...(process.env.PASSWORD_BANNED_LIST || "")
+        .split(",")
+        .map((p) => p.trim().toLowerCase())
+        .filter(Boolean),
+    ],
+
     /**
      * Número de contraseñas anteriores que no se pueden reutilizar
      */
-    historyCount: 5,
+    historyCount: parseInt(process.env.PASSWORD_HISTORY_COUNT ?? "5"),
 
     /**
-     * Días antes de que expire una contraseña (0 = nunca expira)
+     * Días antes de que expire una contraseña (0 = nunca expira).
+     * Al vencer, el login exige el cambio obligatorio de contraseña.
      */
-    expirationDays: 90,
+    expirationDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS ?? "90"),
   },
 
   // ========================================
@@ -162,6 +240,50 @@ module.exports = {
     get lockTimeMs() {
       return parseTime(this.lockTime);
     },
+
+    /**
+     * Tope del bloqueo progresivo: cada fallo adicional tras maxAttempts
+     * duplica lockTime hasta este máximo
+     */
+    maxLockTime: process.env.LOCK_TIME_MAX || "24h",
+    get maxLockTimeMs() {
+      return parseTime(this.maxLockTime);
+    },
+
+    /**
+     * Fallos (del usuario o de la IP) a partir de los cuales la respuesta
+     * de login indica captchaRequired: true
+     */
+    captchaAfterAttempts: parseInt(process.env.LOGIN_CAPTCHA_AFTER) || 3,
+
+    /**
+     * Bloqueo por IP: fallos en la ventana antes de bloquear la IP,
+     * con el mismo backoff exponencial que el bloqueo por usuario
+     */
+    ip: {
+      maxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20,
+      windowMs: parseTime(process.env.LOGIN_IP_WINDOW || "1h"),
+    },
+  },
+
+  // ========================================
+  // ALERTAS DE SEGURIDAD
+  // ========================================
+  securityAlerts: {
+    /**
+     * Avisar al usuario de logins desde una IP o dispositivo que no
+     * aparece en sus sesiones anteriores
+     */
+    newLoginAlerts: parseBool(process.env.SECURITY_ALERT_NEW_LOGIN, true),
+
+    /**
+     * Roles que reciben las alertas de seguridad (bloqueos y logins
+     * anómalos) además del propio usuario
+     */
+    adminRoles: (process.env.SECURITY_ALERT_ROLES || "super_admin,admin")
+      .split(",")
+      .map((r) => r.trim())
+      .filter(Boolean),
   },
 
   // ========================================
@@ -225,20 +347,80 @@ module.exports = {
      * Tiempo de expiración de token de verificación de email
      */
     emailVerification: {
-      expiresIn: "24h",
+      expiresIn: process.env.EMAIL_VERIFICATION_EXPIRATION || "24h",
       get expiresInMs() {
         return parseTime(this.expiresIn);
       },
+
+      /**
+       * URL del frontend que recibe el token (?token=...) y llama a
+       * GET /auth/verify-email/:token
+       */
+      url:
+        process.env.EMAIL_VERIFY_URL ||
+        `${process.env.FRONTEND_URL || "http://localhost:5173"}/verify-email`,
+
+      /**
+       * Política para usuarios con email sin verificar:
+       * - none:      sin restricciones (por defecto)
+       * - block:     no pueden iniciar sesión
+       * - read_only: inician sesión, pero solo conservan permisos de
+       *              lectura (*.read) y no pueden hacer escrituras
+       */
+      policy: process.env.EMAIL_VERIFICATION_POLICY || "none",
+
+      /**
+       * Tiempo mínimo entre reenvíos del email de verificación
+       */
+      resendIntervalMs: parseTime(process.env.EMAIL_VERIFICATION_RESEND_INTERVAL || "2m"),
     },
 
     /**
      * Tiempo de expiración de token de recuperación de contraseña
      */
     passwordReset: {
-      expiresIn: "1h",
+      expiresIn: process.env.PASSWORD_RESET_EXPIRATION || "1h",
       get expiresInMs() {
         return parseTime(this.expiresIn);
       },
+
+      /**
+       * URL del frontend que recibe el token (?token=...)
+       */
+      url:
+        process.env.PASSWORD_RESET_URL ||
+        `${process.env.FRONTEND_URL || "http://localhost:5173"}/reset-password`,
+    },
+  },
+
+  // ========================================
+  // EMAIL (TRANSPORTE DE CORREOS)
+  // ========================================
+  mail: {
+    /**
+     * Transporte a usar: 'smtp', 'file' o 'console'
+     * Por defecto: smtp si hay SMTP_HOST, console en otro caso
+     * (console se rechaza con NODE_ENV=production; ver emailService)
+     */
+    transport:
+      process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "console"),
+
+    /**
+     * Directorio donde el transporte 'file' escribe los .eml
+     */
+    fileDir: process.env.MAIL_FILE_DIR || "logs/mails",
+
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER,
+      password: process.env.SMTP_PASSWORD,
+    },
+
+    from: {
+      address: process.env.EMAIL_FROM || "noreply@citysec.com",
+      name: process.env.EMAIL_FROM_NAME || "Sistema de Seguridad Ciudadana",
     },
   },
 
@@ -266,6 +448,33 @@ module.exports = {
      * Número de códigos de recuperación a generar
      */
     recoveryCodesCount: 10,
+
+    /**
+     * Vigencia del token intermedio "2FA pendiente" emitido en el login
+     */
+    pendingTokenExpiresIn: process.env.TWO_FACTOR_PENDING_EXPIRATION || "5m",
+
+    /**
+     * Códigos inválidos en /auth/2fa/verify antes de anular los tokens
+     * "2FA pendiente" y bloquear la cuenta (bloqueo progresivo de
+     * accountLock)
+     */
+    maxAttempts: parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5,
+
+    /**
+     * Clave para cifrar el secret TOTP en BD (obligatoria en producción;
+     * en desarrollo y tests, JWT_SECRET)
+     */
+    encryptionKey: claveDedicada("TWO_FACTOR_ENCRYPTION_KEY", process.env.JWT_SECRET),
+
+    /**
+     * Roles (slugs) que deben tener 2FA habilitado
+     * Si no lo tienen, el login responde twoFactorSetupRequired: true
+     */
+    requiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES || "super_admin,supervisor")
+      .split(",")
+      .map((r) => r.trim())
+      .filter(Boolean),
   },
 
   // ========================================
@@ -288,24 +497,76 @@ module.exports = {
     maxConcurrentSessions: 5,
   },
 
+  // ========================================
+  // API KEYS (CLIENTES DE MÁQUINA)
+  // ========================================
+  apiKeys: {
+    /**
+     * Prefijo visible de las keys (csk_<id>_<secreto>)
+     */
+    prefix: "csk",
+
+    /**
+     * Vigencia por defecto si no se indica expires_at
+     */
+    defaultExpiresInMs: parseTime(process.env.API_KEY_DEFAULT_EXPIRATION || "90d"),
+
+    /**
+     * Vigencia máxima permitida al crear una key
+     */
+    maxExpiresInMs: parseTime(process.env.API_KEY_MAX_EXPIRATION || "365d"),
+
+    /**
+     * Intervalo mínimo entre actualizaciones de last_used_at / last_used_ip
+     * (evita una escritura en cada petición)
+     */
+    lastUsedUpdateIntervalMs: parseTime("1m"),
+  },
+
   // ========================================
   // OAUTH2
   // ========================================
   oauth: {
+    /**
+     * URL del frontend a la que se redirige tras el callback OAuth.
+     * Los tokens viajan en el fragmento (#accessToken=...&refreshToken=...)
+     * y los errores en la query (?error=...). Si no se define, el
+     * callback responde JSON igual que /auth/login.
+     */
+    redirectUrl: process.env.OAUTH_REDIRECT_URL || null,
+
     google: {
       clientID: process.env.GOOGLE_CLIENT_ID,
       clientSecret: process.env.GOOGLE_CLIENT_SECRET,
       callbackURL:
         process.env.GOOGLE_CALLBACK_URL ||
-        "http://localhost:3000/api/v1/auth/google/callback",
+        "http://localhost:3000/api/v1/auth/oauth/google/callback",
     },
     microsoft: {
       clientID: process.env.MICROSOFT_CLIENT_ID,
       clientSecret: process.env.MICROSOFT_CLIENT_SECRET,
       callbackURL:
         process.env.MICROSOFT_CALLBACK_URL ||
-        "http://localhost:3000/api/v1/auth/microsoft/callback",
+        "http://localhost:3000/api/v1/auth/oauth/microsoft/callback",
+      tenant: process.env.MICROSOFT_TENANT || "common",
+
+      /**
+       * IDs de tenant (claim "tid") cuyo directorio es de confianza: en
+       * ellos el email de Graph (mail/UPN) basta para vincular por email.
+       * En otros tenants se exige el claim xms_edov/email_verified o la
+       * vinculación desde una sesión iniciada.
+       */
+      allowedTenants: (process.env.MICROSOFT_ALLOWED_TENANTS || "")
+        .split(",")
+        .map((t) => t.trim().toLowerCase())
+        .filter(Boolean),
     },
+
+    /**
+     * Vigencia del ticket de un solo uso que inicia la vinculación de una
+     * identidad externa desde una sesión iniciada
+     */
+    linkTicketExpiresIn: process.env.OAUTH_LINK_TICKET_EXPIRATION || "2m",
   },
 
   // ========================================
@@ -317,6 +578,8 @@ module.exports = {
   },
 };
 
+export default authConfig;
+
 /**
  * NOTAS IMPORTANTES:
  *
@@ -0,0 +1,205 @@
+/**
+ * ============================================
+ * CONFIGURACIÓN DE PASSPORT (OAUTH2)
+ * ============================================
+ *
+ * Registra las estrategias de Google y Microsoft cuando sus
+ * credenciales están definidas en el .env. Sin sesiones de passport:
+ * tras el callback el sistema emite su propio par JWT.
+ *
+ * El parámetro "state" (protección CSRF) se firma con JWT_SECRET y se
+ * ata al navegador con una cookie httpOnly que guarda el mismo nonce,
+ * de modo que no se necesita express-session. Si el login se inició con
+ * un ticket de vinculación, el state lleva además el usuario a vincular.
+ */
+
+import passport from "passport";
+import jwt from "jsonwebtoken";
+import { Strategy as GoogleStrategy } from "passport-google-oauth20";
+import { Strategy as MicrosoftStrategy } from "passport-microsoft";
+import authConfig from "./auth.js";
+import { generarTokenAleatorio, compararHashes } from "../utils/cryptoHelper.js";
+import {
+  PROVEEDORES_OAUTH,
+  resolverUsuarioOAuth,
+} from "../services/oauthService.js";
+
+/**
+ * Nombre de la cookie que ata el "state" OAuth al navegador
+ * @constant {string}
+ */
+const COOKIE_ESTADO_OAUTH = "oauth_state";
+
+/**
+ * Propósito del JWT usado como "state"
+ * @constant {string}
+ */
+const PURPOSE_OAUTH_STATE = "oauth_state";
+
+/**
+ * Vigencia del "state" (tiempo máximo para completar el login externo)
+ * @constant {number}
+ */
+const VIGENCIA_ESTADO_MS = 10 * 60 * 1000;
+
+/**
+ * Proveedores con estrategia registrada
+ * @type {Set<string>}
+ */
+const proveedoresHabilitados = new Set();
+
+/**
+ * Lee una cookie del header (el proyecto no usa cookie-parser)
+ * @private
+ * @param {Object} req - Request de Express
+ * @param {string} nombre - Nombre de la cookie
+ * @returns {string|null}
+ */
+const leerCookie = (req, nombre) => {
+  const cookies = req.headers.cookie || "";
+  const par = cookies
+    .split(";")
+    .map((c) => c.trim())
+    .find((c) => c.startsWith(`${nombre}=`));
+  return par ? decodeURIComponent(par.substring(nombre.length + 1)) : null;
+};
+
+/**
+ * Store de "state" sin sesión para passport-oauth2
+ * @private
+ */
+const estadoFirmadoStore = {
+  store(req, meta, callback) {
+    const nonce = generarTokenAleatorio(16);
+    const state = jwt.sign(
+      {
+        purpose: PURPOSE_OAUTH_STATE,
+        nonce,
+        ...(req.oauthVincularUsuarioId && { vincularUsuarioId: req.oauthVincularUsuarioId }),
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: VIGENCIA_ESTADO_MS / 1000 }
+    );
+
+    req.res.cookie(COOKIE_ESTADO_OAUTH, nonce, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: process.env.NODE_ENV === "production",
+      maxAge: VIGENCIA_ESTADO_MS,
+    });
+
+    callback(null, state);
+  },
+
+  verify(req, state, callback) {
+    try {
+      const decoded = jwt.verify(state, process.env.JWT_SECRET);
+      const nonce = leerCookie(req, COOKIE_ESTADO_OAUTH);
+      req.res.clearCookie(COOKIE_ESTADO_OAUTH);
+
+      if (
+        decoded.purpose !== PURPOSE_OAUTH_STATE ||
+        !compararHashes(decoded.nonce, nonce)
+      ) {
+        return callback(null, false, { message: "Estado OAuth inválido" });
+      }
+
+      req.oauthVincularUsuarioId = decoded.vincularUsuarioId || null;
+      return callback(null, true);
+    } catch (error) {
+      return callback(null, false, { message: "Estado OAuth inválido o expirado" });
+    }
+  },
+};
+
+/**
+ * Crea el callback "verify" de passport para un proveedor.
+ * Resuelve el Usuario o informa el motivo del rechazo en `info`.
+ * Las estrategias se registran con passReqToCallback para leer el
+ * usuario a vincular que dejó el state.
+ *
+ * @param {string} proveedor - Clave de PROVEEDORES_OAUTH
+ * @returns {Function} (req, accessToken, refreshToken, params, profile, done)
+ */
+export const crearVerificadorOAuth = (proveedor) => {
+  return (req, accessToken, refreshToken, params, profile, done) => {
+    // El id_token llega directo del endpoint de tokens del proveedor (TLS)
+    const claims = (params?.id_token && jwt.decode(params.id_token)) || {};
+
+    resolverUsuarioOAuth(proveedor, profile, {
+      claims,
+      vincularUsuarioId: req.oauthVincularUsuarioId || null,
+    })
+      .then(({ usuario, motivo, vinculado }) => {
+        if (!usuario) {
+          return done(null, false, { motivo, email: profile?.emails?.[0]?.value });
+        }
+        return done(null, usuario, { vinculado });
+      })
+      .catch(done);
+  };
+};
+
+/**
+ * Registra (o reemplaza) la estrategia de un proveedor.
+ * Los tests lo usan para inyectar una estrategia simulada.
+ *
+ * @param {string} proveedor - Clave de PROVEEDORES_OAUTH
+ * @param {Object} strategy - Instancia de passport.Strategy
+ */
+export const registrarEstrategiaOAuth = (proveedor, strategy) => {
+  passport.use(PROVEEDORES_OAUTH[proveedor].strategy, strategy);
+  proveedoresHabilitados.add(proveedor);
+};
+
+/**
+ * Indica si un proveedor está configurado
+ *
+ * @param {string} proveedor - Nombre recibido en la URL
+ * @returns {boolean}
+ */
+export const proveedorHabilitado = (proveedor) => {
+  return proveedoresHabilitados.has(proveedor);
+};
+
+// ============================================
+// ESTRATEGIAS SEGÚN CREDENCIALES DEL .env
+// ============================================
+
+const { google, microsoft } = authConfig.oauth;
+
+if (google.clientID && google.clientSecret) {
+  registrarEstrategiaOAuth(
+    "google",
+    new GoogleStrategy(
+      {
+        clientID: google.clientID,
+        clientSecret: google.clientSecret,
+        callbackURL: google.callbackURL,
+        store: estadoFirmadoStore,
+        passReqToCallback: true,
+      },
+      crearVerificadorOAuth("google")
+    )
+  );
+}
+
+if (microsoft.clientID && microsoft.clientSecret) {
+  registrarEstrategiaOAuth(
+    "microsoft",
+    new MicrosoftStrategy(
+      {
+        clientID: microsoft.clientID,
+        clientSecret: microsoft.clientSecret,
+        callbackURL: microsoft.callbackURL,
+        tenant: microsoft.tenant,
+        scope: PROVEEDORES_OAUTH.microsoft.scope,
+        store: estadoFirmadoStore,
+        passReqToCallback: true,
+      },
+      crearVerificadorOAuth("microsoft")
+    )
+  );
+}
+
+export default passport;
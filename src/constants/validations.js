@@ -112,6 +112,7 @@ export const ORIGEN_LLAMADA = {
   ANALITICA: "ANALITICA",
   APP_PODER_JUDICIAL: "APP_PODER_JUDICIAL",
   BOT: "BOT",
+  APP_CIUDADANA: "APP_CIUDADANA", // Solo POST /publico/reportes
 };
 
 export const ORIGEN_LLAMADA_ARRAY = Object.values(ORIGEN_LLAMADA);
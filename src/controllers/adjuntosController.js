@@ -0,0 +1,216 @@
+/**
+ * ===================================================
+ * CONTROLADOR: Adjuntos
+ * ===================================================
+ *
+ * Ruta: src/controllers/adjuntosController.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Características:
+ * - Listar, subir y eliminar adjuntos de novedades, mantenimientos y
+ *   abastecimientos. Las rutas de cada módulo indican la entidad y
+ *   aplican los permisos del registro padre.
+ * - Descargar un adjunto con la URL firmada que devuelven el listado y
+ *   la subida (sin token: la firma y su vencimiento autorizan).
+ *
+ * @module controllers/adjuntosController
+ * @version 1.0.0
+ */
+
+import {
+  VARIANTES_ADJUNTO,
+  cargarPadre,
+  mensajePadreNoEncontrado,
+  listarAdjuntos,
+  guardarAdjuntos,
+  buscarAdjunto,
+  eliminarAdjunto,
+  verificarUrlDescarga,
+  abrirDescarga,
+} from "../services/adjuntosService.js";
+
+/**
+ * Responde 404 si el registro padre no existe
+ * @private
+ */
+const padreNoEncontrado = (res, entidad) =>
+  res.status(404).json({
+    success: false,
+    message: mensajePadreNoEncontrado(entidad),
+  });
+
+/**
+ * Listar los adjuntos de un registro
+ * GET /api/v1/{novedades|mantenimientos|abastecimientos}/:id/adjuntos
+ *
+ * @param {string} entidad - ENTIDADES_ADJUNTO (la indica la ruta)
+ */
+export const getAdjuntos = async (req, res, entidad) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await cargarPadre(entidad, id))) return padreNoEncontrado(res, entidad);
+
+    const adjuntos = await listarAdjuntos(entidad, id);
+
+    res.status(200).json({
+      success: true,
+      message: "Adjuntos obtenidos exitosamente",
+      data: adjuntos,
+      total: adjuntos.length,
+    });
+  } catch (error) {
+    console.error("❌ Error en getAdjuntos:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener los adjuntos",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Subir adjuntos a un registro (multipart/form-data, campo "archivos")
+ * POST /api/v1/{novedades|mantenimientos|abastecimientos}/:id/adjuntos
+ *
+ * @param {string} entidad - ENTIDADES_ADJUNTO (la indica la ruta)
+ */
+export const subirAdjuntos = async (req, res, entidad) => {
+  try {
+    const { id } = req.params;
+    const { categoria, descripcion } = req.body;
+
+    if (!(await cargarPadre(entidad, id))) return padreNoEncontrado(res, entidad);
+
+    const resultado = await guardarAdjuntos({
+      entidad,
+      entidadId: id,
+      archivos: req.files,
+      categoria,
+      descripcion,
+      usuarioId: req.user.id,
+    });
+
+    if (!resultado.ok) {
+      return res.status(resultado.status).json({
+        success: false,
+        message: resultado.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${resultado.data.length} adjunto(s) guardado(s) exitosamente`,
+      data: resultado.data,
+    });
+  } catch (error) {
+    console.error("❌ Error en subirAdjuntos:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al guardar los adjuntos",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Eliminar un adjunto (lógico: el archivo se conserva)
+ * DELETE /api/v1/{novedades|mantenimientos|abastecimientos}/:id/adjuntos/:adjuntoId
+ *
+ * @param {string} entidad - ENTIDADES_ADJUNTO (la indica la ruta)
+ */
+export const deleteAdjunto = async (req, res, entidad) => {
+  try {
+    const { id, adjuntoId } = req.params;
+
+    if (!(await cargarPadre(entidad, id))) return padreNoEncontrado(res, entidad);
+
+    const adjunto = await buscarAdjunto(entidad, id, adjuntoId);
+    if (!adjunto) {
+      return res.status(404).json({
+        success: false,
+        message: "Adjunto no encontrado",
+      });
+    }
+
+    await eliminarAdjunto(adjunto, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Adjunto eliminado exitosamente",
+      data: { id: adjunto.id },
+    });
+  } catch (error) {
+    console.error("❌ Error en deleteAdjunto:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al eliminar el adjunto",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Descargar un adjunto con URL firmada
+ * GET /api/v1/adjuntos/:id/descarga?variante=&exp=&firma=
+ */
+export const descargarAdjunto = async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const variante = req.query.variante || VARIANTES_ADJUNTO.ORIGINAL;
+    const { exp, firma } = req.query;
+
+    if (!verificarUrlDescarga({ id, variante, exp, firma })) {
+      return res.status(403).json({
+        success: false,
+        message: "URL de descarga inválida o vencida",
+      });
+    }
+
+    const descarga = await abrirDescarga(id, variante);
+    if (!descarga) {
+      return res.status(404).json({
+        success: false,
+        message: "Adjunto no encontrado",
+      });
+    }
+
+    const { adjunto, stream, tamano, mimeType } = descarga;
+    const nombre =
+      variante === VARIANTES_ADJUNTO.MINIATURA ? `miniatura-${adjunto.id}.webp` : adjunto.nombre_original;
+
+    res.set({
+      "Content-Type": mimeType,
+      "Content-Length": tamano,
+      "Content-Disposition": `inline; filename*=UTF-8''${encodeURIComponent(nombre)}`,
+      "Cache-Control": `private, max-age=${Math.max(Number(exp) - Math.floor(Date.now() / 1000), 0)}`,
+      // helmet envía same-origin; el frontend usa la URL en <img>/<audio>
+      "Cross-Origin-Resource-Policy": "cross-origin",
+    });
+    if (variante === VARIANTES_ADJUNTO.ORIGINAL) {
+      res.set({ ETag: `"${adjunto.sha256}"`, "X-Content-SHA256": adjunto.sha256 });
+    }
+
+    stream.on("error", (error) => {
+      console.error("❌ Error leyendo el adjunto:", error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error("❌ Error en descargarAdjunto:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al descargar el adjunto",
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  getAdjuntos,
+  subirAdjuntos,
+  deleteAdjunto,
+  descargarAdjunto,
+};
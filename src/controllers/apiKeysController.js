@@ -0,0 +1,286 @@
+/**
+ * ===================================================
+ * CONTROLADOR: apiKeysController.js
+ * ===================================================
+ *
+ * Ruta: src/controllers/apiKeysController.js
+ *
+ * Descripción:
+ * Administración de API keys para clientes de máquina (integraciones
+ * CAD, mcp-server). Cada key pertenece a un Usuario de servicio y sus
+ * scopes son un subconjunto de los permisos de ese usuario. La key en
+ * claro solo se devuelve al crearla.
+ *
+ * Endpoints:
+ * - GET    /api-keys      - Listar keys
+ * - GET    /api-keys/:id  - Detalle (último uso, scopes)
+ * - POST   /api-keys      - Crear key
+ * - DELETE /api-keys/:id  - Revocar key
+ *
+ * @module controllers/apiKeysController
+ * @author Sistema de Seguridad Ciudadana
+ * @version 1.0.0
+ * @date 2026-10-18
+ */
+
+import authConfig from "../config/auth.js";
+import {
+  obtenerUsuarioConPermisos,
+  scopesNoPermitidos,
+  crearApiKey,
+  listarApiKeys,
+  obtenerApiKey,
+  serializarApiKey,
+  revocarApiKey,
+} from "../services/apiKeysService.js";
+import { registrarAccionManual } from "../middlewares/auditoriaAccionMiddleware.js";
+
+/**
+ * GET /api/v1/api-keys
+ * Lista las API keys (por defecto solo las vigentes)
+ *
+ * @async
+ * @param {Object} req - Request de Express
+ * @param {string} [req.query.usuario_id] - Filtrar por usuario de servicio
+ * @param {string} [req.query.incluir_revocadas] - "true" para incluir revocadas/vencidas
+ * @param {Object} res - Response de Express
+ * @returns {Object} JSON con las keys (sin secreto)
+ */
+export const getApiKeys = async (req, res) => {
+  try {
+    const { usuario_id, incluir_revocadas } = req.query;
+
+    const registros = await listarApiKeys({
+      usuarioId: usuario_id ? parseInt(usuario_id) : null,
+      incluirRevocadas: incluir_revocadas === "true",
+    });
+
+    res.json({
+      success: true,
+      data: registros.map(serializarApiKey),
+    });
+  } catch (error) {
+    console.error("❌ Error en getApiKeys:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener API keys",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * GET /api/v1/api-keys/:id
+ * Detalle de una API key
+ *
+ * @async
+ * @param {Object} req - Request de Express
+ * @param {string} req.params.id - ID de la key
+ * @param {Object} res - Response de Express
+ * @returns {Object} JSON con la key (sin secreto)
+ */
+export const getApiKeyById = async (req, res) => {
+  try {
+    const registro = await obtenerApiKey(req.params.id);
+
+    if (!registro) {
+      return res.status(404).json({
+        success: false,
+        message: "API key no encontrada",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: serializarApiKey(registro),
+    });
+  } catch (error) {
+    console.error("❌ Error en getApiKeyById:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener API key",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * POST /api/v1/api-keys
+ * Crea una API key para un usuario de servicio
+ *
+ * @async
+ * @param {Object} req - Request de Express
+ * @param {number} req.body.usuario_id - Usuario de servicio
+ * @param {string} req.body.nombre - Nombre descriptivo
+ * @param {Array<string>} req.body.scopes - Slugs de permisos del usuario
+ * @param {string} [req.body.expires_at] - Vencimiento ISO (por defecto apiKeys.defaultExpiresInMs)
+ * @param {Object} res - Response de Express
+ * @returns {Object} JSON con la key en claro (única vez que se muestra)
+ *
+ * @example
+ * // Request
+ * {
+ *   "usuario_id": 15,
+ *   "nombre": "CAD Central",
+ *   "scopes": ["novedades.incidentes.read", "novedades.incidentes.create"],
+ *   "expires_at": "2027-04-18T00:00:00.000Z"
+ * }
+ *
+ * // Response 201
+ * {
+ *   "success": true,
+ *   "message": "API key creada. Guárdela ahora: no se volverá a mostrar.",
+ *   "data": {
+ *     "id": 120,
+ *     "nombre": "CAD Central",
+ *     "prefijo": "csk_3f9a1c2b",
+ *     "api_key": "csk_3f9a1c2b..._...",
+ *     ...
+ *   }
+ * }
+ */
+export const createApiKey = async (req, res) => {
+  try {
+    const { usuario_id, nombre, scopes, expires_at } = req.body;
+    const { defaultExpiresInMs, maxExpiresInMs } = authConfig.apiKeys;
+
+    const usuario = await obtenerUsuarioConPermisos(usuario_id);
+
+    if (!usuario) {
+      return res.status(404).json({
+        success: false,
+        message: "Usuario no encontrado",
+      });
+    }
+
+    if (usuario.estado !== "ACTIVO") {
+      return res.status(400).json({
+        success: false,
+        message: `No se puede crear una API key para un usuario ${usuario.estado.toLowerCase()}`,
+      });
+    }
+
+    // Los scopes deben ser permisos que el usuario de servicio ya tiene
+    const invalidos = scopesNoPermitidos(usuario, scopes);
+    if (invalidos.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Algunos scopes no son permisos del usuario de servicio",
+        scopesInvalidos: invalidos,
+      });
+    }
+
+    const ahora = Date.now();
+    const expiresAt = expires_at
+      ? new Date(expires_at)
+      : new Date(ahora + defaultExpiresInMs);
+
+    if (expiresAt.getTime() <= ahora || expiresAt.getTime() > ahora + maxExpiresInMs) {
+      return res.status(400).json({
+        success: false,
+        message: `expires_at debe ser una fecha futura dentro de ${Math.round(maxExpiresInMs / 86400000)} días`,
+      });
+    }
+
+    const { apiKey, registro } = await crearApiKey({
+      usuario,
+      nombre: nombre.trim(),
+      scopes,
+      expiresAt,
+      creadoPor: req.user.id,
+      req,
+    });
+
+    await registrarAccionManual(req, {
+      accion: "API_KEY_CREATE",
+      entidad: "Usuario",
+      entidad_id: usuario.id,
+      descripcion: `API key "${registro.nombre}" creada para ${usuario.username} con ${registro.scopes.length} scope(s)`,
+      severidad: "ALTA",
+      modulo: "Usuarios",
+      resultado: "EXITO",
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "API key creada. Guárdela ahora: no se volverá a mostrar.",
+      data: {
+        ...serializarApiKey(registro),
+        usuario: { id: usuario.id, username: usuario.username },
+        api_key: apiKey,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error en createApiKey:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al crear API key",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * DELETE /api/v1/api-keys/:id
+ * Revoca una API key (deja de autenticar de inmediato)
+ *
+ * @async
+ * @param {Object} req - Request de Express
+ * @param {string} req.params.id - ID de la key
+ * @param {Object} res - Response de Express
+ * @returns {Object} JSON confirmando
+ */
+export const revokeApiKey = async (req, res) => {
+  try {
+    const registro = await obtenerApiKey(req.params.id);
+
+    if (!registro) {
+      return res.status(404).json({
+        success: false,
+        message: "API key no encontrada",
+      });
+    }
+
+    if (registro.revoked_at) {
+      return res.status(400).json({
+        success: false,
+        message: "La API key ya está revocada",
+      });
+    }
+
+    await revocarApiKey(registro, {
+      revocadoPor: req.user.id,
+      motivo: req.body?.motivo || "revocada",
+    });
+
+    await registrarAccionManual(req, {
+      accion: "API_KEY_REVOKE",
+      entidad: "Usuario",
+      entidad_id: registro.usuario_id,
+      descripcion: `API key "${registro.nombre}" revocada`,
+      severidad: "ALTA",
+      modulo: "Usuarios",
+      resultado: "EXITO",
+    });
+
+    res.json({
+      success: true,
+      message: "API key revocada",
+      data: serializarApiKey(registro),
+    });
+  } catch (error) {
+    console.error("❌ Error en revokeApiKey:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al revocar API key",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+export default {
+  getApiKeys,
+  getApiKeyById,
+  createApiKey,
+  revokeApiKey,
+};
@@ -20,10 +20,12 @@
  *
  * Características:
  * - Autenticación con JWT (Access + Refresh tokens)
- * - Control de intentos fallidos de login
- * - Bloqueo temporal de usuarios tras múltiples intentos
+ * - Control de intentos fallidos de login (login_intentos)
+ * - Bloqueo progresivo por usuario y por IP, con indicador de CAPTCHA
+ * - Alertas de login desde IP o dispositivo nuevo
  * - Registro de nuevos usuarios con asignación de roles
  * - Cambio y recuperación de contraseña
+ * - Verificación de email
  * - Gestión de sesiones y tokens
  * - Integración con sistema RBAC
  *
@@ -38,62 +40,59 @@
 
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
-import { Usuario, Rol, Permiso, UsuarioRol } from "../models/index.js";
+import {
+  Usuario,
+  Rol,
+  Permiso,
+  UsuarioRol,
+  PasswordReset,
+  TokenAcceso,
+  sequelize,
+} from "../models/index.js";
 import { Op } from "sequelize";
-
-// ==========================================
-// CONFIGURACIÓN Y CONSTANTES
-// ==========================================
-
-/**
- * Número máximo de intentos fallidos antes de bloquear
- * @constant {number}
- */
-const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
-
-/**
- * Tiempo de bloqueo tras exceder intentos
- * Formato: "15m" = 15 minutos
- * @constant {string}
- */
-const LOCK_TIME = process.env.LOCK_TIME || "15m";
-
-/**
- * Longitud mínima de contraseña
- * @constant {number}
- */
-const MIN_PASSWORD_LENGTH = 8;
-
-/**
- * Duración del access token
- * @constant {string}
- */
-const JWT_ACCESS_EXPIRATION = process.env.JWT_ACCESS_EXPIRATION || "2h";
-
-/**
- * Duración del refresh token
- * @constant {string}
- */
-const JWT_REFRESH_EXPIRATION = process.env.JWT_REFRESH_EXPIRATION || "7d";
-
-/**
- * Convierte el formato de tiempo (15m, 2h) a milisegundos
- * @private
- * @param {string} timeStr - Tiempo en formato "15m" o "2h"
- * @returns {number} Tiempo en milisegundos
- */
-const parseTimeToMilliseconds = (timeStr) => {
-  const match = timeStr.match(/^(\d+)([mh])$/);
-  if (!match) return 15 * 60 * 1000; // Default 15 minutos
-
-  const value = parseInt(match[1]);
-  const unit = match[2];
-
-  if (unit === "m") return value * 60 * 1000;
-  if (unit === "h") return value * 60 * 60 * 1000;
-
-  return 15 * 60 * 1000;
-};
+import authConfig from "../config/auth.js";
+import {
+  generarTokenAleatorio,
+  hashToken,
+  compararHashes,
+} from "../utils/cryptoHelper.js";
+import { enviarEmailRecuperacionPassword } from "../services/emailService.js";
+import {
+  POLITICAS_EMAIL,
+  politicaEmailUsuario,
+  emitirVerificacionEmail,
+  puedeReenviarVerificacion,
+  confirmarVerificacionEmail,
+} from "../services/emailVerificationService.js";
+import {
+  obtenerPoliticaPassword,
+  validarPasswordUsuario,
+  registrarPasswordHistorial,
+  passwordExpirada,
+} from "../services/passwordPolicyService.js";
+import {
+  revocarSesionesUsuario,
+  obtenerSesionActiva,
+  registrarActividadSesion,
+  revocarSesion,
+  revocarSesionPorId,
+} from "../services/sesionesService.js";
+import {
+  MOTIVOS_REVOCACION,
+  construirRespuestaLogin,
+  emitirToken2FAPendiente,
+  rotarRefreshToken,
+} from "../services/authTokenService.js";
+import {
+  auditarAutenticacion,
+  registrarAccionManual,
+} from "../middlewares/auditoriaAccionMiddleware.js";
+import {
+  verificarBloqueoIp,
+  registrarLoginFallido,
+  registrarLoginExitoso,
+} from "../services/loginSeguridadService.js";
+import logger from "../utils/logger.js";
 
 // ==========================================
 // FUNCIONES AUXILIARES
@@ -116,25 +115,36 @@ const validarConfiguracionJWT = () => {
 };
 
 /**
- * Extrae permisos únicos de los roles de un usuario
+ * Responde un login completo: si el usuario tiene 2FA habilitado devuelve
+ * solo el token intermedio "2FA pendiente"; si no, el par access/refresh
  * @private
- * @param {Array} roles - Array de roles del usuario
- * @returns {Array} Array de slugs de permisos únicos
+ * @param {Object} req - Request de Express
+ * @param {Object} res - Response de Express
+ * @param {Object} usuario - Instancia de Usuario con roles y permisos
+ * @param {string} mensaje - Mensaje de éxito
+ * @returns {Promise<Object>} Respuesta JSON
  */
-const extraerPermisos = (roles) => {
-  const permisos = [];
-  if (roles) {
-    roles.forEach((rol) => {
-      if (rol.permisos) {
-        rol.permisos.forEach((permiso) => {
-          if (!permisos.includes(permiso.slug)) {
-            permisos.push(permiso.slug);
-          }
-        });
-      }
+const responderLoginCompleto = async (req, res, usuario, mensaje) => {
+  if (usuario.two_factor_enabled) {
+    console.log(`🔐 Login de ${usuario.username} requiere segundo factor`);
+    return res.json({
+      success: true,
+      requires2FA: true,
+      message: "Ingrese el código de su aplicación de autenticación",
+      data: {
+        twoFactorToken: emitirToken2FAPendiente(usuario),
+      },
     });
   }
-  return permisos;
+
+  const data = await construirRespuestaLogin(usuario, req);
+  console.log(`🔑 Tokens generados para usuario: ${usuario.username}`);
+
+  return res.json({
+    success: true,
+    message: mensaje,
+    data,
+  });
 };
 
 /**
@@ -206,11 +216,18 @@ export const register = async (req, res) => {
       });
     }
 
-    // Validar longitud de contraseña
-    if (password.length < MIN_PASSWORD_LENGTH) {
+    // Validar contraseña contra la política
+    const erroresPassword = await validarPasswordUsuario(password, {
+      username,
+      email,
+      nombres,
+      apellidos,
+    });
+    if (erroresPassword.length > 0) {
       return res.status(400).json({
         success: false,
-        message: `La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`,
+        message: "La contraseña no cumple la política de seguridad",
+        errors: erroresPassword,
       });
     }
 
@@ -261,6 +278,7 @@ export const register = async (req, res) => {
       username: normalizarCredencial(username),
       email: normalizarCredencial(email),
       password_hash,
+      password_changed_at: new Date(),
       nombres: nombres || null,
       apellidos: apellidos || null,
       telefono: telefono || null,
@@ -268,6 +286,8 @@ export const register = async (req, res) => {
       oauth_provider: "LOCAL",
     });
 
+    await registrarPasswordHistorial(nuevoUsuario.id, password_hash);
+
     // ==========================================
     // ASIGNAR ROL POR DEFECTO
     // ==========================================
@@ -288,8 +308,11 @@ export const register = async (req, res) => {
       });
     }
 
-    // TODO: Enviar email de verificación aquí
-    // await enviarEmailVerificacion(nuevoUsuario.email);
+    // ==========================================
+    // ENVIAR EMAIL DE VERIFICACIÓN
+    // ==========================================
+
+    await emitirVerificacionEmail(nuevoUsuario);
 
     // ==========================================
     // RESPUESTA EXITOSA
@@ -297,13 +320,15 @@ export const register = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: "Usuario registrado exitosamente",
+      message:
+        "Usuario registrado exitosamente. Revise su email para verificar la cuenta.",
       data: {
         id: nuevoUsuario.id,
         username: nuevoUsuario.username,
         email: nuevoUsuario.email,
         nombres: nuevoUsuario.nombres,
         apellidos: nuevoUsuario.apellidos,
+        email_verified: false,
       },
     });
   } catch (error) {
@@ -425,6 +450,34 @@ export const login = async (req, res) => {
       });
     }
 
+    // ==========================================
+    // BLOQUEO POR IP
+    // ==========================================
+
+    const estadoIp = await verificarBloqueoIp(ip_address);
+
+    if (estadoIp.bloqueadoHasta) {
+      const segundosRestantes = Math.ceil(
+        (estadoIp.bloqueadoHasta - new Date()) / 1000
+      );
+      console.log(`⚠️  Login rechazado desde IP bloqueada: ${ip_address}`);
+      res.set("Retry-After", String(segundosRestantes));
+      return res.status(429).json({
+        success: false,
+        message: `Demasiados intentos fallidos desde esta IP. Intente nuevamente en ${Math.ceil(segundosRestantes / 60)} minutos.`,
+        captchaRequired: true,
+        retryAfter: segundosRestantes,
+      });
+    }
+
+    // Datos comunes para registrar el intento en login_intentos
+    const intento = {
+      credencial,
+      ip: ip_address,
+      userAgent: user_agent,
+      fallosIp: estadoIp.fallos,
+    };
+
     // ==========================================
     // BÚSQUEDA DEL USUARIO
     // ==========================================
@@ -458,13 +511,17 @@ export const login = async (req, res) => {
 
     // Usuario no encontrado
     if (!usuario) {
-      // TODO: Registrar intento fallido en login_intentos
+      const { captchaRequired } = await registrarLoginFallido({
+        ...intento,
+        razon: "usuario_no_encontrado",
+      });
       console.log(
         `⚠️  Intento de login fallido: Usuario no encontrado - ${credencial}`
       );
       return res.status(401).json({
         success: false,
         message: "Credenciales incorrectas",
+        captchaRequired,
       });
     }
 
@@ -477,14 +534,26 @@ export const login = async (req, res) => {
       const minutosRestantes = Math.ceil(
         (new Date(usuario.locked_until) - new Date()) / 60000
       );
+      await registrarLoginFallido({
+        ...intento,
+        usuario,
+        razon: "usuario_bloqueado",
+      });
       return res.status(403).json({
         success: false,
         message: `Usuario bloqueado temporalmente. Intente nuevamente en ${minutosRestantes} minutos.`,
+        captchaRequired: true,
+        bloqueadoHasta: usuario.locked_until,
       });
     }
 
     // Verificar si el usuario está activo
     if (usuario.estado !== "ACTIVO") {
+      await registrarLoginFallido({
+        ...intento,
+        usuario,
+        razon: `usuario_${usuario.estado.toLowerCase()}`,
+      });
       console.log(
         `⚠️  Intento de login con usuario ${usuario.estado}: ${credencial}`
       );
@@ -505,33 +574,44 @@ export const login = async (req, res) => {
     );
 
     if (!passwordValido) {
-      // Incrementar intentos fallidos
-      const nuevosIntentos = usuario.failed_login_attempts + 1;
-      const datosActualizacion = {
-        failed_login_attempts: nuevosIntentos,
-      };
-
-      // Bloquear después de MAX_LOGIN_ATTEMPTS intentos
-      if (nuevosIntentos >= MAX_LOGIN_ATTEMPTS) {
-        const lockTimeMs = parseTimeToMilliseconds(LOCK_TIME);
-        datosActualizacion.locked_until = new Date(Date.now() + lockTimeMs);
-      }
-
-      await usuario.update(datosActualizacion);
+      // Incrementa intentos fallidos y aplica el bloqueo progresivo
+      const fallo = await registrarLoginFallido({
+        ...intento,
+        usuario,
+        razon: "password_incorrecto",
+      });
 
       console.log(
-        `⚠️  Intento ${nuevosIntentos} de login fallido para: ${credencial}`
+        `⚠️  Intento ${usuario.failed_login_attempts} de login fallido para: ${credencial}`
       );
 
-      // TODO: Registrar intento fallido en login_intentos
-
       return res.status(401).json({
         success: false,
         message: "Credenciales incorrectas",
-        intentosRestantes:
-          nuevosIntentos >= MAX_LOGIN_ATTEMPTS
-            ? 0
-            : MAX_LOGIN_ATTEMPTS - nuevosIntentos,
+        intentosRestantes: fallo.intentosRestantes,
+        captchaRequired: fallo.captchaRequired,
+        bloqueadoHasta: fallo.bloqueadoHasta || undefined,
+      });
+    }
+
+    // ==========================================
+    // VERIFICACIÓN DE EMAIL
+    // ==========================================
+
+    if (politicaEmailUsuario(usuario) === POLITICAS_EMAIL.BLOQUEAR) {
+      await registrarLoginFallido({
+        ...intento,
+        usuario,
+        razon: "email_no_verificado",
+      });
+      console.log(
+        `⚠️  Login rechazado por email sin verificar: ${usuario.username}`
+      );
+      return res.status(403).json({
+        success: false,
+        emailVerificationRequired: true,
+        message:
+          "Debe verificar su email antes de iniciar sesión. Revise su bandeja de entrada o solicite un nuevo enlace.",
       });
     }
 
@@ -550,86 +630,37 @@ export const login = async (req, res) => {
 
     console.log(`✅ Login exitoso: ${usuario.username} (ID: ${usuario.id})`);
 
-    // TODO: Registrar login exitoso en login_intentos y auditoria_acciones
+    // Registra el intento y alerta si la IP o el dispositivo son nuevos
+    await registrarLoginExitoso({ ...intento, usuario });
 
     // ==========================================
     // VERIFICAR CAMBIO DE CONTRASEÑA
     // ==========================================
 
+    // Una contraseña vencida activa el cambio obligatorio
+    const expirada = passwordExpirada(usuario);
+    if (expirada && !usuario.require_password_change) {
+      await usuario.update({ require_password_change: true });
+    }
+
     // Verificar si debe cambiar contraseña
     if (usuario.require_password_change) {
       return res.json({
         success: true,
         requirePasswordChange: true,
-        message: "Debe cambiar su contraseña antes de continuar",
+        passwordExpired: expirada,
+        message: expirada
+          ? "Su contraseña ha vencido. Debe cambiarla antes de continuar"
+          : "Debe cambiar su contraseña antes de continuar",
         userId: usuario.id,
       });
     }
 
     // ==========================================
-    // PREPARAR DATOS DEL TOKEN
-    // ==========================================
-
-    // Extraer permisos únicos
-    const permisos = extraerPermisos(usuario.roles);
-
-    // Generar payload del JWT
-    const payload = {
-      userId: usuario.id,
-      username: usuario.username,
-      email: usuario.email,
-      roles: usuario.roles.map((r) => r.slug),
-      permisos: permisos,
-    };
-
-    // ==========================================
-    // GENERAR TOKENS
-    // ==========================================
-
-    // Generar Access Token
-    const accessToken = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: JWT_ACCESS_EXPIRATION,
-    });
-
-    // Generar Refresh Token
-    const refreshToken = jwt.sign(
-      { userId: usuario.id },
-      process.env.JWT_REFRESH_SECRET,
-      { expiresIn: JWT_REFRESH_EXPIRATION }
-    );
-
-    console.log(`🔑 Tokens generados para usuario: ${usuario.username}`);
-
-    // TODO: Guardar refresh token en la tabla tokens_acceso
-
-    // ==========================================
-    // RESPUESTA EXITOSA
+    // SEGUNDO FACTOR O TOKENS
     // ==========================================
 
-    res.json({
-      success: true,
-      message: "Login exitoso",
-      data: {
-        accessToken,
-        refreshToken,
-        usuario: {
-          id: usuario.id,
-          username: usuario.username,
-          email: usuario.email,
-          personal_seguridad_id: usuario.personal_seguridad_id,
-          nombres: usuario.nombres,
-          apellidos: usuario.apellidos,
-          foto_perfil: usuario.foto_perfil,
-          roles: usuario.roles.map((r) => ({
-            id: r.id,
-            nombre: r.nombre,
-            slug: r.slug,
-            color: r.color,
-          })),
-          permisos: permisos,
-        },
-      },
-    });
+    return responderLoginCompleto(req, res, usuario, "Login exitoso");
   } catch (error) {
     console.error("❌ Error en login:", error);
     res.status(500).json({
@@ -646,14 +677,16 @@ export const login = async (req, res) => {
 
 /**
  * POST /api/v1/auth/refresh
- * Renueva el access token usando el refresh token
+ * Renueva el access token usando el refresh token.
+ * El refresh token es de un solo uso: se devuelve uno nuevo en cada
+ * llamada y presentar uno ya usado revoca la sesión completa.
  *
  * @async
  * @param {Object} req - Request de Express
  * @param {Object} req.body - Datos del refresh
  * @param {string} req.body.refreshToken - Refresh token válido
  * @param {Object} res - Response de Express
- * @returns {Object} JSON con nuevo access token
+ * @returns {Object} JSON con nuevo access token y nuevo refresh token
  *
  * @example
  * // Request
@@ -666,7 +699,8 @@ export const login = async (req, res) => {
  * {
  *   "success": true,
  *   "data": {
- *     "accessToken": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *     "accessToken": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...",
+ *     "refreshToken": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
  *   }
  * }
  */
@@ -730,36 +764,105 @@ export const refreshToken = async (req, res) => {
       });
     }
 
-    // TODO: Verificar que el refresh token exista en tokens_acceso y no esté revocado
-
     // ==========================================
-    // GENERAR NUEVO ACCESS TOKEN
+    // VERIFICAR TOKEN EN tokens_acceso Y ROTARLO
     // ==========================================
 
-    // Extraer permisos
-    const permisos = extraerPermisos(usuario.roles);
+    const resultado = await sequelize.transaction(async (transaction) => {
+      // Bloqueo de fila: dos refresh simultáneos con el mismo token no
+      // pueden rotarlo dos veces (el segundo se trata como reutilización)
+      const tokenRegistrado = decoded.jti
+        ? await TokenAcceso.findOne({
+          where: {
+            jti: decoded.jti,
+            usuario_id: usuario.id,
+            token_type: "REFRESH",
+          },
+          transaction,
+          lock: transaction.LOCK.UPDATE,
+        })
+        : null;
+
+      if (
+        !tokenRegistrado ||
+        !compararHashes(tokenRegistrado.token_hash, hashToken(refreshToken))
+      ) {
+        return { estado: "invalido" };
+      }
 
-    // Generar payload
-    const payload = {
-      userId: usuario.id,
-      username: usuario.username,
-      email: usuario.email,
-      roles: usuario.roles.map((r) => r.slug),
-      permisos: permisos,
-    };
+      if (tokenRegistrado.revoked_at) {
+        return tokenRegistrado.revocation_reason === MOTIVOS_REVOCACION.ROTADO
+          ? { estado: "reutilizado", tokenRegistrado }
+          : { estado: "invalido" };
+      }
 
-    // Generar nuevo access token
-    const newAccessToken = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: JWT_ACCESS_EXPIRATION,
+      const sesion = await obtenerSesionActiva(tokenRegistrado.sesion_id, usuario.id);
+      if (!sesion) {
+        return { estado: "invalido" };
+      }
+
+      const tokens = await rotarRefreshToken({
+        usuario,
+        sesion,
+        tokenAnterior: tokenRegistrado,
+        req,
+        transaction,
+      });
+
+      return { estado: "rotado", sesion, tokens };
     });
 
-    console.log(`🔄 Access token renovado para: ${usuario.username}`);
+    // ==========================================
+    // REUTILIZACIÓN DE UN TOKEN YA ROTADO
+    // ==========================================
+
+    if (resultado.estado === "reutilizado") {
+      const { tokenRegistrado } = resultado;
+
+      // El token fue robado o filtrado: se revoca toda la familia (sesión)
+      await revocarSesionPorId(tokenRegistrado.sesion_id, {
+        motivo: MOTIVOS_REVOCACION.REUSO_DETECTADO,
+      });
+
+      logger.logSecurity("refresh_token.reuse_detected", {
+        userId: usuario.id,
+        sesionId: tokenRegistrado.sesion_id,
+        jti: tokenRegistrado.jti,
+        ip: req.ip,
+      });
+
+      req.user = { id: usuario.id };
+      await registrarAccionManual(req, {
+        accion: "REFRESH_TOKEN_REUSE",
+        entidad: "Usuario",
+        entidad_id: usuario.id,
+        descripcion: `Reutilización de refresh token rotado (sesión ${tokenRegistrado.sesion_id}). Sesión revocada.`,
+        severidad: "CRITICA",
+        modulo: "Autenticacion",
+        resultado: "DENEGADO",
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: "Sesión finalizada por seguridad. Inicie sesión nuevamente.",
+      });
+    }
+
+    if (resultado.estado !== "rotado") {
+      console.log(`⚠️  Refresh token revocado o sin sesión para: ${usuario.username}`);
+      return res.status(401).json({
+        success: false,
+        message: "Sesión finalizada. Inicie sesión nuevamente.",
+      });
+    }
+
+    await registrarActividadSesion(resultado.sesion.id);
+
+    console.log(`🔄 Tokens rotados para: ${usuario.username}`);
 
     res.json({
       success: true,
-      data: {
-        accessToken: newAccessToken,
-      },
+      data: resultado.tokens,
     });
   } catch (error) {
     console.error("❌ Error en refreshToken:", error);
@@ -781,7 +884,7 @@ export const refreshToken = async (req, res) => {
  *
  * @async
  * @param {Object} req - Request de Express
- * @param {Object} req.usuario - Usuario autenticado (del middleware)
+ * @param {Object} req.user - Usuario autenticado (del middleware, con sid)
  * @param {Object} res - Response de Express
  * @returns {Object} JSON confirmando logout
  *
@@ -798,13 +901,17 @@ export const refreshToken = async (req, res) => {
  */
 export const logout = async (req, res) => {
   try {
-    const userId = req.usuario.userId;
+    const userId = req.user.id;
 
     console.log(`👋 Logout de usuario ID: ${userId}`);
 
-    // TODO: Revocar tokens en la tabla tokens_acceso
-    // TODO: Eliminar sesión activa en la tabla sesiones
-    // TODO: Registrar logout en auditoria_acciones
+    // Cerrar la sesión del token (revoca su refresh token)
+    const sesion = await obtenerSesionActiva(req.user.sid, userId);
+    if (sesion) {
+      await revocarSesion(sesion, { motivo: "logout", revocadoPor: userId });
+    }
+
+    await auditarAutenticacion(req, "LOGOUT", "EXITO", "Logout");
 
     res.json({
       success: true,
@@ -855,14 +962,6 @@ export const changePassword = async (req, res) => {
       });
     }
 
-    // Validar longitud mínima de la nueva contraseña
-    if (newPassword.length < MIN_PASSWORD_LENGTH) {
-      return res.status(400).json({
-        success: false,
-        message: `La nueva contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`,
-      });
-    }
-
     // Validar que las contraseñas no sean iguales
     if (currentPassword === newPassword) {
       return res.status(400).json({
@@ -900,8 +999,18 @@ export const changePassword = async (req, res) => {
       });
     }
 
-    // TODO: Verificar que la nueva contraseña no esté en el historial
-    // (consultar password_historial)
+    // ==========================================
+    // POLÍTICA DE CONTRASEÑAS (incluye historial)
+    // ==========================================
+
+    const erroresPassword = await validarPasswordUsuario(newPassword, usuario);
+    if (erroresPassword.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "La contraseña no cumple la política de seguridad",
+        errors: erroresPassword,
+      });
+    }
 
     // ==========================================
     // ACTUALIZAR CONTRASEÑA
@@ -919,6 +1028,8 @@ export const changePassword = async (req, res) => {
       updated_by: userId,
     });
 
+    await registrarPasswordHistorial(usuario.id, newPasswordHash);
+
     console.log(`🔐 Contraseña cambiada para usuario: ${usuario.username}`);
 
     res.json({
@@ -962,6 +1073,7 @@ export const getMe = async (req, res) => {
         exclude: [
           "password_hash",
           "two_factor_secret",
+          "two_factor_recovery_codes",
           "oauth_token",
           "oauth_refresh_token",
         ],
@@ -1058,13 +1170,6 @@ export const changePasswordRequired = async (req, res) => {
       });
     }
 
-    if (newPassword.length < MIN_PASSWORD_LENGTH) {
-      return res.status(400).json({
-        success: false,
-        message: `La nueva contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`,
-      });
-    }
-
     if (currentPassword === newPassword) {
       return res.status(400).json({
         success: false,
@@ -1098,6 +1203,15 @@ export const changePasswordRequired = async (req, res) => {
       });
     }
 
+    const erroresPassword = await validarPasswordUsuario(newPassword, usuario);
+    if (erroresPassword.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "La contraseña no cumple la política de seguridad",
+        errors: erroresPassword,
+      });
+    }
+
     const salt = await bcrypt.genSalt(10);
     const newHash = await bcrypt.hash(newPassword, salt);
 
@@ -1110,50 +1224,16 @@ export const changePasswordRequired = async (req, res) => {
       last_login_at: new Date(),
     });
 
-    validarConfiguracionJWT();
+    await registrarPasswordHistorial(usuario.id, newHash);
 
-    const permisos = extraerPermisos(usuario.roles);
-    const payload = {
-      userId: usuario.id,
-      username: usuario.username,
-      email: usuario.email,
-      roles: usuario.roles.map((r) => r.slug),
-      permisos,
-    };
+    validarConfiguracionJWT();
 
-    const accessToken = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: JWT_ACCESS_EXPIRATION,
-    });
-    const refreshToken = jwt.sign(
-      { userId: usuario.id },
-      process.env.JWT_REFRESH_SECRET,
-      { expiresIn: JWT_REFRESH_EXPIRATION }
+    return responderLoginCompleto(
+      req,
+      res,
+      usuario,
+      "Contraseña actualizada. Sesión iniciada exitosamente."
     );
-
-    res.json({
-      success: true,
-      message: "Contraseña actualizada. Sesión iniciada exitosamente.",
-      data: {
-        accessToken,
-        refreshToken,
-        usuario: {
-          id: usuario.id,
-          username: usuario.username,
-          email: usuario.email,
-          personal_seguridad_id: usuario.personal_seguridad_id,
-          nombres: usuario.nombres,
-          apellidos: usuario.apellidos,
-          foto_perfil: usuario.foto_perfil,
-          roles: usuario.roles.map((r) => ({
-            id: r.id,
-            nombre: r.nombre,
-            slug: r.slug,
-            color: r.color,
-          })),
-          permisos,
-        },
-      },
-    });
   } catch (error) {
     console.error("❌ Error en changePasswordRequired:", error);
     res.status(500).json({
@@ -1211,9 +1291,56 @@ export const forgotPassword = async (req, res) => {
       `📧 Solicitud de recuperación de contraseña para: ${usuario.username}`
     );
 
-    // TODO: Generar token de recuperación
-    // TODO: Guardar en password_resets
-    // TODO: Enviar email con el link de recuperación
+    // Solo usuarios activos pueden recuperar su contraseña
+    if (usuario.estado !== "ACTIVO" || usuario.deleted_at !== null) {
+      console.log(
+        `⚠️  Recuperación ignorada para usuario ${usuario.estado}: ${usuario.username}`
+      );
+      return res.json({
+        success: true,
+        message:
+          "Si el email existe, recibirás instrucciones para recuperar tu contraseña",
+      });
+    }
+
+    // ==========================================
+    // GENERAR TOKEN DE UN SOLO USO
+    // ==========================================
+
+    const { expiresInMs, url } = authConfig.tokens.passwordReset;
+    const token = generarTokenAleatorio();
+
+    // Invalidar solicitudes anteriores aún vigentes para este email
+    await PasswordReset.update(
+      { used_at: new Date() },
+      { where: { email: usuario.email, used_at: null } }
+    );
+
+    // En BD solo se guarda el hash del token
+    await PasswordReset.create({
+      email: usuario.email,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + expiresInMs),
+      ip_address: req.ip || req.connection?.remoteAddress || null,
+    });
+
+    // ==========================================
+    // ENVIAR EMAIL CON EL LINK
+    // ==========================================
+
+    const separador = url.includes("?") ? "&" : "?";
+    const enlace = `${url}${separador}token=${token}`;
+
+    try {
+      await enviarEmailRecuperacionPassword(
+        usuario,
+        enlace,
+        Math.round(expiresInMs / 60000)
+      );
+    } catch (error) {
+      // No revelar al cliente si el envío falló (evita enumeración)
+      console.error("❌ Error enviando email de recuperación:", error.message);
+    }
 
     res.json({
       success: true,
@@ -1230,6 +1357,316 @@ export const forgotPassword = async (req, res) => {
   }
 };
 
+// ==========================================
+// ENDPOINT: RESTABLECER CONTRASEÑA CON TOKEN
+// ==========================================
+
+/**
+ * POST /api/v1/auth/reset-password
+ * Restablece la contraseña usando el token enviado por email.
+ * El token es de un solo uso; al consumirlo se revocan todas las
+ * sesiones y tokens del usuario.
+ *
+ * @async
+ * @param {Object} req - Request de Express
+ * @param {Object} req.body - Datos del reset
+ * @param {string} req.body.token - Token recibido por email
+ * @param {string} req.body.newPassword - Nueva contraseña
+ * @param {Object} res - Response de Express
+ * @returns {Object} JSON confirmando el cambio
+ *
+ * @example
+ * // Request
+ * POST /api/v1/auth/reset-password
+ * {
+ *   "token": "9f2c...e1",
+ *   "newPassword": "NuevaClave123!"
+ * }
+ *
+ * // Response 200
+ * {
+ *   "success": true,
+ *   "message": "Contraseña restablecida exitosamente. Inicie sesión nuevamente."
+ * }
+ */
+export const resetPassword = async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const { token, newPassword } = req.body;
+
+    // ==========================================
+    // VALIDACIONES
+    // ==========================================
+
+    if (!token || !newPassword) {
+      await t.rollback();
+      return res.status(400).json({
+        success: false,
+        message: "token y newPassword son requeridos",
+      });
+    }
+
+    // ==========================================
+    // VALIDAR TOKEN
+    // ==========================================
+
+    const solicitud = await PasswordReset.findOne({
+      where: {
+        token_hash: hashToken(token),
+        used_at: null,
+        expires_at: { [Op.gt]: new Date() },
+      },
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+
+    if (!solicitud) {
+      await t.rollback();
+      return res.status(400).json({
+        success: false,
+        message: "El enlace de recuperación es inválido o ha expirado",
+      });
+    }
+
+    const usuario = await Usuario.findOne({
+      where: { email: solicitud.email, deleted_at: null },
+      transaction: t,
+    });
+
+    if (!usuario || usuario.estado !== "ACTIVO") {
+      await t.rollback();
+      return res.status(400).json({
+        success: false,
+        message: "El enlace de recuperación es inválido o ha expirado",
+      });
+    }
+
+    // ==========================================
+    // POLÍTICA DE CONTRASEÑAS (incluye historial)
+    // ==========================================
+
+    const erroresPassword = await validarPasswordUsuario(newPassword, usuario);
+    if (erroresPassword.length > 0) {
+      await t.rollback();
+      return res.status(400).json({
+        success: false,
+        message: "La contraseña no cumple la política de seguridad",
+        errors: erroresPassword,
+      });
+    }
+
+    // ==========================================
+    // ACTUALIZAR CONTRASEÑA
+    // ==========================================
+
+    const salt = await bcrypt.genSalt(10);
+    const newHash = await bcrypt.hash(newPassword, salt);
+
+    await usuario.update(
+      {
+        password_hash: newHash,
+        password_changed_at: new Date(),
+        require_password_change: false,
+        failed_login_attempts: 0,
+        locked_until: null,
+        updated_by: usuario.id,
+      },
+      { transaction: t, currentUser: usuario.id, ipAddress: req.ip }
+    );
+
+    await registrarPasswordHistorial(usuario.id, newHash, { transaction: t });
+
+    // Consumir el token (un solo uso)
+    await solicitud.update({ used_at: new Date() }, { transaction: t });
+
+    // Cerrar todas las sesiones abiertas del usuario
+    await revocarSesionesUsuario(usuario.id, {
+      motivo: "password_reset",
+      revocadoPor: usuario.id,
+      transaction: t,
+    });
+
+    await t.commit();
+
+    console.log(
+      `🔐 Contraseña restablecida vía email para usuario: ${usuario.username}`
+    );
+
+    res.json({
+      success: true,
+      message:
+        "Contraseña restablecida exitosamente. Inicie sesión nuevamente.",
+    });
+  } catch (error) {
+    if (!t.finished) await t.rollback();
+    console.error("❌ Error en resetPassword:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al restablecer contraseña",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// ==========================================
+// ENDPOINT: VERIFICAR EMAIL
+// ==========================================
+
+/**
+ * GET /api/v1/auth/verify-email/:token
+ * Confirma el email del usuario con el token enviado por correo.
+ * El token es de un solo uso y solo vale para el email al que se envió.
+ *
+ * @async
+ * @param {Object} req - Request de Express
+ * @param {string} req.params.token - Token recibido en el enlace
+ * @param {Object} res - Response de Express
+ * @returns {Object} JSON confirmando la verificación
+ */
+export const verifyEmail = async (req, res) => {
+  try {
+    const resultado = await confirmarVerificacionEmail(req.params.token);
+
+    if (resultado.motivo) {
+      return res.status(400).json({
+        success: false,
+        message:
+          resultado.motivo === "email_cambiado"
+            ? "El email de la cuenta cambió. Solicite un nuevo enlace de verificación."
+            : "El enlace de verificación es inválido o ha expirado",
+        motivo: resultado.motivo,
+      });
+    }
+
+    const { usuario } = resultado;
+    console.log(`📧 Email verificado para usuario: ${usuario.username}`);
+
+    res.json({
+      success: true,
+      message: "Email verificado exitosamente",
+      data: {
+        email: usuario.email,
+        email_verified_at: usuario.email_verified_at,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error en verifyEmail:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al verificar email",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// ==========================================
+// ENDPOINT: REENVIAR EMAIL DE VERIFICACIÓN
+// ==========================================
+
+/**
+ * POST /api/v1/auth/verify-email/resend
+ * Reenvía el enlace de verificación. Responde siempre lo mismo para no
+ * revelar qué emails existen; los reenvíos a un mismo usuario se limitan
+ * a uno cada tokens.emailVerification.resendIntervalMs.
+ *
+ * @async
+ * @param {Object} req - Request de Express
+ * @param {string} req.body.email - Email de la cuenta
+ * @param {Object} res - Response de Express
+ * @returns {Object} JSON genérico
+ */
+export const resendVerificationEmail = async (req, res) => {
+  const respuestaGenerica = {
+    success: true,
+    message:
+      "Si el email corresponde a una cuenta pendiente de verificación, recibirás un nuevo enlace",
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email es requerido",
+      });
+    }
+
+    const usuario = await Usuario.findOne({
+      where: { email: normalizarCredencial(email) },
+    });
+
+    if (!usuario || usuario.email_verified_at || usuario.estado !== "ACTIVO") {
+      return res.json(respuestaGenerica);
+    }
+
+    if (!(await puedeReenviarVerificacion(usuario))) {
+      console.log(
+        `⚠️  Reenvío de verificación ignorado (intervalo mínimo): ${usuario.username}`
+      );
+      return res.json(respuestaGenerica);
+    }
+
+    await emitirVerificacionEmail(usuario);
+    console.log(`📧 Enlace de verificación reenviado a: ${usuario.username}`);
+
+    res.json(respuestaGenerica);
+  } catch (error) {
+    console.error("❌ Error en resendVerificationEmail:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al procesar solicitud",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// ==========================================
+// ENDPOINT: POLÍTICA DE CONTRASEÑAS
+// ==========================================
+
+/**
+ * GET /api/v1/auth/password-policy
+ * Publica la política de contraseñas vigente para que el frontend
+ * valide mientras el usuario escribe. Es la misma que aplican el
+ * registro, los cambios y los resets.
+ *
+ * @async
+ * @param {Object} req - Request de Express
+ * @param {Object} res - Response de Express
+ * @returns {Object} JSON con las reglas
+ *
+ * @example
+ * // Response 200
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "minLength": 8,
+ *     "requireUppercase": true,
+ *     "requireSpecialChar": true,
+ *     "specialChars": "!@#$%^&*()_+-=[]{}|;:,.<>?",
+ *     "historyCount": 5,
+ *     "expirationDays": 90,
+ *     ...
+ *   }
+ * }
+ */
+export const getPasswordPolicy = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: obtenerPoliticaPassword(),
+    });
+  } catch (error) {
+    console.error("❌ Error en getPasswordPolicy:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener política de contraseñas",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 // ==========================================
 // ENDPOINT DE DEBUG (SOLO DESARROLLO)
 // ==========================================
@@ -1347,5 +1784,9 @@ export default {
   changePassword,
   getMe,
   forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  getPasswordPolicy,
   debugToken,
 };
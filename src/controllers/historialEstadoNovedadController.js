@@ -24,10 +24,16 @@ import {
 } from "../models/index.js";
 import { getNowInTimezone, rawDate } from "../utils/dateHelper.js";
 import sequelize from "../config/database.js";
+import { publicarCambioEstado } from "../services/novedadesEventosService.js";
+import { validarTransicion } from "../services/estadoNovedadTransicionesService.js";
+import { idsHistorialUnificado } from "../services/novedadDuplicadosService.js";
+import { Op } from "sequelize";
 
 /**
  * Obtener historial de estados de una novedad
  * GET /api/v1/novedades/:novedadId/historial
+ *
+ * Incluye el historial de las novedades fusionadas en ella.
  */
 export const getHistorialByNovedad = async (req, res) => {
   try {
@@ -45,9 +51,16 @@ export const getHistorialByNovedad = async (req, res) => {
       });
     }
 
+    const ids = await idsHistorialUnificado(novedad.id);
+
     const historial = await HistorialEstadoNovedad.findAll({
-      where: { novedad_id: novedadId },
+      where: { novedad_id: { [Op.in]: ids } },
       include: [
+        {
+          model: Novedad,
+          as: "historialEstadoNovedades",
+          attributes: ["id", "novedad_code"],
+        },
         {
           model: EstadoNovedad,
           as: "estadoAnterior",
@@ -157,6 +170,25 @@ export const createHistorialEstado = async (req, res) => {
       }
     }
 
+    // Si la novedad cambia de estado aquí, el cambio debe estar en el grafo de transiciones
+    if (Number(estadoNuevoId) !== Number(novedad.estado_novedad_id)) {
+      const transicion = await validarTransicion({
+        novedad,
+        estadoDestinoId: estadoNuevoId,
+        observaciones,
+        user: req.user,
+      });
+
+      if (!transicion.ok) {
+        return res.status(transicion.status).json({
+          success: false,
+          message: transicion.message,
+          code: transicion.code,
+          ...(transicion.faltantes && { data: { faltantes: transicion.faltantes } }),
+        });
+      }
+    }
+
     // El cálculo de tiempo_en_estado_min ahora lo maneja automáticamente el trigger
 
     // Crear registro en historial
@@ -174,11 +206,22 @@ export const createHistorialEstado = async (req, res) => {
     });
 
     // Solo actualizar estado de la novedad si realmente cambió
+    const estadoActualId = novedad.estado_novedad_id;
     if (estadoNuevoId !== estadoAnteriorId) {
       await novedad.update({
         estado_novedad_id: estadoNuevoId,
         updated_by: req.user.id,
       });
+
+      // El estado anterior puede venir del cache de asignarRecursos, que ya
+      // notificó la transición: solo se publica si la novedad cambió aquí
+      if (Number(estadoNuevoId) !== Number(estadoActualId)) {
+        await publicarCambioEstado(novedad, req.user.id, {
+          estadoAnteriorId: estadoActualId,
+          estadoNuevoId: Number(estadoNuevoId),
+          observaciones,
+        });
+      }
     }
 
     // Obtener el registro con las relaciones
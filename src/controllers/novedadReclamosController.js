@@ -0,0 +1,173 @@
+/**
+ * ===================================================
+ * CONTROLADOR: Reclamos de Novedades
+ * ===================================================
+ *
+ * Ruta: src/controllers/novedadReclamosController.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Características:
+ * - Consultar quién atiende una novedad
+ * - Reclamar / renovar (heartbeat) el reclamo
+ * - Liberar el reclamo
+ * - Supervisión: tomar o liberar el reclamo de otro usuario (forzar)
+ *
+ * Los clientes WebSocket usan los mensajes equivalentes
+ * (reclamar_novedad / liberar_novedad); ver novedadReclamosService.
+ *
+ * @module controllers/novedadReclamosController
+ * @version 1.0.0
+ */
+
+import { Novedad } from "../models/index.js";
+import {
+  TTL_RECLAMO_MS,
+  obtenerReclamo,
+  reclamarNovedad,
+  liberarNovedad,
+} from "../services/novedadReclamosService.js";
+import { ROLES_SUPERVISION } from "../services/novedadConcurrenciaService.js";
+
+/**
+ * Novedad activa por ID
+ * @private
+ */
+const buscarNovedad = (id) =>
+  Novedad.findOne({ where: { id, estado: 1, deleted_at: null } });
+
+/**
+ * El usuario pidió forzar y tiene rol de supervisión
+ * @private
+ */
+const puedeForzar = (req) => {
+  const forzar = req.body?.forzar ?? req.query.forzar;
+  if (forzar !== true && forzar !== "true") return false;
+  return (req.user.rolSlugs || []).some((r) => ROLES_SUPERVISION.includes(r));
+};
+
+/**
+ * Obtener el reclamo vigente de una novedad
+ * GET /api/v1/novedades/:id/claim
+ */
+export const getReclamo = async (req, res) => {
+  try {
+    const novedad = await buscarNovedad(req.params.id);
+
+    if (!novedad) {
+      return res.status(404).json({
+        success: false,
+        message: "Novedad no encontrada",
+      });
+    }
+
+    const reclamo = await obtenerReclamo(novedad.id);
+
+    res.status(200).json({
+      success: true,
+      message: reclamo ? "La novedad está reclamada" : "La novedad no está reclamada",
+      data: reclamo,
+    });
+  } catch (error) {
+    console.error("❌ Error en getReclamo:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener el reclamo",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Reclamar una novedad o renovar el reclamo propio (heartbeat)
+ * POST /api/v1/novedades/:id/claim
+ *
+ * El reclamo vence a los NOVEDAD_CLAIM_TTL_SEC segundos; el cliente
+ * debe reenviar esta petición antes de que venza. Con { forzar: true }
+ * la supervisión toma el reclamo de otro usuario.
+ */
+export const reclamar = async (req, res) => {
+  try {
+    const novedad = await buscarNovedad(req.params.id);
+
+    if (!novedad) {
+      return res.status(404).json({
+        success: false,
+        message: "Novedad no encontrada",
+      });
+    }
+
+    const { ok, reclamo } = await reclamarNovedad(novedad, req.user, {
+      forzar: puedeForzar(req),
+    });
+
+    if (!ok) {
+      return res.status(409).json({
+        success: false,
+        message: `La novedad está siendo atendida por ${reclamo.username}`,
+        code: "NOVEDAD_RECLAMADA",
+        data: reclamo,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Novedad reclamada exitosamente",
+      data: { ...reclamo, ttl_segundos: TTL_RECLAMO_MS / 1000 },
+    });
+  } catch (error) {
+    console.error("❌ Error en reclamar:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al reclamar la novedad",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Liberar el reclamo de una novedad
+ * DELETE /api/v1/novedades/:id/claim
+ *
+ * Solo el usuario que la reclamó, o la supervisión con ?forzar=true.
+ */
+export const liberar = async (req, res) => {
+  try {
+    const novedad = await buscarNovedad(req.params.id);
+
+    if (!novedad) {
+      return res.status(404).json({
+        success: false,
+        message: "Novedad no encontrada",
+      });
+    }
+
+    const vigente = await obtenerReclamo(novedad.id);
+    const forzar = puedeForzar(req);
+
+    if (vigente && vigente.usuario_id !== req.user.id && !forzar) {
+      return res.status(403).json({
+        success: false,
+        message: `Solo ${vigente.username} o un supervisor pueden liberar esta novedad`,
+        code: "NOVEDAD_RECLAMADA",
+        data: vigente,
+      });
+    }
+
+    const liberada = await liberarNovedad(novedad, req.user, { forzar });
+
+    res.status(200).json({
+      success: true,
+      message: liberada ? "Reclamo liberado exitosamente" : "La novedad no estaba reclamada",
+      data: { novedad_id: novedad.id, liberada },
+    });
+  } catch (error) {
+    console.error("❌ Error en liberar:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al liberar el reclamo",
+      error: error.message,
+    });
+  }
+};
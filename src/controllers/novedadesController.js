@@ -48,12 +48,219 @@ import {
 import sequelize from "../config/database.js";
 import { Op } from "sequelize";
 import { DEFAULT_UBIGEO_CODE } from "../config/constants.js";
-import { broadcastEvent } from "../utils/sse-manager.js";
+import {
+  EVENTOS_NOVEDAD,
+  diffNovedad,
+  publicarEventoNovedad,
+  publicarCambioEstado,
+  obtenerEsquemaEventos,
+} from "../services/novedadesEventosService.js";
+import {
+  etagNovedad,
+  evaluarPrecondicion,
+  reclamoAjeno,
+} from "../services/novedadConcurrenciaService.js";
+import {
+  CAMPOS_EXIGIBLES,
+  validarTransicion,
+  validarEdicion,
+  estadosSiguientes,
+} from "../services/estadoNovedadTransicionesService.js";
+import {
+  buscarPosiblesDuplicados,
+  idsHistorialUnificado,
+  fusionarNovedad,
+} from "../services/novedadDuplicadosService.js";
+import { recomendarUnidades } from "../services/recomendacionUnidadesService.js";
+import {
+  resolverAsignacionTerritorial,
+  reasignarTerritorio,
+} from "../services/asignacionTerritorialService.js";
+import {
+  ATRIBUTOS_GEOJSON,
+  esSolicitudGeoJson,
+  construirFiltroGeografico,
+  aFeatureCollection,
+} from "../services/novedadesGeoService.js";
 import { getNowInTimezone, convertToTimezone, getDateInTimezone, rawDate } from "../utils/dateHelper.js";
 
+/**
+ * Campos que PUT /novedades/:id puede modificar: los del registro, los
+ * que una transición de estado puede exigir (se envían junto con el
+ * cambio de estado) y el personal de apoyo. Los demás los asigna el
+ * servidor (código, auditoría, usuario de despacho, versión, SLA,
+ * territorio, tiempos) o tienen su propio endpoint (fusión).
+ * @private
+ */
+const CAMPOS_EDITABLES_NOVEDAD = [
+  ...CAMPOS_EXIGIBLES,
+  "tipo_novedad_id",
+  "subtipo_novedad_id",
+  "estado_novedad_id",
+  "fecha_hora_ocurrencia",
+  "localizacion",
+  "referencia_ubicacion",
+  "latitud",
+  "longitud",
+  "ubigeo_code",
+  "origen_llamada",
+  "reportante_nombre",
+  "reportante_telefono",
+  "reportante_doc_identidad",
+  "es_anonimo",
+  "descripcion",
+  "observaciones",
+  "sector_id",
+  "cuadrante_id",
+  "direccion_id",
+  "radio_tetra_id",
+  "prioridad_actual",
+  "gravedad",
+  "personal_seguridad2_id",
+  "personal_seguridad3_id",
+  "personal_seguridad4_id",
+  "requiere_seguimiento",
+  "fecha_proxima_revision",
+  "parte_adjuntos",
+  "fotos_adjuntas",
+  "videos_adjuntos",
+];
+
+/**
+ * Novedad con las relaciones que devuelve la edición
+ * @private
+ */
+const obtenerNovedadEditada = (id) =>
+  Novedad.findByPk(id, {
+    attributes: {
+      include: ["tiempo_respuesta_min", "tiempo_respuesta_min_operativo"] // Asegurar que estos campos se incluyan
+    },
+    include: [
+      { model: TipoNovedad, as: "novedadTipoNovedad" },
+      { model: SubtipoNovedad, as: "novedadSubtipoNovedad", attributes: ["id", "nombre", "tiempo_respuesta_min"] },
+      { model: EstadoNovedad, as: "novedadEstado" },
+      { model: Sector, as: "novedadSector" },
+      { model: Cuadrante, as: "novedadCuadrante" },
+      { model: UnidadOficina, as: "novedadUnidadOficina" },
+      { model: Vehiculo, as: "novedadVehiculo" },
+    ],
+  });
+
+/**
+ * Rechaza una edición obsoleta (If-Match / version distinta a la vigente)
+ * o de una novedad reclamada por otro usuario. Hace rollback y responde.
+ *
+ * @private
+ * @returns {Promise<boolean>} true si ya se respondió
+ */
+const rechazarEdicionConcurrente = async (req, res, novedad, transaction) => {
+  const precondicion = evaluarPrecondicion(req, novedad);
+  if (!precondicion.ok) {
+    await transaction.rollback();
+    res.set("ETag", etagNovedad(novedad));
+
+    if (precondicion.status === 428) {
+      res.status(428).json({
+        success: false,
+        message: precondicion.message,
+        code: "PRECONDICION_REQUERIDA",
+      });
+      return true;
+    }
+
+    res.status(409).json({
+      success: false,
+      message: precondicion.message,
+      code: "NOVEDAD_DESACTUALIZADA",
+      data: await obtenerNovedadEditada(novedad.id),
+    });
+    return true;
+  }
+
+  const reclamo = await reclamoAjeno(req, novedad);
+  if (reclamo) {
+    await transaction.rollback();
+    res.status(409).json({
+      success: false,
+      message: `La novedad está siendo atendida por ${reclamo.username}`,
+      code: "NOVEDAD_RECLAMADA",
+      data: { reclamo },
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Rechaza un cambio de estado fuera del grafo de transiciones (o sin los
+ * campos que exige) y las ediciones de una novedad en estado final.
+ * Hace rollback y responde.
+ *
+ * @private
+ * @returns {Promise<boolean>} true si ya se respondió
+ */
+const rechazarCambioEstadoInvalido = async (req, res, novedad, datos, observaciones, transaction) => {
+  const cambiaEstado =
+    datos.estado_novedad_id && Number(datos.estado_novedad_id) !== Number(novedad.estado_novedad_id);
+
+  const resultado = cambiaEstado
+    ? await validarTransicion({
+      novedad,
+      estadoDestinoId: datos.estado_novedad_id,
+      datos,
+      observaciones,
+      user: req.user,
+      transaction,
+    })
+    : await validarEdicion(novedad, transaction);
+
+  if (resultado.ok) return false;
+
+  await transaction.rollback();
+  res.status(resultado.status).json({
+    success: false,
+    message: resultado.message,
+    code: resultado.code,
+    ...(resultado.faltantes && { data: { faltantes: resultado.faltantes } }),
+  });
+  return true;
+};
+
+/**
+ * Atributos e includes del listado en formato GeoJSON: solo lo necesario
+ * para pintar miles de puntos en el mapa
+ * @private
+ */
+const opcionesListadoGeoJson = (creadorFilter, despachoFilter) => ({
+  attributes: ATRIBUTOS_GEOJSON,
+  include: [
+    {
+      model: TipoNovedad,
+      as: "novedadTipoNovedad",
+      attributes: ["id", "nombre", "color_hex", "icono"],
+    },
+    {
+      model: EstadoNovedad,
+      as: "novedadEstado",
+      attributes: ["id", "nombre", "color_hex", "icono"],
+    },
+    ...(creadorFilter
+      ? [{ model: Usuario, as: "creadorNovedad", attributes: [], where: creadorFilter, required: true }]
+      : []),
+    ...(despachoFilter
+      ? [{ model: Usuario, as: "usuarioDespachoNovedad", attributes: [], where: despachoFilter, required: true }]
+      : []),
+  ],
+});
+
 /**
  * Obtener todas las novedades con filtros
  * GET /api/v1/novedades
+ *
+ * Filtros geográficos: bbox, lat+lng+radio_m, poligono, dentro_cuadrante_id.
+ * Con Accept: application/geo+json (o formato=geojson) responde un
+ * FeatureCollection para el mapa.
  */
 export const getAllNovedades = async (req, res) => {
   try {
@@ -62,7 +269,10 @@ export const getAllNovedades = async (req, res) => {
       fecha_fin,
       estado_novedad_id,
       prioridad_actual,
+      sla_estado,
+      incluir_fusionadas,
       sector_id,
+      asignacion_territorial,
       tipo_novedad_id,
       origen_llamada,
       search,
@@ -74,11 +284,18 @@ export const getAllNovedades = async (req, res) => {
       order,
     } = req.query;
 
+    const geojson = esSolicitudGeoJson(req);
+
     const whereClause = {
       estado: 1,
       deleted_at: null,
     };
 
+    // Las novedades fusionadas se ven dentro de su principal
+    if (incluir_fusionadas !== "true") {
+      whereClause.novedad_padre_id = null;
+    }
+
     if (fecha_inicio && fecha_fin) {
       // Usar rawDate para que mysql2 no aplique conversión timezone
       whereClause.fecha_hora_ocurrencia = {
@@ -97,10 +314,19 @@ export const getAllNovedades = async (req, res) => {
       whereClause.prioridad_actual = prioridad_actual;
     }
 
+    if (sla_estado) {
+      whereClause.sla_estado = sla_estado;
+    }
+
     if (sector_id) {
       whereClause.sector_id = sector_id;
     }
 
+    // FUERA_DE_ZONA: coordenadas fuera de todos los cuadrantes y sectores
+    if (asignacion_territorial) {
+      whereClause.asignacion_territorial = asignacion_territorial;
+    }
+
     if (tipo_novedad_id) {
       whereClause.tipo_novedad_id = tipo_novedad_id;
     }
@@ -120,6 +346,17 @@ export const getAllNovedades = async (req, res) => {
       ];
     }
 
+    const filtroGeografico = await construirFiltroGeografico(req.query);
+    if (!filtroGeografico.ok) {
+      return res.status(filtroGeografico.status).json({
+        success: false,
+        message: filtroGeografico.message,
+      });
+    }
+    if (filtroGeografico.condiciones.length) {
+      whereClause[Op.and] = filtroGeografico.condiciones;
+    }
+
     const creadorFilter = created_by_username
       ? { username: { [Op.like]: `%${created_by_username}%` } }
       : null;
@@ -223,18 +460,30 @@ export const getAllNovedades = async (req, res) => {
       order: orderClause,
       limit: parseInt(limit),
       offset: parseInt(offset),
+      ...(geojson ? opcionesListadoGeoJson(creadorFilter, despachoFilter) : {}),
     });
 
+    const pagination = {
+      total: count,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      totalPages: Math.ceil(count / limit),
+    };
+
+    res.vary("Accept");
+
+    if (geojson) {
+      return res
+        .status(200)
+        .type("application/geo+json")
+        .send(JSON.stringify(aFeatureCollection(rows, pagination)));
+    }
+
     res.status(200).json({
       success: true,
       message: "Novedades obtenidas exitosamente",
       data: rows,
-      pagination: {
-        total: count,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        totalPages: Math.ceil(count / limit),
-      },
+      pagination,
     });
   } catch (error) {
     console.error("❌ Error en getAllNovedades:", error);
@@ -280,6 +529,28 @@ export const getNovedadById = async (req, res) => {
         { model: Usuario, as: "creadorNovedad", required: false, attributes: ["id", "username", "nombres", "apellidos"] },
         { model: Usuario, as: "actualizadorNovedad", required: false, attributes: ["id", "username", "nombres", "apellidos"] },
         { model: Usuario, as: "usuarioCierre", required: false, attributes: ["id", "username", "nombres", "apellidos"] },
+        { model: Usuario, as: "usuarioFusion", required: false, attributes: ["id", "username", "nombres", "apellidos"] },
+        { model: Novedad, as: "novedadPadre", required: false, attributes: ["id", "novedad_code", "estado_novedad_id", "fecha_hora_ocurrencia"] },
+        {
+          model: Novedad,
+          as: "novedadesFusionadas",
+          required: false,
+          separate: true,
+          where: { deleted_at: null },
+          attributes: [
+            "id",
+            "novedad_code",
+            "fecha_hora_ocurrencia",
+            "fecha_hora_reporte",
+            "origen_llamada",
+            "reportante_nombre",
+            "reportante_telefono",
+            "es_anonimo",
+            "descripcion",
+            "fecha_fusion",
+          ],
+          order: [["fecha_hora_reporte", "ASC"]],
+        },
         
         // NOTA: Los operativos con equivalentes se manejarán en endpoints específicos
         // debido a que cuadrante_id está en las tablas intermedias
@@ -293,6 +564,7 @@ export const getNovedadById = async (req, res) => {
       });
     }
 
+    res.set("ETag", etagNovedad(novedad));
     res.status(200).json({
       success: true,
       message: "Novedad obtenida exitosamente",
@@ -398,6 +670,12 @@ export const createNovedad = async (req, res) => {
       turno = "NOCHE";
     }
 
+    // Cuadrante y sector: los indicados, los de la dirección o por coordenadas
+    const territorio = await resolverAsignacionTerritorial(
+      { cuadrante_id, sector_id, direccion_id, latitud, longitud },
+      { transaction }
+    );
+
     const nuevaNovedad = await Novedad.create(
       {
         novedad_code,
@@ -406,8 +684,9 @@ export const createNovedad = async (req, res) => {
         tipo_novedad_id,
         subtipo_novedad_id,
         estado_novedad_id: estadoInicial.id,
-        sector_id,
-        cuadrante_id,
+        sector_id: territorio.sector_id,
+        cuadrante_id: territorio.cuadrante_id,
+        asignacion_territorial: territorio.asignacion_territorial,
         direccion_id,
         localizacion,
         referencia_ubicacion,
@@ -461,14 +740,10 @@ export const createNovedad = async (req, res) => {
       ],
     });
 
-    // ── Notificar a todos los operadores conectados en tiempo real ─────────────────────────────────
-    broadcastEvent("nueva_novedad", {
-      id: novedadCompleta.id,
-      novedad_code: novedadCompleta.novedad_code,
+    // ── Notificar en tiempo real a los clientes del sector/cuadrante de la novedad ────────────────
+    await publicarEventoNovedad(EVENTOS_NOVEDAD.CREADA, novedadCompleta, req.user.id, {
       tipo_novedad_id: novedadCompleta.tipo_novedad_id,
       descripcion: novedadCompleta.descripcion,
-      prioridad_actual: novedadCompleta.prioridad_actual,
-      estado_novedad_id: novedadCompleta.estado_novedad_id,
       origen_llamada: novedadCompleta.origen_llamada,
       localizacion: novedadCompleta.localizacion,
       latitud: novedadCompleta.latitud,
@@ -486,10 +761,27 @@ export const createNovedad = async (req, res) => {
     });
     // ─────────────────────────────────────────────────────────────────────────────────────────────────────
 
+    // Otras llamadas por el mismo hecho: el operador decide si fusionarlas
+    let posiblesDuplicados = [];
+    try {
+      posiblesDuplicados = await buscarPosiblesDuplicados({
+        latitud,
+        longitud,
+        tipo_novedad_id,
+        subtipo_novedad_id,
+        reportante_telefono,
+        fecha_hora_ocurrencia: fechaOcurrenciaLocal,
+        excluirId: nuevaNovedad.id,
+      });
+    } catch (error) {
+      console.error("❌ Error buscando duplicados en createNovedad:", error);
+    }
+
     res.status(201).json({
       success: true,
       message: "Novedad creada exitosamente",
       data: novedadCompleta,
+      posibles_duplicados: posiblesDuplicados,
     });
   } catch (error) {
     if (!transaction.finished) {
@@ -507,13 +799,21 @@ export const createNovedad = async (req, res) => {
 /**
  * Actualizar novedad
  * PUT /api/v1/novedades/:id
+ *
+ * Concurrencia: If-Match con el ETag de GET /novedades/:id (o "version"
+ * en el body). Si la novedad cambió desde entonces responde 409 con el
+ * registro vigente; también 409 si otro usuario la tiene reclamada.
  */
 export const updateNovedad = async (req, res) => {
   const transaction = await sequelize.transaction();
 
   try {
     const { id } = req.params;
-    const datosActualizacion = req.body;
+    const datosActualizacion = Object.fromEntries(
+      CAMPOS_EDITABLES_NOVEDAD.filter((campo) => req.body[campo] !== undefined).map(
+        (campo) => [campo, req.body[campo]]
+      )
+    );
 
     const novedad = await Novedad.findOne({
       where: { id, estado: 1, deleted_at: null },
@@ -529,6 +829,8 @@ export const updateNovedad = async (req, res) => {
       });
     }
 
+    if (await rechazarEdicionConcurrente(req, res, novedad, transaction)) return;
+
     // Validar que novedades despachadas solo sean editadas por el usuario que despachó
     if (novedad.usuario_despacho && novedad.usuario_despacho !== req.user.id) {
       await transaction.rollback();
@@ -538,6 +840,19 @@ export const updateNovedad = async (req, res) => {
       });
     }
 
+    if (
+      await rechazarCambioEstadoInvalido(
+        req,
+        res,
+        novedad,
+        datosActualizacion,
+        req.body.observaciones_cambio_estado || datosActualizacion.observaciones,
+        transaction
+      )
+    ) {
+      return;
+    }
+
     // NOTA: No creamos manualmente el registro en historial_estado_novedades
     // El trigger 'trg_novedades_incidentes_after_update' se encarga automáticamente
     // de crear el registro cuando detecta cambio en estado_novedad_id
@@ -551,6 +866,13 @@ export const updateNovedad = async (req, res) => {
       datosActualizacion.tiempo_respuesta_min = tiempoRespuesta;
     }
 
+    Object.assign(
+      datosActualizacion,
+      await reasignarTerritorio(novedad, datosActualizacion, { transaction })
+    );
+
+    const valoresAnteriores = novedad.get({ plain: true });
+
     await novedad.update(
       {
         ...datosActualizacion,
@@ -561,21 +883,26 @@ export const updateNovedad = async (req, res) => {
 
     await transaction.commit();
 
-    const novedadActualizada = await Novedad.findByPk(id, {
-      attributes: {
-        include: ["tiempo_respuesta_min", "tiempo_respuesta_min_operativo"] // Asegurar que estos campos se incluyan
-      },
-      include: [
-        { model: TipoNovedad, as: "novedadTipoNovedad" },
-        { model: SubtipoNovedad, as: "novedadSubtipoNovedad", attributes: ["id", "nombre", "tiempo_respuesta_min"] },
-        { model: EstadoNovedad, as: "novedadEstado" },
-        { model: Sector, as: "novedadSector" },
-        { model: Cuadrante, as: "novedadCuadrante" },
-        { model: UnidadOficina, as: "novedadUnidadOficina" },
-        { model: Vehiculo, as: "novedadVehiculo" },
-      ],
-    });
+    const novedadActualizada = await obtenerNovedadEditada(id);
+
+    // ── Notificar en tiempo real solo los campos modificados ─────────────────────────────────────
+    const cambios = diffNovedad(valoresAnteriores, novedadActualizada, Object.keys(datosActualizacion));
+    const { estado_novedad_id: cambioEstado, ...cambiosDatos } = cambios;
+
+    if (Object.keys(cambiosDatos).length > 0) {
+      await publicarEventoNovedad(EVENTOS_NOVEDAD.ACTUALIZADA, novedadActualizada, req.user.id, {
+        cambios: cambiosDatos,
+      });
+    }
+    if (cambioEstado) {
+      await publicarCambioEstado(novedadActualizada, req.user.id, {
+        estadoAnteriorId: cambioEstado.antes,
+        estadoNuevoId: cambioEstado.despues,
+      });
+    }
+    // ─────────────────────────────────────────────────────────────────────────────────────────────────────
 
+    res.set("ETag", etagNovedad(novedadActualizada));
     res.status(200).json({
       success: true,
       message: "Novedad actualizada exitosamente",
@@ -597,6 +924,8 @@ export const updateNovedad = async (req, res) => {
 /**
  * Asignar recursos a una novedad
  * POST /api/v1/novedades/:id/asignar
+ *
+ * Misma precondición de concurrencia que updateNovedad.
  */
 export const asignarRecursos = async (req, res) => {
   const transaction = await sequelize.transaction();
@@ -639,6 +968,8 @@ export const asignarRecursos = async (req, res) => {
         message: "Novedad no encontrada",
       });
     }
+
+    if (await rechazarEdicionConcurrente(req, res, novedad, transaction)) return;
     
     // Validar que re-despachos solo los haga el usuario que despachó originalmente
     // EXCEPTO para roles supervisor, admin, super_admin
@@ -716,7 +1047,36 @@ export const asignarRecursos = async (req, res) => {
       // Solo usar estado de despacho automático si no se proporciona estado y no hay historial
       datosActualizacion.estado_novedad_id = estadoDespacho.id;
     }
+
+    // El estado de despacho automático solo se aplica si el grafo lo permite
+    const observacionesCambio = historial?.observaciones || observaciones;
+    if (!estado_novedad_id && datosActualizacion.estado_novedad_id) {
+      const transicionAutomatica = await validarTransicion({
+        novedad,
+        estadoDestinoId: datosActualizacion.estado_novedad_id,
+        datos: datosActualizacion,
+        observaciones: observacionesCambio,
+        user: req.user,
+        transaction,
+      });
+      if (!transicionAutomatica.ok) delete datosActualizacion.estado_novedad_id;
+    }
+
+    if (
+      await rechazarCambioEstadoInvalido(
+        req,
+        res,
+        novedad,
+        datosActualizacion,
+        observacionesCambio,
+        transaction
+      )
+    ) {
+      return;
+    }
     
+    const valoresAnteriores = novedad.get({ plain: true });
+
     await novedad.update(datosActualizacion, { transaction });
 
     // Crear registro en historial manualmente con datos del frontend
@@ -758,6 +1118,27 @@ export const asignarRecursos = async (req, res) => {
       ],
     });
 
+    // ── Notificar el despacho y, si corresponde, el cambio de estado ─────────────────────────────
+    const { estado_novedad_id: cambioEstado, ...cambiosDespacho } = diffNovedad(
+      valoresAnteriores,
+      novedadActualizadaRecursos,
+      Object.keys(datosActualizacion)
+    );
+
+    await publicarEventoNovedad(EVENTOS_NOVEDAD.DESPACHADA, novedadActualizadaRecursos, req.user.id, {
+      cambios: cambiosDespacho,
+      usuario_despacho: novedadActualizadaRecursos.usuario_despacho ?? null,
+    });
+    if (cambioEstado) {
+      await publicarCambioEstado(novedadActualizadaRecursos, req.user.id, {
+        estadoAnteriorId: cambioEstado.antes,
+        estadoNuevoId: cambioEstado.despues,
+        observaciones: historial?.observaciones || observaciones || null,
+      });
+    }
+    // ─────────────────────────────────────────────────────────────────────────────────────────────────────
+
+    res.set("ETag", etagNovedad(novedadActualizadaRecursos));
     res.status(200).json({
       success: true,
       message: "Recursos asignados exitosamente",
@@ -776,6 +1157,294 @@ export const asignarRecursos = async (req, res) => {
   }
 };
 
+/**
+ * Estados a los que el usuario puede pasar la novedad
+ * GET /api/v1/novedades/:id/estados-siguientes
+ *
+ * Según el grafo de transiciones y los estados habilitados para sus roles.
+ * Cada opción indica si exige observación y qué campos faltan completar.
+ */
+export const getEstadosSiguientesNovedad = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const novedad = await Novedad.findOne({
+      where: { id, estado: 1, deleted_at: null },
+      include: [{ model: EstadoNovedad, as: "novedadEstado", attributes: ["id", "nombre", "es_final"] }],
+    });
+
+    if (!novedad) {
+      return res.status(404).json({
+        success: false,
+        message: "Novedad no encontrada",
+      });
+    }
+
+    const { configurado, transiciones } = await estadosSiguientes(novedad, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: "Estados siguientes obtenidos exitosamente",
+      data: transiciones,
+      estadoActual: novedad.novedadEstado,
+      info: {
+        total: transiciones.length,
+        grafo_configurado: configurado,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error en getEstadosSiguientesNovedad:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener los estados siguientes",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Buscar posibles duplicados antes de registrar una novedad
+ * GET /api/v1/novedades/duplicados
+ *
+ * Mismos criterios que al crear: ubicación cercana con el mismo tipo o
+ * subtipo, o el mismo teléfono de reportante, dentro de la ventana de
+ * tiempo (ver novedadDuplicadosService).
+ */
+export const getPosiblesDuplicados = async (req, res) => {
+  try {
+    const {
+      latitud,
+      longitud,
+      tipo_novedad_id,
+      subtipo_novedad_id,
+      reportante_telefono,
+      fecha_hora_ocurrencia,
+    } = req.query;
+
+    const duplicados = await buscarPosiblesDuplicados({
+      latitud,
+      longitud,
+      tipo_novedad_id: tipo_novedad_id ? parseInt(tipo_novedad_id) : null,
+      subtipo_novedad_id: subtipo_novedad_id ? parseInt(subtipo_novedad_id) : null,
+      reportante_telefono,
+      fecha_hora_ocurrencia: fecha_hora_ocurrencia ? convertToTimezone(fecha_hora_ocurrencia) : null,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: duplicados.length
+        ? "Se encontraron posibles duplicados"
+        : "No se encontraron posibles duplicados",
+      data: duplicados,
+      total: duplicados.length,
+    });
+  } catch (error) {
+    console.error("❌ Error en getPosiblesDuplicados:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al buscar posibles duplicados",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Posibles duplicados de una novedad registrada
+ * GET /api/v1/novedades/:id/duplicados
+ */
+export const getDuplicadosNovedad = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const novedad = await Novedad.findOne({
+      where: { id, estado: 1, deleted_at: null },
+    });
+
+    if (!novedad) {
+      return res.status(404).json({
+        success: false,
+        message: "Novedad no encontrada",
+      });
+    }
+
+    const duplicados = await buscarPosiblesDuplicados({
+      latitud: novedad.latitud,
+      longitud: novedad.longitud,
+      tipo_novedad_id: novedad.tipo_novedad_id,
+      subtipo_novedad_id: novedad.subtipo_novedad_id,
+      reportante_telefono: novedad.reportante_telefono,
+      fecha_hora_ocurrencia: novedad.fecha_hora_ocurrencia,
+      excluirId: novedad.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: duplicados.length
+        ? "Se encontraron posibles duplicados"
+        : "No se encontraron posibles duplicados",
+      data: duplicados,
+      total: duplicados.length,
+    });
+  } catch (error) {
+    console.error("❌ Error en getDuplicadosNovedad:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al buscar posibles duplicados",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Unidades recomendadas para despachar una novedad
+ * GET /api/v1/novedades/:id/recomendaciones
+ *
+ * Candidatos de los turnos activos ordenados por puntaje, con el detalle
+ * de cada criterio (ver recomendacionUnidadesService).
+ */
+export const getRecomendacionesUnidades = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const novedad = await Novedad.findOne({
+      where: { id, estado: 1, deleted_at: null },
+    });
+
+    if (!novedad) {
+      return res.status(404).json({
+        success: false,
+        message: "Novedad no encontrada",
+      });
+    }
+
+    const recomendacion = await recomendarUnidades(novedad);
+
+    res.status(200).json({
+      success: true,
+      message: recomendacion.candidatos.length
+        ? "Unidades recomendadas obtenidas exitosamente"
+        : "No hay unidades en patrullaje en los turnos activos",
+      data: recomendacion,
+      total: recomendacion.candidatos.length,
+    });
+  } catch (error) {
+    console.error("❌ Error en getRecomendacionesUnidades:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener las unidades recomendadas",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Fusionar una novedad duplicada en su novedad principal
+ * POST /api/v1/novedades/:id/fusionar
+ *
+ * La novedad :id se conserva (con su llamada y su historial) enlazada a
+ * novedad_padre_id; deja de listarse y su historial se ve en el de la
+ * principal. Acepta If-Match igual que PUT /novedades/:id.
+ */
+export const fusionarNovedadDuplicada = async (req, res) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const id = Number(req.params.id);
+    const novedadPadreId = Number(req.body.novedad_padre_id);
+    const { observaciones } = req.body;
+
+    if (id === novedadPadreId) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: "Una novedad no puede fusionarse en sí misma",
+      });
+    }
+
+    // Se bloquean ambas en orden de id para evitar deadlocks entre fusiones cruzadas
+    const registros = await Novedad.findAll({
+      where: { id: [id, novedadPadreId], estado: 1, deleted_at: null },
+      order: [["id", "ASC"]],
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    const novedad = registros.find((n) => n.id === id);
+    const principal = registros.find((n) => n.id === novedadPadreId);
+
+    if (!novedad) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: "Novedad no encontrada",
+      });
+    }
+
+    if (await rechazarEdicionConcurrente(req, res, novedad, transaction)) return;
+
+    if (novedad.novedad_padre_id) {
+      await transaction.rollback();
+      return res.status(409).json({
+        success: false,
+        message: "La novedad ya está fusionada en otra",
+        code: "NOVEDAD_YA_FUSIONADA",
+        data: { novedad_padre_id: novedad.novedad_padre_id },
+      });
+    }
+
+    if (!principal) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: "Novedad principal no encontrada",
+      });
+    }
+
+    if (principal.novedad_padre_id) {
+      await transaction.rollback();
+      return res.status(422).json({
+        success: false,
+        message: `La novedad ${principal.novedad_code} ya está fusionada en otra; use su novedad principal`,
+        code: "NOVEDAD_PRINCIPAL_FUSIONADA",
+        data: { novedad_padre_id: principal.novedad_padre_id },
+      });
+    }
+
+    await fusionarNovedad({
+      novedad,
+      principal,
+      usuarioId: req.user.id,
+      observaciones,
+      transaction,
+    });
+
+    await transaction.commit();
+
+    await publicarEventoNovedad(EVENTOS_NOVEDAD.FUSIONADA, novedad, req.user.id, {
+      novedad_padre_id: principal.id,
+      novedad_padre_code: principal.novedad_code,
+    });
+
+    const novedadActualizada = await obtenerNovedadEditada(novedad.id);
+
+    res.set("ETag", etagNovedad(novedadActualizada));
+    res.status(200).json({
+      success: true,
+      message: `Novedad fusionada en ${principal.novedad_code} exitosamente`,
+      data: novedadActualizada,
+    });
+  } catch (error) {
+    if (!transaction.finished) {
+      await transaction.rollback();
+    }
+    console.error("❌ Error en fusionarNovedadDuplicada:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al fusionar la novedad",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Eliminar novedad (soft delete)
  * DELETE /api/v1/novedades/:id
@@ -801,6 +1470,8 @@ export const deleteNovedad = async (req, res) => {
       deleted_by: req.user.id,
     });
 
+    await publicarEventoNovedad(EVENTOS_NOVEDAD.ELIMINADA, novedad, req.user.id);
+
     res.status(200).json({
       success: true,
       message: "Novedad eliminada exitosamente",
@@ -818,14 +1489,25 @@ export const deleteNovedad = async (req, res) => {
 /**
  * Obtener historial de estados
  * GET /api/v1/novedades/:id/historial
+ *
+ * Unificado: incluye los registros de las novedades fusionadas en esta
+ * (cada registro indica su novedad en historialEstadoNovedades).
  */
 export const getHistorialEstados = async (req, res) => {
   try {
     const { id } = req.params;
 
+    // Incluye el historial de las novedades fusionadas en esta
+    const ids = await idsHistorialUnificado(id);
+
     const historial = await HistorialEstadoNovedad.findAll({
-      where: { novedad_id: id },
+      where: { novedad_id: { [Op.in]: ids } },
       include: [
+        {
+          model: Novedad,
+          as: "historialEstadoNovedades",
+          attributes: ["id", "novedad_code"],
+        },
         {
           model: EstadoNovedad,
           as: "estadoAnterior",
@@ -1129,14 +1811,41 @@ export const getNovedadesEnAtencion = async (req, res) => {
   }
 };
 
+/**
+ * Catálogo de eventos SSE de novedades (nombres y esquema de payloads)
+ * GET /api/v1/novedades/stream/schema
+ */
+export const getCatalogoEventos = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      message: "Catálogo de eventos obtenido exitosamente",
+      data: obtenerEsquemaEventos(),
+    });
+  } catch (error) {
+    console.error("❌ Error en getCatalogoEventos:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener el catálogo de eventos",
+      error: error.message,
+    });
+  }
+};
+
 export default {
   getAllNovedades,
   getNovedadById,
   createNovedad,
   updateNovedad,
   asignarRecursos,
+  getEstadosSiguientesNovedad,
+  getPosiblesDuplicados,
+  getDuplicadosNovedad,
+  getRecomendacionesUnidades,
+  fusionarNovedadDuplicada,
   deleteNovedad,
   getHistorialEstados,
   getDashboardStats,
   getNovedadesEnAtencion,
+  getCatalogoEventos,
 };
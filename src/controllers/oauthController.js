@@ -0,0 +1,291 @@
+/**
+ * ===================================================
+ * CONTROLADOR: oauthController.js
+ * ===================================================
+ *
+ * Ruta: src/controllers/oauthController.js
+ *
+ * Descripción:
+ * Inicio de sesión con Google y Microsoft (OAuth2 vía passport).
+ * La identidad externa se vincula a un Usuario existente por email
+ * verificado (ver services/oauthService.js) y, tras el callback, se
+ * emite el mismo par JWT que en /auth/login. Si el usuario tiene 2FA
+ * habilitado se devuelve el twoFactorToken en lugar de los tokens.
+ *
+ * Flujo:
+ * 1. GET /auth/oauth/:provider          → redirige al proveedor
+ * 2. GET /auth/oauth/:provider/callback → JSON de login, o redirección a
+ *    OAUTH_REDIRECT_URL con los tokens en el fragmento (#accessToken=...)
+ *
+ * Vinculación desde una sesión iniciada (cuando el proveedor no confirma
+ * un email verificado):
+ * 1. POST /auth/oauth/:provider/vincular → { url } con un ticket de un uso
+ * 2. El navegador abre esa URL (GET /auth/oauth/:provider?vincular=...)
+ *    y el callback vincula la identidad al usuario del ticket
+ *
+ * @module controllers/oauthController
+ * @requires passport
+ * @author Sistema de Seguridad Ciudadana
+ * @version 1.0.0
+ * @date 2026-10-18
+ */
+
+import passport, { proveedorHabilitado } from "../config/passport.js";
+import authConfig from "../config/auth.js";
+import {
+  PROVEEDORES_OAUTH,
+  MOTIVOS_RECHAZO_OAUTH,
+  emitirTicketVinculacion,
+  canjearTicketVinculacion,
+} from "../services/oauthService.js";
+import {
+  construirRespuestaLogin,
+  emitirToken2FAPendiente,
+} from "../services/authTokenService.js";
+import { auditarAutenticacion } from "../middlewares/auditoriaAccionMiddleware.js";
+
+/**
+ * Responde un rechazo: JSON o redirección al frontend con ?error=
+ * @private
+ */
+const responderRechazo = (res, motivo, status, message) => {
+  const { redirectUrl } = authConfig.oauth;
+
+  if (redirectUrl) {
+    return res.redirect(`${redirectUrl}?error=${encodeURIComponent(motivo)}`);
+  }
+
+  return res.status(status).json({
+    success: false,
+    message,
+    motivo,
+  });
+};
+
+/**
+ * Responde un login exitoso: JSON o redirección con los tokens en el
+ * fragmento (no viaja al servidor ni queda en logs de acceso)
+ * @private
+ */
+const responderExito = async (req, res, usuario) => {
+  const { redirectUrl } = authConfig.oauth;
+  const requiere2FA = Boolean(usuario.two_factor_enabled);
+  const twoFactorToken = requiere2FA ? emitirToken2FAPendiente(usuario) : null;
+  const data = requiere2FA ? null : await construirRespuestaLogin(usuario, req);
+
+  if (redirectUrl) {
+    const fragmento = new URLSearchParams(
+      requiere2FA
+        ? { twoFactorToken }
+        : { accessToken: data.accessToken, refreshToken: data.refreshToken }
+    );
+    return res.redirect(`${redirectUrl}#${fragmento.toString()}`);
+  }
+
+  if (requiere2FA) {
+    return res.json({
+      success: true,
+      requires2FA: true,
+      message: "Ingrese el código de su aplicación de autenticación",
+      data: { twoFactorToken },
+    });
+  }
+
+  return res.json({
+    success: true,
+    message: "Login exitoso",
+    data,
+  });
+};
+
+// ==========================================
+// ENDPOINT: INICIAR LOGIN OAUTH
+// ==========================================
+
+/**
+ * GET /api/v1/auth/oauth/:provider
+ * Redirige al proveedor OAuth (google | microsoft)
+ *
+ * @param {Object} req - Request de Express
+ * @param {string} req.params.provider - Proveedor
+ * @param {Object} res - Response de Express
+ * @param {Function} next - Next de Express
+ */
+export const iniciarOAuth = (req, res, next) => {
+  const { provider } = req.params;
+
+  if (!proveedorHabilitado(provider)) {
+    return res.status(404).json({
+      success: false,
+      message: `Proveedor OAuth no disponible: ${provider}`,
+    });
+  }
+
+  const { strategy, scope } = PROVEEDORES_OAUTH[provider];
+
+  // El state firmado llevará el usuario a vincular (ver config/passport.js)
+  if (req.query.vincular) {
+    req.oauthVincularUsuarioId = canjearTicketVinculacion(req.query.vincular, provider);
+    if (!req.oauthVincularUsuarioId) {
+      const { status, message } = MOTIVOS_RECHAZO_OAUTH.vinculacion_invalida;
+      return responderRechazo(res, "vinculacion_invalida", status, message);
+    }
+  }
+
+  return passport.authenticate(strategy, { session: false, scope })(
+    req,
+    res,
+    next
+  );
+};
+
+// ==========================================
+// ENDPOINT: VINCULAR IDENTIDAD EXTERNA
+// ==========================================
+
+/**
+ * POST /api/v1/auth/oauth/:provider/vincular
+ * Emite la URL (con ticket de un solo uso) que vincula una identidad
+ * externa a la cuenta del usuario autenticado
+ *
+ * @param {Object} req - Request de Express
+ * @param {string} req.params.provider - Proveedor
+ * @param {Object} res - Response de Express
+ * @returns {Object} JSON { url }
+ */
+export const solicitarVinculacionOAuth = async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    if (!proveedorHabilitado(provider)) {
+      return res.status(404).json({
+        success: false,
+        message: `Proveedor OAuth no disponible: ${provider}`,
+      });
+    }
+
+    const ticket = emitirTicketVinculacion(req.user.id, provider);
+
+    res.json({
+      success: true,
+      message: "Abra la URL en el navegador para vincular la cuenta",
+      data: {
+        url: `${req.baseUrl}/oauth/${provider}?vincular=${encodeURIComponent(ticket)}`,
+        expiresIn: authConfig.oauth.linkTicketExpiresIn,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error en solicitarVinculacionOAuth:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al iniciar la vinculación",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// ==========================================
+// ENDPOINT: CALLBACK OAUTH
+// ==========================================
+
+/**
+ * GET /api/v1/auth/oauth/:provider/callback
+ * Recibe la respuesta del proveedor, resuelve el Usuario y emite los
+ * tokens del sistema
+ *
+ * @param {Object} req - Request de Express
+ * @param {string} req.params.provider - Proveedor
+ * @param {Object} res - Response de Express
+ * @param {Function} next - Next de Express
+ * @returns {Object} JSON igual al de /auth/login (o redirección)
+ *
+ * @example
+ * // Response 403 (sin cuenta asociada)
+ * {
+ *   "success": false,
+ *   "message": "No existe una cuenta asociada a este email...",
+ *   "motivo": "cuenta_no_encontrada"
+ * }
+ */
+export const callbackOAuth = (req, res, next) => {
+  const { provider } = req.params;
+
+  if (!proveedorHabilitado(provider)) {
+    return res.status(404).json({
+      success: false,
+      message: `Proveedor OAuth no disponible: ${provider}`,
+    });
+  }
+
+  const { strategy, enumValue } = PROVEEDORES_OAUTH[provider];
+
+  const manejarResultado = async (err, usuario, info = {}) => {
+    try {
+      if (err) throw err;
+
+      if (!usuario) {
+        // Sin motivo: el proveedor o el "state" rechazaron la solicitud
+        const motivo = info.motivo || "oauth_rechazado";
+        const rechazo = MOTIVOS_RECHAZO_OAUTH[motivo] || {
+          status: 401,
+          message: info.message || "No se pudo completar el login externo",
+        };
+
+        console.log(
+          `⚠️  Login ${enumValue} rechazado (${motivo})${info.email ? `: ${info.email}` : ""}`
+        );
+        await auditarAutenticacion(
+          req,
+          "LOGIN_OAUTH",
+          "FALLO",
+          `Login ${enumValue} rechazado: ${motivo}`
+        );
+
+        return responderRechazo(res, motivo, rechazo.status, rechazo.message);
+      }
+
+      await usuario.update({
+        failed_login_attempts: 0,
+        last_login_at: new Date(),
+        last_login_ip: req.ip,
+        last_activity_at: new Date(),
+      });
+
+      req.user = { id: usuario.id };
+      await auditarAutenticacion(
+        req,
+        "LOGIN_OAUTH",
+        "EXITO",
+        info.vinculado
+          ? `Identidad ${enumValue} vinculada y login exitoso`
+          : `Login exitoso con ${enumValue}`
+      );
+
+      console.log(
+        `✅ Login ${enumValue} exitoso: ${usuario.username} (ID: ${usuario.id})`
+      );
+
+      return await responderExito(req, res, usuario);
+    } catch (error) {
+      console.error("❌ Error en callbackOAuth:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Error al iniciar sesión con proveedor externo",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  };
+
+  return passport.authenticate(
+    strategy,
+    { session: false },
+    manejarResultado
+  )(req, res, next);
+};
+
+export default {
+  iniciarOAuth,
+  solicitarVinculacionOAuth,
+  callbackOAuth,
+};
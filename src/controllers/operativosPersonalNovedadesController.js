@@ -564,6 +564,8 @@ export const updateNovedadInCuadrante = async (req, res) => {
         updateNovedadData.updated_by = updated_by;
         // Agregar flag para evitar doble creación de historial
         updateNovedadData._skip_historial = true;
+        // El update masivo no pasa por el bloqueo optimista del modelo
+        updateNovedadData.version = sequelize.literal("version + 1");
         const updateResult = await Novedad.update(updateNovedadData, {
           where: { id: novedadAsignada.novedad_id },
         });
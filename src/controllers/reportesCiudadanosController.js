@@ -0,0 +1,244 @@
+/**
+ * ===================================================
+ * CONTROLADOR: Reportes Ciudadanos
+ * ===================================================
+ *
+ * Ruta: src/controllers/reportesCiudadanosController.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Características:
+ * - API pública (/publico): catálogo de tipos, código OTP por SMS,
+ *   registro del reporte con fotos y consulta por código de seguimiento.
+ * - Cola de triaje (/reportes-ciudadanos) para los operadores.
+ *
+ * @module controllers/reportesCiudadanosController
+ * @version 1.0.0
+ */
+
+import {
+  obtenerCatalogoPublico,
+  solicitarOtp,
+  verificarLimiteReportesIp,
+  crearReporteCiudadano,
+  consultarSeguimiento,
+  listarColaTriaje,
+  triarReporte,
+  ESTADOS_TRIAJE,
+} from "../services/reportesCiudadanosService.js";
+
+/**
+ * Catálogo público de tipos y subtipos reportables
+ * GET /api/v1/publico/catalogo-novedades
+ */
+export const getCatalogoPublico = async (req, res) => {
+  try {
+    const tipos = await obtenerCatalogoPublico();
+
+    res.status(200).json({
+      success: true,
+      message: "Catálogo obtenido exitosamente",
+      data: tipos,
+    });
+  } catch (error) {
+    console.error("❌ Error en getCatalogoPublico:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener el catálogo",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Enviar código OTP por SMS
+ * POST /api/v1/publico/reportes/otp
+ */
+export const solicitarOtpReporte = async (req, res) => {
+  try {
+    const resultado = await solicitarOtp(req.body.telefono, req.ip);
+
+    res.status(resultado.status).json({
+      success: resultado.ok,
+      message: resultado.message,
+      ...(resultado.data ? { data: resultado.data } : {}),
+    });
+  } catch (error) {
+    console.error("❌ Error en solicitarOtpReporte:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al enviar el código de verificación",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Límite de reportes por IP, antes de recibir las fotos
+ * (middleware de POST /api/v1/publico/reportes)
+ */
+export const limitarReportesPorIp = async (req, res, next) => {
+  try {
+    const limite = await verificarLimiteReportesIp(req.ip);
+    if (!limite) return next();
+
+    res.status(limite.status).json({
+      success: false,
+      message: limite.message,
+    });
+  } catch (error) {
+    console.error("❌ Error en limitarReportesPorIp:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al registrar el reporte",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Registrar un reporte ciudadano (multipart/form-data, fotos en "archivos")
+ * POST /api/v1/publico/reportes
+ */
+export const createReporteCiudadano = async (req, res) => {
+  try {
+    const resultado = await crearReporteCiudadano({
+      datos: req.body,
+      fotos: req.files,
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    if (!resultado.ok) {
+      return res.status(resultado.status).json({
+        success: false,
+        message: resultado.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Reporte recibido. Guarde el código de seguimiento para consultar su estado",
+      data: resultado.data,
+    });
+  } catch (error) {
+    console.error("❌ Error en createReporteCiudadano:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al registrar el reporte",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Consultar el estado de un reporte por su código de seguimiento
+ * GET /api/v1/publico/reportes/:codigo
+ */
+export const getSeguimientoReporte = async (req, res) => {
+  try {
+    const seguimiento = await consultarSeguimiento(req.params.codigo);
+
+    if (!seguimiento) {
+      return res.status(404).json({
+        success: false,
+        message: "Reporte no encontrado",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Reporte obtenido exitosamente",
+      data: seguimiento,
+    });
+  } catch (error) {
+    console.error("❌ Error en getSeguimientoReporte:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al consultar el reporte",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Cola de triaje de reportes ciudadanos
+ * GET /api/v1/reportes-ciudadanos?estado_triaje=&page=&limit=
+ */
+export const getColaTriaje = async (req, res) => {
+  try {
+    const { estado_triaje = ESTADOS_TRIAJE.PENDIENTE, page = 1, limit = 20 } = req.query;
+
+    const { rows, count } = await listarColaTriaje({ estado_triaje, page, limit });
+
+    res.status(200).json({
+      success: true,
+      message: "Reportes ciudadanos obtenidos exitosamente",
+      data: rows,
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error en getColaTriaje:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener los reportes ciudadanos",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Aceptar o rechazar un reporte ciudadano
+ * POST /api/v1/reportes-ciudadanos/:id/triaje
+ */
+export const triarReporteCiudadano = async (req, res) => {
+  try {
+    const { decision, motivo_rechazo } = req.body;
+
+    const resultado = await triarReporte({
+      id: req.params.id,
+      decision,
+      motivoRechazo: motivo_rechazo,
+      usuarioId: req.user.id,
+    });
+
+    if (!resultado.ok) {
+      return res.status(resultado.status).json({
+        success: false,
+        message: resultado.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message:
+        decision === ESTADOS_TRIAJE.ACEPTADO
+          ? "Reporte aceptado"
+          : "Reporte rechazado; la novedad fue eliminada",
+      data: resultado.data,
+    });
+  } catch (error) {
+    console.error("❌ Error en triarReporteCiudadano:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al procesar el triaje",
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  getCatalogoPublico,
+  solicitarOtpReporte,
+  limitarReportesPorIp,
+  createReporteCiudadano,
+  getSeguimientoReporte,
+  getColaTriaje,
+  triarReporteCiudadano,
+};
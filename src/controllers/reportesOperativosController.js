@@ -24,6 +24,8 @@
  */
 
 import reportesOperativosService from "../services/reportesOperativosService.js";
+import { obtenerHotspots } from "../services/hotspotsNovedadesService.js";
+import { esSolicitudGeoJson } from "../services/novedadesGeoService.js";
 import ExcelJS from "exceljs";
 
 /**
@@ -557,6 +559,85 @@ export const getDashboardOperativos = async (req, res) => {
   }
 };
 
+// ==========================================
+// ENDPOINT 8: CUMPLIMIENTO DE SLA
+// ==========================================
+
+/**
+ * Obtener cumplimiento del tiempo de respuesta (SLA) por sector y turno
+ * GET /api/v1/reportes-operativos/sla
+ * 
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @returns {Promise<Object>} Cumplimiento por sector/turno y resumen
+ */
+export const getCumplimientoSla = async (req, res) => {
+  try {
+    const result = await reportesOperativosService.getCumplimientoSla(req.query);
+    
+    const response = buildResponse(
+      true,
+      "Cumplimiento de SLA obtenido exitosamente",
+      result.data,
+      {
+        filters_applied: req.query,
+        generated_at: new Date().toISOString()
+      }
+    );
+    
+    res.json(response);
+    
+  } catch (error) {
+    handleError(res, error, "Error al obtener cumplimiento de SLA");
+  }
+};
+
+// ==========================================
+// ENDPOINT 9: HOTSPOTS Y MAPA DE CALOR
+// ==========================================
+
+/**
+ * Obtener hotspots (Gi*) e intensidad de novedades por celda o cuadrante
+ * GET /api/v1/reportes-operativos/hotspots
+ * 
+ * Con Accept: application/geo+json (o formato=geojson) responde solo el
+ * FeatureCollection, listo para la capa del mapa.
+ * 
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @returns {Promise<Object>} FeatureCollection con parámetros y resumen
+ */
+export const getHotspotsNovedades = async (req, res) => {
+  try {
+    const result = await obtenerHotspots(req.query);
+
+    if (!result.ok) {
+      return res.status(result.status).json(buildResponse(false, result.message));
+    }
+
+    res.vary("Accept");
+
+    if (esSolicitudGeoJson(req)) {
+      return res.type("application/geo+json").send(JSON.stringify(result.data));
+    }
+
+    const response = buildResponse(
+      true,
+      "Hotspots de novedades obtenidos exitosamente",
+      result.data,
+      {
+        filters_applied: req.query,
+        generated_at: new Date().toISOString()
+      }
+    );
+
+    res.json(response);
+
+  } catch (error) {
+    handleError(res, error, "Error al obtener hotspots de novedades");
+  }
+};
+
 export default {
   getOperativosVehiculares,
   getResumenVehicular,
@@ -565,5 +646,7 @@ export default {
   getMetricsVehiculares,
   getOperativosPie,
   getNovedadesNoAtendidas,
-  getDashboardOperativos
+  getDashboardOperativos,
+  getCumplimientoSla,
+  getHotspotsNovedades
 };
@@ -0,0 +1,326 @@
+/**
+ * ===================================================
+ * CONTROLADOR: sesionesController.js
+ * ===================================================
+ *
+ * Ruta: src/controllers/sesionesController.js
+ *
+ * Descripción:
+ * Gestión de sesiones activas (una por dispositivo/login):
+ * - Autoservicio: el usuario ve y cierra sus propias sesiones
+ *   (GET/DELETE /auth/sessions)
+ * - Administración: supervisores y administradores cierran sesiones de
+ *   otro usuario, p. ej. ante la pérdida de un dispositivo
+ *   (GET/DELETE /usuarios/:id/sessions)
+ *
+ * Cerrar una sesión revoca sus tokens en tokens_acceso, por lo que el
+ * dispositivo ya no puede renovar su access token.
+ *
+ * @module controllers/sesionesController
+ * @author Sistema de Seguridad Ciudadana
+ * @version 1.0.0
+ * @date 2026-10-18
+ */
+
+import { Usuario } from "../models/index.js";
+import {
+  listarSesionesActivas,
+  obtenerSesionActiva,
+  serializarSesion,
+  revocarSesion,
+  revocarSesionesUsuario,
+} from "../services/sesionesService.js";
+import { registrarAccionManual } from "../middlewares/auditoriaAccionMiddleware.js";
+
+// ==========================================
+// AUTOSERVICIO: SESIONES PROPIAS
+// ==========================================
+
+/**
+ * GET /api/v1/auth/sessions
+ * Lista las sesiones activas del usuario autenticado
+ *
+ * @async
+ * @param {Object} req - Request de Express
+ * @param {Object} res - Response de Express
+ * @returns {Object} JSON con las sesiones (is_current marca la del token)
+ *
+ * @example
+ * // Response 200
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": 42,
+ *       "device_name": "Chrome en Windows",
+ *       "device_type": "DESKTOP",
+ *       "ip_address": "190.12.34.56",
+ *       "last_activity": "2026-10-18T15:20:00.000Z",
+ *       "is_current": true
+ *     }
+ *   ]
+ * }
+ */
+export const getMisSesiones = async (req, res) => {
+  try {
+    const sesiones = await listarSesionesActivas(req.user.id);
+
+    res.json({
+      success: true,
+      data: sesiones.map((s) => serializarSesion(s, req.user.sid)),
+    });
+  } catch (error) {
+    console.error("❌ Error en getMisSesiones:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener sesiones",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * DELETE /api/v1/auth/sessions/:sessionId
+ * Cierra una sesión propia (puede ser la actual)
+ *
+ * @async
+ * @param {Object} req - Request de Express
+ * @param {string} req.params.sessionId - ID de la sesión
+ * @param {Object} res - Response de Express
+ * @returns {Object} JSON confirmando
+ */
+export const cerrarMiSesion = async (req, res) => {
+  try {
+    const sesionId = parseInt(req.params.sessionId);
+    const sesion = await obtenerSesionActiva(sesionId, req.user.id);
+
+    if (!sesion) {
+      return res.status(404).json({
+        success: false,
+        message: "Sesión no encontrada o ya finalizada",
+      });
+    }
+
+    await revocarSesion(sesion, { motivo: "logout", revocadoPor: req.user.id });
+
+    res.json({
+      success: true,
+      message: "Sesión cerrada",
+      data: { id: sesion.id, is_current: sesion.id === req.user.sid },
+    });
+  } catch (error) {
+    console.error("❌ Error en cerrarMiSesion:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al cerrar sesión",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * DELETE /api/v1/auth/sessions
+ * Cierra todas las sesiones propias excepto la actual
+ *
+ * @async
+ * @param {Object} req - Request de Express
+ * @param {Object} res - Response de Express
+ * @returns {Object} JSON con el número de sesiones cerradas
+ */
+export const cerrarOtrasSesiones = async (req, res) => {
+  try {
+    if (!req.user.sid) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "El token no está asociado a una sesión. Inicie sesión nuevamente.",
+      });
+    }
+
+    const { sesiones } = await revocarSesionesUsuario(req.user.id, {
+      motivo: "logout_otras_sesiones",
+      revocadoPor: req.user.id,
+      exceptoSesionId: req.user.sid,
+    });
+
+    res.json({
+      success: true,
+      message: `${sesiones} sesión(es) cerrada(s)`,
+      data: { sesionesCerradas: sesiones },
+    });
+  } catch (error) {
+    console.error("❌ Error en cerrarOtrasSesiones:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al cerrar sesiones",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// ==========================================
+// ADMINISTRACIÓN: SESIONES DE OTRO USUARIO
+// ==========================================
+
+/**
+ * Busca el usuario de la ruta /usuarios/:id
+ * @private
+ */
+const buscarUsuario = async (req, res) => {
+  const usuario = await Usuario.findByPk(req.params.id, {
+    attributes: ["id", "username"],
+  });
+
+  if (!usuario) {
+    res.status(404).json({
+      success: false,
+      message: "Usuario no encontrado",
+    });
+    return null;
+  }
+
+  return usuario;
+};
+
+/**
+ * GET /api/v1/usuarios/:id/sessions
+ * Lista las sesiones activas de un usuario
+ *
+ * @async
+ * @param {Object} req - Request de Express
+ * @param {string} req.params.id - ID del usuario
+ * @param {Object} res - Response de Express
+ * @returns {Object} JSON con las sesiones
+ */
+export const getSesionesUsuario = async (req, res) => {
+  try {
+    const usuario = await buscarUsuario(req, res);
+    if (!usuario) return;
+
+    const sesiones = await listarSesionesActivas(usuario.id);
+
+    res.json({
+      success: true,
+      data: sesiones.map((s) => serializarSesion(s, req.user.sid)),
+    });
+  } catch (error) {
+    console.error("❌ Error en getSesionesUsuario:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener sesiones del usuario",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * DELETE /api/v1/usuarios/:id/sessions/:sessionId
+ * Fuerza el cierre de una sesión de un usuario (dispositivo perdido)
+ *
+ * @async
+ * @param {Object} req - Request de Express
+ * @param {string} req.params.id - ID del usuario
+ * @param {string} req.params.sessionId - ID de la sesión
+ * @param {Object} res - Response de Express
+ * @returns {Object} JSON confirmando
+ */
+export const cerrarSesionUsuario = async (req, res) => {
+  try {
+    const usuario = await buscarUsuario(req, res);
+    if (!usuario) return;
+
+    const sesion = await obtenerSesionActiva(
+      parseInt(req.params.sessionId),
+      usuario.id
+    );
+
+    if (!sesion) {
+      return res.status(404).json({
+        success: false,
+        message: "Sesión no encontrada o ya finalizada",
+      });
+    }
+
+    await revocarSesion(sesion, {
+      motivo: "cierre_administrativo",
+      revocadoPor: req.user.id,
+    });
+
+    await registrarAccionManual(req, {
+      accion: "FORCE_LOGOUT",
+      entidad: "Usuario",
+      entidad_id: usuario.id,
+      descripcion: `Cierre forzado de la sesión ${sesion.id} (${sesion.device_name || "dispositivo desconocido"}) de ${usuario.username}`,
+      severidad: "ALTA",
+      modulo: "Usuarios",
+      resultado: "EXITO",
+    });
+
+    res.json({
+      success: true,
+      message: "Sesión cerrada",
+      data: { id: sesion.id },
+    });
+  } catch (error) {
+    console.error("❌ Error en cerrarSesionUsuario:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al cerrar sesión del usuario",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * DELETE /api/v1/usuarios/:id/sessions
+ * Fuerza el cierre de todas las sesiones de un usuario
+ *
+ * @async
+ * @param {Object} req - Request de Express
+ * @param {string} req.params.id - ID del usuario
+ * @param {Object} res - Response de Express
+ * @returns {Object} JSON con el número de sesiones cerradas
+ */
+export const cerrarSesionesUsuario = async (req, res) => {
+  try {
+    const usuario = await buscarUsuario(req, res);
+    if (!usuario) return;
+
+    const { sesiones } = await revocarSesionesUsuario(usuario.id, {
+      motivo: "cierre_administrativo",
+      revocadoPor: req.user.id,
+    });
+
+    await registrarAccionManual(req, {
+      accion: "FORCE_LOGOUT",
+      entidad: "Usuario",
+      entidad_id: usuario.id,
+      descripcion: `Cierre forzado de ${sesiones} sesión(es) de ${usuario.username}`,
+      severidad: "ALTA",
+      modulo: "Usuarios",
+      resultado: "EXITO",
+    });
+
+    res.json({
+      success: true,
+      message: `${sesiones} sesión(es) cerrada(s)`,
+      data: { sesionesCerradas: sesiones },
+    });
+  } catch (error) {
+    console.error("❌ Error en cerrarSesionesUsuario:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al cerrar sesiones del usuario",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+export default {
+  getMisSesiones,
+  cerrarMiSesion,
+  cerrarOtrasSesiones,
+  getSesionesUsuario,
+  cerrarSesionUsuario,
+  cerrarSesionesUsuario,
+};
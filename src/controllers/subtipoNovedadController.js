@@ -174,6 +174,8 @@ const create = async (req, res) => {
       requiere_ambulancia,
       requiere_bomberos,
       requiere_pnp,
+      tipos_vehiculo_ids,
+      visible_ciudadano,
     } = req.body;
 
     const subtipoCodeNormalizado = subtipo_code
@@ -233,6 +235,8 @@ const create = async (req, res) => {
       requiere_ambulancia,
       requiere_bomberos,
       requiere_pnp,
+      tipos_vehiculo_ids,
+      visible_ciudadano,
       created_by: req.user.id,
     });
 
@@ -0,0 +1,331 @@
+/**
+ * Controlador: TransicionesEstadoNovedad
+ * CRUD del grafo de transiciones entre estados de novedad + vista del grafo
+ * completo. Las reglas se aplican en services/estadoNovedadTransicionesService.js
+ */
+
+import {
+  TransicionEstadoNovedad,
+  EstadoNovedad,
+  Usuario,
+} from "../models/index.js";
+
+const atributosEstado = ["id", "nombre", "color_hex", "icono", "orden", "es_inicial", "es_final", "requiere_unidad"];
+
+const baseIncludes = [
+  { model: EstadoNovedad, as: "estadoOrigen", attributes: atributosEstado },
+  { model: EstadoNovedad, as: "estadoDestino", attributes: atributosEstado },
+  {
+    model: Usuario,
+    as: "creadorTransicionEstado",
+    attributes: ["id", "username", "nombres", "apellidos"],
+  },
+  {
+    model: Usuario,
+    as: "actualizadorTransicionEstado",
+    attributes: ["id", "username", "nombres", "apellidos"],
+  },
+];
+
+/**
+ * GET /transiciones-estado-novedad
+ * Lista las transiciones con paginación y filtros opcionales
+ */
+export const getTransiciones = async (req, res) => {
+  try {
+    const { estado_origen_id, estado_destino_id, estado, page = 1, limit = 50 } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = { deleted_at: null };
+    if (estado_origen_id) where.estado_origen_id = parseInt(estado_origen_id);
+    if (estado_destino_id) where.estado_destino_id = parseInt(estado_destino_id);
+    if (estado !== undefined) where.estado = parseInt(estado);
+
+    const { count, rows } = await TransicionEstadoNovedad.findAndCountAll({
+      where,
+      include: baseIncludes,
+      order: [["estado_origen_id", "ASC"], ["estado_destino_id", "ASC"]],
+      limit: parseInt(limit),
+      offset,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: rows,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al obtener las transiciones de estado",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * GET /transiciones-estado-novedad/grafo
+ * Grafo completo: estados activos (nodos) y transiciones activas (aristas)
+ */
+export const getGrafo = async (req, res) => {
+  try {
+    const [estados, transiciones] = await Promise.all([
+      EstadoNovedad.findAll({
+        where: { estado: true, deleted_at: null },
+        attributes: atributosEstado,
+        order: [["orden", "ASC"]],
+      }),
+      TransicionEstadoNovedad.findAll({
+        where: { estado: 1, deleted_at: null },
+        attributes: ["id", "estado_origen_id", "estado_destino_id", "requiere_observacion", "campos_requeridos", "descripcion"],
+        order: [["estado_origen_id", "ASC"], ["estado_destino_id", "ASC"]],
+      }),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        configurado: transiciones.length > 0,
+        nodos: estados,
+        aristas: transiciones,
+      },
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al obtener el grafo de transiciones",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * GET /transiciones-estado-novedad/:id
+ * Obtiene una transición por ID
+ */
+export const getTransicionById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const registro = await TransicionEstadoNovedad.findOne({
+      where: { id, deleted_at: null },
+      include: baseIncludes,
+    });
+
+    if (!registro) {
+      return res.status(404).json({
+        success: false,
+        message: "Transición no encontrada",
+      });
+    }
+
+    return res.status(200).json({ success: true, data: registro });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al obtener la transición",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * POST /transiciones-estado-novedad
+ * Crea una transición (reactiva la que se hubiera eliminado antes)
+ */
+export const createTransicion = async (req, res) => {
+  try {
+    const {
+      estado_origen_id,
+      estado_destino_id,
+      requiere_observacion,
+      campos_requeridos,
+      descripcion,
+    } = req.body;
+
+    const estados = await EstadoNovedad.count({
+      where: { id: [estado_origen_id, estado_destino_id], deleted_at: null },
+    });
+    if (estados < 2) {
+      return res.status(404).json({
+        success: false,
+        message: "Estado de origen o destino no encontrado",
+      });
+    }
+
+    const existente = await TransicionEstadoNovedad.findOne({
+      where: { estado_origen_id, estado_destino_id },
+    });
+    if (existente && !existente.deleted_at) {
+      return res.status(409).json({
+        success: false,
+        message: "Ya existe una transición entre estos estados",
+      });
+    }
+
+    const datos = {
+      requiere_observacion: requiere_observacion ? 1 : 0,
+      campos_requeridos: campos_requeridos?.length ? campos_requeridos : null,
+      descripcion: descripcion || null,
+      estado: 1,
+      updated_by: req.user.id,
+    };
+
+    const transicion = existente
+      ? await existente.update({ ...datos, deleted_at: null, deleted_by: null })
+      : await TransicionEstadoNovedad.create({
+        ...datos,
+        estado_origen_id,
+        estado_destino_id,
+        created_by: req.user.id,
+      });
+
+    const registro = await TransicionEstadoNovedad.findOne({
+      where: { id: transicion.id },
+      include: baseIncludes,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Transición creada exitosamente",
+      data: registro,
+    });
+  } catch (error) {
+    if (error.name === "SequelizeUniqueConstraintError") {
+      return res.status(409).json({
+        success: false,
+        message: "Ya existe una transición entre estos estados",
+      });
+    }
+    return res.status(500).json({
+      success: false,
+      message: "Error al crear la transición",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * PUT /transiciones-estado-novedad/:id
+ * Actualiza requisitos, descripción o estado de una transición
+ */
+export const updateTransicion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { requiere_observacion, campos_requeridos, descripcion, estado } = req.body;
+
+    const registro = await TransicionEstadoNovedad.findOne({
+      where: { id, deleted_at: null },
+    });
+    if (!registro) {
+      return res.status(404).json({
+        success: false,
+        message: "Transición no encontrada",
+      });
+    }
+
+    const datos = { updated_by: req.user.id };
+    if (requiere_observacion !== undefined) datos.requiere_observacion = requiere_observacion ? 1 : 0;
+    if (campos_requeridos !== undefined) {
+      datos.campos_requeridos = campos_requeridos?.length ? campos_requeridos : null;
+    }
+    if (descripcion !== undefined) datos.descripcion = descripcion;
+    if (estado !== undefined) datos.estado = estado ? 1 : 0;
+
+    await registro.update(datos);
+
+    const actualizado = await TransicionEstadoNovedad.findOne({
+      where: { id },
+      include: baseIncludes,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Transición actualizada exitosamente",
+      data: actualizado,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al actualizar la transición",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * PATCH /transiciones-estado-novedad/:id/estado
+ * Activa o desactiva una transición
+ */
+export const cambiarEstadoTransicion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { estado } = req.body;
+
+    const registro = await TransicionEstadoNovedad.findOne({
+      where: { id, deleted_at: null },
+    });
+    if (!registro) {
+      return res.status(404).json({
+        success: false,
+        message: "Transición no encontrada",
+      });
+    }
+
+    await registro.update({ estado: estado ? 1 : 0, updated_by: req.user.id });
+
+    return res.status(200).json({
+      success: true,
+      message: `Transición ${estado ? "activada" : "desactivada"} exitosamente`,
+      data: { id: registro.id, estado: registro.estado },
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al cambiar el estado",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * DELETE /transiciones-estado-novedad/:id
+ * Soft-delete de la transición
+ */
+export const deleteTransicion = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const registro = await TransicionEstadoNovedad.findOne({
+      where: { id, deleted_at: null },
+    });
+    if (!registro) {
+      return res.status(404).json({
+        success: false,
+        message: "Transición no encontrada",
+      });
+    }
+
+    await registro.update({
+      deleted_at: new Date(),
+      deleted_by: req.user.id,
+      estado: 0,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Transición eliminada exitosamente",
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al eliminar la transición",
+      error: error.message,
+    });
+  }
+};
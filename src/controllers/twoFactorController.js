@@ -0,0 +1,555 @@
+/**
+ * ===================================================
+ * CONTROLADOR: twoFactorController.js
+ * ===================================================
+ *
+ * Ruta: src/controllers/twoFactorController.js
+ *
+ * Descripción:
+ * Autenticación de dos factores (TOTP) sobre las columnas
+ * two_factor_* de usuarios. Flujo:
+ * 1. POST /auth/2fa/setup   → genera secret + QR (aún no habilitado)
+ * 2. POST /auth/2fa/enable  → confirma con un código y devuelve los
+ *                             códigos de recuperación (una sola vez)
+ * 3. POST /auth/login       → si 2FA está activo devuelve twoFactorToken
+ * 4. POST /auth/2fa/verify  → canjea twoFactorToken + código por el par
+ *                             access/refresh definitivo
+ *
+ * @module controllers/twoFactorController
+ * @requires bcryptjs
+ * @requires speakeasy
+ * @requires qrcode
+ * @author Sistema de Seguridad Ciudadana
+ * @version 1.0.0
+ * @date 2026-10-18
+ */
+
+import bcrypt from "bcryptjs";
+import { Usuario, Rol, Permiso } from "../models/index.js";
+import authConfig from "../config/auth.js";
+import {
+  generarSecreto,
+  aceptarCodigoTOTP,
+  generarCodigosRecuperacion,
+  validarSegundoFactor,
+} from "../services/twoFactorService.js";
+import {
+  construirRespuestaLogin,
+  verificarToken2FAPendiente,
+} from "../services/authTokenService.js";
+import { registrarFallo2FA } from "../services/loginSeguridadService.js";
+import { auditarAutenticacion } from "../middlewares/auditoriaAccionMiddleware.js";
+
+/**
+ * Include estándar de roles activos con sus permisos
+ * @private
+ */
+const includeRolesPermisos = [
+  {
+    model: Rol,
+    as: "roles",
+    through: { attributes: [], where: { estado: 1 } },
+    include: [{ model: Permiso, as: "permisos", through: { attributes: [] } }],
+  },
+];
+
+// ==========================================
+// ENDPOINT: ESTADO 2FA
+// ==========================================
+
+/**
+ * GET /api/v1/auth/2fa/status
+ * Indica si el usuario autenticado tiene 2FA habilitado
+ *
+ * @async
+ * @param {Object} req - Request de Express
+ * @param {Object} res - Response de Express
+ * @returns {Object} JSON { enabled, recoveryCodesRemaining }
+ */
+export const estado2FA = async (req, res) => {
+  try {
+    const usuario = await Usuario.findByPk(req.user.id);
+
+    if (!usuario) {
+      return res.status(404).json({
+        success: false,
+        message: "Usuario no encontrado",
+      });
+    }
+
+    const codigos = usuario.two_factor_recovery_codes;
+    const lista = typeof codigos === "string" ? JSON.parse(codigos) : codigos;
+
+    res.json({
+      success: true,
+      data: {
+        enabled: Boolean(usuario.two_factor_enabled),
+        recoveryCodesRemaining: usuario.two_factor_enabled
+          ? (lista || []).length
+          : 0,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error en estado2FA:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al consultar estado de 2FA",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// ==========================================
+// ENDPOINT: INICIAR ENROLAMIENTO
+// ==========================================
+
+/**
+ * POST /api/v1/auth/2fa/setup
+ * Genera un nuevo secret TOTP y su código QR.
+ * El 2FA queda pendiente hasta confirmarlo con /2fa/enable.
+ *
+ * @async
+ * @param {Object} req - Request de Express
+ * @param {Object} res - Response de Express
+ * @returns {Object} JSON { secret, otpauthUrl, qrCode }
+ *
+ * @example
+ * // Response 200
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "secret": "JBSWY3DPEHPK3PXP...",
+ *     "otpauthUrl": "otpauth://totp/...",
+ *     "qrCode": "data:image/png;base64,iVBORw0..."
+ *   }
+ * }
+ */
+export const setup2FA = async (req, res) => {
+  try {
+    const usuario = await Usuario.findByPk(req.user.id);
+
+    if (!usuario) {
+      return res.status(404).json({
+        success: false,
+        message: "Usuario no encontrado",
+      });
+    }
+
+    if (usuario.two_factor_enabled) {
+      return res.status(409).json({
+        success: false,
+        message: "2FA ya está habilitado. Deshabilítelo antes de reconfigurar.",
+      });
+    }
+
+    const { secret, secretCifrado, otpauthUrl, qrCode } =
+      await generarSecreto(usuario);
+
+    await usuario.update(
+      {
+        two_factor_secret: secretCifrado,
+        two_factor_recovery_codes: null,
+        two_factor_ultimo_paso: null,
+        updated_by: usuario.id,
+      },
+      { currentUser: usuario.id, ipAddress: req.ip }
+    );
+
+    res.json({
+      success: true,
+      message:
+        "Escanee el código QR y confirme con un código para habilitar 2FA",
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error en setup2FA:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al configurar 2FA",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// ==========================================
+// ENDPOINT: CONFIRMAR Y HABILITAR
+// ==========================================
+
+/**
+ * POST /api/v1/auth/2fa/enable
+ * Confirma el enrolamiento con un código TOTP y habilita 2FA.
+ * Devuelve los códigos de recuperación (se muestran una sola vez).
+ *
+ * @async
+ * @param {Object} req - Request de Express
+ * @param {string} req.body.code - Código TOTP de 6 dígitos
+ * @param {Object} res - Response de Express
+ * @returns {Object} JSON { recoveryCodes }
+ */
+export const enable2FA = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: "El código es requerido",
+      });
+    }
+
+    const usuario = await Usuario.findByPk(req.user.id);
+
+    if (!usuario) {
+      return res.status(404).json({
+        success: false,
+        message: "Usuario no encontrado",
+      });
+    }
+
+    if (usuario.two_factor_enabled) {
+      return res.status(409).json({
+        success: false,
+        message: "2FA ya está habilitado",
+      });
+    }
+
+    if (!usuario.two_factor_secret) {
+      return res.status(400).json({
+        success: false,
+        message: "Primero debe iniciar la configuración en /auth/2fa/setup",
+      });
+    }
+
+    if (!(await aceptarCodigoTOTP(usuario, code))) {
+      await auditarAutenticacion(req, "2FA_ENABLE", "FALLO", "Código 2FA inválido al habilitar");
+      return res.status(400).json({
+        success: false,
+        message: "Código inválido",
+      });
+    }
+
+    const { codigos, hashes } = generarCodigosRecuperacion();
+
+    await usuario.update(
+      {
+        two_factor_enabled: true,
+        two_factor_recovery_codes: hashes,
+        updated_by: usuario.id,
+      },
+      { currentUser: usuario.id, ipAddress: req.ip }
+    );
+
+    await auditarAutenticacion(req, "2FA_ENABLE", "EXITO", "2FA habilitado");
+    console.log(`🔐 2FA habilitado para usuario: ${usuario.username}`);
+
+    res.json({
+      success: true,
+      message:
+        "2FA habilitado. Guarde los códigos de recuperación en un lugar seguro.",
+      data: {
+        recoveryCodes: codigos,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error en enable2FA:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al habilitar 2FA",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// ==========================================
+// ENDPOINT: VERIFICAR SEGUNDO FACTOR EN LOGIN
+// ==========================================
+
+/**
+ * POST /api/v1/auth/2fa/verify
+ * Canjea el token "2FA pendiente" emitido por /auth/login más un código
+ * TOTP (o de recuperación) por el par access/refresh definitivo.
+ *
+ * @async
+ * @param {Object} req - Request de Express
+ * @param {string} req.body.twoFactorToken - Token devuelto por /auth/login
+ * @param {string} [req.body.code] - Código TOTP
+ * @param {string} [req.body.recoveryCode] - Código de recuperación
+ * @param {Object} res - Response de Express
+ * @returns {Object} JSON igual al de un login exitoso
+ */
+export const verify2FA = async (req, res) => {
+  try {
+    const { twoFactorToken, code, recoveryCode } = req.body;
+
+    if (!twoFactorToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: "twoFactorToken y code (o recoveryCode) son requeridos",
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verificarToken2FAPendiente(twoFactorToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: "Token 2FA inválido o expirado. Inicie sesión nuevamente.",
+      });
+    }
+
+    const usuario = await Usuario.findByPk(decoded.userId, {
+      include: includeRolesPermisos,
+    });
+
+    if (!usuario || usuario.estado !== "ACTIVO" || !usuario.two_factor_enabled) {
+      return res.status(401).json({
+        success: false,
+        message: "Usuario no válido",
+      });
+    }
+
+    if (Usuario.isLocked(usuario)) {
+      const minutosRestantes = Math.ceil(
+        (new Date(usuario.locked_until) - new Date()) / 60000
+      );
+      return res.status(403).json({
+        success: false,
+        message: `Usuario bloqueado temporalmente. Intente nuevamente en ${minutosRestantes} minutos.`,
+        bloqueadoHasta: usuario.locked_until,
+      });
+    }
+
+    // Tras maxAttempts códigos inválidos el token pendiente ya no sirve
+    const fallosDesdeEmision =
+      (usuario.two_factor_intentos_fallidos || 0) - (decoded.intentos2fa || 0);
+    if (fallosDesdeEmision >= authConfig.twoFactor.maxAttempts) {
+      return res.status(401).json({
+        success: false,
+        message: "Demasiados códigos inválidos. Inicie sesión nuevamente.",
+      });
+    }
+
+    // Para la auditoría (aún no hay req.user en este endpoint público)
+    req.user = { id: usuario.id };
+
+    const resultado = await validarSegundoFactor(usuario, { code, recoveryCode });
+
+    if (!resultado.valido) {
+      await auditarAutenticacion(req, "2FA_VERIFY", "FALLO", "Código 2FA inválido en login");
+      const fallo = await registrarFallo2FA({ usuario, ip: req.ip });
+      return res.status(401).json({
+        success: false,
+        message: "Código inválido",
+        intentosRestantes: Math.max(
+          authConfig.twoFactor.maxAttempts - (fallo.intentos - (decoded.intentos2fa || 0)),
+          0
+        ),
+        bloqueadoHasta: fallo.bloqueadoHasta || undefined,
+      });
+    }
+
+    if (usuario.two_factor_intentos_fallidos) {
+      await Usuario.update(
+        { two_factor_intentos_fallidos: 0 },
+        { where: { id: usuario.id }, hooks: false }
+      );
+    }
+
+    await auditarAutenticacion(
+      req,
+      "LOGIN",
+      "EXITO",
+      `Login completado con 2FA (${resultado.metodo})`
+    );
+
+    res.json({
+      success: true,
+      message: "Login exitoso",
+      data: {
+        ...(await construirRespuestaLogin(usuario, req)),
+        ...(resultado.metodo === "recovery_code" && {
+          recoveryCodesRemaining: resultado.codigosRestantes.length,
+        }),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error en verify2FA:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al verificar 2FA",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// ==========================================
+// ENDPOINT: DESHABILITAR
+// ==========================================
+
+/**
+ * POST /api/v1/auth/2fa/disable
+ * Deshabilita 2FA. Requiere contraseña y un código TOTP o de recuperación.
+ *
+ * @async
+ * @param {Object} req - Request de Express
+ * @param {string} req.body.password - Contraseña actual
+ * @param {string} [req.body.code] - Código TOTP
+ * @param {string} [req.body.recoveryCode] - Código de recuperación
+ * @param {Object} res - Response de Express
+ * @returns {Object} JSON confirmando
+ */
+export const disable2FA = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: "password y code (o recoveryCode) son requeridos",
+      });
+    }
+
+    const usuario = await Usuario.findByPk(req.user.id);
+
+    if (!usuario) {
+      return res.status(404).json({
+        success: false,
+        message: "Usuario no encontrado",
+      });
+    }
+
+    if (!usuario.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "2FA no está habilitado",
+      });
+    }
+
+    // El código solo se consume si la contraseña es correcta
+    const passwordValido = await bcrypt.compare(password, usuario.password_hash);
+    const resultado = passwordValido
+      ? await validarSegundoFactor(usuario, { code, recoveryCode })
+      : { valido: false };
+
+    if (!passwordValido || !resultado.valido) {
+      await auditarAutenticacion(req, "2FA_DISABLE", "FALLO", "Credenciales inválidas al deshabilitar 2FA");
+      return res.status(401).json({
+        success: false,
+        message: "Contraseña o código inválido",
+      });
+    }
+
+    await usuario.update(
+      {
+        two_factor_enabled: false,
+        two_factor_secret: null,
+        two_factor_recovery_codes: null,
+        two_factor_ultimo_paso: null,
+        updated_by: usuario.id,
+      },
+      { currentUser: usuario.id, ipAddress: req.ip }
+    );
+
+    await auditarAutenticacion(req, "2FA_DISABLE", "EXITO", "2FA deshabilitado");
+    console.log(`🔓 2FA deshabilitado para usuario: ${usuario.username}`);
+
+    res.json({
+      success: true,
+      message: "2FA deshabilitado",
+    });
+  } catch (error) {
+    console.error("❌ Error en disable2FA:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al deshabilitar 2FA",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// ==========================================
+// ENDPOINT: REGENERAR CÓDIGOS DE RECUPERACIÓN
+// ==========================================
+
+/**
+ * POST /api/v1/auth/2fa/recovery-codes
+ * Invalida los códigos de recuperación actuales y genera uno nuevo.
+ * Requiere un código TOTP vigente.
+ *
+ * @async
+ * @param {Object} req - Request de Express
+ * @param {string} req.body.code - Código TOTP
+ * @param {Object} res - Response de Express
+ * @returns {Object} JSON { recoveryCodes }
+ */
+export const regenerarCodigosRecuperacion = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: "El código es requerido",
+      });
+    }
+
+    const usuario = await Usuario.findByPk(req.user.id);
+
+    if (!usuario || !usuario.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "2FA no está habilitado",
+      });
+    }
+
+    if (!(await aceptarCodigoTOTP(usuario, code))) {
+      return res.status(401).json({
+        success: false,
+        message: "Código inválido",
+      });
+    }
+
+    const { codigos, hashes } = generarCodigosRecuperacion();
+
+    await usuario.update(
+      { two_factor_recovery_codes: hashes, updated_by: usuario.id },
+      { currentUser: usuario.id, ipAddress: req.ip }
+    );
+
+    await auditarAutenticacion(
+      req,
+      "2FA_RECOVERY_CODES",
+      "EXITO",
+      "Códigos de recuperación 2FA regenerados"
+    );
+
+    res.json({
+      success: true,
+      message: "Códigos de recuperación regenerados. Los anteriores ya no son válidos.",
+      data: {
+        recoveryCodes: codigos,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error en regenerarCodigosRecuperacion:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error al regenerar códigos de recuperación",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+export default {
+  estado2FA,
+  setup2FA,
+  enable2FA,
+  verify2FA,
+  disable2FA,
+  regenerarCodigosRecuperacion,
+};
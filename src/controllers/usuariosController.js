@@ -16,6 +16,12 @@ import {
 } from "../models/index.js";
 import { sequelize } from "../models/index.js";
 import { Op } from "sequelize";
+import { revocarSesionesUsuario } from "../services/sesionesService.js";
+import { emitirVerificacionEmail } from "../services/emailVerificationService.js";
+import {
+  validarPasswordUsuario,
+  registrarPasswordHistorial,
+} from "../services/passwordPolicyService.js";
 
 /**
  * GET /api/usuarios
@@ -260,6 +266,23 @@ export const createUsuario = async (req, res) => {
       });
     }
 
+    // Validar contraseña contra la política
+    const erroresPassword = await validarPasswordUsuario(password, {
+      username,
+      email,
+      nombres,
+      apellidos,
+      personal_seguridad_id,
+    });
+    if (erroresPassword.length > 0) {
+      await t.rollback();
+      return res.status(400).json({
+        success: false,
+        message: "La contraseña no cumple la política de seguridad",
+        errors: erroresPassword,
+      });
+    }
+
     // Verificar si el usuario ya existe (incluyendo soft-deleted)
     // Los usuarios INACTIVOS/soft-deleted NO deben ser reutilizados
     const usuarioExistente = await Usuario.findOne({
@@ -297,6 +320,7 @@ export const createUsuario = async (req, res) => {
         username: username.toLowerCase(),
         email: email.toLowerCase(),
         password_hash,
+        password_changed_at: new Date(),
         nombres,
         apellidos,
         telefono,
@@ -307,6 +331,11 @@ export const createUsuario = async (req, res) => {
       },
       { transaction: t, auditOptions }
     );
+
+    await registrarPasswordHistorial(nuevoUsuario.id, password_hash, {
+      transaction: t,
+    });
+
     // Asignar roles si se especificaron
     if (roles && roles.length > 0) {
       const rolesEncontrados = await Rol.findAll({
@@ -431,7 +460,11 @@ export const updateUsuario = async (req, res) => {
     if (nombres !== undefined) datosActualizar.nombres = nombres;
     if (apellidos !== undefined) datosActualizar.apellidos = apellidos;
     if (telefono !== undefined) datosActualizar.telefono = telefono;
+    // Un email nuevo debe verificarse otra vez
+    const emailCambiado =
+      email !== undefined && email.toLowerCase() !== usuario.email;
     if (email !== undefined) datosActualizar.email = email.toLowerCase();
+    if (emailCambiado) datosActualizar.email_verified_at = null;
     if (estado !== undefined) {
       // Normalizar estado: convertir 0/1 a strings ENUM
       const estadoNormalizado =
@@ -468,6 +501,16 @@ export const updateUsuario = async (req, res) => {
 
     await usuario.update(datosActualizar, { transaction: t, auditOptions });
 
+    // Un usuario que deja de estar ACTIVO pierde sus sesiones de inmediato
+    if (datosActualizar.estado && datosActualizar.estado !== "ACTIVO") {
+      await revocarSesionesUsuario(usuario.id, {
+        motivo: `usuario_${datosActualizar.estado.toLowerCase()}`,
+        revocadoPor: updated_by,
+        incluirApiKeys: true,
+        transaction: t,
+      });
+    }
+
     // Actualizar roles si se especificaron
     if (roles !== undefined && Array.isArray(roles)) {
       const rolesEncontrados = await Rol.findAll({
@@ -519,6 +562,13 @@ export const updateUsuario = async (req, res) => {
 
     await t.commit();
 
+    if (emailCambiado) {
+      // La actualización ya está confirmada: un fallo aquí no la revierte
+      await emitirVerificacionEmail(usuario).catch((error) =>
+        console.error("Error emitiendo verificación de email:", error)
+      );
+    }
+
     // Recargar usuario con relaciones
     const usuarioActualizado = await Usuario.findByPk(id, {
       attributes: {
@@ -623,6 +673,14 @@ export const deleteUsuario = async (req, res) => {
       }
     );
 
+    // Sesiones y API keys del usuario eliminado dejan de ser válidas
+    await revocarSesionesUsuario(usuario.id, {
+      motivo: "usuario_eliminado",
+      revocadoPor: deleted_by,
+      incluirApiKeys: true,
+      transaction: t,
+    });
+
     await t.commit();
 
     res.json({
@@ -660,11 +718,11 @@ export const resetPassword = async (req, res) => {
     const { id } = req.params;
     const { newPassword } = req.body;
 
-    if (!newPassword || newPassword.length < 8) {
+    if (!newPassword) {
       await t.rollback();
       return res.status(400).json({
         success: false,
-        message: "La nueva contraseña debe tener al menos 8 caracteres",
+        message: "La nueva contraseña es requerida",
       });
     }
 
@@ -678,6 +736,16 @@ export const resetPassword = async (req, res) => {
       });
     }
 
+    const erroresPassword = await validarPasswordUsuario(newPassword, usuario);
+    if (erroresPassword.length > 0) {
+      await t.rollback();
+      return res.status(400).json({
+        success: false,
+        message: "La contraseña no cumple la política de seguridad",
+        errors: erroresPassword,
+      });
+    }
+
     // Hashear nueva contraseña
     const salt = await bcrypt.genSalt(10);
     const password_hash = await bcrypt.hash(newPassword, salt);
@@ -696,6 +764,17 @@ export const resetPassword = async (req, res) => {
       }
     );
 
+    await registrarPasswordHistorial(usuario.id, password_hash, {
+      transaction: t,
+    });
+
+    // Invalidar las sesiones y tokens emitidos con la contraseña anterior
+    await revocarSesionesUsuario(usuario.id, {
+      motivo: "password_reset_admin",
+      revocadoPor: updated_by,
+      transaction: t,
+    });
+
     await t.commit();
 
     res.json({
@@ -768,6 +847,16 @@ export const cambiarEstado = async (req, res) => {
       { transaction: t, auditOptions }
     );
 
+    // Un usuario que deja de estar ACTIVO pierde sus sesiones de inmediato
+    if (estadoNormalizado !== "ACTIVO") {
+      await revocarSesionesUsuario(usuario.id, {
+        motivo: `usuario_${estadoNormalizado.toLowerCase()}`,
+        revocadoPor: updated_by,
+        incluirApiKeys: true,
+        transaction: t,
+      });
+    }
+
     await t.commit();
 
     res.json({
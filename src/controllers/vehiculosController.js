@@ -71,6 +71,7 @@ import {
 } from "../models/index.js";
 import { Op } from "sequelize";
 import sequelize from "../config/database.js";
+import { cambiarEstadoOperativoVehiculo } from "../services/despachoTiempoRealService.js";
 
 /**
  * Obtener todos los vehículos con filtros
@@ -858,74 +859,30 @@ export const actualizarKilometraje = async (req, res) => {
  * 🔥 VERSIÓN CORREGIDA
  */
 export const cambiarEstadoOperativo = async (req, res) => {
-  const transaction = await sequelize.transaction();
-
   try {
     const { id } = req.params;
     const { estado_operativo, observaciones } = req.body;
 
-    const estadosValidos = [
-      "DISPONIBLE",
-      "EN_SERVICIO",
-      "MANTENIMIENTO",
-      "REPARACION",
-      "FUERA_DE_SERVICIO",
-      "INACTIVO",
-    ];
-
-    if (!estadosValidos.includes(estado_operativo)) {
-      await transaction.rollback();
-      return res.status(400).json({
-        success: false,
-        message: `Estado operativo inválido. Debe ser uno de: ${estadosValidos.join(
-          ", "
-        )}`,
-      });
-    }
-
-    const vehiculo = await Vehiculo.findOne({
-      where: { id, estado: 1, deleted_at: null },
-      transaction,
-      lock: transaction.LOCK.UPDATE,
+    const resultado = await cambiarEstadoOperativoVehiculo({
+      vehiculoId: id,
+      estadoOperativo: estado_operativo,
+      observaciones,
+      usuarioId: req.user.id,
     });
 
-    if (!vehiculo) {
-      await transaction.rollback();
-      return res.status(404).json({
+    if (!resultado.ok) {
+      return res.status(resultado.status).json({
         success: false,
-        message: "Vehículo no encontrado",
+        message: resultado.message,
       });
     }
 
-    const estadoAnterior = vehiculo.estado_operativo;
-
-    await vehiculo.update(
-      {
-        estado_operativo,
-        observaciones: observaciones || vehiculo.observaciones,
-        updated_by: req.user.id,
-      },
-      { transaction }
-    );
-
-    await transaction.commit();
-
     res.status(200).json({
       success: true,
-      message: "Estado operativo actualizado exitosamente",
-      data: {
-        id: vehiculo.id,
-        codigo_vehiculo: vehiculo.codigo_vehiculo,
-        placa: vehiculo.placa,
-        estado_anterior: estadoAnterior,
-        estado_nuevo: estado_operativo,
-      },
+      message: resultado.message,
+      data: resultado.data,
     });
   } catch (error) {
-    if (!transaction.finished) {
-      await transaction.rollback();
-    }
-
     console.error("Error al cambiar estado:", error);
     res.status(500).json({
       success: false,
@@ -9,15 +9,131 @@
 
 import jwt from "jsonwebtoken";
 import { Usuario, Rol, Permiso } from "../models/index.js";
+import { estaRevocado } from "../services/tokenRevocacionService.js";
+import {
+  autenticarApiKey,
+  obtenerUsuarioConPermisos,
+  permisosEfectivos,
+} from "../services/apiKeysService.js";
+import {
+  POLITICAS_EMAIL,
+  politicaEmailUsuario,
+  permisosSoloLectura,
+} from "../services/emailVerificationService.js";
 
 /**
- * Verificar token JWT
+ * Métodos permitidos a usuarios en modo solo lectura (email sin verificar)
+ * @private
+ */
+const METODOS_LECTURA = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Marca de los middlewares que declaran los permisos de una ruta
+ * @private
+ */
+const DECLARA_SCOPES = Symbol("declaraScopes");
+
+/**
+ * Marca de los handlers ya envueltos por restringirApiKeysARutasConScope
+ * @private
+ */
+const GUARDA_API_KEY = Symbol("guardaApiKey");
+
+/**
+ * Marca el middleware como declaración de permisos si exige alguno
+ * @private
+ */
+const declararScopes = (middleware, permisosRequeridos) => {
+  if (permisosRequeridos.length > 0) middleware[DECLARA_SCOPES] = true;
+  return middleware;
+};
+
+/**
+ * Una API key debe tener TODOS los permisos que la ruta exige
+ * @private
+ */
+const apiKeyCubrePermisos = (user, permisosRequeridos) =>
+  permisosRequeridos.length > 0 &&
+  permisosRequeridos.every((p) => user.permisos.includes(p));
+
+/**
+ * Respuesta 403 de una API key sin los scopes de la ruta
+ * @private
+ */
+const rechazarScopesApiKey = (req, res, permisosRequeridos) =>
+  res.status(403).json({
+    success: false,
+    message: "La API key no tiene el scope requerido para esta acción",
+    requiredPermissions: permisosRequeridos,
+    scopes: req.user.permisos,
+  });
+
+/**
+ * Respuesta 403 de una API key en una ruta que no declara permisos
+ * @private
+ */
+const rechazarApiKeySinScope = (res) =>
+  res.status(403).json({
+    success: false,
+    message: "Esta ruta no está disponible con API key",
+  });
+
+/**
+ * Autenticación con "Authorization: ApiKey <key>" (clientes de máquina).
+ * req.user no tiene roles: los permisos son los scopes de la key, por
+ * lo que solo pasa las rutas que exigen permisos cubiertos por esos
+ * scopes (ver restringirApiKeysARutasConScope).
+ * @private
+ */
+const verificarApiKey = async (req, res, next, apiKey) => {
+  if (req.apiKeyNoPermitida) return rechazarApiKeySinScope(res);
+
+  const registro = await autenticarApiKey(apiKey, req);
+
+  if (!registro) {
+    return res.status(401).json({
+      success: false,
+      message: "API key inválida, vencida o revocada",
+    });
+  }
+
+  const usuario = await obtenerUsuarioConPermisos(registro.usuario_id);
+
+  if (!usuario || usuario.estado !== "ACTIVO") {
+    return res.status(403).json({
+      success: false,
+      message: "Usuario de servicio inactivo",
+    });
+  }
+
+  req.user = {
+    id: usuario.id,
+    username: usuario.username,
+    email: usuario.email,
+    personal_seguridad_id: usuario.personal_seguridad_id || null,
+    rol: null,
+    roles: [],
+    rolSlugs: [],
+    permisos: permisosEfectivos(registro, usuario),
+    sid: null,
+    apiKey: { id: registro.id, nombre: registro.nombre },
+  };
+
+  next();
+};
+
+/**
+ * Verificar token JWT (Bearer) o API key (ApiKey)
  */
 export const verificarToken = async (req, res, next) => {
   try {
     // Obtener token del header
     const authHeader = req.headers.authorization;
 
+    if (authHeader && authHeader.startsWith("ApiKey ")) {
+      return await verificarApiKey(req, res, next, authHeader.substring(7).trim());
+    }
+
     if (!authHeader || !authHeader.startsWith("Bearer ")) {
       return res.status(401).json({
         success: false,
@@ -30,6 +146,23 @@ export const verificarToken = async (req, res, next) => {
     // Verificar token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Tokens de propósito específico (ej: 2FA pendiente) no dan acceso a la API
+    if (decoded.purpose) {
+      return res.status(401).json({
+        success: false,
+        message: "Token inválido",
+      });
+    }
+
+    // Lista de revocación (logout, sesión cerrada, usuario desactivado o
+    // contraseña restablecida): efecto inmediato sin esperar al vencimiento
+    if (await estaRevocado(decoded.jti)) {
+      return res.status(401).json({
+        success: false,
+        message: "Token revocado. Inicie sesión nuevamente.",
+      });
+    }
+
     // Buscar usuario básico primero
     const usuario = await Usuario.findByPk(decoded.id || decoded.userId);
 
@@ -43,7 +176,7 @@ export const verificarToken = async (req, res, next) => {
       });
     }
 
-    if (!usuario.estado || usuario.estado === 0) {
+    if (usuario.estado !== "ACTIVO") {
       return res.status(403).json({
         success: false,
         message: "Usuario inactivo",
@@ -106,6 +239,31 @@ export const verificarToken = async (req, res, next) => {
       });
     }
 
+    // Email sin verificar: según la política, sin acceso o solo lectura
+    // (las rutas /auth siguen disponibles para gestionar la cuenta)
+    let permisos = Array.from(todosLosPermisos);
+    const politicaEmail = politicaEmailUsuario(usuario);
+    const rutaDeCuenta = req.baseUrl.endsWith("/auth");
+
+    if (politicaEmail === POLITICAS_EMAIL.BLOQUEAR && !rutaDeCuenta) {
+      return res.status(403).json({
+        success: false,
+        emailVerificationRequired: true,
+        message: "Debe verificar su email para continuar",
+      });
+    }
+
+    if (politicaEmail === POLITICAS_EMAIL.SOLO_LECTURA) {
+      if (!METODOS_LECTURA.includes(req.method) && !rutaDeCuenta) {
+        return res.status(403).json({
+          success: false,
+          emailVerificationRequired: true,
+          message: "Verifique su email para realizar cambios (acceso de solo lectura)",
+        });
+      }
+      permisos = permisosSoloLectura(permisos);
+    }
+
     // Adjuntar usuario al request
     req.user = {
       id: usuario.id,
@@ -115,7 +273,8 @@ export const verificarToken = async (req, res, next) => {
       rol: rolPrincipal,
       roles: roles, // Nombres legibles
       rolSlugs: rolSlugs, // 🔥 NUEVO: Slugs para comparación
-      permisos: Array.from(todosLosPermisos),
+      permisos,
+      sid: decoded.sid || null, // Sesión (dispositivo) del token
     };
 
     next();
@@ -144,6 +303,22 @@ export const verificarToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Rechaza peticiones autenticadas con API key en rutas de la cuenta
+ * personal (logout, contraseña, 2FA, sesiones). Usar después de
+ * verificarToken.
+ */
+export const soloUsuarioInteractivo = (req, res, next) => {
+  if (req.user?.apiKey) {
+    return res.status(403).json({
+      success: false,
+      message: "Esta operación no está disponible con API key",
+    });
+  }
+
+  next();
+};
+
 /**
  * Verificar roles permitidos
  * 🔥 AHORA USA SLUGS PARA COMPARACIÓN
@@ -186,7 +361,7 @@ export const verificarRoles = (rolesPermitidos) => {
  * @param {Array} permisosRequeridos - Array de slugs de permisos
  */
 export const requireAnyPermission = (permisosRequeridos) => {
-  return (req, res, next) => {
+  const middleware = (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -194,6 +369,11 @@ export const requireAnyPermission = (permisosRequeridos) => {
       });
     }
 
+    if (req.user.apiKey) {
+      if (apiKeyCubrePermisos(req.user, permisosRequeridos)) return next();
+      return rechazarScopesApiKey(req, res, permisosRequeridos);
+    }
+
     // 🔥 SIMPLIFICADO: Usamos rolSlugs directamente
     const rolesUsuario = req.user.rolSlugs || [];
 
@@ -224,6 +404,8 @@ export const requireAnyPermission = (permisosRequeridos) => {
 
     next();
   };
+
+  return declararScopes(middleware, permisosRequeridos);
 };
 
 /**
@@ -232,7 +414,7 @@ export const requireAnyPermission = (permisosRequeridos) => {
  * @param {Array} permisosRequeridos - Array de slugs de permisos
  */
 export const requireAllPermissions = (permisosRequeridos) => {
-  return (req, res, next) => {
+  const middleware = (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -269,6 +451,8 @@ export const requireAllPermissions = (permisosRequeridos) => {
 
     next();
   };
+
+  return declararScopes(middleware, permisosRequeridos);
 };
 
 /**
@@ -281,7 +465,7 @@ export const requireAllPermissions = (permisosRequeridos) => {
  * @param {Array} permisosRequeridos - Slugs de permisos (ej: ['novedades.incidentes.create'])
  */
 export const verificarRolesOPermisos = (rolesPermitidos, permisosRequeridos = []) => {
-  return (req, res, next) => {
+  const middleware = (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -289,6 +473,12 @@ export const verificarRolesOPermisos = (rolesPermitidos, permisosRequeridos = []
       });
     }
 
+    // API key: solo cuentan sus scopes (todos los exigidos), nunca los roles
+    if (req.user.apiKey) {
+      if (apiKeyCubrePermisos(req.user, permisosRequeridos)) return next();
+      return rechazarScopesApiKey(req, res, permisosRequeridos);
+    }
+
     const rolesUsuario = req.user.rolSlugs || [];
 
     // Super Admin y Admin siempre pasan
@@ -320,6 +510,8 @@ export const verificarRolesOPermisos = (rolesPermitidos, permisosRequeridos = []
       userRoleSlugs: rolesUsuario,
     });
   };
+
+  return declararScopes(middleware, permisosRequeridos);
 };
 
 /**
@@ -364,6 +556,52 @@ export const requireModuleAccess = (modulo) => {
   };
 };
 
+/**
+ * Deniega por defecto las API keys: recorre las rutas del router (y sus
+ * sub-routers) y, en las que no incluyen verificarRolesOPermisos,
+ * requireAnyPermission o requireAllPermissions con permisos, antepone un
+ * rechazo de las peticiones autenticadas con API key. Se llama una vez,
+ * con todas las rutas ya montadas.
+ *
+ * Con router.use(verificarToken) la ruta todavía no se conoce al
+ * autenticar, por eso la restricción se aplica sobre las rutas y no en
+ * verificarToken.
+ *
+ * @param {Function} router - Router de Express
+ */
+export const restringirApiKeysARutasConScope = (router) => {
+  for (const layer of router.stack || []) {
+    if (!layer.route) {
+      if (layer.handle?.stack) restringirApiKeysARutasConScope(layer.handle);
+      continue;
+    }
+
+    const { stack } = layer.route;
+    const declaraScopes = stack.some((capa) => capa.handle?.[DECLARA_SCOPES]);
+    const primera = stack[0];
+
+    if (
+      declaraScopes ||
+      !primera ||
+      primera.handle.length > 3 ||
+      primera.handle[GUARDA_API_KEY]
+    ) {
+      continue;
+    }
+
+    const handler = primera.handle;
+    const guarda = (req, res, next) => {
+      // Ya autenticada (router.use): se rechaza aquí; si la ruta autentica
+      // después, verificarApiKey ve la marca y rechaza la key
+      if (req.user?.apiKey) return rechazarApiKeySinScope(res);
+      req.apiKeyNoPermitida = true;
+      return handler(req, res, next);
+    };
+    guarda[GUARDA_API_KEY] = true;
+    primera.handle = guarda;
+  }
+};
+
 /**
  * Middleware opcional - solo verifica si hay usuario autenticado
  * pero no requiere permisos específicos
@@ -379,6 +617,10 @@ export const autenticacionOpcional = async (req, res, next) => {
     const token = authHeader.substring(7);
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    if (decoded.purpose || (await estaRevocado(decoded.jti))) {
+      return next(); // Token de propósito específico o revocado: sin usuario
+    }
+
     const usuario = await Usuario.findByPk(decoded.id || decoded.userId, {
       include: [
         {
@@ -398,7 +640,7 @@ export const autenticacionOpcional = async (req, res, next) => {
       ],
     });
 
-    if (usuario && usuario.estado === 1) {
+    if (usuario && usuario.estado === "ACTIVO") {
       const rolPrincipal = usuario.roles?.[0]?.nombre || "sin_rol";
       const rolSlugs = usuario.roles?.map((r) => r.slug) || ["sin_rol"];
 
@@ -418,6 +660,7 @@ export const autenticacionOpcional = async (req, res, next) => {
         roles: usuario.roles?.map((r) => r.nombre) || [],
         rolSlugs: rolSlugs, // 🔥 NUEVO
         permisos: Array.from(todosLosPermisos),
+        sid: decoded.sid || null,
       };
     }
 
@@ -430,10 +673,12 @@ export const autenticacionOpcional = async (req, res, next) => {
 
 export default {
   verificarToken,
+  soloUsuarioInteractivo,
   verificarRoles,
   verificarRolesOPermisos,
   requireAnyPermission,
   requireAllPermissions,
   requireModuleAccess,
   autenticacionOpcional,
+  restringirApiKeysARutasConScope,
 };
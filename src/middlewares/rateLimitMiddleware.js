@@ -8,10 +8,14 @@ const rateLimitStore = new Map();
 /**
  * Rate limiting por IP y endpoint
  * Máximo 10 solicitudes por minuto por endpoint por IP
+ *
+ * @param {Object} [opciones]
+ * @param {string} [opciones.clave] - Cuenta todas las URLs de la ruta juntas
+ *   (ej. /reportes/:codigo: un límite por IP y no uno por código probado)
  */
-export const rateLimitMiddleware = (maxRequests = 10, windowMs = 60000) => {
+export const rateLimitMiddleware = (maxRequests = 10, windowMs = 60000, { clave } = {}) => {
   return (req, res, next) => {
-    const key = `${req.ip}:${req.method}:${req.originalUrl}`;
+    const key = `${req.ip}:${req.method}:${clave || req.originalUrl}`;
     const now = Date.now();
     
     // Limpiar registros expirados
@@ -0,0 +1,71 @@
+/**
+ * Middleware de subida de archivos (multipart/form-data)
+ * @module middlewares/subidaArchivosMiddleware
+ *
+ * Recibe los archivos del campo "archivos" en memoria: el servicio de
+ * adjuntos necesita el contenido para detectar el tipo, calcular el hash
+ * y generar la miniatura antes de guardarlo. Los límites vienen de
+ * ADJUNTOS_MAX_MB y ADJUNTOS_MAX_ARCHIVOS.
+ */
+
+import multer from "multer";
+import { limitesSubida } from "../services/adjuntosService.js";
+
+/**
+ * Mensajes para los errores de multer
+ * @private
+ */
+const mensajeError = (error, { maxBytes, maxArchivos }) => {
+  switch (error.code) {
+  case "LIMIT_FILE_SIZE":
+    return { status: 413, message: `Cada archivo puede pesar como máximo ${maxBytes / 1024 / 1024} MB` };
+  case "LIMIT_FILE_COUNT":
+    return { status: 400, message: `Máximo ${maxArchivos} archivos por envío` };
+  case "LIMIT_UNEXPECTED_FILE":
+    return { status: 400, message: "Los archivos deben enviarse en el campo \"archivos\"" };
+  default:
+    return { status: 400, message: error.message };
+  }
+};
+
+/**
+ * Crea un middleware que recibe los archivos del campo "archivos" (req.files)
+ *
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.requeridos=true] - Responder 400 si no llega ninguno
+ * @param {number} [opciones.maxArchivos] - Por defecto ADJUNTOS_MAX_ARCHIVOS
+ * @returns {Function} Middleware de Express
+ */
+export const crearRecepcionArchivos = ({ requeridos = true, maxArchivos } = {}) => (req, res, next) => {
+  const limites = limitesSubida();
+  if (maxArchivos) limites.maxArchivos = maxArchivos;
+
+  const subida = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: limites.maxBytes, files: limites.maxArchivos },
+  }).array("archivos", limites.maxArchivos);
+
+  subida(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const { status, message } = mensajeError(error, limites);
+      return res.status(status).json({ success: false, message });
+    }
+    if (error) return next(error);
+
+    if (requeridos && !req.files?.length) {
+      return res.status(400).json({
+        success: false,
+        message: "Debe enviar al menos un archivo en el campo \"archivos\" (multipart/form-data)",
+      });
+    }
+    req.files = req.files || [];
+    return next();
+  });
+};
+
+/**
+ * Recibe uno o más archivos en el campo "archivos" (req.files)
+ */
+export const recibirArchivos = crearRecepcionArchivos();
+
+export default { crearRecepcionArchivos, recibirArchivos };
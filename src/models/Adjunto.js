@@ -0,0 +1,117 @@
+/**
+ * Modelo: Adjunto
+ * Tabla: adjuntos
+ *
+ * Archivos adjuntos de novedades, mantenimientos y abastecimientos
+ * (relación polimórfica entidad + entidad_id). El contenido vive en el
+ * almacenamiento configurado; aquí quedan su clave, tipo, tamaño y hash
+ * SHA-256. Ver services/adjuntosService.js.
+ */
+
+import { DataTypes, Model } from "sequelize";
+import sequelize from "../config/database.js";
+
+class Adjunto extends Model {}
+
+Adjunto.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    entidad: {
+      type: DataTypes.ENUM("NOVEDAD", "MANTENIMIENTO", "ABASTECIMIENTO"),
+      allowNull: false,
+      comment: "Tipo del registro padre",
+    },
+    entidad_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "ID del registro padre",
+    },
+    categoria: {
+      type: DataTypes.ENUM("PARTE", "FOTO", "AUDIO", "DOCUMENTO", "COMPROBANTE"),
+      allowNull: false,
+    },
+    nombre_original: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+    },
+    mime_type: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: "Detectado del contenido del archivo",
+    },
+    tamano_bytes: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+    },
+    sha256: {
+      type: DataTypes.CHAR(64),
+      allowNull: false,
+      comment: "Hash del contenido (integridad)",
+    },
+    almacenamiento: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      comment: "Driver donde está el archivo (local, ...)",
+    },
+    clave: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: "Ruta del archivo dentro del almacenamiento",
+    },
+    clave_miniatura: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: "Miniatura (solo imágenes)",
+    },
+    ancho: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    alto: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    descripcion: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+    },
+    estado: {
+      type: DataTypes.TINYINT,
+      allowNull: false,
+      defaultValue: 1,
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: "usuarios", key: "id" },
+    },
+    deleted_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "usuarios", key: "id" },
+    },
+    deleted_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    tableName: "adjuntos",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    paranoid: false, // Soft delete manual con deleted_at
+    indexes: [
+      { name: "idx_adjuntos_entidad", fields: ["entidad", "entidad_id"] },
+      { name: "idx_adjuntos_sha256", fields: ["sha256"] },
+      { name: "idx_adjuntos_created_by", fields: ["created_by"] },
+    ],
+  }
+);
+
+export default Adjunto;
@@ -17,6 +17,27 @@ const Novedad = sequelize.define(
       primaryKey: true,
       autoIncrement: true,
     },
+    novedad_padre_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "novedades_incidentes",
+        key: "id",
+      },
+      comment: "Novedad principal en la que se fusionó este duplicado",
+    },
+    fecha_fusion: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    fusionado_por: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "usuarios",
+        key: "id",
+      },
+    },
     novedad_code: {
       type: DataTypes.STRING(15),
       allowNull: false,
@@ -57,6 +78,11 @@ const Novedad = sequelize.define(
       type: DataTypes.INTEGER,
       allowNull: true,
     },
+    asignacion_territorial: {
+      type: DataTypes.ENUM("MANUAL", "DIRECCION", "AUTOMATICA", "FUERA_DE_ZONA"),
+      allowNull: true,
+      comment: "Origen de cuadrante_id/sector_id (NULL = sin evaluar). La asigna asignacionTerritorialService",
+    },
     localizacion: {
       type: DataTypes.TEXT,
       allowNull: true,
@@ -88,7 +114,8 @@ const Novedad = sequelize.define(
         "VIDEO_CCO",
         "ANALITICA",
         "APP_PODER_JUDICIAL",
-        "BOT"
+        "BOT",
+        "APP_CIUDADANA"
       ),
       allowNull: true,
       defaultValue: "TELEFONO_107",
@@ -193,6 +220,11 @@ const Novedad = sequelize.define(
       allowNull: true,
       comment: "Tiempo de respuesta operativo real en minutos",
     },
+    sla_estado: {
+      type: DataTypes.ENUM("EN_RIESGO", "VENCIDO"),
+      allowNull: true,
+      comment: "Alerta de SLA (NULL = dentro del tiempo). La asigna slaNovedadesService",
+    },
     turno: {
       type: DataTypes.ENUM("MAÑANA", "TARDE", "NOCHE"),
       allowNull: true,
@@ -232,6 +264,12 @@ const Novedad = sequelize.define(
       allowNull: false,
       defaultValue: 1,
     },
+    version: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: "Versión para concurrencia optimista (ETag / If-Match)",
+    },
     created_by: {
       type: DataTypes.INTEGER,
       allowNull: true,
@@ -264,6 +302,7 @@ const Novedad = sequelize.define(
     createdAt: "created_at",
     updatedAt: "updated_at",
     paranoid: false, // NO usar paranoid aquí
+    version: true, // Incrementa "version" en cada save; rechaza guardados obsoletos
     indexes: [
       { name: "uq_novedad_code", fields: ["novedad_code"], unique: true },
       { name: "idx_fecha_hora_ocurrencia", fields: ["fecha_hora_ocurrencia"] },
@@ -275,6 +314,9 @@ const Novedad = sequelize.define(
       { name: "idx_novedad_usuario", fields: ["usuario_registro"] },
       { name: "idx_novedad_usuario_cierre", fields: ["usuario_cierre"] },
       { name: "idx_novedad_usuario_creacion", fields: ["created_by"] },
+      { name: "idx_novedad_padre", fields: ["novedad_padre_id"] },
+      { name: "idx_reportante_telefono", fields: ["reportante_telefono"] },
+      { name: "idx_novedades_asignacion_territorial", fields: ["asignacion_territorial"] },
     ],
   }
 );
@@ -0,0 +1,54 @@
+/**
+ * Modelo: NovedadReclamo
+ * Tabla: novedad_reclamos
+ *
+ * Reclamo vigente de una novedad ("la estoy atendiendo"): una fila por
+ * novedad, que el siguiente reclamo reutiliza al vencer expira_en. Ver
+ * services/novedadReclamosService.js.
+ */
+
+import { DataTypes, Model } from "sequelize";
+import sequelize from "../config/database.js";
+
+class NovedadReclamo extends Model {}
+
+NovedadReclamo.init(
+  {
+    novedad_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      references: { model: "novedades_incidentes", key: "id" },
+    },
+    usuario_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    username: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+    },
+    conexion: {
+      type: DataTypes.STRING(150),
+      allowNull: true,
+      comment: "Conexión WebSocket de origen (host:pid/conexión)",
+    },
+    expira_en: {
+      type: DataTypes.DATE(3),
+      allowNull: false,
+      comment: "Vencimiento del reclamo sin renovar",
+    },
+  },
+  {
+    sequelize,
+    tableName: "novedad_reclamos",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      { name: "idx_novedad_reclamos_conexion", fields: ["conexion"] },
+      { name: "idx_novedad_reclamos_expira_en", fields: ["expira_en"] },
+    ],
+  }
+);
+
+export default NovedadReclamo;
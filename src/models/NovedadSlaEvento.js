@@ -0,0 +1,86 @@
+/**
+ * Modelo: NovedadSlaEvento
+ * Tabla: novedad_sla_eventos
+ *
+ * Alertas de SLA de las novedades: una fila cuando la novedad entra en
+ * riesgo y otra cuando vence el tiempo de respuesta de su subtipo.
+ * Guarda el sector, cuadrante y turno del momento para los reportes de
+ * cumplimiento. Ver services/slaNovedadesService.js.
+ */
+
+import { DataTypes, Model } from "sequelize";
+import sequelize from "../config/database.js";
+
+class NovedadSlaEvento extends Model {}
+
+NovedadSlaEvento.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    novedad_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: "novedades_incidentes", key: "id" },
+    },
+    tipo: {
+      type: DataTypes.ENUM("EN_RIESGO", "VENCIDO"),
+      allowNull: false,
+    },
+    objetivo_min: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "tiempo_respuesta_min del subtipo",
+    },
+    transcurrido_min: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "Minutos desde la ocurrencia al detectarse",
+    },
+    prioridad_anterior: {
+      type: DataTypes.ENUM("ALTA", "MEDIA", "BAJA"),
+      allowNull: true,
+    },
+    prioridad_nueva: {
+      type: DataTypes.ENUM("ALTA", "MEDIA", "BAJA"),
+      allowNull: true,
+      comment: "Distinta de la anterior si hubo escalamiento",
+    },
+    subtipo_novedad_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    sector_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    cuadrante_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    turno: {
+      type: DataTypes.ENUM("MAÑANA", "TARDE", "NOCHE"),
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    tableName: "novedad_sla_eventos",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: false,
+    indexes: [
+      {
+        name: "uq_novedad_sla_eventos_novedad_tipo",
+        unique: true,
+        fields: ["novedad_id", "tipo"],
+      },
+      { name: "idx_novedad_sla_eventos_created_at", fields: ["created_at"] },
+      { name: "idx_novedad_sla_eventos_sector_turno", fields: ["sector_id", "turno"] },
+    ],
+  }
+);
+
+export default NovedadSlaEvento;
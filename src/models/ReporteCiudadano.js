@@ -0,0 +1,88 @@
+/**
+ * Modelo: ReporteCiudadano
+ * Tabla: reportes_ciudadanos
+ *
+ * Novedad registrada por un ciudadano desde la API pública
+ * (origen_llamada = APP_CIUDADANA): código de seguimiento, teléfono de
+ * contacto y estado del triaje. Ver services/reportesCiudadanosService.js.
+ */
+
+import { DataTypes, Model } from "sequelize";
+import sequelize from "../config/database.js";
+
+class ReporteCiudadano extends Model {}
+
+ReporteCiudadano.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    novedad_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      references: { model: "novedades_incidentes", key: "id" },
+    },
+    codigo_seguimiento: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      unique: true,
+      comment: "Código que recibe el ciudadano (RC-XXXX-XXXX)",
+    },
+    telefono: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+    },
+    telefono_verificado: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: "1=Verificado con código OTP",
+    },
+    estado_triaje: {
+      type: DataTypes.ENUM("PENDIENTE", "ACEPTADO", "RECHAZADO"),
+      allowNull: false,
+      defaultValue: "PENDIENTE",
+    },
+    motivo_rechazo: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: "Se muestra al ciudadano",
+    },
+    triado_por: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "usuarios", key: "id" },
+    },
+    fecha_triaje: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    ip_origen: {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+    },
+    user_agent: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    tableName: "reportes_ciudadanos",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      { name: "uq_reportes_ciudadanos_codigo", fields: ["codigo_seguimiento"], unique: true },
+      { name: "uq_reportes_ciudadanos_novedad", fields: ["novedad_id"], unique: true },
+      { name: "idx_reportes_ciudadanos_triaje", fields: ["estado_triaje", "created_at"] },
+      { name: "idx_reportes_ciudadanos_telefono", fields: ["telefono"] },
+      { name: "idx_reportes_ciudadanos_ip", fields: ["ip_origen", "created_at"] },
+    ],
+  }
+);
+
+export default ReporteCiudadano;
@@ -0,0 +1,52 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/database.js";
+
+/**
+ * Códigos OTP de verificación de teléfono del reporte ciudadano.
+ * Solo se guarda el hash SHA-256 del código.
+ */
+const ReporteCiudadanoOtp = sequelize.define(
+  "ReporteCiudadanoOtp",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false,
+    },
+    telefono: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+    },
+    codigo_hash: {
+      type: DataTypes.CHAR(64),
+      allowNull: false,
+    },
+    intentos: {
+      type: DataTypes.TINYINT.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    expira_en: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    usado_en: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    ip_origen: {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "reportes_ciudadanos_otp",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: false,
+    underscored: true,
+  }
+);
+
+export default ReporteCiudadanoOtp;
@@ -0,0 +1,61 @@
+/**
+ * ============================================
+ * MODELO: OUTBOX DE EVENTOS SSE
+ * Ruta: src/models/SseEventoOutbox.js
+ * ============================================
+ *
+ * Eventos en tiempo real pendientes de difundir entre las instancias
+ * del backend (SSE_EVENT_BUS=mysql). El id es el id SSE que recibe el
+ * navegador; los registros se eliminan al vencer la retención.
+ */
+
+import { DataTypes } from "sequelize";
+import sequelize from "../config/database.js";
+
+const SseEventoOutbox = sequelize.define(
+  "SseEventoOutbox",
+  {
+    id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+
+    instancia: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: "Instancia que publicó el evento (host:pid)",
+    },
+
+    evento: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: "Nombre del evento SSE",
+    },
+
+    canales: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: "Canales destino; NULL para eventos a todos los clientes",
+    },
+
+    datos: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: "Payload del evento",
+    },
+  },
+  {
+    tableName: "sse_eventos_outbox",
+
+    timestamps: true,
+    updatedAt: false,
+    createdAt: "created_at",
+    underscored: true,
+
+    indexes: [{ name: "idx_sse_eventos_outbox_created_at", fields: ["created_at"] }],
+    comment: "Outbox de eventos SSE compartido entre instancias",
+  }
+);
+
+export default SseEventoOutbox;
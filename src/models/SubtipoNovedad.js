@@ -91,6 +91,21 @@ const SubtipoNovedad = sequelize.define(
       comment: "1=Requiere PNP | 0=No requiere",
     },
 
+    // Tipos de vehículo adecuados para atender el subtipo (recomendación de unidades)
+    tipos_vehiculo_ids: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: "IDs de tipos_vehiculo adecuados (NULL = cualquiera)",
+    },
+
+    // Se ofrece en el catálogo público del reporte ciudadano
+    visible_ciudadano: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: "1=Se ofrece en el reporte ciudadano | 0=Solo uso interno",
+    },
+
     // Orden de visualización
     orden: {
       type: DataTypes.INTEGER,
@@ -14,11 +14,19 @@ const TokenAcceso = sequelize.define(
       type: DataTypes.INTEGER,
       allowNull: false,
     },
+    sesion_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
     token_type: {
-      type: DataTypes.ENUM("ACCESS", "REFRESH"),
+      type: DataTypes.ENUM("ACCESS", "REFRESH", "API_KEY"),
       allowNull: true,
       defaultValue: "ACCESS",
     },
+    nombre: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+    },
     token_hash: {
       type: DataTypes.STRING(255),
       allowNull: false,
@@ -39,6 +47,14 @@ const TokenAcceso = sequelize.define(
       type: DataTypes.JSON,
       allowNull: true,
     },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    last_used_ip: {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+    },
     expires_at: {
       type: DataTypes.DATE,
       allowNull: false,
@@ -55,6 +71,10 @@ const TokenAcceso = sequelize.define(
       type: DataTypes.STRING(255),
       allowNull: true,
     },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
   },
   {
     tableName: "tokens_acceso",
@@ -0,0 +1,94 @@
+/**
+ * Modelo: TransicionEstadoNovedad
+ * Tabla: transiciones_estado_novedad
+ *
+ * Grafo de transiciones permitidas entre estados de novedades.
+ * Cada registro habilita el paso estado_origen → estado_destino y define
+ * qué exige ese paso (observación, campos de la novedad).
+ * Ver services/estadoNovedadTransicionesService.js.
+ */
+
+import { DataTypes, Model } from "sequelize";
+import sequelize from "../config/database.js";
+
+class TransicionEstadoNovedad extends Model {}
+
+TransicionEstadoNovedad.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    estado_origen_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: "estados_novedad", key: "id" },
+    },
+    estado_destino_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: "estados_novedad", key: "id" },
+    },
+    requiere_observacion: {
+      type: DataTypes.TINYINT,
+      allowNull: false,
+      defaultValue: 0,
+      comment: "1=La transición exige observaciones",
+    },
+    campos_requeridos: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: "Campos de la novedad que deben tener valor (ej: [\"vehiculo_id\"])",
+    },
+    descripcion: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    estado: {
+      type: DataTypes.TINYINT,
+      allowNull: false,
+      defaultValue: 1,
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: "usuarios", key: "id" },
+    },
+    updated_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "usuarios", key: "id" },
+    },
+    deleted_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "usuarios", key: "id" },
+    },
+    deleted_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    tableName: "transiciones_estado_novedad",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    paranoid: false,
+    indexes: [
+      {
+        name: "uq_transiciones_estado_novedad_origen_destino",
+        unique: true,
+        fields: ["estado_origen_id", "estado_destino_id"],
+      },
+      { name: "idx_transiciones_estado_novedad_destino", fields: ["estado_destino_id"] },
+      { name: "idx_transiciones_estado_novedad_created_by", fields: ["created_by"] },
+      { name: "idx_transiciones_estado_novedad_updated_by", fields: ["updated_by"] },
+      { name: "idx_transiciones_estado_novedad_deleted_by", fields: ["deleted_by"] },
+    ],
+  }
+);
+
+export default TransicionEstadoNovedad;
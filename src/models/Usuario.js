@@ -239,6 +239,18 @@ const Usuario = sequelize.define(
       type: DataTypes.JSON,
       allowNull: true,
       comment: "Códigos de recuperación 2FA",
+    },
+
+    two_factor_ultimo_paso: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      comment: "Último paso TOTP aceptado (anti-reuso)",
+    },
+
+    two_factor_intentos_fallidos: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: "Códigos 2FA inválidos desde el último acierto",
     }, // Estado del usuario
 
     estado: {
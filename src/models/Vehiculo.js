@@ -196,6 +196,20 @@ Vehiculo.init(
       defaultValue: "DISPONIBLE",
       comment: "Estado operativo actual del vehículo",
     },
+    ultima_latitud: {
+      type: DataTypes.DECIMAL(10, 8),
+      allowNull: true,
+      comment: "Última latitud reportada por la unidad",
+    },
+    ultima_longitud: {
+      type: DataTypes.DECIMAL(11, 8),
+      allowNull: true,
+      comment: "Última longitud reportada por la unidad",
+    },
+    fecha_ultima_ubicacion: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
     soat: {
       type: DataTypes.STRING(50),
       allowNull: true,
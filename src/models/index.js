@@ -76,6 +76,12 @@
  * 📋 Novedades/Incidentes:
  *    - Novedad
  *    - HistorialEstadoNovedad
+ *    - TransicionEstadoNovedad
+ *    - NovedadSlaEvento
+ *    - NovedadReclamo
+ *    - Adjunto
+ *    - ReporteCiudadano
+ *    - ReporteCiudadanoOtp
  *
  * 👥 Autenticación y Autorización:
  *    - Usuario
@@ -88,6 +94,9 @@
  *    - LoginIntento
  *    - AuditoriaAccion
  *
+ * 📡 Tiempo real:
+ *    - SseEventoOutbox
+ *
  * @module models/index
  * @requires sequelize
  * @author Sistema de Seguridad Ciudadana
@@ -317,6 +326,42 @@ import HistorialEstadoNovedad from "./HistorialEstadoNovedad.js";
  */
 import RolEstadoNovedad from "./RolEstadoNovedad.js";
 
+/**
+ * Modelo TransicionEstadoNovedad
+ * Grafo de transiciones permitidas entre estados de novedades
+ * @type {Model}
+ */
+import TransicionEstadoNovedad from "./TransicionEstadoNovedad.js";
+
+/**
+ * Modelo NovedadSlaEvento
+ * Alertas de SLA (en riesgo / vencido) de las novedades
+ * @type {Model}
+ */
+import NovedadSlaEvento from "./NovedadSlaEvento.js";
+
+/**
+ * Modelo NovedadReclamo
+ * Reclamo vigente de cada novedad (operador que la atiende)
+ * @type {Model}
+ */
+import NovedadReclamo from "./NovedadReclamo.js";
+
+/**
+ * Modelo Adjunto
+ * Archivos adjuntos de novedades, mantenimientos y abastecimientos
+ * @type {Model}
+ */
+import Adjunto from "./Adjunto.js";
+
+/**
+ * Modelos ReporteCiudadano y ReporteCiudadanoOtp
+ * Novedades registradas por ciudadanos (API pública) y sus códigos OTP
+ * @type {Model}
+ */
+import ReporteCiudadano from "./ReporteCiudadano.js";
+import ReporteCiudadanoOtp from "./ReporteCiudadanoOtp.js";
+
 //=============================================
 // IMPORTAR MODELOS - AUTENTICACIÓN Y RBAC
 //=============================================
@@ -382,6 +427,13 @@ import LoginIntento from "./LoginIntento.js";
  */
 import AuditoriaAccion from "./AuditoriaAccion.js";
 
+/**
+ * Modelo SseEventoOutbox
+ * Eventos SSE compartidos entre instancias (SSE_EVENT_BUS=mysql)
+ * @type {Model}
+ */
+import SseEventoOutbox from "./SseEventoOutbox.js";
+
 // ============================================================================
 // IMPORTAR MODELOS DEL MÓDULO CALLES Y DIRECCIONES (v2.2.1)
 // ============================================================================
@@ -1232,6 +1284,21 @@ TokenAcceso.belongsTo(Usuario, {
   as: "usuario",
 });
 
+Sesion.hasMany(TokenAcceso, {
+  foreignKey: "sesion_id",
+  as: "tokens",
+});
+
+TokenAcceso.belongsTo(Sesion, {
+  foreignKey: "sesion_id",
+  as: "sesion",
+});
+
+TokenAcceso.belongsTo(Usuario, {
+  foreignKey: "created_by",
+  as: "creador",
+});
+
 Usuario.hasMany(EmailVerification, {
   foreignKey: "usuario_id",
   as: "verificacionesEmail",
@@ -1862,6 +1929,104 @@ EstadoNovedad.hasMany(RolEstadoNovedad, {
   as: "rolesEstadoNovedad",
 });
 
+// TransicionEstadoNovedad
+TransicionEstadoNovedad.belongsTo(EstadoNovedad, {
+  foreignKey: "estado_origen_id",
+  as: "estadoOrigen",
+});
+TransicionEstadoNovedad.belongsTo(EstadoNovedad, {
+  foreignKey: "estado_destino_id",
+  as: "estadoDestino",
+});
+TransicionEstadoNovedad.belongsTo(Usuario, {
+  foreignKey: "created_by",
+  as: "creadorTransicionEstado",
+});
+TransicionEstadoNovedad.belongsTo(Usuario, {
+  foreignKey: "updated_by",
+  as: "actualizadorTransicionEstado",
+});
+TransicionEstadoNovedad.belongsTo(Usuario, {
+  foreignKey: "deleted_by",
+  as: "eliminadorTransicionEstado",
+});
+EstadoNovedad.hasMany(TransicionEstadoNovedad, {
+  foreignKey: "estado_origen_id",
+  as: "transicionesSalientes",
+});
+
+// Fusión de novedades duplicadas
+Novedad.belongsTo(Novedad, {
+  foreignKey: "novedad_padre_id",
+  as: "novedadPadre",
+});
+Novedad.hasMany(Novedad, {
+  foreignKey: "novedad_padre_id",
+  as: "novedadesFusionadas",
+});
+Novedad.belongsTo(Usuario, {
+  foreignKey: "fusionado_por",
+  as: "usuarioFusion",
+});
+
+// NovedadSlaEvento
+NovedadSlaEvento.belongsTo(Novedad, {
+  foreignKey: "novedad_id",
+  as: "novedad",
+});
+Novedad.hasMany(NovedadSlaEvento, {
+  foreignKey: "novedad_id",
+  as: "eventosSla",
+});
+
+// NovedadReclamo
+NovedadReclamo.belongsTo(Novedad, {
+  foreignKey: "novedad_id",
+  as: "novedad",
+});
+Novedad.hasOne(NovedadReclamo, {
+  foreignKey: "novedad_id",
+  as: "reclamo",
+});
+
+// Adjunto (polimórfica: entidad + entidad_id, sin FK en BD)
+Novedad.hasMany(Adjunto, {
+  foreignKey: "entidad_id",
+  constraints: false,
+  scope: { entidad: "NOVEDAD" },
+  as: "archivosAdjuntos",
+});
+MantenimientoVehiculo.hasMany(Adjunto, {
+  foreignKey: "entidad_id",
+  constraints: false,
+  scope: { entidad: "MANTENIMIENTO" },
+  as: "archivosAdjuntos",
+});
+AbastecimientoCombustible.hasMany(Adjunto, {
+  foreignKey: "entidad_id",
+  constraints: false,
+  scope: { entidad: "ABASTECIMIENTO" },
+  as: "archivosAdjuntos",
+});
+Adjunto.belongsTo(Usuario, {
+  foreignKey: "created_by",
+  as: "creador",
+});
+
+// ReporteCiudadano
+ReporteCiudadano.belongsTo(Novedad, {
+  foreignKey: "novedad_id",
+  as: "novedad",
+});
+Novedad.hasOne(ReporteCiudadano, {
+  foreignKey: "novedad_id",
+  as: "reporteCiudadano",
+});
+ReporteCiudadano.belongsTo(Usuario, {
+  foreignKey: "triado_por",
+  as: "usuarioTriaje",
+});
+
 // NOTA: SubtipoNovedad, TipoVehiculo y UnidadOficina ya tienen sus relaciones
 // de auditoría definidas anteriormente en este archivo (líneas 1030-1080)
 
@@ -1989,6 +2154,12 @@ const models = {
   Novedad,
   HistorialEstadoNovedad,
   RolEstadoNovedad,
+  TransicionEstadoNovedad,
+  NovedadSlaEvento,
+  NovedadReclamo,
+  Adjunto,
+  ReporteCiudadano,
+  ReporteCiudadanoOtp,
 
   // RBAC
   Usuario,
@@ -2008,6 +2179,9 @@ const models = {
   LoginIntento,
   AuditoriaAccion,
 
+  // Tiempo real
+  SseEventoOutbox,
+
   // Calles y Direcciones
   TipoVia,
   Calle,
@@ -2068,6 +2242,12 @@ export {
   Novedad,
   HistorialEstadoNovedad,
   RolEstadoNovedad,
+  TransicionEstadoNovedad,
+  NovedadSlaEvento,
+  NovedadReclamo,
+  Adjunto,
+  ReporteCiudadano,
+  ReporteCiudadanoOtp,
   // RBAC
   Usuario,
   Rol,
@@ -2084,6 +2264,8 @@ export {
   HistorialUsuario,
   LoginIntento,
   AuditoriaAccion,
+  // Tiempo real
+  SseEventoOutbox,
   // Calles y Direcciones (✅ v2.1.1)
   TipoVia,
   Calle,
@@ -17,6 +17,9 @@
  * - POST   /api/v1/abastecimientos         - Crear
  * - PUT    /api/v1/abastecimientos/:id     - Actualizar (datos complementarios)
  * - DELETE /api/v1/abastecimientos/:id     - Soft delete
+ * - GET    /api/v1/abastecimientos/:id/adjuntos             - Listar adjuntos
+ * - POST   /api/v1/abastecimientos/:id/adjuntos             - Subir adjuntos (multipart)
+ * - DELETE /api/v1/abastecimientos/:id/adjuntos/:adjuntoId  - Eliminar adjunto
  *
  * Nota:
  * - El proyecto maneja soft-delete para todas las tablas.
@@ -37,6 +40,13 @@ import {
   deleteAbastecimiento,
 } from "../controllers/abastecimientosController.js";
 
+import {
+  getAdjuntos,
+  subirAdjuntos,
+  deleteAdjunto,
+} from "../controllers/adjuntosController.js";
+import { ENTIDADES_ADJUNTO } from "../services/adjuntosService.js";
+
 import {
   verificarToken,
   verificarRolesOPermisos,
@@ -48,6 +58,13 @@ import {
   validateAbastecimientoId,
 } from "../validators/abastecimiento.validator.js";
 
+import {
+  validateListarAdjuntos,
+  validateSubirAdjuntos,
+  validateAdjuntoId,
+} from "../validators/adjunto.validator.js";
+import { recibirArchivos } from "../middlewares/subidaArchivosMiddleware.js";
+
 import { registrarAuditoria } from "../middlewares/auditoriaAccionMiddleware.js";
 
 // ==========================================
@@ -127,4 +144,49 @@ router.delete(
   deleteAbastecimiento
 );
 
+// ==========================================
+// ADJUNTOS (permisos del abastecimiento)
+// ==========================================
+
+router.get(
+  "/:id/adjuntos",
+  verificarToken,
+  verificarRolesOPermisos(["super_admin", "admin", "supervisor", "operador"], [
+    "vehiculos.abastecimiento.read",
+    "vehiculos.abastecimiento.create",
+  ]),
+  validateListarAdjuntos,
+  (req, res) => getAdjuntos(req, res, ENTIDADES_ADJUNTO.ABASTECIMIENTO)
+);
+
+router.post(
+  "/:id/adjuntos",
+  verificarToken,
+  verificarRolesOPermisos(["super_admin", "admin", "supervisor", "operador"], [
+    "vehiculos.abastecimiento.create",
+    "vehiculos.abastecimiento.update",
+  ]),
+  recibirArchivos,
+  validateSubirAdjuntos,
+  registrarAuditoria({
+    entidad: "AbastecimientoCombustible",
+    severidad: "BAJA",
+    modulo: "Vehiculos",
+  }),
+  (req, res) => subirAdjuntos(req, res, ENTIDADES_ADJUNTO.ABASTECIMIENTO)
+);
+
+router.delete(
+  "/:id/adjuntos/:adjuntoId",
+  verificarToken,
+  verificarRolesOPermisos(["super_admin", "admin", "supervisor"], ["vehiculos.abastecimiento.update"]),
+  validateAdjuntoId,
+  registrarAuditoria({
+    entidad: "AbastecimientoCombustible",
+    severidad: "MEDIA",
+    modulo: "Vehiculos",
+  }),
+  (req, res) => deleteAdjunto(req, res, ENTIDADES_ADJUNTO.ABASTECIMIENTO)
+);
+
 export default router;
@@ -0,0 +1,39 @@
+/**
+ * Rutas: adjuntos
+ * Descarga de adjuntos con URL firmada
+ *
+ * Endpoints:
+ * - GET /adjuntos/:id/descarga?variante=&exp=&firma= - Descargar (original o miniatura)
+ *
+ * Sin token: la URL la firma el backend al listar o subir adjuntos en
+ * /novedades/:id/adjuntos, /mantenimientos/:id/adjuntos y
+ * /abastecimientos/:id/adjuntos (donde se aplican los permisos del
+ * registro) y vence a los ADJUNTOS_URL_EXPIRACION_SEG segundos, para que
+ * un <img> o un reproductor de audio la usen directamente.
+ */
+
+import { Router } from "express";
+import { descargarAdjunto } from "../controllers/adjuntosController.js";
+import { validateDescargaAdjunto } from "../validators/adjunto.validator.js";
+
+const router = Router();
+
+router.get(
+  "/:id/descarga",
+  validateDescargaAdjunto,
+  (req, res) => {
+    // #swagger.tags = ['Adjuntos']
+    // #swagger.summary = 'Descargar adjunto (URL firmada)'
+    // #swagger.description = 'Usar la url o url_miniatura devuelta por los endpoints de adjuntos. Responde el archivo con su Content-Type; el original incluye ETag y X-Content-SHA256'
+    // #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer', example: 1 }
+    // #swagger.parameters['variante'] = { in: 'query', required: false, type: 'string', enum: ['original', 'miniatura'] }
+    // #swagger.parameters['exp'] = { in: 'query', required: true, type: 'integer' }
+    // #swagger.parameters['firma'] = { in: 'query', required: true, type: 'string' }
+    // #swagger.responses[200] = { description: 'Contenido del archivo' }
+    // #swagger.responses[403] = { description: 'URL inválida o vencida' }
+    // #swagger.responses[404] = { description: 'Adjunto no encontrado o eliminado' }
+    return descargarAdjunto(req, res);
+  }
+);
+
+export default router;
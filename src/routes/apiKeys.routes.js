@@ -0,0 +1,169 @@
+/**
+ * ============================================
+ * RUTAS: src/routes/apiKeys.routes.js
+ * ============================================
+ *
+ * Rutas para administrar API keys de clientes de máquina
+ * (integraciones CAD, mcp-server). Las keys se usan con el header
+ * "Authorization: ApiKey <key>" solo en rutas que declaran permisos
+ * (verificarRolesOPermisos, requireAnyPermission, requireAllPermissions)
+ * y la key debe tener todos ellos entre sus scopes.
+ */
+
+import express from "express";
+const router = express.Router();
+import {
+  getApiKeys,
+  getApiKeyById,
+  createApiKey,
+  revokeApiKey,
+} from "../controllers/apiKeysController.js";
+import {
+  verificarToken,
+  verificarRolesOPermisos,
+} from "../middlewares/authMiddleware.js";
+import { body, param, query, validationResult } from "express-validator";
+
+// Middleware de validación de errores
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Errores de validación",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    Listar API keys (vigentes por defecto)
+ * @access  Super Admin, Admin
+ * @query   usuario_id, incluir_revocadas
+ */
+router.get(
+  "/",
+  verificarToken,
+  verificarRolesOPermisos(["super_admin", "admin"], ["usuarios.api_keys.read"]),
+  [
+    query("usuario_id")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("usuario_id inválido"),
+    query("incluir_revocadas")
+      .optional()
+      .isIn(["true", "false"])
+      .withMessage("incluir_revocadas debe ser true o false"),
+    handleValidationErrors,
+  ],
+  (req, res, next) => {
+    // #swagger.tags = ['API Keys']
+    // #swagger.summary = 'Listar API keys'
+    // #swagger.security = [{ bearerAuth: [] }]
+    // #swagger.parameters['usuario_id'] = { in: 'query', required: false, type: 'integer' }
+    // #swagger.parameters['incluir_revocadas'] = { in: 'query', required: false, type: 'boolean' }
+    // #swagger.responses[200] = { description: 'OK' }
+    return getApiKeys(req, res, next);
+  }
+);
+
+/**
+ * @route   GET /api/api-keys/:id
+ * @desc    Detalle de una API key (scopes, último uso)
+ * @access  Super Admin, Admin
+ */
+router.get(
+  "/:id",
+  verificarToken,
+  verificarRolesOPermisos(["super_admin", "admin"], ["usuarios.api_keys.read"]),
+  [
+    param("id").isInt({ min: 1 }).withMessage("ID de API key inválido"),
+    handleValidationErrors,
+  ],
+  (req, res, next) => {
+    // #swagger.tags = ['API Keys']
+    // #swagger.summary = 'Detalle de API key'
+    // #swagger.security = [{ bearerAuth: [] }]
+    // #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer', example: 1 }
+    // #swagger.responses[200] = { description: 'OK' }
+    // #swagger.responses[404] = { description: 'No encontrado', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+    return getApiKeyById(req, res, next);
+  }
+);
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Crear API key para un usuario de servicio
+ * @access  Super Admin, Admin
+ * @body    {usuario_id, nombre, scopes[], expires_at?}
+ */
+router.post(
+  "/",
+  verificarToken,
+  verificarRolesOPermisos(["super_admin", "admin"], ["usuarios.api_keys.create"]),
+  [
+    body("usuario_id")
+      .isInt({ min: 1 })
+      .withMessage("usuario_id es requerido"),
+    body("nombre")
+      .isString()
+      .trim()
+      .isLength({ min: 3, max: 100 })
+      .withMessage("El nombre debe tener entre 3 y 100 caracteres"),
+    body("scopes")
+      .isArray({ min: 1 })
+      .withMessage("Debe indicar al menos un scope"),
+    body("scopes.*")
+      .isString()
+      .matches(/^[a-z0-9_]+\.[a-z0-9_]+\.[a-z0-9_]+$/)
+      .withMessage("Cada scope debe ser un slug de permiso (modulo.recurso.accion)"),
+    body("expires_at")
+      .optional()
+      .isISO8601()
+      .withMessage("expires_at debe ser una fecha ISO 8601"),
+    handleValidationErrors,
+  ],
+  (req, res, next) => {
+    // #swagger.tags = ['API Keys']
+    // #swagger.summary = 'Crear API key'
+    // #swagger.security = [{ bearerAuth: [] }]
+    // #swagger.requestBody = { required: true, content: { "application/json": { schema: { type: "object", required: ["usuario_id", "nombre", "scopes"], properties: { usuario_id: { type: "integer" }, nombre: { type: "string" }, scopes: { type: "array", items: { type: "string" } }, expires_at: { type: "string", format: "date-time" } } } } } }
+    // #swagger.responses[201] = { description: 'Creada (la key en claro solo se muestra esta vez)' }
+    // #swagger.responses[400] = { description: 'Validación', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+    return createApiKey(req, res, next);
+  }
+);
+
+/**
+ * @route   DELETE /api/api-keys/:id
+ * @desc    Revocar API key
+ * @access  Super Admin, Admin
+ * @body    {motivo?}
+ */
+router.delete(
+  "/:id",
+  verificarToken,
+  verificarRolesOPermisos(["super_admin", "admin"], ["usuarios.api_keys.delete"]),
+  [
+    param("id").isInt({ min: 1 }).withMessage("ID de API key inválido"),
+    body("motivo")
+      .optional()
+      .isString()
+      .isLength({ max: 255 })
+      .withMessage("El motivo no debe exceder 255 caracteres"),
+    handleValidationErrors,
+  ],
+  (req, res, next) => {
+    // #swagger.tags = ['API Keys']
+    // #swagger.summary = 'Revocar API key'
+    // #swagger.security = [{ bearerAuth: [] }]
+    // #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer', example: 1 }
+    // #swagger.responses[200] = { description: 'OK' }
+    // #swagger.responses[404] = { description: 'No encontrado', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+    return revokeApiKey(req, res, next);
+  }
+);
+
+export default router;
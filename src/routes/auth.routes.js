@@ -15,11 +15,49 @@ import {
   changePasswordRequired,
   getMe,
   forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  getPasswordPolicy,
 } from "../controllers/authController.js";
-import { verificarToken as authenticate } from "../middlewares/authMiddleware.js";
+import {
+  estado2FA,
+  setup2FA,
+  enable2FA,
+  verify2FA,
+  disable2FA,
+  regenerarCodigosRecuperacion,
+} from "../controllers/twoFactorController.js";
+import {
+  iniciarOAuth,
+  solicitarVinculacionOAuth,
+  callbackOAuth,
+} from "../controllers/oauthController.js";
+import {
+  getMisSesiones,
+  cerrarMiSesion,
+  cerrarOtrasSesiones,
+} from "../controllers/sesionesController.js";
+import {
+  verificarToken,
+  soloUsuarioInteractivo,
+} from "../middlewares/authMiddleware.js";
+import { rateLimitMiddleware } from "../middlewares/rateLimitMiddleware.js";
 
 const router = express.Router();
 
+// Rutas de la cuenta personal: requieren sesión de usuario (no API key)
+const authenticate = [verificarToken, soloUsuarioInteractivo];
+
+// Máximo 5 solicitudes de recuperación cada 15 minutos por IP
+const recuperacionRateLimit = rateLimitMiddleware(5, 15 * 60 * 1000);
+
+// Máximo 5 reenvíos de verificación de email cada 15 minutos por IP
+const reenvioVerificacionRateLimit = rateLimitMiddleware(5, 15 * 60 * 1000);
+
+// Máximo 10 verificaciones de segundo factor cada 5 minutos por IP
+const verificacion2FARateLimit = rateLimitMiddleware(10, 5 * 60 * 1000);
+
 /**
  * @route   POST /api/auth/register
  * @desc    Registrar nuevo usuario
@@ -63,22 +101,23 @@ router.post("/login", (req, res, next) => {
 
 /**
  * @route   POST /api/auth/refresh
- * @desc    Renovar access token usando refresh token
+ * @desc    Renovar access token usando refresh token (rotación: el
+ *          refresh token es de un solo uso y se devuelve uno nuevo)
  * @access  Public
  * @body    {refreshToken}
- * @returns {accessToken}
+ * @returns {accessToken, refreshToken}
  */
 // #swagger.tags = ['Auth']
 // #swagger.summary = 'Renovar access token'
 // #swagger.requestBody = { required: true, content: { "application/json": { schema: { $ref: "#/components/schemas/TokenRefreshRequest" } } } }
-// #swagger.responses[200] = { description: 'OK' }
-// #swagger.responses[401] = { description: 'Refresh token inválido', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+// #swagger.responses[200] = { description: 'OK - Nuevo par access/refresh' }
+// #swagger.responses[401] = { description: 'Refresh token inválido, revocado o reutilizado', schema: { $ref: "#/components/schemas/ErrorResponse" } }
 router.post("/refresh", (req, res, next) => {
   // #swagger.tags = ['Auth']
   // #swagger.summary = 'Renovar access token'
   // #swagger.requestBody = { required: true, content: { "application/json": { schema: { $ref: "#/components/schemas/TokenRefreshRequest" } } } }
-  // #swagger.responses[200] = { description: 'OK' }
-  // #swagger.responses[401] = { description: 'Refresh token inválido', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+  // #swagger.responses[200] = { description: 'OK - Nuevo par access/refresh' }
+  // #swagger.responses[401] = { description: 'Refresh token inválido, revocado o reutilizado', schema: { $ref: "#/components/schemas/ErrorResponse" } }
   return refreshToken(req, res, next);
 });
 
@@ -174,7 +213,7 @@ router.get("/me", authenticate, (req, res, next) => {
 // #swagger.summary = 'Solicitar recuperación de contraseña'
 // #swagger.requestBody = { required: true, content: { "application/json": { schema: { type: "object", required: ["email"], properties: { email: { type: "string", example: "user@example.com" } } } } } }
 // #swagger.responses[200] = { description: 'OK' }
-router.post("/forgot-password", (req, res, next) => {
+router.post("/forgot-password", recuperacionRateLimit, (req, res, next) => {
   // #swagger.tags = ['Auth']
   // #swagger.summary = 'Solicitar recuperación de contraseña'
   // #swagger.requestBody = { required: true, content: { "application/json": { schema: { type: "object", required: ["email"], properties: { email: { type: "string", example: "user@example.com" } } } } } }
@@ -182,6 +221,271 @@ router.post("/forgot-password", (req, res, next) => {
   return forgotPassword(req, res, next);
 });
 
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Restablecer contraseña usando el token de recuperación (un solo uso).
+ *          Revoca todas las sesiones y tokens del usuario.
+ * @access  Public
+ * @body    {token, newPassword}
+ */
+router.post("/reset-password", recuperacionRateLimit, (req, res, next) => {
+  // #swagger.tags = ['Auth']
+  // #swagger.summary = 'Restablecer contraseña con token'
+  // #swagger.requestBody = { required: true, content: { "application/json": { schema: { type: "object", required: ["token", "newPassword"], properties: { token: { type: "string" }, newPassword: { type: "string" } } } } } }
+  // #swagger.responses[200] = { description: 'OK - Contraseña restablecida' }
+  // #swagger.responses[400] = { description: 'Token inválido/expirado o contraseña no válida', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+  return resetPassword(req, res, next);
+});
+
+// ============================================
+// VERIFICACIÓN DE EMAIL
+// ============================================
+
+/**
+ * @route   GET /api/auth/verify-email/:token
+ * @desc    Confirmar email con el token enviado por correo (un solo uso)
+ * @access  Public
+ */
+// #swagger.tags = ['Auth']
+// #swagger.summary = 'Verificar email'
+// #swagger.parameters['token'] = { in: 'path', required: true, type: 'string' }
+// #swagger.responses[200] = { description: 'OK - Email verificado' }
+// #swagger.responses[400] = { description: 'Token inválido o expirado', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+router.get("/verify-email/:token", (req, res, next) => {
+  // #swagger.tags = ['Auth']
+  // #swagger.summary = 'Verificar email'
+  // #swagger.parameters['token'] = { in: 'path', required: true, type: 'string' }
+  // #swagger.responses[200] = { description: 'OK - Email verificado' }
+  // #swagger.responses[400] = { description: 'Token inválido o expirado', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+  return verifyEmail(req, res, next);
+});
+
+/**
+ * @route   POST /api/auth/verify-email/resend
+ * @desc    Reenviar enlace de verificación de email
+ * @access  Public
+ * @body    {email}
+ */
+// #swagger.tags = ['Auth']
+// #swagger.summary = 'Reenviar verificación de email'
+// #swagger.requestBody = { required: true, content: { "application/json": { schema: { type: "object", required: ["email"], properties: { email: { type: "string", example: "user@example.com" } } } } } }
+// #swagger.responses[200] = { description: 'OK' }
+// #swagger.responses[429] = { description: 'Demasiadas solicitudes' }
+router.post("/verify-email/resend", reenvioVerificacionRateLimit, (req, res, next) => {
+  // #swagger.tags = ['Auth']
+  // #swagger.summary = 'Reenviar verificación de email'
+  // #swagger.requestBody = { required: true, content: { "application/json": { schema: { type: "object", required: ["email"], properties: { email: { type: "string", example: "user@example.com" } } } } } }
+  // #swagger.responses[200] = { description: 'OK' }
+  // #swagger.responses[429] = { description: 'Demasiadas solicitudes' }
+  return resendVerificationEmail(req, res, next);
+});
+
+/**
+ * @route   GET /api/auth/password-policy
+ * @desc    Política de contraseñas vigente (para validar en el frontend)
+ * @access  Public
+ */
+// #swagger.tags = ['Auth']
+// #swagger.summary = 'Política de contraseñas'
+// #swagger.responses[200] = { description: 'OK' }
+router.get("/password-policy", (req, res, next) => {
+  // #swagger.tags = ['Auth']
+  // #swagger.summary = 'Política de contraseñas'
+  // #swagger.responses[200] = { description: 'OK' }
+  return getPasswordPolicy(req, res, next);
+});
+
+// ============================================
+// SESIONES ACTIVAS (DISPOSITIVOS)
+// ============================================
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Listar sesiones activas del usuario (is_current marca la actual)
+ * @access  Private
+ */
+router.get("/sessions", authenticate, (req, res, next) => {
+  // #swagger.tags = ['Auth']
+  // #swagger.summary = 'Listar mis sesiones activas'
+  // #swagger.security = [{ bearerAuth: [] }]
+  // #swagger.responses[200] = { description: 'OK' }
+  return getMisSesiones(req, res, next);
+});
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Cerrar todas las sesiones excepto la actual
+ * @access  Private
+ */
+router.delete("/sessions", authenticate, (req, res, next) => {
+  // #swagger.tags = ['Auth']
+  // #swagger.summary = 'Cerrar las demás sesiones'
+  // #swagger.security = [{ bearerAuth: [] }]
+  // #swagger.responses[200] = { description: 'OK' }
+  return cerrarOtrasSesiones(req, res, next);
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Cerrar una sesión propia y revocar sus tokens
+ * @access  Private
+ */
+router.delete("/sessions/:sessionId", authenticate, (req, res, next) => {
+  // #swagger.tags = ['Auth']
+  // #swagger.summary = 'Cerrar una sesión'
+  // #swagger.security = [{ bearerAuth: [] }]
+  // #swagger.parameters['sessionId'] = { in: 'path', required: true, type: 'integer', example: 42 }
+  // #swagger.responses[200] = { description: 'OK' }
+  // #swagger.responses[404] = { description: 'Sesión no encontrada', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+  return cerrarMiSesion(req, res, next);
+});
+
+// ============================================
+// AUTENTICACIÓN DE DOS FACTORES (TOTP)
+// ============================================
+
+/**
+ * @route   GET /api/auth/2fa/status
+ * @desc    Estado de 2FA del usuario autenticado
+ * @access  Private
+ */
+router.get("/2fa/status", authenticate, (req, res, next) => {
+  // #swagger.tags = ['Auth']
+  // #swagger.summary = 'Estado de 2FA'
+  // #swagger.security = [{ bearerAuth: [] }]
+  // #swagger.responses[200] = { description: 'OK' }
+  return estado2FA(req, res, next);
+});
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Generar secret TOTP y código QR (queda pendiente de confirmar)
+ * @access  Private
+ */
+router.post("/2fa/setup", authenticate, (req, res, next) => {
+  // #swagger.tags = ['Auth']
+  // #swagger.summary = 'Iniciar configuración de 2FA'
+  // #swagger.security = [{ bearerAuth: [] }]
+  // #swagger.responses[200] = { description: 'OK - Secret y QR generados' }
+  // #swagger.responses[409] = { description: '2FA ya habilitado', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+  return setup2FA(req, res, next);
+});
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirmar 2FA con un código TOTP; devuelve códigos de recuperación
+ * @access  Private
+ * @body    {code}
+ */
+router.post("/2fa/enable", authenticate, (req, res, next) => {
+  // #swagger.tags = ['Auth']
+  // #swagger.summary = 'Habilitar 2FA'
+  // #swagger.security = [{ bearerAuth: [] }]
+  // #swagger.requestBody = { required: true, content: { "application/json": { schema: { type: "object", required: ["code"], properties: { code: { type: "string", example: "123456" } } } } } }
+  // #swagger.responses[200] = { description: 'OK - 2FA habilitado' }
+  // #swagger.responses[400] = { description: 'Código inválido', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+  return enable2FA(req, res, next);
+});
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Completar login con 2FA (twoFactorToken de /login + código)
+ * @access  Public
+ * @body    {twoFactorToken, code? | recoveryCode?}
+ */
+router.post("/2fa/verify", verificacion2FARateLimit, (req, res, next) => {
+  // #swagger.tags = ['Auth']
+  // #swagger.summary = 'Verificar segundo factor en login'
+  // #swagger.requestBody = { required: true, content: { "application/json": { schema: { type: "object", required: ["twoFactorToken"], properties: { twoFactorToken: { type: "string" }, code: { type: "string", example: "123456" }, recoveryCode: { type: "string", example: "ABCD-1234" } } } } } }
+  // #swagger.responses[200] = { description: 'OK - Login exitoso' }
+  // #swagger.responses[401] = { description: 'Token o código inválido', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+  return verify2FA(req, res, next);
+});
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Deshabilitar 2FA
+ * @access  Private
+ * @body    {password, code? | recoveryCode?}
+ */
+router.post("/2fa/disable", authenticate, (req, res, next) => {
+  // #swagger.tags = ['Auth']
+  // #swagger.summary = 'Deshabilitar 2FA'
+  // #swagger.security = [{ bearerAuth: [] }]
+  // #swagger.requestBody = { required: true, content: { "application/json": { schema: { type: "object", required: ["password"], properties: { password: { type: "string" }, code: { type: "string" }, recoveryCode: { type: "string" } } } } } }
+  // #swagger.responses[200] = { description: 'OK - 2FA deshabilitado' }
+  // #swagger.responses[401] = { description: 'Contraseña o código inválido', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+  return disable2FA(req, res, next);
+});
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Regenerar códigos de recuperación (invalida los anteriores)
+ * @access  Private
+ * @body    {code}
+ */
+router.post("/2fa/recovery-codes", authenticate, (req, res, next) => {
+  // #swagger.tags = ['Auth']
+  // #swagger.summary = 'Regenerar códigos de recuperación 2FA'
+  // #swagger.security = [{ bearerAuth: [] }]
+  // #swagger.requestBody = { required: true, content: { "application/json": { schema: { type: "object", required: ["code"], properties: { code: { type: "string", example: "123456" } } } } } }
+  // #swagger.responses[200] = { description: 'OK' }
+  return regenerarCodigosRecuperacion(req, res, next);
+});
+
+// ============================================
+// LOGIN CON PROVEEDORES EXTERNOS (OAUTH2)
+// ============================================
+
+/**
+ * @route   GET /api/auth/oauth/:provider
+ * @desc    Iniciar login con Google o Microsoft (redirige al proveedor)
+ * @access  Public
+ * @params  provider: google | microsoft
+ */
+router.get("/oauth/:provider", (req, res, next) => {
+  // #swagger.tags = ['Auth']
+  // #swagger.summary = 'Iniciar login OAuth (google | microsoft)'
+  // #swagger.parameters['provider'] = { in: 'path', required: true, type: 'string', enum: ['google', 'microsoft'] }
+  // #swagger.parameters['vincular'] = { in: 'query', required: false, type: 'string', description: 'Ticket de POST /auth/oauth/{provider}/vincular' }
+  // #swagger.responses[302] = { description: 'Redirección al proveedor' }
+  // #swagger.responses[404] = { description: 'Proveedor no configurado', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+  return iniciarOAuth(req, res, next);
+});
+
+/**
+ * @route   POST /api/auth/oauth/:provider/vincular
+ * @desc    URL con ticket de un solo uso para vincular una identidad
+ *          externa a la cuenta autenticada
+ * @access  Private
+ */
+router.post("/oauth/:provider/vincular", authenticate, (req, res, next) => {
+  // #swagger.tags = ['Auth']
+  // #swagger.summary = 'Vincular identidad OAuth a la cuenta autenticada'
+  // #swagger.security = [{ bearerAuth: [] }]
+  // #swagger.parameters['provider'] = { in: 'path', required: true, type: 'string', enum: ['google', 'microsoft'] }
+  // #swagger.responses[200] = { description: 'OK - URL de vinculación' }
+  // #swagger.responses[404] = { description: 'Proveedor no configurado', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+  return solicitarVinculacionOAuth(req, res, next);
+});
+
+/**
+ * @route   GET /api/auth/oauth/:provider/callback
+ * @desc    Callback del proveedor: vincula la identidad por email verificado
+ *          y emite el par JWT del sistema (o twoFactorToken si tiene 2FA)
+ * @access  Public
+ */
+router.get("/oauth/:provider/callback", (req, res, next) => {
+  // #swagger.tags = ['Auth']
+  // #swagger.summary = 'Callback OAuth'
+  // #swagger.parameters['provider'] = { in: 'path', required: true, type: 'string', enum: ['google', 'microsoft'] }
+  // #swagger.responses[200] = { description: 'OK - Login exitoso' }
+  // #swagger.responses[302] = { description: 'Redirección a OAUTH_REDIRECT_URL' }
+  // #swagger.responses[403] = { description: 'Sin cuenta asociada o email no verificado', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+  // #swagger.responses[409] = { description: 'Cuenta vinculada a otra identidad', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+  return callbackOAuth(req, res, next);
+});
+
 /**
  * ============================================
  * RUTA DE DEBUG - authRoutes.js
@@ -203,33 +507,4 @@ router.get("/debug/token", (req, res, next) => {
   return debugToken(req, res, next);
 });
 
-/**
- * TODO: Implementar rutas adicionales:
- *
- * POST /api/auth/reset-password
- * - Resetear contraseña usando token de recuperación
- * - Body: {token, newPassword}
- *
- * POST /api/auth/verify-email
- * - Verificar email del usuario
- * - Body: {token}
- *
- * POST /api/auth/resend-verification
- * - Reenviar email de verificación
- * - Body: {email}
- *
- * POST /api/auth/enable-2fa
- * - Habilitar autenticación de dos factores
- * - Requires: authenticate middleware
- *
- * POST /api/auth/verify-2fa
- * - Verificar código 2FA durante login
- * - Body: {userId, code}
- *
- * POST /api/auth/disable-2fa
- * - Deshabilitar 2FA
- * - Requires: authenticate middleware
- * - Body: {password, code}
- */
-
 export default router;
@@ -47,6 +47,7 @@
  * 👥 Usuarios:            /usuarios
  * 🎭 Roles:               /roles
  * 🔑 Permisos:            /permisos
+ * 🗝️ API Keys:            /api-keys
  * 📋 Novedades:           /novedades
  * 🚗 Vehículos:           /vehiculos
  * 👨‍✈️ Personal:            /personal
@@ -58,6 +59,8 @@
  * 🏘️ Calles:             /calles           ✨ NUEVO v2.4.0
  * 📐 Calles-Cuadrantes:  /calles-cuadrantes ✨ NUEVO v2.4.0
  * 📍 Direcciones:        /direcciones      ✨ NUEVO v2.4.0
+ * 📎 Adjuntos:            /adjuntos (descarga firmada)
+ * 📣 Reporte ciudadano:   /publico, /reportes-ciudadanos
  * 📊 Auditoría:           /auditoria
  * 📈 Reportes:            /reportes (futuro)
  *
@@ -69,6 +72,7 @@
  */
 
 import express from "express";
+import { restringirApiKeysARutasConScope } from "../middlewares/authMiddleware.js";
 const router = express.Router();
 
 //=============================================
@@ -78,10 +82,14 @@ const router = express.Router();
 // 🔐 Autenticación (público)
 import authRoutes from "./auth.routes.js";
 
+// 📣 Reporte ciudadano (público)
+import publicoRoutes from "./publico.routes.js";
+
 // 👥 Gestión de Usuarios y Permisos
 import usuariosRoutes from "./usuarios.routes.js";
 import rolesRoutes from "./roles.routes.js";
 import permisosRoutes from "./permisos.routes.js";
+import apiKeysRoutes from "./apiKeys.routes.js";
 
 // 📋 Módulos Operativos
 import novedadesRoutes from "./novedades.routes.js";
@@ -110,6 +118,7 @@ import tipoNovedadRoutes from "./tipo-novedad.routes.js";
 import subtipoNovedadRoutes from "./subtipo-novedad.routes.js";
 import estadoNovedadRoutes from "./estado-novedad.routes.js";
 import rolEstadosNovedadRoutes from "./rol-estados-novedad.routes.js";
+import transicionesEstadoNovedadRoutes from "./transiciones-estado-novedad.routes.js";
 import ubigeoRoutes from "./ubigeo.routes.js";
 import configRoutes from "./config.routes.js";
 import unidadOficinaRoutes from "./unidad-oficina.routes.js";
@@ -122,6 +131,8 @@ import horariosTurnosRoutes from "./horariosTurnos.routes.js";
 // 📊 Auditoría y Reportes
 import auditoriaAccionRoutes from "./auditoriaAcciones.routes.js";
 import abastecimientosRoutes from "./abastecimientos.routes.js";
+import adjuntosRoutes from "./adjuntos.routes.js";
+import reportesCiudadanosRoutes from "./reportes-ciudadanos.routes.js";
 import grifosRoutes from "./grifos.routes.js";
 import reportesOperativosRoutes from "./reportes-operativos.routes.js"; // ✅ Fase 1 Implementada
 
@@ -251,6 +262,18 @@ router.use((req, res, next) => {
  */
 router.use("/auth", authRoutes);
 
+/**
+ * @route   /publico
+ * @desc    Reporte ciudadano de incidentes (sin cuenta)
+ * @access  Público (rate limit por IP, CAPTCHA y OTP configurables)
+ * @endpoints
+ *   - GET    /publico/catalogo-novedades - Tipos y subtipos reportables
+ *   - POST   /publico/reportes/otp       - Código de verificación por SMS
+ *   - POST   /publico/reportes           - Registrar reporte con fotos
+ *   - GET    /publico/reportes/:codigo   - Estado por código de seguimiento
+ */
+router.use("/publico", publicoRoutes);
+
 //=============================================
 // RUTAS PROTEGIDAS (REQUIEREN AUTENTICACIÓN)
 //=============================================
@@ -276,6 +299,13 @@ router.use("/roles", rolesRoutes);
  */
 router.use("/permisos", permisosRoutes);
 
+/**
+ * @route   /api-keys
+ * @desc    API keys de clientes de máquina (Authorization: ApiKey <key>)
+ * @access  Super Admin, Admin
+ */
+router.use("/api-keys", apiKeysRoutes);
+
 /**
  * @route   /novedades
  * @desc    Gestión de novedades e incidentes de seguridad
@@ -288,6 +318,13 @@ router.use("/permisos", permisosRoutes);
  */
 router.use("/novedades", novedadesRoutes);
 
+/**
+ * @route   /reportes-ciudadanos
+ * @desc    Cola de triaje de los reportes recibidos por /publico
+ * @access  Operador, Supervisor, Admin
+ */
+router.use("/reportes-ciudadanos", reportesCiudadanosRoutes);
+
 /**
  * @route   /vehiculos
  * @desc    Gestión de vehículos y flota municipal
@@ -325,6 +362,13 @@ router.use("/mantenimientos", mantenimientosRoutes);
  */
 router.use("/abastecimientos", abastecimientosRoutes);
 
+/**
+ * @route   /adjuntos
+ * @desc    Descarga de adjuntos de novedades, mantenimientos y abastecimientos
+ * @access  Público con URL firmada (la emiten los endpoints /:id/adjuntos de cada módulo)
+ */
+router.use("/adjuntos", adjuntosRoutes);
+
 /**
  * @route   /grifos
  * @desc    Búsqueda de grifos registrados
@@ -529,6 +573,13 @@ router.use("/estados-novedad", estadoNovedadRoutes);
  */
 router.use("/rol-estados-novedad", rolEstadosNovedadRoutes);
 
+/**
+ * @route   /transiciones-estado-novedad
+ * @desc    Grafo de transiciones permitidas entre estados de novedades
+ * @access  super_admin, admin (CRUD) / todos autenticados (grafo)
+ */
+router.use("/transiciones-estado-novedad", transicionesEstadoNovedadRoutes);
+
 /**
  * @route   /tipos-copiloto
  * @desc    CRUD completo para tipos de copiloto
@@ -1225,9 +1276,11 @@ router.use((req, res) => {
 
     availableRoutes: [
       "/auth",
+      "/publico",
       "/usuarios",
       "/personal",
       "/novedades",
+      "/reportes-ciudadanos",
       "/vehiculos",
       "/sectores",
       "/subsectores",
@@ -1252,6 +1305,7 @@ router.use((req, res) => {
       "/operativos/:turnoId/personal/:personalId/cuadrantes/:cuadranteId/novedades", // 🚶 ✅ v2.2.2
       "/roles",
       "/permisos",
+      "/api-keys",
       "/auditoria",
       "/health",
     ],
@@ -1263,6 +1317,12 @@ router.use((req, res) => {
   });
 });
 
+//=============================================
+// API KEYS: SOLO EN RUTAS QUE DECLARAN PERMISOS
+//=============================================
+
+restringirApiKeysARutasConScope(router);
+
 //=============================================
 // EXPORTAR ROUTER
 //=============================================
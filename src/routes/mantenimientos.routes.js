@@ -12,6 +12,9 @@
  * - PUT    /api/v1/mantenimientos/:id       - Actualizar
  * - PATCH  /api/v1/mantenimientos/:id/estado- Cambiar estado (inmoviliza/libera vehículo)
  * - DELETE /api/v1/mantenimientos/:id       - Soft delete
+ * - GET    /api/v1/mantenimientos/:id/adjuntos              - Listar adjuntos
+ * - POST   /api/v1/mantenimientos/:id/adjuntos              - Subir adjuntos (multipart)
+ * - DELETE /api/v1/mantenimientos/:id/adjuntos/:adjuntoId   - Eliminar adjunto
  */
 
 import express from "express";
@@ -26,6 +29,13 @@ import {
   cambiarEstadoMantenimiento,
 } from "../controllers/mantenimientosController.js";
 
+import {
+  getAdjuntos,
+  subirAdjuntos,
+  deleteAdjunto,
+} from "../controllers/adjuntosController.js";
+import { ENTIDADES_ADJUNTO } from "../services/adjuntosService.js";
+
 import {
   verificarToken,
   verificarRolesOPermisos,
@@ -39,6 +49,13 @@ import {
   validateCambiarEstadoMantenimiento,
 } from "../validators/mantenimiento.validator.js";
 
+import {
+  validateListarAdjuntos,
+  validateSubirAdjuntos,
+  validateAdjuntoId,
+} from "../validators/adjunto.validator.js";
+import { recibirArchivos } from "../middlewares/subidaArchivosMiddleware.js";
+
 import { registrarAuditoria } from "../middlewares/auditoriaAccionMiddleware.js";
 
 router.get(
@@ -115,4 +132,49 @@ router.delete(
   deleteMantenimiento
 );
 
+// ==========================================
+// ADJUNTOS (permisos del mantenimiento)
+// ==========================================
+
+router.get(
+  "/:id/adjuntos",
+  verificarToken,
+  verificarRolesOPermisos(["super_admin", "admin", "supervisor", "operador"], [
+    "vehiculos.mantenimientos.read",
+    "vehiculos.mantenimientos.create",
+  ]),
+  validateListarAdjuntos,
+  (req, res) => getAdjuntos(req, res, ENTIDADES_ADJUNTO.MANTENIMIENTO)
+);
+
+router.post(
+  "/:id/adjuntos",
+  verificarToken,
+  verificarRolesOPermisos(["super_admin", "admin", "supervisor", "operador"], [
+    "vehiculos.mantenimientos.create",
+    "vehiculos.mantenimientos.update",
+  ]),
+  recibirArchivos,
+  validateSubirAdjuntos,
+  registrarAuditoria({
+    entidad: "MantenimientoVehiculo",
+    severidad: "BAJA",
+    modulo: "Vehiculos",
+  }),
+  (req, res) => subirAdjuntos(req, res, ENTIDADES_ADJUNTO.MANTENIMIENTO)
+);
+
+router.delete(
+  "/:id/adjuntos/:adjuntoId",
+  verificarToken,
+  verificarRolesOPermisos(["super_admin", "admin", "supervisor"], ["vehiculos.mantenimientos.update"]),
+  validateAdjuntoId,
+  registrarAuditoria({
+    entidad: "MantenimientoVehiculo",
+    severidad: "MEDIA",
+    modulo: "Vehiculos",
+  }),
+  (req, res) => deleteAdjunto(req, res, ENTIDADES_ADJUNTO.MANTENIMIENTO)
+);
+
 export default router;
@@ -31,6 +31,9 @@ const router = express.Router();
 // ==========================================
 import novedadesController from "../controllers/novedadesController.js";
 import * as historialController from "../controllers/historialEstadoNovedadController.js";
+import * as reclamosController from "../controllers/novedadReclamosController.js";
+import adjuntosController from "../controllers/adjuntosController.js";
+import { ENTIDADES_ADJUNTO } from "../services/adjuntosService.js";
 
 // ==========================================
 // IMPORTAR MIDDLEWARES DE AUTENTICACIÓN
@@ -43,8 +46,13 @@ import {
 // ==========================================
 // IMPORTAR SSE MANAGER
 // ==========================================
-import { addClient, removeClient } from "../utils/sse-manager.js";
-import jwt from "jsonwebtoken"; 
+import { addClient, removeClient, replayEvents } from "../utils/sse-manager.js";
+import { resolverAlcanceCliente } from "../services/sseCanalesService.js";
+import { ejecutarMiddleware } from "../utils/middlewareHelper.js";
+
+// Intervalo con el que el stream vuelve a validar el token (igual que el
+// gateway WebSocket)
+const SSE_REVALIDACION_MS = 60000;
 
 // ==========================================
 // IMPORTAR VALIDADORES (NUEVA UBICACIÓN)
@@ -54,8 +62,16 @@ import {
   validateUpdateNovedad,
   validateAsignarRecursos,
   validateQueryNovedades,
+  validateBuscarDuplicados,
+  validateFusionarNovedad,
   validateNovedadId,
 } from "../validators/novedad.validator.js"; // ✅ CAMBIO AQUÍ
+import {
+  validateListarAdjuntos,
+  validateSubirAdjuntos,
+  validateAdjuntoId,
+} from "../validators/adjunto.validator.js";
+import { recibirArchivos } from "../middlewares/subidaArchivosMiddleware.js";
 
 // ==========================================
 // IMPORTAR MIDDLEWARE DE AUDITORÍA
@@ -115,14 +131,70 @@ router.get(
   }
 );
 
+/**
+ * @route   GET /api/v1/novedades/duplicados
+ * @desc    Posibles duplicados antes de registrar una novedad (misma zona y tipo/subtipo, o mismo teléfono)
+ * @access  Operador, Supervisor, Administrador
+ * IMPORTANTE: Esta ruta debe ir ANTES de /:id para evitar conflictos
+ */
+router.get(
+  "/duplicados",
+  verificarToken,
+  verificarRolesOPermisos(["operador", "supervisor", "super_admin"], [permisos.crear]),
+  validateBuscarDuplicados,
+  (req, res, next) => {
+    // #swagger.tags = ['Novedades']
+    // #swagger.summary = 'Buscar posibles duplicados de una novedad por registrar'
+    // #swagger.description = 'Novedades abiertas dentro de NOVEDAD_DUPLICADOS_VENTANA_MIN minutos, a menos de NOVEDAD_DUPLICADOS_RADIO_M metros con el mismo tipo o subtipo, o con el mismo teléfono de reportante'
+    // #swagger.security = [{ bearerAuth: [] }]
+    // #swagger.parameters['latitud'] = { in: 'query', required: false, type: 'number', example: -12.0464 }
+    // #swagger.parameters['longitud'] = { in: 'query', required: false, type: 'number', example: -77.0428 }
+    // #swagger.parameters['tipo_novedad_id'] = { in: 'query', required: false, type: 'integer', example: 1 }
+    // #swagger.parameters['subtipo_novedad_id'] = { in: 'query', required: false, type: 'integer', example: 1 }
+    // #swagger.parameters['reportante_telefono'] = { in: 'query', required: false, type: 'string', example: '987654321' }
+    // #swagger.parameters['fecha_hora_ocurrencia'] = { in: 'query', required: false, type: 'string', example: '2026-10-18 14:30:00' }
+    // #swagger.responses[200] = { description: 'OK (data: [{ id, novedad_code, distancia_m, motivos, ... }])' }
+    // #swagger.responses[400] = { description: 'Validación', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+    return novedadesController.getPosiblesDuplicados(req, res, next);
+  }
+);
+
+/**
+ * @route   GET /api/v1/novedades/stream/schema
+ * @desc    Catálogo de eventos del stream SSE con el JSON Schema de cada payload
+ * @access  Todos los usuarios autenticados
+ * IMPORTANTE: Esta ruta debe ir ANTES de /:id para evitar conflictos
+ */
+router.get(
+  "/stream/schema",
+  verificarToken,
+  (req, res, next) => {
+    // #swagger.tags = ['Novedades']
+    // #swagger.summary = 'Catálogo de eventos SSE de novedades'
+    // #swagger.description = 'Nombres de eventos de /novedades/stream y JSON Schema de sus payloads'
+    // #swagger.security = [{ bearerAuth: [] }]
+    // #swagger.responses[200] = { description: 'OK' }
+    // #swagger.responses[401] = { description: 'No autenticado', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+    return novedadesController.getCatalogoEventos(req, res, next);
+  }
+);
+
 /**@@
  * @route   GET /api/v1/novedades/stream
  * @desc    Endpoint SSE — mantiene conexión abierta y emite eventos en tiempo real.
  * El frontend se conecta una sola vez y recibe actualizaciones instantáneas.
+ * Cada cliente solo recibe los eventos de su alcance (ver sseCanalesService).
+ *
+ * Al reconectarse, el navegador envía el header Last-Event-ID (o el query
+ * param lastEventId si el frontend recrea el EventSource) y se le reenvían
+ * los eventos perdidos, o "resync_required" si ya no están disponibles.
  *
- * Requiere autenticación JWT igual que el resto de endpoints.
+ * Requiere autenticación JWT igual que el resto de endpoints (token en el
+ * header Authorization o en ?token=), validada con verificarToken al
+ * conectarse y cada SSE_REVALIDACION_MS. Si el token deja de ser válido
+ * se envía "error" y se cierra el stream.
  */
-router.get("/stream", (req, res) => {
+router.get("/stream", async (req, res) => {
   // ── Configurar headers SSE ──────────────────────────────────────────────────
   res.setHeader("Content-Type", "text/event-stream");
   res.setHeader("Cache-Control", "no-cache");
@@ -130,35 +202,72 @@ router.get("/stream", (req, res) => {
   res.setHeader("X-Accel-Buffering", "no"); // Importante para Railway/Nginx
   res.flushHeaders(); // Enviar headers inmediatamente
 
-  // ── Autenticación especial para SSE (header o query param) ───────────────
-  const headerToken = req.headers.authorization?.replace("Bearer ", "");
+  const enviarError = (error) => {
+    res.write(`event: error\ndata: ${JSON.stringify({ error })}\n\n`);
+    res.end();
+  };
+
+  // ── Autenticación: verificarToken con el token del header o del query ─────
+  // EventSource no permite headers: el token puede venir en ?token=
   const queryToken = req.query.token;
-  const token = headerToken || queryToken;
+  if (queryToken && !req.headers.authorization) {
+    req.headers.authorization = `Bearer ${queryToken}`;
+  }
+
+  if (!req.headers.authorization) {
+    return enviarError("Token requerido");
+  }
 
-  if (!token) {
-    res.write(`event: error\ndata: ${JSON.stringify({ error: "Token requerido" })}\n\n`);
-    return res.end();
+  // Mismas comprobaciones que el resto de la API: propósito del token,
+  // revocación, sesión y usuario ACTIVO; roles desde la BD
+  let autenticacion;
+  try {
+    autenticacion = await ejecutarMiddleware(verificarToken, req);
+  } catch (error) {
+    console.error("❌ Error autenticando el stream SSE:", error);
+    return enviarError("Error al autenticar");
+  }
+  if (!autenticacion.ok) {
+    return enviarError(autenticacion.body.message);
   }
 
-  let decoded;
+  // ── Resolver alcance (usuario, roles, sectores, cuadrantes) ─────────────────
+  let alcance;
   try {
-    decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-  } catch {
-    res.write(`event: error\ndata: ${JSON.stringify({ error: "Token inválido" })}\n\n`);
-    return res.end();
+    alcance = await resolverAlcanceCliente({
+      userId: req.user.id,
+      roles: req.user.rolSlugs || [],
+    });
+  } catch (error) {
+    console.error("❌ Error resolviendo alcance SSE:", error);
+    return enviarError("No se pudo resolver el alcance del usuario");
   }
+
+  // El cliente pudo desconectarse mientras se resolvía el alcance
+  if (res.destroyed) return;
+
   // ── Registrar cliente ───────────────────────────────────────────────────────
-  const clientId = addClient(res);
+  const clientId = addClient(res, alcance);
 
   // ── Enviar evento inicial de confirmación ───────────────────────────────────
-  // Confirma al frontend que la conexión SSE está activa
+  // Confirma al frontend que la conexión SSE está activa y qué recibirá
   res.write(`event: connected\ndata: ${JSON.stringify({
     message: "Conectado al stream de novedades CitySecure",
     clientId,
+    alcance: {
+      global: alcance.global,
+      sectores: alcance.sectores,
+      cuadrantes: alcance.cuadrantes,
+    },
     timestamp: new Date().toISOString(),
   })}\n\n`);
 
+  // ── Reenviar eventos perdidos durante la desconexión ────────────────────────
+  const lastEventId = req.headers["last-event-id"] || req.query.lastEventId;
+  if (lastEventId) {
+    replayEvents(clientId, lastEventId);
+  }
+
   // ── Heartbeat cada 30 segundos ──────────────────────────────────────────────
   // Mantiene la conexión viva y evita timeouts en proxies/Railway
   const heartbeat = setInterval(() => {
@@ -169,11 +278,33 @@ router.get("/stream", (req, res) => {
     }
   }, 30000);
 
-  // ── Limpiar cuando el cliente se desconecta ─────────────────────────────────
-  req.on("close", () => {
+  // ── Revalidar el token periódicamente ──────────────────────────────────────
+  // Un token vencido o revocado (logout, sesión cerrada, usuario inactivo)
+  // deja de recibir eventos sin esperar a que el cliente se reconecte
+  let cerrado = false;
+  const cerrar = () => {
+    if (cerrado) return;
+    cerrado = true;
     clearInterval(heartbeat);
+    clearInterval(revalidacion);
     removeClient(clientId);
-  });
+  };
+
+  const revalidacion = setInterval(async () => {
+    try {
+      const resultado = await ejecutarMiddleware(verificarToken, req);
+      if (cerrado || resultado.ok) return;
+      if (resultado.status === 401 || resultado.status === 403) {
+        cerrar();
+        enviarError(resultado.body.message);
+      }
+    } catch (error) {
+      console.error("❌ Error revalidando el stream SSE:", error);
+    }
+  }, SSE_REVALIDACION_MS);
+
+  // ── Limpiar cuando el cliente se desconecta ─────────────────────────────────
+  req.on("close", cerrar);
 });
 
 /**
@@ -221,12 +352,22 @@ router.get(
     // #swagger.parameters['fecha_fin'] = { in: 'query', required: false, type: 'string', example: '2025-01-31' }
     // #swagger.parameters['estado_novedad_id'] = { in: 'query', required: false, type: 'integer', example: 1 }
     // #swagger.parameters['prioridad_actual'] = { in: 'query', required: false, type: 'string', example: 'ALTA' }
+    // #swagger.parameters['sla_estado'] = { in: 'query', required: false, type: 'string', enum: ['EN_RIESGO', 'VENCIDO'], example: 'VENCIDO' }
+    // #swagger.parameters['asignacion_territorial'] = { in: 'query', required: false, type: 'string', enum: ['MANUAL', 'DIRECCION', 'AUTOMATICA', 'FUERA_DE_ZONA'], example: 'FUERA_DE_ZONA' }
+    // #swagger.parameters['incluir_fusionadas'] = { in: 'query', required: false, type: 'boolean', example: false, description: 'Incluir novedades fusionadas en otra (por defecto se omiten)' }
     // #swagger.parameters['sector_id'] = { in: 'query', required: false, type: 'integer', example: 1 }
     // #swagger.parameters['tipo_novedad_id'] = { in: 'query', required: false, type: 'integer', example: 1 }
     // #swagger.parameters['search'] = { in: 'query', required: false, type: 'string', example: 'robo' }
     // #swagger.parameters['page'] = { in: 'query', required: false, type: 'integer', example: 1 }
-    // #swagger.parameters['limit'] = { in: 'query', required: false, type: 'integer', example: 50 }
-    // #swagger.responses[200] = { description: 'OK' }
+    // #swagger.parameters['limit'] = { in: 'query', required: false, type: 'integer', example: 50, description: 'Máximo 100 (5000 en formato GeoJSON)' }
+    // #swagger.parameters['bbox'] = { in: 'query', required: false, type: 'string', example: '-77.05,-12.10,-77.00,-12.05', description: 'minLng,minLat,maxLng,maxLat' }
+    // #swagger.parameters['lat'] = { in: 'query', required: false, type: 'number', example: -12.0464, description: 'Centro del filtro por radio' }
+    // #swagger.parameters['lng'] = { in: 'query', required: false, type: 'number', example: -77.0428, description: 'Centro del filtro por radio' }
+    // #swagger.parameters['radio_m'] = { in: 'query', required: false, type: 'number', example: 500, description: 'Radio en metros (1-50000), requiere lat y lng' }
+    // #swagger.parameters['poligono'] = { in: 'query', required: false, type: 'string', description: 'GeoJSON Polygon/MultiPolygon o anillo [[lng,lat],...] como texto JSON' }
+    // #swagger.parameters['dentro_cuadrante_id'] = { in: 'query', required: false, type: 'integer', example: 3, description: 'Dentro del polígono del cuadrante' }
+    // #swagger.parameters['formato'] = { in: 'query', required: false, type: 'string', enum: ['json', 'geojson'], description: 'geojson equivale a Accept: application/geo+json' }
+    // #swagger.responses[200] = { description: 'OK (FeatureCollection con Accept: application/geo+json)' }
     return novedadesController.getAllNovedades(req, res, next);
   }
 );
@@ -273,7 +414,7 @@ router.post(
     // #swagger.summary = 'Crear novedad/incidente'
     // #swagger.security = [{ bearerAuth: [] }]
     // #swagger.requestBody = { required: true, content: { "application/json": { schema: { $ref: "#/components/schemas/NovedadCreateRequest" } } } }
-    // #swagger.responses[201] = { description: 'Creado' }
+    // #swagger.responses[201] = { description: 'Creado (data.posibles_duplicados: novedades abiertas que podrían ser el mismo hecho)' }
     // #swagger.responses[400] = { description: 'Validación', schema: { $ref: "#/components/schemas/ErrorResponse" } }
     return novedadesController.createNovedad(req, res, next);
   }
@@ -302,7 +443,11 @@ router.put(
     // #swagger.requestBody = { required: true, content: { "application/json": { schema: { $ref: "#/components/schemas/NovedadUpdateRequest" } } } }
     // #swagger.responses[200] = { description: 'OK' }
     // #swagger.responses[400] = { description: 'Validación', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+    // #swagger.parameters['If-Match'] = { in: 'header', required: false, type: 'string', description: 'ETag devuelto por GET /novedades/:id' }
     // #swagger.responses[404] = { description: 'No encontrado', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+    // #swagger.responses[409] = { description: 'Novedad modificada por otro usuario (data: registro vigente), reclamada por otro usuario o en estado final' }
+    // #swagger.responses[422] = { description: 'Cambio de estado fuera del grafo de transiciones o sin los campos que exige' }
+    // #swagger.responses[428] = { description: 'Falta If-Match (NOVEDAD_REQUIRE_IF_MATCH=true)' }
     return novedadesController.updateNovedad(req, res, next);
   }
 );
@@ -333,11 +478,264 @@ router.post(
     // #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer', example: 1 }
     // #swagger.requestBody = { required: true, content: { "application/json": { schema: { $ref: "#/components/schemas/NovedadAsignarRecursosRequest" } } } }
     // #swagger.responses[200] = { description: 'OK' }
+    // #swagger.parameters['If-Match'] = { in: 'header', required: false, type: 'string', description: 'ETag devuelto por GET /novedades/:id' }
     // #swagger.responses[400] = { description: 'Validación', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+    // #swagger.responses[409] = { description: 'Novedad modificada por otro usuario (data: registro vigente), reclamada por otro usuario o en estado final' }
+    // #swagger.responses[422] = { description: 'Cambio de estado fuera del grafo de transiciones o sin los campos que exige' }
+    // #swagger.responses[428] = { description: 'Falta If-Match (NOVEDAD_REQUIRE_IF_MATCH=true)' }
     return novedadesController.asignarRecursos(req, res, next);
   }
 );
 
+/**
+ * @route   GET /api/v1/novedades/:id/estados-siguientes
+ * @desc    Estados a los que el usuario puede pasar la novedad (grafo de transiciones y roles)
+ * @access  Operador, Supervisor, Administrador, Consulta
+ */
+router.get(
+  "/:id/estados-siguientes",
+  verificarToken,
+  verificarRolesOPermisos(["operador", "supervisor", "super_admin", "consulta"], [permisos.leer]),
+  validateNovedadId,
+  (req, res, next) => {
+    // #swagger.tags = ['Novedades']
+    // #swagger.summary = 'Estados siguientes permitidos para una novedad'
+    // #swagger.security = [{ bearerAuth: [] }]
+    // #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer', example: 1 }
+    // #swagger.responses[200] = { description: 'OK (data: [{ estado, requiere_observacion, campos_requeridos, campos_faltantes }])' }
+    // #swagger.responses[404] = { description: 'No encontrado', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+    return novedadesController.getEstadosSiguientesNovedad(req, res, next);
+  }
+);
+
+/**
+ * @route   GET /api/v1/novedades/:id/duplicados
+ * @desc    Posibles duplicados de una novedad registrada
+ * @access  Operador, Supervisor, Administrador, Consulta
+ */
+router.get(
+  "/:id/duplicados",
+  verificarToken,
+  verificarRolesOPermisos(["operador", "supervisor", "super_admin", "consulta"], [permisos.leer]),
+  validateNovedadId,
+  (req, res, next) => {
+    // #swagger.tags = ['Novedades']
+    // #swagger.summary = 'Posibles duplicados de una novedad'
+    // #swagger.security = [{ bearerAuth: [] }]
+    // #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer', example: 1 }
+    // #swagger.responses[200] = { description: 'OK (data: [{ id, novedad_code, distancia_m, motivos, ... }])' }
+    // #swagger.responses[404] = { description: 'No encontrado', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+    return novedadesController.getDuplicadosNovedad(req, res, next);
+  }
+);
+
+/**
+ * @route   GET /api/v1/novedades/:id/recomendaciones
+ * @desc    Unidades recomendadas para despachar la novedad
+ * @access  Operador, Supervisor, Administrador
+ */
+router.get(
+  "/:id/recomendaciones",
+  verificarToken,
+  verificarRolesOPermisos(["operador", "supervisor", "super_admin"], ["novedades.asignacion.execute"]),
+  validateNovedadId,
+  (req, res, next) => {
+    // #swagger.tags = ['Novedades']
+    // #swagger.summary = 'Unidades recomendadas para el despacho'
+    // #swagger.description = 'Ordena los vehículos en patrullaje de los turnos activos por puntaje (0-100): distancia (40, desde la última ubicación reportada o el centro de su cuadrante), disponibilidad (30), tipo de vehículo adecuado al subtipo (15) y tripulación completa (15). Cada candidato incluye el detalle por criterio'
+    // #swagger.security = [{ bearerAuth: [] }]
+    // #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer', example: 1 }
+    // #swagger.responses[200] = { description: 'OK (data: { ubicacion_novedad, pesos, candidatos: [{ vehiculo, conductor, copiloto, distancia_m, puntaje, detalle, ... }] })' }
+    // #swagger.responses[404] = { description: 'No encontrado', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+    return novedadesController.getRecomendacionesUnidades(req, res, next);
+  }
+);
+
+/**
+ * @route   POST /api/v1/novedades/:id/fusionar
+ * @desc    Fusionar una novedad duplicada en su novedad principal
+ * @access  Operador, Supervisor, Administrador
+ */
+router.post(
+  "/:id/fusionar",
+  verificarToken,
+  verificarRolesOPermisos(["operador", "supervisor", "super_admin"], [permisos.actualizar]),
+  validateFusionarNovedad,
+  registrarAuditoria({
+    entidad: "Novedad",
+    severidad: "MEDIA",
+    modulo: "Novedades",
+  }),
+  (req, res, next) => {
+    // #swagger.tags = ['Novedades']
+    // #swagger.summary = 'Fusionar novedad duplicada'
+    // #swagger.description = 'La novedad :id se conserva con su llamada y su historial, enlazada a novedad_padre_id. Deja de listarse en GET /novedades y aparece en novedadesFusionadas de la principal'
+    // #swagger.security = [{ bearerAuth: [] }]
+    // #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer', example: 2 }
+    // #swagger.parameters['If-Match'] = { in: 'header', required: false, type: 'string', description: 'ETag devuelto por GET /novedades/:id' }
+    // #swagger.requestBody = { required: true, content: { "application/json": { schema: { type: "object", required: ["novedad_padre_id"], properties: { novedad_padre_id: { type: "integer", example: 1 }, observaciones: { type: "string", example: "Segunda llamada por el mismo robo" }, version: { type: "integer" } } } } } }
+    // #swagger.responses[200] = { description: 'OK' }
+    // #swagger.responses[400] = { description: 'Validación', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+    // #swagger.responses[404] = { description: 'Novedad o novedad principal no encontrada' }
+    // #swagger.responses[409] = { description: 'Novedad modificada o reclamada por otro usuario, o ya fusionada (NOVEDAD_YA_FUSIONADA)' }
+    // #swagger.responses[422] = { description: 'La novedad principal está fusionada en otra (NOVEDAD_PRINCIPAL_FUSIONADA)' }
+    // #swagger.responses[428] = { description: 'Falta If-Match (NOVEDAD_REQUIRE_IF_MATCH=true)' }
+    return novedadesController.fusionarNovedadDuplicada(req, res, next);
+  }
+);
+
+/**
+ * @route   GET /api/v1/novedades/:id/adjuntos
+ * @desc    Listar los adjuntos (partes, fotos, audios) de una novedad
+ * @access  Operador, Supervisor, Administrador, Consulta
+ */
+router.get(
+  "/:id/adjuntos",
+  verificarToken,
+  verificarRolesOPermisos(["operador", "supervisor", "super_admin", "consulta"], [permisos.leer]),
+  validateListarAdjuntos,
+  (req, res) => {
+    // #swagger.tags = ['Novedades']
+    // #swagger.summary = 'Listar adjuntos de la novedad'
+    // #swagger.description = 'Cada adjunto incluye url (y url_miniatura en imágenes): URLs firmadas de GET /adjuntos/:id/descarga que vencen en url_expira'
+    // #swagger.security = [{ bearerAuth: [] }]
+    // #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer', example: 1 }
+    // #swagger.responses[200] = { description: 'OK (data: [{ id, categoria, nombre_original, mime_type, tamano_bytes, sha256, ancho, alto, url, url_miniatura, url_expira, ... }])' }
+    // #swagger.responses[404] = { description: 'Novedad no encontrada', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+    return adjuntosController.getAdjuntos(req, res, ENTIDADES_ADJUNTO.NOVEDAD);
+  }
+);
+
+/**
+ * @route   POST /api/v1/novedades/:id/adjuntos
+ * @desc    Subir adjuntos a una novedad (multipart/form-data)
+ * @access  Operador, Supervisor, Administrador
+ */
+router.post(
+  "/:id/adjuntos",
+  verificarToken,
+  verificarRolesOPermisos(["operador", "supervisor", "super_admin"], [permisos.crear, permisos.actualizar]),
+  recibirArchivos,
+  validateSubirAdjuntos,
+  registrarAuditoria({
+    entidad: "Novedad",
+    severidad: "BAJA",
+    modulo: "Novedades",
+  }),
+  (req, res) => {
+    // #swagger.tags = ['Novedades']
+    // #swagger.summary = 'Subir adjuntos a la novedad'
+    // #swagger.description = 'Campo archivos (uno o más, hasta ADJUNTOS_MAX_ARCHIVOS de ADJUNTOS_MAX_MB cada uno). El tipo se detecta por el contenido: imágenes JPEG/PNG/WEBP (con miniatura), audio MP3/OGG/WAV/M4A/WEBM y PDF. Se guarda el hash SHA-256 de cada archivo'
+    // #swagger.security = [{ bearerAuth: [] }]
+    // #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer', example: 1 }
+    // #swagger.requestBody = { required: true, content: { "multipart/form-data": { schema: { type: "object", required: ["archivos"], properties: { archivos: { type: "array", items: { type: "string", format: "binary" } }, categoria: { type: "string", enum: ["PARTE", "FOTO", "AUDIO", "DOCUMENTO"] }, descripcion: { type: "string", example: "Foto del lugar" } } } } } }
+    // #swagger.responses[201] = { description: 'Adjuntos guardados (data: adjuntos con sus URLs firmadas)' }
+    // #swagger.responses[400] = { description: 'Sin archivos o validación', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+    // #swagger.responses[404] = { description: 'Novedad no encontrada' }
+    // #swagger.responses[413] = { description: 'Archivo demasiado grande' }
+    // #swagger.responses[415] = { description: 'Tipo de archivo no permitido' }
+    // #swagger.responses[422] = { description: 'Imagen dañada o categoría incompatible con el archivo' }
+    return adjuntosController.subirAdjuntos(req, res, ENTIDADES_ADJUNTO.NOVEDAD);
+  }
+);
+
+/**
+ * @route   DELETE /api/v1/novedades/:id/adjuntos/:adjuntoId
+ * @desc    Eliminar (lógicamente) un adjunto de la novedad
+ * @access  Supervisor, Administrador
+ */
+router.delete(
+  "/:id/adjuntos/:adjuntoId",
+  verificarToken,
+  verificarRolesOPermisos(["supervisor", "super_admin"], [permisos.actualizar]),
+  validateAdjuntoId,
+  registrarAuditoria({
+    entidad: "Novedad",
+    severidad: "MEDIA",
+    modulo: "Novedades",
+  }),
+  (req, res) => {
+    // #swagger.tags = ['Novedades']
+    // #swagger.summary = 'Eliminar adjunto de la novedad'
+    // #swagger.description = 'Eliminación lógica: el archivo se conserva como evidencia y deja de listarse y descargarse'
+    // #swagger.security = [{ bearerAuth: [] }]
+    // #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer', example: 1 }
+    // #swagger.parameters['adjuntoId'] = { in: 'path', required: true, type: 'integer', example: 1 }
+    // #swagger.responses[200] = { description: 'OK' }
+    // #swagger.responses[404] = { description: 'Novedad o adjunto no encontrado' }
+    return adjuntosController.deleteAdjunto(req, res, ENTIDADES_ADJUNTO.NOVEDAD);
+  }
+);
+
+/**
+ * @route   GET /api/v1/novedades/:id/claim
+ * @desc    Consultar qué usuario tiene reclamada (está atendiendo) la novedad
+ * @access  Operador, Supervisor, Administrador, Consulta
+ */
+router.get(
+  "/:id/claim",
+  verificarToken,
+  verificarRolesOPermisos(["operador", "supervisor", "super_admin", "consulta"], [permisos.leer]),
+  validateNovedadId,
+  (req, res, next) => {
+    // #swagger.tags = ['Novedades']
+    // #swagger.summary = 'Consultar reclamo de novedad'
+    // #swagger.security = [{ bearerAuth: [] }]
+    // #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer', example: 1 }
+    // #swagger.responses[200] = { description: 'OK (data: reclamo vigente o null)' }
+    // #swagger.responses[404] = { description: 'No encontrado', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+    return reclamosController.getReclamo(req, res, next);
+  }
+);
+
+/**
+ * @route   POST /api/v1/novedades/:id/claim
+ * @desc    Reclamar la novedad o renovar el reclamo propio (heartbeat)
+ * @access  Operador, Supervisor, Administrador
+ * @body    forzar (opcional, solo supervisión: tomar el reclamo de otro usuario)
+ */
+router.post(
+  "/:id/claim",
+  verificarToken,
+  verificarRolesOPermisos(["operador", "supervisor", "super_admin"], [permisos.actualizar]),
+  validateNovedadId,
+  (req, res, next) => {
+    // #swagger.tags = ['Novedades']
+    // #swagger.summary = 'Reclamar novedad / heartbeat del reclamo'
+    // #swagger.security = [{ bearerAuth: [] }]
+    // #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer', example: 1 }
+    // #swagger.requestBody = { required: false, content: { "application/json": { schema: { type: "object", properties: { forzar: { type: "boolean", example: false } } } } } }
+    // #swagger.responses[200] = { description: 'Reclamo vigente (expira_en, ttl_segundos)' }
+    // #swagger.responses[404] = { description: 'No encontrado', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+    // #swagger.responses[409] = { description: 'Reclamada por otro usuario (data: reclamo vigente)' }
+    return reclamosController.reclamar(req, res, next);
+  }
+);
+
+/**
+ * @route   DELETE /api/v1/novedades/:id/claim
+ * @desc    Liberar el reclamo de la novedad
+ * @access  Operador, Supervisor, Administrador
+ * @query   forzar (opcional, solo supervisión: liberar el reclamo de otro usuario)
+ */
+router.delete(
+  "/:id/claim",
+  verificarToken,
+  verificarRolesOPermisos(["operador", "supervisor", "super_admin"], [permisos.actualizar]),
+  validateNovedadId,
+  (req, res, next) => {
+    // #swagger.tags = ['Novedades']
+    // #swagger.summary = 'Liberar reclamo de novedad'
+    // #swagger.security = [{ bearerAuth: [] }]
+    // #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer', example: 1 }
+    // #swagger.parameters['forzar'] = { in: 'query', required: false, type: 'boolean' }
+    // #swagger.responses[200] = { description: 'OK' }
+    // #swagger.responses[403] = { description: 'Reclamada por otro usuario' }
+    // #swagger.responses[404] = { description: 'No encontrado', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+    return reclamosController.liberar(req, res, next);
+  }
+);
+
 /**
  * @route   DELETE /api/v1/novedades/:id
  * @desc    Eliminar una novedad (soft delete)
@@ -0,0 +1,111 @@
+/**
+ * Rutas: publico
+ * API pública de reportes ciudadanos (sin token)
+ *
+ * Endpoints:
+ * - GET  /publico/catalogo-novedades - Tipos y subtipos que puede reportar un ciudadano
+ * - POST /publico/reportes/otp       - Enviar código OTP por SMS al teléfono
+ * - POST /publico/reportes           - Registrar reporte (multipart, fotos en "archivos")
+ * - GET  /publico/reportes/:codigo   - Estado del reporte por código de seguimiento
+ *
+ * Todas tienen rate limit por IP en memoria (también frena las peticiones
+ * rechazadas). Los códigos OTP y los reportes registrados se limitan además
+ * por IP en la base de datos (REPORTE_CIUDADANO_OTP_MAX_IP y
+ * REPORTE_CIUDADANO_MAX_IP), con el mismo conteo en todas las réplicas.
+ * Detrás de un proxy, req.ip es la IP del cliente según TRUST_PROXY.
+ *
+ * El CAPTCHA y el OTP se configuran con REPORTE_CIUDADANO_CAPTCHA_SECRET y
+ * REPORTE_CIUDADANO_OTP (ver services/reportesCiudadanosService.js).
+ */
+
+import { Router } from "express";
+import { rateLimitMiddleware } from "../middlewares/rateLimitMiddleware.js";
+import { crearRecepcionArchivos } from "../middlewares/subidaArchivosMiddleware.js";
+import {
+  getCatalogoPublico,
+  solicitarOtpReporte,
+  limitarReportesPorIp,
+  createReporteCiudadano,
+  getSeguimientoReporte,
+} from "../controllers/reportesCiudadanosController.js";
+import {
+  validateSolicitarOtp,
+  validateCrearReporteCiudadano,
+  validateCodigoSeguimiento,
+} from "../validators/reporte-ciudadano.validator.js";
+import { maxFotosReporte } from "../services/reportesCiudadanosService.js";
+
+const router = Router();
+
+// Máximo 30 consultas del catálogo por minuto por IP
+const catalogoRateLimit = rateLimitMiddleware(30, 60 * 1000);
+
+// Máximo 10 solicitudes de código OTP y 10 envíos de reporte cada 15 minutos
+// por IP en este proceso, incluidas las rechazadas (los códigos y reportes
+// registrados se limitan por IP en la BD)
+const otpRateLimit = rateLimitMiddleware(10, 15 * 60 * 1000);
+const reporteRateLimit = rateLimitMiddleware(10, 15 * 60 * 1000);
+
+// Máximo 30 consultas de seguimiento cada 15 minutos por IP, sumando todos los códigos
+const seguimientoRateLimit = rateLimitMiddleware(30, 15 * 60 * 1000, {
+  clave: "/publico/reportes/:codigo",
+});
+
+// Fotos opcionales; el máximo (REPORTE_CIUDADANO_MAX_FOTOS) se lee en cada petición
+const recibirFotos = (req, res, next) =>
+  crearRecepcionArchivos({ requeridos: false, maxArchivos: maxFotosReporte() })(req, res, next);
+
+router.get("/catalogo-novedades", catalogoRateLimit, (req, res) => {
+  // #swagger.tags = ['Reporte Ciudadano']
+  // #swagger.summary = 'Catálogo público de tipos de novedad'
+  // #swagger.description = 'Tipos activos con sus subtipos marcados visible_ciudadano'
+  // #swagger.responses[200] = { description: 'OK (data: [{ id, nombre, icono, color_hex, subtipos: [{ id, nombre, descripcion }] }])' }
+  // #swagger.responses[429] = { description: 'Demasiadas solicitudes' }
+  return getCatalogoPublico(req, res);
+});
+
+router.post("/reportes/otp", otpRateLimit, validateSolicitarOtp, (req, res) => {
+  // #swagger.tags = ['Reporte Ciudadano']
+  // #swagger.summary = 'Enviar código de verificación por SMS'
+  // #swagger.description = 'El código (6 dígitos) se envía en codigo_otp al registrar el reporte. Con REPORTE_CIUDADANO_OTP=required es obligatorio'
+  // #swagger.requestBody = { required: true, content: { "application/json": { schema: { type: "object", required: ["telefono"], properties: { telefono: { type: "string", example: "987654321" } } } } } }
+  // #swagger.responses[200] = { description: 'Código enviado (data: { expira_en_min })' }
+  // #swagger.responses[400] = { description: 'Teléfono inválido o verificación deshabilitada' }
+  // #swagger.responses[429] = { description: 'Demasiados códigos para la IP o el teléfono' }
+  // #swagger.responses[503] = { description: 'No se pudo enviar el SMS' }
+  return solicitarOtpReporte(req, res);
+});
+
+router.post(
+  "/reportes",
+  reporteRateLimit,
+  limitarReportesPorIp,
+  recibirFotos,
+  validateCrearReporteCiudadano,
+  (req, res) => {
+    // #swagger.tags = ['Reporte Ciudadano']
+    // #swagger.summary = 'Registrar reporte ciudadano'
+    // #swagger.description = 'Crea una novedad con origen APP_CIUDADANA en la cola de triaje y devuelve el código de seguimiento. Fotos opcionales en archivos (JPG/PNG/WebP, hasta REPORTE_CIUDADANO_MAX_FOTOS)'
+    // #swagger.requestBody = { required: true, content: { "multipart/form-data": { schema: { type: "object", required: ["tipo_novedad_id", "subtipo_novedad_id", "descripcion", "latitud", "longitud"], properties: { tipo_novedad_id: { type: "integer" }, subtipo_novedad_id: { type: "integer" }, descripcion: { type: "string", example: "Dos personas forzando la puerta de un auto" }, latitud: { type: "number", example: -12.0464 }, longitud: { type: "number", example: -77.0428 }, localizacion: { type: "string" }, referencia_ubicacion: { type: "string" }, nombre: { type: "string" }, doc_identidad: { type: "string" }, telefono: { type: "string" }, es_anonimo: { type: "boolean" }, codigo_otp: { type: "string", example: "123456" }, captcha_token: { type: "string" }, archivos: { type: "array", items: { type: "string", format: "binary" } } } } } } }
+    // #swagger.responses[201] = { description: 'Reporte registrado (data: { codigo_seguimiento, fecha_reporte, estado_triaje, telefono_verificado, fotos })' }
+    // #swagger.responses[400] = { description: 'Validación, CAPTCHA o código OTP inválido, o subtipo no reportable', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+    // #swagger.responses[413] = { description: 'Foto demasiado grande' }
+    // #swagger.responses[415] = { description: 'Tipo de archivo no permitido' }
+    // #swagger.responses[429] = { description: 'Demasiados reportes desde la IP' }
+    // #swagger.responses[503] = { description: 'Reporte ciudadano no configurado o CAPTCHA no verificable' }
+    return createReporteCiudadano(req, res);
+  }
+);
+
+router.get("/reportes/:codigo", seguimientoRateLimit, validateCodigoSeguimiento, (req, res) => {
+  // #swagger.tags = ['Reporte Ciudadano']
+  // #swagger.summary = 'Consultar reporte por código de seguimiento'
+  // #swagger.description = 'Solo tipo, estado de triaje, estado de atención y fechas de cambio de estado; sin observaciones internas ni personal'
+  // #swagger.parameters['codigo'] = { in: 'path', required: true, type: 'string', example: 'RC-7KQ2-M9XD' }
+  // #swagger.responses[200] = { description: 'OK (data: { codigo_seguimiento, fecha_reporte, tipo, subtipo, estado_triaje, motivo_rechazo, estado: { nombre, color_hex, es_final }, historial: [{ estado, fecha }] })' }
+  // #swagger.responses[404] = { description: 'Reporte no encontrado' }
+  // #swagger.responses[429] = { description: 'Demasiadas consultas' }
+  return getSeguimientoReporte(req, res);
+});
+
+export default router;
@@ -0,0 +1,62 @@
+/**
+ * Rutas: reportes-ciudadanos
+ * Cola de triaje de los reportes recibidos por la API pública
+ *
+ * Endpoints:
+ * - GET  /reportes-ciudadanos            - Cola (por defecto PENDIENTE, los más antiguos primero)
+ * - POST /reportes-ciudadanos/:id/triaje - Aceptar o rechazar un reporte
+ *
+ * La novedad de cada reporte se gestiona con las rutas de /novedades
+ * (editar ubicación, asignar recursos, fusionar duplicados).
+ */
+
+import { Router } from "express";
+import { verificarToken, verificarRolesOPermisos } from "../middlewares/authMiddleware.js";
+import { registrarAuditoria } from "../middlewares/auditoriaAccionMiddleware.js";
+import { getColaTriaje, triarReporteCiudadano } from "../controllers/reportesCiudadanosController.js";
+import { validateColaTriaje, validateTriarReporte } from "../validators/reporte-ciudadano.validator.js";
+
+const router = Router();
+
+router.use(verificarToken);
+
+router.get(
+  "/",
+  verificarRolesOPermisos(["operador", "supervisor", "super_admin"], ["novedades.incidentes.read"]),
+  validateColaTriaje,
+  (req, res) => {
+    // #swagger.tags = ['Reporte Ciudadano']
+    // #swagger.summary = 'Cola de triaje de reportes ciudadanos'
+    // #swagger.security = [{ bearerAuth: [] }]
+    // #swagger.parameters['estado_triaje'] = { in: 'query', required: false, type: 'string', enum: ['PENDIENTE', 'ACEPTADO', 'RECHAZADO'] }
+    // #swagger.parameters['page'] = { in: 'query', required: false, type: 'integer' }
+    // #swagger.parameters['limit'] = { in: 'query', required: false, type: 'integer' }
+    // #swagger.responses[200] = { description: 'OK (data: reportes con su novedad, pagination)' }
+    return getColaTriaje(req, res);
+  }
+);
+
+router.post(
+  "/:id/triaje",
+  verificarRolesOPermisos(["operador", "supervisor", "super_admin"], ["novedades.incidentes.update"]),
+  validateTriarReporte,
+  registrarAuditoria({
+    entidad: "ReporteCiudadano",
+    severidad: "MEDIA",
+    modulo: "Novedades",
+  }),
+  (req, res) => {
+    // #swagger.tags = ['Reporte Ciudadano']
+    // #swagger.summary = 'Aceptar o rechazar un reporte ciudadano'
+    // #swagger.description = 'ACEPTADO: la novedad sigue el flujo normal. RECHAZADO: la novedad se elimina (lógicamente) y motivo_rechazo se muestra al ciudadano'
+    // #swagger.security = [{ bearerAuth: [] }]
+    // #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer', example: 1 }
+    // #swagger.requestBody = { required: true, content: { "application/json": { schema: { type: "object", required: ["decision"], properties: { decision: { type: "string", enum: ["ACEPTADO", "RECHAZADO"] }, motivo_rechazo: { type: "string", example: "El hecho no corresponde a seguridad ciudadana" } } } } } }
+    // #swagger.responses[200] = { description: 'OK' }
+    // #swagger.responses[404] = { description: 'Reporte no encontrado' }
+    // #swagger.responses[409] = { description: 'El reporte ya fue triado' }
+    return triarReporteCiudadano(req, res);
+  }
+);
+
+export default router;
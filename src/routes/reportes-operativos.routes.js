@@ -47,6 +47,8 @@ import {
   validateMetricsVehiculares,
   validateReportesOperativosPie,
   validateNovedadesNoAtendidas,
+  validateCumplimientoSla,
+  validateHotspots,
 } from "../validators/reportesOperativos.validator.js";
 
 // ==========================================
@@ -362,6 +364,64 @@ router.get(
   reportesOperativosController.getDashboardOperativos
 );
 
+/**
+ * GET /api/v1/reportes-operativos/sla
+ * Cumplimiento del tiempo de respuesta (SLA) por sector y turno
+ * 
+ * @query {string} fecha_inicio - Fecha de inicio del rango (YYYY-MM-DD) [opcional, default: hace 30 días]
+ * @query {string} fecha_fin - Fecha de fin del rango (YYYY-MM-DD) [opcional, default: hoy]
+ * @query {number} sector_id - ID del sector [opcional]
+ * @query {string} turno - Tipo de turno (MAÑANA, TARDE, NOCHE) [opcional]
+ * 
+ * @access Private
+ * @roles super_admin, admin, supervisor, operador, consulta
+ * @permissions reportes.operativos_dashboard.read
+ */
+router.get(
+  "/sla",
+  verificarToken,
+  verificarRolesOPermisos(
+    ["super_admin", "admin", "supervisor", "operador", "consulta"],
+    ["reportes.operativos_dashboard.read"]
+  ),
+  validateCumplimientoSla,
+  reportesOperativosController.getCumplimientoSla
+);
+
+/**
+ * GET /api/v1/reportes-operativos/hotspots
+ * Hotspots (Getis-Ord Gi*) e intensidad de novedades en GeoJSON para el mapa
+ * 
+ * @query {string} agregacion - grilla, hexagonos o cuadrantes (default: grilla) [opcional]
+ * @query {number} tamano_celda_m - Lado de la celda / distancia entre hexágonos, 50-5000 (default: 250) [opcional]
+ * @query {number} ancho_banda_m - Radio del núcleo y banda de vecindad de Gi* (default: 2 celdas, máximo 5 celdas; en cuadrantes, la menor que da vecino a todos) [opcional]
+ * @query {string} fecha_inicio - Fecha de inicio del rango (YYYY-MM-DD) [opcional, default: hace 90 días]
+ * @query {string} fecha_fin - Fecha de fin del rango (YYYY-MM-DD) [opcional, default: hoy]
+ * @query {number} tipo_novedad_id - ID del tipo de novedad [opcional]
+ * @query {number} subtipo_novedad_id - ID del subtipo de novedad [opcional]
+ * @query {number} sector_id - ID del sector [opcional]
+ * @query {number} hora_desde - Hora de ocurrencia desde, 0-23 (22 a 4 cruza la medianoche) [opcional]
+ * @query {number} hora_hasta - Hora de ocurrencia hasta, 0-23 [opcional]
+ * @query {string} dias_semana - Días de la semana, 1=lunes ... 7=domingo (ej: 5,6,7) [opcional]
+ * @query {string} bbox - Área de estudio minLng,minLat,maxLng,maxLat [opcional]
+ * @query {boolean} incluir_vacias - Incluir celdas sin novedades ni significancia (default: false) [opcional]
+ * @query {string} formato - json o geojson (equivale a Accept: application/geo+json) [opcional]
+ * 
+ * @access Private
+ * @roles super_admin, admin, supervisor, operador, consulta
+ * @permissions reportes.operativos_dashboard.read
+ */
+router.get(
+  "/hotspots",
+  verificarToken,
+  verificarRolesOPermisos(
+    ["super_admin", "admin", "supervisor", "operador", "consulta"],
+    ["reportes.operativos_dashboard.read"]
+  ),
+  validateHotspots,
+  reportesOperativosController.getHotspotsNovedades
+);
+
 // ==========================================
 // ENDPOINTS DE SALUD Y ESTADO
 // ==========================================
@@ -387,7 +447,9 @@ router.get("/health", (req, res) => {
       vehiculares_metrics: "active",
       pie: "active",
       no_atendidas: "active",
-      dashboard: "active"
+      dashboard: "active",
+      sla: "active",
+      hotspots: "active"
     }
   });
 });
@@ -0,0 +1,183 @@
+/**
+ * Rutas: transiciones-estado-novedad
+ * Grafo de transiciones permitidas entre estados de novedad
+ *
+ * Endpoints:
+ * - GET    /transiciones-estado-novedad            - Listar con filtros
+ * - GET    /transiciones-estado-novedad/grafo      - Grafo completo (nodos y aristas)
+ * - GET    /transiciones-estado-novedad/:id        - Obtener una
+ * - POST   /transiciones-estado-novedad            - Crear
+ * - PUT    /transiciones-estado-novedad/:id        - Actualizar requisitos
+ * - PATCH  /transiciones-estado-novedad/:id/estado - Activar/desactivar
+ * - DELETE /transiciones-estado-novedad/:id        - Soft-delete
+ *
+ * Los estados a los que puede pasar una novedad concreta se consultan en
+ * GET /novedades/:id/estados-siguientes.
+ */
+
+import { Router } from "express";
+import { verificarToken, verificarRolesOPermisos } from "../middlewares/authMiddleware.js";
+import {
+  getTransiciones,
+  getGrafo,
+  getTransicionById,
+  createTransicion,
+  updateTransicion,
+  cambiarEstadoTransicion,
+  deleteTransicion,
+} from "../controllers/transicionesEstadoNovedadController.js";
+import {
+  validarCrear,
+  validarActualizar,
+  validarCambiarEstado,
+  validarId,
+  validarListar,
+} from "../validators/transicion-estado-novedad.validator.js";
+
+const router = Router();
+
+router.use(verificarToken);
+
+// ==========================================
+// RBAC: Control de Accesos y Permisos
+// ==========================================
+const permisos = {
+  leer: "novedades.rol_estados.read",
+};
+
+// ============================================
+// RUTAS DE LECTURA
+// ============================================
+
+/**
+ * @route   GET /transiciones-estado-novedad/grafo
+ * @desc    Grafo completo de estados y transiciones activas
+ * @access  Todos los roles autenticados
+ */
+router.get(
+  "/grafo",
+  verificarRolesOPermisos(
+    ["super_admin", "admin", "supervisor", "operador", "consulta"],
+    [permisos.leer]
+  ),
+  (req, res, next) => {
+    // #swagger.tags = ['TransicionesEstadoNovedad']
+    // #swagger.summary = 'Grafo de transiciones de estados de novedad'
+    // #swagger.security = [{ bearerAuth: [] }]
+    return getGrafo(req, res, next);
+  }
+);
+
+/**
+ * @route   GET /transiciones-estado-novedad
+ * @desc    Listar transiciones con filtros y paginación
+ * @access  super_admin, admin
+ */
+router.get(
+  "/",
+  verificarRolesOPermisos(["super_admin", "admin"], [permisos.leer]),
+  validarListar,
+  (req, res, next) => {
+    // #swagger.tags = ['TransicionesEstadoNovedad']
+    // #swagger.summary = 'Listar transiciones de estado'
+    // #swagger.security = [{ bearerAuth: [] }]
+    return getTransiciones(req, res, next);
+  }
+);
+
+/**
+ * @route   GET /transiciones-estado-novedad/:id
+ * @desc    Obtener una transición por ID
+ * @access  super_admin, admin
+ */
+router.get(
+  "/:id",
+  verificarRolesOPermisos(["super_admin", "admin"], [permisos.leer]),
+  validarId,
+  (req, res, next) => {
+    // #swagger.tags = ['TransicionesEstadoNovedad']
+    // #swagger.summary = 'Obtener transición por ID'
+    // #swagger.security = [{ bearerAuth: [] }]
+    return getTransicionById(req, res, next);
+  }
+);
+
+// ============================================
+// RUTAS DE ESCRITURA — solo super_admin y admin
+// ============================================
+
+/**
+ * @route   POST /transiciones-estado-novedad
+ * @desc    Crear transición entre dos estados
+ * @access  super_admin, admin
+ * @body    {number}   estado_origen_id     - ID del estado origen
+ * @body    {number}   estado_destino_id    - ID del estado destino
+ * @body    {boolean}  requiere_observacion - Exigir observaciones (opcional)
+ * @body    {string[]} campos_requeridos    - Campos de la novedad exigidos (opcional)
+ * @body    {string}   descripcion          - Descripción opcional
+ */
+router.post(
+  "/",
+  verificarRolesOPermisos(["super_admin", "admin"]),
+  validarCrear,
+  (req, res, next) => {
+    // #swagger.tags = ['TransicionesEstadoNovedad']
+    // #swagger.summary = 'Crear transición de estado'
+    // #swagger.security = [{ bearerAuth: [] }]
+    return createTransicion(req, res, next);
+  }
+);
+
+/**
+ * @route   PUT /transiciones-estado-novedad/:id
+ * @desc    Actualizar requisitos, descripción o estado de la transición
+ * @access  super_admin, admin
+ */
+router.put(
+  "/:id",
+  verificarRolesOPermisos(["super_admin", "admin"]),
+  validarActualizar,
+  (req, res, next) => {
+    // #swagger.tags = ['TransicionesEstadoNovedad']
+    // #swagger.summary = 'Actualizar transición'
+    // #swagger.security = [{ bearerAuth: [] }]
+    return updateTransicion(req, res, next);
+  }
+);
+
+/**
+ * @route   PATCH /transiciones-estado-novedad/:id/estado
+ * @desc    Activar o desactivar una transición
+ * @access  super_admin, admin
+ * @body    {boolean} estado - true = activo, false = inactivo
+ */
+router.patch(
+  "/:id/estado",
+  verificarRolesOPermisos(["super_admin", "admin"]),
+  validarCambiarEstado,
+  (req, res, next) => {
+    // #swagger.tags = ['TransicionesEstadoNovedad']
+    // #swagger.summary = 'Cambiar estado de transición'
+    // #swagger.security = [{ bearerAuth: [] }]
+    return cambiarEstadoTransicion(req, res, next);
+  }
+);
+
+/**
+ * @route   DELETE /transiciones-estado-novedad/:id
+ * @desc    Eliminar transición (soft-delete)
+ * @access  super_admin, admin
+ */
+router.delete(
+  "/:id",
+  verificarRolesOPermisos(["super_admin", "admin"]),
+  validarId,
+  (req, res, next) => {
+    // #swagger.tags = ['TransicionesEstadoNovedad']
+    // #swagger.summary = 'Eliminar transición (soft-delete)'
+    // #swagger.security = [{ bearerAuth: [] }]
+    return deleteTransicion(req, res, next);
+  }
+);
+
+export default router;
@@ -19,6 +19,11 @@ import {
   cambiarEstado,
   restoreUsuario,
 } from "../controllers/usuariosController.js";
+import {
+  getSesionesUsuario,
+  cerrarSesionUsuario,
+  cerrarSesionesUsuario,
+} from "../controllers/sesionesController.js";
 import {
   verificarToken,
   verificarRolesOPermisos,
@@ -145,15 +150,10 @@ router.post(
       .withMessage("Email inválido")
       .normalizeEmail(),
 
+    // Formato, datos personales e historial: passwordPolicyService
     body("password")
       .notEmpty()
-      .withMessage("La contraseña es requerida")
-      .isLength({ min: 8 })
-      .withMessage("La contraseña debe tener mínimo 8 caracteres")
-      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-      .withMessage(
-        "La contraseña debe contener mayúsculas, minúsculas y números"
-      ),
+      .withMessage("La contraseña es requerida"),
 
     body("nombres")
       .notEmpty()
@@ -314,15 +314,10 @@ router.patch(
   [
     param("id").isInt({ min: 1 }).withMessage("ID de usuario inválido"),
 
+    // Formato, datos personales e historial: passwordPolicyService
     body("newPassword")
       .notEmpty()
-      .withMessage("La nueva contraseña es requerida")
-      .isLength({ min: 8 })
-      .withMessage("La contraseña debe tener mínimo 8 caracteres")
-      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-      .withMessage(
-        "La contraseña debe contener mayúsculas, minúsculas y números"
-      ),
+      .withMessage("La nueva contraseña es requerida"),
 
     handleValidationErrors,
   ],
@@ -710,4 +705,78 @@ router.get(
   }
 );
 
+/**
+ * @route   GET /api/usuarios/:id/sessions
+ * @desc    Listar sesiones activas de un usuario
+ * @access  Super Admin, Admin, Supervisor
+ */
+router.get(
+  "/:id/sessions",
+  verificarToken,
+  verificarRolesOPermisos(["super_admin", "admin", "supervisor"], ["usuarios.sesiones.read"]),
+  [
+    param("id").isInt({ min: 1 }).withMessage("ID de usuario inválido"),
+    handleValidationErrors,
+  ],
+  (req, res, next) => {
+    // #swagger.tags = ['Usuarios']
+    // #swagger.summary = 'Listar sesiones activas de un usuario'
+    // #swagger.security = [{ bearerAuth: [] }]
+    // #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer', example: 1 }
+    // #swagger.responses[200] = { description: 'OK' }
+    // #swagger.responses[404] = { description: 'No encontrado', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+    return getSesionesUsuario(req, res, next);
+  }
+);
+
+/**
+ * @route   DELETE /api/usuarios/:id/sessions/:sessionId
+ * @desc    Forzar cierre de una sesión (dispositivo perdido)
+ * @access  Super Admin, Admin, Supervisor
+ */
+router.delete(
+  "/:id/sessions/:sessionId",
+  verificarToken,
+  verificarRolesOPermisos(["super_admin", "admin", "supervisor"], ["usuarios.sesiones.delete"]),
+  [
+    param("id").isInt({ min: 1 }).withMessage("ID de usuario inválido"),
+    param("sessionId").isInt({ min: 1 }).withMessage("ID de sesión inválido"),
+    handleValidationErrors,
+  ],
+  (req, res, next) => {
+    // #swagger.tags = ['Usuarios']
+    // #swagger.summary = 'Forzar cierre de una sesión de un usuario'
+    // #swagger.security = [{ bearerAuth: [] }]
+    // #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer', example: 1 }
+    // #swagger.parameters['sessionId'] = { in: 'path', required: true, type: 'integer', example: 42 }
+    // #swagger.responses[200] = { description: 'OK' }
+    // #swagger.responses[404] = { description: 'No encontrado', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+    return cerrarSesionUsuario(req, res, next);
+  }
+);
+
+/**
+ * @route   DELETE /api/usuarios/:id/sessions
+ * @desc    Forzar cierre de todas las sesiones de un usuario
+ * @access  Super Admin, Admin, Supervisor
+ */
+router.delete(
+  "/:id/sessions",
+  verificarToken,
+  verificarRolesOPermisos(["super_admin", "admin", "supervisor"], ["usuarios.sesiones.delete"]),
+  [
+    param("id").isInt({ min: 1 }).withMessage("ID de usuario inválido"),
+    handleValidationErrors,
+  ],
+  (req, res, next) => {
+    // #swagger.tags = ['Usuarios']
+    // #swagger.summary = 'Forzar cierre de todas las sesiones de un usuario'
+    // #swagger.security = [{ bearerAuth: [] }]
+    // #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer', example: 1 }
+    // #swagger.responses[200] = { description: 'OK' }
+    // #swagger.responses[404] = { description: 'No encontrado', schema: { $ref: "#/components/schemas/ErrorResponse" } }
+    return cerrarSesionesUsuario(req, res, next);
+  }
+);
+
 export default router;
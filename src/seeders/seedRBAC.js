@@ -214,6 +214,41 @@ async function seedRBAC() {
         descripcion: "Actualizar estado de un usuario",
         es_sistema: true,
       },
+      {
+        modulo: "usuarios",
+        recurso: "sesiones",
+        accion: "read",
+        descripcion: "Ver sesiones activas de usuarios",
+        es_sistema: true,
+      },
+      {
+        modulo: "usuarios",
+        recurso: "sesiones",
+        accion: "delete",
+        descripcion: "Forzar cierre de sesiones de usuarios",
+        es_sistema: true,
+      },
+      {
+        modulo: "usuarios",
+        recurso: "api_keys",
+        accion: "read",
+        descripcion: "Ver API keys de clientes de máquina",
+        es_sistema: true,
+      },
+      {
+        modulo: "usuarios",
+        recurso: "api_keys",
+        accion: "create",
+        descripcion: "Crear API keys de clientes de máquina",
+        es_sistema: true,
+      },
+      {
+        modulo: "usuarios",
+        recurso: "api_keys",
+        accion: "delete",
+        descripcion: "Revocar API keys de clientes de máquina",
+        es_sistema: true,
+      },
 
       // ============================================
       // MÓDULO: ROLES
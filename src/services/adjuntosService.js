@@ -0,0 +1,499 @@
+/**
+ * ===================================================
+ * SERVICIO: Adjuntos Service
+ * ===================================================
+ *
+ * Ruta: src/services/adjuntosService.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * Archivos adjuntos de novedades (partes, fotos de evidencia, audios),
+ * mantenimientos y abastecimientos (comprobantes):
+ *
+ * - El tipo se detecta por el contenido del archivo (firma inicial), no
+ *   por la extensión ni el Content-Type enviado por el cliente.
+ * - Se guarda el hash SHA-256 del contenido; la descarga lo devuelve en
+ *   ETag y X-Content-SHA256 para verificar la integridad.
+ * - Las imágenes generan una miniatura WebP.
+ * - Los permisos son los del registro padre: las rutas de adjuntos usan
+ *   los mismos roles y permisos que leer / actualizar el padre. La
+ *   descarga usa una URL firmada con vencimiento
+ *   (ADJUNTOS_URL_EXPIRACION_SEG), que solo se entrega a quien puede leer
+ *   el padre y sirve para <img src> o <audio src> sin token. Se firma
+ *   con ADJUNTOS_URL_SECRET, obligatoria en producción.
+ * - Eliminar un adjunto es lógico: el archivo se conserva como evidencia.
+ */
+
+import crypto from "crypto";
+import sharp from "sharp";
+import sequelize from "../config/database.js";
+import models from "../models/index.js";
+import { obtenerAlmacenamiento } from "./almacenamientoService.js";
+import { compararHashes } from "../utils/cryptoHelper.js";
+import { getNowInTimezone, rawDate } from "../utils/dateHelper.js";
+import logger from "../utils/logger.js";
+const { Adjunto, Novedad, MantenimientoVehiculo, AbastecimientoCombustible, Usuario } = models;
+
+/**
+ * Registros que admiten adjuntos
+ * @constant {Object}
+ */
+export const ENTIDADES_ADJUNTO = {
+  NOVEDAD: "NOVEDAD",
+  MANTENIMIENTO: "MANTENIMIENTO",
+  ABASTECIMIENTO: "ABASTECIMIENTO",
+};
+
+/**
+ * Categorías de adjunto
+ * @constant {Object}
+ */
+export const CATEGORIAS_ADJUNTO = {
+  PARTE: "PARTE",
+  FOTO: "FOTO",
+  AUDIO: "AUDIO",
+  DOCUMENTO: "DOCUMENTO",
+  COMPROBANTE: "COMPROBANTE",
+};
+
+/**
+ * Variantes descargables de un adjunto
+ * @constant {Object}
+ */
+export const VARIANTES_ADJUNTO = {
+  ORIGINAL: "original",
+  MINIATURA: "miniatura",
+};
+
+/**
+ * Tipos de archivo aceptados (MIME detectado → extensión y tipo)
+ * @private
+ */
+const TIPOS_ARCHIVO = {
+  "image/jpeg": { extension: "jpg", tipo: "imagen" },
+  "image/png": { extension: "png", tipo: "imagen" },
+  "image/webp": { extension: "webp", tipo: "imagen" },
+  "application/pdf": { extension: "pdf", tipo: "documento" },
+  "audio/mpeg": { extension: "mp3", tipo: "audio" },
+  "audio/ogg": { extension: "ogg", tipo: "audio" },
+  "audio/wav": { extension: "wav", tipo: "audio" },
+  "audio/mp4": { extension: "m4a", tipo: "audio" },
+  "audio/webm": { extension: "webm", tipo: "audio" },
+};
+
+/**
+ * Tipos de archivo admitidos por categoría
+ * @private
+ */
+const TIPOS_POR_CATEGORIA = {
+  PARTE: ["documento", "imagen"],
+  FOTO: ["imagen"],
+  AUDIO: ["audio"],
+  DOCUMENTO: ["documento", "imagen"],
+  COMPROBANTE: ["documento", "imagen"],
+};
+
+/**
+ * Categoría por defecto según el tipo de archivo
+ * @private
+ */
+const CATEGORIA_POR_TIPO = {
+  imagen: CATEGORIAS_ADJUNTO.FOTO,
+  audio: CATEGORIAS_ADJUNTO.AUDIO,
+  documento: CATEGORIAS_ADJUNTO.DOCUMENTO,
+};
+
+/**
+ * Modelo, carpeta y categorías de cada entidad
+ * @private
+ */
+const CONFIG_ENTIDADES = {
+  NOVEDAD: {
+    modelo: Novedad,
+    carpeta: "novedades",
+    nombre: "Novedad",
+    noEncontrado: "Novedad no encontrada",
+    categorias: ["PARTE", "FOTO", "AUDIO", "DOCUMENTO"],
+  },
+  MANTENIMIENTO: {
+    modelo: MantenimientoVehiculo,
+    carpeta: "mantenimientos",
+    nombre: "Mantenimiento",
+    noEncontrado: "Mantenimiento no encontrado",
+    categorias: ["FOTO", "DOCUMENTO", "COMPROBANTE"],
+  },
+  ABASTECIMIENTO: {
+    modelo: AbastecimientoCombustible,
+    carpeta: "abastecimientos",
+    nombre: "Abastecimiento",
+    noEncontrado: "Abastecimiento no encontrado",
+    categorias: ["FOTO", "DOCUMENTO", "COMPROBANTE"],
+  },
+};
+
+/**
+ * Lado mayor de la miniatura (px)
+ * @private
+ */
+const MINIATURA_PX = 320;
+
+// Las URLs firmadas no comparten la clave de los JWT: en producción el
+// backend no arranca sin ADJUNTOS_URL_SECRET
+if (process.env.NODE_ENV === "production" && !process.env.ADJUNTOS_URL_SECRET) {
+  throw new Error("ADJUNTOS_URL_SECRET es obligatoria en producción (no se reutiliza JWT_SECRET)");
+}
+
+/**
+ * Configuración desde el entorno (fuera de producción, la URL se firma
+ * con JWT_SECRET si no hay ADJUNTOS_URL_SECRET)
+ * @private
+ */
+const configuracion = () => ({
+  urlExpiracionSeg: parseInt(process.env.ADJUNTOS_URL_EXPIRACION_SEG) || 300,
+  secreto: process.env.ADJUNTOS_URL_SECRET || process.env.JWT_SECRET,
+});
+
+/**
+ * Tamaño máximo por archivo (bytes) y archivos por petición
+ *
+ * @returns {Object} { maxBytes, maxArchivos }
+ */
+export const limitesSubida = () => ({
+  maxBytes: (parseInt(process.env.ADJUNTOS_MAX_MB) || 20) * 1024 * 1024,
+  maxArchivos: parseInt(process.env.ADJUNTOS_MAX_ARCHIVOS) || 5,
+});
+
+/**
+ * Detecta el MIME por la firma inicial del contenido
+ * @private
+ */
+const detectarMime = (buffer) => {
+  const ascii = (inicio, fin) => buffer.toString("latin1", inicio, fin);
+
+  if (buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg";
+  if (buffer.readUInt32BE(0) === 0x89504e47) return "image/png";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "image/webp";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WAVE") return "audio/wav";
+  if (ascii(0, 5) === "%PDF-") return "application/pdf";
+  if (ascii(0, 4) === "OggS") return "audio/ogg";
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) return "audio/webm";
+  if (ascii(4, 8) === "ftyp" && ["M4A ", "M4B "].includes(ascii(8, 12))) return "audio/mp4";
+  if (ascii(0, 3) === "ID3" || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) return "audio/mpeg";
+  return null;
+};
+
+/**
+ * Firma HMAC de una URL de descarga
+ * @private
+ */
+const firmar = (id, variante, exp) =>
+  crypto
+    .createHmac("sha256", configuracion().secreto)
+    .update(`${id}.${variante}.${exp}`)
+    .digest("base64url");
+
+/**
+ * URL de descarga firmada de un adjunto
+ *
+ * @param {number} id - ID del adjunto
+ * @param {string} [variante="original"] - VARIANTES_ADJUNTO
+ * @returns {Object} { url, expira }
+ */
+export const generarUrlDescarga = (id, variante = VARIANTES_ADJUNTO.ORIGINAL) => {
+  const exp = Math.floor(Date.now() / 1000) + configuracion().urlExpiracionSeg;
+  const firma = firmar(id, variante, exp);
+  return {
+    url: `/api/v1/adjuntos/${id}/descarga?variante=${variante}&exp=${exp}&firma=${firma}`,
+    expira: new Date(exp * 1000).toISOString(),
+  };
+};
+
+/**
+ * Verifica la firma y vigencia de una URL de descarga
+ *
+ * @param {Object} params - { id, variante, exp, firma }
+ * @returns {boolean}
+ */
+export const verificarUrlDescarga = ({ id, variante, exp, firma }) => {
+  const vence = Number(exp);
+  if (!Number.isInteger(vence) || vence < Math.floor(Date.now() / 1000)) return false;
+  return compararHashes(String(firma || ""), firmar(Number(id), variante, vence));
+};
+
+/**
+ * Adjunto para la respuesta: sin claves internas y con URLs firmadas
+ *
+ * @param {Object} adjunto - Instancia de Adjunto
+ * @returns {Object}
+ */
+export const serializarAdjunto = (adjunto) => {
+  const datos = adjunto.get({ plain: true });
+  const original = generarUrlDescarga(adjunto.id);
+  const url_miniatura = datos.clave_miniatura
+    ? generarUrlDescarga(adjunto.id, VARIANTES_ADJUNTO.MINIATURA).url
+    : null;
+
+  delete datos.clave;
+  delete datos.clave_miniatura;
+  delete datos.almacenamiento;
+
+  return {
+    ...datos,
+    url: original.url,
+    url_miniatura,
+    url_expira: original.expira,
+  };
+};
+
+/**
+ * Registro padre activo
+ *
+ * @param {string} entidad - ENTIDADES_ADJUNTO
+ * @param {number} entidadId
+ * @returns {Promise<Object|null>}
+ */
+export const cargarPadre = (entidad, entidadId) =>
+  CONFIG_ENTIDADES[entidad].modelo.findOne({
+    where: { id: entidadId, estado: 1, deleted_at: null },
+  });
+
+/**
+ * Mensaje 404 del registro padre ("Novedad no encontrada", ...)
+ *
+ * @param {string} entidad - ENTIDADES_ADJUNTO
+ * @returns {string}
+ */
+export const mensajePadreNoEncontrado = (entidad) => CONFIG_ENTIDADES[entidad].noEncontrado;
+
+/**
+ * Adjuntos activos de un registro
+ *
+ * @param {string} entidad - ENTIDADES_ADJUNTO
+ * @param {number} entidadId
+ * @returns {Promise<Array<Object>>} Adjuntos serializados
+ */
+export const listarAdjuntos = async (entidad, entidadId) => {
+  const adjuntos = await Adjunto.findAll({
+    where: { entidad, entidad_id: entidadId, deleted_at: null },
+    include: [{ model: Usuario, as: "creador", attributes: ["id", "username"] }],
+    order: [["created_at", "ASC"], ["id", "ASC"]],
+  });
+  return adjuntos.map(serializarAdjunto);
+};
+
+/**
+ * Valida y prepara un archivo recibido (sin guardarlo aún)
+ * @private
+ */
+const prepararArchivo = async (archivo, entidad, categoriaSolicitada) => {
+  const mimeType = detectarMime(archivo.buffer);
+  const tipoArchivo = TIPOS_ARCHIVO[mimeType];
+  if (!tipoArchivo) {
+    return {
+      error: {
+        status: 415,
+        message: `${archivo.originalname}: tipo de archivo no permitido (imágenes JPG/PNG/WebP, PDF o audio MP3/OGG/WAV/M4A/WebM)`,
+      },
+    };
+  }
+
+  const categoria = categoriaSolicitada || CATEGORIA_POR_TIPO[tipoArchivo.tipo];
+  if (!CONFIG_ENTIDADES[entidad].categorias.includes(categoria)) {
+    return {
+      error: {
+        status: 400,
+        message: `${archivo.originalname}: la categoría ${categoria} no aplica a ${CONFIG_ENTIDADES[entidad].nombre.toLowerCase()}`,
+      },
+    };
+  }
+  if (!TIPOS_POR_CATEGORIA[categoria].includes(tipoArchivo.tipo)) {
+    return {
+      error: { status: 400, message: `${archivo.originalname}: un ${tipoArchivo.tipo} no puede ser ${categoria}` },
+    };
+  }
+
+  const preparado = {
+    archivo,
+    mimeType,
+    categoria,
+    extension: tipoArchivo.extension,
+    sha256: crypto.createHash("sha256").update(archivo.buffer).digest("hex"),
+  };
+
+  if (tipoArchivo.tipo === "imagen") {
+    try {
+      const imagen = sharp(archivo.buffer);
+      const { width, height } = await imagen.metadata();
+      preparado.ancho = width ?? null;
+      preparado.alto = height ?? null;
+      preparado.miniatura = await imagen
+        .rotate()
+        .resize(MINIATURA_PX, MINIATURA_PX, { fit: "inside", withoutEnlargement: true })
+        .webp({ quality: 70 })
+        .toBuffer();
+    } catch {
+      return { error: { status: 422, message: `${archivo.originalname}: la imagen está dañada` } };
+    }
+  }
+
+  return { preparado };
+};
+
+/**
+ * Guarda los archivos recibidos como adjuntos de un registro. Valida
+ * todos antes de guardar el primero; si falla el registro en BD se
+ * borran los archivos ya escritos.
+ *
+ * @param {Object} params
+ * @param {string} params.entidad - ENTIDADES_ADJUNTO
+ * @param {number} params.entidadId
+ * @param {Array<Object>} params.archivos - Archivos de multer (memoria)
+ * @param {string} [params.categoria] - CATEGORIAS_ADJUNTO (por defecto según el tipo)
+ * @param {string} [params.descripcion]
+ * @param {number} params.usuarioId
+ * @param {Object} [params.transaction] - Transacción en la que se crea el registro padre
+ * @returns {Promise<Object>} { ok, status, message?, data? }
+ */
+export const guardarAdjuntos = async ({
+  entidad,
+  entidadId,
+  archivos,
+  categoria,
+  descripcion,
+  usuarioId,
+  transaction,
+}) => {
+  const preparados = [];
+  for (const archivo of archivos) {
+    const { preparado, error } = await prepararArchivo(archivo, entidad, categoria);
+    if (error) return { ok: false, ...error };
+    preparados.push(preparado);
+  }
+
+  const almacenamiento = obtenerAlmacenamiento();
+  const ahora = getNowInTimezone();
+  const [anio, mes] = ahora.split("-");
+  const escritas = [];
+
+  try {
+    const registros = [];
+    for (const p of preparados) {
+      const clave = `${CONFIG_ENTIDADES[entidad].carpeta}/${anio}/${mes}/${crypto.randomUUID()}.${p.extension}`;
+      await almacenamiento.guardar(clave, p.archivo.buffer, { mimeType: p.mimeType });
+      escritas.push(clave);
+
+      let claveMiniatura = null;
+      if (p.miniatura) {
+        claveMiniatura = `${clave}.miniatura.webp`;
+        await almacenamiento.guardar(claveMiniatura, p.miniatura, { mimeType: "image/webp" });
+        escritas.push(claveMiniatura);
+      }
+
+      registros.push({
+        entidad,
+        entidad_id: entidadId,
+        categoria: p.categoria,
+        nombre_original: p.archivo.originalname.slice(0, 255),
+        mime_type: p.mimeType,
+        tamano_bytes: p.archivo.size,
+        sha256: p.sha256,
+        almacenamiento: almacenamiento.tipo,
+        clave,
+        clave_miniatura: claveMiniatura,
+        ancho: p.ancho ?? null,
+        alto: p.alto ?? null,
+        descripcion: descripcion || null,
+        created_by: usuarioId,
+        created_at: rawDate(ahora, sequelize),
+      });
+    }
+
+    const crear = (t) => Promise.all(registros.map((r) => Adjunto.create(r, { transaction: t })));
+    const creados = transaction ? await crear(transaction) : await sequelize.transaction(crear);
+
+    return { ok: true, status: 201, data: creados.map(serializarAdjunto) };
+  } catch (error) {
+    await Promise.all(
+      escritas.map((clave) =>
+        almacenamiento.eliminar(clave).catch((e) => {
+          logger.error(`❌ [Adjuntos] No se pudo borrar ${clave}: ${e.message}`);
+        })
+      )
+    );
+    throw error;
+  }
+};
+
+/**
+ * Adjunto activo de un registro
+ *
+ * @param {string} entidad - ENTIDADES_ADJUNTO
+ * @param {number} entidadId
+ * @param {number} adjuntoId
+ * @returns {Promise<Object|null>}
+ */
+export const buscarAdjunto = (entidad, entidadId, adjuntoId) =>
+  Adjunto.findOne({
+    where: { id: adjuntoId, entidad, entidad_id: entidadId, deleted_at: null },
+  });
+
+/**
+ * Eliminación lógica de un adjunto (el archivo se conserva)
+ *
+ * @param {Object} adjunto - Instancia de Adjunto
+ * @param {number} usuarioId
+ * @returns {Promise<void>}
+ */
+export const eliminarAdjunto = (adjunto, usuarioId) =>
+  adjunto.update({
+    estado: 0,
+    deleted_at: rawDate(getNowInTimezone(), sequelize),
+    deleted_by: usuarioId,
+  });
+
+/**
+ * Abre el archivo de una descarga firmada ya verificada. Devuelve null
+ * si el adjunto, su padre o el archivo ya no existen.
+ *
+ * @param {number} id - ID del adjunto
+ * @param {string} variante - VARIANTES_ADJUNTO
+ * @returns {Promise<Object|null>} { adjunto, stream, tamano, mimeType }
+ */
+export const abrirDescarga = async (id, variante) => {
+  const adjunto = await Adjunto.findOne({ where: { id, deleted_at: null } });
+  if (!adjunto) return null;
+  if (!(await cargarPadre(adjunto.entidad, adjunto.entidad_id))) return null;
+
+  const miniatura = variante === VARIANTES_ADJUNTO.MINIATURA;
+  const clave = miniatura ? adjunto.clave_miniatura : adjunto.clave;
+  if (!clave) return null;
+
+  const archivo = await obtenerAlmacenamiento().abrir(clave);
+  if (!archivo) return null;
+
+  return {
+    adjunto,
+    ...archivo,
+    mimeType: miniatura ? "image/webp" : adjunto.mime_type,
+  };
+};
+
+export default {
+  ENTIDADES_ADJUNTO,
+  CATEGORIAS_ADJUNTO,
+  VARIANTES_ADJUNTO,
+  limitesSubida,
+  generarUrlDescarga,
+  verificarUrlDescarga,
+  serializarAdjunto,
+  cargarPadre,
+  mensajePadreNoEncontrado,
+  listarAdjuntos,
+  guardarAdjuntos,
+  buscarAdjunto,
+  eliminarAdjunto,
+  abrirDescarga,
+};
@@ -0,0 +1,114 @@
+/**
+ * ===================================================
+ * SERVICIO: Almacenamiento Service
+ * ===================================================
+ *
+ * Ruta: src/services/almacenamientoService.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * Dónde se guardan los archivos adjuntos. El resto del backend trabaja
+ * con claves ("novedad/2026/10/<uuid>.jpg") y no sabe si el archivo está
+ * en disco o en un bucket.
+ *
+ * Implementaciones (ADJUNTOS_STORAGE):
+ * - local (por defecto): directorio ADJUNTOS_LOCAL_DIR. Con varias
+ *   réplicas debe ser un volumen compartido.
+ *
+ * Un driver compatible con S3 solo necesita implementar la misma
+ * interfaz y registrarse en crearAlmacenamientoDesdeEntorno.
+ *
+ * Interfaz de un almacenamiento:
+ * - guardar(clave, buffer, { mimeType }) → Promise<void>
+ * - abrir(clave) → Promise<{ stream, tamano } | null>
+ * - eliminar(clave) → Promise<void>
+ */
+
+import fs from "fs";
+import path from "path";
+import logger from "../utils/logger.js";
+
+/**
+ * Ruta absoluta de una clave, sin salir del directorio base
+ * @private
+ */
+const resolverRuta = (directorio, clave) => {
+  const ruta = path.resolve(directorio, clave);
+  if (!ruta.startsWith(directorio + path.sep)) {
+    throw new Error(`Clave de almacenamiento inválida: ${clave}`);
+  }
+  return ruta;
+};
+
+/**
+ * Almacenamiento en disco local
+ *
+ * @param {Object} opciones
+ * @param {string} opciones.directorio - Directorio base
+ * @returns {Object} Almacenamiento
+ */
+export const crearAlmacenamientoLocal = ({ directorio }) => {
+  const base = path.resolve(directorio);
+
+  return {
+    tipo: "local",
+
+    async guardar(clave, buffer) {
+      const ruta = resolverRuta(base, clave);
+      await fs.promises.mkdir(path.dirname(ruta), { recursive: true });
+      // "wx": nunca sobrescribir un archivo existente
+      await fs.promises.writeFile(ruta, buffer, { flag: "wx" });
+    },
+
+    async abrir(clave) {
+      const ruta = resolverRuta(base, clave);
+      try {
+        const { size } = await fs.promises.stat(ruta);
+        return { stream: fs.createReadStream(ruta), tamano: size };
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    async eliminar(clave) {
+      await fs.promises.rm(resolverRuta(base, clave), { force: true });
+    },
+  };
+};
+
+/**
+ * Crea el almacenamiento configurado en ADJUNTOS_STORAGE
+ *
+ * @returns {Object} Almacenamiento
+ */
+export const crearAlmacenamientoDesdeEntorno = () => {
+  const tipo = (process.env.ADJUNTOS_STORAGE || "local").toLowerCase();
+
+  if (tipo !== "local") {
+    logger.warn(`📎 [Adjuntos] ADJUNTOS_STORAGE="${tipo}" no reconocido, se usa local`);
+  }
+  return crearAlmacenamientoLocal({
+    directorio: process.env.ADJUNTOS_LOCAL_DIR || "uploads/adjuntos",
+  });
+};
+
+let almacenamiento = null;
+
+/**
+ * Almacenamiento del proceso (se crea en el primer uso)
+ *
+ * @returns {Object} Almacenamiento
+ */
+export const obtenerAlmacenamiento = () => {
+  if (!almacenamiento) almacenamiento = crearAlmacenamientoDesdeEntorno();
+  return almacenamiento;
+};
+
+export default {
+  crearAlmacenamientoLocal,
+  crearAlmacenamientoDesdeEntorno,
+  obtenerAlmacenamiento,
+};
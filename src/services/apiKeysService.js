@@ -0,0 +1,271 @@
+/**
+ * ===================================================
+ * SERVICIO: API Keys Service
+ * ===================================================
+ *
+ * Ruta: src/services/apiKeysService.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * API keys para clientes de máquina (integraciones CAD, mcp-server).
+ * Cada key es una fila de tokens_acceso con token_type API_KEY, ligada a
+ * un Usuario de servicio y con un subconjunto de sus permisos como
+ * "scopes". Se envía en el header:
+ *
+ *   Authorization: ApiKey csk_<id>_<secreto>
+ *
+ * En BD solo se guarda el hash SHA-256 de la key; el valor en claro se
+ * muestra una única vez al crearla. El <id> es el jti de la fila y
+ * permite reconocer la key en listados sin exponer el secreto.
+ */
+
+import { Op } from "sequelize";
+import models from "../models/index.js";
+import authConfig from "../config/auth.js";
+import { generarTokenAleatorio, hashToken } from "../utils/cryptoHelper.js";
+import { extraerPermisos } from "./authTokenService.js";
+const { TokenAcceso, Usuario, Rol, Permiso } = models;
+
+/**
+ * Include de roles y permisos del usuario de servicio
+ * @private
+ */
+const includeRolesPermisos = () => [
+  {
+    model: Rol,
+    as: "roles",
+    through: { attributes: [] },
+    attributes: ["id", "nombre", "slug"],
+    include: [
+      {
+        model: Permiso,
+        as: "permisos",
+        attributes: ["id", "slug"],
+        through: { attributes: [] },
+      },
+    ],
+  },
+];
+
+/**
+ * Busca un usuario con sus roles y permisos
+ *
+ * @param {number} usuarioId - ID del usuario
+ * @returns {Promise<Object|null>} Instancia de Usuario o null
+ */
+export const obtenerUsuarioConPermisos = async (usuarioId) => {
+  return Usuario.findByPk(usuarioId, { include: includeRolesPermisos() });
+};
+
+/**
+ * Scopes solicitados que el usuario de servicio no posee
+ *
+ * @param {Object} usuario - Instancia de Usuario con roles y permisos
+ * @param {Array<string>} scopes - Slugs de permisos solicitados
+ * @returns {Array<string>} Scopes no permitidos (vacío si todos son válidos)
+ */
+export const scopesNoPermitidos = (usuario, scopes) => {
+  const permisos = extraerPermisos(usuario.roles);
+  return scopes.filter((scope) => !permisos.includes(scope));
+};
+
+/**
+ * Permisos efectivos de una key: sus scopes que el usuario de servicio
+ * todavía conserva (si se le quita un permiso, la key también lo pierde)
+ *
+ * @param {Object} registro - Instancia de TokenAcceso (API_KEY)
+ * @param {Object} usuario - Instancia de Usuario con roles y permisos
+ * @returns {Array<string>} Slugs de permisos
+ */
+export const permisosEfectivos = (registro, usuario) => {
+  const permisos = extraerPermisos(usuario.roles);
+  return (registro.scopes || []).filter((scope) => permisos.includes(scope));
+};
+
+/**
+ * Crea una API key
+ *
+ * @param {Object} datos
+ * @param {Object} datos.usuario - Usuario de servicio al que pertenece
+ * @param {string} datos.nombre - Nombre descriptivo ("CAD Central")
+ * @param {Array<string>} datos.scopes - Slugs de permisos
+ * @param {Date} datos.expiresAt - Vencimiento
+ * @param {number} datos.creadoPor - Usuario que la crea
+ * @param {Object} [datos.req] - Request de Express
+ * @returns {Promise<{apiKey: string, registro: Object}>} Key en claro y fila
+ */
+export const crearApiKey = async ({
+  usuario,
+  nombre,
+  scopes,
+  expiresAt,
+  creadoPor,
+  req,
+}) => {
+  const jti = generarTokenAleatorio(16);
+  const apiKey = `${authConfig.apiKeys.prefix}_${jti}_${generarTokenAleatorio(24)}`;
+  const userAgent = req?.headers?.["user-agent"] || null;
+
+  const registro = await TokenAcceso.create({
+    usuario_id: usuario.id,
+    token_type: "API_KEY",
+    nombre,
+    token_hash: hashToken(apiKey),
+    jti,
+    scopes: [...new Set(scopes)],
+    client_ip: req?.ip || null,
+    user_agent: userAgent ? userAgent.substring(0, 255) : null,
+    expires_at: expiresAt,
+    created_by: creadoPor,
+  });
+
+  return { apiKey, registro };
+};
+
+/**
+ * Lista API keys
+ *
+ * @param {Object} [filtros]
+ * @param {number} [filtros.usuarioId] - Solo las de un usuario de servicio
+ * @param {boolean} [filtros.incluirRevocadas=false] - Incluir revocadas y vencidas
+ * @returns {Promise<Array>} Instancias de TokenAcceso con su usuario
+ */
+export const listarApiKeys = async ({ usuarioId, incluirRevocadas = false } = {}) => {
+  const where = { token_type: "API_KEY" };
+  if (usuarioId) where.usuario_id = usuarioId;
+  if (!incluirRevocadas) {
+    where.revoked_at = null;
+    where.expires_at = { [Op.gt]: new Date() };
+  }
+
+  return TokenAcceso.findAll({
+    where,
+    include: [
+      { model: Usuario, as: "usuario", attributes: ["id", "username"] },
+    ],
+    order: [["created_at", "DESC"]],
+  });
+};
+
+/**
+ * Obtiene una API key por ID
+ *
+ * @param {number} id - ID de la fila en tokens_acceso
+ * @returns {Promise<Object|null>} Instancia de TokenAcceso o null
+ */
+export const obtenerApiKey = async (id) => {
+  return TokenAcceso.findOne({
+    where: { id, token_type: "API_KEY" },
+    include: [
+      { model: Usuario, as: "usuario", attributes: ["id", "username"] },
+    ],
+  });
+};
+
+/**
+ * Serializa una API key para la API (nunca incluye el hash)
+ *
+ * @param {Object} registro - Instancia de TokenAcceso (API_KEY)
+ * @returns {Object} Datos públicos de la key
+ */
+export const serializarApiKey = (registro) => {
+  const ahora = new Date();
+  let estado = "ACTIVA";
+  if (registro.revoked_at) estado = "REVOCADA";
+  else if (new Date(registro.expires_at) <= ahora) estado = "VENCIDA";
+
+  return {
+    id: registro.id,
+    nombre: registro.nombre,
+    prefijo: `${authConfig.apiKeys.prefix}_${registro.jti.substring(0, 8)}`,
+    usuario: registro.usuario
+      ? { id: registro.usuario.id, username: registro.usuario.username }
+      : { id: registro.usuario_id },
+    scopes: registro.scopes || [],
+    estado,
+    expires_at: registro.expires_at,
+    last_used_at: registro.last_used_at,
+    last_used_ip: registro.last_used_ip,
+    created_at: registro.created_at,
+    created_by: registro.created_by,
+    revoked_at: registro.revoked_at,
+    revocation_reason: registro.revocation_reason,
+  };
+};
+
+/**
+ * Revoca una API key
+ *
+ * @param {Object} registro - Instancia de TokenAcceso (API_KEY)
+ * @param {Object} [opciones]
+ * @param {number} [opciones.revocadoPor] - Usuario que ejecuta la acción
+ * @param {string} [opciones.motivo="revocada"] - Motivo de revocación
+ * @returns {Promise<Object>} Instancia actualizada
+ */
+export const revocarApiKey = async (registro, opciones = {}) => {
+  const { revocadoPor = null, motivo = "revocada" } = opciones;
+
+  return registro.update({
+    revoked_at: new Date(),
+    revoked_by: revocadoPor,
+    revocation_reason: motivo,
+  });
+};
+
+/**
+ * Autentica una API key recibida en el header Authorization
+ *
+ * Registra el último uso (fecha e IP) como máximo una vez por
+ * apiKeys.lastUsedUpdateIntervalMs, o antes si cambia la IP.
+ *
+ * @param {string} apiKey - Key en claro
+ * @param {Object} req - Request de Express
+ * @returns {Promise<Object|null>} Instancia de TokenAcceso vigente o null
+ */
+export const autenticarApiKey = async (apiKey, req) => {
+  if (!apiKey || !apiKey.startsWith(`${authConfig.apiKeys.prefix}_`)) {
+    return null;
+  }
+
+  const registro = await TokenAcceso.findOne({
+    where: {
+      token_hash: hashToken(apiKey),
+      token_type: "API_KEY",
+      revoked_at: null,
+      expires_at: { [Op.gt]: new Date() },
+    },
+  });
+
+  if (!registro) return null;
+
+  const ahora = new Date();
+  const ultimoUso = registro.last_used_at
+    ? new Date(registro.last_used_at).getTime()
+    : 0;
+
+  if (
+    ahora.getTime() - ultimoUso >= authConfig.apiKeys.lastUsedUpdateIntervalMs ||
+    registro.last_used_ip !== (req?.ip || null)
+  ) {
+    await registro.update({
+      last_used_at: ahora,
+      last_used_ip: req?.ip || null,
+    });
+  }
+
+  return registro;
+};
+
+export default {
+  obtenerUsuarioConPermisos,
+  scopesNoPermitidos,
+  permisosEfectivos,
+  crearApiKey,
+  listarApiKeys,
+  obtenerApiKey,
+  serializarApiKey,
+  revocarApiKey,
+  autenticarApiKey,
+};
@@ -0,0 +1,421 @@
+/**
+ * ===================================================
+ * SERVICIO: Asignación Territorial
+ * ===================================================
+ *
+ * Ruta: src/services/asignacionTerritorialService.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * Resuelve el cuadrante y el sector de una novedad al crearla o editarla,
+ * y registra el origen en novedades_incidentes.asignacion_territorial:
+ *
+ * 1. MANUAL: el operador eligió cuadrante_id o sector_id.
+ * 2. DIRECCION: el cuadrante de la dirección (direccion_id).
+ * 3. AUTOMATICA: por las coordenadas, el cuadrante cuyo poligono_json
+ *    contiene el punto (si hay varios, el de menor área); si ninguno, el
+ *    cuadrante circular (latitud/longitud + radio_metros, sin polígono)
+ *    más cercano que lo cubra. El sector es el del cuadrante o, sin
+ *    cuadrante, el del Sector.poligono_json que contiene el punto.
+ * 4. FUERA_DE_ZONA: coordenadas fuera de todo cuadrante y sector.
+ *
+ * Los polígonos se mantienen en memoria y se recargan cuando cambian las
+ * tablas cuadrantes o sectores (cantidad de filas o último updated_at,
+ * comprobado como máximo cada 5 segundos).
+ *
+ * backfillAsignacionTerritorial() completa las novedades históricas sin
+ * cuadrante (scripts/backfillCuadrantesNovedades.js).
+ */
+
+import { Op, QueryTypes } from "sequelize";
+import sequelize from "../config/database.js";
+import models from "../models/index.js";
+import {
+  distanciaMetros,
+  normalizarPoligono,
+  envolvente,
+  puntoEnPoligono,
+} from "../utils/geoHelper.js";
+import logger from "../utils/logger.js";
+const { Novedad, Cuadrante, Sector, Direccion } = models;
+
+/**
+ * Origen de cuadrante_id/sector_id de una novedad
+ * @constant {Object}
+ */
+export const ASIGNACION_TERRITORIAL = Object.freeze({
+  MANUAL: "MANUAL",
+  DIRECCION: "DIRECCION",
+  AUTOMATICA: "AUTOMATICA",
+  FUERA_DE_ZONA: "FUERA_DE_ZONA",
+});
+
+/**
+ * Novedades por lote del back-fill
+ * @constant {number}
+ */
+export const LOTE_BACKFILL = 500;
+
+/**
+ * Cada cuánto se vuelve a comprobar si cambiaron las zonas
+ * @private
+ */
+const VIGENCIA_FIRMA_MS = 5000;
+
+let territorio = null;
+
+/**
+ * Huella de las tablas de zonas: cambia al crear, editar o eliminar
+ * @private
+ */
+const firmaTerritorio = async (transaction) => {
+  const [fila] = await sequelize.query(
+    `
+      SELECT
+        (SELECT CONCAT(COUNT(*), '|', COALESCE(MAX(updated_at), '')) FROM cuadrantes) AS cuadrantes,
+        (SELECT CONCAT(COUNT(*), '|', COALESCE(MAX(updated_at), '')) FROM sectores) AS sectores
+    `,
+    { type: QueryTypes.SELECT, transaction }
+  );
+  return `${fila.cuadrantes}#${fila.sectores}`;
+};
+
+/**
+ * Prepara una zona (cuadrante o sector) para la búsqueda
+ * @private
+ */
+const prepararZona = (registro) => {
+  const poligono = registro.poligono_json ? normalizarPoligono(registro.poligono_json) : null;
+  const caja = poligono ? envolvente(poligono) : null;
+  return {
+    id: registro.id,
+    sector_id: registro.sector_id ?? null,
+    poligono,
+    caja,
+    area: caja ? (caja.maxLng - caja.minLng) * (caja.maxLat - caja.minLat) : null,
+    latitud: registro.latitud !== undefined && registro.latitud !== null ? Number(registro.latitud) : null,
+    longitud: registro.longitud !== undefined && registro.longitud !== null ? Number(registro.longitud) : null,
+    radio_metros: registro.radio_metros || null,
+  };
+};
+
+/**
+ * Cuadrantes y sectores activos (con caché en memoria)
+ * @private
+ */
+const cargarTerritorio = async (transaction) => {
+  if (territorio && Date.now() - territorio.verificado < VIGENCIA_FIRMA_MS) return territorio;
+
+  const firma = await firmaTerritorio(transaction);
+  if (territorio?.firma === firma) {
+    territorio.verificado = Date.now();
+    return territorio;
+  }
+
+  const [cuadrantes, sectores] = await Promise.all([
+    Cuadrante.findAll({
+      where: { estado: true, deleted_at: null },
+      attributes: ["id", "sector_id", "poligono_json", "latitud", "longitud", "radio_metros"],
+      transaction,
+    }),
+    Sector.findAll({
+      where: { estado: true, deleted_at: null },
+      attributes: ["id", "poligono_json"],
+      transaction,
+    }),
+  ]);
+
+  territorio = {
+    firma,
+    verificado: Date.now(),
+    cuadrantes: cuadrantes.map(prepararZona),
+    sectores: sectores.map(prepararZona),
+  };
+  return territorio;
+};
+
+/**
+ * Zona de menor área (por su recuadro) cuyo polígono contiene el punto
+ * @private
+ */
+const zonaQueContiene = (zonas, lat, lng) =>
+  zonas
+    .filter(
+      (z) =>
+        z.poligono &&
+        lng >= z.caja.minLng &&
+        lng <= z.caja.maxLng &&
+        lat >= z.caja.minLat &&
+        lat <= z.caja.maxLat &&
+        puntoEnPoligono(lng, lat, z.poligono)
+    )
+    .sort((a, b) => a.area - b.area || a.id - b.id)[0] || null;
+
+/**
+ * Cuadrante circular (sin polígono) más cercano cuyo radio cubre el punto
+ * @private
+ */
+const cuadranteCircularQueCubre = (cuadrantes, lat, lng) => {
+  let elegido = null;
+  let menorDistancia = Infinity;
+  for (const c of cuadrantes) {
+    if (c.poligono || !c.radio_metros || c.latitud === null || c.longitud === null) continue;
+    const distancia = distanciaMetros(lat, lng, c.latitud, c.longitud);
+    if (distancia <= c.radio_metros && distancia < menorDistancia) {
+      elegido = c;
+      menorDistancia = distancia;
+    }
+  }
+  return elegido;
+};
+
+/**
+ * ¿Hay coordenadas?
+ * @private
+ */
+const tieneCoordenadas = (latitud, longitud) =>
+  latitud !== null &&
+  latitud !== undefined &&
+  latitud !== "" &&
+  longitud !== null &&
+  longitud !== undefined &&
+  longitud !== "";
+
+/**
+ * Cuadrante y sector que contienen un punto
+ *
+ * @param {number|string} latitud
+ * @param {number|string} longitud
+ * @param {Object} [opciones]
+ * @param {Object} [opciones.transaction]
+ * @returns {Promise<Object>} { cuadrante_id, sector_id, asignacion_territorial }
+ *   con AUTOMATICA o FUERA_DE_ZONA
+ */
+export const resolverUbicacion = async (latitud, longitud, { transaction } = {}) => {
+  const lat = Number(latitud);
+  const lng = Number(longitud);
+  const { cuadrantes, sectores } = await cargarTerritorio(transaction);
+
+  const cuadrante = zonaQueContiene(cuadrantes, lat, lng) || cuadranteCircularQueCubre(cuadrantes, lat, lng);
+  const sectorId = cuadrante?.sector_id || zonaQueContiene(sectores, lat, lng)?.id || null;
+
+  return {
+    cuadrante_id: cuadrante?.id ?? null,
+    sector_id: sectorId,
+    asignacion_territorial:
+      cuadrante || sectorId ? ASIGNACION_TERRITORIAL.AUTOMATICA : ASIGNACION_TERRITORIAL.FUERA_DE_ZONA,
+  };
+};
+
+/**
+ * Cuadrante, sector y origen de la asignación para una novedad nueva
+ *
+ * @param {Object} datos - cuadrante_id, sector_id, direccion_id, latitud, longitud
+ * @param {Object} [opciones]
+ * @param {Object} [opciones.transaction]
+ * @returns {Promise<Object>} { cuadrante_id, sector_id, asignacion_territorial }
+ *   (asignacion_territorial null si no hay con qué resolver)
+ */
+export const resolverAsignacionTerritorial = async (
+  { cuadrante_id, sector_id, direccion_id, latitud, longitud },
+  { transaction } = {}
+) => {
+  if (cuadrante_id || sector_id) {
+    let sectorId = sector_id || null;
+    if (cuadrante_id && !sectorId) {
+      const cuadrante = await Cuadrante.findByPk(cuadrante_id, { attributes: ["sector_id"], transaction });
+      sectorId = cuadrante?.sector_id ?? null;
+    }
+    return {
+      cuadrante_id: cuadrante_id || null,
+      sector_id: sectorId,
+      asignacion_territorial: ASIGNACION_TERRITORIAL.MANUAL,
+    };
+  }
+
+  if (direccion_id) {
+    const direccion = await Direccion.findByPk(direccion_id, {
+      attributes: ["cuadrante_id", "sector_id"],
+      transaction,
+    });
+    if (direccion?.cuadrante_id) {
+      return {
+        cuadrante_id: direccion.cuadrante_id,
+        sector_id: direccion.sector_id,
+        asignacion_territorial: ASIGNACION_TERRITORIAL.DIRECCION,
+      };
+    }
+  }
+
+  if (tieneCoordenadas(latitud, longitud)) {
+    return resolverUbicacion(latitud, longitud, { transaction });
+  }
+
+  return { cuadrante_id: null, sector_id: null, asignacion_territorial: null };
+};
+
+/**
+ * ¿El cambio modifica el valor actual del campo?
+ * @private
+ */
+const cambia = (novedad, cambios, campo) => {
+  if (cambios[campo] === undefined) return false;
+  const nuevo = cambios[campo] === null || cambios[campo] === "" ? null : Number(cambios[campo]);
+  const actual = novedad[campo] === null || novedad[campo] === undefined ? null : Number(novedad[campo]);
+  return nuevo !== actual;
+};
+
+/**
+ * Campos territoriales a actualizar al editar una novedad. Si el operador
+ * cambia el cuadrante o el sector, la asignación pasa a MANUAL; si cambian
+ * las coordenadas o la dirección y la asignación no es MANUAL, se resuelve
+ * de nuevo.
+ *
+ * @param {Object} novedad - Instancia actual
+ * @param {Object} cambios - Datos de la edición
+ * @param {Object} [opciones]
+ * @param {Object} [opciones.transaction]
+ * @returns {Promise<Object>} Campos a incluir en el update (puede ser {})
+ */
+export const reasignarTerritorio = async (novedad, cambios, { transaction } = {}) => {
+  if (cambia(novedad, cambios, "cuadrante_id") || cambia(novedad, cambios, "sector_id")) {
+    return { asignacion_territorial: ASIGNACION_TERRITORIAL.MANUAL };
+  }
+
+  const cambiaUbicacion = ["latitud", "longitud", "direccion_id"].some((campo) =>
+    cambia(novedad, cambios, campo)
+  );
+  if (!cambiaUbicacion || novedad.asignacion_territorial === ASIGNACION_TERRITORIAL.MANUAL) {
+    return {};
+  }
+
+  const valor = (campo) => (cambios[campo] !== undefined ? cambios[campo] : novedad[campo]);
+  return resolverAsignacionTerritorial(
+    {
+      direccion_id: valor("direccion_id"),
+      latitud: valor("latitud"),
+      longitud: valor("longitud"),
+    },
+    { transaction }
+  );
+};
+
+/**
+ * Completa cuadrante_id/sector_id de las novedades históricas sin
+ * cuadrante que aún no fueron evaluadas. Procesa por lotes en orden de id;
+ * cada UPDATE exige cuadrante_id IS NULL para no pisar una asignación
+ * hecha mientras corre.
+ *
+ * @param {Object} [opciones]
+ * @param {number} [opciones.lote=500] - Novedades por lote
+ * @param {boolean} [opciones.reevaluar=false] - Incluir las ya marcadas
+ *   FUERA_DE_ZONA o AUTOMATICA sin cuadrante (p. ej. tras cargar polígonos)
+ * @param {boolean} [opciones.simular=false] - Solo calcular, sin escribir
+ * @returns {Promise<Object>} Conteo por resultado
+ */
+export const backfillAsignacionTerritorial = async ({
+  lote = LOTE_BACKFILL,
+  reevaluar = false,
+  simular = false,
+} = {}) => {
+  const resumen = {
+    evaluadas: 0,
+    actualizadas: 0,
+    por_direccion: 0,
+    automaticas: 0,
+    fuera_de_zona: 0,
+    sector_manual: 0,
+    sin_ubicacion: 0,
+  };
+  const pendientes = reevaluar
+    ? {
+      [Op.or]: [
+        { asignacion_territorial: null },
+        {
+          asignacion_territorial: [
+            ASIGNACION_TERRITORIAL.AUTOMATICA,
+            ASIGNACION_TERRITORIAL.FUERA_DE_ZONA,
+          ],
+        },
+      ],
+    }
+    : { asignacion_territorial: null };
+
+  let ultimoId = 0;
+  for (;;) {
+    const novedades = await Novedad.findAll({
+      where: { id: { [Op.gt]: ultimoId }, cuadrante_id: null, deleted_at: null, ...pendientes },
+      attributes: ["id", "direccion_id", "latitud", "longitud", "sector_id", "asignacion_territorial"],
+      order: [["id", "ASC"]],
+      limit: lote,
+    });
+    if (!novedades.length) break;
+    ultimoId = novedades[novedades.length - 1].id;
+
+    // Un UPDATE por resultado distinto dentro del lote
+    const grupos = new Map();
+    for (const novedad of novedades) {
+      resumen.evaluadas++;
+      let asignacion = await resolverAsignacionTerritorial({
+        direccion_id: novedad.direccion_id,
+        latitud: novedad.latitud,
+        longitud: novedad.longitud,
+      });
+
+      if (!asignacion.asignacion_territorial) {
+        resumen.sin_ubicacion++;
+        continue;
+      }
+      // Un sector elegido por el operador no se contradice
+      if (novedad.sector_id && asignacion.sector_id !== novedad.sector_id) {
+        asignacion = {
+          cuadrante_id: null,
+          sector_id: novedad.sector_id,
+          asignacion_territorial: ASIGNACION_TERRITORIAL.MANUAL,
+        };
+        resumen.sector_manual++;
+      }
+      if (asignacion.asignacion_territorial === ASIGNACION_TERRITORIAL.DIRECCION) resumen.por_direccion++;
+      if (asignacion.asignacion_territorial === ASIGNACION_TERRITORIAL.AUTOMATICA) resumen.automaticas++;
+      if (asignacion.asignacion_territorial === ASIGNACION_TERRITORIAL.FUERA_DE_ZONA) resumen.fuera_de_zona++;
+      if (
+        !asignacion.cuadrante_id &&
+        asignacion.sector_id === novedad.sector_id &&
+        asignacion.asignacion_territorial === novedad.asignacion_territorial
+      ) {
+        continue;
+      }
+
+      const clave = JSON.stringify(asignacion);
+      if (!grupos.has(clave)) grupos.set(clave, { asignacion, ids: [] });
+      grupos.get(clave).ids.push(novedad.id);
+    }
+
+    for (const { asignacion, ids } of grupos.values()) {
+      if (simular) {
+        resumen.actualizadas += ids.length;
+        continue;
+      }
+      const [filas] = await Novedad.update(
+        { ...asignacion, version: sequelize.literal("version + 1") },
+        { where: { id: ids, cuadrante_id: null } }
+      );
+      resumen.actualizadas += filas;
+    }
+
+    logger.info(`🗺️ Back-fill territorial: ${resumen.evaluadas} evaluadas hasta id ${ultimoId}`, resumen);
+  }
+
+  return resumen;
+};
+
+export default {
+  ASIGNACION_TERRITORIAL,
+  LOTE_BACKFILL,
+  resolverUbicacion,
+  resolverAsignacionTerritorial,
+  reasignarTerritorio,
+  backfillAsignacionTerritorial,
+};
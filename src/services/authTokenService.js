@@ -0,0 +1,355 @@
+/**
+ * ===================================================
+ * SERVICIO: Auth Token Service
+ * ===================================================
+ *
+ * Ruta: src/services/authTokenService.js
+ *
+ * VERSIÓN: 1.1.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * Emisión de tokens JWT del sistema. Centraliza la construcción del
+ * payload, el par access/refresh, el token intermedio de 2FA y el
+ * objeto "usuario" que devuelven los endpoints de login, para que
+ * login, cambio obligatorio de contraseña, verificación 2FA y OAuth
+ * respondan exactamente igual.
+ *
+ * Cada login crea una Sesion (dispositivo): los tokens llevan su id en
+ * el claim "sid" y ambos (access y refresh) quedan registrados en
+ * tokens_acceso por su "jti", lo que permite revocarlos.
+ *
+ * Rotación: cada uso del refresh token lo revoca (motivo "rotated") y
+ * emite uno nuevo de la misma sesión, que actúa como "familia". Si se
+ * presenta un token ya rotado, la familia completa se revoca.
+ */
+
+import jwt from "jsonwebtoken";
+import authConfig from "../config/auth.js";
+import { generarTokenAleatorio } from "../utils/cryptoHelper.js";
+import {
+  crearSesion,
+  registrarToken,
+  aplicarLimiteSesiones,
+} from "./sesionesService.js";
+import {
+  POLITICAS_EMAIL,
+  politicaEmailUsuario,
+} from "./emailVerificationService.js";
+
+/**
+ * Duración del access token
+ * @constant {string}
+ */
+const JWT_ACCESS_EXPIRATION = process.env.JWT_ACCESS_EXPIRATION || "2h";
+
+/**
+ * Motivos de revocación de refresh tokens (tokens_acceso.revocation_reason)
+ * @constant {Object}
+ */
+export const MOTIVOS_REVOCACION = {
+  ROTADO: "rotated",
+  REUSO_DETECTADO: "reuse_detected",
+};
+
+/**
+ * Propósito del token intermedio emitido cuando el usuario tiene 2FA
+ * @constant {string}
+ */
+export const PURPOSE_2FA_PENDIENTE = "2fa_pending";
+
+/**
+ * Extrae permisos únicos de los roles de un usuario
+ *
+ * @param {Array} roles - Array de roles del usuario (con permisos incluidos)
+ * @returns {Array<string>} Array de slugs de permisos únicos
+ */
+export const extraerPermisos = (roles) => {
+  const permisos = [];
+  if (roles) {
+    roles.forEach((rol) => {
+      if (rol.permisos) {
+        rol.permisos.forEach((permiso) => {
+          if (!permisos.includes(permiso.slug)) {
+            permisos.push(permiso.slug);
+          }
+        });
+      }
+    });
+  }
+  return permisos;
+};
+
+/**
+ * Construye el payload del access token
+ *
+ * @param {Object} usuario - Instancia de Usuario con roles y permisos
+ * @returns {Object} Payload JWT
+ */
+export const construirPayload = (usuario) => ({
+  userId: usuario.id,
+  username: usuario.username,
+  email: usuario.email,
+  roles: (usuario.roles || []).map((r) => r.slug),
+  permisos: extraerPermisos(usuario.roles),
+});
+
+/**
+ * Genera un access token para una sesión
+ *
+ * @param {Object} usuario - Instancia de Usuario con roles y permisos
+ * @param {number} [sesionId] - ID de la sesión (claim "sid")
+ * @param {string} [jti] - Identificador único (lista de revocación)
+ * @returns {string} JWT de acceso
+ */
+export const emitirAccessToken = (usuario, sesionId = null, jti = undefined) => {
+  return jwt.sign(
+    { ...construirPayload(usuario), sid: sesionId },
+    process.env.JWT_SECRET,
+    { expiresIn: JWT_ACCESS_EXPIRATION, jwtid: jti }
+  );
+};
+
+/**
+ * Genera un refresh token para una sesión
+ *
+ * @param {Object} datos
+ * @param {number} datos.usuarioId - ID del usuario
+ * @param {number} datos.sesionId - ID de la sesión (claim "sid")
+ * @param {string} datos.jti - Identificador único del token
+ * @param {Date} datos.expiresAt - Vencimiento (el de la sesión)
+ * @returns {string} JWT de refresh
+ */
+export const emitirRefreshToken = ({ usuarioId, sesionId, jti, expiresAt }) => {
+  return jwt.sign(
+    {
+      userId: usuarioId,
+      sid: sesionId,
+      exp: Math.floor(new Date(expiresAt).getTime() / 1000),
+    },
+    process.env.JWT_REFRESH_SECRET,
+    { jwtid: jti }
+  );
+};
+
+/**
+ * Genera el par access/refresh token para un usuario
+ *
+ * @param {Object} usuario - Instancia de Usuario con roles y permisos
+ * @param {Object} opciones
+ * @param {number} opciones.sesionId - ID de la sesión (claim "sid")
+ * @param {Date} opciones.expiresAt - Vencimiento del refresh token
+ * @returns {{accessToken: string, refreshToken: string, accessJti: string, refreshJti: string}}
+ */
+export const emitirTokens = (usuario, { sesionId, expiresAt }) => {
+  const accessJti = generarTokenAleatorio(16);
+  const refreshJti = generarTokenAleatorio(16);
+
+  return {
+    accessToken: emitirAccessToken(usuario, sesionId, accessJti),
+    refreshToken: emitirRefreshToken({
+      usuarioId: usuario.id,
+      sesionId,
+      jti: refreshJti,
+      expiresAt,
+    }),
+    accessJti,
+    refreshJti,
+  };
+};
+
+/**
+ * Registra en tokens_acceso el par recién emitido. El access token se
+ * guarda para poder revocarlo antes de su vencimiento (ver
+ * services/tokenRevocacionService.js).
+ *
+ * @private
+ */
+const registrarTokensEmitidos = async (
+  usuario,
+  sesion,
+  tokens,
+  { req, transaction } = {}
+) => {
+  const { exp } = jwt.decode(tokens.accessToken);
+
+  await registrarToken({
+    usuarioId: usuario.id,
+    sesionId: sesion.id,
+    token: tokens.accessToken,
+    jti: tokens.accessJti,
+    tipo: "ACCESS",
+    expiresAt: new Date(exp * 1000),
+    req,
+    transaction,
+  });
+
+  await registrarToken({
+    usuarioId: usuario.id,
+    sesionId: sesion.id,
+    token: tokens.refreshToken,
+    jti: tokens.refreshJti,
+    expiresAt: sesion.expires_at,
+    req,
+    transaction,
+  });
+};
+
+/**
+ * Rota un refresh token: revoca el presentado (motivo "rotated") y emite
+ * un par nuevo de la misma sesión. El vencimiento de la sesión no se
+ * extiende, por lo que la vida máxima sigue siendo JWT_REFRESH_EXPIRATION.
+ *
+ * @async
+ * @param {Object} datos
+ * @param {Object} datos.usuario - Instancia de Usuario con roles y permisos
+ * @param {Object} datos.sesion - Instancia de Sesion activa
+ * @param {Object} datos.tokenAnterior - Instancia de TokenAcceso presentada
+ * @param {Object} [datos.req] - Request de Express
+ * @param {Object} [datos.transaction] - Transacción de Sequelize
+ * @returns {Promise<{accessToken: string, refreshToken: string}>}
+ */
+export const rotarRefreshToken = async ({
+  usuario,
+  sesion,
+  tokenAnterior,
+  req,
+  transaction,
+}) => {
+  await tokenAnterior.update(
+    {
+      revoked_at: new Date(),
+      revoked_by: usuario.id,
+      revocation_reason: MOTIVOS_REVOCACION.ROTADO,
+    },
+    { transaction }
+  );
+
+  const tokens = emitirTokens(usuario, {
+    sesionId: sesion.id,
+    expiresAt: sesion.expires_at,
+  });
+
+  await registrarTokensEmitidos(usuario, sesion, tokens, { req, transaction });
+
+  return { accessToken: tokens.accessToken, refreshToken: tokens.refreshToken };
+};
+
+/**
+ * Datos públicos del usuario que acompañan a los tokens
+ *
+ * @param {Object} usuario - Instancia de Usuario con roles y permisos
+ * @returns {Object} Usuario serializado para la respuesta de login
+ */
+export const construirUsuarioRespuesta = (usuario) => ({
+  id: usuario.id,
+  username: usuario.username,
+  email: usuario.email,
+  personal_seguridad_id: usuario.personal_seguridad_id,
+  nombres: usuario.nombres,
+  apellidos: usuario.apellidos,
+  foto_perfil: usuario.foto_perfil,
+  roles: (usuario.roles || []).map((r) => ({
+    id: r.id,
+    nombre: r.nombre,
+    slug: r.slug,
+    color: r.color,
+  })),
+  permisos: extraerPermisos(usuario.roles),
+});
+
+/**
+ * Indica si el usuario pertenece a un rol que exige 2FA
+ * y todavía no lo ha habilitado
+ *
+ * @param {Object} usuario - Instancia de Usuario con roles
+ * @returns {boolean}
+ */
+export const requiereConfigurar2FA = (usuario) => {
+  if (usuario.two_factor_enabled) return false;
+  const { requiredRoles } = authConfig.twoFactor;
+  return (usuario.roles || []).some((r) => requiredRoles.includes(r.slug));
+};
+
+/**
+ * Inicia una sesión y construye el bloque "data" de una respuesta de
+ * login exitoso (tokens + usuario + avisos de 2FA obligatorio y de
+ * email sin verificar en modo solo lectura)
+ *
+ * @async
+ * @param {Object} usuario - Instancia de Usuario con roles y permisos
+ * @param {Object} req - Request de Express (IP y User-Agent de la sesión)
+ * @returns {Promise<Object>} { accessToken, refreshToken, usuario, twoFactorSetupRequired?, emailVerificationRequired? }
+ */
+export const construirRespuestaLogin = async (usuario, req) => {
+  const expiresAt = new Date(Date.now() + authConfig.jwt.refreshExpiresInMs);
+  const sesion = await crearSesion(usuario, req, { expiresAt });
+
+  const tokens = emitirTokens(usuario, { sesionId: sesion.id, expiresAt });
+
+  await registrarTokensEmitidos(usuario, sesion, tokens, { req });
+
+  await aplicarLimiteSesiones(usuario.id);
+
+  return {
+    accessToken: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    usuario: construirUsuarioRespuesta(usuario),
+    ...(requiereConfigurar2FA(usuario) && { twoFactorSetupRequired: true }),
+    ...(politicaEmailUsuario(usuario) === POLITICAS_EMAIL.SOLO_LECTURA && {
+      emailVerificationRequired: true,
+    }),
+  };
+};
+
+/**
+ * Emite el token intermedio "2FA pendiente".
+ * Solo sirve para POST /auth/2fa/verify; verificarToken lo rechaza.
+ * Lleva los códigos 2FA inválidos del usuario al emitirse (intentos2fa)
+ * para anularlo tras twoFactor.maxAttempts fallos.
+ *
+ * @param {Object} usuario - Instancia de Usuario
+ * @returns {string} JWT de corta duración
+ */
+export const emitirToken2FAPendiente = (usuario) => {
+  return jwt.sign(
+    {
+      userId: usuario.id,
+      purpose: PURPOSE_2FA_PENDIENTE,
+      intentos2fa: usuario.two_factor_intentos_fallidos || 0,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: authConfig.twoFactor.pendingTokenExpiresIn }
+  );
+};
+
+/**
+ * Verifica un token "2FA pendiente"
+ *
+ * @param {string} token - JWT recibido del cliente
+ * @returns {Object} Payload decodificado
+ * @throws {Error} Si el token es inválido, expiró o no es de 2FA
+ */
+export const verificarToken2FAPendiente = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== PURPOSE_2FA_PENDIENTE) {
+    throw new jwt.JsonWebTokenError("Token no corresponde a 2FA");
+  }
+  return decoded;
+};
+
+export default {
+  MOTIVOS_REVOCACION,
+  PURPOSE_2FA_PENDIENTE,
+  extraerPermisos,
+  construirPayload,
+  emitirAccessToken,
+  emitirRefreshToken,
+  emitirTokens,
+  rotarRefreshToken,
+  construirUsuarioRespuesta,
+  requiereConfigurar2FA,
+  construirRespuestaLogin,
+  emitirToken2FAPendiente,
+  verificarToken2FAPendiente,
+};
@@ -0,0 +1,381 @@
+/**
+ * ===================================================
+ * SERVICIO: Despacho Tiempo Real Service
+ * ===================================================
+ *
+ * Ruta: src/services/despachoTiempoRealService.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * Acciones que la consola de despacho y las patrullas envían por el
+ * gateway WebSocket (utils/ws-gateway.js):
+ *
+ * - ack_novedad: el operador confirma que vio la alerta de una novedad.
+ * - estado_unidad: cambio de estado operativo de un vehículo.
+ * - ubicacion_unidad: posición actual de un vehículo (la usa la
+ *   recomendación de unidades para el despacho).
+ * - reclamar_novedad / liberar_novedad: "la estoy atendiendo", para que
+ *   dos operadores no despachen el mismo incidente (ver
+ *   novedadReclamosService). El cliente renueva el reclamo reenviándolo.
+ *
+ * Cada acción se publica como evento a los canales correspondientes, de
+ * modo que los clientes SSE también la ven.
+ */
+
+import models from "../models/index.js";
+import sequelize from "../config/database.js";
+import { getNowInTimezone, rawDate } from "../utils/dateHelper.js";
+import { publishEvent, eventMatchesClient } from "../utils/sse-manager.js";
+import { canalesNovedad } from "./sseCanalesService.js";
+import {
+  reclamarNovedad,
+  liberarNovedad,
+  liberarReclamosDeConexion,
+} from "./novedadReclamosService.js";
+import { ROLES_SUPERVISION } from "./novedadConcurrenciaService.js";
+import { registrarAccionManual } from "../middlewares/auditoriaAccionMiddleware.js";
+const { Novedad, Vehiculo } = models;
+
+/**
+ * Mensajes que acepta el gateway
+ * @constant {Object}
+ */
+export const TIPOS_MENSAJE = {
+  PING: "ping",
+  ACK_NOVEDAD: "ack_novedad",
+  ESTADO_UNIDAD: "estado_unidad",
+  UBICACION_UNIDAD: "ubicacion_unidad",
+  RECLAMAR_NOVEDAD: "reclamar_novedad",
+  LIBERAR_NOVEDAD: "liberar_novedad",
+};
+
+/**
+ * Eventos publicados por las acciones de despacho
+ * @constant {Object}
+ */
+export const EVENTOS_DESPACHO = {
+  NOVEDAD_RECONOCIDA: "novedad_reconocida",
+  UNIDAD_ESTADO_CAMBIADO: "unidad_estado_cambiado",
+};
+
+/**
+ * Estados operativos válidos de un vehículo
+ * @constant {Array<string>}
+ */
+export const ESTADOS_OPERATIVOS_VEHICULO = [
+  "DISPONIBLE",
+  "EN_SERVICIO",
+  "MANTENIMIENTO",
+  "REPARACION",
+  "FUERA_DE_SERVICIO",
+  "INACTIVO",
+];
+
+/**
+ * Mismos roles y permisos que las rutas REST equivalentes
+ * @private
+ */
+const ACCESO_ESTADO_UNIDAD = {
+  roles: ["operador", "supervisor", "admin", "super_admin"],
+  permisos: ["vehiculos.estado.update", "vehiculos.vehiculos.update"],
+};
+const ACCESO_NOVEDADES = {
+  roles: ["operador", "supervisor", "super_admin", "consulta"],
+  permisos: ["novedades.incidentes.read"],
+};
+const ACCESO_RECLAMO = {
+  roles: ["operador", "supervisor", "super_admin"],
+  permisos: ["novedades.incidentes.update"],
+};
+
+/**
+ * El usuario puede tomar o liberar reclamos ajenos
+ * @private
+ */
+const esSupervision = (user) =>
+  (user.rolSlugs || []).some((r) => ROLES_SUPERVISION.includes(r));
+
+/**
+ * Canales de la novedad si está en el alcance de la conexión (el mismo
+ * filtro que decide qué eventos SSE recibe el cliente); null si no
+ * @private
+ */
+const canalesEnAlcance = async (conexion, novedad) => {
+  const canales = await canalesNovedad(novedad);
+  return eventMatchesClient({ canales }, conexion.alcance) ? canales : null;
+};
+
+/**
+ * Respuesta de error de una acción
+ * @private
+ */
+const fallo = (codigo, message, data) => ({ ok: false, codigo, message, data });
+
+/**
+ * Novedad activa por ID
+ * @private
+ */
+const cargarNovedad = (id) =>
+  Novedad.findOne({ where: { id, estado: 1, deleted_at: null } });
+
+/**
+ * Cambia el estado operativo de un vehículo y lo notifica en tiempo real.
+ * Lo usan PATCH /vehiculos/:id/estado y el mensaje estado_unidad.
+ *
+ * @param {Object} params
+ * @param {number} params.vehiculoId
+ * @param {string} params.estadoOperativo - Valor de ESTADOS_OPERATIVOS_VEHICULO
+ * @param {string} [params.observaciones]
+ * @param {number} params.usuarioId - Usuario que realiza el cambio
+ * @returns {Promise<Object>} { ok, status, message, data }
+ */
+export const cambiarEstadoOperativoVehiculo = async ({
+  vehiculoId,
+  estadoOperativo,
+  observaciones,
+  usuarioId,
+}) => {
+  if (!ESTADOS_OPERATIVOS_VEHICULO.includes(estadoOperativo)) {
+    return {
+      ok: false,
+      status: 400,
+      message: `Estado operativo inválido. Debe ser uno de: ${ESTADOS_OPERATIVOS_VEHICULO.join(", ")}`,
+    };
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const vehiculo = await Vehiculo.findOne({
+      where: { id: vehiculoId, estado: 1, deleted_at: null },
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+
+    if (!vehiculo) {
+      await transaction.rollback();
+      return { ok: false, status: 404, message: "Vehículo no encontrado" };
+    }
+
+    const estadoAnterior = vehiculo.estado_operativo;
+
+    await vehiculo.update(
+      {
+        estado_operativo: estadoOperativo,
+        observaciones: observaciones || vehiculo.observaciones,
+        updated_by: usuarioId,
+      },
+      { transaction }
+    );
+
+    await transaction.commit();
+
+    const data = {
+      id: vehiculo.id,
+      codigo_vehiculo: vehiculo.codigo_vehiculo,
+      placa: vehiculo.placa,
+      estado_anterior: estadoAnterior,
+      estado_nuevo: estadoOperativo,
+    };
+
+    if (estadoAnterior !== estadoOperativo) {
+      await publishEvent({ global: true }, EVENTOS_DESPACHO.UNIDAD_ESTADO_CAMBIADO, {
+        vehiculo_id: vehiculo.id,
+        codigo_vehiculo: vehiculo.codigo_vehiculo,
+        placa: vehiculo.placa,
+        unidad_oficina_id: vehiculo.unidad_oficina_id ?? null,
+        estado_anterior: estadoAnterior,
+        estado_nuevo: estadoOperativo,
+        usuario_id: usuarioId,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    return { ok: true, status: 200, message: "Estado operativo actualizado exitosamente", data };
+  } catch (error) {
+    if (!transaction.finished) {
+      await transaction.rollback();
+    }
+    throw error;
+  }
+};
+
+/**
+ * Manejadores por tipo de mensaje. Reciben la conexión
+ * ({ id, user, req, alcance, autorizar }) y el mensaje del cliente.
+ * @private
+ */
+const manejadores = {
+  [TIPOS_MENSAJE.PING]: async () => ({
+    ok: true,
+    data: { timestamp: new Date().toISOString() },
+  }),
+
+  [TIPOS_MENSAJE.ACK_NOVEDAD]: async (conexion, { novedad_id }) => {
+    if (!(await conexion.autorizar(ACCESO_NOVEDADES))) {
+      return fallo("FORBIDDEN", "No tienes permisos para realizar esta acción");
+    }
+
+    const novedad = await cargarNovedad(novedad_id);
+    if (!novedad) return fallo("NOT_FOUND", "Novedad no encontrada");
+
+    const canales = await canalesEnAlcance(conexion, novedad);
+    if (!canales) {
+      return fallo("FORBIDDEN", "La novedad no pertenece a tu sector o cuadrante");
+    }
+
+    const { user } = conexion;
+    await publishEvent(canales, EVENTOS_DESPACHO.NOVEDAD_RECONOCIDA, {
+      novedad_id: novedad.id,
+      novedad_code: novedad.novedad_code,
+      usuario_id: user.id,
+      username: user.username,
+      timestamp: new Date().toISOString(),
+    });
+
+    await registrarAccionManual(conexion.req, {
+      accion: "ACK",
+      entidad: "Novedad",
+      entidad_id: novedad.id,
+      descripcion: `Alerta de la novedad ${novedad.novedad_code} reconocida por ${user.username}`,
+      severidad: "BAJA",
+      modulo: "Novedades",
+      resultado: "EXITO",
+    });
+
+    return { ok: true, data: { novedad_id: novedad.id } };
+  },
+
+  [TIPOS_MENSAJE.ESTADO_UNIDAD]: async (
+    conexion,
+    { vehiculo_id, estado_operativo, observaciones }
+  ) => {
+    if (!(await conexion.autorizar(ACCESO_ESTADO_UNIDAD))) {
+      return fallo("FORBIDDEN", "No tienes permisos para realizar esta acción");
+    }
+
+    const resultado = await cambiarEstadoOperativoVehiculo({
+      vehiculoId: vehiculo_id,
+      estadoOperativo: estado_operativo,
+      observaciones,
+      usuarioId: conexion.user.id,
+    });
+
+    if (!resultado.ok) {
+      return fallo(resultado.status === 404 ? "NOT_FOUND" : "VALIDATION_ERROR", resultado.message);
+    }
+
+    await registrarAccionManual(conexion.req, {
+      accion: "UPDATE",
+      entidad: "Vehiculo",
+      entidad_id: resultado.data.id,
+      descripcion: `Estado operativo de ${resultado.data.codigo_vehiculo || resultado.data.placa}: ${resultado.data.estado_anterior} → ${resultado.data.estado_nuevo}`,
+      datos_anteriores: { estado_operativo: resultado.data.estado_anterior },
+      datos_nuevos: { estado_operativo: resultado.data.estado_nuevo },
+      severidad: "MEDIA",
+      modulo: "Vehiculos",
+      resultado: "EXITO",
+    });
+
+    return { ok: true, data: resultado.data };
+  },
+
+  [TIPOS_MENSAJE.UBICACION_UNIDAD]: async (conexion, { vehiculo_id, latitud, longitud }) => {
+    if (!(await conexion.autorizar(ACCESO_ESTADO_UNIDAD))) {
+      return fallo("FORBIDDEN", "No tienes permisos para realizar esta acción");
+    }
+
+    const lat = Number(latitud);
+    const lng = Number(longitud);
+    if (
+      latitud === null || longitud === null ||
+      !Number.isFinite(lat) || !Number.isFinite(lng) ||
+      Math.abs(lat) > 90 || Math.abs(lng) > 180
+    ) {
+      return fallo("VALIDATION_ERROR", "latitud y longitud deben ser coordenadas válidas");
+    }
+
+    // Mensaje frecuente: sin auditoría ni evento, solo se guarda la posición
+    const fecha = getNowInTimezone();
+    const [actualizados] = await Vehiculo.update(
+      {
+        ultima_latitud: lat,
+        ultima_longitud: lng,
+        fecha_ultima_ubicacion: rawDate(fecha, sequelize),
+      },
+      { where: { id: vehiculo_id, estado: 1, deleted_at: null } }
+    );
+    if (actualizados === 0) return fallo("NOT_FOUND", "Vehículo no encontrado");
+
+    return { ok: true, data: { vehiculo_id, latitud: lat, longitud: lng, fecha } };
+  },
+
+  [TIPOS_MENSAJE.RECLAMAR_NOVEDAD]: async (conexion, { novedad_id, forzar }) => {
+    if (!(await conexion.autorizar(ACCESO_RECLAMO))) {
+      return fallo("FORBIDDEN", "No tienes permisos para realizar esta acción");
+    }
+
+    const novedad = await cargarNovedad(novedad_id);
+    if (!novedad) return fallo("NOT_FOUND", "Novedad no encontrada");
+
+    if (!(await canalesEnAlcance(conexion, novedad))) {
+      return fallo("FORBIDDEN", "La novedad no pertenece a tu sector o cuadrante");
+    }
+
+    const { ok, reclamo } = await reclamarNovedad(novedad, conexion.user, {
+      conexion: conexion.id,
+      forzar: Boolean(forzar) && esSupervision(conexion.user),
+    });
+    if (!ok) {
+      return fallo("NOVEDAD_CLAIMED", `La novedad está siendo atendida por ${reclamo.username}`, reclamo);
+    }
+
+    return { ok: true, data: reclamo };
+  },
+
+  [TIPOS_MENSAJE.LIBERAR_NOVEDAD]: async (conexion, { novedad_id, forzar }) => {
+    const novedad = await cargarNovedad(novedad_id);
+    if (!novedad) return fallo("NOT_FOUND", "Novedad no encontrada");
+
+    const liberada = await liberarNovedad(novedad, conexion.user, {
+      forzar: Boolean(forzar) && esSupervision(conexion.user),
+    });
+    return { ok: true, data: { novedad_id: novedad.id, liberada } };
+  },
+};
+
+/**
+ * Procesa un mensaje de un cliente WebSocket
+ *
+ * @param {Object} conexion - { id, user, req, alcance, autorizar({ roles, permisos }) }
+ * @param {Object} mensaje - { type, ...datos }
+ * @returns {Promise<Object>} { ok, data } o { ok: false, codigo, message, data }
+ */
+export const procesarMensaje = async (conexion, mensaje) => {
+  const manejador = manejadores[mensaje?.type];
+  if (!manejador) {
+    return fallo("UNKNOWN_MESSAGE", `Tipo de mensaje no soportado: ${mensaje?.type}`);
+  }
+  return manejador(conexion, mensaje);
+};
+
+/**
+ * Limpieza al cerrarse una conexión: libera sus reclamos
+ *
+ * @param {Object} conexion - { id }
+ * @returns {Promise<void>}
+ */
+export const cerrarConexion = async (conexion) => {
+  await liberarReclamosDeConexion(conexion.id, cargarNovedad);
+};
+
+export default {
+  TIPOS_MENSAJE,
+  EVENTOS_DESPACHO,
+  ESTADOS_OPERATIVOS_VEHICULO,
+  cambiarEstadoOperativoVehiculo,
+  procesarMensaje,
+  cerrarConexion,
+};
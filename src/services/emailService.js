@@ -0,0 +1,246 @@
+/**
+ * ===================================================
+ * SERVICIO: Email Service
+ * ===================================================
+ *
+ * Ruta: src/services/emailService.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * Envío de correos transaccionales del sistema (recuperación de
+ * contraseña, verificación de email, notificaciones de seguridad).
+ * El transporte se elige con MAIL_TRANSPORT:
+ * - smtp:    servidor SMTP real (producción)
+ * - file:    escribe cada mensaje como .eml en MAIL_FILE_DIR
+ * - console: registra el mensaje en el logger (desarrollo y tests); no
+ *            se permite con NODE_ENV=production porque los enlaces de
+ *            recuperación y verificación quedarían en los logs
+ *
+ * Los tests pueden inyectar su propio transporte con setTransport().
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+import authConfig from "../config/auth.js";
+import logger from "../utils/logger.js";
+
+let transporter = null;
+let transportType = null;
+
+/**
+ * Escapa texto para insertarlo en el cuerpo HTML
+ * @private
+ * @param {*} valor
+ * @returns {string}
+ */
+const escaparHtml = (valor) =>
+  String(valor ?? "").replace(
+    /[&<>"']/g,
+    (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" })[c]
+  );
+
+/**
+ * Crea el transporte de nodemailer según el tipo configurado
+ * @private
+ * @param {string} tipo - 'smtp' | 'file' | 'console'
+ * @returns {Object} Transporte de nodemailer
+ */
+const crearTransporte = (tipo) => {
+  const { smtp } = authConfig.mail;
+
+  switch (tipo) {
+  case "smtp":
+    return nodemailer.createTransport({
+      host: smtp.host,
+      port: smtp.port,
+      secure: smtp.secure,
+      auth: smtp.user ? { user: smtp.user, pass: smtp.password } : undefined,
+    });
+  case "file":
+    return nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+      newline: "unix",
+    });
+  case "console":
+    if (process.env.NODE_ENV === "production") {
+      throw new Error(
+        "MAIL_TRANSPORT=console no está permitido en producción (configure SMTP_HOST o MAIL_TRANSPORT)"
+      );
+    }
+    return nodemailer.createTransport({ jsonTransport: true });
+  default:
+    throw new Error(`MAIL_TRANSPORT no soportado: ${tipo}`);
+  }
+};
+
+/**
+ * Obtiene (o inicializa) el transporte activo
+ * @private
+ * @returns {Object} Transporte de nodemailer
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    transportType = authConfig.mail.transport;
+    transporter = crearTransporte(transportType);
+  }
+  return transporter;
+};
+
+/**
+ * Reemplaza el transporte activo (útil para tests)
+ *
+ * @param {Object} customTransporter - Objeto con método sendMail()
+ * @param {string} [tipo="custom"] - Etiqueta del transporte
+ */
+export const setTransport = (customTransporter, tipo = "custom") => {
+  transporter = customTransporter;
+  transportType = tipo;
+};
+
+/**
+ * Envía un email con el transporte configurado
+ *
+ * @param {Object} mensaje - Datos del correo
+ * @param {string} mensaje.to - Destinatario
+ * @param {string} mensaje.subject - Asunto
+ * @param {string} mensaje.text - Cuerpo en texto plano
+ * @param {string} [mensaje.html] - Cuerpo en HTML
+ * @returns {Promise<Object>} Información del envío devuelta por nodemailer
+ */
+export const enviarEmail = async ({ to, subject, text, html }) => {
+  const { from } = authConfig.mail;
+  const info = await getTransporter().sendMail({
+    from: `"${from.name}" <${from.address}>`,
+    to,
+    subject,
+    text,
+    html,
+  });
+
+  if (transportType === "file") {
+    const dir = path.resolve(authConfig.mail.fileDir);
+    await fs.mkdir(dir, { recursive: true });
+    const nombre = `${Date.now()}-${String(info.messageId || "mail").replace(/[^a-zA-Z0-9.-]/g, "_")}.eml`;
+    await fs.writeFile(path.join(dir, nombre), info.message);
+    logger.info(`📧 [MAIL] Email escrito en ${path.join(dir, nombre)}`);
+  } else if (transportType === "console") {
+    logger.info(`📧 [MAIL] Email a ${to}: ${subject}`);
+    logger.debug("📧 [MAIL] Cuerpo del email", { text });
+  } else {
+    logger.info(`📧 [MAIL] Email enviado a ${to}: ${subject}`);
+  }
+
+  return info;
+};
+
+/**
+ * Envía el enlace de recuperación de contraseña
+ *
+ * @param {Object} usuario - Instancia de Usuario (email, nombres, username)
+ * @param {string} enlace - URL con el token de recuperación
+ * @param {number} expiraEnMinutos - Vigencia del enlace
+ * @returns {Promise<Object>}
+ */
+export const enviarEmailRecuperacionPassword = async (
+  usuario,
+  enlace,
+  expiraEnMinutos
+) => {
+  const nombre = usuario.nombres || usuario.username;
+
+  return enviarEmail({
+    to: usuario.email,
+    subject: "Recuperación de contraseña",
+    text:
+      `Hola ${nombre},\n\n` +
+      "Recibimos una solicitud para restablecer tu contraseña.\n" +
+      `Usa el siguiente enlace (válido por ${expiraEnMinutos} minutos):\n\n` +
+      `${enlace}\n\n` +
+      "Si no solicitaste este cambio, ignora este mensaje.",
+    html:
+      `<p>Hola ${escaparHtml(nombre)},</p>` +
+      "<p>Recibimos una solicitud para restablecer tu contraseña.</p>" +
+      `<p><a href="${escaparHtml(enlace)}">Restablecer contraseña</a> (válido por ${expiraEnMinutos} minutos)</p>` +
+      "<p>Si no solicitaste este cambio, ignora este mensaje.</p>",
+  });
+};
+
+/**
+ * Envía el enlace de verificación de email
+ *
+ * @param {Object} usuario - Instancia de Usuario (nombres, username)
+ * @param {string} email - Dirección a verificar
+ * @param {string} enlace - URL con el token de verificación
+ * @param {number} expiraEnHoras - Vigencia del enlace
+ * @returns {Promise<Object>}
+ */
+export const enviarEmailVerificacion = async (
+  usuario,
+  email,
+  enlace,
+  expiraEnHoras
+) => {
+  const nombre = usuario.nombres || usuario.username;
+
+  return enviarEmail({
+    to: email,
+    subject: "Verifica tu email",
+    text:
+      `Hola ${nombre},\n\n` +
+      "Confirma que esta dirección de email te pertenece.\n" +
+      `Usa el siguiente enlace (válido por ${expiraEnHoras} horas):\n\n` +
+      `${enlace}\n\n` +
+      "Si no creaste una cuenta ni cambiaste tu email, ignora este mensaje.",
+    html:
+      `<p>Hola ${escaparHtml(nombre)},</p>` +
+      "<p>Confirma que esta dirección de email te pertenece.</p>" +
+      `<p><a href="${escaparHtml(enlace)}">Verificar email</a> (válido por ${expiraEnHoras} horas)</p>` +
+      "<p>Si no creaste una cuenta ni cambiaste tu email, ignora este mensaje.</p>",
+  });
+};
+
+/**
+ * Envía una alerta de seguridad de cuenta (bloqueo, login desde una IP o
+ * dispositivo nuevo)
+ *
+ * @param {Object} destinatario - Usuario que recibe la alerta (email, nombres, username)
+ * @param {Object} alerta
+ * @param {string} alerta.titulo - Asunto y encabezado
+ * @param {Array<string>} alerta.lineas - Detalle (una línea por dato)
+ * @param {string} [alerta.recomendacion] - Qué hacer si no fue el usuario
+ * @returns {Promise<Object>}
+ */
+export const enviarEmailAlertaSeguridad = async (
+  destinatario,
+  { titulo, lineas, recomendacion }
+) => {
+  const nombre = destinatario.nombres || destinatario.username;
+  const pie = recomendacion || "";
+
+  return enviarEmail({
+    to: destinatario.email,
+    subject: `Alerta de seguridad: ${titulo}`,
+    text:
+      `Hola ${nombre},\n\n` +
+      `${titulo}.\n\n` +
+      lineas.map((l) => `- ${l}`).join("\n") +
+      `\n\n${pie}`,
+    html:
+      `<p>Hola ${escaparHtml(nombre)},</p>` +
+      `<p><strong>${escaparHtml(titulo)}.</strong></p>` +
+      `<ul>${lineas.map((l) => `<li>${escaparHtml(l)}</li>`).join("")}</ul>` +
+      (pie ? `<p>${escaparHtml(pie)}</p>` : ""),
+  });
+};
+
+export default {
+  setTransport,
+  enviarEmail,
+  enviarEmailRecuperacionPassword,
+  enviarEmailVerificacion,
+  enviarEmailAlertaSeguridad,
+};
@@ -0,0 +1,191 @@
+/**
+ * ===================================================
+ * SERVICIO: Email Verification Service
+ * ===================================================
+ *
+ * Ruta: src/services/emailVerificationService.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * Verificación del email de los usuarios. Se emite un token de un solo
+ * uso al registrarse y cada vez que cambia el email; el enlace llega
+ * por correo y se confirma con GET /auth/verify-email/:token.
+ *
+ * Mientras Usuario.email_verified_at sea NULL se aplica la política
+ * tokens.emailVerification.policy (ver config/auth.js):
+ * - none:      sin restricciones
+ * - block:     login rechazado
+ * - read_only: solo permisos *.read y sin escrituras (verificarToken)
+ *
+ * En BD solo se guarda el hash del token (email_verifications).
+ */
+
+import { Op } from "sequelize";
+import models from "../models/index.js";
+import authConfig from "../config/auth.js";
+import { generarTokenAleatorio, hashToken } from "../utils/cryptoHelper.js";
+import { enviarEmailVerificacion } from "./emailService.js";
+const { EmailVerification, Usuario } = models;
+
+/**
+ * Políticas para usuarios con email sin verificar
+ * @constant {Object}
+ */
+export const POLITICAS_EMAIL = {
+  NINGUNA: "none",
+  BLOQUEAR: "block",
+  SOLO_LECTURA: "read_only",
+};
+
+/**
+ * Política que se aplica a un usuario según su email_verified_at
+ *
+ * @param {Object} usuario - Instancia de Usuario
+ * @returns {string} Valor de POLITICAS_EMAIL
+ */
+export const politicaEmailUsuario = (usuario) => {
+  if (usuario.email_verified_at) return POLITICAS_EMAIL.NINGUNA;
+
+  const { policy } = authConfig.tokens.emailVerification;
+  return Object.values(POLITICAS_EMAIL).includes(policy)
+    ? policy
+    : POLITICAS_EMAIL.NINGUNA;
+};
+
+/**
+ * Reduce una lista de permisos a los de lectura (modulo.recurso.read)
+ *
+ * @param {Array<string>} permisos - Slugs de permisos
+ * @returns {Array<string>} Solo los slugs terminados en ".read"
+ */
+export const permisosSoloLectura = (permisos) => {
+  return permisos.filter((slug) => slug.endsWith(".read"));
+};
+
+/**
+ * Emite un token de verificación y envía el enlace por email.
+ * Los tokens anteriores pendientes del usuario quedan invalidados.
+ *
+ * Un fallo de envío se registra pero no se propaga: el usuario puede
+ * pedir el reenvío.
+ *
+ * @param {Object} usuario - Instancia de Usuario
+ * @param {Object} [opciones]
+ * @param {string} [opciones.email] - Dirección a verificar (por defecto usuario.email)
+ * @returns {Promise<{enviado: boolean}>}
+ */
+export const emitirVerificacionEmail = async (usuario, opciones = {}) => {
+  const email = opciones.email || usuario.email;
+  const { expiresInMs, url } = authConfig.tokens.emailVerification;
+  const ahora = new Date();
+  const token = generarTokenAleatorio();
+
+  // Invalidar enlaces anteriores aún vigentes
+  await EmailVerification.update(
+    { expires_at: ahora },
+    {
+      where: {
+        usuario_id: usuario.id,
+        verified_at: null,
+        expires_at: { [Op.gt]: ahora },
+      },
+    }
+  );
+
+  await EmailVerification.create({
+    usuario_id: usuario.id,
+    email,
+    token_hash: hashToken(token),
+    expires_at: new Date(ahora.getTime() + expiresInMs),
+  });
+
+  const separador = url.includes("?") ? "&" : "?";
+  const enlace = `${url}${separador}token=${token}`;
+
+  try {
+    await enviarEmailVerificacion(
+      usuario,
+      email,
+      enlace,
+      Math.round(expiresInMs / 3600000)
+    );
+    return { enviado: true };
+  } catch (error) {
+    console.error("❌ Error enviando email de verificación:", error.message);
+    return { enviado: false };
+  }
+};
+
+/**
+ * Indica si ya pasó tokens.emailVerification.resendIntervalMs desde el
+ * último envío al usuario
+ *
+ * @param {Object} usuario - Instancia de Usuario
+ * @returns {Promise<boolean>}
+ */
+export const puedeReenviarVerificacion = async (usuario) => {
+  const { resendIntervalMs } = authConfig.tokens.emailVerification;
+
+  const reciente = await EmailVerification.findOne({
+    where: {
+      usuario_id: usuario.id,
+      created_at: { [Op.gt]: new Date(Date.now() - resendIntervalMs) },
+    },
+    attributes: ["id"],
+  });
+
+  return !reciente;
+};
+
+/**
+ * Confirma un token de verificación
+ *
+ * El token debe estar vigente, no usado y corresponder al email actual
+ * del usuario (si el email cambió después de emitirlo, no vale).
+ *
+ * @param {string} token - Token en claro recibido en el enlace
+ * @returns {Promise<{usuario: Object}|{motivo: string}>}
+ *   motivo: token_invalido | email_cambiado
+ */
+export const confirmarVerificacionEmail = async (token) => {
+  const solicitud = await EmailVerification.findOne({
+    where: {
+      token_hash: hashToken(token),
+      verified_at: null,
+      expires_at: { [Op.gt]: new Date() },
+    },
+  });
+
+  if (!solicitud) return { motivo: "token_invalido" };
+
+  const usuario = await Usuario.findByPk(solicitud.usuario_id);
+
+  if (!usuario) return { motivo: "token_invalido" };
+
+  if (usuario.email !== solicitud.email) {
+    return { motivo: "email_cambiado" };
+  }
+
+  const ahora = new Date();
+  await solicitud.update({ verified_at: ahora });
+
+  if (!usuario.email_verified_at) {
+    await usuario.update(
+      { email_verified_at: ahora },
+      { currentUser: usuario.id }
+    );
+  }
+
+  return { usuario };
+};
+
+export default {
+  POLITICAS_EMAIL,
+  politicaEmailUsuario,
+  permisosSoloLectura,
+  emitirVerificacionEmail,
+  puedeReenviarVerificacion,
+  confirmarVerificacionEmail,
+};
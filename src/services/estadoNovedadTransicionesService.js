@@ -0,0 +1,292 @@
+/**
+ * ===================================================
+ * SERVICIO: Estado Novedad Transiciones Service
+ * ===================================================
+ *
+ * Ruta: src/services/estadoNovedadTransicionesService.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * Máquina de estados de las novedades. El grafo vive en
+ * transiciones_estado_novedad (origen → destino) y se combina con:
+ *
+ * - rol_estados_novedad: qué estados destino puede usar cada rol. Un rol
+ *   sin configuración no tiene restricción; admin y super_admin tampoco.
+ * - estados_novedad.requiere_unidad: el destino exige vehículo asignado.
+ * - estados_novedad.es_final: cerrar exige observación, y una novedad en
+ *   estado final no se edita salvo por una transición de reapertura.
+ *
+ * Mientras el grafo no tenga transiciones activas no se aplica ninguna
+ * regla (instalaciones que aún no lo configuraron).
+ */
+
+import { Op } from "sequelize";
+import {
+  TransicionEstadoNovedad,
+  EstadoNovedad,
+  RolEstadoNovedad,
+  Rol,
+} from "../models/index.js";
+
+/**
+ * Campos de la novedad que una transición puede exigir
+ * @constant {Array<string>}
+ */
+export const CAMPOS_EXIGIBLES = [
+  "unidad_oficina_id",
+  "vehiculo_id",
+  "personal_cargo_id",
+  "km_inicial",
+  "km_final",
+  "fecha_despacho",
+  "fecha_llegada",
+  "fecha_cierre",
+  "usuario_cierre",
+  "turno",
+  "num_personas_afectadas",
+  "perdidas_materiales_estimadas",
+];
+
+/**
+ * Roles sin restricción de rol_estados_novedad
+ * @private
+ */
+const ROLES_SIN_RESTRICCION = ["admin", "super_admin"];
+
+/**
+ * Atributos de estado que se devuelven en las respuestas
+ * @private
+ */
+const ATRIBUTOS_ESTADO = ["id", "nombre", "color_hex", "icono", "orden", "es_final", "requiere_unidad"];
+
+/**
+ * Indica si hay al menos una transición activa
+ *
+ * @returns {Promise<boolean>}
+ */
+export const grafoConfigurado = async () =>
+  (await TransicionEstadoNovedad.count({ where: { estado: 1, deleted_at: null } })) > 0;
+
+/**
+ * Estados destino permitidos a los roles del usuario
+ *
+ * @param {Object} user - req.user
+ * @returns {Promise<Set<number>|null>} null si no hay restricción
+ */
+export const estadosPermitidosUsuario = async (user) => {
+  const slugs = user?.rolSlugs || [];
+  if (slugs.some((slug) => ROLES_SIN_RESTRICCION.includes(slug))) return null;
+
+  const roles = await Rol.findAll({ where: { slug: { [Op.in]: slugs } }, attributes: ["id"] });
+  if (roles.length === 0) return null;
+
+  const registros = await RolEstadoNovedad.findAll({
+    where: { rol_id: { [Op.in]: roles.map((r) => r.id) }, deleted_at: null },
+    attributes: ["rol_id", "estado_novedad_id", "estado"],
+  });
+
+  // Un rol sin configuración no restringe: basta con que uno de los roles sea libre
+  const rolesConfigurados = new Set(registros.map((r) => r.rol_id));
+  if (roles.some((rol) => !rolesConfigurados.has(rol.id))) return null;
+
+  return new Set(registros.filter((r) => r.estado === 1).map((r) => r.estado_novedad_id));
+};
+
+/**
+ * Campos exigidos por una transición (los propios y los del estado destino)
+ * @private
+ */
+const camposExigidos = (transicion, estadoDestino) => {
+  const campos = new Set(
+    (transicion?.campos_requeridos || []).filter((c) => CAMPOS_EXIGIBLES.includes(c))
+  );
+  if (estadoDestino?.requiere_unidad) campos.add("vehiculo_id");
+  return [...campos];
+};
+
+/**
+ * Campos exigidos sin valor, considerando los datos enviados y los de la novedad
+ * @private
+ */
+const camposFaltantes = (campos, novedad, datos) =>
+  campos.filter((campo) => {
+    const valor = datos[campo] !== undefined ? datos[campo] : novedad[campo];
+    return valor === null || valor === undefined || valor === "";
+  });
+
+/**
+ * Valida el cambio de estado de una novedad
+ *
+ * @param {Object} params
+ * @param {Object} params.novedad - Instancia de Novedad (estado actual)
+ * @param {number} params.estadoDestinoId
+ * @param {Object} [params.datos={}] - Campos que se guardan junto con el cambio
+ * @param {string} [params.observaciones] - Observación del cambio
+ * @param {Object} params.user - req.user
+ * @param {Object} [params.transaction]
+ * @returns {Promise<Object>} { ok: true } o { ok: false, status, code, message, faltantes? }
+ */
+export const validarTransicion = async ({
+  novedad,
+  estadoDestinoId,
+  datos = {},
+  observaciones,
+  user,
+  transaction,
+}) => {
+  const origenId = Number(novedad.estado_novedad_id);
+  const destinoId = Number(estadoDestinoId);
+  if (!destinoId || origenId === destinoId) return { ok: true };
+  if (!(await grafoConfigurado())) return { ok: true };
+
+  const transicion = await TransicionEstadoNovedad.findOne({
+    where: {
+      estado_origen_id: origenId,
+      estado_destino_id: destinoId,
+      estado: 1,
+      deleted_at: null,
+    },
+    include: [{ model: EstadoNovedad, as: "estadoDestino", attributes: ATRIBUTOS_ESTADO }],
+    transaction,
+  });
+
+  if (!transicion) {
+    return {
+      ok: false,
+      status: 422,
+      code: "TRANSICION_NO_PERMITIDA",
+      message: "El cambio de estado solicitado no está permitido desde el estado actual",
+    };
+  }
+
+  const permitidos = await estadosPermitidosUsuario(user);
+  if (permitidos && !permitidos.has(destinoId)) {
+    return {
+      ok: false,
+      status: 403,
+      code: "ESTADO_NO_PERMITIDO_ROL",
+      message: `Tu rol no puede pasar novedades al estado ${transicion.estadoDestino.nombre}`,
+    };
+  }
+
+  const faltantes = camposFaltantes(camposExigidos(transicion, transicion.estadoDestino), novedad, datos);
+  const exigeObservacion = transicion.requiere_observacion === 1 || transicion.estadoDestino.es_final;
+  if (exigeObservacion && !(observaciones && String(observaciones).trim())) {
+    faltantes.push("observaciones");
+  }
+
+  if (faltantes.length > 0) {
+    return {
+      ok: false,
+      status: 422,
+      code: "TRANSICION_INCOMPLETA",
+      message: `El cambio a ${transicion.estadoDestino.nombre} requiere: ${faltantes.join(", ")}`,
+      faltantes,
+    };
+  }
+
+  return { ok: true };
+};
+
+/**
+ * Valida una edición de la novedad que no cambia su estado: en estado
+ * final la novedad queda bloqueada
+ *
+ * @param {Object} novedad - Instancia de Novedad
+ * @param {Object} [transaction]
+ * @returns {Promise<Object>} { ok: true } o { ok: false, status, code, message }
+ */
+export const validarEdicion = async (novedad, transaction) => {
+  if (!(await grafoConfigurado())) return { ok: true };
+
+  const estadoActual = await EstadoNovedad.findByPk(novedad.estado_novedad_id, {
+    attributes: ["id", "nombre", "es_final"],
+    transaction,
+  });
+  if (!estadoActual?.es_final) return { ok: true };
+
+  return {
+    ok: false,
+    status: 409,
+    code: "NOVEDAD_CERRADA",
+    message: `La novedad está en estado final (${estadoActual.nombre}) y no admite cambios; reábrala primero`,
+  };
+};
+
+/**
+ * Estados a los que el usuario puede pasar la novedad
+ *
+ * @param {Object} novedad - Instancia de Novedad
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} { configurado, transiciones: [{ estado, requiere_observacion,
+ *   campos_requeridos, campos_faltantes, descripcion }] }
+ */
+export const estadosSiguientes = async (novedad, user) => {
+  const permitidos = await estadosPermitidosUsuario(user);
+  const configurado = await grafoConfigurado();
+
+  // Sin grafo: cualquier estado activo (con la restricción por rol)
+  if (!configurado) {
+    const estados = await EstadoNovedad.findAll({
+      where: { id: { [Op.ne]: novedad.estado_novedad_id }, estado: true, deleted_at: null },
+      attributes: ATRIBUTOS_ESTADO,
+      order: [["orden", "ASC"]],
+    });
+
+    return {
+      configurado,
+      transiciones: estados
+        .filter((estado) => !permitidos || permitidos.has(estado.id))
+        .map((estado) => {
+          const campos = camposExigidos(null, estado);
+          return {
+            estado,
+            requiere_observacion: Boolean(estado.es_final),
+            campos_requeridos: campos,
+            campos_faltantes: camposFaltantes(campos, novedad, {}),
+            descripcion: null,
+          };
+        }),
+    };
+  }
+
+  const transiciones = await TransicionEstadoNovedad.findAll({
+    where: { estado_origen_id: novedad.estado_novedad_id, estado: 1, deleted_at: null },
+    include: [
+      {
+        model: EstadoNovedad,
+        as: "estadoDestino",
+        attributes: ATRIBUTOS_ESTADO,
+        where: { estado: true, deleted_at: null },
+      },
+    ],
+    order: [[{ model: EstadoNovedad, as: "estadoDestino" }, "orden", "ASC"]],
+  });
+
+  return {
+    configurado,
+    transiciones: transiciones
+      .filter((t) => !permitidos || permitidos.has(t.estado_destino_id))
+      .map((t) => {
+        const campos = camposExigidos(t, t.estadoDestino);
+        return {
+          estado: t.estadoDestino,
+          requiere_observacion: t.requiere_observacion === 1 || Boolean(t.estadoDestino.es_final),
+          campos_requeridos: campos,
+          campos_faltantes: camposFaltantes(campos, novedad, {}),
+          descripcion: t.descripcion,
+        };
+      }),
+  };
+};
+
+export default {
+  CAMPOS_EXIGIBLES,
+  grafoConfigurado,
+  estadosPermitidosUsuario,
+  validarTransicion,
+  validarEdicion,
+  estadosSiguientes,
+};
@@ -0,0 +1,269 @@
+/**
+ * ===================================================
+ * SERVICIO: Event Bus Service
+ * ===================================================
+ *
+ * Ruta: src/services/eventBusService.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * Bus de eventos detrás de sse-manager. Un evento publicado en cualquier
+ * instancia del backend se entrega a los suscriptores de todas las
+ * instancias, que lo envían a sus propios clientes SSE.
+ *
+ * Implementaciones (SSE_EVENT_BUS):
+ * - memoria (por defecto): entrega dentro del mismo proceso. Suficiente
+ *   con una sola réplica.
+ * - mysql: tabla outbox sse_eventos_outbox. Cada instancia inserta sus
+ *   eventos y consulta periódicamente los nuevos; el id autoincremental
+ *   es el id SSE, común a todas las réplicas (Last-Event-ID funciona
+ *   aunque el cliente se reconecte a otra instancia). Un id se asigna al
+ *   insertar pero se ve al confirmar, por lo que puede aparecer después
+ *   de ids mayores: cada consulta revisa también los ids de la ventana
+ *   SSE_EVENT_BUS_LOOKBACK_SEC y entrega los que aún no entregó.
+ *
+ * Interfaz de un bus:
+ * - publicar({ eventName, canales, data, timestamp }) → Promise<void>
+ * - suscribir(handler) → handler recibe { id, eventName, canales, data, timestamp }
+ *   (id null si el bus no asigna ids)
+ * - iniciar({ historial, maxAgeMs }) → Promise<{ ultimoId, eventos }>
+ * - detener() → Promise<void>
+ */
+
+import os from "os";
+import { Op, literal } from "sequelize";
+import models from "../models/index.js";
+import logger from "../utils/logger.js";
+const { SseEventoOutbox } = models;
+
+/**
+ * Frecuencia de la depuración de eventos vencidos del outbox
+ * @private
+ */
+const INTERVALO_LIMPIEZA_MS = 60 * 1000;
+
+/**
+ * Entrega un evento a cada suscriptor; un suscriptor que falla no
+ * impide la entrega a los demás
+ * @private
+ */
+const entregar = (suscriptores, evento) => {
+  for (const handler of suscriptores) {
+    try {
+      handler(evento);
+    } catch (error) {
+      logger.error(`❌ [EventBus] Error entregando "${evento.eventName}": ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Bus en memoria: entrega síncrona dentro del proceso
+ *
+ * @returns {Object} Bus de eventos
+ */
+export const crearBusEnProceso = () => {
+  const suscriptores = [];
+
+  return {
+    tipo: "memoria",
+    async publicar(evento) {
+      entregar(suscriptores, { id: null, ...evento });
+    },
+    suscribir(handler) {
+      suscriptores.push(handler);
+    },
+    async iniciar() {
+      return { ultimoId: null, eventos: [] };
+    },
+    async detener() {},
+  };
+};
+
+/**
+ * Columna JSON: algunos drivers la devuelven como texto
+ * @private
+ */
+const parsearJSON = (valor) => (typeof valor === "string" ? JSON.parse(valor) : valor);
+
+/**
+ * Fila del outbox → evento de sse-manager
+ * @private
+ */
+const filaAEvento = (fila) => ({
+  id: Number(fila.id),
+  eventName: fila.evento,
+  canales: parsearJSON(fila.canales),
+  data: parsearJSON(fila.datos),
+  timestamp: new Date(fila.created_at).getTime(),
+});
+
+/**
+ * Bus sobre la tabla outbox de MySQL
+ *
+ * @param {Object} [opciones]
+ * @param {number} [opciones.intervaloMs=1000] - Frecuencia de consulta
+ * @param {number} [opciones.retencionMin=60] - Minutos que se conservan los eventos
+ * @param {number} [opciones.ventanaSeg=120] - Antigüedad (created_at) hasta la
+ *   que se buscan ids confirmados tarde; debe superar la transacción más larga
+ *   que publique eventos
+ * @param {number} [opciones.lote=200] - Máximo de eventos por consulta
+ * @returns {Object} Bus de eventos
+ */
+export const crearBusOutbox = ({
+  intervaloMs = 1000,
+  retencionMin = 60,
+  ventanaSeg = 120,
+  lote = 200,
+} = {}) => {
+  const suscriptores = [];
+  const instancia = `${os.hostname()}:${process.pid}`.slice(0, 100);
+  let cursor = 0;
+  let timer = null;
+  let consultando = false;
+  let ultimaLimpieza = 0;
+
+  // Ids de la ventana ya entregados (o anteriores al inicio). Solo se
+  // conservan los que siguen en la ventana.
+  let entregados = new Set();
+
+  // Ids confirmados de la ventana (created_at en hora del servidor MySQL)
+  const idsEnVentana = async () =>
+    (
+      await SseEventoOutbox.findAll({
+        attributes: ["id"],
+        where: {
+          id: { [Op.lte]: cursor },
+          created_at: { [Op.gte]: literal(`NOW() - INTERVAL ${Number(ventanaSeg)} SECOND`) },
+        },
+        raw: true,
+      })
+    ).map((fila) => Number(fila.id));
+
+  const limpiar = async () => {
+    if (Date.now() - ultimaLimpieza < INTERVALO_LIMPIEZA_MS) return;
+    ultimaLimpieza = Date.now();
+
+    const eliminados = await SseEventoOutbox.destroy({
+      where: {
+        created_at: { [Op.lt]: new Date(Date.now() - retencionMin * 60 * 1000) },
+      },
+    });
+    if (eliminados > 0) {
+      logger.debug(`📡 [EventBus] ${eliminados} evento(s) vencidos eliminados del outbox`);
+    }
+  };
+
+  const consultar = async () => {
+    if (consultando) return;
+    consultando = true;
+
+    try {
+      const ventana = await idsEnVentana();
+      const tardios = ventana.filter((id) => !entregados.has(id));
+      entregados = new Set(ventana.filter((id) => entregados.has(id)));
+
+      const filas = await SseEventoOutbox.findAll({
+        where: {
+          [Op.or]: [
+            { id: { [Op.gt]: cursor } },
+            ...(tardios.length > 0 ? [{ id: { [Op.in]: tardios } }] : []),
+          ],
+        },
+        order: [["id", "ASC"]],
+        limit: lote + tardios.length,
+        raw: true,
+      });
+
+      for (const fila of filas) {
+        const id = Number(fila.id);
+        if (entregados.has(id)) continue;
+
+        entregados.add(id);
+        cursor = Math.max(cursor, id);
+        entregar(suscriptores, filaAEvento(fila));
+      }
+
+      await limpiar();
+    } catch (error) {
+      logger.error(`❌ [EventBus] Error consultando el outbox: ${error.message}`);
+    } finally {
+      consultando = false;
+    }
+  };
+
+  return {
+    tipo: "mysql",
+    async publicar({ eventName, canales, data }) {
+      await SseEventoOutbox.create({
+        instancia,
+        evento: eventName,
+        canales,
+        datos: data,
+      });
+    },
+    suscribir(handler) {
+      suscriptores.push(handler);
+    },
+    async iniciar({ historial = 500, maxAgeMs = 30 * 60 * 1000 } = {}) {
+      cursor = Number(await SseEventoOutbox.max("id")) || 0;
+      entregados = new Set(await idsEnVentana());
+
+      const recientes = await SseEventoOutbox.findAll({
+        where: {
+          id: { [Op.lte]: cursor },
+          created_at: { [Op.gte]: new Date(Date.now() - maxAgeMs) },
+        },
+        order: [["id", "DESC"]],
+        limit: historial,
+        raw: true,
+      });
+
+      timer = setInterval(consultar, intervaloMs);
+      timer.unref();
+
+      logger.info(
+        `📡 [EventBus] Outbox MySQL iniciado en ${instancia} desde id ${cursor} (ventana ${ventanaSeg}s)`
+      );
+      return { ultimoId: cursor, eventos: recientes.reverse().map(filaAEvento) };
+    },
+    // Una pasada del poller (el timer la ejecuta cada intervaloMs)
+    consultar,
+    async detener() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+};
+
+/**
+ * Crea el bus configurado en SSE_EVENT_BUS
+ *
+ * @returns {Object} Bus de eventos
+ * @throws {Error} Si SSE_EVENT_BUS no es un bus conocido
+ */
+export const crearEventBusDesdeEntorno = () => {
+  const tipo = (process.env.SSE_EVENT_BUS || "memoria").toLowerCase();
+
+  if (tipo === "mysql") {
+    return crearBusOutbox({
+      intervaloMs: parseInt(process.env.SSE_EVENT_BUS_POLL_MS) || 1000,
+      retencionMin: parseInt(process.env.SSE_EVENT_BUS_RETENTION_MIN) || 60,
+      ventanaSeg: parseInt(process.env.SSE_EVENT_BUS_LOOKBACK_SEC) || 120,
+    });
+  }
+
+  // Un valor mal escrito no debe dejar a las réplicas aisladas en memoria
+  if (tipo !== "memoria") {
+    throw new Error(`SSE_EVENT_BUS="${tipo}" no reconocido (memoria | mysql)`);
+  }
+  return crearBusEnProceso();
+};
+
+export default {
+  crearBusEnProceso,
+  crearBusOutbox,
+  crearEventBusDesdeEntorno,
+};
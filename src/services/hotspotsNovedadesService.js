@@ -0,0 +1,717 @@
+/**
+ * ===================================================
+ * SERVICIO: Hotspots de Novedades
+ * ===================================================
+ *
+ * Ruta: src/services/hotspotsNovedadesService.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * Analítica espacial de dónde se concentran las novedades, lista para la
+ * capa del mapa (GeoJSON):
+ *
+ * - Agrega las novedades en una grilla cuadrada, en hexágonos o por
+ *   cuadrante (poligono_json).
+ * - Intensidad tipo KDE: en grilla y hexágonos, densidad de núcleo
+ *   cuártico (novedades/km²) evaluada en el centro de cada celda; por
+ *   cuadrante, novedades/km² de su polígono.
+ * - Puntos calientes/fríos con Getis-Ord Gi* (pesos binarios por banda de
+ *   distancia): z-score, p-valor y nivel de confianza 90/95/99 %.
+ *
+ * Las distancias se miden en una proyección equirectangular local (metros),
+ * suficiente para el área de un distrito. Las novedades fusionadas no se
+ * cuentan (son el mismo hecho que su principal).
+ */
+
+import { QueryTypes } from "sequelize";
+import sequelize from "../config/database.js";
+import models from "../models/index.js";
+import {
+  METROS_POR_GRADO,
+  normalizarPoligono,
+  parsearBbox,
+  cajaAWkt,
+} from "../utils/geoHelper.js";
+import { convertToTimezone, getDateInTimezone } from "../utils/dateHelper.js";
+const { Cuadrante } = models;
+
+/**
+ * Tipos de agregación espacial
+ * @constant {Object}
+ */
+export const AGREGACIONES = Object.freeze({
+  GRILLA: "grilla",
+  HEXAGONOS: "hexagonos",
+  CUADRANTES: "cuadrantes",
+});
+
+/**
+ * Máximo de celdas por análisis (grilla y hexágonos)
+ * @constant {number}
+ */
+export const MAX_CELDAS = 20000;
+
+/**
+ * Tamaño de celda por defecto (metros)
+ * @constant {number}
+ */
+export const TAMANO_CELDA_DEFECTO_M = 250;
+
+/**
+ * Máximo de ancho_banda_m en grilla y hexágonos, en múltiplos de
+ * tamano_celda_m: acota los vecinos por celda de Gi* y de la densidad
+ * @constant {number}
+ */
+export const MAX_BANDA_EN_CELDAS = 5;
+
+/**
+ * Días analizados por defecto
+ * @private
+ */
+const DIAS_DEFECTO = 90;
+
+/**
+ * Umbrales de z (dos colas) para Gi*, de mayor a menor confianza
+ * @private
+ */
+const UMBRALES_GI = [
+  { z: 2.576, confianza: 99, bin: 3 },
+  { z: 1.96, confianza: 95, bin: 2 },
+  { z: 1.645, confianza: 90, bin: 1 },
+];
+
+// ==========================================
+// GEOMETRÍA
+// ==========================================
+
+/**
+ * Proyección equirectangular local (metros) alrededor de la latitud lat0
+ * @private
+ */
+const crearProyeccion = (lat0) => {
+  const kx = METROS_POR_GRADO * Math.cos((lat0 * Math.PI) / 180);
+  return {
+    aXY: (lng, lat) => [lng * kx, lat * METROS_POR_GRADO],
+    aLngLat: (x, y) => [
+      Number((x / kx).toFixed(6)),
+      Number((y / METROS_POR_GRADO).toFixed(6)),
+    ],
+  };
+};
+
+/**
+ * Grilla cuadrada de lado s (metros), anclada al origen de la proyección
+ * @private
+ */
+const teselacionGrilla = (s) => ({
+  celdaDe: (x, y) => {
+    const ix = Math.floor(x / s);
+    const iy = Math.floor(y / s);
+    return { clave: `${ix}:${iy}`, cx: (ix + 0.5) * s, cy: (iy + 0.5) * s };
+  },
+  celdasEn: function* ({ minX, minY, maxX, maxY }) {
+    for (let iy = Math.floor(minY / s); iy <= Math.floor(maxY / s); iy++) {
+      for (let ix = Math.floor(minX / s); ix <= Math.floor(maxX / s); ix++) {
+        yield { clave: `${ix}:${iy}`, cx: (ix + 0.5) * s, cy: (iy + 0.5) * s };
+      }
+    }
+  },
+  estimarCeldas: ({ minX, minY, maxX, maxY }) =>
+    (Math.floor(maxX / s) - Math.floor(minX / s) + 1) *
+    (Math.floor(maxY / s) - Math.floor(minY / s) + 1),
+  vertices: (cx, cy) => [
+    [cx - s / 2, cy - s / 2],
+    [cx + s / 2, cy - s / 2],
+    [cx + s / 2, cy + s / 2],
+    [cx - s / 2, cy + s / 2],
+  ],
+  areaM2: s * s,
+});
+
+/**
+ * Hexágonos con vértice arriba; s es la distancia entre centros vecinos.
+ * Las celdas se identifican por columna y fila desplazadas (las filas
+ * impares corridas medio hexágono a la derecha).
+ *
+ * @param {number} s - Distancia entre centros vecinos (metros)
+ * @returns {Object} { celdaDe, celdasEn, estimarCeldas, vertices, areaM2 }
+ */
+export const teselacionHexagonos = (s) => {
+  const r = s / Math.sqrt(3);
+  const dx = s;
+  const dy = 1.5 * r;
+  const centro = (i, j) => ({ clave: `${i}:${j}`, cx: (i + (j & 1) / 2) * dx, cy: j * dy });
+
+  return {
+    // Coordenadas axiales fraccionarias redondeadas en coordenadas cúbicas
+    // (q + r + s = 0): se corrige la componente con mayor error de redondeo
+    celdaDe: (x, y) => {
+      const fq = (x * Math.sqrt(3) / 3 - y / 3) / r;
+      const fr = (y * 2 / 3) / r;
+      const fs = -fq - fr;
+
+      let q = Math.round(fq);
+      let rr = Math.round(fr);
+      const ss = Math.round(fs);
+
+      const dq = Math.abs(q - fq);
+      const dr = Math.abs(rr - fr);
+      const ds = Math.abs(ss - fs);
+
+      if (dq > dr && dq > ds) {
+        q = -rr - ss;
+      } else if (dr > ds) {
+        rr = -q - ss;
+      }
+
+      return centro(q + (rr - (rr & 1)) / 2, rr);
+    },
+    celdasEn: function* ({ minX, minY, maxX, maxY }) {
+      for (let j = Math.floor(minY / dy); j <= Math.ceil(maxY / dy); j++) {
+        for (let i = Math.floor(minX / dx) - 1; i <= Math.ceil(maxX / dx); i++) {
+          yield centro(i, j);
+        }
+      }
+    },
+    estimarCeldas: ({ minX, minY, maxX, maxY }) =>
+      (Math.ceil(maxX / dx) - Math.floor(minX / dx) + 2) *
+      (Math.ceil(maxY / dy) - Math.floor(minY / dy) + 1),
+    vertices: (cx, cy) =>
+      [30, 90, 150, 210, 270, 330].map((grados) => [
+        cx + r * Math.cos((grados * Math.PI) / 180),
+        cy + r * Math.sin((grados * Math.PI) / 180),
+      ]),
+    areaM2: (3 * Math.sqrt(3) / 2) * r * r,
+  };
+};
+
+/**
+ * Índice espacial simple: cubetas cuadradas de lado `tamano`
+ * @private
+ */
+const crearIndiceEspacial = (elementos, tamano) => {
+  const cubetas = new Map();
+  for (const elemento of elementos) {
+    const clave = `${Math.floor(elemento.x / tamano)}:${Math.floor(elemento.y / tamano)}`;
+    if (!cubetas.has(clave)) cubetas.set(clave, []);
+    cubetas.get(clave).push(elemento);
+  }
+
+  /** Elementos a distancia <= radio (radio <= tamano) de (x, y) */
+  return (x, y, radio) => {
+    const bx = Math.floor(x / tamano);
+    const by = Math.floor(y / tamano);
+    const cercanos = [];
+    for (let i = bx - 1; i <= bx + 1; i++) {
+      for (let j = by - 1; j <= by + 1; j++) {
+        for (const elemento of cubetas.get(`${i}:${j}`) || []) {
+          const d2 = (elemento.x - x) ** 2 + (elemento.y - y) ** 2;
+          if (d2 <= radio * radio) cercanos.push({ elemento, d2 });
+        }
+      }
+    }
+    return cercanos;
+  };
+};
+
+/**
+ * Área (m²) y centroide de un anillo proyectado
+ * @private
+ */
+const areaYCentroideAnillo = (anillo) => {
+  let doble = 0;
+  let cx = 0;
+  let cy = 0;
+  for (let k = 0; k < anillo.length - 1; k++) {
+    const [x1, y1] = anillo[k];
+    const [x2, y2] = anillo[k + 1];
+    const cruz = x1 * y2 - x2 * y1;
+    doble += cruz;
+    cx += (x1 + x2) * cruz;
+    cy += (y1 + y2) * cruz;
+  }
+  if (Math.abs(doble) < 1e-9) return { area: 0, x: 0, y: 0 };
+  return { area: Math.abs(doble) / 2, x: cx / (3 * doble), y: cy / (3 * doble) };
+};
+
+/**
+ * Área (m²) y centroide de un polígono normalizado ya proyectado (los
+ * huecos restan, sin importar el sentido de los anillos)
+ * @private
+ */
+const areaYCentroide = (poligonoXY) => {
+  let area = 0;
+  let x = 0;
+  let y = 0;
+  for (const anillos of poligonoXY) {
+    anillos.forEach((anillo, indice) => {
+      const parte = areaYCentroideAnillo(anillo);
+      const signo = indice === 0 ? 1 : -1;
+      area += signo * parte.area;
+      x += signo * parte.area * parte.x;
+      y += signo * parte.area * parte.y;
+    });
+  }
+  if (area < 1e-9) return null;
+  return { areaM2: area, x: x / area, y: y / area };
+};
+
+// ==========================================
+// ESTADÍSTICA
+// ==========================================
+
+/**
+ * Función de error (Abramowitz-Stegun 7.1.26)
+ * @private
+ */
+const erf = (x) => {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const y =
+    1 -
+    ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) *
+      t *
+      Math.exp(-x * x);
+  return x >= 0 ? y : -y;
+};
+
+/**
+ * Calcula Gi* de cada celda con pesos binarios por banda de distancia.
+ * Asigna gi_z, gi_p, gi_bin (-3..3), hotspot y confianza en cada celda.
+ *
+ * @param {Array<Object>} celdas - { x, y, valor }
+ * @param {number} banda - Distancia (metros) de vecindad, incluye a la propia celda
+ * @returns {{ media: number, desviacion: number }}
+ */
+export const calcularGiEstrella = (celdas, banda) => {
+  const n = celdas.length;
+  const suma = celdas.reduce((t, c) => t + c.valor, 0);
+  const media = n ? suma / n : 0;
+  const desviacion = n
+    ? Math.sqrt(Math.max(celdas.reduce((t, c) => t + c.valor * c.valor, 0) / n - media * media, 0))
+    : 0;
+
+  const vecinosDe = crearIndiceEspacial(celdas, banda);
+
+  for (const celda of celdas) {
+    celda.gi_z = null;
+    celda.gi_p = null;
+    celda.gi_bin = 0;
+    celda.hotspot = "NO_SIGNIFICATIVO";
+    celda.confianza = null;
+    if (n < 3 || desviacion === 0) continue;
+
+    const vecinos = vecinosDe(celda.x, celda.y, banda);
+    const sumaPesos = vecinos.length;
+    const sumaValores = vecinos.reduce((t, v) => t + v.elemento.valor, 0);
+    const denominador =
+      desviacion * Math.sqrt((n * sumaPesos - sumaPesos * sumaPesos) / (n - 1));
+    if (!(denominador > 0)) continue;
+
+    const z = (sumaValores - media * sumaPesos) / denominador;
+    celda.gi_z = Number(z.toFixed(4));
+    celda.gi_p = Number((1 - erf(Math.abs(z) / Math.SQRT2)).toFixed(6));
+
+    const umbral = UMBRALES_GI.find((u) => Math.abs(z) >= u.z);
+    if (umbral) {
+      celda.gi_bin = z > 0 ? umbral.bin : -umbral.bin;
+      celda.hotspot = z > 0 ? "CALIENTE" : "FRIO";
+      celda.confianza = umbral.confianza;
+    }
+  }
+
+  return { media, desviacion };
+};
+
+/**
+ * Mayor distancia al vecino más cercano (banda mínima para que todas las
+ * celdas tengan al menos un vecino)
+ * @private
+ */
+const distanciaMaximaVecinoMasCercano = (celdas) => {
+  let maxima = 0;
+  for (const a of celdas) {
+    let minima = Infinity;
+    for (const b of celdas) {
+      if (a === b) continue;
+      minima = Math.min(minima, Math.hypot(a.x - b.x, a.y - b.y));
+    }
+    if (Number.isFinite(minima)) maxima = Math.max(maxima, minima);
+  }
+  return maxima;
+};
+
+// ==========================================
+// CONSULTAS
+// ==========================================
+
+/**
+ * Construye el WHERE común sobre novedades_incidentes (alias ni)
+ * @private
+ */
+const construirFiltros = (params) => {
+  const condiciones = [
+    "ni.estado = 1",
+    "ni.deleted_at IS NULL",
+    "ni.novedad_padre_id IS NULL",
+    "ni.fecha_hora_ocurrencia BETWEEN :desde AND :hasta",
+  ];
+  const replacements = {
+    desde: `${params.fecha_inicio} 00:00:00`,
+    hasta: `${params.fecha_fin} 23:59:59`,
+  };
+
+  if (params.tipo_novedad_id) {
+    condiciones.push("ni.tipo_novedad_id = :tipo_novedad_id");
+    replacements.tipo_novedad_id = params.tipo_novedad_id;
+  }
+  if (params.subtipo_novedad_id) {
+    condiciones.push("ni.subtipo_novedad_id = :subtipo_novedad_id");
+    replacements.subtipo_novedad_id = params.subtipo_novedad_id;
+  }
+  if (params.sector_id) {
+    condiciones.push("ni.sector_id = :sector_id");
+    replacements.sector_id = params.sector_id;
+  }
+  if (params.hora_desde !== 0 || params.hora_hasta !== 23) {
+    // Un rango como 22-4 cruza la medianoche
+    condiciones.push(
+      params.hora_desde <= params.hora_hasta
+        ? "HOUR(ni.fecha_hora_ocurrencia) BETWEEN :hora_desde AND :hora_hasta"
+        : "(HOUR(ni.fecha_hora_ocurrencia) >= :hora_desde OR HOUR(ni.fecha_hora_ocurrencia) <= :hora_hasta)"
+    );
+    replacements.hora_desde = params.hora_desde;
+    replacements.hora_hasta = params.hora_hasta;
+  }
+  if (params.dias_semana) {
+    // 1 = lunes ... 7 = domingo
+    condiciones.push("WEEKDAY(ni.fecha_hora_ocurrencia) + 1 IN (:dias_semana)");
+    replacements.dias_semana = params.dias_semana;
+  }
+  if (params.bbox) {
+    condiciones.push("MBRContains(ST_GeomFromText(:bbox_wkt), ni.ubicacion_geo)");
+    replacements.bbox_wkt = cajaAWkt(params.bbox);
+  }
+
+  return { where: condiciones.join("\n        AND "), replacements };
+};
+
+/**
+ * Normaliza los parámetros del query (ya validados)
+ * @private
+ */
+const normalizarParametros = (query) => {
+  const agregacion = query.agregacion || AGREGACIONES.GRILLA;
+  const tamanoCelda = query.tamano_celda_m ? parseFloat(query.tamano_celda_m) : TAMANO_CELDA_DEFECTO_M;
+  return {
+    agregacion,
+    tamano_celda_m: agregacion === AGREGACIONES.CUADRANTES ? null : tamanoCelda,
+    ancho_banda_m: query.ancho_banda_m ? parseFloat(query.ancho_banda_m) : null,
+    fecha_inicio:
+      query.fecha_inicio ||
+      convertToTimezone(new Date(Date.now() - (DIAS_DEFECTO - 1) * 86400000)).split(" ")[0],
+    fecha_fin: query.fecha_fin || getDateInTimezone(),
+    tipo_novedad_id: query.tipo_novedad_id ? parseInt(query.tipo_novedad_id) : null,
+    subtipo_novedad_id: query.subtipo_novedad_id ? parseInt(query.subtipo_novedad_id) : null,
+    sector_id: query.sector_id ? parseInt(query.sector_id) : null,
+    hora_desde: query.hora_desde !== undefined ? parseInt(query.hora_desde) : 0,
+    hora_hasta: query.hora_hasta !== undefined ? parseInt(query.hora_hasta) : 23,
+    dias_semana: query.dias_semana
+      ? [...new Set(String(query.dias_semana).split(",").map((d) => parseInt(d)))].sort()
+      : null,
+    bbox: query.bbox ? parsearBbox(query.bbox) : null,
+    incluir_vacias: query.incluir_vacias === "true" || query.incluir_vacias === true,
+  };
+};
+
+/**
+ * Resumen común de la capa
+ * @private
+ */
+const resumirCeldas = (celdas, estadistica) => ({
+  celdas: celdas.length,
+  celdas_con_novedades: celdas.filter((c) => c.total > 0).length,
+  calientes: celdas.filter((c) => c.hotspot === "CALIENTE").length,
+  frios: celdas.filter((c) => c.hotspot === "FRIO").length,
+  media: Number(estadistica.media.toFixed(4)),
+  desviacion: Number(estadistica.desviacion.toFixed(4)),
+});
+
+/**
+ * Grilla o hexágonos
+ * @private
+ */
+const analizarTeselacion = async (params, filtros) => {
+  const puntos = await sequelize.query(
+    `
+      SELECT ROUND(ni.latitud, 5) AS lat, ROUND(ni.longitud, 5) AS lng, COUNT(*) AS total
+      FROM novedades_incidentes ni
+      WHERE ${filtros.where}
+        AND ni.latitud IS NOT NULL
+        AND ni.longitud IS NOT NULL
+      GROUP BY ROUND(ni.latitud, 5), ROUND(ni.longitud, 5)
+    `,
+    { replacements: filtros.replacements, type: QueryTypes.SELECT }
+  );
+
+  const totalNovedades = puntos.reduce((t, p) => t + Number(p.total), 0);
+  if (!puntos.length && !params.bbox) {
+    return { ok: true, celdas: [], resumen: { total_novedades: 0, celdas: 0 } };
+  }
+
+  // Latitud de referencia redondeada: la grilla no se desplaza entre consultas
+  const latReferencia = params.bbox
+    ? (params.bbox.minLat + params.bbox.maxLat) / 2
+    : puntos.reduce((t, p) => t + Number(p.lat) * Number(p.total), 0) / totalNovedades;
+  const proyeccion = crearProyeccion(Math.round(latReferencia));
+
+  const s = params.tamano_celda_m;
+  const teselacion =
+    params.agregacion === AGREGACIONES.HEXAGONOS ? teselacionHexagonos(s) : teselacionGrilla(s);
+  const banda = params.ancho_banda_m || 2 * s;
+
+  if (banda > MAX_BANDA_EN_CELDAS * s) {
+    return {
+      ok: false,
+      status: 400,
+      message: `ancho_banda_m no puede superar ${MAX_BANDA_EN_CELDAS} veces tamano_celda_m`,
+    };
+  }
+
+  const puntosXY = puntos.map((p) => {
+    const [x, y] = proyeccion.aXY(Number(p.lng), Number(p.lat));
+    return { x, y, peso: Number(p.total) };
+  });
+
+  let extension;
+  if (params.bbox) {
+    const [minX, minY] = proyeccion.aXY(params.bbox.minLng, params.bbox.minLat);
+    const [maxX, maxY] = proyeccion.aXY(params.bbox.maxLng, params.bbox.maxLat);
+    extension = { minX, minY, maxX, maxY };
+  } else {
+    // Sin spread: con muchos puntos Math.min(...) excede el máximo de argumentos
+    extension = puntosXY.reduce(
+      (e, p) => ({
+        minX: Math.min(e.minX, p.x),
+        minY: Math.min(e.minY, p.y),
+        maxX: Math.max(e.maxX, p.x),
+        maxY: Math.max(e.maxY, p.y),
+      }),
+      { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity }
+    );
+  }
+
+  if (teselacion.estimarCeldas(extension) > MAX_CELDAS) {
+    return {
+      ok: false,
+      status: 400,
+      message: `El análisis supera ${MAX_CELDAS} celdas: aumente tamano_celda_m o reduzca el área (bbox)`,
+    };
+  }
+
+  // Área de estudio: todas las celdas de la extensión (las vacías cuentan para Gi*)
+  const celdasPorClave = new Map();
+  for (const celda of teselacion.celdasEn(extension)) {
+    celdasPorClave.set(celda.clave, { clave: celda.clave, x: celda.cx, y: celda.cy, total: 0 });
+  }
+  for (const punto of puntosXY) {
+    const { clave, cx, cy } = teselacion.celdaDe(punto.x, punto.y);
+    if (!celdasPorClave.has(clave)) {
+      celdasPorClave.set(clave, { clave, x: cx, y: cy, total: 0 });
+    }
+    celdasPorClave.get(clave).total += punto.peso;
+  }
+  const celdas = [...celdasPorClave.values()];
+
+  // Densidad de núcleo cuártico en el centro de cada celda (novedades/km²)
+  const puntosCercanos = crearIndiceEspacial(puntosXY, banda);
+  const constante = 3 / (Math.PI * banda * banda);
+  for (const celda of celdas) {
+    const densidad = puntosCercanos(celda.x, celda.y, banda).reduce(
+      (t, { elemento, d2 }) => t + elemento.peso * constante * (1 - d2 / (banda * banda)) ** 2,
+      0
+    );
+    celda.intensidad = densidad * 1e6;
+    celda.valor = celda.total;
+  }
+
+  const estadistica = calcularGiEstrella(celdas, banda);
+
+  for (const celda of celdas) {
+    const anillo = teselacion.vertices(celda.x, celda.y).map(([x, y]) => proyeccion.aLngLat(x, y));
+    celda.geometry = { type: "Polygon", coordinates: [[...anillo, anillo[0]]] };
+    celda.centro = proyeccion.aLngLat(celda.x, celda.y);
+    celda.area_km2 = teselacion.areaM2 / 1e6;
+  }
+
+  return {
+    ok: true,
+    celdas,
+    banda,
+    resumen: { total_novedades: totalNovedades, ...resumirCeldas(celdas, estadistica) },
+  };
+};
+
+/**
+ * Por cuadrante (poligono_json)
+ * @private
+ */
+const analizarCuadrantes = async (params, filtros) => {
+  const [conteos, cuadrantes] = await Promise.all([
+    sequelize.query(
+      `
+        SELECT ni.cuadrante_id, COUNT(*) AS total
+        FROM novedades_incidentes ni
+        WHERE ${filtros.where}
+        GROUP BY ni.cuadrante_id
+      `,
+      { replacements: filtros.replacements, type: QueryTypes.SELECT }
+    ),
+    Cuadrante.findAll({
+      where: {
+        estado: 1,
+        deleted_at: null,
+        ...(params.sector_id ? { sector_id: params.sector_id } : {}),
+      },
+      attributes: ["id", "cuadrante_code", "nombre", "sector_id", "poligono_json"],
+    }),
+  ]);
+
+  const totalPorCuadrante = new Map(conteos.map((c) => [c.cuadrante_id, Number(c.total)]));
+  const totalNovedades = conteos.reduce((t, c) => t + Number(c.total), 0);
+
+  const poligonos = cuadrantes.map((c) => normalizarPoligono(c.poligono_json));
+  const latitudes = poligonos.filter(Boolean).flatMap((p) => p.flatMap((a) => a[0].map(([, lat]) => lat)));
+  const proyeccion = crearProyeccion(
+    latitudes.length ? Math.round(latitudes.reduce((t, l) => t + l, 0) / latitudes.length) : 0
+  );
+
+  const celdas = [];
+  const sinPoligono = [];
+  cuadrantes.forEach((cuadrante, indice) => {
+    const total = totalPorCuadrante.get(cuadrante.id) || 0;
+    const poligono = poligonos[indice];
+    const geometria = poligono
+      ? areaYCentroide(poligono.map((anillos) => anillos.map((a) => a.map(([lng, lat]) => proyeccion.aXY(lng, lat)))))
+      : null;
+
+    if (!geometria) {
+      sinPoligono.push({ cuadrante_id: cuadrante.id, cuadrante_code: cuadrante.cuadrante_code, total });
+      return;
+    }
+
+    celdas.push({
+      clave: String(cuadrante.id),
+      cuadrante_id: cuadrante.id,
+      cuadrante_code: cuadrante.cuadrante_code,
+      nombre: cuadrante.nombre,
+      sector_id: cuadrante.sector_id,
+      x: geometria.x,
+      y: geometria.y,
+      total,
+      area_km2: geometria.areaM2 / 1e6,
+      intensidad: total / (geometria.areaM2 / 1e6),
+      // Los cuadrantes tienen áreas distintas: Gi* sobre la densidad
+      valor: total / (geometria.areaM2 / 1e6),
+      geometry:
+        poligono.length === 1
+          ? { type: "Polygon", coordinates: poligono[0] }
+          : { type: "MultiPolygon", coordinates: poligono },
+      centro: proyeccion.aLngLat(geometria.x, geometria.y),
+    });
+  });
+
+  const banda = params.ancho_banda_m || distanciaMaximaVecinoMasCercano(celdas) * 1.0001;
+  const estadistica = calcularGiEstrella(celdas, banda);
+
+  return {
+    ok: true,
+    celdas,
+    banda,
+    resumen: {
+      total_novedades: totalNovedades,
+      ...resumirCeldas(celdas, estadistica),
+      sin_cuadrante: totalPorCuadrante.get(null) || 0,
+      cuadrantes_sin_poligono: sinPoligono,
+    },
+  };
+};
+
+/**
+ * Hotspots y mapa de calor de novedades como FeatureCollection GeoJSON
+ *
+ * @param {Object} query - Parámetros validados: agregacion (grilla |
+ *   hexagonos | cuadrantes), tamano_celda_m, ancho_banda_m, fecha_inicio,
+ *   fecha_fin, tipo_novedad_id, subtipo_novedad_id, sector_id, hora_desde,
+ *   hora_hasta, dias_semana (1=lunes..7=domingo), bbox, incluir_vacias
+ * @returns {Promise<Object>} { ok: true, data: FeatureCollection } o { ok: false, status, message }
+ */
+export const obtenerHotspots = async (query = {}) => {
+  const params = normalizarParametros(query);
+  const filtros = construirFiltros(params);
+
+  const resultado =
+    params.agregacion === AGREGACIONES.CUADRANTES
+      ? await analizarCuadrantes(params, filtros)
+      : await analizarTeselacion(params, filtros);
+
+  if (!resultado.ok) return resultado;
+
+  const intensidadMaxima = resultado.celdas.reduce((m, c) => Math.max(m, c.intensidad), 0);
+  const features = resultado.celdas
+    .filter((c) => params.incluir_vacias || c.total > 0 || c.gi_bin !== 0)
+    .map((celda) => ({
+      type: "Feature",
+      id: celda.clave,
+      geometry: celda.geometry,
+      properties: {
+        ...(celda.cuadrante_id
+          ? {
+            cuadrante_id: celda.cuadrante_id,
+            cuadrante_code: celda.cuadrante_code,
+            nombre: celda.nombre,
+            sector_id: celda.sector_id,
+          }
+          : {}),
+        centro: celda.centro,
+        total: celda.total,
+        area_km2: Number(celda.area_km2.toFixed(4)),
+        intensidad: Number(celda.intensidad.toFixed(4)),
+        intensidad_relativa:
+          intensidadMaxima > 0 ? Number((celda.intensidad / intensidadMaxima).toFixed(4)) : 0,
+        gi_z: celda.gi_z,
+        gi_p: celda.gi_p,
+        gi_bin: celda.gi_bin,
+        hotspot: celda.hotspot,
+        confianza: celda.confianza,
+      },
+    }));
+
+  const { bbox, ...parametros } = params;
+  delete parametros.incluir_vacias;
+
+  return {
+    ok: true,
+    data: {
+      type: "FeatureCollection",
+      features,
+      parametros: {
+        ...parametros,
+        bbox: bbox ? [bbox.minLng, bbox.minLat, bbox.maxLng, bbox.maxLat] : null,
+        ancho_banda_m: resultado.banda ? Number(resultado.banda.toFixed(2)) : null,
+      },
+      resumen: resultado.resumen,
+    },
+  };
+};
+
+export default {
+  AGREGACIONES,
+  MAX_CELDAS,
+  TAMANO_CELDA_DEFECTO_M,
+  MAX_BANDA_EN_CELDAS,
+  teselacionHexagonos,
+  calcularGiEstrella,
+  obtenerHotspots,
+};
@@ -0,0 +1,424 @@
+/**
+ * ===================================================
+ * SERVICIO: Login Seguridad Service
+ * ===================================================
+ *
+ * Ruta: src/services/loginSeguridadService.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * Protección del login contra fuerza bruta y detección de accesos
+ * anómalos. Todos los intentos quedan en login_intentos.
+ *
+ * - Bloqueo progresivo por usuario: al llegar a accountLock.maxAttempts
+ *   fallos la cuenta se bloquea lockTime; cada fallo posterior (una vez
+ *   vencido el bloqueo) duplica la duración hasta maxLockTime.
+ * - Bloqueo progresivo por IP: mismo backoff sobre los fallos de la IP
+ *   dentro de accountLock.ip.windowMs.
+ * - captchaRequired: a partir de captchaAfterAttempts fallos del usuario
+ *   o de la IP, para que el cliente muestre el CAPTCHA.
+ * - Login desde una IP o dispositivo que no aparece en las sesiones
+ *   anteriores del usuario.
+ *
+ * Los bloqueos y accesos anómalos se notifican por email y por SSE
+ * ("alerta_seguridad") al usuario y a los roles de securityAlerts.adminRoles.
+ */
+
+import { Op } from "sequelize";
+import models from "../models/index.js";
+import authConfig from "../config/auth.js";
+import { analizarUserAgent } from "../utils/userAgentHelper.js";
+import { publishToUsers } from "../utils/sse-manager.js";
+import { enviarEmailAlertaSeguridad } from "./emailService.js";
+import logger from "../utils/logger.js";
+const { LoginIntento, Sesion, Usuario, Rol } = models;
+
+/**
+ * Tipos de alerta de seguridad (evento SSE "alerta_seguridad")
+ * @constant {Object}
+ */
+export const TIPOS_ALERTA = {
+  CUENTA_BLOQUEADA: "CUENTA_BLOQUEADA",
+  IP_BLOQUEADA: "IP_BLOQUEADA",
+  LOGIN_NUEVA_IP: "LOGIN_NUEVA_IP",
+  LOGIN_NUEVO_DISPOSITIVO: "LOGIN_NUEVO_DISPOSITIVO",
+};
+
+/**
+ * Sesiones anteriores que se consideran para detectar accesos nuevos
+ * @private
+ */
+const SESIONES_REFERENCIA = 50;
+
+/**
+ * Duración del bloqueo tras superar el límite en n fallos:
+ * lockTime * 2^n, con tope maxLockTime
+ *
+ * @param {number} fallosSobreLimite - Fallos por encima de maxAttempts (0 = primero)
+ * @returns {number} Milisegundos
+ */
+export const calcularDuracionBloqueo = (fallosSobreLimite) => {
+  const { lockTimeMs, maxLockTimeMs } = authConfig.accountLock;
+  return Math.min(lockTimeMs * 2 ** Math.max(fallosSobreLimite, 0), maxLockTimeMs);
+};
+
+/**
+ * Estado de una IP según sus fallos recientes en login_intentos
+ *
+ * @param {string} ip - Dirección IP
+ * @returns {Promise<{fallos: number, bloqueadoHasta: Date|null}>}
+ *   bloqueadoHasta solo si el bloqueo sigue vigente
+ */
+export const verificarBloqueoIp = async (ip) => {
+  const { maxAttempts, windowMs } = authConfig.accountLock.ip;
+
+  const where = {
+    ip_address: ip,
+    intento_exitoso: 0,
+    created_at: { [Op.gt]: new Date(Date.now() - windowMs) },
+  };
+
+  const fallos = await LoginIntento.count({ where });
+
+  if (fallos < maxAttempts) return { fallos, bloqueadoHasta: null };
+
+  const ultimo = await LoginIntento.findOne({
+    where,
+    order: [["created_at", "DESC"]],
+    attributes: ["created_at"],
+  });
+
+  const bloqueadoHasta = new Date(
+    new Date(ultimo.created_at).getTime() +
+      calcularDuracionBloqueo(fallos - maxAttempts)
+  );
+
+  return {
+    fallos,
+    bloqueadoHasta: bloqueadoHasta > new Date() ? bloqueadoHasta : null,
+  };
+};
+
+/**
+ * Registra un intento en login_intentos
+ * @private
+ */
+const registrarIntento = ({ usuario, credencial, ip, userAgent, exitoso, razon }) => {
+  return LoginIntento.create({
+    usuario_id: usuario?.id || null,
+    username_or_email: String(credencial || "").substring(0, 100),
+    ip_address: ip || "desconocida",
+    user_agent: userAgent ? userAgent.substring(0, 255) : null,
+    intento_exitoso: exitoso ? 1 : 0,
+    razon_fallo: razon || null,
+  });
+};
+
+/**
+ * Usuarios activos con alguno de los roles de securityAlerts.adminRoles
+ * @private
+ */
+const obtenerAdminsSeguridad = async () => {
+  return Usuario.findAll({
+    where: { estado: "ACTIVO", deleted_at: null },
+    attributes: ["id", "username", "email", "nombres"],
+    include: [
+      {
+        model: Rol,
+        as: "roles",
+        attributes: [],
+        where: { slug: { [Op.in]: authConfig.securityAlerts.adminRoles } },
+        through: { attributes: [], where: { estado: 1 } },
+      },
+    ],
+  });
+};
+
+/**
+ * Notifica una alerta de seguridad por SSE y email al usuario afectado
+ * (si lo hay) y a los administradores de seguridad. Nunca lanza: un
+ * fallo de notificación no debe afectar al login.
+ *
+ * @param {Object} alerta
+ * @param {string} alerta.tipo - Valor de TIPOS_ALERTA
+ * @param {Object} [alerta.usuario] - Usuario afectado
+ * @param {string} alerta.titulo - Resumen legible
+ * @param {Array<string>} alerta.lineas - Detalle para el email
+ * @param {Object} [alerta.datos] - Datos estructurados para el evento SSE
+ * @returns {Promise<void>}
+ */
+export const notificarAlertaSeguridad = async ({
+  tipo,
+  usuario = null,
+  titulo,
+  lineas,
+  datos = {},
+}) => {
+  try {
+    const admins = await obtenerAdminsSeguridad();
+    const destinatarios = usuario
+      ? [usuario, ...admins.filter((a) => a.id !== usuario.id)]
+      : admins;
+
+    publishToUsers(
+      destinatarios.map((d) => d.id),
+      "alerta_seguridad",
+      {
+        tipo,
+        titulo,
+        usuario: usuario ? { id: usuario.id, username: usuario.username } : null,
+        ...datos,
+        timestamp: new Date().toISOString(),
+      }
+    );
+
+    const recomendacion =
+      "Si no reconoce esta actividad, cambie su contraseña y cierre las sesiones que no identifique.";
+
+    await Promise.allSettled(
+      destinatarios
+        .filter((d) => d.email)
+        .map((d) =>
+          enviarEmailAlertaSeguridad(d, {
+            titulo,
+            lineas:
+              usuario && d.id !== usuario.id
+                ? [`Usuario: ${usuario.username}`, ...lineas]
+                : lineas,
+            recomendacion: usuario && d.id === usuario.id ? recomendacion : undefined,
+          })
+        )
+    );
+  } catch (error) {
+    logger.error(`❌ Error notificando alerta de seguridad ${tipo}: ${error.message}`);
+  }
+};
+
+/**
+ * Registra un login fallido y aplica los bloqueos progresivos
+ *
+ * Solo una contraseña incorrecta cuenta para el bloqueo del usuario;
+ * todos los fallos cuentan para el de la IP.
+ *
+ * @param {Object} datos
+ * @param {Object} [datos.usuario] - Usuario encontrado (null si no existe)
+ * @param {string} datos.credencial - Username o email usado
+ * @param {string} datos.ip - IP del intento
+ * @param {string} [datos.userAgent] - User-Agent
+ * @param {string} datos.razon - Motivo (password_incorrecto, usuario_no_encontrado, ...)
+ * @param {number} datos.fallosIp - Fallos previos de la IP (verificarBloqueoIp)
+ * @returns {Promise<Object>} { intentosRestantes, bloqueadoHasta, captchaRequired }
+ */
+export const registrarLoginFallido = async ({
+  usuario = null,
+  credencial,
+  ip,
+  userAgent,
+  razon,
+  fallosIp,
+}) => {
+  const { maxAttempts, captchaAfterAttempts } = authConfig.accountLock;
+  const fallosIpActuales = fallosIp + 1;
+  let intentos = 0;
+  let bloqueadoHasta = null;
+
+  await registrarIntento({ usuario, credencial, ip, userAgent, exitoso: false, razon });
+
+  if (usuario && razon === "password_incorrecto") {
+    intentos = usuario.failed_login_attempts + 1;
+    const datosActualizacion = { failed_login_attempts: intentos };
+
+    if (intentos >= maxAttempts) {
+      bloqueadoHasta = new Date(
+        Date.now() + calcularDuracionBloqueo(intentos - maxAttempts)
+      );
+      datosActualizacion.locked_until = bloqueadoHasta;
+    }
+
+    await usuario.update(datosActualizacion);
+
+    if (bloqueadoHasta) {
+      logger.warn(
+        `🔒 Cuenta ${usuario.username} bloqueada hasta ${bloqueadoHasta.toISOString()} (${intentos} fallos)`
+      );
+      notificarAlertaSeguridad({
+        tipo: TIPOS_ALERTA.CUENTA_BLOQUEADA,
+        usuario,
+        titulo: "Cuenta bloqueada por intentos fallidos",
+        lineas: [
+          `Intentos fallidos: ${intentos}`,
+          `IP del último intento: ${ip}`,
+          `Bloqueada hasta: ${bloqueadoHasta.toISOString()}`,
+        ],
+        datos: { intentos, ip, bloqueadoHasta },
+      });
+    }
+  }
+
+  // El fallo que alcanza el límite de la IP inicia su bloqueo
+  const limiteIp = authConfig.accountLock.ip.maxAttempts;
+  if (fallosIpActuales >= limiteIp) {
+    const ipBloqueadaHasta = new Date(
+      Date.now() + calcularDuracionBloqueo(fallosIpActuales - limiteIp)
+    );
+    logger.warn(
+      `🔒 IP ${ip} bloqueada hasta ${ipBloqueadaHasta.toISOString()} (${fallosIpActuales} fallos)`
+    );
+    notificarAlertaSeguridad({
+      tipo: TIPOS_ALERTA.IP_BLOQUEADA,
+      titulo: "IP bloqueada por intentos de login fallidos",
+      lineas: [
+        `IP: ${ip}`,
+        `Fallos en la ventana: ${fallosIpActuales}`,
+        `Bloqueada hasta: ${ipBloqueadaHasta.toISOString()}`,
+      ],
+      datos: { ip, fallos: fallosIpActuales, bloqueadoHasta: ipBloqueadaHasta },
+    });
+  }
+
+  return {
+    intentosRestantes: usuario ? Math.max(maxAttempts - intentos, 0) : undefined,
+    bloqueadoHasta,
+    captchaRequired:
+      intentos >= captchaAfterAttempts || fallosIpActuales >= captchaAfterAttempts,
+  };
+};
+
+/**
+ * Registra un código inválido en POST /auth/2fa/verify. Al llegar a
+ * twoFactor.maxAttempts la cuenta se bloquea con el mismo backoff que el
+ * login; los tokens "2FA pendiente" ya emitidos quedan anulados porque
+ * llevan el conteo con el que se emitieron.
+ *
+ * @param {Object} datos
+ * @param {Object} datos.usuario - Usuario del token "2FA pendiente"
+ * @param {string} datos.ip - IP del intento
+ * @returns {Promise<Object>} { intentos, intentosRestantes, bloqueadoHasta }
+ */
+export const registrarFallo2FA = async ({ usuario, ip }) => {
+  const { maxAttempts } = authConfig.twoFactor;
+
+  await Usuario.increment("two_factor_intentos_fallidos", { where: { id: usuario.id } });
+  const { two_factor_intentos_fallidos: intentos } = await Usuario.findByPk(usuario.id, {
+    attributes: ["id", "two_factor_intentos_fallidos"],
+  });
+
+  let bloqueadoHasta = null;
+  if (intentos >= maxAttempts) {
+    bloqueadoHasta = new Date(Date.now() + calcularDuracionBloqueo(intentos - maxAttempts));
+    await Usuario.update({ locked_until: bloqueadoHasta }, { where: { id: usuario.id } });
+
+    logger.warn(
+      `🔒 Cuenta ${usuario.username} bloqueada hasta ${bloqueadoHasta.toISOString()} (${intentos} códigos 2FA inválidos)`
+    );
+    notificarAlertaSeguridad({
+      tipo: TIPOS_ALERTA.CUENTA_BLOQUEADA,
+      usuario,
+      titulo: "Cuenta bloqueada por códigos 2FA inválidos",
+      lineas: [
+        `Códigos inválidos: ${intentos}`,
+        `IP del último intento: ${ip}`,
+        `Bloqueada hasta: ${bloqueadoHasta.toISOString()}`,
+      ],
+      datos: { intentos, ip, bloqueadoHasta },
+    });
+  }
+
+  return {
+    intentos,
+    intentosRestantes: Math.max(maxAttempts - intentos, 0),
+    bloqueadoHasta,
+  };
+};
+
+/**
+ * Compara el login actual con las sesiones anteriores del usuario.
+ * Sin sesiones previas (primer login) no hay referencia y no se marca
+ * nada como nuevo.
+ *
+ * @param {Object} usuario - Instancia de Usuario
+ * @param {string} ip - IP del login
+ * @param {string} [userAgent] - User-Agent del login
+ * @returns {Promise<{nuevaIp: boolean, nuevoDispositivo: boolean}>}
+ */
+export const detectarAccesoNuevo = async (usuario, ip, userAgent) => {
+  const sesiones = await Sesion.findAll({
+    where: { usuario_id: usuario.id },
+    attributes: ["ip_address", "device_type", "browser", "os"],
+    order: [["created_at", "DESC"]],
+    limit: SESIONES_REFERENCIA,
+  });
+
+  if (sesiones.length === 0) {
+    return { nuevaIp: false, nuevoDispositivo: false };
+  }
+
+  const dispositivo = analizarUserAgent(userAgent || null);
+
+  return {
+    nuevaIp: !sesiones.some((s) => s.ip_address === ip),
+    nuevoDispositivo: !sesiones.some(
+      (s) =>
+        s.device_type === dispositivo.device_type &&
+        s.browser === dispositivo.browser &&
+        s.os === dispositivo.os
+    ),
+  };
+};
+
+/**
+ * Registra un login exitoso y alerta si proviene de una IP o
+ * dispositivo nuevo para el usuario
+ *
+ * @param {Object} datos
+ * @param {Object} datos.usuario - Instancia de Usuario
+ * @param {string} datos.credencial - Username o email usado
+ * @param {string} datos.ip - IP del login
+ * @param {string} [datos.userAgent] - User-Agent
+ * @returns {Promise<{nuevaIp: boolean, nuevoDispositivo: boolean}>}
+ */
+export const registrarLoginExitoso = async ({ usuario, credencial, ip, userAgent }) => {
+  await registrarIntento({ usuario, credencial, ip, userAgent, exitoso: true });
+
+  if (!authConfig.securityAlerts.newLoginAlerts) {
+    return { nuevaIp: false, nuevoDispositivo: false };
+  }
+
+  const acceso = await detectarAccesoNuevo(usuario, ip, userAgent);
+
+  if (acceso.nuevaIp || acceso.nuevoDispositivo) {
+    const dispositivo = analizarUserAgent(userAgent || null);
+    const descripcionDispositivo = `${dispositivo.browser} en ${dispositivo.os} (${dispositivo.device_type})`;
+
+    notificarAlertaSeguridad({
+      tipo: acceso.nuevoDispositivo
+        ? TIPOS_ALERTA.LOGIN_NUEVO_DISPOSITIVO
+        : TIPOS_ALERTA.LOGIN_NUEVA_IP,
+      usuario,
+      titulo: acceso.nuevoDispositivo
+        ? "Inicio de sesión desde un dispositivo nuevo"
+        : "Inicio de sesión desde una IP nueva",
+      lineas: [
+        `IP: ${ip}`,
+        `Dispositivo: ${descripcionDispositivo}`,
+        `Fecha: ${new Date().toISOString()}`,
+      ],
+      datos: { ip, dispositivo: descripcionDispositivo, ...acceso },
+    });
+  }
+
+  return acceso;
+};
+
+export default {
+  TIPOS_ALERTA,
+  calcularDuracionBloqueo,
+  verificarBloqueoIp,
+  notificarAlertaSeguridad,
+  registrarLoginFallido,
+  registrarFallo2FA,
+  detectarAccesoNuevo,
+  registrarLoginExitoso,
+};
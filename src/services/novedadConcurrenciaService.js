@@ -0,0 +1,115 @@
+/**
+ * ===================================================
+ * SERVICIO: Novedad Concurrencia Service
+ * ===================================================
+ *
+ * Ruta: src/services/novedadConcurrenciaService.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * Control de ediciones concurrentes de una misma novedad:
+ *
+ * - Concurrencia optimista: cada novedad tiene una columna version que
+ *   Sequelize incrementa en cada guardado. GET /novedades/:id la expone
+ *   en el header ETag y PUT / asignar aceptan la precondición en
+ *   If-Match (o "version" en el body). Si no coincide con la actual, la
+ *   edición es obsoleta y se responde 409 con el registro vigente.
+ * - Reclamo: si otro usuario tiene la novedad reclamada (ver
+ *   novedadReclamosService) la edición se rechaza, salvo para los roles
+ *   de supervisión.
+ *
+ * Con NOVEDAD_REQUIRE_IF_MATCH=true la precondición es obligatoria (428).
+ */
+
+import { obtenerReclamo } from "./novedadReclamosService.js";
+
+/**
+ * Roles que pueden editar o tomar una novedad reclamada por otro usuario
+ * @constant {Array<string>}
+ */
+export const ROLES_SUPERVISION = ["supervisor", "admin", "super_admin"];
+
+/**
+ * Precondición obligatoria en PUT /novedades/:id y /asignar
+ * @constant {boolean}
+ */
+export const PRECONDICION_OBLIGATORIA = process.env.NOVEDAD_REQUIRE_IF_MATCH === "true";
+
+/**
+ * ETag de una novedad según su versión
+ *
+ * @param {Object} novedad - Instancia de Novedad
+ * @returns {string} ej: "novedad-15-v3"
+ */
+export const etagNovedad = (novedad) => `"novedad-${novedad.id}-v${novedad.version ?? 0}"`;
+
+/**
+ * Versiones indicadas en un header If-Match (admite lista y ETags débiles)
+ * @private
+ */
+const versionesIfMatch = (ifMatch) =>
+  ifMatch
+    .split(",")
+    .map((etag) => etag.trim().match(/-v(\d+)"$/))
+    .filter(Boolean)
+    .map((match) => Number(match[1]));
+
+/**
+ * Evalúa la precondición de versión de una edición
+ *
+ * @param {Object} req - Request (header If-Match o body.version)
+ * @param {Object} novedad - Novedad leída dentro de la transacción
+ * @returns {Object} { ok: true } o { ok: false, status: 409 | 428, message }
+ */
+export const evaluarPrecondicion = (req, novedad) => {
+  const ifMatch = req.headers["if-match"];
+  const versionBody = req.body?.version;
+  const versionActual = novedad.version ?? 0;
+
+  if (ifMatch) {
+    if (ifMatch.trim() === "*" || versionesIfMatch(ifMatch).includes(versionActual)) {
+      return { ok: true };
+    }
+  } else if (versionBody !== undefined && versionBody !== null && versionBody !== "") {
+    if (Number(versionBody) === versionActual) return { ok: true };
+  } else if (PRECONDICION_OBLIGATORIA) {
+    return {
+      ok: false,
+      status: 428,
+      message: "Se requiere el header If-Match con el ETag de la novedad",
+    };
+  } else {
+    return { ok: true };
+  }
+
+  return {
+    ok: false,
+    status: 409,
+    message: "La novedad fue modificada por otro usuario. Revise los datos actuales antes de guardar",
+  };
+};
+
+/**
+ * Reclamo vigente de otro usuario que impide editar la novedad
+ *
+ * @param {Object} req - Request autenticado (req.user)
+ * @param {Object} novedad - Instancia de Novedad
+ * @returns {Promise<Object|null>} Reclamo ajeno, o null si puede editar
+ */
+export const reclamoAjeno = async (req, novedad) => {
+  const reclamo = await obtenerReclamo(novedad.id);
+  if (!reclamo || reclamo.usuario_id === req.user.id) return null;
+
+  const esSupervision = (req.user.rolSlugs || []).some((r) => ROLES_SUPERVISION.includes(r));
+  return esSupervision ? null : reclamo;
+};
+
+export default {
+  ROLES_SUPERVISION,
+  PRECONDICION_OBLIGATORIA,
+  etagNovedad,
+  evaluarPrecondicion,
+  reclamoAjeno,
+};
@@ -0,0 +1,273 @@
+/**
+ * ===================================================
+ * SERVICIO: Novedad Duplicados Service
+ * ===================================================
+ *
+ * Ruta: src/services/novedadDuplicadosService.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * Un mismo hecho suele llegar en varias llamadas y cada una se registra
+ * como novedad. Este servicio:
+ *
+ * - Busca posibles duplicados de una novedad: novedades abiertas (no
+ *   fusionadas, en estado no final) ocurridas dentro de
+ *   NOVEDAD_DUPLICADOS_VENTANA_MIN minutos que estén a menos de
+ *   NOVEDAD_DUPLICADOS_RADIO_M metros con el mismo tipo o subtipo, o que
+ *   tengan el mismo teléfono de reportante.
+ * - Fusiona una novedad en otra principal: la fusionada se conserva (con
+ *   su llamada y su historial) enlazada por novedad_padre_id, y el
+ *   historial de la principal incluye el de sus fusionadas.
+ */
+
+import { Op, QueryTypes } from "sequelize";
+import sequelize from "../config/database.js";
+import models from "../models/index.js";
+import { getNowInTimezone, rawDate } from "../utils/dateHelper.js";
+const { Novedad, HistorialEstadoNovedad } = models;
+
+/**
+ * Metros por grado de latitud (para el recuadro previo al cálculo exacto)
+ * @private
+ */
+const METROS_POR_GRADO = 111320;
+
+/**
+ * Máximo de candidatos devueltos
+ * @private
+ */
+const LIMITE_CANDIDATOS = 10;
+
+/**
+ * Configuración de la búsqueda desde el entorno
+ * @private
+ */
+const configuracion = () => ({
+  radioM: parseInt(process.env.NOVEDAD_DUPLICADOS_RADIO_M) || 300,
+  ventanaMin: parseInt(process.env.NOVEDAD_DUPLICADOS_VENTANA_MIN) || 120,
+});
+
+/**
+ * Distancia en metros (Haversine) entre la novedad ni y :lat/:lng
+ * @private
+ */
+const SQL_DISTANCIA = `
+  6371000 * 2 * ASIN(SQRT(
+    POW(SIN(RADIANS(ni.latitud - :lat) / 2), 2) +
+    COS(RADIANS(:lat)) * COS(RADIANS(ni.latitud)) *
+    POW(SIN(RADIANS(ni.longitud - :lng) / 2), 2)
+  ))`;
+
+/**
+ * Busca novedades abiertas que podrían ser el mismo hecho
+ *
+ * @param {Object} criterios
+ * @param {number|string} [criterios.latitud]
+ * @param {number|string} [criterios.longitud]
+ * @param {number} [criterios.tipo_novedad_id]
+ * @param {number} [criterios.subtipo_novedad_id]
+ * @param {string} [criterios.reportante_telefono]
+ * @param {string} [criterios.fecha_hora_ocurrencia] - Hora Perú "YYYY-MM-DD HH:mm:ss" (por defecto, ahora)
+ * @param {number} [criterios.excluirId] - Novedad a excluir (la propia)
+ * @returns {Promise<Array<Object>>} Candidatos ordenados por cercanía, con
+ *   distancia_m y motivos (UBICACION, TELEFONO)
+ */
+export const buscarPosiblesDuplicados = async ({
+  latitud,
+  longitud,
+  tipo_novedad_id,
+  subtipo_novedad_id,
+  reportante_telefono,
+  fecha_hora_ocurrencia,
+  excluirId,
+}) => {
+  const { radioM, ventanaMin } = configuracion();
+  const lat = latitud !== undefined && latitud !== null && latitud !== "" ? parseFloat(latitud) : null;
+  const lng = longitud !== undefined && longitud !== null && longitud !== "" ? parseFloat(longitud) : null;
+  const telefono = reportante_telefono ? String(reportante_telefono).trim() : null;
+  const porUbicacion = lat !== null && lng !== null && (tipo_novedad_id || subtipo_novedad_id);
+
+  if (!porUbicacion && !telefono) return [];
+
+  const replacements = {
+    fecha: fecha_hora_ocurrencia || getNowInTimezone(),
+    ventana: ventanaMin,
+    excluirId: excluirId || 0,
+    lat,
+    lng,
+    radio: radioM,
+    tipo: tipo_novedad_id || 0,
+    subtipo: subtipo_novedad_id || 0,
+    telefono,
+  };
+
+  const criterios = [];
+  if (porUbicacion) {
+    const deltaLat = radioM / METROS_POR_GRADO;
+    const deltaLng = radioM / (METROS_POR_GRADO * Math.max(Math.cos((lat * Math.PI) / 180), 0.01));
+    Object.assign(replacements, {
+      latMin: lat - deltaLat,
+      latMax: lat + deltaLat,
+      lngMin: lng - deltaLng,
+      lngMax: lng + deltaLng,
+    });
+    criterios.push(`(
+      ni.latitud BETWEEN :latMin AND :latMax
+      AND ni.longitud BETWEEN :lngMin AND :lngMax
+      AND (ni.tipo_novedad_id = :tipo OR ni.subtipo_novedad_id = :subtipo)
+      AND ${SQL_DISTANCIA} <= :radio
+    )`);
+  }
+  if (telefono) {
+    criterios.push("ni.reportante_telefono = :telefono");
+  }
+
+  const filas = await sequelize.query(
+    `
+    SELECT
+      ni.id,
+      ni.novedad_code,
+      ni.fecha_hora_ocurrencia,
+      ni.tipo_novedad_id,
+      tn.nombre AS tipo_novedad_nombre,
+      ni.subtipo_novedad_id,
+      sn.nombre AS subtipo_novedad_nombre,
+      ni.estado_novedad_id,
+      en.nombre AS estado_novedad_nombre,
+      ni.prioridad_actual,
+      ni.localizacion,
+      ni.latitud,
+      ni.longitud,
+      ni.reportante_telefono,
+      ni.descripcion,
+      ${lat !== null && lng !== null ? SQL_DISTANCIA : "NULL"} AS distancia_m,
+      (SELECT COUNT(*) FROM novedades_incidentes f
+        WHERE f.novedad_padre_id = ni.id AND f.deleted_at IS NULL) AS num_fusionadas
+    FROM novedades_incidentes ni
+    INNER JOIN estados_novedad en ON en.id = ni.estado_novedad_id
+    LEFT JOIN tipos_novedad tn ON tn.id = ni.tipo_novedad_id
+    LEFT JOIN subtipos_novedad sn ON sn.id = ni.subtipo_novedad_id
+    WHERE ni.estado = 1
+      AND ni.deleted_at IS NULL
+      AND ni.novedad_padre_id IS NULL
+      AND ni.id <> :excluirId
+      AND COALESCE(en.es_final, 0) = 0
+      AND ni.fecha_hora_ocurrencia BETWEEN :fecha - INTERVAL :ventana MINUTE AND :fecha + INTERVAL :ventana MINUTE
+      AND (${criterios.join(" OR ")})
+    ORDER BY distancia_m IS NULL, distancia_m ASC, ni.fecha_hora_ocurrencia DESC
+    LIMIT ${LIMITE_CANDIDATOS}
+    `,
+    { replacements, type: QueryTypes.SELECT }
+  );
+
+  return filas.map((fila) => {
+    const distancia = fila.distancia_m !== null ? Math.round(Number(fila.distancia_m)) : null;
+    const motivos = [];
+    if (porUbicacion && distancia !== null && distancia <= radioM &&
+      (fila.tipo_novedad_id === Number(tipo_novedad_id) || fila.subtipo_novedad_id === Number(subtipo_novedad_id))) {
+      motivos.push("UBICACION");
+    }
+    if (telefono && fila.reportante_telefono === telefono) motivos.push("TELEFONO");
+
+    return {
+      ...fila,
+      distancia_m: distancia,
+      num_fusionadas: Number(fila.num_fusionadas),
+      mismo_subtipo: Boolean(subtipo_novedad_id) && fila.subtipo_novedad_id === Number(subtipo_novedad_id),
+      motivos,
+    };
+  });
+};
+
+/**
+ * IDs cuyo historial forma el historial unificado de una novedad: la
+ * propia y las fusionadas en ella
+ *
+ * @param {number} novedadId
+ * @returns {Promise<Array<number>>}
+ */
+export const idsHistorialUnificado = async (novedadId) => {
+  const fusionadas = await Novedad.findAll({
+    where: { novedad_padre_id: novedadId, deleted_at: null },
+    attributes: ["id"],
+  });
+  return [Number(novedadId), ...fusionadas.map((n) => n.id)];
+};
+
+/**
+ * Fusiona una novedad duplicada en su principal. Las novedades que ya
+ * estaban fusionadas en la duplicada pasan a la principal (un solo nivel).
+ * Registra la fusión en el historial de ambas.
+ *
+ * @param {Object} params
+ * @param {Object} params.novedad - Instancia de la novedad duplicada (bloqueada)
+ * @param {Object} params.principal - Instancia de la novedad principal (bloqueada)
+ * @param {number} params.usuarioId
+ * @param {string} [params.observaciones]
+ * @param {Object} params.transaction
+ * @returns {Promise<void>}
+ */
+export const fusionarNovedad = async ({ novedad, principal, usuarioId, observaciones, transaction }) => {
+  const ahora = rawDate(getNowInTimezone(), sequelize);
+
+  await novedad.update(
+    {
+      novedad_padre_id: principal.id,
+      fecha_fusion: ahora,
+      fusionado_por: usuarioId,
+      updated_by: usuarioId,
+    },
+    { transaction }
+  );
+
+  await Novedad.update(
+    { novedad_padre_id: principal.id, version: sequelize.literal("version + 1") },
+    { where: { novedad_padre_id: novedad.id, id: { [Op.ne]: principal.id } }, transaction }
+  );
+
+  const metadata = {
+    tipo: "FUSION",
+    novedad_id: novedad.id,
+    novedad_code: novedad.novedad_code,
+    novedad_padre_id: principal.id,
+    novedad_padre_code: principal.novedad_code,
+  };
+  const detalle = observaciones ? `: ${observaciones}` : "";
+
+  // Registros sin cambio de estado: solo documentan la fusión
+  await HistorialEstadoNovedad.bulkCreate(
+    [
+      {
+        novedad_id: novedad.id,
+        estado_anterior_id: novedad.estado_novedad_id,
+        estado_nuevo_id: novedad.estado_novedad_id,
+        usuario_id: usuarioId,
+        observaciones: `Fusionada en la novedad ${principal.novedad_code}${detalle}`,
+        metadata,
+        fecha_cambio: ahora,
+        created_by: usuarioId,
+        updated_by: usuarioId,
+      },
+      {
+        novedad_id: principal.id,
+        estado_anterior_id: principal.estado_novedad_id,
+        estado_nuevo_id: principal.estado_novedad_id,
+        usuario_id: usuarioId,
+        observaciones: `Se fusionó la novedad ${novedad.novedad_code}${detalle}`,
+        metadata,
+        fecha_cambio: ahora,
+        created_by: usuarioId,
+        updated_by: usuarioId,
+      },
+    ],
+    { transaction }
+  );
+};
+
+export default {
+  buscarPosiblesDuplicados,
+  idsHistorialUnificado,
+  fusionarNovedad,
+};
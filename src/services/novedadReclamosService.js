@@ -0,0 +1,248 @@
+/**
+ * ===================================================
+ * SERVICIO: Novedad Reclamos Service
+ * ===================================================
+ *
+ * Ruta: src/services/novedadReclamosService.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * Reclamo de una novedad por un operador ("la estoy atendiendo") para
+ * que dos operadores no despachen el mismo incidente a la vez. El
+ * reclamo vence a los NOVEDAD_CLAIM_TTL_SEC segundos salvo que el
+ * cliente lo renueve (heartbeat). Se usa desde el gateway WebSocket y
+ * desde /novedades/:id/claim; la supervisión puede tomarlo o liberarlo.
+ *
+ * Los reclamos se guardan en novedad_reclamos (una fila por novedad):
+ * se toman con un UPDATE / INSERT condicional, así que dos réplicas no
+ * pueden entregar la misma novedad a operadores distintos. El bus de
+ * sse-manager solo notifica los cambios ("novedad_reclamada" /
+ * "novedad_liberada") a los clientes SSE y WebSocket.
+ */
+
+import os from "os";
+import { Op } from "sequelize";
+import models from "../models/index.js";
+import { publishEvent } from "../utils/sse-manager.js";
+import { canalesNovedad } from "./sseCanalesService.js";
+import logger from "../utils/logger.js";
+
+const { NovedadReclamo } = models;
+
+/**
+ * Eventos de reclamo
+ * @constant {Object}
+ */
+export const EVENTOS_RECLAMO = {
+  RECLAMADA: "novedad_reclamada",
+  LIBERADA: "novedad_liberada",
+};
+
+/**
+ * Duración de un reclamo sin renovar
+ * @constant {number}
+ */
+export const TTL_RECLAMO_MS = (parseInt(process.env.NOVEDAD_CLAIM_TTL_SEC) || 60) * 1000;
+
+// Intentos de reclamo cuando otra réplica cambia la fila entretanto
+const MAX_INTENTOS_RECLAMO = 3;
+
+// Las conexiones WebSocket son propias de cada proceso
+const INSTANCIA = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Conexión de origen tal como se guarda en la tabla
+ * @private
+ */
+const claveConexion = (conexion) => `${INSTANCIA}/${conexion}`.slice(0, 150);
+
+/**
+ * Reclamo vigente (con la conexión de origen); ignora los vencidos
+ * @private
+ */
+const reclamoVigente = (novedadId) =>
+  NovedadReclamo.findOne({
+    where: { novedad_id: Number(novedadId), expira_en: { [Op.gt]: new Date() } },
+    raw: true,
+  });
+
+/**
+ * Datos públicos del reclamo (sin la conexión de origen)
+ * @private
+ */
+const datosPublicos = (reclamo) => ({
+  novedad_id: Number(reclamo.novedad_id),
+  usuario_id: reclamo.usuario_id,
+  username: reclamo.username,
+  expira_en: new Date(reclamo.expira_en).toISOString(),
+});
+
+/**
+ * Escribe el reclamo solo si la fila sigue como se leyó: vigente del
+ * mismo titular, vencida o inexistente. Devuelve false si otra réplica
+ * se adelantó.
+ * @private
+ */
+const tomarReclamo = async (novedadId, vigente, datos) => {
+  const condicion = vigente
+    ? { usuario_id: vigente.usuario_id, expira_en: { [Op.gt]: new Date() } }
+    : { expira_en: { [Op.lte]: new Date() } };
+
+  const [actualizadas] = await NovedadReclamo.update(datos, {
+    where: { novedad_id: novedadId, ...condicion },
+  });
+  if (actualizadas > 0) return true;
+  if (vigente) return false;
+
+  try {
+    await NovedadReclamo.create({ novedad_id: novedadId, ...datos });
+    return true;
+  } catch (error) {
+    if (error.name === "SequelizeUniqueConstraintError") return false;
+    throw error;
+  }
+};
+
+/**
+ * Notifica la liberación de un reclamo
+ * @private
+ */
+const notificarLiberacion = async (novedad, reclamo, liberadoPor) => {
+  await publishEvent(await canalesNovedad(novedad), EVENTOS_RECLAMO.LIBERADA, {
+    novedad_id: Number(novedad.id),
+    novedad_code: novedad.novedad_code,
+    usuario_id: reclamo.usuario_id,
+    username: reclamo.username,
+    liberado_por: liberadoPor,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Reclamo vigente de una novedad
+ *
+ * @param {number} novedadId
+ * @returns {Promise<Object|null>} { novedad_id, usuario_id, username, expira_en }
+ */
+export const obtenerReclamo = async (novedadId) => {
+  const reclamo = await reclamoVigente(novedadId);
+  return reclamo ? datosPublicos(reclamo) : null;
+};
+
+/**
+ * Reclama o renueva (heartbeat) el reclamo de una novedad
+ *
+ * @param {Object} novedad - Instancia de Novedad
+ * @param {Object} usuario - { id, username }
+ * @param {Object} [opciones]
+ * @param {string} [opciones.conexion] - Conexión WebSocket que reclama
+ *   (el reclamo se libera al desconectarse)
+ * @param {boolean} [opciones.forzar=false] - Tomar el reclamo de otro
+ *   usuario (supervisión); el llamador valida el rol
+ * @returns {Promise<Object>} { ok, reclamo } o { ok: false, reclamo } con
+ *   el reclamo vigente de otro usuario
+ */
+export const reclamarNovedad = async (novedad, usuario, { conexion = null, forzar = false } = {}) => {
+  const novedadId = Number(novedad.id);
+
+  for (let intento = 0; intento < MAX_INTENTOS_RECLAMO; intento++) {
+    const vigente = await reclamoVigente(novedadId);
+    const ajeno = Boolean(vigente) && vigente.usuario_id !== usuario.id;
+    if (ajeno && !forzar) {
+      return { ok: false, reclamo: datosPublicos(vigente) };
+    }
+
+    const datos = {
+      usuario_id: usuario.id,
+      username: usuario.username,
+      conexion: conexion !== null ? claveConexion(conexion) : ajeno ? null : vigente?.conexion ?? null,
+      expira_en: new Date(Date.now() + TTL_RECLAMO_MS),
+    };
+
+    if (!(await tomarReclamo(novedadId, vigente, datos))) continue;
+
+    const reclamo = datosPublicos({ novedad_id: novedadId, ...datos });
+
+    await publishEvent(await canalesNovedad(novedad), EVENTOS_RECLAMO.RECLAMADA, {
+      ...reclamo,
+      novedad_code: novedad.novedad_code,
+      renovado: Boolean(vigente) && !ajeno,
+      forzado: ajeno,
+      usuario_anterior_id: ajeno ? vigente.usuario_id : null,
+      timestamp: new Date().toISOString(),
+    });
+
+    return { ok: true, reclamo };
+  }
+
+  throw new Error(`No se pudo reclamar la novedad ${novedadId}: el reclamo cambió durante la operación`);
+};
+
+/**
+ * Libera el reclamo de una novedad si lo tiene el usuario
+ *
+ * @param {Object} novedad - Instancia de Novedad
+ * @param {Object} usuario - { id, username }
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.forzar=false] - Liberar el reclamo de otro
+ *   usuario (supervisión); el llamador valida el rol
+ * @returns {Promise<boolean>} true si se liberó un reclamo
+ */
+export const liberarNovedad = async (novedad, usuario, { forzar = false } = {}) => {
+  const vigente = await reclamoVigente(novedad.id);
+  if (!vigente || (vigente.usuario_id !== usuario.id && !forzar)) return false;
+
+  const eliminadas = await NovedadReclamo.destroy({
+    where: { novedad_id: Number(novedad.id), usuario_id: vigente.usuario_id },
+  });
+  if (eliminadas === 0) return false;
+
+  await notificarLiberacion(novedad, vigente, usuario.id);
+  return true;
+};
+
+/**
+ * Libera los reclamos hechos desde una conexión de este proceso que se
+ * cerró
+ *
+ * @param {string} conexion - Identificador de la conexión
+ * @param {Function} cargarNovedad - (novedadId) => Promise<Novedad|null>
+ * @returns {Promise<number>} Reclamos liberados
+ */
+export const liberarReclamosDeConexion = async (conexion, cargarNovedad) => {
+  const clave = claveConexion(conexion);
+  const propios = await NovedadReclamo.findAll({
+    where: { conexion: clave, expira_en: { [Op.gt]: new Date() } },
+    raw: true,
+  });
+
+  let liberados = 0;
+  for (const reclamo of propios) {
+    try {
+      // Solo si sigue siendo de esta conexión (no renovado desde otra)
+      const eliminadas = await NovedadReclamo.destroy({
+        where: { novedad_id: reclamo.novedad_id, conexion: clave },
+      });
+      if (eliminadas === 0) continue;
+      liberados++;
+
+      const novedad = await cargarNovedad(reclamo.novedad_id);
+      if (novedad) await notificarLiberacion(novedad, reclamo, reclamo.usuario_id);
+    } catch (error) {
+      logger.error(`❌ Error liberando reclamo de novedad ${reclamo.novedad_id}: ${error.message}`);
+    }
+  }
+
+  return liberados;
+};
+
+export default {
+  EVENTOS_RECLAMO,
+  TTL_RECLAMO_MS,
+  obtenerReclamo,
+  reclamarNovedad,
+  liberarNovedad,
+  liberarReclamosDeConexion,
+};
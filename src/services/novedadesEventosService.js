@@ -0,0 +1,469 @@
+/**
+ * ===================================================
+ * SERVICIO: Novedades Eventos Service
+ * ===================================================
+ *
+ * Ruta: src/services/novedadesEventosService.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * Eventos en tiempo real del ciclo de vida de las novedades. Cada
+ * cambio (edición, despacho, cambio de estado, cierre, eliminación) se
+ * publica por SSE a los canales de la novedad (ver sseCanalesService)
+ * con un payload compacto: identificación de la novedad y solo los
+ * campos que cambiaron.
+ *
+ * CATALOGO_EVENTOS es la fuente del esquema que se publica en
+ * GET /novedades/stream/schema para el frontend.
+ */
+
+import models from "../models/index.js";
+import { publishEvent } from "../utils/sse-manager.js";
+import { canalesNovedad } from "./sseCanalesService.js";
+import logger from "../utils/logger.js";
+const { EstadoNovedad } = models;
+
+/**
+ * Versión del catálogo; se incrementa ante cambios incompatibles
+ * @constant {string}
+ */
+export const VERSION_CATALOGO = "1.6.0";
+
+/**
+ * Nombres de eventos SSE de novedades
+ * @constant {Object}
+ */
+export const EVENTOS_NOVEDAD = {
+  CREADA: "nueva_novedad",
+  ACTUALIZADA: "novedad_actualizada",
+  DESPACHADA: "novedad_despachada",
+  ESTADO_CAMBIADO: "estado_cambiado",
+  CERRADA: "novedad_cerrada",
+  ELIMINADA: "novedad_eliminada",
+  FUSIONADA: "novedad_fusionada",
+};
+
+/**
+ * Campos que no se informan en los diffs (auditoría)
+ * @private
+ */
+const CAMPOS_IGNORADOS = new Set([
+  "updated_by",
+  "updated_at",
+  "created_by",
+  "created_at",
+]);
+
+/**
+ * Esquemas JSON reutilizados en el catálogo
+ * @private
+ */
+const ESQUEMA_BASE = {
+  id: { type: "integer", description: "ID de la novedad" },
+  novedad_code: { type: "string" },
+  estado_novedad_id: { type: "integer" },
+  sector_id: { type: ["integer", "null"] },
+  cuadrante_id: { type: ["integer", "null"] },
+  prioridad_actual: { type: ["string", "null"] },
+  usuario_id: {
+    type: ["integer", "null"],
+    description: "Usuario que originó el cambio (null si fue automático, ej. escalamiento por SLA)",
+  },
+  timestamp: { type: "string", format: "date-time" },
+};
+
+const ESQUEMA_CAMBIOS = {
+  type: "object",
+  description: "Campos modificados: { campo: { antes, despues } }",
+  additionalProperties: {
+    type: "object",
+    properties: { antes: {}, despues: {} },
+    required: ["antes", "despues"],
+  },
+};
+
+const ESQUEMA_ALERTA_SLA = {
+  type: "object",
+  properties: {
+    novedad_id: { type: "integer" },
+    novedad_code: { type: "string" },
+    sla_estado: { type: "string", enum: ["EN_RIESGO", "VENCIDO"] },
+    objetivo_min: { type: "integer", description: "tiempo_respuesta_min del subtipo" },
+    transcurrido_min: { type: "integer" },
+    prioridad_anterior: { type: ["string", "null"] },
+    prioridad_actual: { type: ["string", "null"] },
+    escalada: { type: "boolean" },
+    subtipo_novedad_id: { type: ["integer", "null"] },
+    sector_id: { type: ["integer", "null"] },
+    cuadrante_id: { type: ["integer", "null"] },
+    turno: { type: ["string", "null"] },
+    timestamp: { type: "string", format: "date-time" },
+  },
+  required: ["novedad_id", "sla_estado", "objetivo_min", "transcurrido_min"],
+};
+
+const payloadSchema = (propiedades = {}, requeridos = []) => ({
+  type: "object",
+  properties: { ...ESQUEMA_BASE, ...propiedades },
+  required: ["id", "novedad_code", "estado_novedad_id", "usuario_id", "timestamp", ...requeridos],
+});
+
+/**
+ * Catálogo de eventos del stream /novedades/stream
+ * @constant {Object}
+ */
+export const CATALOGO_EVENTOS = {
+  connected: {
+    descripcion: "Confirmación de conexión con el alcance del cliente",
+    payload: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+        clientId: { type: "integer" },
+        alcance: {
+          type: "object",
+          properties: {
+            global: { type: "boolean" },
+            sectores: { type: "array", items: { type: "integer" } },
+            cuadrantes: { type: "array", items: { type: "integer" } },
+          },
+        },
+        timestamp: { type: "string", format: "date-time" },
+      },
+    },
+  },
+  error: {
+    descripcion: "Error de autenticación o de alcance; el servidor cierra el stream",
+    payload: {
+      type: "object",
+      properties: { error: { type: "string" } },
+      required: ["error"],
+    },
+  },
+  resync_required: {
+    descripcion: "Los eventos posteriores a Last-Event-ID ya no están disponibles; el cliente debe recargar su lista",
+    payload: {
+      type: "object",
+      properties: {
+        lastEventId: { type: "integer" },
+        oldestEventId: { type: "integer" },
+        currentEventId: { type: "integer" },
+        timestamp: { type: "string", format: "date-time" },
+      },
+      required: ["lastEventId", "currentEventId"],
+    },
+  },
+  [EVENTOS_NOVEDAD.CREADA]: {
+    descripcion: "Novedad registrada. Desde POST /novedades incluye las relaciones para mostrarla sin recargar; los reportes ciudadanos (POST /publico/reportes) llegan con reporte_ciudadano para la cola de triaje",
+    payload: {
+      type: "object",
+      properties: {
+        id: { type: "integer" },
+        novedad_code: { type: "string" },
+        tipo_novedad_id: { type: "integer" },
+        descripcion: { type: ["string", "null"] },
+        prioridad_actual: { type: ["string", "null"] },
+        estado_novedad_id: { type: "integer" },
+        origen_llamada: { type: ["string", "null"] },
+        reporte_ciudadano: {
+          type: ["object", "null"],
+          description: "Solo en reportes de la API pública (origen APP_CIUDADANA): { id, estado_triaje }",
+        },
+        latitud: { type: ["number", "string", "null"] },
+        longitud: { type: ["number", "string", "null"] },
+        created_at: { type: "string", format: "date-time" },
+        novedadTipoNovedad: { type: ["object", "null"] },
+        novedadSubtipoNovedad: { type: ["object", "null"] },
+        novedadEstado: { type: ["object", "null"] },
+        novedadSector: { type: ["object", "null"] },
+        direccion: { type: ["object", "null"] },
+      },
+      required: ["id", "novedad_code"],
+    },
+  },
+  [EVENTOS_NOVEDAD.ACTUALIZADA]: {
+    descripcion: "Datos de la novedad editados (PUT /novedades/:id) o prioridad escalada por SLA vencido",
+    payload: payloadSchema({ cambios: ESQUEMA_CAMBIOS }, ["cambios"]),
+  },
+  [EVENTOS_NOVEDAD.DESPACHADA]: {
+    descripcion: "Recursos asignados o reasignados (POST /novedades/:id/asignar)",
+    payload: payloadSchema(
+      {
+        cambios: ESQUEMA_CAMBIOS,
+        usuario_despacho: { type: ["integer", "null"] },
+      },
+      ["cambios"]
+    ),
+  },
+  [EVENTOS_NOVEDAD.ESTADO_CAMBIADO]: {
+    descripcion: "Transición de estado, desde cualquier endpoint",
+    payload: payloadSchema(
+      {
+        estado_anterior_id: { type: ["integer", "null"] },
+        estado_nuevo_id: { type: "integer" },
+        estado_nuevo: { type: ["string", "null"], description: "Nombre del estado" },
+        observaciones: { type: ["string", "null"] },
+      },
+      ["estado_anterior_id", "estado_nuevo_id"]
+    ),
+  },
+  [EVENTOS_NOVEDAD.CERRADA]: {
+    descripcion: "La novedad pasó a un estado final (EstadoNovedad.es_final); se emite además de estado_cambiado",
+    payload: payloadSchema({
+      estado_nuevo: { type: ["string", "null"] },
+    }),
+  },
+  [EVENTOS_NOVEDAD.ELIMINADA]: {
+    descripcion: "Novedad eliminada (soft delete); el cliente debe quitarla de sus listas",
+    payload: payloadSchema(),
+  },
+  [EVENTOS_NOVEDAD.FUSIONADA]: {
+    descripcion: "Novedad duplicada fusionada en otra (POST /novedades/:id/fusionar); el cliente debe quitarla de sus listas y mostrarla dentro de la principal",
+    payload: payloadSchema(
+      {
+        novedad_padre_id: { type: "integer" },
+        novedad_padre_code: { type: "string" },
+      },
+      ["novedad_padre_id"]
+    ),
+  },
+  novedad_reconocida: {
+    descripcion: "Un operador confirmó haber visto la alerta (mensaje WebSocket ack_novedad)",
+    payload: {
+      type: "object",
+      properties: {
+        novedad_id: { type: "integer" },
+        novedad_code: { type: "string" },
+        usuario_id: { type: "integer" },
+        username: { type: "string" },
+        timestamp: { type: "string", format: "date-time" },
+      },
+      required: ["novedad_id", "usuario_id"],
+    },
+  },
+  novedad_reclamada: {
+    descripcion: "Un operador está atendiendo la novedad; el reclamo vence en expira_en salvo que se renueve",
+    payload: {
+      type: "object",
+      properties: {
+        novedad_id: { type: "integer" },
+        novedad_code: { type: "string" },
+        usuario_id: { type: "integer" },
+        username: { type: "string" },
+        expira_en: { type: "string", format: "date-time" },
+        renovado: { type: "boolean" },
+        forzado: { type: "boolean", description: "Un supervisor tomó el reclamo de otro usuario" },
+        usuario_anterior_id: { type: ["integer", "null"] },
+        timestamp: { type: "string", format: "date-time" },
+      },
+      required: ["novedad_id", "usuario_id", "expira_en"],
+    },
+  },
+  novedad_liberada: {
+    descripcion: "El operador dejó de atender la novedad (o se desconectó), o un supervisor liberó su reclamo",
+    payload: {
+      type: "object",
+      properties: {
+        novedad_id: { type: "integer" },
+        novedad_code: { type: "string" },
+        usuario_id: { type: "integer", description: "Usuario que tenía el reclamo" },
+        username: { type: "string" },
+        liberado_por: { type: "integer" },
+        timestamp: { type: "string", format: "date-time" },
+      },
+      required: ["novedad_id", "usuario_id"],
+    },
+  },
+  unidad_estado_cambiado: {
+    descripcion: "Cambio de estado operativo de un vehículo (REST o mensaje WebSocket estado_unidad)",
+    payload: {
+      type: "object",
+      properties: {
+        vehiculo_id: { type: "integer" },
+        codigo_vehiculo: { type: ["string", "null"] },
+        placa: { type: ["string", "null"] },
+        unidad_oficina_id: { type: ["integer", "null"] },
+        estado_anterior: { type: "string" },
+        estado_nuevo: { type: "string" },
+        usuario_id: { type: "integer" },
+        timestamp: { type: "string", format: "date-time" },
+      },
+      required: ["vehiculo_id", "estado_anterior", "estado_nuevo"],
+    },
+  },
+  novedad_sla_en_riesgo: {
+    descripcion: "La novedad sin llegada consumió NOVEDAD_SLA_RIESGO_PCT % del tiempo de respuesta de su subtipo; solo supervisión",
+    payload: ESQUEMA_ALERTA_SLA,
+  },
+  novedad_sla_vencida: {
+    descripcion: "Se superó el tiempo de respuesta sin llegada; la prioridad sube un nivel (se emite además novedad_actualizada si cambió). Solo supervisión",
+    payload: ESQUEMA_ALERTA_SLA,
+  },
+  alerta_seguridad: {
+    descripcion: "Alerta de seguridad de cuenta (bloqueos, accesos nuevos); solo al usuario afectado y administradores",
+    payload: {
+      type: "object",
+      properties: {
+        tipo: { type: "string" },
+        titulo: { type: "string" },
+        usuario: { type: ["object", "null"] },
+        timestamp: { type: "string", format: "date-time" },
+      },
+      required: ["tipo", "titulo"],
+    },
+  },
+};
+
+/**
+ * Esquema publicado en GET /novedades/stream/schema
+ *
+ * @returns {Object} Catálogo de eventos con sus payloads (JSON Schema)
+ */
+export const obtenerEsquemaEventos = () => ({
+  version: VERSION_CATALOGO,
+  transporte: "text/event-stream",
+  endpoint: "/api/v1/novedades/stream",
+  reconexion: {
+    descripcion:
+      "Los eventos de novedades llevan id creciente. Al reconectar con el header Last-Event-ID (o ?lastEventId=) se reenvían los perdidos del alcance del cliente",
+    eventosSinId: ["connected", "error", "resync_required"],
+  },
+  websocket: {
+    endpoint: "/api/v1/novedades/ws",
+    descripcion:
+      "Mismos eventos como { type: 'event', id, event, data }. El cliente envía { type, ref?, ...datos } y recibe { type: 'result', ref, ok, data, code?, message? }",
+    mensajes: {
+      ack_novedad: { novedad_id: "integer" },
+      estado_unidad: { vehiculo_id: "integer", estado_operativo: "string", observaciones: "string?" },
+      ubicacion_unidad: { vehiculo_id: "integer", latitud: "number", longitud: "number" },
+      reclamar_novedad: { novedad_id: "integer", forzar: "boolean? (supervisión)" },
+      liberar_novedad: { novedad_id: "integer", forzar: "boolean? (supervisión)" },
+      ping: {},
+    },
+  },
+  eventos: CATALOGO_EVENTOS,
+});
+
+/**
+ * Normaliza un valor para compararlo y enviarlo en el diff
+ * @private
+ */
+const normalizarValor = (valor) => {
+  if (valor === undefined) return null;
+  if (valor instanceof Date) return valor.toISOString();
+  return valor;
+};
+
+/**
+ * Calcula los campos que cambiaron entre dos estados de una novedad
+ *
+ * @param {Object} antes - Valores previos (get({ plain: true }))
+ * @param {Object} despues - Instancia o valores actualizados
+ * @param {Array<string>} campos - Campos a comparar
+ * @returns {Object} { campo: { antes, despues } }
+ */
+export const diffNovedad = (antes, despues, campos) => {
+  const cambios = {};
+  const valores = typeof despues.get === "function" ? despues.get({ plain: true }) : despues;
+
+  for (const campo of campos) {
+    if (CAMPOS_IGNORADOS.has(campo) || !(campo in valores)) continue;
+
+    const valorAntes = normalizarValor(antes[campo]);
+    const valorDespues = normalizarValor(valores[campo]);
+
+    if (JSON.stringify(valorAntes) !== JSON.stringify(valorDespues)) {
+      cambios[campo] = { antes: valorAntes, despues: valorDespues };
+    }
+  }
+
+  return cambios;
+};
+
+/**
+ * Datos comunes de todos los eventos de ciclo de vida
+ * @private
+ */
+const payloadBase = (novedad, usuarioId) => ({
+  id: novedad.id,
+  novedad_code: novedad.novedad_code,
+  estado_novedad_id: novedad.estado_novedad_id,
+  sector_id: novedad.sector_id ?? null,
+  cuadrante_id: novedad.cuadrante_id ?? null,
+  prioridad_actual: novedad.prioridad_actual ?? null,
+  usuario_id: usuarioId,
+  timestamp: new Date().toISOString(),
+});
+
+/**
+ * Publica un evento de una novedad a sus canales. Se llama después del
+ * commit, por lo que nunca lanza: un fallo se registra y la respuesta
+ * HTTP no se ve afectada.
+ *
+ * @param {string} evento - Valor de EVENTOS_NOVEDAD
+ * @param {Object} novedad - Instancia de Novedad (estado actual)
+ * @param {number} usuarioId - Usuario que originó el cambio
+ * @param {Object} [datos={}] - Campos propios del evento
+ * @returns {Promise<void>}
+ */
+export const publicarEventoNovedad = async (evento, novedad, usuarioId, datos = {}) => {
+  try {
+    await publishEvent(await canalesNovedad(novedad), evento, {
+      ...payloadBase(novedad, usuarioId),
+      ...datos,
+    });
+  } catch (error) {
+    logger.error(`❌ Error publicando ${evento} de novedad ${novedad.id}: ${error.message}`);
+  }
+};
+
+/**
+ * Publica estado_cambiado y, si el nuevo estado es final, novedad_cerrada
+ *
+ * @param {Object} novedad - Instancia de Novedad (con el estado nuevo)
+ * @param {number} usuarioId - Usuario que originó el cambio
+ * @param {Object} transicion
+ * @param {number} transicion.estadoAnteriorId
+ * @param {number} transicion.estadoNuevoId
+ * @param {string} [transicion.observaciones]
+ * @returns {Promise<void>}
+ */
+export const publicarCambioEstado = async (
+  novedad,
+  usuarioId,
+  { estadoAnteriorId, estadoNuevoId, observaciones = null }
+) => {
+  let estadoNuevo = null;
+  try {
+    estadoNuevo = await EstadoNovedad.findByPk(estadoNuevoId, {
+      attributes: ["id", "nombre", "es_final"],
+    });
+  } catch (error) {
+    logger.error(`❌ Error obteniendo estado ${estadoNuevoId}: ${error.message}`);
+  }
+
+  await publicarEventoNovedad(EVENTOS_NOVEDAD.ESTADO_CAMBIADO, novedad, usuarioId, {
+    estado_anterior_id: estadoAnteriorId ?? null,
+    estado_nuevo_id: estadoNuevoId,
+    estado_nuevo: estadoNuevo?.nombre ?? null,
+    observaciones,
+  });
+
+  if (estadoNuevo?.es_final) {
+    await publicarEventoNovedad(EVENTOS_NOVEDAD.CERRADA, novedad, usuarioId, {
+      estado_nuevo: estadoNuevo.nombre,
+    });
+  }
+};
+
+export default {
+  VERSION_CATALOGO,
+  EVENTOS_NOVEDAD,
+  CATALOGO_EVENTOS,
+  obtenerEsquemaEventos,
+  diffNovedad,
+  publicarEventoNovedad,
+  publicarCambioEstado,
+};
@@ -0,0 +1,224 @@
+/**
+ * ===================================================
+ * SERVICIO: Novedades Geo Service
+ * ===================================================
+ *
+ * Ruta: src/services/novedadesGeoService.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * Filtros geográficos del listado de novedades y su salida GeoJSON para
+ * el mapa en vivo:
+ *
+ * - bbox=minLng,minLat,maxLng,maxLat
+ * - lat, lng y radio_m (radio en metros alrededor de un punto)
+ * - poligono (GeoJSON Polygon/MultiPolygon o anillo [[lng,lat],...])
+ * - dentro_cuadrante_id (dentro del poligono_json del cuadrante)
+ *
+ * Todos los filtros pasan primero por MBRContains sobre la columna
+ * generada ubicacion_geo, que tiene índice SPATIAL (ver migración
+ * 2026-10-18-add-ubicacion-geo-to-novedades.sql); el cálculo exacto
+ * (Haversine o ST_Contains) solo se hace sobre las filas del recuadro.
+ */
+
+import sequelize from "../config/database.js";
+import models from "../models/index.js";
+import {
+  MAX_VERTICES_POLIGONO,
+  normalizarPoligono,
+  contarVertices,
+  envolvente,
+  envolventeRadio,
+  parsearBbox,
+  cajaAWkt,
+  poligonoAWkt,
+} from "../utils/geoHelper.js";
+const { Cuadrante } = models;
+
+/**
+ * Máximo de novedades por página en formato GeoJSON (mapa)
+ * @constant {number}
+ */
+export const LIMITE_MAX_GEOJSON = 5000;
+
+/**
+ * Columna espacial de la tabla principal en las consultas de Novedad
+ * @private
+ */
+const COLUMNA_GEO = "`Novedad`.`ubicacion_geo`";
+
+/**
+ * Las filas sin coordenadas tienen ubicacion_geo = POINT(0 0)
+ * @private
+ */
+const CON_COORDENADAS = sequelize.literal(
+  "(`Novedad`.`latitud` IS NOT NULL AND `Novedad`.`longitud` IS NOT NULL)"
+);
+
+/**
+ * Condición MBRContains (usa el índice espacial)
+ * @private
+ */
+const dentroDeCaja = (caja) =>
+  sequelize.literal(
+    `MBRContains(ST_GeomFromText(${sequelize.escape(cajaAWkt(caja))}), ${COLUMNA_GEO})`
+  );
+
+/**
+ * Condiciones para un polígono normalizado
+ * @private
+ */
+const condicionesPoligono = (poligono) => [
+  CON_COORDENADAS,
+  dentroDeCaja(envolvente(poligono)),
+  sequelize.literal(
+    `ST_Contains(ST_GeomFromText(${sequelize.escape(poligonoAWkt(poligono))}), ${COLUMNA_GEO})`
+  ),
+];
+
+/**
+ * ¿La petición pide GeoJSON? (formato=geojson o Accept: application/geo+json)
+ *
+ * @param {import('express').Request} req
+ * @returns {boolean}
+ */
+export const esSolicitudGeoJson = (req) =>
+  req.query.formato === "geojson" ||
+  req.accepts(["application/json", "application/geo+json"]) === "application/geo+json";
+
+/**
+ * Construye las condiciones WHERE de los filtros geográficos del query
+ *
+ * @param {Object} query - req.query ya validado
+ * @returns {Promise<Object>} { ok: true, condiciones } o { ok: false, status, message }
+ */
+export const construirFiltroGeografico = async ({
+  bbox,
+  lat,
+  lng,
+  radio_m,
+  poligono,
+  dentro_cuadrante_id,
+}) => {
+  const condiciones = [];
+
+  if (bbox) {
+    const caja = parsearBbox(bbox);
+    if (!caja) {
+      return { ok: false, status: 400, message: "bbox inválido (minLng,minLat,maxLng,maxLat)" };
+    }
+    condiciones.push(CON_COORDENADAS, dentroDeCaja(caja));
+  }
+
+  if (radio_m) {
+    const latitud = parseFloat(lat);
+    const longitud = parseFloat(lng);
+    const radio = parseFloat(radio_m);
+    condiciones.push(
+      CON_COORDENADAS,
+      dentroDeCaja(envolventeRadio(latitud, longitud, radio)),
+      sequelize.literal(`
+        6371000 * 2 * ASIN(SQRT(
+          POW(SIN(RADIANS(\`Novedad\`.\`latitud\` - ${latitud}) / 2), 2) +
+          COS(RADIANS(${latitud})) * COS(RADIANS(\`Novedad\`.\`latitud\`)) *
+          POW(SIN(RADIANS(\`Novedad\`.\`longitud\` - ${longitud}) / 2), 2)
+        )) <= ${radio}`)
+    );
+  }
+
+  if (poligono) {
+    const normalizado = normalizarPoligono(poligono);
+    if (!normalizado) {
+      return {
+        ok: false,
+        status: 400,
+        message: "poligono inválido (GeoJSON Polygon/MultiPolygon o anillo [[lng,lat],...])",
+      };
+    }
+    if (contarVertices(normalizado) > MAX_VERTICES_POLIGONO) {
+      return {
+        ok: false,
+        status: 400,
+        message: `poligono no puede superar ${MAX_VERTICES_POLIGONO} vértices`,
+      };
+    }
+    condiciones.push(...condicionesPoligono(normalizado));
+  }
+
+  if (dentro_cuadrante_id) {
+    const cuadrante = await Cuadrante.findOne({
+      where: { id: dentro_cuadrante_id, deleted_at: null },
+      attributes: ["id", "poligono_json"],
+    });
+    if (!cuadrante) {
+      return { ok: false, status: 404, message: "Cuadrante no encontrado" };
+    }
+    const normalizado = cuadrante.tienePoligono()
+      ? normalizarPoligono(cuadrante.poligono_json)
+      : null;
+    if (!normalizado) {
+      return {
+        ok: false,
+        status: 400,
+        message: "El cuadrante no tiene un polígono válido registrado",
+      };
+    }
+    condiciones.push(...condicionesPoligono(normalizado));
+  }
+
+  return { ok: true, condiciones: [...new Set(condiciones)] };
+};
+
+/**
+ * Atributos de Novedad incluidos en cada Feature
+ * @constant {Array<string>}
+ */
+export const ATRIBUTOS_GEOJSON = [
+  "id",
+  "novedad_code",
+  "latitud",
+  "longitud",
+  "localizacion",
+  "fecha_hora_ocurrencia",
+  "prioridad_actual",
+  "sla_estado",
+  "tipo_novedad_id",
+  "subtipo_novedad_id",
+  "estado_novedad_id",
+  "sector_id",
+  "cuadrante_id",
+];
+
+/**
+ * Convierte las novedades en un FeatureCollection (geometría Point [lng, lat])
+ *
+ * @param {Array<Object>} rows - Instancias de Novedad
+ * @param {Object} pagination - Paginación del listado (miembro extra)
+ * @returns {Object} FeatureCollection GeoJSON
+ */
+export const aFeatureCollection = (rows, pagination) => ({
+  type: "FeatureCollection",
+  features: rows.map((row) => {
+    const { latitud, longitud, ...propiedades } = row.toJSON();
+    const tieneCoordenadas = latitud !== null && longitud !== null;
+    return {
+      type: "Feature",
+      id: propiedades.id,
+      geometry: tieneCoordenadas
+        ? { type: "Point", coordinates: [parseFloat(longitud), parseFloat(latitud)] }
+        : null,
+      properties: propiedades,
+    };
+  }),
+  pagination,
+});
+
+export default {
+  LIMITE_MAX_GEOJSON,
+  ATRIBUTOS_GEOJSON,
+  esSolicitudGeoJson,
+  construirFiltroGeografico,
+  aFeatureCollection,
+};
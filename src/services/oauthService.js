@@ -0,0 +1,303 @@
+/**
+ * ===================================================
+ * SERVICIO: OAuth Service
+ * ===================================================
+ *
+ * Ruta: src/services/oauthService.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * Resuelve la identidad externa (Google / Microsoft) devuelta por
+ * passport a un Usuario existente:
+ * 1. Busca por usuarios.oauth_provider + usuarios.oauth_id
+ * 2. Si el login se inició con un ticket de vinculación (sesión ya
+ *    iniciada), vincula la identidad al usuario del ticket
+ * 3. Si no, busca por email SOLO si el proveedor lo declara verificado,
+ *    y vincula la identidad a ese usuario
+ *
+ * Nunca crea usuarios: las cuentas (y sus roles) las da de alta un
+ * administrador. Los tokens del proveedor no se guardan porque solo
+ * se usa OAuth para identificar al usuario.
+ */
+
+import jwt from "jsonwebtoken";
+import { Usuario, Rol, Permiso } from "../models/index.js";
+import authConfig from "../config/auth.js";
+import { generarTokenAleatorio } from "../utils/cryptoHelper.js";
+
+/**
+ * Propósito del JWT usado como ticket de vinculación
+ * @constant {string}
+ */
+const PURPOSE_OAUTH_VINCULAR = "oauth_link";
+
+/**
+ * Proveedores soportados
+ * - strategy: nombre de la estrategia registrada en passport
+ * - enumValue: valor de usuarios.oauth_provider
+ * - scope: scopes solicitados al proveedor
+ * @constant {Object}
+ */
+export const PROVEEDORES_OAUTH = {
+  google: {
+    strategy: "google",
+    enumValue: "GOOGLE",
+    scope: ["profile", "email"],
+  },
+  microsoft: {
+    strategy: "microsoft",
+    enumValue: "MICROSOFT",
+    // openid: el id_token trae tid y, si se configuró, xms_edov
+    scope: ["openid", "email", "user.read"],
+  },
+};
+
+/**
+ * Motivos de rechazo de un login OAuth (se devuelven al cliente)
+ * @constant {Object}
+ */
+export const MOTIVOS_RECHAZO_OAUTH = {
+  email_no_verificado: {
+    status: 403,
+    message:
+      "El proveedor no confirmó un email verificado. Inicie sesión con su contraseña y vincule la cuenta desde su perfil.",
+  },
+  identidad_en_uso: {
+    status: 409,
+    message: "La identidad externa ya está vinculada a otro usuario",
+  },
+  vinculacion_invalida: {
+    status: 401,
+    message: "El enlace de vinculación es inválido, ya se usó o expiró",
+  },
+  cuenta_no_encontrada: {
+    status: 403,
+    message:
+      "No existe una cuenta asociada a este email. Solicite su alta al administrador.",
+  },
+  cuenta_vinculada: {
+    status: 409,
+    message: "La cuenta ya está vinculada a otra identidad externa",
+  },
+  usuario_bloqueado: {
+    status: 403,
+    message: "Usuario bloqueado temporalmente",
+  },
+  usuario_inactivo: {
+    status: 403,
+    message: "Usuario inactivo. Contacte al administrador.",
+  },
+};
+
+/**
+ * Include estándar de roles activos con sus permisos (igual que login)
+ * @private
+ */
+const includeRolesPermisos = [
+  {
+    model: Rol,
+    as: "roles",
+    through: { attributes: [], where: { estado: 1 } },
+    include: [{ model: Permiso, as: "permisos", through: { attributes: [] } }],
+  },
+];
+
+/**
+ * ¿El claim booleano viene en true? (Entra ID puede enviarlo como texto)
+ * @private
+ */
+const claimVerdadero = (valor) => valor === true || valor === "true" || valor === 1 || valor === "1";
+
+/**
+ * Obtiene el email verificado del perfil de passport
+ *
+ * - Google: emails[].verified (claim email_verified)
+ * - Microsoft: Graph "mail" lo puede fijar cualquier administrador de su
+ *   tenant, así que no prueba nada por sí solo. Se acepta:
+ *   1. El claim "email" del id_token con xms_edov (dominio verificado por
+ *      el dueño, claim opcional del registro de la app) o email_verified
+ *   2. El email de Graph si el tenant (claim "tid") está en
+ *      oauth.microsoft.allowedTenants
+ *
+ * @param {string} proveedor - 'google' | 'microsoft'
+ * @param {Object} profile - Perfil normalizado por passport
+ * @param {Object} [claims={}] - Claims del id_token (Microsoft)
+ * @returns {string|null} Email en minúsculas o null
+ */
+export const extraerEmailVerificado = (proveedor, profile, claims = {}) => {
+  const normalizar = (valor) => (valor ? String(valor).trim().toLowerCase() : null);
+  const emails = profile?.emails || [];
+
+  if (proveedor === "google") {
+    const email = emails.find((e) => e.verified === true || e.verified === "true");
+    return normalizar(email?.value);
+  }
+
+  if (claims.email && (claimVerdadero(claims.xms_edov) || claimVerdadero(claims.email_verified))) {
+    return normalizar(claims.email);
+  }
+
+  const tenant = normalizar(claims.tid);
+  if (tenant && authConfig.oauth.microsoft.allowedTenants.includes(tenant)) {
+    return normalizar(emails[0]?.value);
+  }
+
+  return null;
+};
+
+/**
+ * Ticket jti → vencimiento (ms) de los tickets ya canjeados en este
+ * proceso (el ticket vence a los pocos minutos; ver linkTicketExpiresIn)
+ * @private
+ */
+const ticketsCanjeados = new Map();
+
+/**
+ * Emite el ticket de un solo uso con el que un usuario con sesión
+ * iniciada vincula una identidad externa a su cuenta
+ *
+ * @param {number} usuarioId - Usuario autenticado
+ * @param {string} proveedor - Clave de PROVEEDORES_OAUTH
+ * @returns {string} JWT de corta duración
+ */
+export const emitirTicketVinculacion = (usuarioId, proveedor) =>
+  jwt.sign(
+    { purpose: PURPOSE_OAUTH_VINCULAR, userId: usuarioId, proveedor },
+    process.env.JWT_SECRET,
+    { expiresIn: authConfig.oauth.linkTicketExpiresIn, jwtid: generarTokenAleatorio(16) }
+  );
+
+/**
+ * Canjea un ticket de vinculación (solo una vez)
+ *
+ * @param {string} ticket - JWT recibido en ?vincular=
+ * @param {string} proveedor - Proveedor de la URL
+ * @returns {number|null} ID del usuario a vincular, o null si no es válido
+ */
+export const canjearTicketVinculacion = (ticket, proveedor) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(ticket), process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  if (decoded.purpose !== PURPOSE_OAUTH_VINCULAR || decoded.proveedor !== proveedor) {
+    return null;
+  }
+
+  const ahora = Date.now();
+  for (const [jti, vence] of ticketsCanjeados) {
+    if (vence <= ahora) ticketsCanjeados.delete(jti);
+  }
+  if (!decoded.jti || ticketsCanjeados.has(decoded.jti)) return null;
+  ticketsCanjeados.set(decoded.jti, decoded.exp * 1000);
+
+  return decoded.userId;
+};
+
+/**
+ * Resuelve (y vincula si corresponde) el Usuario de una identidad externa
+ *
+ * @param {string} proveedor - Clave de PROVEEDORES_OAUTH
+ * @param {Object} profile - Perfil normalizado por passport (id, emails)
+ * @param {Object} [opciones]
+ * @param {Object} [opciones.claims] - Claims del id_token
+ * @param {number} [opciones.vincularUsuarioId] - Usuario del ticket de
+ *   vinculación (login iniciado desde una sesión)
+ * @returns {Promise<{usuario?: Object, motivo?: string, vinculado?: boolean}>}
+ *   usuario con roles y permisos, o motivo de rechazo (MOTIVOS_RECHAZO_OAUTH)
+ */
+export const resolverUsuarioOAuth = async (
+  proveedor,
+  profile,
+  { claims = {}, vincularUsuarioId = null } = {}
+) => {
+  const { enumValue } = PROVEEDORES_OAUTH[proveedor];
+  const oauthId = String(profile.id);
+
+  let usuario = await Usuario.findOne({
+    where: { oauth_provider: enumValue, oauth_id: oauthId },
+    include: includeRolesPermisos,
+  });
+  let vinculado = false;
+  let emailVerificado = false;
+
+  if (usuario && vincularUsuarioId && usuario.id !== vincularUsuarioId) {
+    return { motivo: "identidad_en_uso" };
+  }
+
+  if (!usuario && vincularUsuarioId) {
+    usuario = await Usuario.findOne({
+      where: { id: vincularUsuarioId, deleted_at: null },
+      include: includeRolesPermisos,
+    });
+
+    if (!usuario) {
+      return { motivo: "vinculacion_invalida" };
+    }
+
+    if (usuario.oauth_id && usuario.oauth_provider !== "LOCAL") {
+      return { motivo: "cuenta_vinculada" };
+    }
+
+    vinculado = true;
+  } else if (!usuario) {
+    const email = extraerEmailVerificado(proveedor, profile, claims);
+    if (!email) {
+      return { motivo: "email_no_verificado" };
+    }
+
+    usuario = await Usuario.findOne({
+      where: { email, deleted_at: null },
+      include: includeRolesPermisos,
+    });
+
+    if (!usuario) {
+      return { motivo: "cuenta_no_encontrada" };
+    }
+
+    // Una cuenta solo puede tener una identidad externa
+    if (usuario.oauth_id && usuario.oauth_provider !== "LOCAL") {
+      return { motivo: "cuenta_vinculada" };
+    }
+
+    vinculado = true;
+    emailVerificado = true;
+  }
+
+  if (usuario.locked_until && new Date() < new Date(usuario.locked_until)) {
+    return { motivo: "usuario_bloqueado" };
+  }
+
+  if (usuario.estado !== "ACTIVO") {
+    return { motivo: "usuario_inactivo" };
+  }
+
+  if (vinculado) {
+    await usuario.update(
+      {
+        oauth_provider: enumValue,
+        oauth_id: oauthId,
+        // Solo si se vinculó por email: el proveedor ya lo verificó
+        ...(emailVerificado && !usuario.email_verified_at && { email_verified_at: new Date() }),
+      },
+      { currentUser: usuario.id }
+    );
+    console.log(
+      `🔗 Identidad ${enumValue} vinculada al usuario: ${usuario.username}`
+    );
+  }
+
+  return { usuario, vinculado };
+};
+
+export default {
+  PROVEEDORES_OAUTH,
+  MOTIVOS_RECHAZO_OAUTH,
+  extraerEmailVerificado,
+  emitirTicketVinculacion,
+  canjearTicketVinculacion,
+  resolverUsuarioOAuth,
+};
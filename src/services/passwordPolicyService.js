@@ -0,0 +1,260 @@
+/**
+ * ===================================================
+ * SERVICIO: Password Policy Service
+ * ===================================================
+ *
+ * Ruta: src/services/passwordPolicyService.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * Política de contraseñas única del sistema, leída de authConfig.password.
+ * La aplican el registro, el cambio de contraseña (normal y obligatorio),
+ * la recuperación por email y el reset administrativo, y se publica en
+ * GET /auth/password-policy para que el frontend valide en vivo.
+ *
+ * Reglas:
+ * - Longitud mínima/máxima y clases de caracteres
+ * - Lista de contraseñas prohibidas
+ * - Sin datos personales (username, email, nombres, apellidos, DNI)
+ * - Sin reutilizar las últimas historyCount contraseñas
+ * - Vencimiento a los expirationDays días (fuerza el cambio obligatorio)
+ */
+
+import bcrypt from "bcryptjs";
+import models from "../models/index.js";
+import authConfig from "../config/auth.js";
+const { PasswordHistorial, PersonalSeguridad } = models;
+
+/**
+ * Longitud mínima de un dato personal para considerarlo al validar
+ * (evita rechazar contraseñas por contener "de" o "li")
+ * @private
+ */
+const MIN_LONGITUD_DATO_PERSONAL = 4;
+
+/**
+ * Escapa un texto para usarlo dentro de una clase de caracteres RegExp
+ * @private
+ */
+const escaparClase = (texto) => texto.replace(/[\\\]^-]/g, "\\$&");
+
+/**
+ * Política publicada para el frontend (sin datos internos)
+ *
+ * @returns {Object} Reglas vigentes
+ */
+export const obtenerPoliticaPassword = () => {
+  const politica = authConfig.password;
+
+  return {
+    minLength: politica.minLength,
+    maxLength: politica.maxLength,
+    requireUppercase: politica.requireUppercase,
+    requireLowercase: politica.requireLowercase,
+    requireNumber: politica.requireNumber,
+    requireSpecialChar: politica.requireSpecialChar,
+    specialChars: politica.specialChars,
+    rejectPersonalData: politica.rejectPersonalData,
+    bannedList: politica.bannedList,
+    historyCount: politica.historyCount,
+    expirationDays: politica.expirationDays,
+  };
+};
+
+/**
+ * Datos personales del usuario que no pueden aparecer en su contraseña
+ *
+ * @param {Object} datos
+ * @param {string} [datos.username]
+ * @param {string} [datos.email]
+ * @param {string} [datos.nombres]
+ * @param {string} [datos.apellidos]
+ * @param {number} [datos.personal_seguridad_id] - Para obtener el DNI
+ * @returns {Promise<Array<string>>} Valores en minúsculas
+ */
+export const obtenerDatosPersonales = async (datos = {}) => {
+  const valores = [
+    datos.username,
+    datos.email ? String(datos.email).split("@")[0] : null,
+    ...String(datos.nombres || "").split(/\s+/),
+    ...String(datos.apellidos || "").split(/\s+/),
+  ];
+
+  if (datos.personal_seguridad_id) {
+    const personal = await PersonalSeguridad.findByPk(
+      datos.personal_seguridad_id,
+      { attributes: ["doc_numero"] }
+    );
+    valores.push(personal?.doc_numero);
+  }
+
+  return valores
+    .filter(Boolean)
+    .map((v) => String(v).trim().toLowerCase())
+    .filter((v) => v.length >= MIN_LONGITUD_DATO_PERSONAL);
+};
+
+/**
+ * Valida una contraseña contra las reglas de formato de la política
+ *
+ * @param {string} password - Contraseña en claro
+ * @param {Array<string>} [datosPersonales=[]] - Ver obtenerDatosPersonales
+ * @returns {Array<string>} Mensajes de error (vacío si cumple)
+ */
+export const validarFormatoPassword = (password, datosPersonales = []) => {
+  const politica = authConfig.password;
+  const valor = String(password || "");
+  const errores = [];
+
+  if (valor.length < politica.minLength) {
+    errores.push(`Debe tener al menos ${politica.minLength} caracteres`);
+  }
+  if (valor.length > politica.maxLength) {
+    errores.push(`No debe exceder ${politica.maxLength} caracteres`);
+  }
+  if (politica.requireUppercase && !/[A-Z]/.test(valor)) {
+    errores.push("Debe contener al menos una letra mayúscula");
+  }
+  if (politica.requireLowercase && !/[a-z]/.test(valor)) {
+    errores.push("Debe contener al menos una letra minúscula");
+  }
+  if (politica.requireNumber && !/\d/.test(valor)) {
+    errores.push("Debe contener al menos un número");
+  }
+  if (
+    politica.requireSpecialChar &&
+    !new RegExp(`[${escaparClase(politica.specialChars)}]`).test(valor)
+  ) {
+    errores.push(
+      `Debe contener al menos un carácter especial (${politica.specialChars})`
+    );
+  }
+
+  const minusculas = valor.toLowerCase();
+
+  if (politica.bannedList.includes(minusculas)) {
+    errores.push("Es una contraseña demasiado común");
+  }
+  if (
+    politica.rejectPersonalData &&
+    datosPersonales.some((dato) => minusculas.includes(dato))
+  ) {
+    errores.push(
+      "No debe contener su usuario, email, nombres, apellidos ni documento"
+    );
+  }
+
+  return errores;
+};
+
+/**
+ * Verifica si una contraseña coincide con la actual o con alguna de las
+ * últimas historyCount registradas en password_historial
+ *
+ * @param {Object} usuario - Instancia de Usuario
+ * @param {string} password - Contraseña en claro
+ * @returns {Promise<boolean>} true si la contraseña ya fue usada
+ */
+export const passwordEnHistorial = async (usuario, password) => {
+  if (
+    usuario.password_hash &&
+    (await bcrypt.compare(password, usuario.password_hash))
+  ) {
+    return true;
+  }
+
+  const { historyCount } = authConfig.password;
+  if (!historyCount) return false;
+
+  const historial = await PasswordHistorial.findAll({
+    where: { usuario_id: usuario.id },
+    order: [["created_at", "DESC"]],
+    limit: historyCount,
+  });
+
+  for (const registro of historial) {
+    if (await bcrypt.compare(password, registro.password_hash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Valida una contraseña nueva con la política completa
+ *
+ * @param {string} password - Contraseña en claro
+ * @param {Object} usuario - Instancia de Usuario existente, o los datos
+ *   del usuario a crear (username, email, nombres, apellidos,
+ *   personal_seguridad_id)
+ * @returns {Promise<Array<string>>} Mensajes de error (vacío si cumple)
+ */
+export const validarPasswordUsuario = async (password, usuario) => {
+  const errores = validarFormatoPassword(
+    password,
+    await obtenerDatosPersonales(usuario)
+  );
+
+  if (
+    errores.length === 0 &&
+    usuario.id &&
+    (await passwordEnHistorial(usuario, password))
+  ) {
+    errores.push(
+      `No puede ser igual a sus últimas ${authConfig.password.historyCount} contraseñas`
+    );
+  }
+
+  return errores;
+};
+
+/**
+ * Registra un hash en password_historial
+ *
+ * @param {number} usuarioId - ID del usuario
+ * @param {string} passwordHash - Hash bcrypt
+ * @param {Object} [opciones]
+ * @param {Object} [opciones.transaction] - Transacción de Sequelize
+ * @returns {Promise<Object>} Instancia de PasswordHistorial
+ */
+export const registrarPasswordHistorial = async (
+  usuarioId,
+  passwordHash,
+  { transaction } = {}
+) => {
+  return PasswordHistorial.create(
+    { usuario_id: usuarioId, password_hash: passwordHash },
+    { transaction }
+  );
+};
+
+/**
+ * Indica si la contraseña del usuario superó expirationDays.
+ * Sin password_changed_at no hay fecha de referencia y no vence.
+ *
+ * @param {Object} usuario - Instancia de Usuario
+ * @returns {boolean}
+ */
+export const passwordExpirada = (usuario) => {
+  const { expirationDays } = authConfig.password;
+  if (!expirationDays || !usuario.password_changed_at) return false;
+
+  const venceEn =
+    new Date(usuario.password_changed_at).getTime() +
+    expirationDays * 24 * 60 * 60 * 1000;
+
+  return Date.now() >= venceEn;
+};
+
+export default {
+  obtenerPoliticaPassword,
+  obtenerDatosPersonales,
+  validarFormatoPassword,
+  passwordEnHistorial,
+  validarPasswordUsuario,
+  registrarPasswordHistorial,
+  passwordExpirada,
+};
@@ -0,0 +1,334 @@
+/**
+ * ===================================================
+ * SERVICIO: Recomendación de Unidades Service
+ * ===================================================
+ *
+ * Ruta: src/services/recomendacionUnidadesService.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * Ordena las unidades (vehículos) de los turnos operativos activos para
+ * despachar una novedad. Cada candidato recibe un puntaje de 0 a 100 con
+ * el detalle de cada criterio, para que el operador vea por qué se
+ * recomienda:
+ *
+ * - distancia (40): desde la última ubicación reportada por la unidad
+ *   (mensaje WebSocket ubicacion_unidad, si es de los últimos
+ *   NOVEDAD_RECOMENDACION_UBICACION_MAX_MIN minutos) o, si no, desde el
+ *   centro del cuadrante que patrulla. Decrece linealmente hasta
+ *   NOVEDAD_RECOMENDACION_RADIO_M metros.
+ * - disponibilidad (30): vehículo DISPONIBLE y sin otras novedades
+ *   abiertas asignadas.
+ * - tipo_vehiculo (15): el tipo del vehículo está entre los
+ *   tipos_vehiculo_ids del subtipo (sin lista, cualquier tipo sirve).
+ * - tripulacion (15): conductor y copiloto registrados en el turno.
+ *
+ * Solo se consideran vehículos en estado DISPONIBLE o EN_SERVICIO que
+ * siguen en patrullaje (sin hora_fin).
+ */
+
+import { QueryTypes } from "sequelize";
+import sequelize from "../config/database.js";
+import models from "../models/index.js";
+import { getNowInTimezone } from "../utils/dateHelper.js";
+import { distanciaMetros } from "../utils/geoHelper.js";
+const { SubtipoNovedad, Cuadrante } = models;
+
+/**
+ * Puntaje máximo de cada criterio
+ * @constant {Object}
+ */
+export const PESOS_RECOMENDACION = {
+  distancia: 40,
+  disponibilidad: 30,
+  tipo_vehiculo: 15,
+  tripulacion: 15,
+};
+
+/**
+ * Origen de la ubicación usada para la distancia
+ * @constant {Object}
+ */
+export const FUENTES_UBICACION = {
+  NOVEDAD: "NOVEDAD",
+  UNIDAD: "UNIDAD",
+  CUADRANTE: "CUADRANTE",
+};
+
+/**
+ * Configuración desde el entorno
+ * @private
+ */
+const configuracion = () => ({
+  radioM: parseInt(process.env.NOVEDAD_RECOMENDACION_RADIO_M) || 5000,
+  ubicacionMaxMin: parseInt(process.env.NOVEDAD_RECOMENDACION_UBICACION_MAX_MIN) || 15,
+});
+
+/**
+ * Coordenadas válidas o null
+ * @private
+ */
+const punto = (latitud, longitud) =>
+  latitud !== null && latitud !== undefined && longitud !== null && longitud !== undefined
+    ? { latitud: Number(latitud), longitud: Number(longitud) }
+    : null;
+
+/**
+ * Ubicación de la novedad: la propia o el centro de su cuadrante
+ * @private
+ */
+const ubicacionNovedad = async (novedad) => {
+  const propia = punto(novedad.latitud, novedad.longitud);
+  if (propia) return { ...propia, fuente: FUENTES_UBICACION.NOVEDAD };
+
+  if (novedad.cuadrante_id) {
+    const cuadrante = await Cuadrante.findByPk(novedad.cuadrante_id, {
+      attributes: ["id", "latitud", "longitud"],
+    });
+    const centro = cuadrante && punto(cuadrante.latitud, cuadrante.longitud);
+    if (centro) return { ...centro, fuente: FUENTES_UBICACION.CUADRANTE };
+  }
+
+  return null;
+};
+
+/**
+ * Unidades en patrullaje de los turnos activos, con su cuadrante actual
+ * y las novedades abiertas que ya tienen asignadas
+ * @private
+ */
+const buscarUnidades = ({ novedadId, ubicacionMaxMin }) =>
+  sequelize.query(
+    `
+    SELECT
+      ov.id AS operativo_vehiculo_id,
+      ov.operativo_turno_id,
+      ot.turno,
+      ot.sector_id,
+      v.id AS vehiculo_id,
+      v.codigo_vehiculo,
+      v.placa,
+      v.tipo_id AS tipo_vehiculo_id,
+      tv.nombre AS tipo_vehiculo_nombre,
+      v.estado_operativo,
+      v.ultima_latitud,
+      v.ultima_longitud,
+      v.fecha_ultima_ubicacion,
+      (v.fecha_ultima_ubicacion >= :ahora - INTERVAL :ubicacionMaxMin MINUTE) AS ubicacion_vigente,
+      ov.conductor_id,
+      TRIM(CONCAT_WS(' ', pc.nombres, pc.apellido_paterno)) AS conductor_nombre,
+      ov.copiloto_id,
+      TRIM(CONCAT_WS(' ', pp.nombres, pp.apellido_paterno)) AS copiloto_nombre,
+      c.id AS cuadrante_id,
+      c.nombre AS cuadrante_nombre,
+      c.latitud AS cuadrante_latitud,
+      c.longitud AS cuadrante_longitud,
+      (
+        SELECT GROUP_CONCAT(na.novedad_code ORDER BY na.id SEPARATOR ',')
+        FROM novedades_incidentes na
+        INNER JOIN estados_novedad ena ON ena.id = na.estado_novedad_id
+        WHERE na.vehiculo_id = v.id
+          AND na.id <> :novedadId
+          AND na.estado = 1
+          AND na.deleted_at IS NULL
+          AND na.novedad_padre_id IS NULL
+          AND na.fecha_cierre IS NULL
+          AND COALESCE(ena.es_final, 0) = 0
+      ) AS novedades_en_atencion
+    FROM operativos_vehiculos ov
+    INNER JOIN operativos_turno ot ON ot.id = ov.operativo_turno_id
+    INNER JOIN vehiculos v ON v.id = ov.vehiculo_id
+    LEFT JOIN tipos_vehiculo tv ON tv.id = v.tipo_id
+    LEFT JOIN personal_seguridad pc ON pc.id = ov.conductor_id
+    LEFT JOIN personal_seguridad pp ON pp.id = ov.copiloto_id
+    LEFT JOIN operativos_vehiculos_cuadrantes ovc ON ovc.id = (
+      SELECT ovc2.id
+      FROM operativos_vehiculos_cuadrantes ovc2
+      WHERE ovc2.operativo_vehiculo_id = ov.id
+        AND ovc2.deleted_at IS NULL
+        AND ovc2.hora_salida IS NULL
+      ORDER BY ovc2.hora_ingreso DESC
+      LIMIT 1
+    )
+    LEFT JOIN cuadrantes c ON c.id = ovc.cuadrante_id
+    WHERE ot.estado = 'ACTIVO'
+      AND ot.estado_registro = 1
+      AND ot.deleted_at IS NULL
+      AND ot.fecha_hora_fin IS NULL
+      AND ov.estado_registro = 1
+      AND ov.deleted_at IS NULL
+      AND ov.hora_fin IS NULL
+      AND v.estado = 1
+      AND v.deleted_at IS NULL
+      AND v.estado_operativo IN ('DISPONIBLE', 'EN_SERVICIO')
+    `,
+    {
+      replacements: { ahora: getNowInTimezone(), ubicacionMaxMin, novedadId },
+      type: QueryTypes.SELECT,
+    }
+  );
+
+/**
+ * Criterio de distancia
+ * @private
+ */
+const evaluarDistancia = (unidad, destino, radioM) => {
+  const maximo = PESOS_RECOMENDACION.distancia;
+  const gps = Number(unidad.ubicacion_vigente) === 1 ? punto(unidad.ultima_latitud, unidad.ultima_longitud) : null;
+  const centro = punto(unidad.cuadrante_latitud, unidad.cuadrante_longitud);
+  const origen = gps
+    ? { ...gps, fuente: FUENTES_UBICACION.UNIDAD, fecha: unidad.fecha_ultima_ubicacion }
+    : centro
+      ? { ...centro, fuente: FUENTES_UBICACION.CUADRANTE, cuadrante_id: unidad.cuadrante_id }
+      : null;
+
+  if (!origen || !destino) {
+    return {
+      ubicacion: origen,
+      distancia_m: null,
+      criterio: {
+        criterio: "distancia",
+        puntos: 0,
+        maximo,
+        motivo: origen ? "La novedad no tiene ubicación" : "Sin ubicación reciente ni cuadrante asignado",
+      },
+    };
+  }
+
+  const distancia = Math.round(distanciaMetros(origen.latitud, origen.longitud, destino.latitud, destino.longitud));
+  const puntos = Math.round(maximo * Math.max(0, 1 - distancia / radioM) * 10) / 10;
+  const desde =
+    origen.fuente === FUENTES_UBICACION.UNIDAD
+      ? "última ubicación reportada"
+      : `centro del cuadrante ${unidad.cuadrante_nombre || unidad.cuadrante_id}`;
+
+  return {
+    ubicacion: origen,
+    distancia_m: distancia,
+    criterio: { criterio: "distancia", puntos, maximo, motivo: `${distancia} m desde ${desde}` },
+  };
+};
+
+/**
+ * Criterio de disponibilidad
+ * @private
+ */
+const evaluarDisponibilidad = (unidad, enAtencion) => {
+  const maximo = PESOS_RECOMENDACION.disponibilidad;
+  if (enAtencion.length) {
+    return { criterio: "disponibilidad", puntos: 0, maximo, motivo: `Atendiendo ${enAtencion.join(", ")}` };
+  }
+  if (unidad.estado_operativo !== "DISPONIBLE") {
+    return { criterio: "disponibilidad", puntos: 0, maximo, motivo: `Vehículo ${unidad.estado_operativo}` };
+  }
+  return { criterio: "disponibilidad", puntos: maximo, maximo, motivo: "Disponible y sin novedades asignadas" };
+};
+
+/**
+ * Criterio de tipo de vehículo
+ * @private
+ */
+const evaluarTipoVehiculo = (unidad, tiposAdecuados) => {
+  const maximo = PESOS_RECOMENDACION.tipo_vehiculo;
+  const tipo = unidad.tipo_vehiculo_nombre || "sin tipo";
+  if (!tiposAdecuados) {
+    return { criterio: "tipo_vehiculo", puntos: maximo, maximo, motivo: "El subtipo no restringe el tipo de vehículo" };
+  }
+  return tiposAdecuados.includes(unidad.tipo_vehiculo_id)
+    ? { criterio: "tipo_vehiculo", puntos: maximo, maximo, motivo: `${tipo} es adecuado para el subtipo` }
+    : { criterio: "tipo_vehiculo", puntos: 0, maximo, motivo: `${tipo} no está entre los tipos del subtipo` };
+};
+
+/**
+ * Criterio de tripulación
+ * @private
+ */
+const evaluarTripulacion = (unidad) => {
+  const maximo = PESOS_RECOMENDACION.tripulacion;
+  const faltantes = [];
+  if (!unidad.conductor_id) faltantes.push("conductor");
+  if (!unidad.copiloto_id) faltantes.push("copiloto");
+  return {
+    criterio: "tripulacion",
+    puntos: (maximo * (2 - faltantes.length)) / 2,
+    maximo,
+    motivo: faltantes.length ? `Sin ${faltantes.join(" ni ")}` : "Conductor y copiloto registrados",
+  };
+};
+
+/**
+ * Recomienda unidades para despachar una novedad
+ *
+ * @param {Object} novedad - Instancia de la novedad
+ * @returns {Promise<Object>} { ubicacion_novedad, pesos, candidatos } con
+ *   los candidatos ordenados por puntaje (desc) y luego por distancia
+ */
+export const recomendarUnidades = async (novedad) => {
+  const { radioM, ubicacionMaxMin } = configuracion();
+
+  const [destino, subtipo, unidades] = await Promise.all([
+    ubicacionNovedad(novedad),
+    novedad.subtipo_novedad_id
+      ? SubtipoNovedad.findByPk(novedad.subtipo_novedad_id, { attributes: ["id", "tipos_vehiculo_ids"] })
+      : null,
+    buscarUnidades({ novedadId: novedad.id, ubicacionMaxMin }),
+  ]);
+
+  let tiposAdecuados = subtipo?.tipos_vehiculo_ids;
+  if (typeof tiposAdecuados === "string") tiposAdecuados = JSON.parse(tiposAdecuados);
+  if (!Array.isArray(tiposAdecuados) || tiposAdecuados.length === 0) tiposAdecuados = null;
+
+  const candidatos = unidades.map((unidad) => {
+    const enAtencion = unidad.novedades_en_atencion ? unidad.novedades_en_atencion.split(",") : [];
+    const { ubicacion, distancia_m, criterio } = evaluarDistancia(unidad, destino, radioM);
+    const detalle = [
+      criterio,
+      evaluarDisponibilidad(unidad, enAtencion),
+      evaluarTipoVehiculo(unidad, tiposAdecuados),
+      evaluarTripulacion(unidad),
+    ];
+
+    return {
+      operativo_vehiculo_id: unidad.operativo_vehiculo_id,
+      operativo_turno_id: unidad.operativo_turno_id,
+      turno: unidad.turno,
+      sector_id: unidad.sector_id,
+      vehiculo: {
+        id: unidad.vehiculo_id,
+        codigo_vehiculo: unidad.codigo_vehiculo,
+        placa: unidad.placa,
+        tipo_vehiculo_id: unidad.tipo_vehiculo_id,
+        tipo_vehiculo_nombre: unidad.tipo_vehiculo_nombre,
+        estado_operativo: unidad.estado_operativo,
+      },
+      conductor: unidad.conductor_id ? { id: unidad.conductor_id, nombre: unidad.conductor_nombre } : null,
+      copiloto: unidad.copiloto_id ? { id: unidad.copiloto_id, nombre: unidad.copiloto_nombre } : null,
+      cuadrante: unidad.cuadrante_id ? { id: unidad.cuadrante_id, nombre: unidad.cuadrante_nombre } : null,
+      ubicacion,
+      distancia_m,
+      novedades_en_atencion: enAtencion,
+      puntaje: Math.round(detalle.reduce((total, c) => total + c.puntos, 0) * 10) / 10,
+      detalle,
+    };
+  });
+
+  candidatos.sort(
+    (a, b) =>
+      b.puntaje - a.puntaje ||
+      (a.distancia_m ?? Infinity) - (b.distancia_m ?? Infinity)
+  );
+
+  return {
+    ubicacion_novedad: destino,
+    pesos: PESOS_RECOMENDACION,
+    candidatos,
+  };
+};
+
+export default {
+  PESOS_RECOMENDACION,
+  FUENTES_UBICACION,
+  recomendarUnidades,
+};
@@ -0,0 +1,707 @@
+/**
+ * ===================================================
+ * SERVICIO: Reportes Ciudadanos Service
+ * ===================================================
+ *
+ * Ruta: src/services/reportesCiudadanosService.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * Reporte de incidentes por los vecinos sin cuenta en el sistema
+ * (rutas /publico). Cada reporte crea una novedad con origen_llamada =
+ * APP_CIUDADANA, registrada a nombre del usuario de servicio
+ * REPORTE_CIUDADANO_USUARIO_ID, y queda en la cola de triaje
+ * (GET /reportes-ciudadanos) hasta que un operador lo acepta o lo
+ * rechaza; al rechazarlo la novedad se elimina (lógicamente).
+ *
+ * Protección del endpoint público:
+ * - Límites por IP de reportes y códigos OTP, contados en la base de
+ *   datos (valen entre réplicas); el catálogo y el seguimiento usan el
+ *   rate limit en memoria de las rutas.
+ * - CAPTCHA opcional: con REPORTE_CIUDADANO_CAPTCHA_SECRET el token se
+ *   verifica contra REPORTE_CIUDADANO_CAPTCHA_URL (API siteverify de
+ *   reCAPTCHA, hCaptcha o Turnstile).
+ * - OTP por SMS (REPORTE_CIUDADANO_OTP): off, optional (el teléfono
+ *   verificado se marca en el reporte) o required.
+ *
+ * El ciudadano consulta su reporte con el código de seguimiento; la
+ * respuesta solo incluye el tipo, el estado y sus fechas (sin
+ * observaciones internas, personal ni unidades).
+ */
+
+import crypto from "crypto";
+import { Op } from "sequelize";
+import sequelize from "../config/database.js";
+import models from "../models/index.js";
+import { DEFAULT_UBIGEO_CODE } from "../config/constants.js";
+import { getNowInTimezone, rawDate } from "../utils/dateHelper.js";
+import { hashToken, compararHashes } from "../utils/cryptoHelper.js";
+import { ORIGEN_LLAMADA } from "../constants/validations.js";
+import { enviarSms } from "./smsService.js";
+import { ENTIDADES_ADJUNTO, CATEGORIAS_ADJUNTO, guardarAdjuntos } from "./adjuntosService.js";
+import { EVENTOS_NOVEDAD, publicarEventoNovedad } from "./novedadesEventosService.js";
+import { resolverAsignacionTerritorial } from "./asignacionTerritorialService.js";
+import logger from "../utils/logger.js";
+const {
+  Novedad,
+  TipoNovedad,
+  SubtipoNovedad,
+  EstadoNovedad,
+  HistorialEstadoNovedad,
+  ReporteCiudadano,
+  ReporteCiudadanoOtp,
+  Usuario,
+} = models;
+
+/**
+ * Estados del triaje de un reporte ciudadano
+ * @constant {Object}
+ */
+export const ESTADOS_TRIAJE = {
+  PENDIENTE: "PENDIENTE",
+  ACEPTADO: "ACEPTADO",
+  RECHAZADO: "RECHAZADO",
+};
+
+/**
+ * Modos de verificación del teléfono (REPORTE_CIUDADANO_OTP)
+ * @constant {Object}
+ */
+export const MODOS_OTP = {
+  DESACTIVADO: "off",
+  OPCIONAL: "optional",
+  REQUERIDO: "required",
+};
+
+/**
+ * Intentos fallidos permitidos por código OTP
+ * @private
+ */
+const MAX_INTENTOS_OTP = 5;
+
+/**
+ * Ventana de los límites por IP
+ * @private
+ */
+const VENTANA_LIMITE_IP_MS = 15 * 60 * 1000;
+
+/**
+ * Caracteres del código de seguimiento (sin 0/O ni 1/I/L)
+ * @private
+ */
+const ALFABETO_CODIGO = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+/**
+ * Configuración desde el entorno
+ * @private
+ */
+const configuracion = () => {
+  const modoOtp = (process.env.REPORTE_CIUDADANO_OTP || MODOS_OTP.OPCIONAL).toLowerCase();
+  return {
+    usuarioId: parseInt(process.env.REPORTE_CIUDADANO_USUARIO_ID) || null,
+    captchaSecret: process.env.REPORTE_CIUDADANO_CAPTCHA_SECRET || null,
+    captchaUrl:
+      process.env.REPORTE_CIUDADANO_CAPTCHA_URL || "https://www.google.com/recaptcha/api/siteverify",
+    modoOtp: Object.values(MODOS_OTP).includes(modoOtp) ? modoOtp : MODOS_OTP.OPCIONAL,
+    otpExpiracionMin: parseInt(process.env.REPORTE_CIUDADANO_OTP_EXPIRACION_MIN) || 10,
+    otpMaxPorHora: parseInt(process.env.REPORTE_CIUDADANO_OTP_MAX_HORA) || 3,
+    otpMaxPorIp: parseInt(process.env.REPORTE_CIUDADANO_OTP_MAX_IP) || 5,
+    reportesMaxPorIp: parseInt(process.env.REPORTE_CIUDADANO_MAX_IP) || 5,
+  };
+};
+
+/**
+ * Máximo de fotos por reporte (REPORTE_CIUDADANO_MAX_FOTOS)
+ *
+ * @returns {number}
+ */
+export const maxFotosReporte = () => parseInt(process.env.REPORTE_CIUDADANO_MAX_FOTOS) || 3;
+
+/**
+ * Teléfono sin espacios, guiones ni paréntesis
+ *
+ * @param {string} telefono
+ * @returns {string|null}
+ */
+export const normalizarTelefono = (telefono) =>
+  telefono ? String(telefono).replace(/[\s\-()]/g, "") : null;
+
+/**
+ * Código de seguimiento aleatorio: RC-XXXX-XXXX (~40 bits)
+ * @private
+ */
+const generarCodigoSeguimiento = () => {
+  const caracteres = Array.from(
+    { length: 8 },
+    () => ALFABETO_CODIGO[crypto.randomInt(ALFABETO_CODIGO.length)]
+  ).join("");
+  return `RC-${caracteres.slice(0, 4)}-${caracteres.slice(4)}`;
+};
+
+/**
+ * Turno según la hora de "YYYY-MM-DD HH:mm:ss" (mismo criterio que createNovedad)
+ * @private
+ */
+const turnoDeFecha = (fechaLocal) => {
+  const hora = parseInt(fechaLocal.split(" ")[1].split(":")[0], 10);
+  if (hora >= 14 && hora < 22) return "TARDE";
+  if (hora >= 22 || hora < 6) return "NOCHE";
+  return "MAÑANA";
+};
+
+/**
+ * Verifica el token CAPTCHA. Sin REPORTE_CIUDADANO_CAPTCHA_SECRET no
+ * se exige.
+ * @private
+ * @returns {Promise<Object|null>} Error { status, message } o null si es válido
+ */
+const verificarCaptcha = async (token, ip) => {
+  const { captchaSecret, captchaUrl } = configuracion();
+  if (!captchaSecret) return null;
+  if (!token) return { status: 400, message: "captcha_token es requerido" };
+
+  let resultado;
+  try {
+    const response = await fetch(captchaUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ secret: captchaSecret, response: token, remoteip: ip || "" }),
+      signal: AbortSignal.timeout(5000),
+    });
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+    resultado = await response.json();
+  } catch (error) {
+    logger.error(`❌ [Reporte ciudadano] Error verificando CAPTCHA: ${error.message}`);
+    return { status: 503, message: "No se pudo verificar el CAPTCHA, intente nuevamente" };
+  }
+
+  return resultado?.success === true ? null : { status: 400, message: "CAPTCHA inválido o vencido" };
+};
+
+/**
+ * Envía un código OTP por SMS para verificar el teléfono del reportante.
+ * Los códigos anteriores pendientes de ese teléfono quedan invalidados.
+ * Limita los envíos por IP (REPORTE_CIUDADANO_OTP_MAX_IP cada 15
+ * minutos) y por teléfono (REPORTE_CIUDADANO_OTP_MAX_HORA por hora).
+ *
+ * @param {string} telefono
+ * @param {string} ip - IP del solicitante
+ * @returns {Promise<Object>} { ok, status, message, data? }
+ */
+export const solicitarOtp = async (telefono, ip) => {
+  const { modoOtp, otpExpiracionMin, otpMaxPorHora, otpMaxPorIp } = configuracion();
+  if (modoOtp === MODOS_OTP.DESACTIVADO) {
+    return { ok: false, status: 400, message: "La verificación por SMS no está habilitada" };
+  }
+
+  const numero = normalizarTelefono(telefono);
+  const ahora = new Date();
+
+  if (ip) {
+    const enviadosIp = await ReporteCiudadanoOtp.count({
+      where: { ip_origen: ip, created_at: { [Op.gt]: new Date(ahora.getTime() - VENTANA_LIMITE_IP_MS) } },
+    });
+    if (enviadosIp >= otpMaxPorIp) {
+      return {
+        ok: false,
+        status: 429,
+        message: "Se alcanzó el máximo de códigos desde esta conexión, intente en 15 minutos",
+      };
+    }
+  }
+
+  const enviadosUltimaHora = await ReporteCiudadanoOtp.count({
+    where: { telefono: numero, created_at: { [Op.gt]: new Date(ahora.getTime() - 60 * 60 * 1000) } },
+  });
+  if (enviadosUltimaHora >= otpMaxPorHora) {
+    return {
+      ok: false,
+      status: 429,
+      message: "Se alcanzó el máximo de códigos para este teléfono, intente en una hora",
+    };
+  }
+
+  await ReporteCiudadanoOtp.update(
+    { expira_en: ahora },
+    { where: { telefono: numero, usado_en: null, expira_en: { [Op.gt]: ahora } } }
+  );
+
+  const codigo = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  const otp = await ReporteCiudadanoOtp.create({
+    telefono: numero,
+    codigo_hash: hashToken(codigo),
+    expira_en: new Date(ahora.getTime() + otpExpiracionMin * 60 * 1000),
+    ip_origen: ip || null,
+  });
+
+  try {
+    await enviarSms({
+      to: numero,
+      text: `Su código de verificación para el reporte ciudadano es ${codigo}. Vence en ${otpExpiracionMin} minutos.`,
+    });
+  } catch (error) {
+    logger.error(`❌ [Reporte ciudadano] Error enviando OTP: ${error.message}`);
+    await otp.destroy();
+    return { ok: false, status: 503, message: "No se pudo enviar el SMS, intente nuevamente" };
+  }
+
+  return {
+    ok: true,
+    status: 200,
+    message: "Código de verificación enviado por SMS",
+    data: { expira_en_min: otpExpiracionMin },
+  };
+};
+
+/**
+ * Límite de reportes por IP (REPORTE_CIUDADANO_MAX_IP cada 15 minutos),
+ * contado en reportes_ciudadanos. Se verifica antes de recibir las fotos.
+ *
+ * @param {string} ip - IP del solicitante
+ * @returns {Promise<Object|null>} Error { status, message } o null si puede reportar
+ */
+export const verificarLimiteReportesIp = async (ip) => {
+  if (!ip) return null;
+
+  const { reportesMaxPorIp } = configuracion();
+  const recientes = await ReporteCiudadano.count({
+    where: { ip_origen: ip, created_at: { [Op.gt]: new Date(Date.now() - VENTANA_LIMITE_IP_MS) } },
+  });
+  if (recientes < reportesMaxPorIp) return null;
+
+  return {
+    status: 429,
+    message: "Se alcanzó el máximo de reportes desde esta conexión, intente en 15 minutos",
+  };
+};
+
+/**
+ * Consume el código OTP vigente del teléfono. Cada fallo suma un
+ * intento; al llegar a MAX_INTENTOS_OTP el código deja de aceptarse.
+ * @private
+ * @returns {Promise<boolean>}
+ */
+const consumirOtp = async (telefono, codigo, transaction) => {
+  const ahora = new Date();
+  const otp = await ReporteCiudadanoOtp.findOne({
+    where: { telefono, usado_en: null, expira_en: { [Op.gt]: ahora } },
+    order: [["created_at", "DESC"]],
+    transaction,
+    lock: transaction.LOCK.UPDATE,
+  });
+  if (!otp || otp.intentos >= MAX_INTENTOS_OTP) return false;
+
+  if (!compararHashes(hashToken(codigo), otp.codigo_hash)) {
+    await otp.increment("intentos", { transaction });
+    return false;
+  }
+
+  await otp.update({ usado_en: ahora }, { transaction });
+  return true;
+};
+
+/**
+ * Catálogo público: tipos activos con sus subtipos visible_ciudadano
+ *
+ * @returns {Promise<Array<Object>>} [{ id, nombre, icono, color_hex, subtipos: [...] }]
+ */
+export const obtenerCatalogoPublico = async () => {
+  const tipos = await TipoNovedad.findAll({
+    where: { estado: 1, deleted_at: null },
+    attributes: ["id", "nombre", "descripcion", "icono", "color_hex", "orden"],
+    include: [
+      {
+        model: SubtipoNovedad,
+        as: "subtipos",
+        where: { estado: 1, deleted_at: null, visible_ciudadano: true },
+        attributes: ["id", "nombre", "descripcion", "orden"],
+        required: true,
+      },
+    ],
+    order: [
+      ["orden", "ASC"],
+      ["nombre", "ASC"],
+      [{ model: SubtipoNovedad, as: "subtipos" }, "orden", "ASC"],
+      [{ model: SubtipoNovedad, as: "subtipos" }, "nombre", "ASC"],
+    ],
+  });
+
+  return tipos;
+};
+
+/**
+ * Registra un reporte ciudadano: crea la novedad (origen APP_CIUDADANA,
+ * estado inicial), su historial inicial, el reporte en la cola de
+ * triaje y las fotos como adjuntos, todo en una transacción.
+ *
+ * @param {Object} params
+ * @param {Object} params.datos - Campos validados del body
+ * @param {Array<Object>} [params.fotos] - Archivos de multer (memoria)
+ * @param {string} params.ip
+ * @param {string} [params.userAgent]
+ * @returns {Promise<Object>} { ok, status, message?, data? }
+ */
+export const crearReporteCiudadano = async ({ datos, fotos = [], ip, userAgent }) => {
+  const { usuarioId, modoOtp } = configuracion();
+  if (!usuarioId) {
+    logger.error("❌ [Reporte ciudadano] REPORTE_CIUDADANO_USUARIO_ID no configurado");
+    return { ok: false, status: 503, message: "El reporte ciudadano no está disponible" };
+  }
+
+  const errorCaptcha = await verificarCaptcha(datos.captcha_token, ip);
+  if (errorCaptcha) return { ok: false, ...errorCaptcha };
+
+  const telefono = normalizarTelefono(datos.telefono);
+  const verificarTelefono = modoOtp !== MODOS_OTP.DESACTIVADO && Boolean(datos.codigo_otp);
+  if (modoOtp === MODOS_OTP.REQUERIDO && (!telefono || !datos.codigo_otp)) {
+    return {
+      ok: false,
+      status: 400,
+      message: "telefono y codigo_otp son requeridos (solicite el código en POST /publico/reportes/otp)",
+    };
+  }
+  if (verificarTelefono && !telefono) {
+    return { ok: false, status: 400, message: "telefono es requerido para verificar codigo_otp" };
+  }
+
+  const subtipo = await SubtipoNovedad.findOne({
+    where: {
+      id: datos.subtipo_novedad_id,
+      tipo_novedad_id: datos.tipo_novedad_id,
+      estado: 1,
+      deleted_at: null,
+      visible_ciudadano: true,
+    },
+  });
+  if (!subtipo) {
+    return {
+      ok: false,
+      status: 400,
+      message: "El tipo o subtipo no está disponible para reportes ciudadanos (ver GET /publico/catalogo-novedades)",
+    };
+  }
+
+  const transaction = await sequelize.transaction();
+  try {
+    if (verificarTelefono && !(await consumirOtp(telefono, datos.codigo_otp, transaction))) {
+      await transaction.commit(); // conservar el intento fallido
+      return { ok: false, status: 400, message: "Código de verificación inválido o vencido" };
+    }
+
+    const estadoInicial = await EstadoNovedad.findOne({
+      where: { es_inicial: 1, estado: 1 },
+      transaction,
+    });
+    if (!estadoInicial) {
+      await transaction.rollback();
+      return { ok: false, status: 500, message: "No se encontró un estado inicial configurado" };
+    }
+
+    const ultimaNovedad = await Novedad.findOne({
+      order: [["id", "DESC"]],
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    const siguienteNumero = ultimaNovedad ? parseInt(ultimaNovedad.novedad_code) + 1 : 1;
+
+    const ahora = getNowInTimezone();
+    const esAnonimo = Boolean(datos.es_anonimo);
+    const territorio = await resolverAsignacionTerritorial(
+      { latitud: datos.latitud, longitud: datos.longitud },
+      { transaction }
+    );
+
+    const novedad = await Novedad.create(
+      {
+        novedad_code: String(siguienteNumero).padStart(10, "0"),
+        fecha_hora_ocurrencia: rawDate(ahora, sequelize),
+        fecha_hora_reporte: rawDate(ahora, sequelize),
+        tipo_novedad_id: subtipo.tipo_novedad_id,
+        subtipo_novedad_id: subtipo.id,
+        estado_novedad_id: estadoInicial.id,
+        localizacion: datos.localizacion,
+        referencia_ubicacion: datos.referencia_ubicacion,
+        latitud: datos.latitud,
+        longitud: datos.longitud,
+        ...territorio,
+        ubigeo_code: DEFAULT_UBIGEO_CODE,
+        origen_llamada: ORIGEN_LLAMADA.APP_CIUDADANA,
+        reportante_nombre: esAnonimo ? null : datos.nombre,
+        reportante_telefono: telefono,
+        reportante_doc_identidad: esAnonimo ? null : datos.doc_identidad,
+        es_anonimo: esAnonimo ? 1 : 0,
+        descripcion: datos.descripcion,
+        prioridad_actual: subtipo.prioridad || "MEDIA",
+        turno: turnoDeFecha(ahora),
+        created_by: usuarioId,
+        updated_by: usuarioId,
+      },
+      { transaction }
+    );
+
+    await HistorialEstadoNovedad.create(
+      {
+        novedad_id: novedad.id,
+        estado_anterior_id: null,
+        estado_nuevo_id: estadoInicial.id,
+        usuario_id: usuarioId,
+        observaciones: "Reporte ciudadano recibido",
+        created_by: usuarioId,
+        updated_by: usuarioId,
+      },
+      { transaction }
+    );
+
+    const reporte = await ReporteCiudadano.create(
+      {
+        novedad_id: novedad.id,
+        codigo_seguimiento: generarCodigoSeguimiento(),
+        telefono,
+        telefono_verificado: verificarTelefono,
+        ip_origen: ip || null,
+        user_agent: userAgent ? String(userAgent).slice(0, 255) : null,
+      },
+      { transaction }
+    );
+
+    if (fotos.length) {
+      const resultado = await guardarAdjuntos({
+        entidad: ENTIDADES_ADJUNTO.NOVEDAD,
+        entidadId: novedad.id,
+        archivos: fotos,
+        categoria: CATEGORIAS_ADJUNTO.FOTO,
+        usuarioId,
+        transaction,
+      });
+      if (!resultado.ok) {
+        await transaction.rollback();
+        return resultado;
+      }
+    }
+
+    await transaction.commit();
+
+    await publicarEventoNovedad(EVENTOS_NOVEDAD.CREADA, novedad, usuarioId, {
+      tipo_novedad_id: novedad.tipo_novedad_id,
+      subtipo_novedad_id: novedad.subtipo_novedad_id,
+      descripcion: novedad.descripcion,
+      origen_llamada: novedad.origen_llamada,
+      localizacion: novedad.localizacion,
+      latitud: novedad.latitud,
+      longitud: novedad.longitud,
+      reporte_ciudadano: { id: reporte.id, estado_triaje: reporte.estado_triaje },
+    });
+
+    return {
+      ok: true,
+      status: 201,
+      data: {
+        codigo_seguimiento: reporte.codigo_seguimiento,
+        fecha_reporte: ahora,
+        estado_triaje: reporte.estado_triaje,
+        telefono_verificado: reporte.telefono_verificado,
+        fotos: fotos.length,
+      },
+    };
+  } catch (error) {
+    if (!transaction.finished) await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Estado de un reporte para el ciudadano: tipo, estado de la novedad y
+ * fechas de sus cambios de estado. Si la novedad se fusionó en otra se
+ * informa el estado de la principal.
+ *
+ * @param {string} codigo - Código de seguimiento
+ * @returns {Promise<Object|null>}
+ */
+export const consultarSeguimiento = async (codigo) => {
+  const reporte = await ReporteCiudadano.findOne({
+    where: { codigo_seguimiento: String(codigo).toUpperCase() },
+    include: [
+      {
+        model: Novedad,
+        as: "novedad",
+        attributes: ["id", "novedad_padre_id", "fecha_hora_reporte"],
+        include: [
+          { model: TipoNovedad, as: "novedadTipoNovedad", attributes: ["nombre"] },
+          { model: SubtipoNovedad, as: "novedadSubtipoNovedad", attributes: ["nombre"] },
+        ],
+      },
+    ],
+  });
+  if (!reporte) return null;
+
+  const seguimiento = {
+    codigo_seguimiento: reporte.codigo_seguimiento,
+    fecha_reporte: reporte.novedad.fecha_hora_reporte,
+    tipo: reporte.novedad.novedadTipoNovedad?.nombre ?? null,
+    subtipo: reporte.novedad.novedadSubtipoNovedad?.nombre ?? null,
+    estado_triaje: reporte.estado_triaje,
+    motivo_rechazo: null,
+    estado: null,
+    historial: [],
+  };
+
+  if (reporte.estado_triaje === ESTADOS_TRIAJE.RECHAZADO) {
+    seguimiento.motivo_rechazo = reporte.motivo_rechazo;
+    return seguimiento;
+  }
+
+  const novedadId = reporte.novedad.novedad_padre_id || reporte.novedad.id;
+  const [novedad, historial] = await Promise.all([
+    Novedad.findByPk(novedadId, {
+      attributes: ["id"],
+      include: [{ model: EstadoNovedad, as: "novedadEstado", attributes: ["nombre", "color_hex", "es_final"] }],
+    }),
+    HistorialEstadoNovedad.findAll({
+      where: { novedad_id: novedadId },
+      attributes: ["fecha_cambio"],
+      include: [{ model: EstadoNovedad, as: "estadoNuevo", attributes: ["nombre"] }],
+      order: [["fecha_cambio", "ASC"], ["id", "ASC"]],
+    }),
+  ]);
+
+  seguimiento.estado = novedad?.novedadEstado
+    ? {
+      nombre: novedad.novedadEstado.nombre,
+      color_hex: novedad.novedadEstado.color_hex,
+      es_final: Boolean(novedad.novedadEstado.es_final),
+    }
+    : null;
+  seguimiento.historial = historial.map((h) => ({
+    estado: h.estadoNuevo?.nombre ?? null,
+    fecha: h.fecha_cambio,
+  }));
+
+  return seguimiento;
+};
+
+/**
+ * Cola de triaje de reportes ciudadanos
+ *
+ * @param {Object} filtros
+ * @param {string} [filtros.estado_triaje=PENDIENTE]
+ * @param {number} [filtros.page=1]
+ * @param {number} [filtros.limit=20]
+ * @returns {Promise<Object>} { rows, count }
+ */
+export const listarColaTriaje = ({ estado_triaje = ESTADOS_TRIAJE.PENDIENTE, page = 1, limit = 20 }) =>
+  ReporteCiudadano.findAndCountAll({
+    where: { estado_triaje },
+    include: [
+      {
+        model: Novedad,
+        as: "novedad",
+        attributes: [
+          "id",
+          "novedad_code",
+          "fecha_hora_reporte",
+          "descripcion",
+          "localizacion",
+          "referencia_ubicacion",
+          "latitud",
+          "longitud",
+          "prioridad_actual",
+          "reportante_nombre",
+          "reportante_telefono",
+          "es_anonimo",
+          "novedad_padre_id",
+        ],
+        include: [
+          { model: TipoNovedad, as: "novedadTipoNovedad", attributes: ["id", "nombre"] },
+          { model: SubtipoNovedad, as: "novedadSubtipoNovedad", attributes: ["id", "nombre"] },
+          { model: EstadoNovedad, as: "novedadEstado", attributes: ["id", "nombre"] },
+        ],
+      },
+      { model: Usuario, as: "usuarioTriaje", attributes: ["id", "username"] },
+    ],
+    order: [["created_at", estado_triaje === ESTADOS_TRIAJE.PENDIENTE ? "ASC" : "DESC"]],
+    limit,
+    offset: (page - 1) * limit,
+    distinct: true,
+  });
+
+/**
+ * Acepta o rechaza un reporte pendiente. Al rechazarlo la novedad se
+ * elimina (lógicamente) y el motivo se muestra al ciudadano.
+ *
+ * @param {Object} params
+ * @param {number} params.id - ID del reporte ciudadano
+ * @param {string} params.decision - ESTADOS_TRIAJE.ACEPTADO | RECHAZADO
+ * @param {string} [params.motivoRechazo]
+ * @param {number} params.usuarioId
+ * @returns {Promise<Object>} { ok, status, message?, data? }
+ */
+export const triarReporte = async ({ id, decision, motivoRechazo, usuarioId }) => {
+  const transaction = await sequelize.transaction();
+  try {
+    const reporte = await ReporteCiudadano.findByPk(id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (!reporte) {
+      await transaction.rollback();
+      return { ok: false, status: 404, message: "Reporte ciudadano no encontrado" };
+    }
+    if (reporte.estado_triaje !== ESTADOS_TRIAJE.PENDIENTE) {
+      await transaction.rollback();
+      return { ok: false, status: 409, message: `El reporte ya fue ${reporte.estado_triaje.toLowerCase()}` };
+    }
+
+    const ahora = rawDate(getNowInTimezone(), sequelize);
+    await reporte.update(
+      {
+        estado_triaje: decision,
+        motivo_rechazo: decision === ESTADOS_TRIAJE.RECHAZADO ? motivoRechazo : null,
+        triado_por: usuarioId,
+        fecha_triaje: ahora,
+      },
+      { transaction }
+    );
+
+    let novedadEliminada = null;
+    if (decision === ESTADOS_TRIAJE.RECHAZADO) {
+      const novedad = await Novedad.findOne({
+        where: { id: reporte.novedad_id, estado: 1, deleted_at: null },
+        transaction,
+      });
+      if (novedad) {
+        await novedad.update(
+          { estado: 0, deleted_at: ahora, deleted_by: usuarioId, updated_by: usuarioId },
+          { transaction }
+        );
+        novedadEliminada = novedad;
+      }
+    }
+
+    await transaction.commit();
+
+    if (novedadEliminada) {
+      await publicarEventoNovedad(EVENTOS_NOVEDAD.ELIMINADA, novedadEliminada, usuarioId);
+    }
+
+    return { ok: true, status: 200, data: reporte };
+  } catch (error) {
+    if (!transaction.finished) await transaction.rollback();
+    throw error;
+  }
+};
+
+export default {
+  ESTADOS_TRIAJE,
+  MODOS_OTP,
+  maxFotosReporte,
+  normalizarTelefono,
+  solicitarOtp,
+  verificarLimiteReportesIp,
+  obtenerCatalogoPublico,
+  crearReporteCiudadano,
+  consultarSeguimiento,
+  listarColaTriaje,
+  triarReporte,
+};
@@ -2158,6 +2158,134 @@ export const getResumenNovedadesNoAtendidas = async (queryParams = {}) => {
   }
 };
 
+/**
+ * Reporte de cumplimiento de SLA por sector y turno. Una novedad cumple si
+ * la llegada ocurrió dentro del tiempo_respuesta_min de su subtipo; las
+ * que siguen sin llegada cuentan como incumplidas solo si el scheduler de
+ * SLA ya las marcó vencidas. Las alertas y escalamientos salen de
+ * novedad_sla_eventos. Las novedades fusionadas (duplicados) no cuentan.
+ * @param {Object} queryParams - fecha_inicio, fecha_fin, sector_id, turno
+ * @returns {Promise<Object>} Filas por sector/turno y resumen general
+ */
+export const getCumplimientoSla = async (queryParams = {}) => {
+  try {
+    const { fecha_inicio, fecha_fin, sector_id, turno } = queryParams;
+    const hoy = new Date();
+    const sanitizedFechaFin = fecha_fin || hoy.toISOString().split("T")[0];
+    const sanitizedFechaInicio = fecha_inicio ||
+      new Date(hoy.getTime() - 29 * 24 * 60 * 60 * 1000).toISOString().split("T")[0];
+
+    const replacements = [sanitizedFechaInicio, sanitizedFechaFin];
+    let filtrosAdicionales = "";
+    if (sector_id) {
+      filtrosAdicionales += " AND ni.sector_id = ?";
+      replacements.push(parseInt(sector_id));
+    }
+    if (turno) {
+      filtrosAdicionales += " AND ni.turno = ?";
+      replacements.push(turno);
+    }
+
+    const filas = await db.query(`
+      SELECT
+        ni.sector_id,
+        s.nombre AS sector_nombre,
+        COALESCE(ni.turno, 'SIN_TURNO') AS turno,
+        COUNT(*) AS total,
+        SUM(ni.fecha_llegada IS NOT NULL
+          AND TIMESTAMPDIFF(MINUTE, ni.fecha_hora_ocurrencia, ni.fecha_llegada) <= sn.tiempo_respuesta_min) AS cumplidas,
+        SUM((ni.fecha_llegada IS NOT NULL
+          AND TIMESTAMPDIFF(MINUTE, ni.fecha_hora_ocurrencia, ni.fecha_llegada) > sn.tiempo_respuesta_min)
+          OR (ni.fecha_llegada IS NULL AND ni.sla_estado = 'VENCIDO')) AS incumplidas,
+        SUM(ni.fecha_llegada IS NULL AND COALESCE(ni.sla_estado, '') <> 'VENCIDO') AS sin_llegada,
+        SUM(COALESCE(ev.alerta_riesgo, 0)) AS alertas_en_riesgo,
+        SUM(COALESCE(ev.alerta_vencido, 0)) AS alertas_vencidas,
+        SUM(COALESCE(ev.escalada, 0)) AS escaladas,
+        ROUND(AVG(sn.tiempo_respuesta_min), 2) AS objetivo_promedio_min,
+        ROUND(AVG(CASE WHEN ni.fecha_llegada IS NOT NULL
+          THEN TIMESTAMPDIFF(MINUTE, ni.fecha_hora_ocurrencia, ni.fecha_llegada) END), 2) AS tiempo_promedio_llegada_min
+      FROM novedades_incidentes ni
+      INNER JOIN subtipos_novedad sn ON sn.id = ni.subtipo_novedad_id AND sn.tiempo_respuesta_min > 0
+      LEFT JOIN sectores s ON s.id = ni.sector_id
+      LEFT JOIN (
+        SELECT
+          novedad_id,
+          MAX(tipo = 'EN_RIESGO') AS alerta_riesgo,
+          MAX(tipo = 'VENCIDO') AS alerta_vencido,
+          MAX(prioridad_nueva <> prioridad_anterior) AS escalada
+        FROM novedad_sla_eventos
+        GROUP BY novedad_id
+      ) ev ON ev.novedad_id = ni.id
+      WHERE DATE(ni.fecha_hora_ocurrencia) BETWEEN ? AND ?
+        AND ni.estado = 1
+        AND ni.deleted_at IS NULL
+        AND ni.novedad_padre_id IS NULL${filtrosAdicionales}
+      GROUP BY ni.sector_id, s.nombre, COALESCE(ni.turno, 'SIN_TURNO')
+      ORDER BY s.nombre, turno
+    `, {
+      replacements,
+      type: QueryTypes.SELECT
+    });
+
+    const porcentaje = (cumplidas, incumplidas) =>
+      cumplidas + incumplidas > 0 ? ((cumplidas / (cumplidas + incumplidas)) * 100).toFixed(2) : null;
+
+    const resumen = {
+      total: 0,
+      cumplidas: 0,
+      incumplidas: 0,
+      sin_llegada: 0,
+      alertas_en_riesgo: 0,
+      alertas_vencidas: 0,
+      escaladas: 0
+    };
+
+    const detalle = filas.map(fila => {
+      const item = {
+        sector_id: fila.sector_id,
+        sector_nombre: fila.sector_nombre || "SIN_SECTOR",
+        turno: fila.turno,
+        total: Number(fila.total),
+        cumplidas: Number(fila.cumplidas) || 0,
+        incumplidas: Number(fila.incumplidas) || 0,
+        sin_llegada: Number(fila.sin_llegada) || 0,
+        alertas_en_riesgo: Number(fila.alertas_en_riesgo) || 0,
+        alertas_vencidas: Number(fila.alertas_vencidas) || 0,
+        escaladas: Number(fila.escaladas) || 0,
+        objetivo_promedio_min: fila.objetivo_promedio_min !== null ? Number(fila.objetivo_promedio_min) : null,
+        tiempo_promedio_llegada_min: fila.tiempo_promedio_llegada_min !== null ? Number(fila.tiempo_promedio_llegada_min) : null
+      };
+      item.porcentaje_cumplimiento = porcentaje(item.cumplidas, item.incumplidas);
+
+      Object.keys(resumen).forEach(campo => {
+        resumen[campo] += item[campo];
+      });
+
+      return item;
+    });
+
+    resumen.porcentaje_cumplimiento = porcentaje(resumen.cumplidas, resumen.incumplidas);
+
+    return {
+      success: true,
+      data: {
+        resumen,
+        por_sector_turno: detalle,
+        query_info: {
+          fecha_inicio: sanitizedFechaInicio,
+          fecha_fin: sanitizedFechaFin,
+          sector_id: sector_id ? parseInt(sector_id) : null,
+          turno: turno || null
+        }
+      }
+    };
+
+  } catch (error) {
+    console.error("❌ Error en getCumplimientoSla:", error);
+    throw new Error(`Error al obtener cumplimiento de SLA: ${error.message}`);
+  }
+};
+
 /**
  * Obtiene reportes combinados de operativos (vehiculares + a pie + no atendidas)
  * @param {Object} queryParams - Parámetros de filtrado
@@ -2673,5 +2801,6 @@ export default {
   getReportesCombinados,
   buildFilters,
   buildPaginationOptions,
-  getDashboardOperativos
+  getDashboardOperativos,
+  getCumplimientoSla
 };
@@ -0,0 +1,340 @@
+/**
+ * ===================================================
+ * SERVICIO: Sesiones Service
+ * ===================================================
+ *
+ * Ruta: src/services/sesionesService.js
+ *
+ * VERSIÓN: 1.2.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * Operaciones sobre las sesiones (sesiones) y tokens emitidos
+ * (tokens_acceso) de un usuario. Cada login crea una sesión por
+ * dispositivo y los tokens quedan asociados por tokens_acceso.sesion_id.
+ * Centraliza la revocación para que reset de contraseña, logout y
+ * acciones administrativas usen la misma lógica.
+ *
+ * Una sesión está activa mientras expires_at sea futuro; cerrarla
+ * consiste en fijar expires_at al momento actual y revocar sus tokens
+ * (access y refresh), lo que verificarToken detecta en la siguiente
+ * petición a través de tokenRevocacionService.
+ */
+
+import crypto from "crypto";
+import { Op } from "sequelize";
+import models from "../models/index.js";
+import authConfig from "../config/auth.js";
+import { hashToken } from "../utils/cryptoHelper.js";
+import { analizarUserAgent } from "../utils/userAgentHelper.js";
+import { invalidarCacheUsuario } from "./tokenRevocacionService.js";
+const { Sesion, TokenAcceso } = models;
+
+/**
+ * Condición "sesión activa"
+ * @private
+ */
+const whereActiva = () => ({ expires_at: { [Op.gt]: new Date() } });
+
+/**
+ * Invalida la caché de revocación del usuario; si hay transacción,
+ * al confirmarse (antes la BD todavía no refleja la revocación)
+ * @private
+ */
+const invalidarCacheTrasRevocar = (usuarioId, transaction) => {
+  if (transaction) {
+    transaction.afterCommit(() => invalidarCacheUsuario(usuarioId));
+  } else {
+    invalidarCacheUsuario(usuarioId);
+  }
+};
+
+/**
+ * Crea la sesión de un login
+ *
+ * @param {Object} usuario - Instancia de Usuario
+ * @param {Object} req - Request de Express
+ * @param {Object} opciones
+ * @param {Date} opciones.expiresAt - Vencimiento (igual al del refresh token)
+ * @param {Object} [opciones.transaction] - Transacción de Sequelize
+ * @returns {Promise<Object>} Instancia de Sesion
+ */
+export const crearSesion = async (usuario, req, { expiresAt, transaction } = {}) => {
+  const userAgent = req?.headers?.["user-agent"] || null;
+  const dispositivo = analizarUserAgent(userAgent);
+
+  // Las apps móviles pueden enviar un nombre de dispositivo propio
+  const deviceName =
+    typeof req?.body?.device_name === "string" && req.body.device_name.trim()
+      ? req.body.device_name.trim().substring(0, 100)
+      : dispositivo.device_name;
+
+  return Sesion.create(
+    {
+      usuario_id: usuario.id,
+      session_id: crypto.randomUUID(),
+      ip_address: req?.ip || null,
+      user_agent: userAgent ? userAgent.substring(0, 500) : null,
+      device_name: deviceName,
+      device_type: dispositivo.device_type,
+      browser: dispositivo.browser,
+      os: dispositivo.os,
+      last_activity: new Date(),
+      expires_at: expiresAt,
+    },
+    { transaction }
+  );
+};
+
+/**
+ * Registra un token emitido en tokens_acceso (solo se guarda su hash)
+ *
+ * @param {Object} datos
+ * @param {number} datos.usuarioId - ID del usuario
+ * @param {number} [datos.sesionId] - ID de la sesión
+ * @param {string} datos.token - Token en claro
+ * @param {string} datos.jti - Identificador único del token
+ * @param {string} [datos.tipo="REFRESH"] - ACCESS | REFRESH
+ * @param {Date} datos.expiresAt - Vencimiento
+ * @param {Object} [datos.req] - Request de Express (IP y User-Agent)
+ * @param {Object} [datos.transaction] - Transacción de Sequelize
+ * @returns {Promise<Object>} Instancia de TokenAcceso
+ */
+export const registrarToken = async ({
+  usuarioId,
+  sesionId = null,
+  token,
+  jti,
+  tipo = "REFRESH",
+  expiresAt,
+  req,
+  transaction,
+}) => {
+  const userAgent = req?.headers?.["user-agent"] || null;
+
+  return TokenAcceso.create(
+    {
+      usuario_id: usuarioId,
+      sesion_id: sesionId,
+      token_type: tipo,
+      token_hash: hashToken(token),
+      jti,
+      client_ip: req?.ip || null,
+      user_agent: userAgent ? userAgent.substring(0, 255) : null,
+      expires_at: expiresAt,
+    },
+    { transaction }
+  );
+};
+
+/**
+ * Obtiene una sesión activa de un usuario
+ *
+ * @param {number} sesionId - ID de la sesión
+ * @param {number} usuarioId - ID del usuario dueño
+ * @returns {Promise<Object|null>} Instancia de Sesion o null
+ */
+export const obtenerSesionActiva = async (sesionId, usuarioId) => {
+  if (!sesionId) return null;
+
+  return Sesion.findOne({
+    where: { id: sesionId, usuario_id: usuarioId, ...whereActiva() },
+  });
+};
+
+/**
+ * Lista las sesiones activas de un usuario (más reciente primero)
+ *
+ * @param {number} usuarioId - ID del usuario
+ * @returns {Promise<Array>} Instancias de Sesion
+ */
+export const listarSesionesActivas = async (usuarioId) => {
+  return Sesion.findAll({
+    where: { usuario_id: usuarioId, ...whereActiva() },
+    order: [
+      ["last_activity", "DESC"],
+      ["id", "DESC"],
+    ],
+  });
+};
+
+/**
+ * Serializa una sesión para la API
+ *
+ * @param {Object} sesion - Instancia de Sesion
+ * @param {number} [sesionActualId] - Sesión del token que hace la petición
+ * @returns {Object} Sesión sin user_agent ni session_id
+ */
+export const serializarSesion = (sesion, sesionActualId = null) => ({
+  id: sesion.id,
+  device_name: sesion.device_name,
+  device_type: sesion.device_type,
+  browser: sesion.browser,
+  os: sesion.os,
+  ip_address: sesion.ip_address,
+  location_country: sesion.location_country,
+  location_city: sesion.location_city,
+  last_activity: sesion.last_activity,
+  created_at: sesion.created_at,
+  expires_at: sesion.expires_at,
+  is_current: sesionActualId !== null && sesion.id === sesionActualId,
+});
+
+/**
+ * Actualiza last_activity de una sesión
+ *
+ * @param {number} sesionId - ID de la sesión
+ * @returns {Promise<void>}
+ */
+export const registrarActividadSesion = async (sesionId) => {
+  await Sesion.update(
+    { last_activity: new Date() },
+    { where: { id: sesionId } }
+  );
+};
+
+/**
+ * Cierra una sesión y revoca sus tokens
+ *
+ * @param {Object} sesion - Instancia de Sesion
+ * @param {Object} [opciones]
+ * @param {string} [opciones.motivo="logout"] - Motivo de revocación
+ * @param {number} [opciones.revocadoPor] - Usuario que ejecuta la acción
+ * @param {Object} [opciones.transaction] - Transacción de Sequelize
+ * @returns {Promise<{tokens: number}>} Tokens revocados
+ */
+export const revocarSesion = async (sesion, opciones = {}) => {
+  const { motivo = "logout", revocadoPor = null, transaction } = opciones;
+  const ahora = new Date();
+
+  await sesion.update({ expires_at: ahora, is_current: 0 }, { transaction });
+
+  const [tokens] = await TokenAcceso.update(
+    {
+      revoked_at: ahora,
+      revoked_by: revocadoPor,
+      revocation_reason: motivo,
+    },
+    {
+      where: { sesion_id: sesion.id, revoked_at: null },
+      transaction,
+    }
+  );
+
+  invalidarCacheTrasRevocar(sesion.usuario_id, transaction);
+
+  return { tokens };
+};
+
+/**
+ * Cierra una sesión por su ID (aunque ya haya vencido) y revoca los
+ * tokens que sigan vigentes. Se usa al detectar reutilización de un
+ * refresh token rotado: la sesión es la "familia" del token.
+ *
+ * @param {number} sesionId - ID de la sesión
+ * @param {Object} [opciones] - Igual que revocarSesion
+ * @returns {Promise<{tokens: number}|null>} null si la sesión no existe
+ */
+export const revocarSesionPorId = async (sesionId, opciones = {}) => {
+  const sesion = sesionId ? await Sesion.findByPk(sesionId) : null;
+  if (!sesion) return null;
+
+  return revocarSesion(sesion, opciones);
+};
+
+/**
+ * Revoca todas las sesiones y tokens vigentes de un usuario
+ *
+ * Las sesiones se cierran fijando expires_at al momento actual y los
+ * tokens se marcan con revoked_at / revocation_reason. Las API keys del
+ * usuario no dependen de sus sesiones: solo se revocan con incluirApiKeys
+ * (usuario desactivado o eliminado).
+ *
+ * @param {number} usuarioId - ID del usuario
+ * @param {Object} [opciones]
+ * @param {string} [opciones.motivo="revocado"] - Motivo de revocación
+ * @param {number} [opciones.revocadoPor] - Usuario que ejecuta la acción
+ * @param {number} [opciones.exceptoSesionId] - Sesión que se conserva
+ * @param {boolean} [opciones.incluirApiKeys=false] - Revocar también las API keys
+ * @param {Object} [opciones.transaction] - Transacción de Sequelize
+ * @returns {Promise<{sesiones: number, tokens: number}>} Registros afectados
+ */
+export const revocarSesionesUsuario = async (usuarioId, opciones = {}) => {
+  const {
+    motivo = "revocado",
+    revocadoPor = null,
+    exceptoSesionId = null,
+    incluirApiKeys = false,
+    transaction,
+  } = opciones;
+  const ahora = new Date();
+
+  const whereSesiones = { usuario_id: usuarioId, expires_at: { [Op.gt]: ahora } };
+  const whereTokens = {
+    usuario_id: usuarioId,
+    revoked_at: null,
+    token_type: {
+      [Op.in]: incluirApiKeys ? ["ACCESS", "REFRESH", "API_KEY"] : ["ACCESS", "REFRESH"],
+    },
+  };
+
+  if (exceptoSesionId) {
+    whereSesiones.id = { [Op.ne]: exceptoSesionId };
+    whereTokens[Op.or] = [
+      { sesion_id: { [Op.ne]: exceptoSesionId } },
+      { sesion_id: null },
+    ];
+  }
+
+  const [sesiones] = await Sesion.update(
+    { expires_at: ahora, is_current: 0 },
+    { where: whereSesiones, transaction }
+  );
+
+  const [tokens] = await TokenAcceso.update(
+    {
+      revoked_at: ahora,
+      revoked_by: revocadoPor,
+      revocation_reason: motivo,
+    },
+    { where: whereTokens, transaction }
+  );
+
+  invalidarCacheTrasRevocar(usuarioId, transaction);
+
+  return { sesiones, tokens };
+};
+
+/**
+ * Cierra las sesiones más antiguas si el usuario supera
+ * session.maxConcurrentSessions
+ *
+ * @param {number} usuarioId - ID del usuario
+ * @returns {Promise<number>} Sesiones cerradas
+ */
+export const aplicarLimiteSesiones = async (usuarioId) => {
+  const { maxConcurrentSessions } = authConfig.session;
+  if (!maxConcurrentSessions) return 0;
+
+  const sesiones = await listarSesionesActivas(usuarioId);
+  const excedentes = sesiones.slice(maxConcurrentSessions);
+
+  for (const sesion of excedentes) {
+    await revocarSesion(sesion, { motivo: "max_sesiones" });
+  }
+
+  return excedentes.length;
+};
+
+export default {
+  crearSesion,
+  registrarToken,
+  obtenerSesionActiva,
+  listarSesionesActivas,
+  serializarSesion,
+  registrarActividadSesion,
+  revocarSesion,
+  revocarSesionPorId,
+  revocarSesionesUsuario,
+  aplicarLimiteSesiones,
+};
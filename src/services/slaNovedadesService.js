@@ -0,0 +1,318 @@
+/**
+ * ===================================================
+ * SERVICIO: SLA Novedades Service
+ * ===================================================
+ *
+ * Ruta: src/services/slaNovedadesService.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * Seguimiento automático del tiempo de respuesta de las novedades. El
+ * objetivo es el tiempo_respuesta_min del subtipo, medido desde
+ * fecha_hora_ocurrencia hasta fecha_llegada. Un scheduler revisa
+ * periódicamente las novedades abiertas sin llegada (las fusionadas en
+ * otra no cuentan: la atención es la de su principal):
+ *
+ * - EN_RIESGO: transcurrió NOVEDAD_SLA_RIESGO_PCT % del objetivo.
+ * - VENCIDO: se superó el objetivo. prioridad_actual sube un nivel
+ *   (BAJA → MEDIA → ALTA).
+ *
+ * Cada alerta marca novedades_incidentes.sla_estado, queda registrada en
+ * novedad_sla_eventos (base del reporte GET /reportes-operativos/sla) y
+ * se publica por SSE a los roles de supervisión.
+ *
+ * Con varias réplicas todas ejecutan el scheduler: la actualización es
+ * condicional sobre el sla_estado anterior, por lo que solo una réplica
+ * registra y publica cada alerta.
+ */
+
+import { QueryTypes } from "sequelize";
+import sequelize from "../config/database.js";
+import models from "../models/index.js";
+import { publishToRoles } from "../utils/sse-manager.js";
+import { ROLES_SUPERVISION } from "./novedadConcurrenciaService.js";
+import { EVENTOS_NOVEDAD, publicarEventoNovedad } from "./novedadesEventosService.js";
+import logger from "../utils/logger.js";
+const { Novedad, NovedadSlaEvento } = models;
+
+/**
+ * Estados de SLA de una novedad
+ * @constant {Object}
+ */
+export const ESTADOS_SLA = {
+  EN_RIESGO: "EN_RIESGO",
+  VENCIDO: "VENCIDO",
+};
+
+/**
+ * Eventos SSE de SLA
+ * @constant {Object}
+ */
+export const EVENTOS_SLA = {
+  EN_RIESGO: "novedad_sla_en_riesgo",
+  VENCIDO: "novedad_sla_vencida",
+};
+
+/**
+ * Prioridad que corresponde al escalar una novedad vencida
+ * @private
+ */
+const PRIORIDAD_ESCALADA = { BAJA: "MEDIA", MEDIA: "ALTA", ALTA: "ALTA" };
+
+/**
+ * Novedades evaluadas como máximo en cada pasada
+ * @private
+ */
+const LIMITE_POR_PASADA = 200;
+
+let timer = null;
+let evaluando = false;
+
+/**
+ * Configuración del scheduler desde el entorno
+ * @private
+ */
+const configuracion = () => ({
+  habilitado: process.env.NOVEDAD_SLA_ENABLED !== "false",
+  intervaloMs: (parseInt(process.env.NOVEDAD_SLA_INTERVAL_SEC) || 60) * 1000,
+  riesgoPct: Math.min(Math.max(parseInt(process.env.NOVEDAD_SLA_RIESGO_PCT) || 80, 1), 100),
+  ventanaHoras: parseInt(process.env.NOVEDAD_SLA_VENTANA_HORAS) || 24,
+});
+
+/**
+ * Alerta que corresponde a una novedad según el tiempo transcurrido y la
+ * alerta que ya tiene: EN_RIESGO solo desde sin alerta, VENCIDO desde sin
+ * alerta o EN_RIESGO. Es el mismo criterio que aplica buscarCandidatas.
+ *
+ * @param {Object} params
+ * @param {number} params.transcurridoMin - Minutos desde fecha_hora_ocurrencia
+ * @param {number} params.objetivoMin - tiempo_respuesta_min del subtipo
+ * @param {string|null} [params.slaEstado] - sla_estado actual
+ * @param {number} riesgoPct - Porcentaje del objetivo que marca el riesgo
+ * @returns {string|null} ESTADOS_SLA.* o null si no corresponde alerta nueva
+ */
+export const clasificarSla = ({ transcurridoMin, objetivoMin, slaEstado = null }, riesgoPct) => {
+  const transcurrido = Number(transcurridoMin);
+  const objetivo = Number(objetivoMin);
+  if (!(objetivo > 0) || !Number.isFinite(transcurrido)) return null;
+  if (slaEstado === ESTADOS_SLA.VENCIDO) return null;
+
+  if (transcurrido >= objetivo) return ESTADOS_SLA.VENCIDO;
+  if (!slaEstado && transcurrido >= objetivo * (riesgoPct / 100)) return ESTADOS_SLA.EN_RIESGO;
+  return null;
+};
+
+/**
+ * Novedades abiertas, sin llegada, que alcanzaron un umbral (riesgo o
+ * vencimiento) cuya alerta aún no tienen
+ * @private
+ */
+const buscarCandidatas = ({ riesgoPct, ventanaHoras }) =>
+  sequelize.query(
+    `
+    SELECT
+      ni.id,
+      ni.sla_estado,
+      ni.prioridad_actual,
+      ni.subtipo_novedad_id,
+      ni.sector_id,
+      ni.cuadrante_id,
+      ni.turno,
+      sn.tiempo_respuesta_min AS objetivo_min,
+      TIMESTAMPDIFF(MINUTE, ni.fecha_hora_ocurrencia, NOW()) AS transcurrido_min
+    FROM novedades_incidentes ni
+    INNER JOIN subtipos_novedad sn ON sn.id = ni.subtipo_novedad_id
+    INNER JOIN estados_novedad en ON en.id = ni.estado_novedad_id
+    WHERE ni.estado = 1
+      AND ni.deleted_at IS NULL
+      AND ni.fecha_llegada IS NULL
+      AND ni.novedad_padre_id IS NULL
+      AND COALESCE(en.es_final, 0) = 0
+      AND sn.tiempo_respuesta_min > 0
+      AND ni.fecha_hora_ocurrencia >= NOW() - INTERVAL :ventanaHoras HOUR
+      AND (
+        (ni.sla_estado IS NULL
+          AND TIMESTAMPDIFF(MINUTE, ni.fecha_hora_ocurrencia, NOW()) >= sn.tiempo_respuesta_min * :riesgo)
+        OR (ni.sla_estado = 'EN_RIESGO'
+          AND TIMESTAMPDIFF(MINUTE, ni.fecha_hora_ocurrencia, NOW()) >= sn.tiempo_respuesta_min)
+      )
+    ORDER BY ni.fecha_hora_ocurrencia ASC
+    LIMIT :limite
+    `,
+    {
+      replacements: { ventanaHoras, riesgo: riesgoPct / 100, limite: LIMITE_POR_PASADA },
+      type: QueryTypes.SELECT,
+    }
+  );
+
+/**
+ * Marca la alerta de una novedad. Devuelve null si otra réplica (o una
+ * llegada registrada entretanto) se adelantó.
+ * @private
+ */
+const marcarAlerta = async (candidata, tipo) => {
+  const prioridadAnterior = candidata.prioridad_actual;
+  const prioridadNueva =
+    tipo === ESTADOS_SLA.VENCIDO ? PRIORIDAD_ESCALADA[prioridadAnterior] || prioridadAnterior : prioridadAnterior;
+  const escalada = prioridadNueva !== prioridadAnterior;
+
+  const datos = { sla_estado: tipo };
+  if (escalada) {
+    // La prioridad es un dato editable: las ediciones abiertas con la
+    // versión anterior deben revisar el cambio (If-Match)
+    datos.prioridad_actual = prioridadNueva;
+    datos.version = sequelize.literal("version + 1");
+  }
+
+  const [actualizadas] = await Novedad.update(datos, {
+    where: { id: candidata.id, sla_estado: candidata.sla_estado, fecha_llegada: null },
+  });
+  if (actualizadas === 0) return null;
+
+  try {
+    await NovedadSlaEvento.create({
+      novedad_id: candidata.id,
+      tipo,
+      objetivo_min: candidata.objetivo_min,
+      transcurrido_min: candidata.transcurrido_min,
+      prioridad_anterior: prioridadAnterior,
+      prioridad_nueva: prioridadNueva,
+      subtipo_novedad_id: candidata.subtipo_novedad_id,
+      sector_id: candidata.sector_id,
+      cuadrante_id: candidata.cuadrante_id,
+      turno: candidata.turno,
+    });
+  } catch (error) {
+    if (error.name !== "SequelizeUniqueConstraintError") throw error;
+  }
+
+  return { prioridadAnterior, prioridadNueva, escalada };
+};
+
+/**
+ * Publica la alerta a supervisión y, si hubo escalamiento, el cambio de
+ * prioridad a los canales de la novedad
+ * @private
+ */
+const publicarAlerta = async (candidata, tipo, { prioridadAnterior, prioridadNueva, escalada }) => {
+  const novedad = await Novedad.findByPk(candidata.id);
+  if (!novedad) return;
+
+  await publishToRoles(ROLES_SUPERVISION, EVENTOS_SLA[tipo], {
+    novedad_id: novedad.id,
+    novedad_code: novedad.novedad_code,
+    sla_estado: tipo,
+    objetivo_min: candidata.objetivo_min,
+    transcurrido_min: Number(candidata.transcurrido_min),
+    prioridad_anterior: prioridadAnterior,
+    prioridad_actual: prioridadNueva,
+    escalada,
+    subtipo_novedad_id: novedad.subtipo_novedad_id,
+    sector_id: novedad.sector_id ?? null,
+    cuadrante_id: novedad.cuadrante_id ?? null,
+    turno: novedad.turno ?? null,
+    timestamp: new Date().toISOString(),
+  });
+
+  if (escalada) {
+    await publicarEventoNovedad(EVENTOS_NOVEDAD.ACTUALIZADA, novedad, null, {
+      cambios: {
+        prioridad_actual: { antes: prioridadAnterior, despues: prioridadNueva },
+        sla_estado: { antes: candidata.sla_estado, despues: tipo },
+      },
+    });
+  }
+};
+
+/**
+ * Una pasada del scheduler: marca, registra y publica las alertas
+ * pendientes
+ *
+ * @returns {Promise<Object>} { en_riesgo, vencidas, escaladas }
+ */
+export const evaluarSla = async () => {
+  const config = configuracion();
+  const resultado = { en_riesgo: 0, vencidas: 0, escaladas: 0 };
+
+  const candidatas = await buscarCandidatas(config);
+
+  for (const candidata of candidatas) {
+    const tipo = clasificarSla(
+      {
+        transcurridoMin: candidata.transcurrido_min,
+        objetivoMin: candidata.objetivo_min,
+        slaEstado: candidata.sla_estado,
+      },
+      config.riesgoPct
+    );
+    if (!tipo) continue;
+
+    try {
+      const alerta = await marcarAlerta(candidata, tipo);
+      if (!alerta) continue;
+
+      if (tipo === ESTADOS_SLA.VENCIDO) resultado.vencidas++;
+      else resultado.en_riesgo++;
+      if (alerta.escalada) resultado.escaladas++;
+
+      await publicarAlerta(candidata, tipo, alerta);
+    } catch (error) {
+      logger.error(`❌ [SLA] Error evaluando la novedad ${candidata.id}: ${error.message}`);
+    }
+  }
+
+  return resultado;
+};
+
+/**
+ * Inicia el scheduler (NOVEDAD_SLA_ENABLED=false lo desactiva)
+ *
+ * @returns {void}
+ */
+export const iniciarSchedulerSla = () => {
+  const config = configuracion();
+  if (!config.habilitado || timer) return;
+
+  const ejecutar = async () => {
+    if (evaluando) return;
+    evaluando = true;
+    try {
+      const { en_riesgo, vencidas, escaladas } = await evaluarSla();
+      if (en_riesgo || vencidas) {
+        logger.info(`⏱️ [SLA] ${en_riesgo} en riesgo, ${vencidas} vencidas (${escaladas} escaladas)`);
+      }
+    } catch (error) {
+      logger.error(`❌ [SLA] Error en la evaluación: ${error.message}`);
+    } finally {
+      evaluando = false;
+    }
+  };
+
+  timer = setInterval(ejecutar, config.intervaloMs);
+  timer.unref();
+
+  logger.info(
+    `⏱️ [SLA] Scheduler iniciado: cada ${config.intervaloMs / 1000}s, riesgo al ${config.riesgoPct}%`
+  );
+};
+
+/**
+ * Detiene el scheduler
+ *
+ * @returns {void}
+ */
+export const detenerSchedulerSla = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+export default {
+  ESTADOS_SLA,
+  EVENTOS_SLA,
+  clasificarSla,
+  evaluarSla,
+  iniciarSchedulerSla,
+  detenerSchedulerSla,
+};
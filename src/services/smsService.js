@@ -0,0 +1,108 @@
+/**
+ * ===================================================
+ * SERVICIO: SMS Service
+ * ===================================================
+ *
+ * Ruta: src/services/smsService.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * Envío de SMS transaccionales (códigos OTP del reporte ciudadano). El
+ * transporte se elige con SMS_TRANSPORT:
+ * - webhook: POST JSON { to, text } a SMS_WEBHOOK_URL (pasarela del
+ *   proveedor o microservicio propio), con SMS_WEBHOOK_TOKEN como Bearer
+ * - console: registra el mensaje en el logger (desarrollo y tests); no
+ *   se permite con NODE_ENV=production porque los códigos OTP quedarían
+ *   en los logs
+ *
+ * Los tests pueden inyectar su propio transporte con setTransport().
+ */
+
+import logger from "../utils/logger.js";
+
+let transporte = null;
+
+/**
+ * Crea el transporte según SMS_TRANSPORT
+ * @private
+ * @param {string} tipo - 'webhook' | 'console'
+ * @returns {Object} Objeto con método enviar({ to, text })
+ */
+const crearTransporte = (tipo) => {
+  switch (tipo) {
+  case "webhook":
+    return {
+      tipo,
+      async enviar({ to, text }) {
+        const response = await fetch(process.env.SMS_WEBHOOK_URL, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            ...(process.env.SMS_WEBHOOK_TOKEN
+              ? { Authorization: `Bearer ${process.env.SMS_WEBHOOK_TOKEN}` }
+              : {}),
+          },
+          body: JSON.stringify({ to, text }),
+          signal: AbortSignal.timeout(10000),
+        });
+        if (!response.ok) {
+          throw new Error(`Pasarela SMS: ${response.status} ${response.statusText}`);
+        }
+      },
+    };
+  case "console":
+    if (process.env.NODE_ENV === "production") {
+      throw new Error(
+        "SMS_TRANSPORT=console no está permitido en producción (configure SMS_TRANSPORT=webhook)"
+      );
+    }
+    return {
+      tipo,
+      async enviar({ to, text }) {
+        logger.info(`📱 [SMS] Mensaje a ${to}`);
+        logger.debug("📱 [SMS] Texto del mensaje", { text });
+      },
+    };
+  default:
+    throw new Error(`SMS_TRANSPORT no soportado: ${tipo}`);
+  }
+};
+
+/**
+ * Obtiene (o inicializa) el transporte activo
+ * @private
+ */
+const getTransporte = () => {
+  if (!transporte) {
+    transporte = crearTransporte((process.env.SMS_TRANSPORT || "console").toLowerCase());
+  }
+  return transporte;
+};
+
+/**
+ * Reemplaza el transporte activo (útil para tests)
+ *
+ * @param {Object} customTransporte - Objeto con método enviar({ to, text })
+ */
+export const setTransport = (customTransporte) => {
+  transporte = customTransporte;
+};
+
+/**
+ * Envía un SMS con el transporte configurado
+ *
+ * @param {Object} mensaje
+ * @param {string} mensaje.to - Teléfono destino
+ * @param {string} mensaje.text - Texto del mensaje
+ * @returns {Promise<void>}
+ */
+export const enviarSms = async ({ to, text }) => {
+  await getTransporte().enviar({ to, text });
+};
+
+export default {
+  setTransport,
+  enviarSms,
+};
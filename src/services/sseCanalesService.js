@@ -0,0 +1,223 @@
+/**
+ * ===================================================
+ * SERVICIO: SSE Canales Service
+ * ===================================================
+ *
+ * Ruta: src/services/sseCanalesService.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * Decide qué recibe cada cliente del stream SSE. Al conectarse se
+ * resuelve su alcance a partir del JWT (usuario y roles) y de su
+ * personal de seguridad asociado:
+ *
+ * - Roles globales (SSE_GLOBAL_ROLES): reciben todos los eventos operativos.
+ * - Sectores: los que supervisa y los de sus turnos ACTIVOS como
+ *   operador o supervisor.
+ * - Cuadrantes: los que supervisa y en los que está patrullando
+ *   (a pie o en vehículo) en un turno ACTIVO.
+ * - Roles centrales (SSE_CENTRAL_ROLES, ej. central de monitoreo): si no
+ *   tienen sector ni cuadrante asignado se comportan como globales.
+ *
+ * El alcance se calcula al conectar; si cambian los turnos, el cliente
+ * lo obtiene al reconectarse.
+ */
+
+import { Op } from "sequelize";
+import models from "../models/index.js";
+const {
+  Usuario,
+  Sector,
+  Cuadrante,
+  OperativosTurno,
+  OperativosPersonal,
+  OperativosPersonalCuadrantes,
+  OperativosVehiculos,
+  OperativosVehiculosCuadrantes,
+} = models;
+
+/**
+ * Lee una lista de roles separada por coma de una variable de entorno
+ * @private
+ */
+const rolesDeEntorno = (valor, porDefecto) =>
+  (valor || porDefecto)
+    .split(",")
+    .map((r) => r.trim())
+    .filter(Boolean);
+
+/**
+ * Roles que reciben todos los eventos operativos
+ * @constant {Array<string>}
+ */
+export const ROLES_GLOBALES = rolesDeEntorno(
+  process.env.SSE_GLOBAL_ROLES,
+  "super_admin,admin,supervisor"
+);
+
+/**
+ * Roles que, sin sector ni cuadrante asignado, reciben todo
+ * @constant {Array<string>}
+ */
+export const ROLES_CENTRALES = rolesDeEntorno(
+  process.env.SSE_CENTRAL_ROLES,
+  "operador"
+);
+
+/**
+ * IDs únicos sin nulos
+ * @private
+ */
+const unicos = (valores) => [...new Set(valores.filter((v) => v != null).map(Number))];
+
+/**
+ * Cuadrantes donde el personal patrulla ahora (sin hora de salida) en
+ * un turno ACTIVO, a pie o en vehículo
+ * @private
+ */
+const cuadrantesPatrullaje = async (personalId) => {
+  const turnoActivo = {
+    model: OperativosTurno,
+    as: "turno",
+    attributes: [],
+    where: { estado: "ACTIVO" },
+  };
+
+  const [aPie, enVehiculo] = await Promise.all([
+    OperativosPersonalCuadrantes.findAll({
+      where: { hora_salida: null },
+      attributes: ["cuadrante_id"],
+      include: [
+        {
+          model: OperativosPersonal,
+          as: "operativoPersonal",
+          attributes: [],
+          where: {
+            [Op.or]: [{ personal_id: personalId }, { sereno_id: personalId }],
+          },
+          include: [turnoActivo],
+        },
+      ],
+    }),
+    OperativosVehiculosCuadrantes.findAll({
+      where: { hora_salida: null },
+      attributes: ["cuadrante_id"],
+      include: [
+        {
+          model: OperativosVehiculos,
+          as: "operativoVehiculo",
+          attributes: [],
+          where: {
+            [Op.or]: [{ conductor_id: personalId }, { copiloto_id: personalId }],
+          },
+          include: [turnoActivo],
+        },
+      ],
+    }),
+  ]);
+
+  return [...aPie, ...enVehiculo].map((r) => r.cuadrante_id);
+};
+
+/**
+ * Resuelve el alcance de un cliente SSE
+ *
+ * @param {Object} payload - JWT decodificado (userId, roles)
+ * @returns {Promise<Object>} { usuarioId, roles, sectores, cuadrantes, global }
+ *   (formato que espera sse-manager.addClient)
+ */
+export const resolverAlcanceCliente = async (payload) => {
+  const roles = payload.roles || [];
+  const alcance = {
+    usuarioId: payload.userId,
+    roles,
+    sectores: [],
+    cuadrantes: [],
+    global: roles.some((r) => ROLES_GLOBALES.includes(r)),
+  };
+
+  if (alcance.global) return alcance;
+
+  const usuario = await Usuario.findByPk(payload.userId, {
+    attributes: ["id", "personal_seguridad_id"],
+  });
+  const personalId = usuario?.personal_seguridad_id;
+
+  if (personalId) {
+    const [sectoresSupervisa, turnos, cuadrantesSupervisa, patrullaje] =
+      await Promise.all([
+        Sector.findAll({
+          where: { supervisor_id: personalId },
+          attributes: ["id"],
+        }),
+        OperativosTurno.findAll({
+          where: {
+            estado: "ACTIVO",
+            [Op.or]: [{ operador_id: personalId }, { supervisor_id: personalId }],
+          },
+          attributes: ["sector_id"],
+        }),
+        Cuadrante.findAll({
+          where: { personal_supervisor_id: personalId },
+          attributes: ["id"],
+        }),
+        cuadrantesPatrullaje(personalId),
+      ]);
+
+    alcance.sectores = unicos([
+      ...sectoresSupervisa.map((s) => s.id),
+      ...turnos.map((t) => t.sector_id),
+    ]);
+    alcance.cuadrantes = unicos([
+      ...cuadrantesSupervisa.map((c) => c.id),
+      ...patrullaje,
+    ]);
+  }
+
+  alcance.global =
+    alcance.sectores.length === 0 &&
+    alcance.cuadrantes.length === 0 &&
+    roles.some((r) => ROLES_CENTRALES.includes(r));
+
+  return alcance;
+};
+
+/**
+ * Canales de una novedad: su sector y cuadrante, y los usuarios del
+ * personal asignado a atenderla
+ *
+ * @param {Object} novedad - Instancia (o JSON) de Novedad
+ * @returns {Promise<Object>} Canales para sse-manager.publishEvent
+ */
+export const canalesNovedad = async (novedad) => {
+  const personalAsignado = unicos([
+    novedad.personal_cargo_id,
+    novedad.personal_seguridad2_id,
+    novedad.personal_seguridad3_id,
+    novedad.personal_seguridad4_id,
+  ]);
+
+  let usuarios = [];
+  if (personalAsignado.length > 0) {
+    usuarios = await Usuario.findAll({
+      where: { personal_seguridad_id: { [Op.in]: personalAsignado } },
+      attributes: ["id"],
+    });
+  }
+
+  return {
+    global: true,
+    sectores: unicos([novedad.sector_id]),
+    cuadrantes: unicos([novedad.cuadrante_id]),
+    usuarios: usuarios.map((u) => u.id),
+  };
+};
+
+export default {
+  ROLES_GLOBALES,
+  ROLES_CENTRALES,
+  resolverAlcanceCliente,
+  canalesNovedad,
+};
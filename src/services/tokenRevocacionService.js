@@ -0,0 +1,115 @@
+/**
+ * ===================================================
+ * SERVICIO: Token Revocación Service
+ * ===================================================
+ *
+ * Ruta: src/services/tokenRevocacionService.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * Lista de revocación de access tokens consultada por verificarToken en
+ * cada petición. Los access tokens llevan un "jti" registrado en
+ * tokens_acceso (token_type ACCESS); el token está revocado cuando su
+ * fila tiene revoked_at.
+ *
+ * Para no consultar la base de datos en cada petición, el resultado se
+ * guarda en memoria:
+ * - Revocado: hasta que el token vence (la revocación es definitiva)
+ * - Vigente: durante TOKEN_REVOCATION_CACHE_TTL (por defecto 30s)
+ *
+ * Las funciones de sesionesService que revocan tokens invalidan la caché
+ * del usuario, por lo que en este proceso el efecto es inmediato; otras
+ * instancias lo ven como máximo tras el TTL de la caché.
+ *
+ * Los tokens sin jti (emitidos antes de esta versión) y los jti sin fila
+ * en tokens_acceso no se consideran revocados.
+ */
+
+import models from "../models/index.js";
+import authConfig from "../config/auth.js";
+const { TokenAcceso } = models;
+
+/**
+ * Caché jti → { revocado, usuarioId, expira }
+ * @private
+ */
+const cache = new Map();
+
+/**
+ * Tamaño a partir del cual se purgan las entradas vencidas
+ * @private
+ */
+const MAX_ENTRADAS = 10000;
+
+/**
+ * Elimina las entradas vencidas de la caché
+ * @private
+ */
+const purgarVencidas = (ahora) => {
+  for (const [jti, entrada] of cache) {
+    if (entrada.expira <= ahora) cache.delete(jti);
+  }
+};
+
+/**
+ * Indica si un access token fue revocado
+ *
+ * @param {string} jti - Claim "jti" del token
+ * @returns {Promise<boolean>} true si el token está revocado
+ */
+export const estaRevocado = async (jti) => {
+  if (!jti) return false;
+
+  const ahora = Date.now();
+  const enCache = cache.get(jti);
+  if (enCache && enCache.expira > ahora) return enCache.revocado;
+
+  const token = await TokenAcceso.findOne({
+    where: { jti, token_type: "ACCESS" },
+    attributes: ["usuario_id", "revoked_at", "expires_at"],
+  });
+
+  const revocado = Boolean(token?.revoked_at);
+
+  if (cache.size >= MAX_ENTRADAS) purgarVencidas(ahora);
+
+  cache.set(jti, {
+    revocado,
+    usuarioId: token?.usuario_id ?? null,
+    expira: revocado
+      ? new Date(token.expires_at).getTime()
+      : ahora + authConfig.jwt.revocationCacheTtlMs,
+  });
+
+  return revocado;
+};
+
+/**
+ * Descarta de la caché los tokens de un usuario para que la próxima
+ * petición vuelva a consultar tokens_acceso
+ *
+ * @param {number} usuarioId - ID del usuario
+ * @returns {void}
+ */
+export const invalidarCacheUsuario = (usuarioId) => {
+  for (const [jti, entrada] of cache) {
+    if (entrada.usuarioId === usuarioId) cache.delete(jti);
+  }
+};
+
+/**
+ * Vacía la caché completa
+ *
+ * @returns {void}
+ */
+export const limpiarCache = () => {
+  cache.clear();
+};
+
+export default {
+  estaRevocado,
+  invalidarCacheUsuario,
+  limpiarCache,
+};
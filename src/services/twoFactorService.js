@@ -0,0 +1,275 @@
+/**
+ * ===================================================
+ * SERVICIO: Two Factor Service (TOTP)
+ * ===================================================
+ *
+ * Ruta: src/services/twoFactorService.js
+ *
+ * VERSIÓN: 1.0.0
+ * FECHA: 2026-10-18
+ *
+ * Descripción:
+ * Lógica de autenticación de dos factores basada en TOTP (RFC 6238)
+ * sobre las columnas two_factor_* de usuarios:
+ * - two_factor_secret: secret base32 cifrado con AES (crypto-js)
+ * - two_factor_recovery_codes: array de hashes SHA-256 de los códigos
+ *   de recuperación (cada código es de un solo uso)
+ * - two_factor_ultimo_paso: último paso TOTP aceptado; un código de ese
+ *   paso o de uno anterior ya no se acepta (anti-reuso)
+ */
+
+import speakeasy from "speakeasy";
+import QRCode from "qrcode";
+import CryptoJS from "crypto-js";
+import { Op } from "sequelize";
+import sequelize from "../config/database.js";
+import models from "../models/index.js";
+import authConfig from "../config/auth.js";
+import {
+  generarTokenAleatorio,
+  hashToken,
+  compararHashes,
+} from "../utils/cryptoHelper.js";
+const { Usuario } = models;
+
+/**
+ * Cifra el secret TOTP antes de guardarlo en BD
+ * @private
+ * @param {string} secret - Secret base32 en claro
+ * @returns {string} Secret cifrado
+ */
+const cifrarSecreto = (secret) => {
+  return CryptoJS.AES.encrypt(
+    secret,
+    authConfig.twoFactor.encryptionKey
+  ).toString();
+};
+
+/**
+ * Descifra el secret TOTP almacenado
+ * @private
+ * @param {string} secretCifrado - Valor de usuarios.two_factor_secret
+ * @returns {string} Secret base32 en claro ("" si no se pudo descifrar)
+ */
+const descifrarSecreto = (secretCifrado) => {
+  try {
+    return CryptoJS.AES.decrypt(
+      secretCifrado,
+      authConfig.twoFactor.encryptionKey
+    ).toString(CryptoJS.enc.Utf8);
+  } catch (error) {
+    return "";
+  }
+};
+
+/**
+ * Normaliza un código de recuperación (sin guiones, mayúsculas)
+ * @private
+ * @param {string} codigo - Código ingresado por el usuario
+ * @returns {string}
+ */
+const normalizarCodigoRecuperacion = (codigo) => {
+  return String(codigo || "").replace(/[\s-]/g, "").toUpperCase();
+};
+
+/**
+ * Genera un nuevo secret TOTP para el usuario junto con su código QR
+ *
+ * @param {Object} usuario - Instancia de Usuario
+ * @returns {Promise<{secret: string, secretCifrado: string, otpauthUrl: string, qrCode: string}>}
+ */
+export const generarSecreto = async (usuario) => {
+  const { appName } = authConfig.twoFactor;
+  const generado = speakeasy.generateSecret({
+    length: 20,
+    name: `${appName} (${usuario.username})`,
+    issuer: appName,
+  });
+
+  const qrCode = await QRCode.toDataURL(generado.otpauth_url);
+
+  return {
+    secret: generado.base32,
+    secretCifrado: cifrarSecreto(generado.base32),
+    otpauthUrl: generado.otpauth_url,
+    qrCode,
+  };
+};
+
+/**
+ * Paso TOTP (contador de RFC 6238) al que corresponde un código de 6
+ * dígitos, buscado en la ventana configurada
+ *
+ * @param {string} secretCifrado - Valor de usuarios.two_factor_secret
+ * @param {string} codigo - Código ingresado por el usuario
+ * @param {number} [ahoraMs=Date.now()] - Instante de referencia
+ * @returns {number|null} Paso del código, o null si no es válido
+ */
+export const pasoCodigoTOTP = (secretCifrado, codigo, ahoraMs = Date.now()) => {
+  if (!secretCifrado || !/^\d{6}$/.test(String(codigo || ""))) {
+    return null;
+  }
+
+  const secret = descifrarSecreto(secretCifrado);
+  if (!secret) return null;
+
+  const { step, window } = authConfig.twoFactor;
+  const pasoActual = Math.floor(ahoraMs / 1000 / step);
+  const resultado = speakeasy.totp.verifyDelta({
+    secret,
+    encoding: "base32",
+    token: String(codigo),
+    window,
+    step,
+    counter: pasoActual,
+  });
+
+  return resultado ? pasoActual + resultado.delta : null;
+};
+
+/**
+ * Verifica un código TOTP de 6 dígitos (sin registrar su uso)
+ *
+ * @param {string} secretCifrado - Valor de usuarios.two_factor_secret
+ * @param {string} codigo - Código ingresado por el usuario
+ * @returns {boolean} true si el código es válido en la ventana configurada
+ */
+export const verificarCodigoTOTP = (secretCifrado, codigo) =>
+  pasoCodigoTOTP(secretCifrado, codigo) !== null;
+
+/**
+ * Acepta un código TOTP una sola vez: su paso debe ser posterior a
+ * two_factor_ultimo_paso. El UPDATE condicional hace que, entre dos
+ * peticiones simultáneas con el mismo código, solo una lo consuma.
+ *
+ * @param {Object} usuario - Instancia de Usuario
+ * @param {string} codigo - Código ingresado
+ * @returns {Promise<boolean>} true si el código es válido y no se había usado
+ */
+export const aceptarCodigoTOTP = async (usuario, codigo) => {
+  const paso = pasoCodigoTOTP(usuario.two_factor_secret, codigo);
+  if (paso === null) return false;
+
+  const [filas] = await Usuario.update(
+    { two_factor_ultimo_paso: paso },
+    {
+      where: {
+        id: usuario.id,
+        [Op.or]: [
+          { two_factor_ultimo_paso: null },
+          { two_factor_ultimo_paso: { [Op.lt]: paso } },
+        ],
+      },
+      hooks: false,
+    }
+  );
+  if (!filas) return false;
+
+  usuario.set("two_factor_ultimo_paso", paso, { raw: true });
+  return true;
+};
+
+/**
+ * Genera un nuevo juego de códigos de recuperación
+ *
+ * @returns {{codigos: Array<string>, hashes: Array<string>}}
+ *   codigos: se muestran una sola vez al usuario (formato XXXX-XXXX)
+ *   hashes: se guardan en usuarios.two_factor_recovery_codes
+ */
+export const generarCodigosRecuperacion = () => {
+  const codigos = [];
+  for (let i = 0; i < authConfig.twoFactor.recoveryCodesCount; i++) {
+    const raw = generarTokenAleatorio(4).toUpperCase();
+    codigos.push(`${raw.slice(0, 4)}-${raw.slice(4)}`);
+  }
+
+  return {
+    codigos,
+    hashes: codigos.map((c) => hashToken(normalizarCodigoRecuperacion(c))),
+  };
+};
+
+/**
+ * Busca un código de recuperación entre los hashes del usuario
+ *
+ * @param {Array<string>} hashes - Valor de usuarios.two_factor_recovery_codes
+ * @param {string} codigo - Código ingresado
+ * @returns {Array<string>|null} Hashes restantes si el código es válido
+ *   (el usado queda eliminado), o null si no coincide
+ */
+export const consumirCodigoRecuperacion = (hashes, codigo) => {
+  // MySQL puede devolver la columna JSON como string
+  const parsed = typeof hashes === "string" ? JSON.parse(hashes) : hashes;
+  const lista = Array.isArray(parsed) ? parsed : [];
+  const hash = hashToken(normalizarCodigoRecuperacion(codigo));
+  const indice = lista.findIndex((h) => compararHashes(h, hash));
+
+  if (indice === -1) return null;
+
+  return lista.filter((_, i) => i !== indice);
+};
+
+/**
+ * Consume un código de recuperación del usuario. La fila se relee con
+ * SELECT ... FOR UPDATE dentro de una transacción para que dos peticiones
+ * simultáneas no canjeen el mismo código.
+ *
+ * @param {Object} usuario - Instancia de Usuario
+ * @param {string} codigo - Código ingresado
+ * @returns {Promise<Array<string>|null>} Hashes restantes, o null si no es válido
+ */
+export const canjearCodigoRecuperacion = async (usuario, codigo) =>
+  sequelize.transaction(async (transaction) => {
+    const actual = await Usuario.findByPk(usuario.id, {
+      attributes: ["id", "two_factor_recovery_codes"],
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    const restantes = actual
+      ? consumirCodigoRecuperacion(actual.two_factor_recovery_codes, codigo)
+      : null;
+    if (!restantes) return null;
+
+    await Usuario.update(
+      { two_factor_recovery_codes: restantes },
+      { where: { id: usuario.id }, transaction, hooks: false }
+    );
+    usuario.set("two_factor_recovery_codes", restantes, { raw: true });
+    return restantes;
+  });
+
+/**
+ * Valida y consume un segundo factor: primero como TOTP y, si no, como
+ * código de recuperación
+ *
+ * @param {Object} usuario - Instancia de Usuario con 2FA habilitado
+ * @param {Object} datos
+ * @param {string} [datos.code] - Código TOTP
+ * @param {string} [datos.recoveryCode] - Código de recuperación
+ * @returns {Promise<{valido: boolean, metodo?: string, codigosRestantes?: Array<string>}>}
+ */
+export const validarSegundoFactor = async (usuario, { code, recoveryCode }) => {
+  if (code && (await aceptarCodigoTOTP(usuario, code))) {
+    return { valido: true, metodo: "totp" };
+  }
+
+  if (recoveryCode) {
+    const restantes = await canjearCodigoRecuperacion(usuario, recoveryCode);
+    if (restantes) {
+      return { valido: true, metodo: "recovery_code", codigosRestantes: restantes };
+    }
+  }
+
+  return { valido: false };
+};
+
+export default {
+  generarSecreto,
+  pasoCodigoTOTP,
+  verificarCodigoTOTP,
+  aceptarCodigoTOTP,
+  generarCodigosRecuperacion,
+  consumirCodigoRecuperacion,
+  canjearCodigoRecuperacion,
+  validarSegundoFactor,
+};
@@ -0,0 +1,50 @@
+/**
+ * ============================================
+ * UTILIDAD: src/utils/cryptoHelper.js
+ * ============================================
+ *
+ * Funciones criptográficas compartidas para tokens de un solo uso
+ * (recuperación de contraseña, verificación de email, etc.).
+ * Los tokens se entregan en claro al usuario y en BD solo se guarda
+ * su hash SHA-256.
+ */
+
+import crypto from "crypto";
+
+/**
+ * Genera un token aleatorio seguro en formato hexadecimal
+ *
+ * @param {number} [bytes=32] - Cantidad de bytes aleatorios
+ * @returns {string} Token hexadecimal (2 caracteres por byte)
+ */
+export const generarTokenAleatorio = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString("hex");
+};
+
+/**
+ * Calcula el hash SHA-256 de un token
+ *
+ * @param {string} token - Token en claro
+ * @returns {string} Hash hexadecimal de 64 caracteres
+ */
+export const hashToken = (token) => {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+/**
+ * Compara dos hashes en tiempo constante
+ *
+ * @param {string} a - Primer hash
+ * @param {string} b - Segundo hash
+ * @returns {boolean} true si son iguales
+ */
+export const compararHashes = (a, b) => {
+  if (!a || !b || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+};
+
+export default {
+  generarTokenAleatorio,
+  hashToken,
+  compararHashes,
+};
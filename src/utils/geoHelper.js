@@ -0,0 +1,247 @@
+/**
+ * ============================================
+ * UTILIDAD: src/utils/geoHelper.js
+ * ============================================
+ *
+ * Geometrías para los filtros espaciales. Las coordenadas siguen el
+ * orden GeoJSON [longitud, latitud] y en MySQL se usan como puntos
+ * cartesianos (SRID 0, x = longitud, y = latitud), igual que la columna
+ * novedades_incidentes.ubicacion_geo.
+ *
+ * Un polígono normalizado es siempre la lista de coordenadas de un
+ * MultiPolygon: [poligono][anillo][vertice] = [lng, lat]; el primer
+ * anillo de cada polígono es el exterior y los demás son huecos.
+ */
+
+/**
+ * Metros por grado de latitud (aprox.)
+ * @constant {number}
+ */
+export const METROS_POR_GRADO = 111320;
+
+/**
+ * Máximo de vértices aceptados en un polígono recibido por la API
+ * @constant {number}
+ */
+export const MAX_VERTICES_POLIGONO = 1000;
+
+/**
+ * Distancia en metros (Haversine)
+ *
+ * @param {number} lat1
+ * @param {number} lng1
+ * @param {number} lat2
+ * @param {number} lng2
+ * @returns {number}
+ */
+export const distanciaMetros = (lat1, lng1, lat2, lng2) => {
+  const rad = (grados) => (grados * Math.PI) / 180;
+  const a =
+    Math.sin(rad(lat2 - lat1) / 2) ** 2 +
+    Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lng2 - lng1) / 2) ** 2;
+  return 6371000 * 2 * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * ¿Es una coordenada [lng, lat] válida?
+ * @private
+ */
+const esPosicion = (p) =>
+  Array.isArray(p) &&
+  p.length >= 2 &&
+  Number.isFinite(p[0]) &&
+  Number.isFinite(p[1]) &&
+  p[0] >= -180 &&
+  p[0] <= 180 &&
+  p[1] >= -90 &&
+  p[1] <= 90;
+
+/**
+ * Valida un anillo y lo cierra si hace falta
+ * @private
+ * @returns {Array|null}
+ */
+const normalizarAnillo = (anillo) => {
+  if (!Array.isArray(anillo) || !anillo.every(esPosicion)) return null;
+  const puntos = anillo.map(([lng, lat]) => [lng, lat]);
+  const [primero] = puntos;
+  const ultimo = puntos[puntos.length - 1];
+  if (primero && (primero[0] !== ultimo[0] || primero[1] !== ultimo[1])) {
+    puntos.push([...primero]);
+  }
+  return puntos.length >= 4 ? puntos : null;
+};
+
+/**
+ * Normaliza un polígono a coordenadas de MultiPolygon. Acepta:
+ * - Geometría GeoJSON Polygon o MultiPolygon
+ * - Feature GeoJSON con una de esas geometrías
+ * - Un anillo suelto: [[lng, lat], [lng, lat], ...]
+ * - Cualquiera de los anteriores como texto JSON
+ *
+ * @param {Object|Array|string} entrada
+ * @returns {Array|null} Coordenadas de MultiPolygon, o null si no es válido
+ */
+export const normalizarPoligono = (entrada) => {
+  let geometria = entrada;
+  if (typeof geometria === "string") {
+    try {
+      geometria = JSON.parse(geometria);
+    } catch {
+      return null;
+    }
+  }
+  if (geometria?.type === "Feature") geometria = geometria.geometry;
+
+  let poligonos;
+  if (Array.isArray(geometria)) {
+    poligonos = [[geometria]];
+  } else if (geometria?.type === "Polygon") {
+    poligonos = [geometria.coordinates];
+  } else if (geometria?.type === "MultiPolygon") {
+    poligonos = geometria.coordinates;
+  } else {
+    return null;
+  }
+
+  if (!Array.isArray(poligonos) || !poligonos.length) return null;
+
+  const normalizados = [];
+  for (const anillos of poligonos) {
+    if (!Array.isArray(anillos) || !anillos.length) return null;
+    const validos = anillos.map(normalizarAnillo);
+    if (validos.some((a) => !a)) return null;
+    normalizados.push(validos);
+  }
+  return normalizados;
+};
+
+/**
+ * Total de vértices de un polígono normalizado
+ *
+ * @param {Array} poligono - Coordenadas de MultiPolygon
+ * @returns {number}
+ */
+export const contarVertices = (poligono) =>
+  poligono.reduce((total, anillos) => total + anillos.reduce((t, a) => t + a.length, 0), 0);
+
+/**
+ * Rectángulo que contiene al polígono
+ *
+ * @param {Array} poligono - Coordenadas de MultiPolygon
+ * @returns {Object} { minLng, minLat, maxLng, maxLat }
+ */
+export const envolvente = (poligono) => {
+  const caja = { minLng: 180, minLat: 90, maxLng: -180, maxLat: -90 };
+  for (const anillos of poligono) {
+    for (const [lng, lat] of anillos[0]) {
+      caja.minLng = Math.min(caja.minLng, lng);
+      caja.minLat = Math.min(caja.minLat, lat);
+      caja.maxLng = Math.max(caja.maxLng, lng);
+      caja.maxLat = Math.max(caja.maxLat, lat);
+    }
+  }
+  return caja;
+};
+
+/**
+ * Rectángulo que contiene el círculo de radio radioM alrededor del punto
+ *
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number} radioM
+ * @returns {Object} { minLng, minLat, maxLng, maxLat }
+ */
+export const envolventeRadio = (lat, lng, radioM) => {
+  const deltaLat = radioM / METROS_POR_GRADO;
+  const deltaLng = radioM / (METROS_POR_GRADO * Math.max(Math.cos((lat * Math.PI) / 180), 0.01));
+  return {
+    minLng: Math.max(lng - deltaLng, -180),
+    minLat: Math.max(lat - deltaLat, -90),
+    maxLng: Math.min(lng + deltaLng, 180),
+    maxLat: Math.min(lat + deltaLat, 90),
+  };
+};
+
+/**
+ * Interpreta "minLng,minLat,maxLng,maxLat" (orden bbox de GeoJSON)
+ *
+ * @param {string} texto
+ * @returns {Object|null} { minLng, minLat, maxLng, maxLat }
+ */
+export const parsearBbox = (texto) => {
+  const valores = String(texto).split(",").map((v) => Number(v.trim()));
+  if (valores.length !== 4 || !valores.every(Number.isFinite)) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = valores;
+  if (!esPosicion([minLng, minLat]) || !esPosicion([maxLng, maxLat])) return null;
+  if (minLng >= maxLng || minLat >= maxLat) return null;
+  return { minLng, minLat, maxLng, maxLat };
+};
+
+/**
+ * WKT de un rectángulo
+ *
+ * @param {Object} caja - { minLng, minLat, maxLng, maxLat }
+ * @returns {string}
+ */
+export const cajaAWkt = ({ minLng, minLat, maxLng, maxLat }) =>
+  `POLYGON((${minLng} ${minLat},${maxLng} ${minLat},${maxLng} ${maxLat},${minLng} ${maxLat},${minLng} ${minLat}))`;
+
+/**
+ * WKT de un polígono normalizado
+ *
+ * @param {Array} poligono - Coordenadas de MultiPolygon
+ * @returns {string}
+ */
+export const poligonoAWkt = (poligono) => {
+  const anillosWkt = (anillos) =>
+    `(${anillos.map((a) => `(${a.map(([lng, lat]) => `${lng} ${lat}`).join(",")})`).join(",")})`;
+  return poligono.length === 1
+    ? `POLYGON${anillosWkt(poligono[0])}`
+    : `MULTIPOLYGON(${poligono.map(anillosWkt).join(",")})`;
+};
+
+/**
+ * ¿El punto está dentro del anillo? (ray casting)
+ * @private
+ */
+const dentroDeAnillo = (lng, lat, anillo) => {
+  let dentro = false;
+  for (let i = 0, j = anillo.length - 1; i < anillo.length; j = i++) {
+    const [xi, yi] = anillo[i];
+    const [xj, yj] = anillo[j];
+    if (yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      dentro = !dentro;
+    }
+  }
+  return dentro;
+};
+
+/**
+ * ¿El punto está dentro del polígono? (fuera de sus huecos)
+ *
+ * @param {number} lng
+ * @param {number} lat
+ * @param {Array} poligono - Coordenadas de MultiPolygon
+ * @returns {boolean}
+ */
+export const puntoEnPoligono = (lng, lat, poligono) =>
+  poligono.some(
+    ([exterior, ...huecos]) =>
+      dentroDeAnillo(lng, lat, exterior) && !huecos.some((h) => dentroDeAnillo(lng, lat, h))
+  );
+
+export default {
+  METROS_POR_GRADO,
+  MAX_VERTICES_POLIGONO,
+  distanciaMetros,
+  normalizarPoligono,
+  contarVertices,
+  envolvente,
+  envolventeRadio,
+  parsearBbox,
+  cajaAWkt,
+  poligonoAWkt,
+  puntoEnPoligono,
+};
@@ -0,0 +1,35 @@
+/**
+ * File: src/utils/middlewareHelper.js
+ * @version 1.0.0
+ * @description Ejecuta middlewares de Express fuera de la cadena de una
+ * ruta: conexiones de tiempo real (SSE y WebSocket) que deben validar el
+ * token igual que la API REST, al conectarse y periódicamente.
+ */
+
+/**
+ * Ejecuta un middleware de Express sobre un request. Las respuestas se
+ * capturan en lugar de enviarse al cliente.
+ *
+ * @param {Function} middleware - (req, res, next)
+ * @param {Object} req - Request (de Express o del upgrade HTTP)
+ * @returns {Promise<Object>} { ok: true } o { ok: false, status, body }
+ */
+export function ejecutarMiddleware(middleware, req) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ ok: false, status: this.statusCode, body });
+        return this;
+      },
+    };
+
+    Promise.resolve(middleware(req, res, () => resolve({ ok: true }))).catch(reject);
+  });
+}
+
+export default { ejecutarMiddleware };
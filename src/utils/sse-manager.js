@@ -1,27 +1,77 @@
 /**
  * @file sse-manager.js
  * @description Gestor de conexiones Server-Sent Events para CitySecure.
- * Mantiene un registro de todos los clientes conectados y permite
- * emitir eventos a todos ellos simultáneamente.
+ * Mantiene un registro de los clientes conectados con su alcance
+ * (usuario, roles, sectores, cuadrantes) y permite emitir eventos solo
+ * a los clientes de un canal, o a todos con broadcastEvent.
+ *
+ * El alcance de cada cliente lo resuelve services/sseCanalesService.js
+ * al conectarse.
+ *
+ * Cada evento lleva un id creciente y se guarda en un buffer circular
+ * (SSE_REPLAY_BUFFER_SIZE). Cuando el navegador se reconecta con
+ * Last-Event-ID se le reenvían los eventos perdidos de su alcance; si el
+ * hueco ya no está en el buffer recibe "resync_required" y debe recargar
+ * su lista. Con SSE_REPLAY_FILE el buffer sobrevive a reinicios.
+ *
+ * Los eventos no se escriben directamente a los clientes: se publican en
+ * el bus de eventos (services/eventBusService.js) y cada instancia los
+ * recibe y entrega a sus propios clientes. Así, con varias réplicas, un
+ * evento llega a los clientes conectados a cualquiera de ellas.
  */
 
+import fs from "fs";
 import logger from "./logger.js";
+import { crearBusEnProceso } from "../services/eventBusService.js";
 
-// Mapa de clientes conectados: clientId → response object
+// Mapa de clientes conectados:
+// clientId → { res, usuarioId, roles, sectores, cuadrantes, global }
 const clients = new Map();
 
 let clientCounter = 0;
 
+// ── Buffer de eventos para reenvío (Last-Event-ID) ─────────────────────────────
+const BUFFER_SIZE = parseInt(process.env.SSE_REPLAY_BUFFER_SIZE) || 500;
+const BUFFER_MAX_AGE_MS =
+  (parseInt(process.env.SSE_REPLAY_MAX_AGE_MIN) || 30) * 60 * 1000;
+const BUFFER_FILE = process.env.SSE_REPLAY_FILE || null;
+
+// Eventos recientes en orden de id: { id, eventName, canales, data, timestamp }
+// canales es null para los eventos de broadcastEvent
+let eventBuffer = [];
+let lastEventId = 0;
+let persistTimer = null;
+
+// Observadores de los eventos entregados (ver subscribeToEvents)
+const observers = [];
+
+// Bus de eventos activo; en memoria hasta que app.js configure otro
+let eventBus = crearBusEnProceso();
+eventBus.suscribir(entregarEvento);
+
 /**
  * Registra un nuevo cliente SSE y devuelve su ID único.
  * Debe llamarse cuando el cliente se conecta al endpoint /stream.
  *
  * @param {import('express').Response} res - Objeto response de Express
+ * @param {Object} [alcance={}] - Alcance del cliente
+ * @param {number} [alcance.usuarioId] - Usuario autenticado
+ * @param {Array<string>} [alcance.roles] - Slugs de roles
+ * @param {Array<number>} [alcance.sectores] - Sectores que le corresponden
+ * @param {Array<number>} [alcance.cuadrantes] - Cuadrantes que le corresponden
+ * @param {boolean} [alcance.global] - Recibe todos los eventos operativos
  * @returns {number} clientId - ID único del cliente registrado
  */
-export function addClient(res) {
+export function addClient(res, alcance = {}) {
   const clientId = ++clientCounter;
-  clients.set(clientId, res);
+  clients.set(clientId, {
+    res,
+    usuarioId: alcance.usuarioId != null ? Number(alcance.usuarioId) : null,
+    roles: alcance.roles || [],
+    sectores: (alcance.sectores || []).map(Number),
+    cuadrantes: (alcance.cuadrantes || []).map(Number),
+    global: Boolean(alcance.global),
+  });
   logger.info(`📡 [SSE] Cliente conectado. ID: ${clientId} | Total: ${clients.size}`);
   return clientId;
 }
@@ -36,33 +86,449 @@ export function removeClient(clientId) {
   logger.info(`📡 [SSE] Cliente desconectado. ID: ${clientId} | Total: ${clients.size}`);
 }
 
+/**
+ * Reemplaza el bus de eventos e inicia el nuevo. El historial reciente
+ * que devuelve el bus reemplaza al buffer local.
+ * Se llama una vez al iniciar el servidor (ver app.js).
+ *
+ * Si el bus no puede iniciarse (ej. falta la tabla del outbox) el error
+ * se propaga y el servidor no arranca: con varias réplicas, seguir con el
+ * bus en memoria las dejaría aisladas entre sí. Con respaldoEnMemoria
+ * (SSE_EVENT_BUS_FALLBACK=memoria) se registra el error y se sigue en
+ * memoria.
+ *
+ * @param {Object} nuevoBus - Bus creado con services/eventBusService.js
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.respaldoEnMemoria=false] - Seguir con el bus
+ *   en memoria si nuevoBus no inicia
+ * @returns {Promise<void>}
+ * @throws {Error} Si nuevoBus no inicia y no se permite el respaldo
+ */
+export async function setEventBus(nuevoBus, { respaldoEnMemoria = false } = {}) {
+  await eventBus.detener();
+
+  let inicio;
+  try {
+    inicio = await nuevoBus.iniciar({
+      historial: BUFFER_SIZE,
+      maxAgeMs: BUFFER_MAX_AGE_MS,
+    });
+    eventBus = nuevoBus;
+  } catch (error) {
+    await nuevoBus.detener().catch(() => {});
+    if (!respaldoEnMemoria) {
+      throw new Error(`No se pudo iniciar el bus de eventos ${nuevoBus.tipo}: ${error.message}`);
+    }
+
+    logger.error(
+      `📡 [SSE] No se pudo iniciar el bus ${nuevoBus.tipo}, se usa memoria (SSE_EVENT_BUS_FALLBACK): ${error.message}`
+    );
+    eventBus = crearBusEnProceso();
+    inicio = await eventBus.iniciar();
+  }
+  eventBus.suscribir(entregarEvento);
+
+  const { ultimoId, eventos } = inicio;
+
+  if (ultimoId !== null) {
+    lastEventId = ultimoId;
+    eventBuffer = eventos;
+    depurarBuffer();
+  }
+  logger.info(`📡 [SSE] Bus de eventos: ${eventBus.tipo} (último id ${lastEventId})`);
+}
+
+/**
+ * Detiene el bus y guarda el buffer. Llamar al cerrar el servidor.
+ *
+ * @returns {Promise<void>}
+ */
+export async function closeEventBus() {
+  await eventBus.detener();
+  flushEventBuffer();
+}
+
 /**
  * Emite un evento SSE a TODOS los clientes conectados.
- * Formato estándar SSE: "event: nombre\ndata: json\n\n"
+ * Formato estándar SSE: "id: n\nevent: nombre\ndata: json\n\n"
+ *
+ * Solo para eventos de sistema; los eventos operativos deben usar
+ * publishEvent para respetar el alcance de cada cliente.
  *
- * @param {string} eventName - Nombre del evento (ej: 'nueva_novedad')
+ * @param {string} eventName - Nombre del evento (ej: 'mantenimiento')
  * @param {Object} data - Datos a enviar (se serializan como JSON)
+ * @returns {Promise<void>} Se resuelve al publicarse en el bus (nunca rechaza)
  */
 export function broadcastEvent(eventName, data) {
-  if (clients.size === 0) {
-    logger.debug(`📡 [SSE] No hay clientes conectados para el evento: ${eventName}`);
-    return;
+  return publicarEnBus(eventName, null, data);
+}
+
+/**
+ * Emite un evento SSE a los clientes de uno o más canales. Un cliente lo
+ * recibe si coincide con cualquiera de los canales indicados.
+ *
+ * Los clientes globales reciben los eventos operativos: los que indican
+ * sectores, cuadrantes o global: true. Los eventos dirigidos solo a
+ * usuarios o roles no les llegan.
+ *
+ * @param {Object} canales
+ * @param {Array<number>} [canales.usuarios] - IDs de usuario
+ * @param {Array<string>} [canales.roles] - Slugs de rol
+ * @param {Array<number>} [canales.sectores] - IDs de sector
+ * @param {Array<number>} [canales.cuadrantes] - IDs de cuadrante
+ * @param {boolean} [canales.global] - Incluir a los clientes globales
+ * @param {string} eventName - Nombre del evento
+ * @param {Object} data - Datos a enviar (se serializan como JSON)
+ * @returns {Promise<void>} Se resuelve al publicarse en el bus (nunca rechaza)
+ */
+export function publishEvent(canales, eventName, data) {
+  return publicarEnBus(eventName, normalizarCanales(canales), data);
+}
+
+/**
+ * Emite un evento a todas las conexiones de ciertos usuarios.
+ *
+ * @param {Array<number>} usuarioIds - IDs de usuario
+ * @param {string} eventName - Nombre del evento
+ * @param {Object} data - Datos a enviar
+ * @returns {Promise<void>}
+ */
+export function publishToUsers(usuarioIds, eventName, data) {
+  return publishEvent({ usuarios: usuarioIds }, eventName, data);
+}
+
+/**
+ * Emite un evento a los clientes con alguno de los roles indicados.
+ *
+ * @param {Array<string>} roles - Slugs de rol
+ * @param {string} eventName - Nombre del evento
+ * @param {Object} data - Datos a enviar
+ * @returns {Promise<void>}
+ */
+export function publishToRoles(roles, eventName, data) {
+  return publishEvent({ roles }, eventName, data);
+}
+
+/**
+ * Emite un evento operativo de un sector (y a los clientes globales).
+ *
+ * @param {number} sectorId - ID del sector
+ * @param {string} eventName - Nombre del evento
+ * @param {Object} data - Datos a enviar
+ * @returns {Promise<void>}
+ */
+export function publishToSector(sectorId, eventName, data) {
+  return publishEvent({ sectores: [sectorId] }, eventName, data);
+}
+
+/**
+ * Emite un evento operativo de un cuadrante (y a los clientes globales).
+ *
+ * @param {number} cuadranteId - ID del cuadrante
+ * @param {string} eventName - Nombre del evento
+ * @param {Object} data - Datos a enviar
+ * @returns {Promise<void>}
+ */
+export function publishToCuadrante(cuadranteId, eventName, data) {
+  return publishEvent({ cuadrantes: [cuadranteId] }, eventName, data);
+}
+
+/**
+ * Reenvía a un cliente los eventos de su alcance posteriores a
+ * Last-Event-ID. Si el buffer ya no cubre el hueco (evento muy antiguo o
+ * servidor reiniciado sin persistencia) envía "resync_required".
+ *
+ * @param {number} clientId - ID devuelto por addClient
+ * @param {string|number} desdeId - Último id recibido por el cliente
+ * @returns {number} Cantidad de eventos reenviados (-1 si requiere resync)
+ */
+export function replayEvents(clientId, desdeId) {
+  const cliente = clients.get(clientId);
+  if (!cliente) return 0;
+
+  const pendientes = getEventsSince(desdeId);
+  if (pendientes === null) return 0;
+
+  if (pendientes.resync) {
+    logger.info(
+      `📡 [SSE] Cliente ${clientId} requiere resync (Last-Event-ID ${pendientes.resync.lastEventId}, buffer ${pendientes.resync.oldestEventId}-${lastEventId})`
+    );
+    writeToClient(
+      clientId,
+      cliente.res,
+      `event: resync_required\ndata: ${JSON.stringify(pendientes.resync)}\n\n`
+    );
+    return -1;
+  }
+
+  let reenviados = 0;
+  for (const evento of pendientes.eventos) {
+    if (!eventMatchesClient(evento, cliente)) continue;
+    if (!writeToClient(clientId, cliente.res, formatEvent(evento))) break;
+    reenviados++;
+  }
+
+  logger.info(`📡 [SSE] Reenviados ${reenviados} evento(s) al cliente ${clientId} desde id ${desdeId}`);
+  return reenviados;
+}
+
+/**
+ * Eventos del buffer posteriores a un id, sin filtrar por alcance.
+ *
+ * @param {string|number} desdeId - Último id recibido por el cliente
+ * @returns {Object|null} { eventos } o { resync } si el buffer no cubre
+ *   el hueco; null si el id no es válido
+ */
+export function getEventsSince(desdeId) {
+  const ultimoId = parseInt(desdeId);
+  if (!Number.isInteger(ultimoId) || ultimoId < 0) return null;
+
+  depurarBuffer();
+  const primerId = eventBuffer.length > 0 ? eventBuffer[0].id : lastEventId + 1;
+
+  if (ultimoId > lastEventId || ultimoId < primerId - 1) {
+    return {
+      resync: {
+        lastEventId: ultimoId,
+        oldestEventId: primerId,
+        currentEventId: lastEventId,
+        timestamp: new Date().toISOString(),
+      },
+    };
+  }
+
+  return { eventos: eventBuffer.filter((e) => e.id > ultimoId) };
+}
+
+/**
+ * Indica si un evento corresponde al alcance de un cliente (SSE o
+ * WebSocket). Los eventos sin canales (broadcastEvent) llegan a todos.
+ *
+ * @param {Object} evento - { canales, ... } tal como lo entrega el bus
+ * @param {Object} alcance - { usuarioId, roles, sectores, cuadrantes, global }
+ * @returns {boolean}
+ */
+export function eventMatchesClient(evento, alcance) {
+  if (!evento.canales) return true;
+  return crearFiltroCanales(evento.canales)({
+    usuarioId: alcance.usuarioId != null ? Number(alcance.usuarioId) : null,
+    roles: alcance.roles || [],
+    sectores: (alcance.sectores || []).map(Number),
+    cuadrantes: (alcance.cuadrantes || []).map(Number),
+    global: Boolean(alcance.global),
+  });
+}
+
+/**
+ * Registra un observador de todos los eventos que recibe esta instancia
+ * (con su id ya asignado). Lo usan el gateway WebSocket y los servicios
+ * que mantienen estado compartido entre réplicas.
+ *
+ * @param {Function} handler - (evento) => void
+ */
+export function subscribeToEvents(handler) {
+  observers.push(handler);
+}
+
+/**
+ * Escribe el buffer en SSE_REPLAY_FILE de forma inmediata.
+ *
+ * @private
+ */
+function flushEventBuffer() {
+  if (!BUFFER_FILE) return;
+  clearTimeout(persistTimer);
+  persistTimer = null;
+  try {
+    fs.writeFileSync(BUFFER_FILE, JSON.stringify({ lastEventId, eventos: eventBuffer }));
+  } catch (error) {
+    logger.warn(`📡 [SSE] No se pudo guardar el buffer en ${BUFFER_FILE}:`, error.message);
+  }
+}
+
+/**
+ * Publica en el bus; un error (ej. base de datos caída con el outbox) se
+ * registra sin propagarse al flujo que originó el evento.
+ *
+ * @private
+ */
+async function publicarEnBus(eventName, canales, data) {
+  try {
+    await eventBus.publicar({ eventName, canales, data, timestamp: Date.now() });
+  } catch (error) {
+    logger.error(`📡 [SSE] Error publicando "${eventName}" en el bus ${eventBus.tipo}: ${error.message}`);
   }
+}
 
-  const payload = `event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`;
+/**
+ * Recibe un evento del bus: le asigna id si el bus no lo hizo, lo guarda
+ * en el buffer circular y lo escribe a los clientes locales de su alcance.
+ *
+ * Un evento con id menor que el último (confirmado tarde en el outbox) se
+ * intercala en el buffer y se envía sin línea "id:", para que el
+ * navegador no retroceda su Last-Event-ID y reciba duplicados al
+ * reconectarse.
+ *
+ * @private
+ */
+function entregarEvento(evento) {
+  let tardio = false;
+  if (evento.id == null) {
+    evento.id = ++lastEventId;
+  } else {
+    tardio = evento.id < lastEventId;
+    lastEventId = Math.max(lastEventId, evento.id);
+  }
 
-  logger.info(`📡 [SSE] Emitiendo "${eventName}" a ${clients.size} cliente(s)`);
+  if (tardio) {
+    const posicion = eventBuffer.findIndex((e) => e.id > evento.id);
+    eventBuffer.splice(posicion === -1 ? eventBuffer.length : posicion, 0, evento);
+  } else {
+    eventBuffer.push(evento);
+  }
+  depurarBuffer();
+  programarPersistencia();
 
-  // Iterar sobre todos los clientes y enviar el evento
-  for (const [clientId, res] of clients.entries()) {
+  for (const observer of observers) {
     try {
-      res.write(payload);
+      observer(evento);
     } catch (error) {
-      // Si falla la escritura, el cliente se desconectó — lo eliminamos
-      logger.warn(`📡 [SSE] Error escribiendo al cliente ${clientId}, eliminando:`, error.message);
-      removeClient(clientId);
+      logger.error(`📡 [SSE] Error en observador de "${evento.eventName}": ${error.message}`);
     }
   }
+
+  if (clients.size === 0) {
+    logger.debug(`📡 [SSE] No hay clientes conectados para el evento: ${evento.eventName}`);
+    return;
+  }
+
+  const corresponde = evento.canales ? crearFiltroCanales(evento.canales) : () => true;
+  const payload = tardio ? formatEvent({ ...evento, id: null }) : formatEvent(evento);
+  let enviados = 0;
+
+  for (const [clientId, cliente] of clients.entries()) {
+    if (corresponde(cliente) && writeToClient(clientId, cliente.res, payload)) {
+      enviados++;
+    }
+  }
+
+  logger.info(`📡 [SSE] Emitiendo "${evento.eventName}" a ${enviados} de ${clients.size} cliente(s)`);
+}
+
+/**
+ * Descarta los eventos que exceden el tamaño o la antigüedad máxima.
+ *
+ * @private
+ */
+function depurarBuffer() {
+  const limite = Date.now() - BUFFER_MAX_AGE_MS;
+  let inicio = Math.max(0, eventBuffer.length - BUFFER_SIZE);
+  while (inicio < eventBuffer.length && eventBuffer[inicio].timestamp < limite) {
+    inicio++;
+  }
+  if (inicio > 0) eventBuffer = eventBuffer.slice(inicio);
+}
+
+/**
+ * Guarda el buffer en disco como máximo una vez por segundo.
+ *
+ * @private
+ */
+function programarPersistencia() {
+  if (!BUFFER_FILE || persistTimer) return;
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    fs.promises
+      .writeFile(BUFFER_FILE, JSON.stringify({ lastEventId, eventos: eventBuffer }))
+      .catch((error) =>
+        logger.warn(`📡 [SSE] No se pudo guardar el buffer en ${BUFFER_FILE}:`, error.message)
+      );
+  }, 1000);
+  persistTimer.unref();
+}
+
+/**
+ * Restaura el buffer guardado para que los ids sigan creciendo tras un
+ * reinicio.
+ *
+ * @private
+ */
+function cargarBuffer() {
+  if (!BUFFER_FILE || !fs.existsSync(BUFFER_FILE)) return;
+  try {
+    const guardado = JSON.parse(fs.readFileSync(BUFFER_FILE, "utf8"));
+    lastEventId = Number(guardado.lastEventId) || 0;
+    eventBuffer = Array.isArray(guardado.eventos) ? guardado.eventos : [];
+    depurarBuffer();
+    logger.info(`📡 [SSE] Buffer restaurado: ${eventBuffer.length} evento(s), último id ${lastEventId}`);
+  } catch (error) {
+    logger.warn(`📡 [SSE] No se pudo leer el buffer de ${BUFFER_FILE}:`, error.message);
+  }
+}
+
+/**
+ * Copia serializable de los canales (se guarda en el buffer).
+ *
+ * @private
+ */
+function normalizarCanales(canales) {
+  return {
+    usuarios: (canales.usuarios || []).map(Number),
+    roles: canales.roles || [],
+    sectores: (canales.sectores || []).map(Number),
+    cuadrantes: (canales.cuadrantes || []).map(Number),
+    global: Boolean(canales.global),
+  };
+}
+
+/**
+ * Devuelve una función que indica si un cliente corresponde a los
+ * canales de un evento.
+ *
+ * @private
+ */
+function crearFiltroCanales(canales) {
+  const usuarios = new Set(canales.usuarios);
+  const roles = new Set(canales.roles);
+  const sectores = new Set(canales.sectores);
+  const cuadrantes = new Set(canales.cuadrantes);
+  const operativo = canales.global || sectores.size > 0 || cuadrantes.size > 0;
+
+  return (cliente) =>
+    (operativo && cliente.global) ||
+    usuarios.has(cliente.usuarioId) ||
+    cliente.roles.some((r) => roles.has(r)) ||
+    cliente.sectores.some((s) => sectores.has(s)) ||
+    cliente.cuadrantes.some((c) => cuadrantes.has(c));
+}
+
+/**
+ * Formato estándar SSE: "id: n\nevent: nombre\ndata: json\n\n" (sin
+ * "id:" si id es null)
+ *
+ * @private
+ */
+function formatEvent({ id, eventName, data }) {
+  const lineaId = id == null ? "" : `id: ${id}\n`;
+  return `${lineaId}event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Escribe un payload a un cliente; si falla, el cliente se desconectó
+ * y se elimina del registro.
+ *
+ * @private
+ * @returns {boolean} true si se escribió
+ */
+function writeToClient(clientId, res, payload) {
+  try {
+    res.write(payload);
+    return true;
+  } catch (error) {
+    logger.warn(`📡 [SSE] Error escribiendo al cliente ${clientId}, eliminando:`, error.message);
+    removeClient(clientId);
+    return false;
+  }
 }
 
 /**
@@ -74,3 +540,5 @@ export function broadcastEvent(eventName, data) {
 export function getConnectedClientsCount() {
   return clients.size;
 }
+
+cargarBuffer();
@@ -0,0 +1,75 @@
+/**
+ * ============================================
+ * UTILIDAD: src/utils/userAgentHelper.js
+ * ============================================
+ *
+ * Extrae navegador, sistema operativo y tipo de dispositivo del header
+ * User-Agent para mostrar las sesiones activas de forma legible
+ * ("Chrome en Windows"). Es una detección aproximada, suficiente para
+ * que el usuario reconozca sus dispositivos.
+ */
+
+/**
+ * Navegadores en orden de prioridad (Edge y Opera se anuncian también
+ * como Chrome, y Chrome como Safari)
+ * @private
+ */
+const NAVEGADORES = [
+  ["Edge", /Edg(?:e|A|iOS)?\/[\d.]+/],
+  ["Opera", /(?:OPR|Opera)\/[\d.]+/],
+  ["Samsung Internet", /SamsungBrowser\/[\d.]+/],
+  ["Firefox", /(?:Firefox|FxiOS)\/[\d.]+/],
+  ["Chrome", /(?:Chrome|CriOS)\/[\d.]+/],
+  ["Safari", /Version\/[\d.]+.*Safari\//],
+];
+
+/**
+ * Sistemas operativos en orden de prioridad
+ * @private
+ */
+const SISTEMAS = [
+  ["Windows", /Windows NT/],
+  ["iOS", /iPhone|iPad|iPod/],
+  ["Android", /Android/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["ChromeOS", /CrOS/],
+  ["Linux", /Linux/],
+];
+
+/**
+ * Analiza un User-Agent
+ *
+ * @param {string} userAgent - Header User-Agent
+ * @returns {{browser: string|null, os: string|null, device_type: string, device_name: string|null}}
+ *   device_type usa el ENUM de sesiones: DESKTOP | MOBILE | TABLET | OTHER
+ */
+export const analizarUserAgent = (userAgent) => {
+  const ua = String(userAgent || "");
+
+  const browser = NAVEGADORES.find(([, regex]) => regex.test(ua))?.[0] || null;
+  const os = SISTEMAS.find(([, regex]) => regex.test(ua))?.[0] || null;
+
+  let deviceType = "OTHER";
+  if (/iPad|Tablet/.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) {
+    deviceType = "TABLET";
+  } else if (/Mobi|iPhone|iPod/.test(ua)) {
+    deviceType = "MOBILE";
+  } else if (os && browser) {
+    deviceType = "DESKTOP";
+  }
+
+  let deviceName = null;
+  if (browser && os) deviceName = `${browser} en ${os}`;
+  else if (browser || os) deviceName = browser || os;
+
+  return {
+    browser,
+    os,
+    device_type: deviceType,
+    device_name: deviceName,
+  };
+};
+
+export default {
+  analizarUserAgent,
+};
@@ -0,0 +1,316 @@
+/**
+ * @file ws-gateway.js
+ * @description Gateway WebSocket de la consola de despacho.
+ * Complementa el stream SSE con un canal bidireccional: el servidor
+ * envía los mismos eventos que /novedades/stream (mismo alcance por
+ * usuario, rol, sector y cuadrante) y el cliente envía acciones como
+ * reconocer una alerta, cambiar el estado de su unidad o reclamar una
+ * novedad (ver services/despachoTiempoRealService.js).
+ *
+ * Autenticación: la misma que el resto de la API (verificarToken), con
+ * el token en el header Authorization o en ?token= (los navegadores no
+ * permiten headers en WebSocket). El token se vuelve a validar antes de
+ * cada mensaje del cliente y cada REVALIDACION_MS (vencimiento, token o
+ * sesión revocados, usuario inactivo); si ya no es válido la conexión se
+ * cierra con el código 4401. Las API keys no se aceptan.
+ *
+ * Protocolo (JSON por mensaje):
+ * - Servidor → cliente:
+ *   { type: "connected", clientId, alcance, timestamp }
+ *   { type: "event", id, event, data }
+ *   { type: "resync_required", ... }   (con ?lastEventId= muy antiguo)
+ *   { type: "result", ref, ok, data, code?, message? }
+ * - Cliente → servidor:
+ *   { type: "ack_novedad" | "estado_unidad" | "ubicacion_unidad" |
+ *     "reclamar_novedad" | "liberar_novedad" | "ping", ref?, ...datos }
+ *   ref es opcional y se devuelve en el "result" para correlacionar.
+ */
+
+import http from "http";
+import { WebSocketServer, WebSocket } from "ws";
+import logger from "./logger.js";
+import {
+  subscribeToEvents,
+  eventMatchesClient,
+  getEventsSince,
+} from "./sse-manager.js";
+import {
+  verificarToken,
+  verificarRolesOPermisos,
+} from "../middlewares/authMiddleware.js";
+import { resolverAlcanceCliente } from "../services/sseCanalesService.js";
+import { ejecutarMiddleware } from "./middlewareHelper.js";
+import {
+  procesarMensaje,
+  cerrarConexion,
+} from "../services/despachoTiempoRealService.js";
+
+const HEARTBEAT_MS = 30000;
+const REVALIDACION_MS = 60000;
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+
+// Código de cierre cuando el token deja de ser válido (como un HTTP 401)
+const CIERRE_NO_AUTENTICADO = 4401;
+
+// Conexiones abiertas: clientId → { ws, alcance, conexion }
+const conexiones = new Map();
+
+let connectionCounter = 0;
+
+/**
+ * Responde el upgrade con un error HTTP y cierra el socket.
+ *
+ * @private
+ */
+function rechazarUpgrade(socket, status, message) {
+  const body = JSON.stringify({ success: false, message });
+  socket.write(
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n` +
+      "Content-Type: application/json; charset=utf-8\r\n" +
+      `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+      "Connection: close\r\n\r\n" +
+      body
+  );
+  socket.destroy();
+}
+
+/**
+ * Envía un mensaje JSON si el socket sigue abierto.
+ *
+ * @private
+ */
+function enviar(ws, mensaje) {
+  if (ws.readyState !== WebSocket.OPEN) return false;
+  ws.send(JSON.stringify(mensaje));
+  return true;
+}
+
+/**
+ * Vuelve a validar el token de la conexión con verificarToken, igual que
+ * en cada petición REST, y actualiza el usuario (roles y permisos). Si
+ * el token venció, fue revocado o el usuario ya no está activo cierra la
+ * conexión con CIERRE_NO_AUTENTICADO.
+ *
+ * @private
+ * @returns {Promise<boolean>} true si la conexión sigue autenticada
+ */
+async function revalidarConexion(ws, conexion) {
+  const resultado = await ejecutarMiddleware(verificarToken, conexion.req);
+
+  if (resultado.ok) {
+    conexion.user = conexion.req.user;
+    return true;
+  }
+
+  if (resultado.status === 401 || resultado.status === 403) {
+    logger.info(`🔌 [WS] Conexión ${conexion.id} cerrada: ${resultado.body.message}`);
+    ws.close(CIERRE_NO_AUTENTICADO, resultado.body.message);
+    return false;
+  }
+
+  throw new Error(resultado.body.message);
+}
+
+/**
+ * Reenvía los eventos perdidos desde ?lastEventId=, igual que el SSE.
+ *
+ * @private
+ */
+function reenviarEventos(ws, alcance, desdeId) {
+  const pendientes = getEventsSince(desdeId);
+  if (pendientes === null) return;
+
+  if (pendientes.resync) {
+    enviar(ws, { type: "resync_required", ...pendientes.resync });
+    return;
+  }
+
+  for (const evento of pendientes.eventos) {
+    if (eventMatchesClient(evento, alcance)) {
+      enviar(ws, { type: "event", id: evento.id, event: evento.eventName, data: evento.data });
+    }
+  }
+}
+
+/**
+ * Registra una conexión ya autenticada.
+ *
+ * @private
+ */
+function registrarConexion(ws, req, alcance, lastEventId) {
+  const clientId = ++connectionCounter;
+  const conexion = {
+    id: `ws-${clientId}`,
+    user: req.user,
+    req,
+    alcance,
+    autorizar: async ({ roles, permisos }) =>
+      (await ejecutarMiddleware(verificarRolesOPermisos(roles, permisos), req)).ok,
+  };
+
+  conexiones.set(clientId, { ws, alcance, conexion });
+  ws.isAlive = true;
+  logger.info(`🔌 [WS] Cliente conectado. ID: ${clientId} | Usuario: ${req.user.username} | Total: ${conexiones.size}`);
+
+  enviar(ws, {
+    type: "connected",
+    clientId,
+    alcance: {
+      global: alcance.global,
+      sectores: alcance.sectores,
+      cuadrantes: alcance.cuadrantes,
+    },
+    timestamp: new Date().toISOString(),
+  });
+
+  if (lastEventId) {
+    reenviarEventos(ws, alcance, lastEventId);
+  }
+
+  ws.on("pong", () => {
+    ws.isAlive = true;
+  });
+
+  ws.on("message", async (raw) => {
+    let mensaje;
+    try {
+      mensaje = JSON.parse(raw.toString());
+    } catch {
+      enviar(ws, { type: "result", ok: false, code: "INVALID_JSON", message: "Mensaje JSON inválido" });
+      return;
+    }
+
+    try {
+      if (!(await revalidarConexion(ws, conexion))) return;
+
+      const { ok, data, codigo, message } = await procesarMensaje(conexion, mensaje);
+      enviar(ws, { type: "result", ref: mensaje.ref, ok, data, code: codigo, message });
+    } catch (error) {
+      logger.error(`🔌 [WS] Error procesando "${mensaje.type}" del cliente ${clientId}: ${error.message}`);
+      enviar(ws, {
+        type: "result",
+        ref: mensaje.ref,
+        ok: false,
+        code: "INTERNAL_ERROR",
+        message: "Error al procesar el mensaje",
+      });
+    }
+  });
+
+  ws.on("close", () => {
+    conexiones.delete(clientId);
+    logger.info(`🔌 [WS] Cliente desconectado. ID: ${clientId} | Total: ${conexiones.size}`);
+    cerrarConexion(conexion).catch((error) =>
+      logger.error(`🔌 [WS] Error cerrando la conexión ${clientId}: ${error.message}`)
+    );
+  });
+}
+
+/**
+ * Envía un evento del bus a las conexiones de su alcance.
+ *
+ * @private
+ */
+function difundirEvento(evento) {
+  for (const { ws, alcance } of conexiones.values()) {
+    if (eventMatchesClient(evento, alcance)) {
+      enviar(ws, { type: "event", id: evento.id, event: evento.eventName, data: evento.data });
+    }
+  }
+}
+
+/**
+ * Monta el gateway sobre el servidor HTTP.
+ *
+ * @param {import('http').Server} server - Servidor devuelto por app.listen
+ * @param {string} path - Ruta del endpoint (ej: /api/v1/novedades/ws)
+ * @returns {WebSocketServer}
+ */
+export function attachWebSocketGateway(server, path) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD_BYTES });
+
+  server.on("upgrade", async (req, socket, head) => {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== path) {
+      socket.destroy();
+      return;
+    }
+
+    // Sin permisos declarados para el stream: API keys no (ver
+    // restringirApiKeysARutasConScope)
+    req.apiKeyNoPermitida = true;
+
+    // El token no debe quedar en req.query (se guarda en auditoría)
+    const queryToken = url.searchParams.get("token");
+    url.searchParams.delete("token");
+    if (queryToken && !req.headers.authorization) {
+      req.headers.authorization = `Bearer ${queryToken}`;
+    }
+    req.baseUrl = path;
+    req.originalUrl = path;
+    req.query = Object.fromEntries(url.searchParams);
+
+    try {
+      const autenticacion = await ejecutarMiddleware(verificarToken, req);
+      if (!autenticacion.ok) {
+        rechazarUpgrade(socket, autenticacion.status, autenticacion.body.message);
+        return;
+      }
+
+      const alcance = await resolverAlcanceCliente({
+        userId: req.user.id,
+        roles: req.user.rolSlugs || [],
+      });
+
+      wss.handleUpgrade(req, socket, head, (ws) =>
+        registrarConexion(ws, req, alcance, req.query.lastEventId)
+      );
+    } catch (error) {
+      logger.error(`🔌 [WS] Error en el upgrade: ${error.message}`);
+      rechazarUpgrade(socket, 500, "Error al establecer la conexión");
+    }
+  });
+
+  // Cierra las conexiones que no responden al ping (proxies, redes móviles)
+  const heartbeat = setInterval(() => {
+    for (const { ws } of conexiones.values()) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  // Cierra las conexiones cuyo token venció o fue revocado sin esperar a
+  // que el cliente envíe un mensaje
+  const revalidacion = setInterval(() => {
+    for (const { ws, conexion } of conexiones.values()) {
+      revalidarConexion(ws, conexion).catch((error) =>
+        logger.error(`🔌 [WS] Error revalidando la conexión ${conexion.id}: ${error.message}`)
+      );
+    }
+  }, REVALIDACION_MS);
+  revalidacion.unref();
+
+  wss.on("close", () => {
+    clearInterval(heartbeat);
+    clearInterval(revalidacion);
+  });
+
+  subscribeToEvents(difundirEvento);
+
+  logger.info(`🔌 [WS] Gateway escuchando en ${path}`);
+  return wss;
+}
+
+/**
+ * Devuelve la cantidad de conexiones WebSocket abiertas.
+ *
+ * @returns {number}
+ */
+export function getWebSocketClientsCount() {
+  return conexiones.size;
+}
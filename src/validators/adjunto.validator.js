@@ -0,0 +1,66 @@
+/**
+ * Validador: adjunto
+ * Validaciones de los adjuntos de novedades, mantenimientos y
+ * abastecimientos, y de su descarga firmada
+ */
+
+import { body, param, query } from "express-validator";
+import { handleValidationErrors } from "../middlewares/handleValidationErrors.js";
+import { CATEGORIAS_ADJUNTO, VARIANTES_ADJUNTO } from "../services/adjuntosService.js";
+
+const validarPadreId = () =>
+  param("id")
+    .isInt({ min: 1 }).withMessage("El ID debe ser un número entero positivo")
+    .toInt();
+
+const validarAdjuntoId = () =>
+  param("adjuntoId")
+    .isInt({ min: 1 }).withMessage("El ID del adjunto debe ser un número entero positivo")
+    .toInt();
+
+/**
+ * GET /:id/adjuntos
+ */
+export const validateListarAdjuntos = [validarPadreId(), handleValidationErrors];
+
+/**
+ * POST /:id/adjuntos (después de recibirArchivos)
+ */
+export const validateSubirAdjuntos = [
+  validarPadreId(),
+  body("categoria")
+    .optional({ values: "falsy" })
+    .isIn(Object.values(CATEGORIAS_ADJUNTO))
+    .withMessage(`categoria debe ser una de: ${Object.values(CATEGORIAS_ADJUNTO).join(", ")}`),
+  body("descripcion")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 500 }).withMessage("La descripción no puede superar 500 caracteres"),
+  handleValidationErrors,
+];
+
+/**
+ * DELETE /:id/adjuntos/:adjuntoId
+ */
+export const validateAdjuntoId = [validarPadreId(), validarAdjuntoId(), handleValidationErrors];
+
+/**
+ * GET /adjuntos/:id/descarga
+ */
+export const validateDescargaAdjunto = [
+  validarPadreId(),
+  query("variante")
+    .optional()
+    .isIn(Object.values(VARIANTES_ADJUNTO))
+    .withMessage(`variante debe ser una de: ${Object.values(VARIANTES_ADJUNTO).join(", ")}`),
+  query("exp").isInt({ min: 1 }).withMessage("exp es requerido"),
+  query("firma").isString().notEmpty().withMessage("firma es requerida"),
+  handleValidationErrors,
+];
+
+export default {
+  validateListarAdjuntos,
+  validateSubirAdjuntos,
+  validateAdjuntoId,
+  validateDescargaAdjunto,
+};
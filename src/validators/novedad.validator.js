@@ -33,6 +33,7 @@ import { body, param, query, validationResult } from "express-validator";
 // ==========================================
 
 import {
+  ORIGEN_LLAMADA,
   ORIGEN_LLAMADA_ARRAY,
   PRIORIDAD_ARRAY,
   GRAVEDAD_ARRAY,
@@ -41,6 +42,8 @@ import {
   LIMITES_NUMERICOS,
   PATTERNS,
 } from "../constants/validations.js";
+import { esSolicitudGeoJson, LIMITE_MAX_GEOJSON } from "../services/novedadesGeoService.js";
+import { ASIGNACION_TERRITORIAL } from "../services/asignacionTerritorialService.js";
 
 // ==========================================
 // MIDDLEWARE DE MANEJO DE ERRORES
@@ -258,7 +261,11 @@ export const validarOrigenLlamada = () =>
     .isIn(ORIGEN_LLAMADA_ARRAY)
     .withMessage(
       `Origen de llamada debe ser uno de: ${ORIGEN_LLAMADA_ARRAY.join(", ")}`
-    );
+    )
+    .bail()
+    .not()
+    .equals(ORIGEN_LLAMADA.APP_CIUDADANA)
+    .withMessage("APP_CIUDADANA solo lo asignan los reportes ciudadanos (POST /publico/reportes)");
 
 /**
  * Validar datos del reportante
@@ -460,6 +467,15 @@ export const validarKmInicial = () =>
       return true;
     });
 
+/**
+ * Validar versión (precondición de concurrencia alternativa a If-Match)
+ */
+export const validarVersion = () =>
+  body("version")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("La versión debe ser un número entero no negativo");
+
 // ==========================================
 // VALIDADORES COMPUESTOS (POR ENDPOINT)
 // ==========================================
@@ -509,6 +525,7 @@ export const validateUpdateNovedad = [
   validarDescripcion(true),
   validarObservaciones(),
   validarObservacionesCambioEstado(),
+  validarVersion(),
   handleValidationErrors,
 ];
 
@@ -522,6 +539,7 @@ export const validateAsignarRecursos = [
   validarVehiculoId(),
   validarPersonalCargoId(),
   validarKmInicial(),
+  validarVersion(),
   handleValidationErrors,
 ];
 
@@ -550,11 +568,28 @@ export const validateQueryNovedades = [
     .isIn(PRIORIDAD_ARRAY)
     .withMessage(`prioridad_actual debe ser: ${PRIORIDAD_ARRAY.join(", ")}`),
 
+  query("sla_estado")
+    .optional()
+    .isIn(["EN_RIESGO", "VENCIDO"])
+    .withMessage("sla_estado debe ser: EN_RIESGO, VENCIDO"),
+
+  query("incluir_fusionadas")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("incluir_fusionadas debe ser true o false"),
+
   query("sector_id")
     .optional()
     .isInt({ min: 1 })
     .withMessage("sector_id debe ser un número entero positivo"),
 
+  query("asignacion_territorial")
+    .optional()
+    .isIn(Object.values(ASIGNACION_TERRITORIAL))
+    .withMessage(
+      `asignacion_territorial debe ser: ${Object.values(ASIGNACION_TERRITORIAL).join(", ")}`
+    ),
+
   query("tipo_novedad_id")
     .optional()
     .isInt({ min: 1 })
@@ -565,10 +600,17 @@ export const validateQueryNovedades = [
     .isInt({ min: 1 })
     .withMessage("page debe ser un número entero positivo"),
 
+  // En formato GeoJSON (mapa) se admiten páginas más grandes
   query("limit")
     .optional()
-    .isInt({ min: 1, max: 100 })
-    .withMessage("limit debe estar entre 1 y 100"),
+    .custom((valor, { req }) => {
+      const maximo = esSolicitudGeoJson(req) ? LIMITE_MAX_GEOJSON : 100;
+      const limite = Number(valor);
+      if (!Number.isInteger(limite) || limite < 1 || limite > maximo) {
+        throw new Error(`limit debe estar entre 1 y ${maximo}`);
+      }
+      return true;
+    }),
 
   query("search")
     .optional()
@@ -576,6 +618,128 @@ export const validateQueryNovedades = [
     .isLength({ max: 200 })
     .withMessage("search no puede exceder 200 caracteres"),
 
+  query("formato")
+    .optional()
+    .isIn(["json", "geojson"])
+    .withMessage("formato debe ser: json, geojson"),
+
+  query("bbox")
+    .optional()
+    .matches(/^\s*-?\d+(\.\d+)?(\s*,\s*-?\d+(\.\d+)?){3}\s*$/)
+    .withMessage("bbox debe ser minLng,minLat,maxLng,maxLat"),
+
+  query("lat")
+    .if(query("radio_m").exists())
+    .notEmpty()
+    .withMessage("lat es requerido junto con radio_m")
+    .bail()
+    .isFloat({ min: LIMITES_NUMERICOS.LATITUD_MIN, max: LIMITES_NUMERICOS.LATITUD_MAX })
+    .withMessage(`lat debe estar entre ${LIMITES_NUMERICOS.LATITUD_MIN} y ${LIMITES_NUMERICOS.LATITUD_MAX}`),
+
+  query("lng")
+    .if(query("radio_m").exists())
+    .notEmpty()
+    .withMessage("lng es requerido junto con radio_m")
+    .bail()
+    .isFloat({ min: LIMITES_NUMERICOS.LONGITUD_MIN, max: LIMITES_NUMERICOS.LONGITUD_MAX })
+    .withMessage(`lng debe estar entre ${LIMITES_NUMERICOS.LONGITUD_MIN} y ${LIMITES_NUMERICOS.LONGITUD_MAX}`),
+
+  query("radio_m")
+    .if((valor, { req }) => valor !== undefined || req.query.lat || req.query.lng)
+    .notEmpty()
+    .withMessage("radio_m es requerido junto con lat y lng")
+    .bail()
+    .isFloat({ min: 1, max: 50000 })
+    .withMessage("radio_m debe estar entre 1 y 50000 metros"),
+
+  query("poligono")
+    .optional()
+    .isLength({ max: 100000 })
+    .withMessage("poligono es demasiado grande")
+    .bail()
+    .isJSON()
+    .withMessage("poligono debe ser GeoJSON (texto JSON)"),
+
+  query("dentro_cuadrante_id")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("dentro_cuadrante_id debe ser un número entero positivo"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validación de la búsqueda de duplicados
+ * GET /api/v1/novedades/duplicados
+ */
+export const validateBuscarDuplicados = [
+  query("latitud")
+    .optional()
+    .isFloat({ min: LIMITES_NUMERICOS.LATITUD_MIN, max: LIMITES_NUMERICOS.LATITUD_MAX })
+    .withMessage(`latitud debe estar entre ${LIMITES_NUMERICOS.LATITUD_MIN} y ${LIMITES_NUMERICOS.LATITUD_MAX}`),
+
+  query("longitud")
+    .optional()
+    .isFloat({ min: LIMITES_NUMERICOS.LONGITUD_MIN, max: LIMITES_NUMERICOS.LONGITUD_MAX })
+    .withMessage(`longitud debe estar entre ${LIMITES_NUMERICOS.LONGITUD_MIN} y ${LIMITES_NUMERICOS.LONGITUD_MAX}`),
+
+  query("tipo_novedad_id")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("tipo_novedad_id debe ser un número entero positivo"),
+
+  query("subtipo_novedad_id")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("subtipo_novedad_id debe ser un número entero positivo"),
+
+  query("reportante_telefono")
+    .optional()
+    .trim()
+    .matches(PATTERNS.TELEFONO)
+    .withMessage(
+      `El teléfono debe tener entre ${LIMITES_TEXTO.TELEFONO_MIN} y ${LIMITES_TEXTO.TELEFONO_MAX} dígitos`
+    ),
+
+  query("fecha_hora_ocurrencia")
+    .optional()
+    .isISO8601()
+    .withMessage("fecha_hora_ocurrencia debe estar en formato ISO 8601"),
+
+  query().custom((value, { req }) => {
+    const { latitud, longitud, tipo_novedad_id, subtipo_novedad_id, reportante_telefono } = req.query;
+    const porUbicacion = latitud && longitud && (tipo_novedad_id || subtipo_novedad_id);
+    if (!porUbicacion && !reportante_telefono) {
+      throw new Error(
+        "Indique latitud y longitud con tipo_novedad_id o subtipo_novedad_id, o reportante_telefono"
+      );
+    }
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validación de la fusión de una novedad duplicada
+ * POST /api/v1/novedades/:id/fusionar
+ */
+export const validateFusionarNovedad = [
+  validarNovedadId(),
+
+  body("novedad_padre_id")
+    .notEmpty()
+    .withMessage("novedad_padre_id es requerido")
+    .isInt({ min: 1 })
+    .withMessage("novedad_padre_id debe ser un número entero positivo"),
+
+  body("observaciones")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Las observaciones no pueden exceder 1000 caracteres"),
+
+  validarVersion(),
   handleValidationErrors,
 ];
 
@@ -594,6 +758,8 @@ export default {
   validateUpdateNovedad,
   validateAsignarRecursos,
   validateQueryNovedades,
+  validateBuscarDuplicados,
+  validateFusionarNovedad,
   validateNovedadId,
   handleValidationErrors,
 };
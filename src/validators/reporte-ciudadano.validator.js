@@ -0,0 +1,138 @@
+/**
+ * Validador: reporte-ciudadano
+ * Validaciones de la API pública de reportes ciudadanos y de su triaje
+ */
+
+import { body, param, query } from "express-validator";
+import { handleValidationErrors } from "../middlewares/handleValidationErrors.js";
+import { LIMITES_TEXTO } from "../constants/validations.js";
+import { ESTADOS_TRIAJE } from "../services/reportesCiudadanosService.js";
+
+const validarTelefono = () =>
+  body("telefono")
+    .optional({ values: "falsy" })
+    .customSanitizer((valor) => String(valor).replace(/[\s\-()]/g, ""))
+    .matches(/^\+?\d{7,15}$/)
+    .withMessage("telefono debe tener entre 7 y 15 dígitos");
+
+/**
+ * POST /publico/reportes/otp
+ */
+export const validateSolicitarOtp = [
+  body("telefono")
+    .notEmpty().withMessage("telefono es requerido")
+    .bail()
+    .customSanitizer((valor) => String(valor).replace(/[\s\-()]/g, ""))
+    .matches(/^\+?\d{7,15}$/)
+    .withMessage("telefono debe tener entre 7 y 15 dígitos"),
+  handleValidationErrors,
+];
+
+/**
+ * POST /publico/reportes (multipart/form-data, después de recibir las fotos)
+ */
+export const validateCrearReporteCiudadano = [
+  body("tipo_novedad_id")
+    .isInt({ min: 1 }).withMessage("tipo_novedad_id es requerido")
+    .toInt(),
+  body("subtipo_novedad_id")
+    .isInt({ min: 1 }).withMessage("subtipo_novedad_id es requerido")
+    .toInt(),
+  body("descripcion")
+    .trim()
+    .isLength({ min: LIMITES_TEXTO.DESCRIPCION_MIN, max: LIMITES_TEXTO.DESCRIPCION_MAX })
+    .withMessage(
+      `La descripción debe tener entre ${LIMITES_TEXTO.DESCRIPCION_MIN} y ${LIMITES_TEXTO.DESCRIPCION_MAX} caracteres`
+    ),
+  body("latitud")
+    .isFloat({ min: -90, max: 90 }).withMessage("latitud es requerida (entre -90 y 90)")
+    .toFloat(),
+  body("longitud")
+    .isFloat({ min: -180, max: 180 }).withMessage("longitud es requerida (entre -180 y 180)")
+    .toFloat(),
+  body("localizacion")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: LIMITES_TEXTO.LOCALIZACION_MAX })
+    .withMessage(`localizacion no puede superar ${LIMITES_TEXTO.LOCALIZACION_MAX} caracteres`),
+  body("referencia_ubicacion")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: LIMITES_TEXTO.REFERENCIA_MAX })
+    .withMessage(`referencia_ubicacion no puede superar ${LIMITES_TEXTO.REFERENCIA_MAX} caracteres`),
+  body("nombre")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 150 }).withMessage("nombre no puede superar 150 caracteres"),
+  body("doc_identidad")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 30 }).withMessage("doc_identidad no puede superar 30 caracteres"),
+  validarTelefono(),
+  body("es_anonimo")
+    .optional()
+    .isBoolean().withMessage("es_anonimo debe ser true o false")
+    .toBoolean(),
+  body("codigo_otp")
+    .optional({ values: "falsy" })
+    .matches(/^\d{6}$/).withMessage("codigo_otp debe tener 6 dígitos"),
+  body("captcha_token")
+    .optional({ values: "falsy" })
+    .isString()
+    .isLength({ max: 4096 }).withMessage("captcha_token inválido"),
+  handleValidationErrors,
+];
+
+/**
+ * GET /publico/reportes/:codigo
+ */
+export const validateCodigoSeguimiento = [
+  param("codigo")
+    .trim()
+    .toUpperCase()
+    .matches(/^RC-[A-Z0-9]{4}-[A-Z0-9]{4}$/)
+    .withMessage("Código de seguimiento inválido (formato RC-XXXX-XXXX)"),
+  handleValidationErrors,
+];
+
+/**
+ * GET /reportes-ciudadanos
+ */
+export const validateColaTriaje = [
+  query("estado_triaje")
+    .optional()
+    .isIn(Object.values(ESTADOS_TRIAJE))
+    .withMessage(`estado_triaje debe ser uno de: ${Object.values(ESTADOS_TRIAJE).join(", ")}`),
+  query("page").optional().isInt({ min: 1 }).withMessage("page debe ser un entero positivo").toInt(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage("limit debe estar entre 1 y 100")
+    .toInt(),
+  handleValidationErrors,
+];
+
+/**
+ * POST /reportes-ciudadanos/:id/triaje
+ */
+export const validateTriarReporte = [
+  param("id")
+    .isInt({ min: 1 }).withMessage("El ID debe ser un número entero positivo")
+    .toInt(),
+  body("decision")
+    .isIn([ESTADOS_TRIAJE.ACEPTADO, ESTADOS_TRIAJE.RECHAZADO])
+    .withMessage(`decision debe ser ${ESTADOS_TRIAJE.ACEPTADO} o ${ESTADOS_TRIAJE.RECHAZADO}`),
+  body("motivo_rechazo")
+    .if(body("decision").equals(ESTADOS_TRIAJE.RECHAZADO))
+    .trim()
+    .notEmpty().withMessage("motivo_rechazo es requerido al rechazar (lo verá el ciudadano)")
+    .isLength({ max: 500 }).withMessage("motivo_rechazo no puede superar 500 caracteres"),
+  handleValidationErrors,
+];
+
+export default {
+  validateSolicitarOtp,
+  validateCrearReporteCiudadano,
+  validateCodigoSeguimiento,
+  validateColaTriaje,
+  validateTriarReporte,
+};
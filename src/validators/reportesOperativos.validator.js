@@ -25,6 +25,12 @@
  */
 
 import { body, param, query, validationResult } from "express-validator";
+import {
+  AGREGACIONES,
+  MAX_BANDA_EN_CELDAS,
+  TAMANO_CELDA_DEFECTO_M,
+} from "../services/hotspotsNovedadesService.js";
+import { parsearBbox } from "../utils/geoHelper.js";
 
 // ==========================================
 // MIDDLEWARE DE MANEJO DE ERRORES
@@ -394,6 +400,83 @@ export const validateNovedadesNoAtendidas = [
   handleValidationErrors
 ];
 
+/**
+ * Validador para cumplimiento de SLA por sector y turno
+ */
+export const validateCumplimientoSla = [
+  validateFechaInicio,
+  validateFechaFin,
+  validateSectorId,
+  validateTurno,
+  handleValidationErrors
+];
+
+/**
+ * Validador para hotspots y mapa de calor de novedades
+ */
+export const validateHotspots = [
+  validateFechaInicio,
+  validateFechaFin,
+  validateSectorId,
+  validateTipoNovedadId,
+  query("subtipo_novedad_id")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("El ID de subtipo de novedad debe ser un entero positivo"),
+  query("agregacion")
+    .optional()
+    .isIn(Object.values(AGREGACIONES))
+    .withMessage(`La agregación debe ser una de: ${Object.values(AGREGACIONES).join(", ")}`),
+  query("tamano_celda_m")
+    .optional()
+    .isFloat({ min: 50, max: 5000 })
+    .withMessage("tamano_celda_m debe estar entre 50 y 5000 metros"),
+  query("ancho_banda_m")
+    .optional()
+    .isFloat({ min: 50, max: 20000 })
+    .withMessage("ancho_banda_m debe estar entre 50 y 20000 metros")
+    .bail()
+    .custom((value, { req }) => {
+      if (req.query.agregacion === AGREGACIONES.CUADRANTES) return true;
+      const tamanoCelda = parseFloat(req.query.tamano_celda_m) || TAMANO_CELDA_DEFECTO_M;
+      if (parseFloat(value) > MAX_BANDA_EN_CELDAS * tamanoCelda) {
+        throw new Error(
+          `ancho_banda_m no puede superar ${MAX_BANDA_EN_CELDAS} veces tamano_celda_m (${MAX_BANDA_EN_CELDAS * tamanoCelda} m)`
+        );
+      }
+      return true;
+    }),
+  query("hora_desde")
+    .optional()
+    .isInt({ min: 0, max: 23 })
+    .withMessage("hora_desde debe ser una hora entre 0 y 23"),
+  query("hora_hasta")
+    .optional()
+    .isInt({ min: 0, max: 23 })
+    .withMessage("hora_hasta debe ser una hora entre 0 y 23"),
+  query("dias_semana")
+    .optional()
+    .matches(/^[1-7](,[1-7])*$/)
+    .withMessage("dias_semana debe ser una lista de días 1-7 (1=lunes, 7=domingo), ej: 5,6,7"),
+  query("bbox")
+    .optional()
+    .custom((value) => {
+      if (!parsearBbox(value)) {
+        throw new Error("bbox debe ser minLng,minLat,maxLng,maxLat");
+      }
+      return true;
+    }),
+  query("incluir_vacias")
+    .optional()
+    .isBoolean()
+    .withMessage("incluir_vacias debe ser un valor booleano"),
+  query("formato")
+    .optional()
+    .isIn(["json", "geojson"])
+    .withMessage("El formato debe ser 'json' o 'geojson'"),
+  handleValidationErrors
+];
+
 // ==========================================
 // EXPORTACIÓN DE VALIDADORES
 // ==========================================
@@ -433,5 +516,11 @@ export default {
   validateResumenPie,
   
   // Validadores compuestos - Novedades no atendidas (Fase 3)
-  validateNovedadesNoAtendidas
+  validateNovedadesNoAtendidas,
+  
+  // Validadores compuestos - Cumplimiento de SLA
+  validateCumplimientoSla,
+  
+  // Validadores compuestos - Hotspots de novedades
+  validateHotspots
 };
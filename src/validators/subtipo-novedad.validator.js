@@ -159,6 +159,21 @@ export const validarRequierePNP = () =>
     .isBoolean()
     .withMessage("requiere_pnp debe ser true o false");
 
+export const validarTiposVehiculo = () =>
+  body("tipos_vehiculo_ids")
+    .optional({ nullable: true })
+    .isArray()
+    .withMessage("tipos_vehiculo_ids debe ser un arreglo de IDs de tipo de vehículo")
+    .bail()
+    .custom((ids) => ids.every((id) => Number.isInteger(id) && id > 0))
+    .withMessage("tipos_vehiculo_ids debe contener solo IDs enteros positivos");
+
+export const validarVisibleCiudadano = () =>
+  body("visible_ciudadano")
+    .optional()
+    .isBoolean()
+    .withMessage("visible_ciudadano debe ser true o false");
+
 // ==========================================
 // VALIDADORES DE QUERY
 // ==========================================
@@ -201,6 +216,8 @@ export const validateCreate = [
   validarRequiereAmbulancia(),
   validarRequiereBomberos(),
   validarRequierePNP(),
+  validarTiposVehiculo(),
+  validarVisibleCiudadano(),
   handleValidationErrors,
 ];
 
@@ -221,6 +238,8 @@ export const validateUpdate = [
   validarRequiereAmbulancia(),
   validarRequiereBomberos(),
   validarRequierePNP(),
+  validarTiposVehiculo(),
+  validarVisibleCiudadano(),
   handleValidationErrors,
 ];
 
@@ -0,0 +1,115 @@
+/**
+ * Validador: transicion-estado-novedad
+ * Validaciones centralizadas para el CRUD de transiciones_estado_novedad
+ */
+
+import { body, param, query } from "express-validator";
+import { validationResult } from "express-validator";
+import { CAMPOS_EXIGIBLES } from "../services/estadoNovedadTransicionesService.js";
+
+/**
+ * Middleware centralizador de errores de validación
+ */
+export const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Error de validación",
+      errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+    });
+  }
+  return next();
+};
+
+/**
+ * Requisitos de la transición (comunes a crear y actualizar)
+ */
+const validarRequisitos = [
+  body("requiere_observacion")
+    .optional()
+    .isBoolean().withMessage("requiere_observacion debe ser booleano"),
+  body("campos_requeridos")
+    .optional({ nullable: true })
+    .isArray().withMessage("campos_requeridos debe ser un arreglo")
+    .custom((campos) => campos.every((c) => CAMPOS_EXIGIBLES.includes(c)))
+    .withMessage(`campos_requeridos solo admite: ${CAMPOS_EXIGIBLES.join(", ")}`),
+  body("descripcion")
+    .optional({ nullable: true })
+    .isString().withMessage("La descripción debe ser texto")
+    .isLength({ max: 1000 }).withMessage("La descripción no puede superar 1000 caracteres"),
+];
+
+/**
+ * Validaciones para crear una transición
+ */
+export const validarCrear = [
+  body("estado_origen_id")
+    .notEmpty().withMessage("El estado_origen_id es requerido")
+    .isInt({ min: 1 }).withMessage("estado_origen_id debe ser un entero positivo")
+    .toInt(),
+  body("estado_destino_id")
+    .notEmpty().withMessage("El estado_destino_id es requerido")
+    .isInt({ min: 1 }).withMessage("estado_destino_id debe ser un entero positivo")
+    .toInt()
+    .custom((destino, { req }) => destino !== req.body.estado_origen_id)
+    .withMessage("El estado destino debe ser distinto del estado origen"),
+  ...validarRequisitos,
+  handleValidationErrors,
+];
+
+/**
+ * Validaciones para actualizar una transición
+ */
+export const validarActualizar = [
+  param("id")
+    .isInt({ min: 1 }).withMessage("El ID debe ser un entero positivo"),
+  ...validarRequisitos,
+  body("estado")
+    .optional()
+    .isBoolean().withMessage("El estado debe ser booleano"),
+  handleValidationErrors,
+];
+
+/**
+ * Validaciones para cambiar estado (PATCH)
+ */
+export const validarCambiarEstado = [
+  param("id")
+    .isInt({ min: 1 }).withMessage("El ID debe ser un entero positivo"),
+  body("estado")
+    .notEmpty().withMessage("El estado es requerido")
+    .isBoolean().withMessage("El estado debe ser booleano (true/false)"),
+  handleValidationErrors,
+];
+
+/**
+ * Validación para parámetro :id en GET/DELETE
+ */
+export const validarId = [
+  param("id")
+    .isInt({ min: 1 }).withMessage("El ID debe ser un entero positivo"),
+  handleValidationErrors,
+];
+
+/**
+ * Validaciones para query params del listado
+ */
+export const validarListar = [
+  query("estado_origen_id")
+    .optional()
+    .isInt({ min: 1 }).withMessage("estado_origen_id debe ser un entero positivo"),
+  query("estado_destino_id")
+    .optional()
+    .isInt({ min: 1 }).withMessage("estado_destino_id debe ser un entero positivo"),
+  query("estado")
+    .optional()
+    .isIn(["0", "1"]).withMessage("estado debe ser 0 o 1"),
+  query("page")
+    .optional()
+    .isInt({ min: 1 }).withMessage("page debe ser un entero positivo"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 }).withMessage("limit debe estar entre 1 y 200"),
+  handleValidationErrors,
+];
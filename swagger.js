@@ -9,6 +9,7 @@ const endpointsFiles = [
   "./src/routes/usuarios.routes.js",
   "./src/routes/roles.routes.js",
   "./src/routes/permisos.routes.js",
+  "./src/routes/apiKeys.routes.js",
   "./src/routes/catalogos.routes.js",
   "./src/routes/novedades.routes.js",
   "./src/routes/personal.routes.js",
@@ -53,6 +54,12 @@ const doc = {
         scheme: "bearer",
         bearerFormat: "JWT",
       },
+      apiKeyAuth: {
+        type: "apiKey",
+        in: "header",
+        name: "Authorization",
+        description: "ApiKey <key> (clientes de máquina, ver /api-keys)",
+      },
     },
     schemas: {
       ErrorResponse: {
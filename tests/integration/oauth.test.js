@@ -0,0 +1,245 @@
+import request from "supertest";
+import bcrypt from "bcryptjs";
+import jwt from "jsonwebtoken";
+import passport from "passport";
+
+import app from "../../src/app.js";
+import sequelize from "../../src/config/database.js";
+import {
+  registrarEstrategiaOAuth,
+  crearVerificadorOAuth,
+} from "../../src/config/passport.js";
+
+import models from "../../src/models/index.js";
+import authConfig from "../../src/config/auth.js";
+
+const API_VERSION = process.env.API_VERSION || "v1";
+
+/**
+ * Estrategia simulada: sin ?code redirige al "proveedor"; con ?code
+ * entrega a verify la respuesta del endpoint de tokens (params, con el
+ * id_token) y el perfil definidos por el test, igual que lo haría
+ * passport-oauth2 con passReqToCallback tras canjear el código.
+ */
+class MockOAuthStrategy extends passport.Strategy {
+  constructor(name, obtenerPerfil, verify, obtenerParams = () => ({})) {
+    super();
+    this.name = name;
+    this._obtenerPerfil = obtenerPerfil;
+    this._obtenerParams = obtenerParams;
+    this._verify = verify;
+  }
+
+  authenticate(req) {
+    if (!req.query.code) {
+      return this.redirect("https://proveedor.test/authorize");
+    }
+
+    const params = this._obtenerParams();
+    return this._verify(req, "access", "refresh", params, this._obtenerPerfil(), (err, user, info) => {
+      if (err) return this.error(err);
+      if (!user) return this.fail(info, 403);
+      return this.success(user, info);
+    });
+  }
+}
+
+describe("OAuth (estrategia simulada) - integración", () => {
+  let usuario;
+  let usuarioMicrosoft;
+  let perfil;
+  let claimsMicrosoft;
+  const uniq = Date.now();
+  const email = `jest_oauth_${uniq}@example.com`;
+  const emailMicrosoft = `jest_oauth_ms_${uniq}@example.com`;
+  const tenantConfiable = "11111111-1111-1111-1111-111111111111";
+  const tenantAjeno = "99999999-9999-9999-9999-999999999999";
+
+  const crearUsuario = async (username, correo) =>
+    models.Usuario.create(
+      {
+        username,
+        email: correo,
+        password_hash: await bcrypt.hash("Test12345!", 10),
+        estado: "ACTIVO",
+        oauth_provider: "LOCAL",
+      },
+      { hooks: false }
+    );
+
+  beforeAll(async () => {
+    registrarEstrategiaOAuth(
+      "google",
+      new MockOAuthStrategy("google", () => perfil, crearVerificadorOAuth("google"))
+    );
+    registrarEstrategiaOAuth(
+      "microsoft",
+      new MockOAuthStrategy(
+        "microsoft",
+        () => perfil,
+        crearVerificadorOAuth("microsoft"),
+        () => ({ id_token: jwt.sign(claimsMicrosoft, "firma-del-proveedor") })
+      )
+    );
+    authConfig.oauth.microsoft.allowedTenants = [tenantConfiable];
+
+    usuario = await crearUsuario(`jest_oauth_${uniq}`, email);
+    usuarioMicrosoft = await crearUsuario(`jest_oauth_ms_${uniq}`, emailMicrosoft);
+  });
+
+  afterAll(async () => {
+    authConfig.oauth.microsoft.allowedTenants = [];
+
+    try {
+      const ids = [usuario?.id, usuarioMicrosoft?.id].filter(Boolean);
+      if (ids.length) {
+        await models.Usuario.update(
+          { deleted_at: new Date(), deleted_by: null },
+          { where: { id: ids } }
+        );
+      }
+    } catch (e) {
+      // noop
+    }
+
+    try {
+      await sequelize.close();
+    } catch (e) {
+      // noop
+    }
+  });
+
+  test("GET /auth/oauth/:provider desconocido => 404", async () => {
+    const res = await request(app).get(`/api/${API_VERSION}/auth/oauth/github`);
+    expect(res.status).toBe(404);
+  });
+
+  test("GET /auth/oauth/google redirige al proveedor", async () => {
+    const res = await request(app).get(`/api/${API_VERSION}/auth/oauth/google`);
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toContain("proveedor.test");
+  });
+
+  test("Email no verificado => 403 y no vincula", async () => {
+    perfil = { id: `g-${uniq}`, emails: [{ value: email, verified: false }] };
+
+    const res = await request(app)
+      .get(`/api/${API_VERSION}/auth/oauth/google/callback?code=x`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.motivo).toBe("email_no_verificado");
+
+    await usuario.reload();
+    expect(usuario.oauth_id).toBeNull();
+  });
+
+  test("Email sin cuenta => 403 y no crea usuarios", async () => {
+    const otroEmail = `jest_oauth_nuevo_${uniq}@example.com`;
+    perfil = { id: `g-nuevo-${uniq}`, emails: [{ value: otroEmail, verified: true }] };
+
+    const res = await request(app)
+      .get(`/api/${API_VERSION}/auth/oauth/google/callback?code=x`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.motivo).toBe("cuenta_no_encontrada");
+    expect(await models.Usuario.count({ where: { email: otroEmail } })).toBe(0);
+  });
+
+  test("Email verificado vincula la cuenta y emite el par JWT", async () => {
+    perfil = { id: `g-${uniq}`, emails: [{ value: email.toUpperCase(), verified: true }] };
+
+    const res = await request(app)
+      .get(`/api/${API_VERSION}/auth/oauth/google/callback?code=x`);
+
+    expect(res.status).toBe(200);
+    expect(typeof res.body.data.accessToken).toBe("string");
+    expect(typeof res.body.data.refreshToken).toBe("string");
+    expect(res.body.data.usuario.id).toBe(usuario.id);
+
+    await usuario.reload();
+    expect(usuario.oauth_provider).toBe("GOOGLE");
+    expect(usuario.oauth_id).toBe(`g-${uniq}`);
+  });
+
+  test("Login posterior se resuelve por oauth_id", async () => {
+    perfil = { id: `g-${uniq}`, emails: [] };
+
+    const res = await request(app)
+      .get(`/api/${API_VERSION}/auth/oauth/google/callback?code=x`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.usuario.id).toBe(usuario.id);
+  });
+
+  test("Otra identidad con el mismo email => 409", async () => {
+    perfil = { id: `g-otro-${uniq}`, emails: [{ value: email, verified: true }] };
+
+    const res = await request(app)
+      .get(`/api/${API_VERSION}/auth/oauth/google/callback?code=x`);
+
+    expect(res.status).toBe(409);
+    expect(res.body.motivo).toBe("cuenta_vinculada");
+  });
+
+  test("Microsoft: mail de Graph de un tenant ajeno no vincula por email", async () => {
+    // Cualquier administrador de su propio tenant puede fijar "mail"
+    perfil = { id: `ms-atacante-${uniq}`, emails: [{ type: "work", value: emailMicrosoft }] };
+    claimsMicrosoft = { tid: tenantAjeno, email: emailMicrosoft };
+
+    const res = await request(app)
+      .get(`/api/${API_VERSION}/auth/oauth/microsoft/callback?code=x`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.motivo).toBe("email_no_verificado");
+
+    await usuarioMicrosoft.reload();
+    expect(usuarioMicrosoft.oauth_id).toBeNull();
+  });
+
+  test("Microsoft: email_verified false en el id_token no vincula", async () => {
+    perfil = { id: `ms-atacante-${uniq}`, emails: [{ type: "work", value: emailMicrosoft }] };
+    claimsMicrosoft = { tid: tenantAjeno, email: emailMicrosoft, email_verified: false };
+
+    const res = await request(app)
+      .get(`/api/${API_VERSION}/auth/oauth/microsoft/callback?code=x`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.motivo).toBe("email_no_verificado");
+
+    await usuarioMicrosoft.reload();
+    expect(usuarioMicrosoft.oauth_id).toBeNull();
+  });
+
+  test("Microsoft: claim xms_edov vincula por el email del id_token", async () => {
+    perfil = { id: `ms-${uniq}`, emails: [] };
+    claimsMicrosoft = { tid: tenantAjeno, email: emailMicrosoft, xms_edov: true };
+
+    const res = await request(app)
+      .get(`/api/${API_VERSION}/auth/oauth/microsoft/callback?code=x`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.usuario.id).toBe(usuarioMicrosoft.id);
+
+    await usuarioMicrosoft.reload();
+    expect(usuarioMicrosoft.oauth_provider).toBe("MICROSOFT");
+    expect(usuarioMicrosoft.oauth_id).toBe(`ms-${uniq}`);
+  });
+
+  test("Microsoft: tenant configurado vincula por el mail de Graph", async () => {
+    const correo = `jest_oauth_ms_tenant_${uniq}@example.com`;
+    const otro = await crearUsuario(`jest_oauth_ms_tenant_${uniq}`, correo);
+
+    try {
+      perfil = { id: `ms-tenant-${uniq}`, emails: [{ type: "work", value: correo }] };
+      claimsMicrosoft = { tid: tenantConfiable };
+
+      const res = await request(app)
+        .get(`/api/${API_VERSION}/auth/oauth/microsoft/callback?code=x`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.usuario.id).toBe(otro.id);
+    } finally {
+      await models.Usuario.update({ deleted_at: new Date() }, { where: { id: otro.id } });
+    }
+  });
+});
@@ -0,0 +1,118 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * Adjuntos: URLs de descarga firmadas (adjuntosService) y claves del
+ * almacenamiento local que no pueden salir del directorio base
+ * (almacenamientoService), sobre un directorio temporal
+ */
+describe("adjuntosService - unit", () => {
+  let generarUrlDescarga;
+  let verificarUrlDescarga;
+  let VARIANTES_ADJUNTO;
+  let crearAlmacenamientoLocal;
+
+  // Parámetros de la URL firmada tal como llegan a la descarga
+  const parametrosDe = (url) => {
+    const [ruta, query] = url.split("?");
+    return { id: ruta.match(/adjuntos\/(\d+)\//)[1], ...Object.fromEntries(new URLSearchParams(query)) };
+  };
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "jest_jwt_secret";
+    process.env.ADJUNTOS_URL_SECRET = "jest_adjuntos_url_secret";
+    ({ generarUrlDescarga, verificarUrlDescarga, VARIANTES_ADJUNTO } = await import(
+      "../../src/services/adjuntosService.js"
+    ));
+    ({ crearAlmacenamientoLocal } = await import("../../src/services/almacenamientoService.js"));
+  });
+
+  describe("URLs de descarga firmadas", () => {
+    it("acepta la URL tal como se generó", () => {
+      const { url } = generarUrlDescarga(42);
+
+      expect(verificarUrlDescarga(parametrosDe(url))).toBe(true);
+    });
+
+    it("rechaza la URL si se altera el id, la variante, el vencimiento o la firma", () => {
+      const parametros = parametrosDe(generarUrlDescarga(42).url);
+
+      expect(verificarUrlDescarga({ ...parametros, id: "43" })).toBe(false);
+      expect(verificarUrlDescarga({ ...parametros, variante: VARIANTES_ADJUNTO.MINIATURA })).toBe(false);
+      expect(verificarUrlDescarga({ ...parametros, exp: String(Number(parametros.exp) + 3600) })).toBe(false);
+      const alterada = `${parametros.firma.slice(0, -1)}${parametros.firma.endsWith("A") ? "B" : "A"}`;
+      expect(verificarUrlDescarga({ ...parametros, firma: alterada })).toBe(false);
+      expect(verificarUrlDescarga({ ...parametros, firma: undefined })).toBe(false);
+    });
+
+    it("rechaza una URL vencida", () => {
+      const ahora = Date.now;
+      const parametros = parametrosDe(generarUrlDescarga(42).url);
+
+      try {
+        Date.now = () => ahora() + 10 * 60 * 1000;
+        expect(verificarUrlDescarga(parametros)).toBe(false);
+      } finally {
+        Date.now = ahora;
+      }
+    });
+
+    it("la firma depende de ADJUNTOS_URL_SECRET y no de JWT_SECRET", () => {
+      const parametros = parametrosDe(generarUrlDescarga(42).url);
+
+      try {
+        process.env.ADJUNTOS_URL_SECRET = "otra_clave";
+        expect(verificarUrlDescarga(parametros)).toBe(false);
+      } finally {
+        process.env.ADJUNTOS_URL_SECRET = "jest_adjuntos_url_secret";
+      }
+    });
+  });
+
+  describe("almacenamiento local", () => {
+    let directorio;
+    let almacenamiento;
+
+    beforeEach(() => {
+      directorio = fs.mkdtempSync(path.join(os.tmpdir(), "adjuntos-"));
+      almacenamiento = crearAlmacenamientoLocal({ directorio: path.join(directorio, "base") });
+    });
+
+    afterEach(() => {
+      fs.rmSync(directorio, { recursive: true, force: true });
+    });
+
+    it("guarda y abre un archivo por su clave", async () => {
+      await almacenamiento.guardar("novedad/2026/10/archivo.pdf", Buffer.from("%PDF-1.4"));
+
+      const archivo = await almacenamiento.abrir("novedad/2026/10/archivo.pdf");
+      archivo.stream.destroy();
+
+      expect(archivo.tamano).toBe(8);
+      expect(await almacenamiento.abrir("novedad/2026/10/otro.pdf")).toBeNull();
+    });
+
+    it("rechaza claves que salen del directorio base", async () => {
+      fs.writeFileSync(path.join(directorio, "secreto.txt"), "no");
+
+      const claves = ["../secreto.txt", "novedad/../../secreto.txt", path.join(directorio, "secreto.txt"), "../base-otra/x"];
+
+      for (const clave of claves) {
+        await expect(almacenamiento.abrir(clave)).rejects.toThrow(/Clave de almacenamiento inválida/);
+        await expect(almacenamiento.guardar(clave, Buffer.from("x"))).rejects.toThrow(/inválida/);
+        await expect(almacenamiento.eliminar(clave)).rejects.toThrow(/inválida/);
+      }
+
+      expect(fs.readFileSync(path.join(directorio, "secreto.txt"), "utf8")).toBe("no");
+      expect(fs.existsSync(path.join(directorio, "base-otra"))).toBe(false);
+    });
+
+    it("no sobrescribe un archivo existente", async () => {
+      await almacenamiento.guardar("novedad/a.pdf", Buffer.from("original"));
+
+      await expect(almacenamiento.guardar("novedad/a.pdf", Buffer.from("otro"))).rejects.toThrow();
+      expect(fs.readFileSync(path.join(directorio, "base", "novedad", "a.pdf"), "utf8")).toBe("original");
+    });
+  });
+});
@@ -0,0 +1,232 @@
+import { Op } from "sequelize";
+
+/**
+ * Asignación territorial de novedades (asignacionTerritorialService):
+ * cuadrante y sector por punto en polígono o radio, y back-fill de las
+ * novedades históricas, sobre cuadrantes, sectores y novedades en memoria
+ */
+describe("asignacionTerritorialService - unit", () => {
+  let servicio;
+  let models;
+  let sequelize;
+  let ASIGNACION_TERRITORIAL;
+  const originales = [];
+
+  // Filas de novedades_incidentes; alLeer simula cambios de otro proceso
+  let novedades = [];
+  let alLeer = null;
+
+  // Anillo cuadrado [lng, lat] desde su esquina suroeste
+  const cuadrado = (lng, lat, lado) => [
+    [lng, lat],
+    [lng + lado, lat],
+    [lng + lado, lat + lado],
+    [lng, lat + lado],
+    [lng, lat],
+  ];
+
+  // Sector 1 cubierto por los cuadrantes 10 y 11 (11 dentro de 10),
+  // sector 2 sin cuadrantes y dos cuadrantes circulares del sector 3
+  const cuadrantes = [
+    { id: 10, sector_id: 1, poligono_json: cuadrado(-77.05, -12.07, 0.02) },
+    { id: 11, sector_id: 1, poligono_json: cuadrado(-77.045, -12.065, 0.005) },
+    { id: 12, sector_id: 3, poligono_json: null, latitud: -12.1, longitud: -77.04, radio_metros: 300 },
+    { id: 13, sector_id: 3, poligono_json: null, latitud: -12.1015, longitud: -77.04, radio_metros: 300 },
+  ];
+  const sectores = [
+    { id: 1, poligono_json: { type: "Polygon", coordinates: [cuadrado(-77.05, -12.07, 0.02)] } },
+    { id: 2, poligono_json: { type: "Polygon", coordinates: [cuadrado(-77.02, -12.07, 0.02)] } },
+  ];
+
+  const PUNTOS = {
+    cuadrantesSuperpuestos: { latitud: -12.062, longitud: -77.042 },
+    soloCuadrante10: { latitud: "-12.052", longitud: "-77.048" },
+    soloSector2: { latitud: -12.06, longitud: -77.01 },
+    radios: { latitud: -12.1012, longitud: -77.04 },
+    fuera: { latitud: -12.2, longitud: -77.2 },
+  };
+
+  const reemplazar = (modelo, metodo, impl) => {
+    originales.push([modelo, metodo, modelo[metodo]]);
+    modelo[metodo] = impl;
+  };
+
+  const novedad = (id, datos = {}) => ({
+    id,
+    cuadrante_id: null,
+    sector_id: null,
+    direccion_id: null,
+    latitud: null,
+    longitud: null,
+    asignacion_territorial: null,
+    deleted_at: null,
+    ...datos,
+  });
+
+  // Interpreta el where del back-fill
+  const pendiente = (where, n) =>
+    n.id > where.id[Op.gt] &&
+    n.cuadrante_id === null &&
+    n.deleted_at === null &&
+    (where[Op.or]
+      ? [null, ...where[Op.or][1].asignacion_territorial].includes(n.asignacion_territorial)
+      : n.asignacion_territorial === null);
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "jest_jwt_secret";
+    servicio = await import("../../src/services/asignacionTerritorialService.js");
+    ({ ASIGNACION_TERRITORIAL } = servicio);
+    models = await import("../../src/models/index.js");
+    ({ default: sequelize } = await import("../../src/config/database.js"));
+
+    reemplazar(sequelize, "query", async () => [{ cuadrantes: "4|2026-10-18", sectores: "2|2026-10-18" }]);
+
+    const { Cuadrante, Sector, Direccion, Novedad } = models;
+    reemplazar(Cuadrante, "findAll", async () => cuadrantes);
+    reemplazar(Sector, "findAll", async () => sectores);
+    reemplazar(Cuadrante, "findByPk", async (id) => cuadrantes.find((c) => c.id === id) || null);
+    reemplazar(Direccion, "findByPk", async (id) => (id === 5 ? { cuadrante_id: 10, sector_id: 1 } : null));
+    reemplazar(Novedad, "findAll", async ({ where, limit }) => {
+      const lote = novedades.filter((n) => pendiente(where, n)).slice(0, limit).map((n) => ({ ...n }));
+      alLeer?.(lote);
+      return lote;
+    });
+    reemplazar(Novedad, "update", async ({ version, ...datos }, { where }) => {
+      const filas = novedades.filter((n) => where.id.includes(n.id) && n.cuadrante_id === null);
+      filas.forEach((n) => Object.assign(n, datos, { version }));
+      return [filas.length];
+    });
+  });
+
+  afterAll(() => {
+    originales.reverse().forEach(([modelo, metodo, impl]) => {
+      modelo[metodo] = impl;
+    });
+  });
+
+  beforeEach(() => {
+    novedades = [];
+    alLeer = null;
+  });
+
+  describe("resolverAsignacionTerritorial", () => {
+    it("con polígonos superpuestos elige el cuadrante de menor área", async () => {
+      expect(await servicio.resolverAsignacionTerritorial(PUNTOS.cuadrantesSuperpuestos)).toEqual({
+        cuadrante_id: 11,
+        sector_id: 1,
+        asignacion_territorial: ASIGNACION_TERRITORIAL.AUTOMATICA,
+      });
+      expect(await servicio.resolverAsignacionTerritorial(PUNTOS.soloCuadrante10)).toMatchObject({
+        cuadrante_id: 10,
+        sector_id: 1,
+      });
+    });
+
+    it("sin polígono usa el cuadrante circular más cercano que cubre el punto", async () => {
+      expect(await servicio.resolverAsignacionTerritorial(PUNTOS.radios)).toMatchObject({
+        cuadrante_id: 13,
+        sector_id: 3,
+      });
+    });
+
+    it("sin cuadrante toma el sector cuyo polígono contiene el punto", async () => {
+      expect(await servicio.resolverAsignacionTerritorial(PUNTOS.soloSector2)).toEqual({
+        cuadrante_id: null,
+        sector_id: 2,
+        asignacion_territorial: ASIGNACION_TERRITORIAL.AUTOMATICA,
+      });
+    });
+
+    it("marca FUERA_DE_ZONA las coordenadas fuera de todo cuadrante y sector", async () => {
+      expect(await servicio.resolverAsignacionTerritorial(PUNTOS.fuera)).toEqual({
+        cuadrante_id: null,
+        sector_id: null,
+        asignacion_territorial: ASIGNACION_TERRITORIAL.FUERA_DE_ZONA,
+      });
+    });
+
+    it("la elección del operador y la dirección tienen prioridad sobre las coordenadas", async () => {
+      expect(
+        await servicio.resolverAsignacionTerritorial({ cuadrante_id: 12, ...PUNTOS.cuadrantesSuperpuestos })
+      ).toEqual({ cuadrante_id: 12, sector_id: 3, asignacion_territorial: ASIGNACION_TERRITORIAL.MANUAL });
+
+      expect(
+        await servicio.resolverAsignacionTerritorial({ direccion_id: 5, ...PUNTOS.soloSector2 })
+      ).toEqual({ cuadrante_id: 10, sector_id: 1, asignacion_territorial: ASIGNACION_TERRITORIAL.DIRECCION });
+    });
+
+    it("sin dirección ni coordenadas no asigna nada", async () => {
+      expect(await servicio.resolverAsignacionTerritorial({ latitud: "", longitud: "" })).toEqual({
+        cuadrante_id: null,
+        sector_id: null,
+        asignacion_territorial: null,
+      });
+    });
+  });
+
+  describe("backfillAsignacionTerritorial", () => {
+    beforeEach(() => {
+      novedades = [
+        novedad(1, PUNTOS.cuadrantesSuperpuestos),
+        novedad(2, { direccion_id: 5 }),
+        novedad(3),
+        novedad(4, { ...PUNTOS.cuadrantesSuperpuestos, sector_id: 2 }),
+        novedad(5, PUNTOS.fuera),
+        novedad(6, { ...PUNTOS.soloSector2, cuadrante_id: 10, asignacion_territorial: "MANUAL" }),
+      ];
+    });
+
+    it("completa las novedades sin cuadrante por lotes", async () => {
+      const resumen = await servicio.backfillAsignacionTerritorial({ lote: 2 });
+
+      expect(resumen).toEqual({
+        evaluadas: 5,
+        actualizadas: 4,
+        por_direccion: 1,
+        automaticas: 1,
+        fuera_de_zona: 1,
+        sector_manual: 1,
+        sin_ubicacion: 1,
+      });
+      expect(novedades.map((n) => [n.cuadrante_id, n.sector_id, n.asignacion_territorial])).toEqual([
+        [11, 1, "AUTOMATICA"],
+        [10, 1, "DIRECCION"],
+        [null, null, null],
+        [null, 2, "MANUAL"],
+        [null, null, "FUERA_DE_ZONA"],
+        [10, null, "MANUAL"],
+      ]);
+    });
+
+    it("no pisa un cuadrante asignado mientras corre", async () => {
+      alLeer = () => {
+        novedades[0].cuadrante_id = 12;
+        alLeer = null;
+      };
+
+      const { actualizadas } = await servicio.backfillAsignacionTerritorial();
+
+      expect(actualizadas).toBe(3);
+      expect(novedades[0]).toMatchObject({ cuadrante_id: 12, asignacion_territorial: null });
+    });
+
+    it("en simulación calcula el resumen sin escribir", async () => {
+      const resumen = await servicio.backfillAsignacionTerritorial({ simular: true });
+
+      expect(resumen.actualizadas).toBe(4);
+      expect(novedades.every((n) => n.asignacion_territorial === null || n.id === 6)).toBe(true);
+    });
+
+    it("solo con reevaluar vuelve a procesar las FUERA_DE_ZONA", async () => {
+      await servicio.backfillAsignacionTerritorial();
+      // Se cargó un polígono que ahora cubre la novedad 5
+      novedades[4] = { ...novedades[4], ...PUNTOS.soloCuadrante10 };
+
+      expect((await servicio.backfillAsignacionTerritorial()).evaluadas).toBe(1);
+      expect(novedades[4].cuadrante_id).toBeNull();
+
+      await servicio.backfillAsignacionTerritorial({ reevaluar: true });
+      expect(novedades[4]).toMatchObject({ cuadrante_id: 10, asignacion_territorial: "AUTOMATICA" });
+    });
+  });
+});
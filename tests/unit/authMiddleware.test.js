@@ -0,0 +1,87 @@
+import express from "express";
+import request from "supertest";
+
+/**
+ * Scopes de API keys (authMiddleware): todos los permisos de la ruta y
+ * rechazo por defecto en rutas que no declaran permisos
+ */
+describe("authMiddleware API keys - unit", () => {
+  let auth;
+
+  // Simula la autenticación ya resuelta por verificarToken
+  const comoApiKey = (scopes) => (req, res, next) => {
+    req.user = {
+      id: 7,
+      roles: [],
+      rolSlugs: [],
+      permisos: scopes,
+      apiKey: { id: 1, nombre: "cad" },
+    };
+    next();
+  };
+
+  const crearApp = (scopes) => {
+    const router = express.Router();
+    router.use(comoApiKey(scopes));
+
+    router.get(
+      "/lectura",
+      auth.verificarRolesOPermisos(["operador"], ["novedades.incidentes.read"]),
+      (req, res) => res.json({ success: true })
+    );
+    router.get(
+      "/doble",
+      auth.requireAnyPermission(["novedades.incidentes.read", "novedades.incidentes.update"]),
+      (req, res) => res.json({ success: true })
+    );
+    router.get("/sin-scope", (req, res) => res.json({ success: true }));
+    router.get(
+      "/solo-roles",
+      auth.verificarRolesOPermisos(["operador"]),
+      (req, res) => res.json({ success: true })
+    );
+
+    auth.restringirApiKeysARutasConScope(router);
+
+    const app = express();
+    app.use(router);
+    return app;
+  };
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "jest_jwt_secret";
+    auth = await import("../../src/middlewares/authMiddleware.js");
+  });
+
+  it("acepta la key si tiene el scope de la ruta", async () => {
+    const res = await request(crearApp(["novedades.incidentes.read"])).get("/lectura");
+    expect(res.status).toBe(200);
+  });
+
+  it("exige TODOS los permisos declarados, no solo alguno", async () => {
+    const app = crearApp(["novedades.incidentes.read"]);
+    const res = await request(app).get("/doble");
+    expect(res.status).toBe(403);
+    expect(res.body.requiredPermissions).toContain("novedades.incidentes.update");
+
+    const completa = crearApp(["novedades.incidentes.read", "novedades.incidentes.update"]);
+    expect((await request(completa).get("/doble")).status).toBe(200);
+  });
+
+  it("rechaza la key en rutas sin permisos declarados", async () => {
+    const app = crearApp(["novedades.incidentes.read"]);
+    expect((await request(app).get("/sin-scope")).status).toBe(403);
+    expect((await request(app).get("/solo-roles")).status).toBe(403);
+  });
+
+  it("no envuelve dos veces la misma ruta", () => {
+    const router = express.Router();
+    router.get("/x", (req, res) => res.json({ success: true }));
+
+    auth.restringirApiKeysARutasConScope(router);
+    const guarda = router.stack[0].route.stack[0].handle;
+    auth.restringirApiKeysARutasConScope(router);
+
+    expect(router.stack[0].route.stack[0].handle).toBe(guarda);
+  });
+});
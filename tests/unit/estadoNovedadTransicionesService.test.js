@@ -0,0 +1,189 @@
+import { Op } from "sequelize";
+
+/**
+ * Grafo de estados de novedades (estadoNovedadTransicionesService), sobre
+ * un grafo en memoria en lugar de las tablas
+ */
+describe("estadoNovedadTransicionesService - unit", () => {
+  let servicio;
+  let models;
+  const originales = [];
+
+  // 1 Registrada → 2 Despachada (unidad) → 3 En atención → 4 Cerrada (final) → 3 (reapertura)
+  const ESTADOS = {
+    1: { id: 1, nombre: "Registrada", orden: 1, es_final: false, requiere_unidad: false },
+    2: { id: 2, nombre: "Despachada", orden: 2, es_final: false, requiere_unidad: true },
+    3: { id: 3, nombre: "En atención", orden: 3, es_final: false, requiere_unidad: false },
+    4: { id: 4, nombre: "Cerrada", orden: 4, es_final: true, requiere_unidad: false },
+  };
+  const TRANSICIONES = [
+    { origen: 1, destino: 2, campos_requeridos: ["fecha_despacho", "no_exigible"] },
+    { origen: 2, destino: 3, campos_requeridos: ["fecha_llegada"] },
+    { origen: 3, destino: 4, campos_requeridos: ["fecha_cierre"] },
+    { origen: 4, destino: 3, campos_requeridos: [], requiere_observacion: 1 },
+  ].map((t) => ({
+    estado_origen_id: t.origen,
+    estado_destino_id: t.destino,
+    campos_requeridos: t.campos_requeridos,
+    requiere_observacion: t.requiere_observacion || 0,
+    descripcion: null,
+    estadoDestino: ESTADOS[t.destino],
+  }));
+
+  // Roles: operador limitado a 1-3; supervisor sin configuración
+  const ROLES = { operador: 10, supervisor: 20 };
+  const ROL_ESTADOS = [1, 2, 3].map((id) => ({ rol_id: 10, estado_novedad_id: id, estado: 1 }));
+
+  let grafoActivo = true;
+
+  const reemplazar = (modelo, metodo, impl) => {
+    originales.push([modelo, metodo, modelo[metodo]]);
+    modelo[metodo] = impl;
+  };
+
+  const novedad = (estado, campos = {}) => ({ estado_novedad_id: estado, vehiculo_id: null, ...campos });
+  const admin = { rolSlugs: ["admin"] };
+  const operador = { rolSlugs: ["operador"] };
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "jest_jwt_secret";
+    models = await import("../../src/models/index.js");
+    servicio = await import("../../src/services/estadoNovedadTransicionesService.js");
+
+    const { TransicionEstadoNovedad, EstadoNovedad, RolEstadoNovedad, Rol } = models;
+
+    reemplazar(TransicionEstadoNovedad, "count", async () => (grafoActivo ? TRANSICIONES.length : 0));
+    reemplazar(TransicionEstadoNovedad, "findOne", async ({ where }) =>
+      TRANSICIONES.find(
+        (t) => t.estado_origen_id === where.estado_origen_id && t.estado_destino_id === where.estado_destino_id
+      ) || null
+    );
+    reemplazar(TransicionEstadoNovedad, "findAll", async ({ where }) =>
+      TRANSICIONES.filter((t) => t.estado_origen_id === where.estado_origen_id)
+    );
+    reemplazar(EstadoNovedad, "findByPk", async (id) => ESTADOS[id] || null);
+    reemplazar(EstadoNovedad, "findAll", async () => Object.values(ESTADOS));
+    reemplazar(Rol, "findAll", async ({ where }) =>
+      where.slug[Op.in].filter((slug) => ROLES[slug]).map((slug) => ({ id: ROLES[slug] }))
+    );
+    reemplazar(RolEstadoNovedad, "findAll", async () => ROL_ESTADOS);
+  });
+
+  afterAll(() => {
+    originales.reverse().forEach(([modelo, metodo, impl]) => {
+      modelo[metodo] = impl;
+    });
+  });
+
+  afterEach(() => {
+    grafoActivo = true;
+    operador.rolSlugs = ["operador"];
+  });
+
+  describe("validarTransicion", () => {
+    it("rechaza destinos que no son aristas del grafo", async () => {
+      const r = await servicio.validarTransicion({ novedad: novedad(1), estadoDestinoId: 4, user: admin });
+      expect(r).toMatchObject({ ok: false, status: 422, code: "TRANSICION_NO_PERMITIDA" });
+    });
+
+    it("sin cambio de estado o sin grafo configurado no valida", async () => {
+      expect(await servicio.validarTransicion({ novedad: novedad(1), estadoDestinoId: 1, user: admin })).toEqual({
+        ok: true,
+      });
+
+      grafoActivo = false;
+      expect(await servicio.validarTransicion({ novedad: novedad(1), estadoDestinoId: 4, user: admin })).toEqual({
+        ok: true,
+      });
+    });
+
+    it("exige los campos de la transición y el vehículo del estado destino", async () => {
+      const r = await servicio.validarTransicion({ novedad: novedad(1), estadoDestinoId: 2, user: admin });
+
+      expect(r).toMatchObject({ ok: false, code: "TRANSICION_INCOMPLETA" });
+      expect(r.faltantes.sort()).toEqual(["fecha_despacho", "vehiculo_id"]);
+    });
+
+    it("toma los campos enviados o los ya guardados en la novedad", async () => {
+      const r = await servicio.validarTransicion({
+        novedad: novedad(1, { vehiculo_id: 5 }),
+        estadoDestinoId: 2,
+        datos: { fecha_despacho: "2026-10-18T10:00:00Z" },
+        user: admin,
+      });
+      expect(r).toEqual({ ok: true });
+
+      const vaciado = await servicio.validarTransicion({
+        novedad: novedad(1, { vehiculo_id: 5, fecha_despacho: "2026-10-18T10:00:00Z" }),
+        estadoDestinoId: 2,
+        datos: { vehiculo_id: "" },
+        user: admin,
+      });
+      expect(vaciado.faltantes).toEqual(["vehiculo_id"]);
+    });
+
+    it("cerrar o reabrir exige observación", async () => {
+      const cierre = await servicio.validarTransicion({
+        novedad: novedad(3),
+        estadoDestinoId: 4,
+        datos: { fecha_cierre: "2026-10-18T11:00:00Z" },
+        observaciones: "   ",
+        user: admin,
+      });
+      expect(cierre.faltantes).toEqual(["observaciones"]);
+
+      const reapertura = await servicio.validarTransicion({
+        novedad: novedad(4),
+        estadoDestinoId: 3,
+        observaciones: "Se reabre por nueva denuncia",
+        user: admin,
+      });
+      expect(reapertura).toEqual({ ok: true });
+    });
+
+    it("aplica la restricción de estados por rol", async () => {
+      const r = await servicio.validarTransicion({
+        novedad: novedad(3),
+        estadoDestinoId: 4,
+        datos: { fecha_cierre: "2026-10-18T11:00:00Z" },
+        observaciones: "Atendida",
+        user: operador,
+      });
+      expect(r).toMatchObject({ ok: false, status: 403, code: "ESTADO_NO_PERMITIDO_ROL" });
+
+      // Un rol sin configuración libera al usuario
+      operador.rolSlugs = ["operador", "supervisor"];
+      expect(
+        await servicio.validarTransicion({
+          novedad: novedad(3),
+          estadoDestinoId: 4,
+          datos: { fecha_cierre: "2026-10-18T11:00:00Z" },
+          observaciones: "Atendida",
+          user: operador,
+        })
+      ).toEqual({ ok: true });
+    });
+  });
+
+  it("validarEdicion bloquea las novedades en estado final", async () => {
+    expect(await servicio.validarEdicion(novedad(3))).toEqual({ ok: true });
+    expect(await servicio.validarEdicion(novedad(4))).toMatchObject({
+      ok: false,
+      status: 409,
+      code: "NOVEDAD_CERRADA",
+    });
+  });
+
+  it("estadosSiguientes lista las aristas permitidas con sus campos faltantes", async () => {
+    const { configurado, transiciones } = await servicio.estadosSiguientes(novedad(1), operador);
+
+    expect(configurado).toBe(true);
+    expect(transiciones).toHaveLength(1);
+    expect(transiciones[0].estado.id).toBe(2);
+    expect(transiciones[0].campos_requeridos.sort()).toEqual(["fecha_despacho", "vehiculo_id"]);
+    expect(transiciones[0].campos_faltantes.sort()).toEqual(["fecha_despacho", "vehiculo_id"]);
+
+    const desdeEnAtencion = await servicio.estadosSiguientes(novedad(3), operador);
+    expect(desdeEnAtencion.transiciones).toEqual([]);
+  });
+});
@@ -0,0 +1,154 @@
+import { Op } from "sequelize";
+
+/**
+ * Outbox de eventos SSE (eventBusService.crearBusOutbox) sobre una tabla
+ * en memoria: ids confirmados fuera de orden
+ */
+describe("eventBusService - unit", () => {
+  let crearBusOutbox;
+  let SseEventoOutbox;
+  const originales = [];
+
+  // Filas confirmadas (visibles): { id, enVentana }
+  let tabla = [];
+
+  const fila = (id, enVentana = true) => ({
+    id,
+    enVentana,
+    instancia: "test:1",
+    evento: `evento_${id}`,
+    canales: null,
+    datos: JSON.stringify({ id }),
+    created_at: new Date(),
+  });
+
+  const confirmar = (...ids) => tabla.push(...ids.map((id) => fila(id)));
+
+  const reemplazar = (modelo, metodo, impl) => {
+    originales.push([modelo, metodo, modelo[metodo]]);
+    modelo[metodo] = impl;
+  };
+
+  // Interpreta los where que arma el bus
+  const coincide = (where, f) => {
+    if (where[Op.or]) return where[Op.or].some((w) => coincide(w, f));
+    const { id = {} } = where;
+    if (id[Op.gt] !== undefined && !(f.id > id[Op.gt])) return false;
+    if (id[Op.lte] !== undefined && !(f.id <= id[Op.lte])) return false;
+    if (id[Op.in] !== undefined && !id[Op.in].includes(f.id)) return false;
+    if (where.created_at && !f.enVentana) return false;
+    return true;
+  };
+
+  const crearBus = async () => {
+    const bus = crearBusOutbox({ intervaloMs: 60000 });
+    const recibidos = [];
+    bus.suscribir((evento) => recibidos.push(evento.id));
+    await bus.iniciar();
+    return { bus, recibidos };
+  };
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "jest_jwt_secret";
+    ({ crearBusOutbox } = await import("../../src/services/eventBusService.js"));
+    ({ default: { SseEventoOutbox } } = await import("../../src/models/index.js"));
+
+    reemplazar(SseEventoOutbox, "max", async () => Math.max(0, ...tabla.map((f) => f.id)));
+    reemplazar(SseEventoOutbox, "destroy", async () => 0);
+    reemplazar(SseEventoOutbox, "findAll", async ({ where, order, limit }) => {
+      let filas = tabla.filter((f) => coincide(where, f)).sort((a, b) => a.id - b.id);
+      if (order?.[0]?.[1] === "DESC") filas.reverse();
+      if (limit) filas = filas.slice(0, limit);
+      return filas.map((f) => ({ ...f }));
+    });
+  });
+
+  afterAll(() => {
+    originales.reverse().forEach(([modelo, metodo, impl]) => {
+      modelo[metodo] = impl;
+    });
+  });
+
+  beforeEach(() => {
+    tabla = [];
+  });
+
+  it("entrega los eventos nuevos en orden de id", async () => {
+    confirmar(10);
+    const { bus, recibidos } = await crearBus();
+
+    confirmar(11, 12);
+    await bus.consultar();
+
+    expect(recibidos).toEqual([11, 12]);
+    await bus.detener();
+  });
+
+  it("entrega un id confirmado tarde aunque ya se entregaron ids mayores", async () => {
+    confirmar(10);
+    const { bus, recibidos } = await crearBus();
+
+    // 12 se insertó antes que 13 pero su transacción confirma después
+    confirmar(11, 13);
+    await bus.consultar();
+    expect(recibidos).toEqual([11, 13]);
+
+    await bus.consultar();
+    confirmar(12);
+    await bus.consultar();
+    expect(recibidos).toEqual([11, 13, 12]);
+
+    // Ni el tardío ni los demás se repiten
+    confirmar(14);
+    await bus.consultar();
+    await bus.consultar();
+    expect(recibidos).toEqual([11, 13, 12, 14]);
+    await bus.detener();
+  });
+
+  it("no reentrega al iniciar los eventos que ya estaban en la ventana", async () => {
+    confirmar(5, 6, 7);
+    const { bus, recibidos } = await crearBus();
+
+    await bus.consultar();
+    expect(recibidos).toEqual([]);
+    await bus.detener();
+  });
+
+  it("olvida los ids que salen de la ventana sin volver a entregarlos", async () => {
+    confirmar(10);
+    const { bus, recibidos } = await crearBus();
+
+    confirmar(11, 12);
+    await bus.consultar();
+    tabla.forEach((f) => {
+      f.enVentana = false;
+    });
+    await bus.consultar();
+
+    // Un id antiguo fuera de la ventana ya no se busca
+    tabla.push(fila(9, false));
+    confirmar(13);
+    await bus.consultar();
+
+    expect(recibidos).toEqual([11, 12, 13]);
+    await bus.detener();
+  });
+
+  it("dos réplicas entregan cada evento una sola vez, con ids fuera de orden", async () => {
+    confirmar(1);
+    const a = await crearBus();
+    const b = await crearBus();
+
+    confirmar(2, 4);
+    await a.bus.consultar();
+    confirmar(3);
+    await b.bus.consultar();
+    await a.bus.consultar();
+
+    expect([...a.recibidos].sort()).toEqual([2, 3, 4]);
+    expect([...b.recibidos].sort()).toEqual([2, 3, 4]);
+    await a.bus.detener();
+    await b.bus.detener();
+  });
+});
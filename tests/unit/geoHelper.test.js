@@ -0,0 +1,150 @@
+import {
+  METROS_POR_GRADO,
+  distanciaMetros,
+  normalizarPoligono,
+  contarVertices,
+  envolvente,
+  envolventeRadio,
+  parsearBbox,
+  cajaAWkt,
+  poligonoAWkt,
+  puntoEnPoligono,
+} from "../../src/utils/geoHelper.js";
+
+/**
+ * Geometrías de los filtros espaciales (geoHelper)
+ */
+describe("geoHelper - unit", () => {
+  // Cuadrado de 0.01° con un hueco en el centro (Lima)
+  const exterior = [
+    [-77.04, -12.06],
+    [-77.03, -12.06],
+    [-77.03, -12.05],
+    [-77.04, -12.05],
+  ];
+  const hueco = [
+    [-77.036, -12.056],
+    [-77.034, -12.056],
+    [-77.034, -12.054],
+    [-77.036, -12.054],
+    [-77.036, -12.056],
+  ];
+
+  describe("parsearBbox", () => {
+    it("interpreta minLng,minLat,maxLng,maxLat", () => {
+      expect(parsearBbox("-77.04, -12.06, -77.03, -12.05")).toEqual({
+        minLng: -77.04,
+        minLat: -12.06,
+        maxLng: -77.03,
+        maxLat: -12.05,
+      });
+    });
+
+    it("rechaza cajas invertidas, fuera de rango o incompletas", () => {
+      expect(parsearBbox("-77.03,-12.06,-77.04,-12.05")).toBeNull();
+      expect(parsearBbox("-77.04,-12.05,-77.03,-12.06")).toBeNull();
+      expect(parsearBbox("-190,-12.06,-77.03,-12.05")).toBeNull();
+      expect(parsearBbox("-77.04,-12.06,-77.03")).toBeNull();
+      expect(parsearBbox("a,b,c,d")).toBeNull();
+    });
+
+    it("genera el WKT cerrado de la caja", () => {
+      expect(cajaAWkt(parsearBbox("1,2,3,4"))).toBe("POLYGON((1 2,3 2,3 4,1 4,1 2))");
+    });
+  });
+
+  describe("radio", () => {
+    it("distanciaMetros: un grado de latitud ≈ 111 km", () => {
+      expect(distanciaMetros(0, 0, 1, 0)).toBeCloseTo(111195, -1);
+      expect(distanciaMetros(-12.05, -77.04, -12.05, -77.04)).toBe(0);
+    });
+
+    it("envolventeRadio contiene el círculo y se ensancha en longitud con la latitud", () => {
+      const caja = envolventeRadio(-12.05, -77.04, 500);
+
+      expect(caja.maxLat - caja.minLat).toBeCloseTo((2 * 500) / METROS_POR_GRADO, 10);
+      expect(caja.maxLng - caja.minLng).toBeGreaterThan(caja.maxLat - caja.minLat);
+
+      // Los extremos del círculo quedan dentro de la caja
+      expect(distanciaMetros(-12.05, -77.04, caja.maxLat, -77.04)).toBeCloseTo(500, -1);
+      expect(distanciaMetros(-12.05, -77.04, -12.05, caja.minLng)).toBeGreaterThanOrEqual(499);
+    });
+
+    it("envolventeRadio se recorta a los límites del mundo", () => {
+      const caja = envolventeRadio(89.999, 179.999, 5000);
+      expect(caja.maxLat).toBe(90);
+      expect(caja.maxLng).toBe(180);
+    });
+  });
+
+  describe("normalizarPoligono", () => {
+    it("acepta un anillo suelto y lo cierra", () => {
+      const poligono = normalizarPoligono(exterior);
+
+      expect(poligono).toHaveLength(1);
+      expect(poligono[0][0]).toHaveLength(5);
+      expect(poligono[0][0][4]).toEqual(poligono[0][0][0]);
+      expect(contarVertices(poligono)).toBe(5);
+    });
+
+    it("acepta Polygon, MultiPolygon, Feature y texto JSON", () => {
+      const polygon = { type: "Polygon", coordinates: [exterior, hueco] };
+
+      expect(normalizarPoligono(polygon)[0]).toHaveLength(2);
+      expect(normalizarPoligono({ type: "Feature", geometry: polygon })).toEqual(
+        normalizarPoligono(polygon)
+      );
+      expect(normalizarPoligono(JSON.stringify(polygon))).toEqual(normalizarPoligono(polygon));
+      expect(
+        normalizarPoligono({ type: "MultiPolygon", coordinates: [[exterior], [hueco]] })
+      ).toHaveLength(2);
+    });
+
+    it("rechaza geometrías inválidas", () => {
+      expect(normalizarPoligono("{no es json")).toBeNull();
+      expect(normalizarPoligono({ type: "Point", coordinates: [0, 0] })).toBeNull();
+      expect(normalizarPoligono([[0, 0], [1, 1]])).toBeNull();
+      expect(normalizarPoligono([[0, 0], [1, 1], [200, 0]])).toBeNull();
+    });
+
+    it("envolvente y WKT del polígono", () => {
+      const poligono = normalizarPoligono({ type: "Polygon", coordinates: [exterior, hueco] });
+
+      expect(envolvente(poligono)).toEqual({
+        minLng: -77.04,
+        minLat: -12.06,
+        maxLng: -77.03,
+        maxLat: -12.05,
+      });
+      expect(poligonoAWkt(poligono)).toMatch(/^POLYGON\(\(-77\.04 -12\.06,.*\),\(-77\.036 -12\.056,/);
+      expect(
+        poligonoAWkt(normalizarPoligono({ type: "MultiPolygon", coordinates: [[exterior], [hueco]] }))
+      ).toMatch(/^MULTIPOLYGON\(\(\(/);
+    });
+  });
+
+  describe("puntoEnPoligono", () => {
+    const poligono = normalizarPoligono({ type: "Polygon", coordinates: [exterior, hueco] });
+
+    it("dentro del exterior y fuera del hueco", () => {
+      expect(puntoEnPoligono(-77.038, -12.058, poligono)).toBe(true);
+    });
+
+    it("dentro del hueco cuenta como fuera", () => {
+      expect(puntoEnPoligono(-77.035, -12.055, poligono)).toBe(false);
+    });
+
+    it("fuera del exterior", () => {
+      expect(puntoEnPoligono(-77.02, -12.055, poligono)).toBe(false);
+      expect(puntoEnPoligono(-77.035, -12.07, poligono)).toBe(false);
+    });
+
+    it("en un MultiPolygon basta con estar en una de sus partes", () => {
+      const lejos = exterior.map(([lng, lat]) => [lng + 1, lat]);
+      const multi = normalizarPoligono({ type: "MultiPolygon", coordinates: [[exterior], [lejos]] });
+
+      expect(puntoEnPoligono(-76.035, -12.055, multi)).toBe(true);
+      expect(puntoEnPoligono(-76.5, -12.055, multi)).toBe(false);
+    });
+  });
+});
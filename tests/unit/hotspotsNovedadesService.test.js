@@ -0,0 +1,133 @@
+/**
+ * Teselación hexagonal y Getis-Ord Gi* (hotspotsNovedadesService)
+ */
+describe("hotspotsNovedadesService - unit", () => {
+  let servicio;
+
+  beforeAll(async () => {
+    servicio = await import("../../src/services/hotspotsNovedadesService.js");
+  });
+
+  describe("teselacionHexagonos.celdaDe", () => {
+    // Generador determinista (LCG) para no depender de Math.random
+    const crearAleatorio = (semilla) => () => {
+      semilla = (semilla * 1664525 + 1013904223) % 4294967296;
+      return semilla / 4294967296;
+    };
+
+    // Centro más cercano por fuerza bruta entre las celdas alrededor del punto
+    const centroMasCercano = (teselacion, x, y, s) => {
+      let mejor = null;
+      for (const celda of teselacion.celdasEn({
+        minX: x - 2 * s,
+        minY: y - 2 * s,
+        maxX: x + 2 * s,
+        maxY: y + 2 * s,
+      })) {
+        const d2 = (celda.cx - x) ** 2 + (celda.cy - y) ** 2;
+        if (!mejor || d2 < mejor.d2) mejor = { ...celda, d2 };
+      }
+      return mejor;
+    };
+
+    it.each([250, 100, 1000])("asigna cada punto al centro más cercano (s = %i m)", (s) => {
+      const teselacion = servicio.teselacionHexagonos(s);
+      const aleatorio = crearAleatorio(s);
+
+      for (let k = 0; k < 5000; k++) {
+        // Coordenadas proyectadas típicas (incluye negativas)
+        const x = (aleatorio() - 0.5) * 40 * s - 8.6e6;
+        const y = (aleatorio() - 0.5) * 40 * s - 1.3e6;
+
+        const celda = teselacion.celdaDe(x, y);
+        const esperado = centroMasCercano(teselacion, x, y, s);
+        const d2 = (celda.cx - x) ** 2 + (celda.cy - y) ** 2;
+
+        // En un empate exacto (borde entre celdas) cualquiera de las dos vale
+        expect(d2).toBeCloseTo(esperado.d2, 4);
+      }
+    });
+
+    it("el centro de una celda pertenece a esa celda", () => {
+      const teselacion = servicio.teselacionHexagonos(250);
+      for (const celda of teselacion.celdasEn({ minX: -1000, minY: -1000, maxX: 1000, maxY: 1000 })) {
+        expect(teselacion.celdaDe(celda.cx, celda.cy).clave).toBe(celda.clave);
+      }
+    });
+
+    it("ningún punto queda a más del radio circunscrito de su centro", () => {
+      const s = 250;
+      const teselacion = servicio.teselacionHexagonos(s);
+      const radio = s / Math.sqrt(3);
+      const aleatorio = crearAleatorio(7);
+
+      for (let k = 0; k < 5000; k++) {
+        const x = aleatorio() * 10000;
+        const y = aleatorio() * 10000;
+        const { cx, cy } = teselacion.celdaDe(x, y);
+        expect(Math.hypot(cx - x, cy - y)).toBeLessThanOrEqual(radio + 1e-9);
+      }
+    });
+  });
+
+  describe("calcularGiEstrella", () => {
+    // Grilla de n x n celdas de 100 m con los valores indicados
+    const grilla = (n, valorDe) => {
+      const celdas = [];
+      for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+          celdas.push({ x: i * 100, y: j * 100, valor: valorDe(i, j) });
+        }
+      }
+      return celdas;
+    };
+
+    it("detecta un cúmulo como caliente y la zona sin eventos como fría", () => {
+      const celdas = grilla(9, (i, j) => (i <= 2 && j <= 2 ? 10 : 0));
+      servicio.calcularGiEstrella(celdas, 150);
+
+      const centroCumulo = celdas.find((c) => c.x === 100 && c.y === 100);
+      expect(centroCumulo.hotspot).toBe("CALIENTE");
+      expect(centroCumulo.gi_bin).toBe(3);
+      expect(centroCumulo.confianza).toBe(99);
+      expect(centroCumulo.gi_p).toBeLessThan(0.01);
+
+      const lejana = celdas.find((c) => c.x === 800 && c.y === 800);
+      expect(lejana.gi_z).toBeLessThan(0);
+      expect(lejana.hotspot).not.toBe("CALIENTE");
+    });
+
+    it("coincide con el cálculo manual de z", () => {
+      const celdas = [
+        { x: 0, y: 0, valor: 4 },
+        { x: 100, y: 0, valor: 2 },
+        { x: 200, y: 0, valor: 0 },
+        { x: 300, y: 0, valor: 2 },
+      ];
+      const { media, desviacion } = servicio.calcularGiEstrella(celdas, 100);
+
+      expect(media).toBe(2);
+      expect(desviacion).toBeCloseTo(Math.sqrt(2), 10);
+
+      // Celda 0: vecinos {0, 1} → suma 6, w = 2, n = 4
+      const esperado = (6 - 2 * 2) / (Math.sqrt(2) * Math.sqrt((4 * 2 - 4) / 3));
+      expect(celdas[0].gi_z).toBeCloseTo(esperado, 4);
+    });
+
+    it("sin varianza o con menos de 3 celdas no hay significancia", () => {
+      const uniformes = grilla(4, () => 5);
+      servicio.calcularGiEstrella(uniformes, 150);
+      uniformes.forEach((c) => {
+        expect(c.gi_z).toBeNull();
+        expect(c.hotspot).toBe("NO_SIGNIFICATIVO");
+      });
+
+      const pocas = [
+        { x: 0, y: 0, valor: 1 },
+        { x: 100, y: 0, valor: 9 },
+      ];
+      servicio.calcularGiEstrella(pocas, 150);
+      pocas.forEach((c) => expect(c.gi_bin).toBe(0));
+    });
+  });
+});
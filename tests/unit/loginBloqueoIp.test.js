@@ -0,0 +1,70 @@
+import request from "supertest";
+
+/**
+ * Bloqueo de login por IP detrás de un proxy (TRUST_PROXY): cada cliente
+ * se identifica por su X-Forwarded-For y no por la IP del proxy
+ */
+describe("POST /auth/login (bloqueo por IP) - unit", () => {
+  let app;
+  let models;
+  const originales = [];
+
+  // Filas de login_intentos
+  let intentos = [];
+
+  const reemplazar = (modelo, metodo, impl) => {
+    originales.push([modelo, metodo, modelo[metodo]]);
+    modelo[metodo] = impl;
+  };
+
+  const fallosDe = (where) =>
+    intentos.filter((i) => i.ip_address === where.ip_address && i.intento_exitoso === 0);
+
+  const login = (ip) =>
+    request(app)
+      .post("/api/v1/auth/login")
+      .set("X-Forwarded-For", ip)
+      .send({ username_or_email: "nadie", password: "Incorrecta123!" });
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "jest_jwt_secret";
+    process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || "jest_jwt_refresh_secret";
+    process.env.TRUST_PROXY = "1";
+    process.env.LOGIN_IP_MAX_ATTEMPTS = "2";
+
+    models = await import("../../src/models/index.js");
+    ({ default: app } = await import("../../src/app.js"));
+
+    reemplazar(models.Usuario, "findOne", async () => null);
+    reemplazar(models.Usuario, "findAll", async () => []);
+    reemplazar(models.LoginIntento, "create", async (datos) => intentos.push({ ...datos, created_at: new Date() }));
+    reemplazar(models.LoginIntento, "count", async ({ where }) => fallosDe(where).length);
+    reemplazar(models.LoginIntento, "findOne", async ({ where }) => fallosDe(where).at(-1) || null);
+  });
+
+  afterAll(() => {
+    originales.reverse().forEach(([modelo, metodo, impl]) => {
+      modelo[metodo] = impl;
+    });
+  });
+
+  beforeEach(() => {
+    intentos = [];
+  });
+
+  it("registra la IP del cliente y no la del proxy", async () => {
+    await login("203.0.113.10");
+
+    expect(intentos.map((i) => i.ip_address)).toEqual(["203.0.113.10"]);
+  });
+
+  it("dos clientes detrás del mismo proxy no comparten el bloqueo", async () => {
+    expect((await login("203.0.113.10")).status).toBe(401);
+    expect((await login("203.0.113.10")).status).toBe(401);
+    expect((await login("203.0.113.10")).status).toBe(429);
+
+    const otro = await login("203.0.113.20");
+    expect(otro.status).toBe(401);
+    expect(otro.body.message).toBe("Credenciales incorrectas");
+  });
+});
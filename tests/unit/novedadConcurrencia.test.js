@@ -0,0 +1,150 @@
+import express from "express";
+import request from "supertest";
+
+/**
+ * Ediciones concurrentes de una novedad (PUT /novedades/:id): If-Match
+ * obligatorio (NOVEDAD_REQUIRE_IF_MATCH=true), versión obsoleta y
+ * novedad reclamada por otro usuario, sobre filas en memoria
+ */
+describe("PUT /novedades/:id (concurrencia) - unit", () => {
+  let app;
+  let models;
+  let sequelize;
+  let etagNovedad;
+  let evaluarPrecondicion;
+  const originales = [];
+
+  // Novedad vigente, reclamo en novedad_reclamos y usuario autenticado
+  let novedad;
+  let reclamo;
+  let usuarioActual;
+  let rollbacks = 0;
+
+  const reemplazar = (modelo, metodo, impl) => {
+    originales.push([modelo, metodo, modelo[metodo]]);
+    modelo[metodo] = impl;
+  };
+
+  const editar = (cabeceras = {}, cuerpo = {}) =>
+    request(app)
+      .put("/novedades/15")
+      .set(cabeceras)
+      .send({ descripcion: "Descripción editada", ...cuerpo });
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "jest_jwt_secret";
+    process.env.NOVEDAD_REQUIRE_IF_MATCH = "true";
+    models = await import("../../src/models/index.js");
+    ({ default: sequelize } = await import("../../src/config/database.js"));
+    ({ etagNovedad, evaluarPrecondicion } = await import("../../src/services/novedadConcurrenciaService.js"));
+    const { updateNovedad } = await import("../../src/controllers/novedadesController.js");
+
+    reemplazar(sequelize, "transaction", async () => ({
+      LOCK: { UPDATE: "UPDATE" },
+      afterCommit: () => {},
+      commit: async () => {},
+      rollback: async () => {
+        rollbacks++;
+      },
+    }));
+
+    const { Novedad, NovedadReclamo } = models;
+    reemplazar(Novedad, "findOne", async ({ where }) => (Number(where.id) === novedad.id ? novedad : null));
+    reemplazar(Novedad, "findByPk", async (id) => (Number(id) === novedad.id ? { ...novedad } : null));
+    reemplazar(NovedadReclamo, "findOne", async ({ where }) =>
+      reclamo && where.novedad_id === reclamo.novedad_id ? { ...reclamo } : null
+    );
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = usuarioActual;
+      next();
+    });
+    app.put("/novedades/:id", updateNovedad);
+  });
+
+  afterAll(() => {
+    originales.reverse().forEach(([modelo, metodo, impl]) => {
+      modelo[metodo] = impl;
+    });
+  });
+
+  // Novedad en su versión 3, despachada por otro usuario para que una
+  // edición que pasa los controles de concurrencia termine en el 403
+  // siguiente sin tocar la base de datos
+  beforeEach(() => {
+    rollbacks = 0;
+    reclamo = null;
+    usuarioActual = { id: 10, username: "ana", rolSlugs: ["operador"] };
+    novedad = {
+      id: 15,
+      version: 3,
+      descripcion: "Descripción original",
+      usuario_despacho: 99,
+      update: async () => {
+        throw new Error("La edición no debía guardarse");
+      },
+    };
+  });
+
+  it("sin If-Match ni version responde 428 con el ETag vigente", async () => {
+    const res = await editar();
+
+    expect(res.status).toBe(428);
+    expect(res.body.code).toBe("PRECONDICION_REQUERIDA");
+    expect(res.headers.etag).toBe('"novedad-15-v3"');
+    expect(rollbacks).toBe(1);
+  });
+
+  it("con un ETag de una versión anterior responde 409 con el registro vigente", async () => {
+    const res = await editar({ "If-Match": '"novedad-15-v2"' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe("NOVEDAD_DESACTUALIZADA");
+    expect(res.body.data).toMatchObject({ id: 15, version: 3, descripcion: "Descripción original" });
+    expect(res.headers.etag).toBe(etagNovedad(novedad));
+  });
+
+  it("con una version obsoleta en el body responde 409", async () => {
+    const res = await editar({}, { version: 2 });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe("NOVEDAD_DESACTUALIZADA");
+  });
+
+  it("con el ETag vigente supera la precondición", async () => {
+    const res = await editar({ "If-Match": etagNovedad(novedad) });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toMatch(/usuario que despachó/);
+  });
+
+  it("rechaza con 409 la edición de una novedad reclamada por otro usuario", async () => {
+    reclamo = { novedad_id: 15, usuario_id: 20, username: "beto", expira_en: new Date(Date.now() + 60000) };
+
+    const res = await editar({ "If-Match": etagNovedad(novedad) });
+
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({ code: "NOVEDAD_RECLAMADA", data: { reclamo: { usuario_id: 20 } } });
+    expect(res.body.message).toMatch(/beto/);
+  });
+
+  it("la supervisión puede editar una novedad reclamada", async () => {
+    reclamo = { novedad_id: 15, usuario_id: 20, username: "beto", expira_en: new Date(Date.now() + 60000) };
+    usuarioActual = { ...usuarioActual, rolSlugs: ["supervisor"] };
+
+    const res = await editar({ "If-Match": etagNovedad(novedad) });
+
+    expect(res.status).toBe(403);
+  });
+
+  it("If-Match admite *, listas de ETags y ETags débiles", () => {
+    const conIfMatch = (ifMatch) => evaluarPrecondicion({ headers: { "if-match": ifMatch } }, novedad);
+
+    expect(conIfMatch("*").ok).toBe(true);
+    expect(conIfMatch('"novedad-15-v1", "novedad-15-v3"').ok).toBe(true);
+    expect(conIfMatch('W/"novedad-15-v3"').ok).toBe(true);
+    expect(conIfMatch('W/"novedad-15-v4"')).toMatchObject({ ok: false, status: 409 });
+  });
+});
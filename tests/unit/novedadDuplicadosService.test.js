@@ -0,0 +1,130 @@
+/**
+ * Posibles duplicados y fusión de novedades (novedadDuplicadosService),
+ * con la consulta y las tablas en memoria
+ */
+describe("novedadDuplicadosService - unit", () => {
+  let servicio;
+  let models;
+  let sequelize;
+  const originales = [];
+
+  // Consultas hechas y filas que devuelven; novedades e historial en memoria
+  let consultas = [];
+  let filas = [];
+  let novedades = [];
+  let historial = [];
+
+  const reemplazar = (modelo, metodo, impl) => {
+    originales.push([modelo, metodo, modelo[metodo]]);
+    modelo[metodo] = impl;
+  };
+
+  const candidata = (id, datos = {}) => ({
+    id,
+    novedad_code: String(id).padStart(10, "0"),
+    tipo_novedad_id: 1,
+    subtipo_novedad_id: 2,
+    reportante_telefono: null,
+    distancia_m: null,
+    num_fusionadas: "0",
+    ...datos,
+  });
+
+  const conUpdate = (fila) => ({ ...fila, update: async (datos) => Object.assign(fila, datos) });
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "jest_jwt_secret";
+    servicio = await import("../../src/services/novedadDuplicadosService.js");
+    models = await import("../../src/models/index.js");
+    ({ default: sequelize } = await import("../../src/config/database.js"));
+
+    reemplazar(sequelize, "query", async (sql, opciones) => {
+      consultas.push({ sql, replacements: opciones.replacements });
+      return filas;
+    });
+    reemplazar(models.Novedad, "update", async ({ novedad_padre_id }, { where }) => {
+      const hijas = novedades.filter((n) => n.novedad_padre_id === where.novedad_padre_id);
+      hijas.forEach((n) => Object.assign(n, { novedad_padre_id }));
+      return [hijas.length];
+    });
+    reemplazar(models.HistorialEstadoNovedad, "bulkCreate", async (registros) => historial.push(...registros));
+  });
+
+  afterAll(() => {
+    originales.reverse().forEach(([modelo, metodo, impl]) => {
+      modelo[metodo] = impl;
+    });
+  });
+
+  beforeEach(() => {
+    consultas = [];
+    filas = [];
+    novedades = [];
+    historial = [];
+  });
+
+  describe("buscarPosiblesDuplicados", () => {
+    it("sin ubicación con tipo ni teléfono no consulta", async () => {
+      expect(await servicio.buscarPosiblesDuplicados({ latitud: -12.05, longitud: -77.04 })).toEqual([]);
+      expect(await servicio.buscarPosiblesDuplicados({ tipo_novedad_id: 1, latitud: "" })).toEqual([]);
+      expect(consultas).toEqual([]);
+    });
+
+    it("acota la búsqueda al radio alrededor del punto", async () => {
+      await servicio.buscarPosiblesDuplicados({ latitud: "-12.05", longitud: "-77.04", tipo_novedad_id: 1 });
+
+      const { replacements } = consultas[0];
+      expect(replacements.latMax - replacements.latMin).toBeCloseTo((2 * replacements.radio) / 111320, 6);
+      expect(replacements.lngMax - replacements.lngMin).toBeGreaterThan(replacements.latMax - replacements.latMin);
+      expect(consultas[0].sql).not.toContain("reportante_telefono = :telefono");
+    });
+
+    it("indica los motivos de cada candidata", async () => {
+      filas = [
+        candidata(1, { distancia_m: "35.4", reportante_telefono: "987654321" }),
+        candidata(2, { distancia_m: "80", tipo_novedad_id: 9, subtipo_novedad_id: 9 }),
+        candidata(3, { reportante_telefono: "987654321", num_fusionadas: "2" }),
+      ];
+
+      const duplicados = await servicio.buscarPosiblesDuplicados({
+        latitud: -12.05,
+        longitud: -77.04,
+        tipo_novedad_id: "1",
+        subtipo_novedad_id: "2",
+        reportante_telefono: " 987654321 ",
+      });
+
+      expect(duplicados.map((d) => [d.id, d.motivos, d.mismo_subtipo])).toEqual([
+        [1, ["UBICACION", "TELEFONO"], true],
+        [2, [], false],
+        [3, ["TELEFONO"], true],
+      ]);
+      expect(duplicados[0].distancia_m).toBe(35);
+      expect(duplicados[2].num_fusionadas).toBe(2);
+    });
+  });
+
+  describe("fusionarNovedad", () => {
+    it("fusiona la duplicada, mueve sus fusionadas a la principal y lo registra en ambas", async () => {
+      const principal = { id: 1, novedad_code: "0000000001", estado_novedad_id: 2 };
+      const duplicada = { id: 2, novedad_code: "0000000002", estado_novedad_id: 1, novedad_padre_id: null };
+      novedades = [duplicada, { id: 3, novedad_padre_id: 2 }];
+
+      await servicio.fusionarNovedad({
+        novedad: conUpdate(duplicada),
+        principal,
+        usuarioId: 7,
+        observaciones: "mismo robo",
+        transaction: {},
+      });
+
+      expect(duplicada).toMatchObject({ novedad_padre_id: 1, fusionado_por: 7 });
+      expect(novedades[1].novedad_padre_id).toBe(1);
+      expect(historial.map((h) => [h.novedad_id, h.estado_anterior_id, h.estado_nuevo_id, h.observaciones])).toEqual([
+        [2, 1, 1, "Fusionada en la novedad 0000000001: mismo robo"],
+        [1, 2, 2, "Se fusionó la novedad 0000000002: mismo robo"],
+      ]);
+      expect(historial[0].metadata).toMatchObject({ tipo: "FUSION", novedad_padre_id: 1 });
+    });
+  });
+});
@@ -0,0 +1,179 @@
+import { Op } from "sequelize";
+
+/**
+ * Reclamos de novedades (novedadReclamosService) sobre una tabla
+ * novedad_reclamos en memoria: reclamo condicional, vencimiento y
+ * notificación por el bus
+ */
+describe("novedadReclamosService - unit", () => {
+  let servicio;
+  let NovedadReclamo;
+  const originales = [];
+  const eventos = [];
+
+  // novedad_id → fila de novedad_reclamos
+  let tabla = new Map();
+
+  const novedad = { id: 1, novedad_code: "NOV-000001", sector_id: 3 };
+  const ana = { id: 10, username: "ana" };
+  const beto = { id: 20, username: "beto" };
+
+  const reemplazar = (modelo, metodo, impl) => {
+    originales.push([modelo, metodo, modelo[metodo]]);
+    modelo[metodo] = impl;
+  };
+
+  // Interpreta los where que arma el servicio
+  const coincide = (where, fila) =>
+    Object.entries(where).every(([campo, valor]) => {
+      if (campo !== "expira_en") return fila[campo] === valor;
+      if (valor[Op.gt]) return fila.expira_en > valor[Op.gt];
+      return fila.expira_en <= valor[Op.lte];
+    });
+
+  const vencer = (novedadId) => {
+    tabla.get(novedadId).expira_en = new Date(Date.now() - 1000);
+  };
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "jest_jwt_secret";
+    servicio = await import("../../src/services/novedadReclamosService.js");
+    ({ default: { NovedadReclamo } } = await import("../../src/models/index.js"));
+    const { subscribeToEvents } = await import("../../src/utils/sse-manager.js");
+
+    subscribeToEvents((evento) => eventos.push(evento));
+
+    reemplazar(NovedadReclamo, "findOne", async ({ where }) => {
+      const fila = tabla.get(where.novedad_id);
+      return fila && coincide(where, fila) ? { ...fila } : null;
+    });
+    reemplazar(NovedadReclamo, "findAll", async ({ where }) =>
+      [...tabla.values()].filter((f) => coincide(where, f)).map((f) => ({ ...f }))
+    );
+    reemplazar(NovedadReclamo, "update", async (datos, { where }) => {
+      const fila = tabla.get(where.novedad_id);
+      if (!fila || !coincide(where, fila)) return [0];
+      Object.assign(fila, datos);
+      return [1];
+    });
+    reemplazar(NovedadReclamo, "create", async (datos) => {
+      if (tabla.has(datos.novedad_id)) {
+        const error = new Error("Duplicate entry");
+        error.name = "SequelizeUniqueConstraintError";
+        throw error;
+      }
+      tabla.set(datos.novedad_id, { ...datos });
+      return datos;
+    });
+    reemplazar(NovedadReclamo, "destroy", async ({ where }) => {
+      const fila = tabla.get(where.novedad_id);
+      if (!fila || !coincide(where, fila)) return 0;
+      tabla.delete(where.novedad_id);
+      return 1;
+    });
+  });
+
+  afterAll(() => {
+    originales.reverse().forEach(([modelo, metodo, impl]) => {
+      modelo[metodo] = impl;
+    });
+  });
+
+  beforeEach(() => {
+    tabla = new Map();
+    eventos.length = 0;
+  });
+
+  it("reclama una novedad libre y notifica por el bus", async () => {
+    const { ok, reclamo } = await servicio.reclamarNovedad(novedad, ana);
+
+    expect(ok).toBe(true);
+    expect(reclamo).toMatchObject({ novedad_id: 1, usuario_id: 10, username: "ana" });
+    expect(await servicio.obtenerReclamo(1)).toEqual(reclamo);
+    expect(eventos.map((e) => e.eventName)).toEqual([servicio.EVENTOS_RECLAMO.RECLAMADA]);
+    expect(eventos[0].data).toMatchObject({ usuario_id: 10, renovado: false, forzado: false });
+  });
+
+  it("rechaza el reclamo de otro usuario mientras está vigente", async () => {
+    await servicio.reclamarNovedad(novedad, ana);
+    const { ok, reclamo } = await servicio.reclamarNovedad(novedad, beto);
+
+    expect(ok).toBe(false);
+    expect(reclamo.usuario_id).toBe(10);
+    expect(tabla.get(1).usuario_id).toBe(10);
+  });
+
+  it("un reclamo vencido lo toma otro usuario reutilizando la fila", async () => {
+    await servicio.reclamarNovedad(novedad, ana);
+    vencer(1);
+
+    expect(await servicio.obtenerReclamo(1)).toBeNull();
+    const { ok } = await servicio.reclamarNovedad(novedad, beto);
+
+    expect(ok).toBe(true);
+    expect(tabla.get(1).usuario_id).toBe(20);
+  });
+
+  it("si otra réplica inserta primero, devuelve su reclamo", async () => {
+    // Otra réplica confirma su INSERT entre la lectura y el nuestro
+    const findOne = NovedadReclamo.findOne;
+    let primeraLectura = true;
+    NovedadReclamo.findOne = async (opciones) => {
+      if (primeraLectura) {
+        primeraLectura = false;
+        tabla.set(1, {
+          novedad_id: 1,
+          usuario_id: 20,
+          username: "beto",
+          conexion: null,
+          expira_en: new Date(Date.now() + 60000),
+        });
+        return null;
+      }
+      return findOne(opciones);
+    };
+
+    try {
+      const { ok, reclamo } = await servicio.reclamarNovedad(novedad, ana);
+      expect(ok).toBe(false);
+      expect(reclamo.usuario_id).toBe(20);
+      expect(eventos).toEqual([]);
+    } finally {
+      NovedadReclamo.findOne = findOne;
+    }
+  });
+
+  it("la supervisión puede forzar el reclamo de otro usuario", async () => {
+    await servicio.reclamarNovedad(novedad, ana);
+    const { ok } = await servicio.reclamarNovedad(novedad, beto, { forzar: true });
+
+    expect(ok).toBe(true);
+    expect(eventos[1].data).toMatchObject({ forzado: true, usuario_anterior_id: 10 });
+  });
+
+  it("solo el titular libera sin forzar", async () => {
+    await servicio.reclamarNovedad(novedad, ana);
+
+    expect(await servicio.liberarNovedad(novedad, beto)).toBe(false);
+    expect(await servicio.liberarNovedad(novedad, ana)).toBe(true);
+    expect(tabla.has(1)).toBe(false);
+    expect(eventos.at(-1)).toMatchObject({
+      eventName: servicio.EVENTOS_RECLAMO.LIBERADA,
+      data: { usuario_id: 10, liberado_por: 10 },
+    });
+  });
+
+  it("al cerrarse una conexión libera solo los reclamos hechos desde ella", async () => {
+    const otra = { ...novedad, id: 2 };
+    await servicio.reclamarNovedad(novedad, ana, { conexion: "ws-1" });
+    await servicio.reclamarNovedad(otra, ana, { conexion: "ws-2" });
+
+    const liberados = await servicio.liberarReclamosDeConexion("ws-1", async (id) =>
+      id === 1 ? novedad : otra
+    );
+
+    expect(liberados).toBe(1);
+    expect(tabla.has(1)).toBe(false);
+    expect(tabla.has(2)).toBe(true);
+  });
+});
@@ -0,0 +1,145 @@
+import { Op } from "sequelize";
+
+/**
+ * Eventos del ciclo de vida de las novedades (novedadesEventosService):
+ * diff de campos, canales de la novedad y eventos de cambio de estado,
+ * sobre el bus en memoria
+ */
+describe("novedadesEventosService - unit", () => {
+  let servicio;
+  let EVENTOS_NOVEDAD;
+  let models;
+  const originales = [];
+  const eventos = [];
+
+  // Estados por id, usuarios por personal_seguridad_id y fallo de la BD
+  const estados = {
+    2: { id: 2, nombre: "EN RUTA", es_final: 0 },
+    5: { id: 5, nombre: "CERRADO", es_final: 1 },
+  };
+  let usuariosPorPersonal = {};
+  let fallaBd = null;
+
+  const novedad = {
+    id: 15,
+    novedad_code: "0000000015",
+    estado_novedad_id: 2,
+    sector_id: 3,
+    cuadrante_id: 11,
+    prioridad_actual: "ALTA",
+    personal_cargo_id: 40,
+  };
+
+  const reemplazar = (modelo, metodo, impl) => {
+    originales.push([modelo, metodo, modelo[metodo]]);
+    modelo[metodo] = impl;
+  };
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "jest_jwt_secret";
+    servicio = await import("../../src/services/novedadesEventosService.js");
+    ({ EVENTOS_NOVEDAD } = servicio);
+    models = await import("../../src/models/index.js");
+    const { subscribeToEvents } = await import("../../src/utils/sse-manager.js");
+
+    subscribeToEvents((evento) => eventos.push(evento));
+
+    reemplazar(models.EstadoNovedad, "findByPk", async (id) => estados[id] || null);
+    reemplazar(models.Usuario, "findAll", async ({ where }) => {
+      if (fallaBd) throw fallaBd;
+      return where.personal_seguridad_id[Op.in]
+        .filter((personalId) => usuariosPorPersonal[personalId])
+        .map((personalId) => ({ id: usuariosPorPersonal[personalId] }));
+    });
+  });
+
+  afterAll(() => {
+    originales.reverse().forEach(([modelo, metodo, impl]) => {
+      modelo[metodo] = impl;
+    });
+  });
+
+  beforeEach(() => {
+    eventos.length = 0;
+    usuariosPorPersonal = { 40: 9 };
+    fallaBd = null;
+  });
+
+  describe("diffNovedad", () => {
+    it("informa solo los campos que cambiaron, sin los de auditoría", () => {
+      const antes = {
+        descripcion: "Robo",
+        prioridad_actual: "MEDIA",
+        fecha_llegada: null,
+        updated_by: 1,
+        updated_at: new Date("2026-10-18T10:00:00Z"),
+      };
+      const despues = {
+        get: () => ({
+          descripcion: "Robo",
+          prioridad_actual: "ALTA",
+          fecha_llegada: new Date("2026-10-18T10:05:00Z"),
+          updated_by: 2,
+          updated_at: new Date("2026-10-18T10:06:00Z"),
+        }),
+      };
+
+      expect(servicio.diffNovedad(antes, despues, [...Object.keys(antes), "sector_id"])).toEqual({
+        prioridad_actual: { antes: "MEDIA", despues: "ALTA" },
+        fecha_llegada: { antes: null, despues: "2026-10-18T10:05:00.000Z" },
+      });
+    });
+  });
+
+  describe("publicarEventoNovedad", () => {
+    it("publica a los canales del sector, el cuadrante y el personal asignado", async () => {
+      await servicio.publicarEventoNovedad(EVENTOS_NOVEDAD.ACTUALIZADA, novedad, 7, {
+        cambios: { prioridad_actual: { antes: "MEDIA", despues: "ALTA" } },
+      });
+
+      expect(eventos).toHaveLength(1);
+      expect(eventos[0]).toMatchObject({
+        eventName: EVENTOS_NOVEDAD.ACTUALIZADA,
+        canales: { global: true, sectores: [3], cuadrantes: [11], usuarios: [9] },
+        data: {
+          id: 15,
+          novedad_code: "0000000015",
+          usuario_id: 7,
+          cambios: { prioridad_actual: { despues: "ALTA" } },
+        },
+      });
+    });
+
+    it("un fallo al resolver los canales se registra sin propagarse", async () => {
+      fallaBd = new Error("Conexión perdida");
+
+      await expect(
+        servicio.publicarEventoNovedad(EVENTOS_NOVEDAD.ACTUALIZADA, novedad, 7)
+      ).resolves.toBeUndefined();
+      expect(eventos).toEqual([]);
+    });
+  });
+
+  describe("publicarCambioEstado", () => {
+    it("publica estado_cambiado con el nombre del estado nuevo", async () => {
+      await servicio.publicarCambioEstado(novedad, 7, { estadoAnteriorId: 1, estadoNuevoId: 2 });
+
+      expect(eventos.map((e) => e.eventName)).toEqual([EVENTOS_NOVEDAD.ESTADO_CAMBIADO]);
+      expect(eventos[0].data).toMatchObject({ estado_anterior_id: 1, estado_nuevo_id: 2, estado_nuevo: "EN RUTA" });
+    });
+
+    it("si el estado nuevo es final publica también novedad_cerrada", async () => {
+      await servicio.publicarCambioEstado({ ...novedad, estado_novedad_id: 5 }, 7, {
+        estadoAnteriorId: 2,
+        estadoNuevoId: 5,
+        observaciones: "Atendida",
+      });
+
+      expect(eventos.map((e) => e.eventName)).toEqual([
+        EVENTOS_NOVEDAD.ESTADO_CAMBIADO,
+        EVENTOS_NOVEDAD.CERRADA,
+      ]);
+      expect(eventos[1].data).toMatchObject({ estado_nuevo: "CERRADO" });
+    });
+  });
+});
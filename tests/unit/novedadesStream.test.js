@@ -0,0 +1,126 @@
+import http from "http";
+import express from "express";
+import jwt from "jsonwebtoken";
+
+/**
+ * Autenticación del stream SSE de novedades: mismas comprobaciones que
+ * verificarToken y alcance resuelto desde la BD, no desde el token
+ */
+describe("GET /novedades/stream - unit", () => {
+  let app;
+  let models;
+  const originales = [];
+
+  // Usuario de la BD: rol "consulta" aunque el token diga super_admin
+  const usuarioBd = {
+    id: 7,
+    username: "consulta7",
+    email: "consulta7@example.com",
+    estado: "ACTIVO",
+    email_verified_at: new Date(),
+    personal_seguridad_id: null,
+    roles: [{ nombre: "Consulta", slug: "consulta", permisos: [] }],
+  };
+  let estadoUsuario = "ACTIVO";
+  const jtiRevocados = new Set();
+
+  const reemplazar = (modelo, metodo, impl) => {
+    originales.push([modelo, metodo, modelo[metodo]]);
+    modelo[metodo] = impl;
+  };
+
+  const firmar = (payload) =>
+    jwt.sign({ id: usuarioBd.id, roles: ["super_admin"], ...payload }, process.env.JWT_SECRET, {
+      expiresIn: "5m",
+    });
+
+  // Lee el stream hasta el primer evento y corta la conexión
+  const primerEvento = (ruta, headers = {}) =>
+    new Promise((resolve, reject) => {
+      const server = app.listen(0, () => {
+        const peticion = http.get({ port: server.address().port, path: ruta, headers }, (res) => {
+          let datos = "";
+          const terminar = () => {
+            const [, evento, data] = datos.match(/^event: (\S+)\ndata: (.*)$/m) || [];
+            peticion.destroy();
+            // Espera a que el servidor procese el cierre (removeClient)
+            server.close(() => resolve({ evento, data: data ? JSON.parse(data) : null }));
+          };
+          res.setEncoding("utf8");
+          res.on("data", (chunk) => {
+            datos += chunk;
+            if (datos.includes("\n\n")) terminar();
+          });
+          res.on("end", terminar);
+        });
+        peticion.on("error", reject);
+      });
+    });
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "jest_jwt_secret";
+    models = await import("../../src/models/index.js");
+    const { default: router } = await import("../../src/routes/novedades.routes.js");
+
+    reemplazar(models.Usuario, "findByPk", async () => ({ ...usuarioBd, estado: estadoUsuario }));
+    reemplazar(models.TokenAcceso, "findOne", async ({ where }) =>
+      jtiRevocados.has(where.jti)
+        ? { usuario_id: usuarioBd.id, revoked_at: new Date(), expires_at: new Date(Date.now() + 60000) }
+        : null
+    );
+
+    app = express();
+    app.use("/novedades", router);
+  });
+
+  afterAll(() => {
+    originales.reverse().forEach(([modelo, metodo, impl]) => {
+      modelo[metodo] = impl;
+    });
+  });
+
+  afterEach(() => {
+    estadoUsuario = "ACTIVO";
+  });
+
+  it("sin token responde con un evento de error", async () => {
+    expect(await primerEvento("/novedades/stream")).toEqual({
+      evento: "error",
+      data: { error: "Token requerido" },
+    });
+  });
+
+  it("rechaza los tokens de 2FA pendiente", async () => {
+    const token = firmar({ userId: usuarioBd.id, purpose: "2fa_pending" });
+    const { evento, data } = await primerEvento(`/novedades/stream?token=${token}`);
+
+    expect(evento).toBe("error");
+    expect(data.error).toBe("Token inválido");
+  });
+
+  it("rechaza un jti revocado", async () => {
+    jtiRevocados.add("jti-revocado");
+    const token = firmar({ jti: "jti-revocado" });
+    const { evento, data } = await primerEvento("/novedades/stream", {
+      Authorization: `Bearer ${token}`,
+    });
+
+    expect(evento).toBe("error");
+    expect(data.error).toMatch(/revocado/i);
+  });
+
+  it("rechaza usuarios que ya no están ACTIVO", async () => {
+    estadoUsuario = "INACTIVO";
+    const { evento, data } = await primerEvento(`/novedades/stream?token=${firmar({ jti: "jti-1" })}`);
+
+    expect(evento).toBe("error");
+    expect(data.error).toBe("Usuario inactivo");
+  });
+
+  it("el alcance sale de los roles de la BD, no de los del token", async () => {
+    const { evento, data } = await primerEvento(`/novedades/stream?token=${firmar({ jti: "jti-2" })}`);
+
+    expect(evento).toBe("connected");
+    expect(data.alcance).toEqual({ global: false, sectores: [], cuadrantes: [] });
+  });
+});
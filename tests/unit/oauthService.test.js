@@ -0,0 +1,90 @@
+/**
+ * Email verificado por proveedor y tickets de vinculación (oauthService)
+ */
+describe("oauthService - unit", () => {
+  let servicio;
+  let authConfig;
+  const tenantConfiable = "11111111-1111-1111-1111-111111111111";
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "jest_jwt_secret";
+    servicio = await import("../../src/services/oauthService.js");
+    ({ default: authConfig } = await import("../../src/config/auth.js"));
+    authConfig.oauth.microsoft.allowedTenants = [tenantConfiable];
+  });
+
+  afterAll(() => {
+    authConfig.oauth.microsoft.allowedTenants = [];
+  });
+
+  describe("extraerEmailVerificado", () => {
+    const perfilGraph = { emails: [{ type: "work", value: "Victima@Example.com" }] };
+
+    it("Google: solo emails marcados como verificados", () => {
+      expect(
+        servicio.extraerEmailVerificado("google", {
+          emails: [
+            { value: "no@example.com", verified: false },
+            { value: "Si@Example.com", verified: true },
+          ],
+        })
+      ).toBe("si@example.com");
+      expect(
+        servicio.extraerEmailVerificado("google", { emails: [{ value: "no@example.com" }] })
+      ).toBeNull();
+    });
+
+    it("Microsoft: el mail de Graph de un tenant ajeno no cuenta como verificado", () => {
+      expect(servicio.extraerEmailVerificado("microsoft", perfilGraph)).toBeNull();
+      expect(
+        servicio.extraerEmailVerificado("microsoft", perfilGraph, {
+          tid: "99999999-9999-9999-9999-999999999999",
+          email: "victima@example.com",
+        })
+      ).toBeNull();
+    });
+
+    it("Microsoft: acepta el email del id_token con xms_edov o email_verified", () => {
+      expect(
+        servicio.extraerEmailVerificado("microsoft", perfilGraph, {
+          email: "Otro@Example.com",
+          xms_edov: "1",
+        })
+      ).toBe("otro@example.com");
+      expect(
+        servicio.extraerEmailVerificado("microsoft", perfilGraph, {
+          email: "otro@example.com",
+          email_verified: true,
+        })
+      ).toBe("otro@example.com");
+      expect(
+        servicio.extraerEmailVerificado("microsoft", perfilGraph, {
+          email: "otro@example.com",
+          email_verified: false,
+        })
+      ).toBeNull();
+    });
+
+    it("Microsoft: acepta el mail de Graph de un tenant configurado", () => {
+      expect(
+        servicio.extraerEmailVerificado("microsoft", perfilGraph, {
+          tid: tenantConfiable.toUpperCase(),
+        })
+      ).toBe("victima@example.com");
+    });
+  });
+
+  describe("tickets de vinculación", () => {
+    it("se canjean una sola vez y para el proveedor emitido", () => {
+      const ticket = servicio.emitirTicketVinculacion(42, "microsoft");
+
+      expect(servicio.canjearTicketVinculacion(ticket, "google")).toBeNull();
+      expect(servicio.canjearTicketVinculacion(ticket, "microsoft")).toBe(42);
+      expect(servicio.canjearTicketVinculacion(ticket, "microsoft")).toBeNull();
+    });
+
+    it("rechaza tokens con otro propósito o mal firmados", () => {
+      expect(servicio.canjearTicketVinculacion("no-es-un-jwt", "microsoft")).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,145 @@
+import bcrypt from "bcryptjs";
+
+/**
+ * Política de contraseñas (passwordPolicyService), con la configuración
+ * por defecto de authConfig.password
+ */
+describe("passwordPolicyService - unit", () => {
+  let servicio;
+  let authConfig;
+
+  const VALIDA = "Patrulla#2026";
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "jest_jwt_secret";
+    servicio = await import("../../src/services/passwordPolicyService.js");
+    ({ default: authConfig } = await import("../../src/config/auth.js"));
+  });
+
+  describe("validarFormatoPassword", () => {
+    it("acepta una contraseña que cumple todas las reglas", () => {
+      expect(servicio.validarFormatoPassword(VALIDA)).toEqual([]);
+    });
+
+    it("informa cada regla incumplida", () => {
+      const errores = servicio.validarFormatoPassword("abc");
+
+      expect(errores).toEqual(
+        expect.arrayContaining([
+          `Debe tener al menos ${authConfig.password.minLength} caracteres`,
+          "Debe contener al menos una letra mayúscula",
+          "Debe contener al menos un número",
+          expect.stringMatching(/^Debe contener al menos un carácter especial/),
+        ])
+      );
+      expect(errores).not.toContain("Debe contener al menos una letra minúscula");
+    });
+
+    it("rechaza contraseñas demasiado largas", () => {
+      const larga = `${VALIDA}${"a".repeat(authConfig.password.maxLength)}`;
+      expect(servicio.validarFormatoPassword(larga)).toContain(
+        `No debe exceder ${authConfig.password.maxLength} caracteres`
+      );
+    });
+
+    it("trata los caracteres especiales de RegExp como literales", () => {
+      expect(servicio.validarFormatoPassword("Patrulla2026]")).toEqual([]);
+      expect(servicio.validarFormatoPassword("Patrulla2026-")).toEqual([]);
+      expect(servicio.validarFormatoPassword("Patrulla2026~")).toContainEqual(
+        expect.stringMatching(/carácter especial/)
+      );
+    });
+
+    it("rechaza la lista prohibida sin distinguir mayúsculas", () => {
+      const [prohibida] = authConfig.password.bannedList;
+      expect(servicio.validarFormatoPassword(prohibida.toUpperCase())).toContain(
+        "Es una contraseña demasiado común"
+      );
+    });
+
+    it("rechaza datos personales contenidos en la contraseña", () => {
+      expect(servicio.validarFormatoPassword("Ramirez#2026", ["ramirez"])).toContain(
+        "No debe contener su usuario, email, nombres, apellidos ni documento"
+      );
+      expect(servicio.validarFormatoPassword(VALIDA, ["ramirez"])).toEqual([]);
+    });
+  });
+
+  describe("obtenerDatosPersonales", () => {
+    it("usa username, parte local del email, nombres y apellidos en minúsculas", async () => {
+      const datos = await servicio.obtenerDatosPersonales({
+        username: "JPerez",
+        email: "juan.perez@example.com",
+        nombres: "Juan Carlos",
+        apellidos: "Pérez de la Cruz",
+      });
+
+      expect(datos).toEqual(
+        expect.arrayContaining(["jperez", "juan.perez", "juan", "carlos", "pérez", "cruz"])
+      );
+    });
+
+    it("descarta fragmentos cortos para no rechazar contraseñas por 'de' o 'la'", async () => {
+      const datos = await servicio.obtenerDatosPersonales({ apellidos: "de la Cruz" });
+      expect(datos).toEqual(["cruz"]);
+    });
+  });
+
+  describe("passwordEnHistorial", () => {
+    let historyCount;
+
+    beforeAll(() => {
+      // Sin historial solo se compara con la contraseña actual (sin BD)
+      ({ historyCount } = authConfig.password);
+      authConfig.password.historyCount = 0;
+    });
+
+    afterAll(() => {
+      authConfig.password.historyCount = historyCount;
+    });
+
+    it("detecta la contraseña actual", async () => {
+      const usuario = { id: 1, password_hash: await bcrypt.hash(VALIDA, 4) };
+
+      expect(await servicio.passwordEnHistorial(usuario, VALIDA)).toBe(true);
+      expect(await servicio.passwordEnHistorial(usuario, "Otra#Clave2026")).toBe(false);
+    });
+  });
+
+  describe("passwordExpirada", () => {
+    let expirationDays;
+
+    beforeAll(() => {
+      ({ expirationDays } = authConfig.password);
+      authConfig.password.expirationDays = 90;
+    });
+
+    afterAll(() => {
+      authConfig.password.expirationDays = expirationDays;
+    });
+
+    const haceDias = (dias) => new Date(Date.now() - dias * 24 * 60 * 60 * 1000);
+
+    it("vence al cumplirse expirationDays", () => {
+      expect(servicio.passwordExpirada({ password_changed_at: haceDias(89) })).toBe(false);
+      expect(servicio.passwordExpirada({ password_changed_at: haceDias(91) })).toBe(true);
+    });
+
+    it("sin fecha de cambio o sin vencimiento configurado no vence", () => {
+      expect(servicio.passwordExpirada({ password_changed_at: null })).toBe(false);
+
+      authConfig.password.expirationDays = 0;
+      expect(servicio.passwordExpirada({ password_changed_at: haceDias(1000) })).toBe(false);
+      authConfig.password.expirationDays = 90;
+    });
+  });
+
+  it("publica las reglas vigentes", () => {
+    const politica = servicio.obtenerPoliticaPassword();
+
+    expect(politica.minLength).toBe(authConfig.password.minLength);
+    expect(Object.keys(politica)).toEqual(
+      expect.arrayContaining(["minLength", "specialChars", "historyCount", "expirationDays"])
+    );
+  });
+});
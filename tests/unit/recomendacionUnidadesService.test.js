@@ -0,0 +1,160 @@
+/**
+ * Recomendación de unidades para despachar una novedad
+ * (recomendacionUnidadesService): puntaje por distancia, disponibilidad,
+ * tipo de vehículo y tripulación, sobre unidades en memoria
+ */
+describe("recomendacionUnidadesService - unit", () => {
+  let recomendarUnidades;
+  let FUENTES_UBICACION;
+  let models;
+  let sequelize;
+  const originales = [];
+
+  // Filas que devuelve la consulta de unidades en patrullaje
+  let unidades = [];
+  let subtipo = null;
+
+  // Grados de latitud equivalentes a unos metros
+  const metrosAlNorte = (metros) => -12.05 + metros / 111320;
+
+  const novedad = { id: 1, latitud: -12.05, longitud: -77.04, subtipo_novedad_id: 4, cuadrante_id: 20 };
+
+  const unidad = (id, datos = {}) => ({
+    operativo_vehiculo_id: id,
+    operativo_turno_id: 1,
+    vehiculo_id: id,
+    codigo_vehiculo: `U-${id}`,
+    tipo_vehiculo_id: 1,
+    tipo_vehiculo_nombre: "Camioneta",
+    estado_operativo: "DISPONIBLE",
+    ubicacion_vigente: 1,
+    ultima_latitud: metrosAlNorte(1000),
+    ultima_longitud: -77.04,
+    conductor_id: 100 + id,
+    copiloto_id: 200 + id,
+    cuadrante_id: null,
+    cuadrante_latitud: null,
+    cuadrante_longitud: null,
+    novedades_en_atencion: null,
+    ...datos,
+  });
+
+  const reemplazar = (modelo, metodo, impl) => {
+    originales.push([modelo, metodo, modelo[metodo]]);
+    modelo[metodo] = impl;
+  };
+
+  const criterio = (candidato, nombre) => candidato.detalle.find((c) => c.criterio === nombre);
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "jest_jwt_secret";
+    ({ recomendarUnidades, FUENTES_UBICACION } = await import("../../src/services/recomendacionUnidadesService.js"));
+    models = await import("../../src/models/index.js");
+    ({ default: sequelize } = await import("../../src/config/database.js"));
+
+    reemplazar(sequelize, "query", async () => unidades);
+    reemplazar(models.SubtipoNovedad, "findByPk", async () => subtipo);
+    reemplazar(models.Cuadrante, "findByPk", async (id) =>
+      id === 20 ? { id: 20, latitud: metrosAlNorte(500), longitud: -77.04 } : null
+    );
+  });
+
+  afterAll(() => {
+    originales.reverse().forEach(([modelo, metodo, impl]) => {
+      modelo[metodo] = impl;
+    });
+  });
+
+  beforeEach(() => {
+    unidades = [];
+    subtipo = null;
+  });
+
+  it("prefiere una unidad disponible aunque otra ocupada esté más cerca", async () => {
+    unidades = [
+      unidad(1, { ultima_latitud: metrosAlNorte(200), novedades_en_atencion: "0000000012,0000000015" }),
+      unidad(2, { ultima_latitud: metrosAlNorte(2500) }),
+    ];
+
+    const { candidatos } = await recomendarUnidades(novedad);
+
+    expect(candidatos.map((c) => c.vehiculo.id)).toEqual([2, 1]);
+    expect(criterio(candidatos[1], "disponibilidad")).toMatchObject({
+      puntos: 0,
+      motivo: "Atendiendo 0000000012, 0000000015",
+    });
+    expect(candidatos[1].novedades_en_atencion).toEqual(["0000000012", "0000000015"]);
+    expect(criterio(candidatos[0], "distancia").puntos).toBeCloseTo(20, 0);
+    expect(candidatos[0].puntaje).toBeCloseTo(80, 0);
+  });
+
+  it("sin ubicación reciente mide la distancia desde el centro del cuadrante que patrulla", async () => {
+    unidades = [
+      unidad(1, {
+        ubicacion_vigente: 0,
+        cuadrante_id: 7,
+        cuadrante_nombre: "C-07",
+        cuadrante_latitud: metrosAlNorte(3000),
+        cuadrante_longitud: -77.04,
+      }),
+      unidad(2, { ubicacion_vigente: 0 }),
+    ];
+
+    const { candidatos } = await recomendarUnidades(novedad);
+
+    expect(candidatos[0].ubicacion).toMatchObject({ fuente: FUENTES_UBICACION.CUADRANTE, cuadrante_id: 7 });
+    expect(candidatos[0].distancia_m).toBeGreaterThan(2900);
+    expect(criterio(candidatos[0], "distancia").motivo).toMatch(/centro del cuadrante C-07/);
+
+    expect(candidatos[1].distancia_m).toBeNull();
+    expect(criterio(candidatos[1], "distancia")).toMatchObject({
+      puntos: 0,
+      motivo: "Sin ubicación reciente ni cuadrante asignado",
+    });
+  });
+
+  it("puntúa el tipo de vehículo según los tipos del subtipo", async () => {
+    subtipo = { id: 4, tipos_vehiculo_ids: "[2]" };
+    unidades = [unidad(1), unidad(2, { tipo_vehiculo_id: 2, tipo_vehiculo_nombre: "Motocicleta" })];
+
+    const { candidatos } = await recomendarUnidades(novedad);
+
+    expect(candidatos.map((c) => c.vehiculo.id)).toEqual([2, 1]);
+    expect(criterio(candidatos[1], "tipo_vehiculo")).toMatchObject({ puntos: 0 });
+    expect(criterio(candidatos[0], "tipo_vehiculo")).toMatchObject({ puntos: 15 });
+  });
+
+  it("la tripulación incompleta resta la mitad por cada integrante faltante", async () => {
+    unidades = [unidad(1, { copiloto_id: null }), unidad(2, { conductor_id: null, copiloto_id: null })];
+
+    const { candidatos } = await recomendarUnidades(novedad);
+
+    expect(criterio(candidatos[0], "tripulacion")).toMatchObject({ puntos: 7.5, motivo: "Sin copiloto" });
+    expect(criterio(candidatos[1], "tripulacion")).toMatchObject({ puntos: 0, motivo: "Sin conductor ni copiloto" });
+  });
+
+  it("a igual puntaje ordena por distancia", async () => {
+    unidades = [
+      unidad(1, { ultima_latitud: metrosAlNorte(9000) }),
+      unidad(2, { ultima_latitud: metrosAlNorte(6000) }),
+    ];
+
+    const { candidatos } = await recomendarUnidades(novedad);
+
+    expect(candidatos.map((c) => c.puntaje)).toEqual([60, 60]);
+    expect(candidatos.map((c) => c.vehiculo.id)).toEqual([2, 1]);
+  });
+
+  it("una novedad sin coordenadas usa el centro de su cuadrante", async () => {
+    unidades = [unidad(1, { ultima_latitud: metrosAlNorte(500) })];
+
+    const { ubicacion_novedad, candidatos } = await recomendarUnidades({
+      ...novedad,
+      latitud: null,
+      longitud: null,
+    });
+
+    expect(ubicacion_novedad.fuente).toBe(FUENTES_UBICACION.CUADRANTE);
+    expect(candidatos[0].distancia_m).toBe(0);
+  });
+});
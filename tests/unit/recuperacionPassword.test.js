@@ -0,0 +1,154 @@
+import express from "express";
+import request from "supertest";
+import { Op } from "sequelize";
+
+/**
+ * Recuperación de contraseña (forgotPassword / resetPassword): token de un
+ * solo uso, vencimiento e invalidación del enlace anterior, sobre
+ * password_resets en memoria
+ */
+describe("POST /auth/forgot-password y /auth/reset-password - unit", () => {
+  let app;
+  let models;
+  let sequelize;
+  let hashToken;
+  const originales = [];
+  const emails = [];
+  const revocaciones = [];
+
+  // Filas de password_resets
+  let solicitudes = [];
+  let usuario;
+
+  const NUEVA = "Patrulla#2026";
+
+  const reemplazar = (modelo, metodo, impl) => {
+    originales.push([modelo, metodo, modelo[metodo]]);
+    modelo[metodo] = impl;
+  };
+
+  const vigente = (where, fila) =>
+    fila.token_hash === where.token_hash && fila.used_at === null && fila.expires_at > where.expires_at[Op.gt];
+
+  const pedirEnlace = async () => {
+    await request(app).post("/forgot-password").send({ email: usuario.email }).expect(200);
+    return emails.at(-1).text.match(/token=([0-9a-f]+)/)[1];
+  };
+
+  const restablecer = (token) => request(app).post("/reset-password").send({ token, newPassword: NUEVA });
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "jest_jwt_secret";
+    models = await import("../../src/models/index.js");
+    ({ default: sequelize } = await import("../../src/config/database.js"));
+    ({ hashToken } = await import("../../src/utils/cryptoHelper.js"));
+    const { forgotPassword, resetPassword } = await import("../../src/controllers/authController.js");
+    const { setTransport } = await import("../../src/services/emailService.js");
+
+    setTransport({
+      sendMail: async (mensaje) => {
+        emails.push(mensaje);
+        return { messageId: `test-${emails.length}` };
+      },
+    });
+
+    reemplazar(sequelize, "transaction", async () => {
+      const alConfirmar = [];
+      return {
+        LOCK: { UPDATE: "UPDATE" },
+        afterCommit: (fn) => alConfirmar.push(fn),
+        commit: async () => alConfirmar.forEach((fn) => fn()),
+        rollback: async () => {},
+      };
+    });
+
+    const { Usuario, PasswordReset, PasswordHistorial, Sesion, TokenAcceso } = models;
+    reemplazar(Usuario, "findOne", async ({ where }) => (where.email === usuario.email ? usuario : null));
+    reemplazar(PasswordReset, "update", async (datos, { where }) => {
+      const filas = solicitudes.filter((s) => s.email === where.email && s.used_at === null);
+      filas.forEach((s) => Object.assign(s, datos));
+      return [filas.length];
+    });
+    reemplazar(PasswordReset, "create", async (datos) => {
+      solicitudes.push({ ...datos, used_at: null });
+    });
+    reemplazar(PasswordReset, "findOne", async ({ where }) => {
+      const fila = solicitudes.find((s) => vigente(where, s));
+      return fila ? { ...fila, update: async (datos) => Object.assign(fila, datos) } : null;
+    });
+    reemplazar(PasswordHistorial, "findAll", async () => []);
+    reemplazar(PasswordHistorial, "create", async () => ({}));
+    reemplazar(Sesion, "update", async () => [1]);
+    reemplazar(TokenAcceso, "update", async (datos, { where }) => {
+      revocaciones.push({ usuario_id: where.usuario_id, motivo: datos.revocation_reason });
+      return [2];
+    });
+
+    app = express();
+    app.use(express.json());
+    app.post("/forgot-password", forgotPassword);
+    app.post("/reset-password", resetPassword);
+  });
+
+  afterAll(() => {
+    originales.reverse().forEach(([modelo, metodo, impl]) => {
+      modelo[metodo] = impl;
+    });
+  });
+
+  beforeEach(() => {
+    solicitudes = [];
+    emails.length = 0;
+    revocaciones.length = 0;
+    usuario = {
+      id: 5,
+      username: "operador5",
+      email: "operador5@example.com",
+      estado: "ACTIVO",
+      deleted_at: null,
+      personal_seguridad_id: null,
+      password_hash: null,
+      update: async (datos) => Object.assign(usuario, datos),
+    };
+  });
+
+  it("solo guarda el hash del token enviado por email", async () => {
+    const token = await pedirEnlace();
+
+    expect(solicitudes).toHaveLength(1);
+    expect(solicitudes[0].token_hash).toBe(hashToken(token));
+    expect(JSON.stringify(solicitudes)).not.toContain(token);
+  });
+
+  it("el token sirve una sola vez y cierra las sesiones del usuario", async () => {
+    const token = await pedirEnlace();
+
+    const res = await restablecer(token);
+    expect(res.status).toBe(200);
+    expect(usuario.password_hash).toBeTruthy();
+    expect(solicitudes[0].used_at).toBeInstanceOf(Date);
+    expect(revocaciones).toEqual([{ usuario_id: 5, motivo: "password_reset" }]);
+
+    const reutilizado = await restablecer(token);
+    expect(reutilizado.status).toBe(400);
+    expect(reutilizado.body.message).toMatch(/inválido o ha expirado/);
+  });
+
+  it("rechaza un token vencido", async () => {
+    const token = await pedirEnlace();
+    solicitudes[0].expires_at = new Date(Date.now() - 1000);
+
+    const res = await restablecer(token);
+
+    expect(res.status).toBe(400);
+    expect(usuario.password_hash).toBeNull();
+  });
+
+  it("pedir un enlace nuevo invalida el anterior", async () => {
+    const anterior = await pedirEnlace();
+    const nuevo = await pedirEnlace();
+
+    expect((await restablecer(anterior)).status).toBe(400);
+    expect((await restablecer(nuevo)).status).toBe(200);
+  });
+});
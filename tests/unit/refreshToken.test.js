@@ -0,0 +1,132 @@
+import express from "express";
+import request from "supertest";
+
+/**
+ * Rotación de refresh tokens (POST /auth/refresh): cada uso revoca el
+ * token presentado y reutilizar uno ya rotado cierra la sesión completa.
+ * tokens_acceso y sesiones en memoria
+ */
+describe("POST /auth/refresh - unit", () => {
+  let app;
+  let models;
+  let sequelize;
+  let hashToken;
+  let emitirTokens;
+  let MOTIVOS_REVOCACION;
+  const originales = [];
+
+  // Filas de tokens_acceso y la sesión del usuario
+  let tokens = [];
+  let sesion;
+  let refreshInicial;
+
+  const usuario = { id: 3, username: "operador3", email: "operador3@example.com", estado: "ACTIVO", roles: [] };
+
+  const reemplazar = (modelo, metodo, impl) => {
+    originales.push([modelo, metodo, modelo[metodo]]);
+    modelo[metodo] = impl;
+  };
+
+  const conUpdate = (fila) => ({ ...fila, update: async (datos) => Object.assign(fila, datos) });
+
+  const renovar = (refreshToken) => request(app).post("/refresh").send({ refreshToken });
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "jest_jwt_secret";
+    process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || "jest_jwt_refresh_secret";
+    models = await import("../../src/models/index.js");
+    ({ default: sequelize } = await import("../../src/config/database.js"));
+    ({ hashToken } = await import("../../src/utils/cryptoHelper.js"));
+    ({ emitirTokens, MOTIVOS_REVOCACION } = await import("../../src/services/authTokenService.js"));
+    const { refreshToken } = await import("../../src/controllers/authController.js");
+
+    reemplazar(sequelize, "transaction", async (callback) =>
+      callback({ LOCK: { UPDATE: "UPDATE" }, afterCommit: (fn) => fn() })
+    );
+
+    const { Usuario, TokenAcceso, Sesion, AuditoriaAccion } = models;
+    reemplazar(Usuario, "findByPk", async (id) => (id === usuario.id ? usuario : null));
+    reemplazar(TokenAcceso, "findOne", async ({ where }) => {
+      const fila = tokens.find((t) => t.jti === where.jti && t.token_type === where.token_type);
+      return fila ? conUpdate(fila) : null;
+    });
+    reemplazar(TokenAcceso, "create", async (datos) => {
+      tokens.push({ ...datos, revoked_at: null, revocation_reason: null });
+    });
+    reemplazar(TokenAcceso, "update", async (datos, { where }) => {
+      const filas = tokens.filter((t) => t.sesion_id === where.sesion_id && t.revoked_at === null);
+      filas.forEach((t) => Object.assign(t, datos));
+      return [filas.length];
+    });
+    reemplazar(Sesion, "findOne", async ({ where }) =>
+      where.id === sesion.id && sesion.expires_at > new Date() ? conUpdate(sesion) : null
+    );
+    reemplazar(Sesion, "findByPk", async (id) => (id === sesion.id ? conUpdate(sesion) : null));
+    reemplazar(Sesion, "update", async () => [1]);
+    reemplazar(AuditoriaAccion, "registrar", async () => {});
+
+    app = express();
+    app.use(express.json());
+    app.post("/refresh", refreshToken);
+  });
+
+  afterAll(() => {
+    originales.reverse().forEach(([modelo, metodo, impl]) => {
+      modelo[metodo] = impl;
+    });
+  });
+
+  // Sesión con el par emitido en el login
+  beforeEach(() => {
+    sesion = { id: 1, usuario_id: usuario.id, expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000) };
+    const emitidos = emitirTokens(usuario, { sesionId: sesion.id, expiresAt: sesion.expires_at });
+    refreshInicial = emitidos.refreshToken;
+    tokens = [
+      {
+        usuario_id: usuario.id,
+        sesion_id: sesion.id,
+        token_type: "REFRESH",
+        token_hash: hashToken(emitidos.refreshToken),
+        jti: emitidos.refreshJti,
+        revoked_at: null,
+        revocation_reason: null,
+      },
+    ];
+  });
+
+  it("rota el token: el presentado queda revocado y el nuevo sirve", async () => {
+    const res = await renovar(refreshInicial);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.refreshToken).not.toBe(refreshInicial);
+    expect(tokens[0]).toMatchObject({ revocation_reason: MOTIVOS_REVOCACION.ROTADO });
+    expect(tokens[0].revoked_at).toBeInstanceOf(Date);
+
+    expect((await renovar(res.body.data.refreshToken)).status).toBe(200);
+  });
+
+  it("reutilizar un token rotado revoca la sesión y sus tokens vigentes", async () => {
+    const { body } = await renovar(refreshInicial);
+    const vigente = body.data.refreshToken;
+
+    const reuso = await renovar(refreshInicial);
+    expect(reuso.status).toBe(401);
+    expect(reuso.body.message).toMatch(/por seguridad/);
+
+    expect(sesion.expires_at.getTime()).toBeLessThanOrEqual(Date.now());
+    expect(tokens.filter((t) => t.revoked_at === null)).toEqual([]);
+    expect(tokens.filter((t) => t.revocation_reason === MOTIVOS_REVOCACION.REUSO_DETECTADO)).not.toHaveLength(0);
+
+    // El token que tenía el cliente legítimo también dejó de servir
+    expect((await renovar(vigente)).status).toBe(401);
+  });
+
+  it("rechaza un refresh token firmado que no está registrado", async () => {
+    tokens = [];
+
+    const res = await renovar(refreshInicial);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).not.toMatch(/por seguridad/);
+  });
+});
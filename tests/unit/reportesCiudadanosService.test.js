@@ -0,0 +1,181 @@
+import { Op } from "sequelize";
+
+/**
+ * Reporte ciudadano (reportesCiudadanosService): límites por IP contados
+ * en las tablas e intentos por código OTP, sobre filas en memoria
+ */
+describe("reportesCiudadanosService - unit", () => {
+  let servicio;
+  let models;
+  let sequelize;
+  const originales = [];
+  const smsEnviados = [];
+
+  // Filas de reportes_ciudadanos_otp y reportes_ciudadanos
+  let otps = [];
+  let reportes = [];
+
+  const reemplazar = (modelo, metodo, impl) => {
+    originales.push([modelo, metodo, modelo[metodo]]);
+    modelo[metodo] = impl;
+  };
+
+  // Interpreta los where de los conteos (campo exacto o created_at > fecha)
+  const contar = (filas, where) =>
+    filas.filter((f) =>
+      Object.entries(where).every(([campo, valor]) =>
+        valor?.[Op.gt] ? f[campo] > valor[Op.gt] : f[campo] === valor
+      )
+    ).length;
+
+  const hace = (minutos) => new Date(Date.now() - minutos * 60 * 1000);
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "jest_jwt_secret";
+    process.env.REPORTE_CIUDADANO_OTP = "optional";
+    process.env.REPORTE_CIUDADANO_USUARIO_ID = "1";
+    servicio = await import("../../src/services/reportesCiudadanosService.js");
+    models = await import("../../src/models/index.js");
+    ({ default: sequelize } = await import("../../src/config/database.js"));
+    const { setTransport } = await import("../../src/services/smsService.js");
+
+    setTransport({ enviar: async (mensaje) => smsEnviados.push(mensaje) });
+
+    reemplazar(sequelize, "transaction", async () => ({
+      LOCK: { UPDATE: "UPDATE" },
+      commit: async () => {},
+      rollback: async () => {},
+    }));
+
+    const { ReporteCiudadanoOtp, ReporteCiudadano, SubtipoNovedad, EstadoNovedad } = models;
+    reemplazar(ReporteCiudadanoOtp, "count", async ({ where }) => contar(otps, where));
+    reemplazar(ReporteCiudadanoOtp, "update", async () => [0]);
+    reemplazar(ReporteCiudadanoOtp, "create", async (datos) => {
+      const fila = {
+        ...datos,
+        intentos: 0,
+        usado_en: null,
+        created_at: new Date(),
+        destroy: async () => {},
+        increment: async (campo) => {
+          fila[campo] += 1;
+        },
+        update: async (cambios) => Object.assign(fila, cambios),
+      };
+      otps.push(fila);
+      return fila;
+    });
+    reemplazar(ReporteCiudadanoOtp, "findOne", async ({ where }) =>
+      otps.findLast(
+        (o) => o.telefono === where.telefono && o.usado_en === null && o.expira_en > where.expira_en[Op.gt]
+      ) || null
+    );
+    reemplazar(ReporteCiudadano, "count", async ({ where }) => contar(reportes, where));
+    reemplazar(SubtipoNovedad, "findOne", async () => ({ id: 2, tipo_novedad_id: 1, prioridad: "MEDIA" }));
+    // Sin estado inicial el alta se corta justo después de consumir el código
+    reemplazar(EstadoNovedad, "findOne", async () => null);
+  });
+
+  afterAll(() => {
+    originales.reverse().forEach(([modelo, metodo, impl]) => {
+      modelo[metodo] = impl;
+    });
+  });
+
+  beforeEach(() => {
+    otps = [];
+    reportes = [];
+    smsEnviados.length = 0;
+  });
+
+  describe("solicitarOtp", () => {
+    it("limita los códigos por IP aunque sean para teléfonos distintos", async () => {
+      for (let i = 0; i < 5; i++) {
+        expect((await servicio.solicitarOtp(`98765432${i}`, "203.0.113.10")).ok).toBe(true);
+      }
+
+      const bloqueado = await servicio.solicitarOtp("987654329", "203.0.113.10");
+      expect(bloqueado).toMatchObject({ ok: false, status: 429 });
+      expect(smsEnviados).toHaveLength(5);
+
+      // Otra IP no comparte el límite
+      expect((await servicio.solicitarOtp("987654329", "203.0.113.20")).ok).toBe(true);
+    });
+
+    it("los códigos fuera de la ventana de 15 minutos no cuentan", async () => {
+      otps = Array.from({ length: 5 }, (_, i) => ({
+        telefono: `90000000${i}`,
+        ip_origen: "203.0.113.10",
+        created_at: hace(20),
+      }));
+
+      expect((await servicio.solicitarOtp("987654321", "203.0.113.10")).ok).toBe(true);
+    });
+
+    it("mantiene el límite por teléfono", async () => {
+      for (let i = 0; i < 3; i++) {
+        await servicio.solicitarOtp("987654321", `203.0.113.${i}`);
+      }
+
+      expect(await servicio.solicitarOtp("987 654 321", "203.0.113.99")).toMatchObject({
+        ok: false,
+        status: 429,
+      });
+    });
+  });
+
+  describe("verificarLimiteReportesIp", () => {
+    it("rechaza la IP que alcanzó el máximo de reportes en la ventana", async () => {
+      reportes = Array.from({ length: 5 }, () => ({ ip_origen: "203.0.113.10", created_at: hace(5) }));
+
+      expect(await servicio.verificarLimiteReportesIp("203.0.113.10")).toMatchObject({ status: 429 });
+      expect(await servicio.verificarLimiteReportesIp("203.0.113.20")).toBeNull();
+    });
+
+    it("los reportes antiguos no cuentan", async () => {
+      reportes = Array.from({ length: 5 }, () => ({ ip_origen: "203.0.113.10", created_at: hace(30) }));
+
+      expect(await servicio.verificarLimiteReportesIp("203.0.113.10")).toBeNull();
+    });
+  });
+
+  describe("crearReporteCiudadano (código OTP)", () => {
+    const TELEFONO = "987654321";
+
+    const pedirCodigo = async () => {
+      await servicio.solicitarOtp(TELEFONO, "203.0.113.10");
+      return smsEnviados.at(-1).text.match(/es (\d{6})/)[1];
+    };
+
+    const reportar = (codigo) =>
+      servicio.crearReporteCiudadano({
+        datos: { tipo_novedad_id: 1, subtipo_novedad_id: 2, telefono: TELEFONO, codigo_otp: codigo },
+        ip: "203.0.113.10",
+      });
+
+    const otroCodigo = (codigo) => String((Number(codigo) + 1) % 1000000).padStart(6, "0");
+
+    it("acepta el código correcto una sola vez", async () => {
+      const codigo = await pedirCodigo();
+
+      // Pasa la verificación y llega a buscar el estado inicial
+      expect(await reportar(codigo)).toMatchObject({ status: 500 });
+      expect(otps[0].usado_en).toBeInstanceOf(Date);
+
+      expect(await reportar(codigo)).toMatchObject({ ok: false, status: 400 });
+    });
+
+    it("tras cinco intentos fallidos el código deja de aceptarse", async () => {
+      const codigo = await pedirCodigo();
+
+      for (let i = 0; i < 5; i++) {
+        expect(await reportar(otroCodigo(codigo))).toMatchObject({ ok: false, status: 400 });
+      }
+      expect(otps[0].intentos).toBe(5);
+
+      expect(await reportar(codigo)).toMatchObject({ ok: false, status: 400 });
+      expect(otps[0].usado_en).toBeNull();
+      expect(otps[0].intentos).toBe(5);
+    });
+  });
+});
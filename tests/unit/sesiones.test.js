@@ -0,0 +1,149 @@
+import express from "express";
+import request from "supertest";
+import { Op } from "sequelize";
+
+/**
+ * Sesiones por dispositivo (sesionesController / sesionesService): listado
+ * y cierre de las sesiones propias y límite de sesiones simultáneas,
+ * sobre sesiones y tokens_acceso en memoria
+ */
+describe("/auth/sessions - unit", () => {
+  let app;
+  let models;
+  let aplicarLimiteSesiones;
+  const originales = [];
+
+  // Filas de sesiones y tokens_acceso; usuario autenticado
+  let sesiones = [];
+  let tokens = [];
+  let usuarioActual;
+
+  const reemplazar = (modelo, metodo, impl) => {
+    originales.push([modelo, metodo, modelo[metodo]]);
+    modelo[metodo] = impl;
+  };
+
+  const activa = (s) => s.expires_at > new Date();
+
+  const conUpdate = (fila) => ({ ...fila, update: async (datos) => Object.assign(fila, datos) });
+
+  // Interpreta los where de revocarSesionesUsuario (exceptoSesionId incluido)
+  const fueraDe = (where, fila) => !where.id || fila.id !== where.id[Op.ne];
+  const deOtraSesion = (where, token) => !where[Op.or] || token.sesion_id !== where[Op.or][0].sesion_id[Op.ne];
+
+  const sesion = (id, usuarioId, minutosActividad) => ({
+    id,
+    usuario_id: usuarioId,
+    device_name: `Dispositivo ${id}`,
+    user_agent: "Mozilla/5.0",
+    session_id: `interno-${id}`,
+    last_activity: new Date(Date.now() - minutosActividad * 60 * 1000),
+    expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  });
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "jest_jwt_secret";
+    models = await import("../../src/models/index.js");
+    ({ aplicarLimiteSesiones } = await import("../../src/services/sesionesService.js"));
+    const { getMisSesiones, cerrarMiSesion, cerrarOtrasSesiones } = await import(
+      "../../src/controllers/sesionesController.js"
+    );
+
+    const { Sesion, TokenAcceso } = models;
+    reemplazar(Sesion, "findAll", async ({ where }) =>
+      sesiones
+        .filter((s) => s.usuario_id === where.usuario_id && activa(s))
+        .sort((a, b) => b.last_activity - a.last_activity)
+        .map(conUpdate)
+    );
+    reemplazar(Sesion, "findOne", async ({ where }) => {
+      const fila = sesiones.find((s) => s.id === where.id && s.usuario_id === where.usuario_id && activa(s));
+      return fila ? conUpdate(fila) : null;
+    });
+    reemplazar(Sesion, "update", async (datos, { where }) => {
+      const filas = sesiones.filter((s) => s.usuario_id === where.usuario_id && activa(s) && fueraDe(where, s));
+      filas.forEach((s) => Object.assign(s, datos));
+      return [filas.length];
+    });
+    reemplazar(TokenAcceso, "update", async (datos, { where }) => {
+      const filas = tokens.filter((t) =>
+        where.sesion_id !== undefined
+          ? t.sesion_id === where.sesion_id && t.revoked_at === null
+          : t.usuario_id === where.usuario_id && t.revoked_at === null && deOtraSesion(where, t)
+      );
+      filas.forEach((t) => Object.assign(t, datos));
+      return [filas.length];
+    });
+
+    app = express();
+    app.use((req, res, next) => {
+      req.user = usuarioActual;
+      next();
+    });
+    app.get("/sessions", getMisSesiones);
+    app.delete("/sessions", cerrarOtrasSesiones);
+    app.delete("/sessions/:sessionId", cerrarMiSesion);
+  });
+
+  afterAll(() => {
+    originales.reverse().forEach(([modelo, metodo, impl]) => {
+      modelo[metodo] = impl;
+    });
+  });
+
+  // Tres sesiones del usuario 3 (la 1 es la del token) y una de otro usuario
+  beforeEach(() => {
+    usuarioActual = { id: 3, sid: 1 };
+    sesiones = [sesion(1, 3, 0), sesion(2, 3, 30), sesion(3, 3, 60), sesion(4, 9, 0)];
+    tokens = sesiones.map((s) => ({ sesion_id: s.id, usuario_id: s.usuario_id, revoked_at: null }));
+  });
+
+  it("lista solo las sesiones propias y marca la actual, sin datos internos", async () => {
+    const res = await request(app).get("/sessions");
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((s) => [s.id, s.is_current])).toEqual([
+      [1, true],
+      [2, false],
+      [3, false],
+    ]);
+    expect(res.body.data[0]).not.toHaveProperty("user_agent");
+    expect(res.body.data[0]).not.toHaveProperty("session_id");
+  });
+
+  it("cerrar una sesión propia revoca sus tokens", async () => {
+    const res = await request(app).delete("/sessions/2");
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ id: 2, is_current: false });
+    expect(activa(sesiones[1])).toBe(false);
+    expect(tokens.filter((t) => t.revoked_at).map((t) => [t.sesion_id, t.revocation_reason])).toEqual([
+      [2, "logout"],
+    ]);
+  });
+
+  it("no permite cerrar la sesión de otro usuario", async () => {
+    const res = await request(app).delete("/sessions/4");
+
+    expect(res.status).toBe(404);
+    expect(activa(sesiones[3])).toBe(true);
+    expect(tokens.every((t) => t.revoked_at === null)).toBe(true);
+  });
+
+  it("cerrar las demás sesiones conserva la actual", async () => {
+    const res = await request(app).delete("/sessions");
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ sesionesCerradas: 2 });
+    expect(sesiones.map(activa)).toEqual([true, false, false, true]);
+    expect(tokens.filter((t) => t.revoked_at).map((t) => t.sesion_id)).toEqual([2, 3]);
+  });
+
+  it("al superar el máximo de sesiones cierra las de menor actividad", async () => {
+    sesiones = [0, 10, 20, 30, 40, 50, 60].map((minutos, i) => sesion(i + 1, 3, minutos));
+    tokens = [];
+
+    expect(await aplicarLimiteSesiones(3)).toBe(2);
+    expect(sesiones.filter(activa).map((s) => s.id)).toEqual([1, 2, 3, 4, 5]);
+  });
+});
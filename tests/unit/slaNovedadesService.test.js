@@ -0,0 +1,51 @@
+/**
+ * Umbrales de SLA de novedades (slaNovedadesService)
+ */
+describe("slaNovedadesService - unit", () => {
+  let servicio;
+  let ESTADOS_SLA;
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "jest_jwt_secret";
+    servicio = await import("../../src/services/slaNovedadesService.js");
+    ({ ESTADOS_SLA } = servicio);
+  });
+
+  const clasificar = (transcurridoMin, slaEstado = null, riesgoPct = 80) =>
+    servicio.clasificarSla({ transcurridoMin, objetivoMin: 30, slaEstado }, riesgoPct);
+
+  it("sin alerta previa: nada antes del riesgo, EN_RIESGO desde el porcentaje configurado", () => {
+    expect(clasificar(23)).toBeNull();
+    expect(clasificar(24)).toBe(ESTADOS_SLA.EN_RIESGO);
+    expect(clasificar(29)).toBe(ESTADOS_SLA.EN_RIESGO);
+  });
+
+  it("VENCIDO al alcanzar el objetivo, tenga o no la alerta de riesgo", () => {
+    expect(clasificar(30)).toBe(ESTADOS_SLA.VENCIDO);
+    expect(clasificar(30, ESTADOS_SLA.EN_RIESGO)).toBe(ESTADOS_SLA.VENCIDO);
+    expect(clasificar(300)).toBe(ESTADOS_SLA.VENCIDO);
+  });
+
+  it("no repite ni retrocede alertas", () => {
+    expect(clasificar(25, ESTADOS_SLA.EN_RIESGO)).toBeNull();
+    expect(clasificar(45, ESTADOS_SLA.VENCIDO)).toBeNull();
+  });
+
+  it("respeta el porcentaje de riesgo", () => {
+    expect(clasificar(15, null, 50)).toBe(ESTADOS_SLA.EN_RIESGO);
+    expect(clasificar(14, null, 50)).toBeNull();
+    expect(clasificar(29, null, 100)).toBeNull();
+  });
+
+  it("acepta los valores de MySQL como texto", () => {
+    expect(
+      servicio.clasificarSla({ transcurridoMin: "31", objetivoMin: "30", slaEstado: null }, 80)
+    ).toBe(ESTADOS_SLA.VENCIDO);
+  });
+
+  it("sin objetivo o sin tiempo transcurrido no hay alerta", () => {
+    expect(servicio.clasificarSla({ transcurridoMin: 500, objetivoMin: 0 }, 80)).toBeNull();
+    expect(servicio.clasificarSla({ transcurridoMin: 500, objetivoMin: null }, 80)).toBeNull();
+    expect(servicio.clasificarSla({ transcurridoMin: null, objetivoMin: 30 }, 80)).toBeNull();
+  });
+});
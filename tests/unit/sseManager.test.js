@@ -0,0 +1,119 @@
+/**
+ * Reenvío por Last-Event-ID y arranque del bus de eventos (sse-manager)
+ */
+describe("sse-manager - unit", () => {
+  let sse;
+
+  const crearRespuesta = () => {
+    const escrito = [];
+    return { escrito, write: (payload) => escrito.push(payload) };
+  };
+
+  const idsEscritos = (res) =>
+    res.escrito.flatMap((p) => [...p.matchAll(/^id: (\d+)$/gm)].map((m) => Number(m[1])));
+
+  beforeAll(async () => {
+    process.env.SSE_REPLAY_BUFFER_SIZE = "5";
+    sse = await import("../../src/utils/sse-manager.js");
+  });
+
+  afterAll(() => {
+    delete process.env.SSE_REPLAY_BUFFER_SIZE;
+  });
+
+  it("reenvía solo los eventos posteriores al Last-Event-ID y de su alcance", async () => {
+    await sse.publishToSector(1, "novedad_creada", { id: 1 });
+    const { eventos: [marca] } = sse.getEventsSince(0);
+    const desde = marca.id;
+
+    await sse.publishToSector(2, "novedad_creada", { id: 2 });
+    await sse.publishToSector(1, "novedad_actualizada", { id: 3 });
+    await sse.broadcastEvent("mantenimiento", {});
+
+    const res = crearRespuesta();
+    const clientId = sse.addClient(res, { usuarioId: 9, sectores: [1] });
+
+    expect(sse.replayEvents(clientId, desde)).toBe(2);
+    expect(idsEscritos(res)).toEqual([desde + 2, desde + 3]);
+
+    sse.removeClient(clientId);
+  });
+
+  it("pide resync si el Last-Event-ID ya salió del buffer o es futuro", async () => {
+    for (let i = 0; i < 8; i++) {
+      await sse.broadcastEvent("tick", { i });
+    }
+    const ultimo = sse.getEventsSince(1).resync.currentEventId;
+    expect(sse.getEventsSince(ultimo - 5).eventos).toHaveLength(5);
+    expect(sse.getEventsSince(ultimo - 6).resync).toBeDefined();
+    expect(sse.getEventsSince(ultimo + 1).resync).toBeDefined();
+    expect(sse.getEventsSince("abc")).toBeNull();
+
+    const res = crearRespuesta();
+    const clientId = sse.addClient(res, { global: true });
+    expect(sse.replayEvents(clientId, 1)).toBe(-1);
+    expect(res.escrito[0]).toMatch(/^event: resync_required\n/);
+    sse.removeClient(clientId);
+  });
+
+  it("un evento confirmado tarde se intercala en el buffer y se envía sin id", async () => {
+    const { crearBusEnProceso } = await import("../../src/services/eventBusService.js");
+    let entregar;
+    await sse.setEventBus({
+      ...crearBusEnProceso(),
+      tipo: "mysql",
+      suscribir: (handler) => {
+        entregar = handler;
+      },
+      iniciar: async () => ({ ultimoId: 100, eventos: [] }),
+    });
+
+    const res = crearRespuesta();
+    const clientId = sse.addClient(res, { global: true });
+    const evento = (id) => ({ id, eventName: `evento_${id}`, canales: null, data: {}, timestamp: Date.now() });
+
+    entregar(evento(101));
+    entregar(evento(103));
+    entregar(evento(102));
+
+    expect(res.escrito[2]).toBe("event: evento_102\ndata: {}\n\n");
+    expect(sse.getEventsSince(100).eventos.map((e) => e.id)).toEqual([101, 102, 103]);
+    sse.removeClient(clientId);
+  });
+
+  describe("bus que no arranca", () => {
+    let detenido;
+    let busRoto;
+
+    beforeEach(async () => {
+      const { crearBusEnProceso } = await import("../../src/services/eventBusService.js");
+      detenido = false;
+      busRoto = {
+        ...crearBusEnProceso(),
+        tipo: "mysql",
+        iniciar: async () => {
+          throw new Error("Table 'sse_eventos_outbox' doesn't exist");
+        },
+        detener: async () => {
+          detenido = true;
+        },
+      };
+    });
+
+    it("por defecto impide el arranque", async () => {
+      await expect(sse.setEventBus(busRoto)).rejects.toThrow(/bus de eventos mysql/);
+      expect(detenido).toBe(true);
+    });
+
+    it("con respaldoEnMemoria sigue con el bus en memoria", async () => {
+      await expect(sse.setEventBus(busRoto, { respaldoEnMemoria: true })).resolves.toBeUndefined();
+      expect(detenido).toBe(true);
+
+      const res = crearRespuesta();
+      const clientId = sse.addClient(res, { global: true });
+      await sse.broadcastEvent("despues_del_fallo", {});
+      expect(res.escrito.join("")).toContain("event: despues_del_fallo");
+      sse.removeClient(clientId);
+    });
+  });
+});
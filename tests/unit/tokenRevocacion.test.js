@@ -0,0 +1,120 @@
+import express from "express";
+import request from "supertest";
+import jwt from "jsonwebtoken";
+
+/**
+ * Revocación de access tokens (verificarToken + tokenRevocacionService):
+ * un jti revocado en tokens_acceso deja de servir en la petición
+ * siguiente, sin esperar al vencimiento del token
+ */
+describe("verificarToken (revocación) - unit", () => {
+  let app;
+  let models;
+  let revocarSesionesUsuario;
+  let limpiarCache;
+  let emitirTokens;
+  const originales = [];
+
+  // Filas de tokens_acceso (ACCESS) y consultas hechas por jti
+  let tokens = [];
+  let consultas = 0;
+  let accessToken;
+
+  const usuario = {
+    id: 7,
+    username: "operador7",
+    email: "operador7@example.com",
+    estado: "ACTIVO",
+    email_verified_at: new Date(),
+    roles: [{ nombre: "Operador", slug: "operador", permisos: [{ slug: "novedades.incidentes.read" }] }],
+  };
+
+  const reemplazar = (modelo, metodo, impl) => {
+    originales.push([modelo, metodo, modelo[metodo]]);
+    modelo[metodo] = impl;
+  };
+
+  const pedir = (token) => request(app).get("/privado").set("Authorization", `Bearer ${token}`);
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "jest_jwt_secret";
+    process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || "jest_jwt_refresh_secret";
+    models = await import("../../src/models/index.js");
+    ({ revocarSesionesUsuario } = await import("../../src/services/sesionesService.js"));
+    ({ limpiarCache } = await import("../../src/services/tokenRevocacionService.js"));
+    ({ emitirTokens } = await import("../../src/services/authTokenService.js"));
+    const { verificarToken } = await import("../../src/middlewares/authMiddleware.js");
+
+    const { Usuario, TokenAcceso, Sesion } = models;
+    reemplazar(Usuario, "findByPk", async (id) => (id === usuario.id ? usuario : null));
+    reemplazar(TokenAcceso, "findOne", async ({ where }) => {
+      consultas++;
+      return tokens.find((t) => t.jti === where.jti && t.token_type === where.token_type) || null;
+    });
+    reemplazar(TokenAcceso, "update", async (datos, { where }) => {
+      const filas = tokens.filter((t) => t.usuario_id === where.usuario_id && t.revoked_at === null);
+      filas.forEach((t) => Object.assign(t, datos));
+      return [filas.length];
+    });
+    reemplazar(Sesion, "update", async () => [1]);
+
+    app = express();
+    app.get("/privado", verificarToken, (req, res) => res.json({ success: true, data: req.user }));
+  });
+
+  afterAll(() => {
+    originales.reverse().forEach(([modelo, metodo, impl]) => {
+      modelo[metodo] = impl;
+    });
+  });
+
+  // Access token registrado y vigente
+  beforeEach(() => {
+    limpiarCache();
+    consultas = 0;
+    const emitidos = emitirTokens(usuario, { sesionId: 1, expiresAt: new Date(Date.now() + 60 * 60 * 1000) });
+    accessToken = emitidos.accessToken;
+    tokens = [
+      {
+        usuario_id: usuario.id,
+        token_type: "ACCESS",
+        jti: emitidos.accessJti,
+        revoked_at: null,
+        expires_at: new Date(jwt.decode(accessToken).exp * 1000),
+      },
+    ];
+  });
+
+  it("acepta un token cuyo jti no está revocado", async () => {
+    const res = await pedir(accessToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ id: 7, sid: 1 });
+  });
+
+  it("al revocar las sesiones del usuario el token deja de servir de inmediato", async () => {
+    // La primera petición deja el jti en caché como vigente
+    expect((await pedir(accessToken)).status).toBe(200);
+
+    await revocarSesionesUsuario(usuario.id, { motivo: "logout_all" });
+
+    const res = await pedir(accessToken);
+    expect(res.status).toBe(401);
+    expect(res.body.message).toMatch(/Token revocado/);
+  });
+
+  it("un token revocado se resuelve desde la caché sin volver a consultar", async () => {
+    tokens[0].revoked_at = new Date();
+
+    expect((await pedir(accessToken)).status).toBe(401);
+    expect((await pedir(accessToken)).status).toBe(401);
+    expect(consultas).toBe(1);
+  });
+
+  it("los tokens sin jti no se consideran revocados", async () => {
+    const sinJti = jwt.sign({ userId: usuario.id, sid: 1 }, process.env.JWT_SECRET, { expiresIn: "5m" });
+
+    expect((await pedir(sinJti)).status).toBe(200);
+    expect(consultas).toBe(0);
+  });
+});
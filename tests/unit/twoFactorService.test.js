@@ -0,0 +1,105 @@
+import speakeasy from "speakeasy";
+
+/**
+ * TOTP y códigos de recuperación (lógica pura de twoFactorService)
+ */
+describe("twoFactorService - unit", () => {
+  let servicio;
+  let authConfig;
+  let secreto;
+
+  const codigoEnPaso = (paso) =>
+    speakeasy.totp({
+      secret: secreto.secret,
+      encoding: "base32",
+      counter: paso,
+    });
+
+  beforeAll(async () => {
+    // La clave de cifrado del secret se lee al cargar la configuración
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "jest_jwt_secret";
+    servicio = await import("../../src/services/twoFactorService.js");
+    ({ default: authConfig } = await import("../../src/config/auth.js"));
+    secreto = await servicio.generarSecreto({ username: "jest_2fa" });
+  });
+
+  describe("pasoCodigoTOTP", () => {
+    const ahora = Date.UTC(2026, 9, 18, 12, 0, 10);
+    let pasoActual;
+
+    beforeAll(() => {
+      pasoActual = Math.floor(ahora / 1000 / authConfig.twoFactor.step);
+    });
+
+    it("devuelve el paso del código vigente", () => {
+      expect(
+        servicio.pasoCodigoTOTP(secreto.secretCifrado, codigoEnPaso(pasoActual), ahora)
+      ).toBe(pasoActual);
+    });
+
+    it("acepta los pasos vecinos dentro de la ventana y devuelve su paso", () => {
+      const { window } = authConfig.twoFactor;
+      expect(
+        servicio.pasoCodigoTOTP(secreto.secretCifrado, codigoEnPaso(pasoActual - window), ahora)
+      ).toBe(pasoActual - window);
+      expect(
+        servicio.pasoCodigoTOTP(secreto.secretCifrado, codigoEnPaso(pasoActual + window), ahora)
+      ).toBe(pasoActual + window);
+    });
+
+    it("rechaza un código fuera de la ventana", () => {
+      const fuera = pasoActual - authConfig.twoFactor.window - 5;
+      expect(
+        servicio.pasoCodigoTOTP(secreto.secretCifrado, codigoEnPaso(fuera), ahora)
+      ).toBeNull();
+    });
+
+    it("rechaza formatos inválidos y secret ausente", () => {
+      expect(servicio.pasoCodigoTOTP(secreto.secretCifrado, "12345", ahora)).toBeNull();
+      expect(servicio.pasoCodigoTOTP(secreto.secretCifrado, "abcdef", ahora)).toBeNull();
+      expect(servicio.pasoCodigoTOTP(null, codigoEnPaso(pasoActual), ahora)).toBeNull();
+    });
+
+    it("el secret se guarda cifrado", () => {
+      expect(secreto.secretCifrado).not.toContain(secreto.secret);
+    });
+  });
+
+  describe("códigos de recuperación", () => {
+    it("genera la cantidad configurada con formato XXXX-XXXX y sus hashes", () => {
+      const { codigos, hashes } = servicio.generarCodigosRecuperacion();
+
+      expect(codigos).toHaveLength(authConfig.twoFactor.recoveryCodesCount);
+      expect(hashes).toHaveLength(codigos.length);
+      codigos.forEach((c) => expect(c).toMatch(/^[0-9A-F]{4}-[0-9A-F]{4}$/));
+      expect(new Set(codigos).size).toBe(codigos.length);
+      hashes.forEach((h, i) => expect(h).not.toContain(codigos[i].replace("-", "")));
+    });
+
+    it("consume un código (sin guion y en minúsculas) una sola vez", () => {
+      const { codigos, hashes } = servicio.generarCodigosRecuperacion();
+      const ingresado = codigos[3].replace("-", "").toLowerCase();
+
+      const restantes = servicio.consumirCodigoRecuperacion(hashes, ingresado);
+      expect(restantes).toHaveLength(hashes.length - 1);
+      expect(restantes).not.toContain(hashes[3]);
+
+      expect(servicio.consumirCodigoRecuperacion(restantes, ingresado)).toBeNull();
+    });
+
+    it("acepta la columna JSON devuelta como string", () => {
+      const { codigos, hashes } = servicio.generarCodigosRecuperacion();
+
+      expect(
+        servicio.consumirCodigoRecuperacion(JSON.stringify(hashes), codigos[0])
+      ).toHaveLength(hashes.length - 1);
+    });
+
+    it("rechaza un código desconocido o una lista vacía", () => {
+      const { hashes } = servicio.generarCodigosRecuperacion();
+
+      expect(servicio.consumirCodigoRecuperacion(hashes, "0000-0000")).toBeNull();
+      expect(servicio.consumirCodigoRecuperacion(null, "0000-0000")).toBeNull();
+    });
+  });
+});
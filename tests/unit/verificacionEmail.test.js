@@ -0,0 +1,144 @@
+import express from "express";
+import request from "supertest";
+import jwt from "jsonwebtoken";
+import { Op } from "sequelize";
+
+/**
+ * Verificación de email (emailVerificationService) y política de solo
+ * lectura para emails sin verificar en verificarToken
+ * (EMAIL_VERIFICATION_POLICY=read_only), sobre email_verifications en
+ * memoria
+ */
+describe("verificación de email - unit", () => {
+  let servicio;
+  let models;
+  let app;
+  const originales = [];
+  const emails = [];
+
+  // Filas de email_verifications
+  let solicitudes = [];
+  let usuario;
+
+  const reemplazar = (modelo, metodo, impl) => {
+    originales.push([modelo, metodo, modelo[metodo]]);
+    modelo[metodo] = impl;
+  };
+
+  const tokenDelEmail = () => emails.at(-1).text.match(/token=([0-9a-f]+)/)[1];
+
+  const vigente = (where, fila) =>
+    fila.token_hash === where.token_hash && fila.verified_at === null && fila.expires_at > where.expires_at[Op.gt];
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "jest_jwt_secret";
+    process.env.EMAIL_VERIFICATION_POLICY = "read_only";
+    models = await import("../../src/models/index.js");
+    servicio = await import("../../src/services/emailVerificationService.js");
+    const { setTransport } = await import("../../src/services/emailService.js");
+    const { verificarToken } = await import("../../src/middlewares/authMiddleware.js");
+
+    setTransport({
+      sendMail: async (mensaje) => {
+        emails.push(mensaje);
+        return { messageId: `test-${emails.length}` };
+      },
+    });
+
+    const { EmailVerification, Usuario } = models;
+    reemplazar(EmailVerification, "update", async (datos, { where }) => {
+      const filas = solicitudes.filter((s) => s.usuario_id === where.usuario_id && s.verified_at === null);
+      filas.forEach((s) => Object.assign(s, datos));
+      return [filas.length];
+    });
+    reemplazar(EmailVerification, "create", async (datos) => {
+      solicitudes.push({ ...datos, verified_at: null });
+    });
+    reemplazar(EmailVerification, "findOne", async ({ where }) => {
+      const fila = solicitudes.find((s) => vigente(where, s));
+      return fila ? { ...fila, update: async (datos) => Object.assign(fila, datos) } : null;
+    });
+    reemplazar(Usuario, "findByPk", async (id) => (id === usuario.id ? usuario : null));
+
+    app = express();
+    app.use(verificarToken);
+    app.get("/novedades", (req, res) => res.json({ success: true, data: req.user.permisos }));
+    app.post("/novedades", (req, res) => res.status(201).json({ success: true }));
+  });
+
+  afterAll(() => {
+    originales.reverse().forEach(([modelo, metodo, impl]) => {
+      modelo[metodo] = impl;
+    });
+  });
+
+  beforeEach(() => {
+    solicitudes = [];
+    emails.length = 0;
+    usuario = {
+      id: 8,
+      username: "operador8",
+      email: "operador8@example.com",
+      estado: "ACTIVO",
+      email_verified_at: null,
+      roles: [
+        {
+          nombre: "Operador",
+          slug: "operador",
+          permisos: [{ slug: "novedades.incidentes.read" }, { slug: "novedades.incidentes.create" }],
+        },
+      ],
+      update: async (datos) => Object.assign(usuario, datos),
+    };
+  });
+
+  describe("emitirVerificacionEmail / confirmarVerificacionEmail", () => {
+    it("el enlace verifica el email una sola vez", async () => {
+      expect(await servicio.emitirVerificacionEmail(usuario)).toEqual({ enviado: true });
+      const token = tokenDelEmail();
+
+      expect(await servicio.confirmarVerificacionEmail(token)).toEqual({ usuario });
+      expect(usuario.email_verified_at).toBeInstanceOf(Date);
+
+      expect(await servicio.confirmarVerificacionEmail(token)).toEqual({ motivo: "token_invalido" });
+    });
+
+    it("un enlace nuevo invalida el anterior", async () => {
+      await servicio.emitirVerificacionEmail(usuario);
+      const anterior = tokenDelEmail();
+      await servicio.emitirVerificacionEmail(usuario);
+
+      expect(await servicio.confirmarVerificacionEmail(anterior)).toEqual({ motivo: "token_invalido" });
+      expect(await servicio.confirmarVerificacionEmail(tokenDelEmail())).toEqual({ usuario });
+    });
+
+    it("no verifica si el email cambió después de emitir el enlace", async () => {
+      await servicio.emitirVerificacionEmail(usuario);
+      usuario.email = "otro@example.com";
+
+      expect(await servicio.confirmarVerificacionEmail(tokenDelEmail())).toEqual({ motivo: "email_cambiado" });
+      expect(usuario.email_verified_at).toBeNull();
+    });
+  });
+
+  describe("política read_only en verificarToken", () => {
+    const token = () => jwt.sign({ userId: usuario.id }, process.env.JWT_SECRET, { expiresIn: "5m" });
+
+    it("sin email verificado solo conserva los permisos de lectura", async () => {
+      const lectura = await request(app).get("/novedades").set("Authorization", `Bearer ${token()}`);
+      expect(lectura.status).toBe(200);
+      expect(lectura.body.data).toEqual(["novedades.incidentes.read"]);
+
+      const escritura = await request(app).post("/novedades").set("Authorization", `Bearer ${token()}`);
+      expect(escritura.status).toBe(403);
+      expect(escritura.body.emailVerificationRequired).toBe(true);
+    });
+
+    it("con el email verificado recupera todos sus permisos", async () => {
+      usuario.email_verified_at = new Date();
+
+      const res = await request(app).post("/novedades").set("Authorization", `Bearer ${token()}`);
+      expect(res.status).toBe(201);
+    });
+  });
+});
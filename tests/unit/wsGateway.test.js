@@ -0,0 +1,171 @@
+import http from "http";
+import jwt from "jsonwebtoken";
+import WebSocket from "ws";
+
+/**
+ * Gateway WebSocket de la consola de despacho (ws-gateway): autenticación
+ * del upgrade, alcance por sector de las acciones y cierre de la conexión
+ * cuando se revoca el token, sobre un servidor local y tablas en memoria
+ */
+describe("ws-gateway - unit", () => {
+  let servidor;
+  let wss;
+  let url;
+  let models;
+  let limpiarCache;
+  const originales = [];
+  const abiertos = [];
+
+  // Filas de tokens_acceso (ACCESS) y novedades por id
+  let tokens = [];
+  const novedades = {
+    1: { id: 1, novedad_code: "0000000001", sector_id: 3, cuadrante_id: null },
+    2: { id: 2, novedad_code: "0000000002", sector_id: 5, cuadrante_id: null },
+  };
+
+  // Operador con personal asignado que supervisa el sector 3
+  const usuario = {
+    id: 12,
+    username: "operador12",
+    email: "operador12@example.com",
+    estado: "ACTIVO",
+    email_verified_at: new Date(),
+    personal_seguridad_id: 40,
+    roles: [{ nombre: "Operador", slug: "operador", permisos: [{ slug: "novedades.incidentes.read" }] }],
+  };
+
+  const reemplazar = (modelo, metodo, impl) => {
+    originales.push([modelo, metodo, modelo[metodo]]);
+    modelo[metodo] = impl;
+  };
+
+  const firmar = (jti) => jwt.sign({ userId: usuario.id, jti }, process.env.JWT_SECRET, { expiresIn: "5m" });
+
+  // Abre una conexión y devuelve una función que espera el siguiente
+  // mensaje que cumple una condición
+  const conectar = (token) =>
+    new Promise((resolve, reject) => {
+      const ws = new WebSocket(`${url}?token=${token}`);
+      const recibidos = [];
+      const esperas = [];
+      abiertos.push(ws);
+
+      ws.on("message", (raw) => {
+        const mensaje = JSON.parse(raw.toString());
+        const espera = esperas.find((e) => e.condicion(mensaje));
+        if (espera) {
+          esperas.splice(esperas.indexOf(espera), 1);
+          espera.resolve(mensaje);
+        } else {
+          recibidos.push(mensaje);
+        }
+      });
+
+      const esperar = (condicion) => {
+        const previo = recibidos.find(condicion);
+        if (previo) {
+          recibidos.splice(recibidos.indexOf(previo), 1);
+          return Promise.resolve(previo);
+        }
+        return new Promise((resolveMensaje) => esperas.push({ condicion, resolve: resolveMensaje }));
+      };
+
+      ws.on("open", () => resolve({ ws, esperar }));
+      ws.on("unexpected-response", (req, res) =>
+        reject(Object.assign(new Error("Upgrade rechazado"), { status: res.statusCode }))
+      );
+      ws.on("error", reject);
+    });
+
+  const cerrado = (ws) => new Promise((resolve) => ws.on("close", (codigo) => resolve(codigo)));
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "jest_jwt_secret";
+    models = await import("../../src/models/index.js");
+    ({ limpiarCache } = await import("../../src/services/tokenRevocacionService.js"));
+    const { attachWebSocketGateway } = await import("../../src/utils/ws-gateway.js");
+
+    const {
+      Usuario,
+      TokenAcceso,
+      Novedad,
+      NovedadReclamo,
+      AuditoriaAccion,
+      Sector,
+      Cuadrante,
+      OperativosTurno,
+      OperativosPersonalCuadrantes,
+      OperativosVehiculosCuadrantes,
+    } = models;
+    reemplazar(Usuario, "findByPk", async (id) => (id === usuario.id ? usuario : null));
+    reemplazar(TokenAcceso, "findOne", async ({ where }) => tokens.find((t) => t.jti === where.jti) || null);
+    reemplazar(Novedad, "findOne", async ({ where }) => novedades[where.id] || null);
+    reemplazar(NovedadReclamo, "findAll", async () => []);
+    reemplazar(AuditoriaAccion, "registrar", async () => {});
+    reemplazar(Sector, "findAll", async () => [{ id: 3 }]);
+    reemplazar(Cuadrante, "findAll", async () => []);
+    reemplazar(OperativosTurno, "findAll", async () => []);
+    reemplazar(OperativosPersonalCuadrantes, "findAll", async () => []);
+    reemplazar(OperativosVehiculosCuadrantes, "findAll", async () => []);
+
+    servidor = http.createServer();
+    wss = attachWebSocketGateway(servidor, "/ws");
+    await new Promise((resolve) => servidor.listen(0, "127.0.0.1", resolve));
+    url = `ws://127.0.0.1:${servidor.address().port}/ws`;
+  });
+
+  afterAll(async () => {
+    abiertos.forEach((ws) => ws.terminate());
+    wss.close();
+    await new Promise((resolve) => servidor.close(resolve));
+    originales.reverse().forEach(([modelo, metodo, impl]) => {
+      modelo[metodo] = impl;
+    });
+  });
+
+  beforeEach(() => {
+    limpiarCache();
+    tokens = [
+      { jti: "jti-vigente", usuario_id: usuario.id, revoked_at: null, expires_at: new Date(Date.now() + 300000) },
+    ];
+  });
+
+  it("rechaza el upgrade sin token", async () => {
+    await expect(conectar("")).rejects.toMatchObject({ status: 401 });
+  });
+
+  it("al conectar informa el alcance y responde los ping con su ref", async () => {
+    const { ws, esperar } = await conectar(firmar("jti-vigente"));
+
+    const conectado = await esperar((m) => m.type === "connected");
+    expect(conectado.alcance).toEqual({ global: false, sectores: [3], cuadrantes: [] });
+
+    ws.send(JSON.stringify({ type: "ping", ref: "p1" }));
+    expect(await esperar((m) => m.type === "result")).toMatchObject({ ref: "p1", ok: true });
+  });
+
+  it("solo reconoce novedades de su sector", async () => {
+    const { ws, esperar } = await conectar(firmar("jti-vigente"));
+
+    ws.send(JSON.stringify({ type: "ack_novedad", ref: "ajena", novedad_id: 2 }));
+    expect(await esperar((m) => m.ref === "ajena")).toMatchObject({ ok: false, code: "FORBIDDEN" });
+
+    ws.send(JSON.stringify({ type: "ack_novedad", ref: "propia", novedad_id: 1 }));
+    expect(await esperar((m) => m.ref === "propia")).toMatchObject({ ok: true, data: { novedad_id: 1 } });
+    expect(await esperar((m) => m.type === "event")).toMatchObject({
+      event: "novedad_reconocida",
+      data: { novedad_id: 1, usuario_id: usuario.id },
+    });
+  });
+
+  it("cierra la conexión con 4401 si el token se revoca", async () => {
+    const { ws } = await conectar(firmar("jti-vigente"));
+
+    tokens[0].revoked_at = new Date();
+    limpiarCache();
+    const codigo = cerrado(ws);
+    ws.send(JSON.stringify({ type: "ping", ref: "p2" }));
+
+    expect(await codigo).toBe(4401);
+  });
+});